@@ -0,0 +1,359 @@
+'use strict';
+
+/**
+ * auth-manager.js
+ * Optional admin password, browser sessions and API tokens for the CH4C web UI and /api.
+ *
+ * Off by default: until an admin password is set from the Settings page, every request is
+ * allowed exactly as before. Once a password is set, every route requires either:
+ *   - a session cookie (ch4c_session), issued by POST /api/auth/login from the /login page, or
+ *   - an API token sent as "Authorization: Bearer <token>" (for scripts / automation).
+ *
+ * Storage: <DATA_DIR>/auth.json holds the scrypt hash of the password, the SHA-256 hash of
+ * each API token (the plaintext token is only shown once, when it is created) and the
+ * per-route exemptions. Sessions are kept in memory only, so a restart logs browsers out.
+ *
+ * Exemptions: Channels DVR can't send credentials, so /stream, /m3u-manager/playlist.m3u (with
+ * the playlist profiles' /m3u-manager/playlists/<name>.m3u) and
+ * /m3u-manager/guide.xml can each be left open (all exempt by default), as can /metrics for a
+ * Prometheus server without a token (not exempt by default). CH4C's own loopback requests to
+ * /stream (scheduled and instant recordings) carry a per-process internal token instead, so
+ * they keep working when /stream is not exempt.
+ */
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const { logTS } = require('./logger');
+
+const SESSION_COOKIE = 'ch4c_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEYLEN = 64;
+const TOKEN_PREFIX = 'ch4c_';
+
+// Routes that can be left open for clients that can't authenticate (Channels DVR).
+// `pattern` covers further paths under the same exemption (playlist profiles).
+const EXEMPTABLE_ROUTES = {
+  stream:   { path: '/stream', label: 'Stream endpoint (/stream)' },
+  playlist: {
+    path: '/m3u-manager/playlist.m3u',
+    pattern: /^\/m3u-manager\/playlists\/[^/]+\.m3u$/,
+    label: 'M3U playlists (/m3u-manager/playlist.m3u and /m3u-manager/playlists/<name>.m3u)',
+  },
+  guide:    { path: '/m3u-manager/guide.xml', label: 'XMLTV guide (/m3u-manager/guide.xml)' },
+  metrics:  { path: '/metrics', label: 'Prometheus metrics (/metrics)' },
+};
+
+// Always reachable, otherwise nobody could log in.
+const PUBLIC_PATHS = ['/login', '/api/auth/login', '/api/auth/logout', '/api/auth/status', '/favicon.ico'];
+
+const DEFAULT_STATE = {
+  password: null, // { salt, hash } — scrypt, hex encoded
+  tokens: [],     // [{ id, name, hash, createdAt, lastUsedAt }]
+  exemptions: { stream: true, playlist: true, guide: true, metrics: false },
+};
+
+let _dataDir = 'data';
+let _state = structuredClone(DEFAULT_STATE);
+const _sessions = new Map(); // sessionId -> expiresAt (ms)
+const _internalToken = crypto.randomBytes(32).toString('hex');
+
+function authFilePath() {
+  return path.join(_dataDir, 'auth.json');
+}
+
+function loadState() {
+  try {
+    const f = authFilePath();
+    if (fs.existsSync(f)) {
+      const saved = JSON.parse(fs.readFileSync(f, 'utf8'));
+      _state = {
+        ...structuredClone(DEFAULT_STATE),
+        ...saved,
+        exemptions: { ...DEFAULT_STATE.exemptions, ...(saved.exemptions || {}) },
+      };
+    }
+  } catch (e) {
+    logTS(`auth-manager: failed to load state: ${e.message}`);
+  }
+}
+
+function saveState() {
+  try {
+    fs.mkdirSync(_dataDir, { recursive: true });
+    // mode 0o600: owner read/write only (no effect on Windows, but correct on Linux/Mac)
+    fs.writeFileSync(authFilePath(), JSON.stringify(_state, null, 2), { encoding: 'utf8', mode: 0o600 });
+  } catch (e) {
+    logTS(`auth-manager: failed to save state: ${e.message}`);
+  }
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Constant-time comparison of two hex strings. */
+function safeEqualHex(a, b) {
+  const bufA = Buffer.from(a || '', 'hex');
+  const bufB = Buffer.from(b || '', 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const name = part.slice(0, idx).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      cookies[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function getBearerToken(req) {
+  const header = req.headers && req.headers.authorization;
+  if (!header) return null;
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+function isValidSession(sessionId) {
+  if (!sessionId) return false;
+  const expiresAt = _sessions.get(sessionId);
+  if (!expiresAt) return false;
+  if (expiresAt < Date.now()) {
+    _sessions.delete(sessionId);
+    return false;
+  }
+  return true;
+}
+
+function findToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+  const hash = hashToken(token);
+  return _state.tokens.find(t => safeEqualHex(t.hash, hash)) || null;
+}
+
+function createSession() {
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  _sessions.set(sessionId, Date.now() + SESSION_TTL_MS);
+  return sessionId;
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  const parts = [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (req.secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+function isInternalToken(token) {
+  const bufToken = Buffer.from(token);
+  const bufInternal = Buffer.from(_internalToken);
+  return bufToken.length === bufInternal.length && crypto.timingSafeEqual(bufToken, bufInternal);
+}
+
+// Express routing ignores case and a trailing slash (/Stream/ reaches /stream), so paths are
+// compared the same way
+function normalizePath(pathname) {
+  return String(pathname || '').toLowerCase().replace(/\/+$/, '') || '/';
+}
+
+function isExempt(pathname) {
+  return Object.entries(EXEMPTABLE_ROUTES).some(([key, route]) =>
+    _state.exemptions[key] && (pathname === route.path || (route.pattern && route.pattern.test(pathname))));
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} dataDir - CH4C data directory (auth.json is stored here).
+ */
+function init(dataDir) {
+  _dataDir = dataDir || 'data';
+  loadState();
+  if (isEnabled()) {
+    logTS(`Authentication enabled (${_state.tokens.length} API token(s))`);
+  }
+}
+
+function isEnabled() {
+  return !!(_state.password && _state.password.hash);
+}
+
+function verifyPassword(password) {
+  if (!isEnabled() || typeof password !== 'string') return false;
+  return safeEqualHex(hashPassword(password, _state.password.salt), _state.password.hash);
+}
+
+/**
+ * Set or change the admin password. Invalidates every existing session.
+ * @throws {Error} if the password is too short
+ */
+function setPassword(newPassword) {
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  _state.password = { salt, hash: hashPassword(newPassword, salt) };
+  _sessions.clear();
+  saveState();
+  logTS('Admin password updated');
+}
+
+/** Remove the admin password, turning authentication off. API tokens are kept. */
+function clearPassword() {
+  _state.password = null;
+  _sessions.clear();
+  saveState();
+  logTS('Admin password removed - authentication disabled');
+}
+
+/**
+ * True if the request carries a valid session cookie, API token or the internal token.
+ * Works on plain http.IncomingMessage so the WebSocket upgrade handler can use it too.
+ */
+function isRequestAuthenticated(req) {
+  if (!isEnabled()) return true;
+  const bearer = getBearerToken(req);
+  if (bearer) {
+    if (isInternalToken(bearer)) return true;
+    const token = findToken(bearer);
+    if (token) {
+      // Persist last-used at most hourly so busy scripts don't rewrite auth.json per request
+      const stale = !token.lastUsedAt || Date.now() - Date.parse(token.lastUsedAt) > 60 * 60 * 1000;
+      token.lastUsedAt = new Date().toISOString();
+      if (stale) saveState();
+      return true;
+    }
+  }
+  const cookies = parseCookies(req.headers && req.headers.cookie);
+  return isValidSession(cookies[SESSION_COOKIE]);
+}
+
+/**
+ * Express middleware — mount before any route. Unauthenticated page loads are redirected
+ * to /login; everything else gets a 401 JSON response.
+ */
+function middleware(req, res, next) {
+  if (!isEnabled()) return next();
+  const pathname = normalizePath(req.path);
+  if (PUBLIC_PATHS.includes(pathname) || isExempt(pathname)) return next();
+  if (isRequestAuthenticated(req)) return next();
+
+  const wantsHtml = req.method === 'GET' && !pathname.startsWith('/api/') &&
+    (req.headers.accept || '').includes('text/html');
+  if (wantsHtml) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ success: false, error: 'Authentication required' });
+}
+
+/** Start a browser session: sets the session cookie on the response. */
+function login(req, res) {
+  res.setHeader('Set-Cookie', sessionCookie(req, createSession(), Math.floor(SESSION_TTL_MS / 1000)));
+}
+
+/** End the caller's browser session and clear the cookie. */
+function logout(req, res) {
+  const cookies = parseCookies(req.headers.cookie);
+  if (cookies[SESSION_COOKIE]) _sessions.delete(cookies[SESSION_COOKIE]);
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+}
+
+/**
+ * Create a named API token. The plaintext token is returned once and never stored.
+ * @returns {{ id, name, createdAt, token }}
+ */
+function createToken(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) throw new Error('Token name is required');
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: trimmed.slice(0, 64),
+    hash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  _state.tokens.push(entry);
+  saveState();
+  logTS(`API token "${entry.name}" created`);
+  return { id: entry.id, name: entry.name, createdAt: entry.createdAt, token };
+}
+
+/** @returns {boolean} true if a token was revoked */
+function revokeToken(id) {
+  const idx = _state.tokens.findIndex(t => t.id === id);
+  if (idx === -1) return false;
+  const [removed] = _state.tokens.splice(idx, 1);
+  saveState();
+  logTS(`API token "${removed.name}" revoked`);
+  return true;
+}
+
+function listTokens() {
+  return _state.tokens.map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt }));
+}
+
+function getExemptions() {
+  return Object.entries(EXEMPTABLE_ROUTES).map(([key, route]) => ({
+    key, path: route.path, label: route.label, exempt: !!_state.exemptions[key],
+  }));
+}
+
+function setExemptions(updates) {
+  for (const key of Object.keys(EXEMPTABLE_ROUTES)) {
+    if (typeof updates[key] === 'boolean') _state.exemptions[key] = updates[key];
+  }
+  saveState();
+}
+
+/**
+ * True if the request is one of CH4C's own loopback requests (carries the internal token).
+ * Independent of whether authentication is enabled.
+ */
+function isInternalRequest(req) {
+  const bearer = getBearerToken(req);
+  return !!bearer && isInternalToken(bearer);
+}
+
+/** Headers for CH4C's own loopback requests (e.g. recordings fetching /stream). */
+function internalHeaders() {
+  return { Authorization: `Bearer ${_internalToken}` };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  init,
+  isEnabled,
+  verifyPassword,
+  setPassword,
+  clearPassword,
+  isRequestAuthenticated,
+  middleware,
+  login,
+  logout,
+  createToken,
+  revokeToken,
+  listTokens,
+  getExemptions,
+  setExemptions,
+  isInternalRequest,
+  internalHeaders,
+};
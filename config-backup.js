@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * config-backup.js
+ * Backup bundle of a CH4C instance's configuration, for moving it to a second box or
+ * restoring after a reinstall.
+ *
+ * The bundle is one JSON file holding the parsed contents of
+ *   config.json                 settings and encoders
+ *   streaming_channels.json     the M3U Manager channel list
+ *   scheduled_recordings.json   scheduled (and recurring) recordings
+ *   login-check-status.json     automatic login check settings and per-site opt-ins
+ *   playlist-profiles.json      M3U Manager playlist profiles
+ *   notifications.json          notification sinks and settings
+ * plus, optionally, the Login Manager credentials (which include notification sink
+ * secrets). Credentials are never written in the clear: they are decrypted from
+ * credentials-store.js and re-encrypted with a key derived from a user passphrase
+ * (scrypt + AES-256-GCM), since the store's own key file stays on the original box.
+ *
+ * Restoring validates everything first (settings with validateAllSettings, encoders with
+ * validateEncoder) and writes nothing unless the whole bundle is valid. The restoring box
+ * keeps its own data directory setting.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { validateAllSettings, validateEncoder, saveConfig, loadConfig } = require('./config-manager');
+const credentialsStore = require('./credentials-store');
+
+const BACKUP_FORMAT = 'ch4c-backup';
+const BACKUP_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+const ALGORITHM = 'aes-256-gcm';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+// Bundle key → file name in the data directory (config.json lives at the config path)
+const DATA_FILES = {
+  channels: 'streaming_channels.json',
+  scheduledRecordings: 'scheduled_recordings.json',
+  loginCheck: 'login-check-status.json',
+  playlistProfiles: 'playlist-profiles.json',
+  notifications: 'notifications.json',
+};
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32, SCRYPT_PARAMS);
+}
+
+function encryptWithPassphrase(obj, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(obj), 'utf8'), cipher.final()]);
+  return {
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decryptWithPassphrase(envelope, passphrase) {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    deriveKey(passphrase, Buffer.from(envelope.salt, 'base64')),
+    Buffer.from(envelope.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Build a backup bundle from the files on disk.
+ * @param {object} opts
+ * @param {string} opts.dataDir
+ * @param {string} opts.configPath
+ * @param {string} opts.appVersion
+ * @param {boolean} [opts.includeCredentials]
+ * @param {string} [opts.passphrase] - required with includeCredentials
+ * @returns {object} bundle
+ * @throws {Error} if credentials are requested without a long enough passphrase
+ */
+function createBackup({ dataDir, configPath, appVersion, includeCredentials = false, passphrase = '' }) {
+  if (includeCredentials && String(passphrase).length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`A passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters is required to include credentials`);
+  }
+
+  const files = { config: loadConfig(configPath).config };
+  for (const [key, fileName] of Object.entries(DATA_FILES)) {
+    files[key] = readJson(path.join(dataDir, fileName));
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    appVersion,
+    createdAt: new Date().toISOString(),
+    files,
+    credentials: includeCredentials
+      ? encryptWithPassphrase(credentialsStore.getAllCredentials(), passphrase)
+      : null,
+  };
+}
+
+/**
+ * Validate a bundle and decrypt its credentials. Nothing is written.
+ * @param {object} bundle
+ * @param {string} [passphrase] - needed only if the bundle includes credentials
+ * @returns {{ valid: boolean, errors: object, contents: object|null }} errors are keyed by
+ *   section (format, config, encoders, encoder_<i>, channels, scheduledRecordings, loginCheck,
+ *   playlistProfiles, notifications, credentials)
+ */
+function validateBackup(bundle, passphrase = '') {
+  const errors = {};
+  if (!isPlainObject(bundle) || bundle.format !== BACKUP_FORMAT || !isPlainObject(bundle.files)) {
+    return { valid: false, errors: { format: 'Not a CH4C backup file' }, contents: null };
+  }
+  if (bundle.version > BACKUP_VERSION) {
+    return { valid: false, errors: { format: `Backup version ${bundle.version} is newer than this CH4C supports` }, contents: null };
+  }
+
+  const { config, channels, scheduledRecordings, loginCheck, playlistProfiles, notifications } = bundle.files;
+  let settings = null;
+  if (!isPlainObject(config)) {
+    errors.config = 'config.json is missing';
+  } else {
+    const validation = validateAllSettings(config);
+    if (!validation.valid) errors.config = validation.errors;
+    settings = validation.parsed;
+    if (config.encoders !== undefined && !Array.isArray(config.encoders)) {
+      errors.encoders = 'Encoders must be a list';
+    }
+    (Array.isArray(config.encoders) ? config.encoders : []).forEach((encoder, i) => {
+      const encValidation = validateEncoder(encoder || {});
+      if (!encValidation.valid) errors[`encoder_${i}`] = encValidation.errors;
+    });
+  }
+
+  if (channels !== null && channels !== undefined) {
+    const list = isPlainObject(channels) ? channels.channels : null;
+    if (!Array.isArray(list) || list.some(ch => !isPlainObject(ch) || !ch.id || !ch.service || !ch.name)) {
+      errors.channels = 'streaming_channels.json must hold a channels list whose entries have an id, service and name';
+    }
+  }
+  if (scheduledRecordings !== null && scheduledRecordings !== undefined) {
+    if (!Array.isArray(scheduledRecordings) ||
+        scheduledRecordings.some(r => !isPlainObject(r) || !r.id || !isPlainObject(r.params))) {
+      errors.scheduledRecordings = 'scheduled_recordings.json must be a list of recordings with an id and params';
+    }
+  }
+  if (loginCheck !== null && loginCheck !== undefined && !isPlainObject(loginCheck)) {
+    errors.loginCheck = 'login-check-status.json must be an object';
+  }
+  if (playlistProfiles !== null && playlistProfiles !== undefined && !isPlainObject(playlistProfiles)) {
+    errors.playlistProfiles = 'playlist-profiles.json must be an object';
+  }
+  if (notifications !== null && notifications !== undefined &&
+      (!isPlainObject(notifications) || !Array.isArray(notifications.sinks))) {
+    errors.notifications = 'notifications.json must be an object with a sinks list';
+  }
+
+  let credentials = null;
+  if (bundle.credentials) {
+    if (!passphrase) {
+      errors.credentials = 'This backup includes credentials — enter its passphrase';
+    } else {
+      try {
+        credentials = decryptWithPassphrase(bundle.credentials, passphrase);
+      } catch {
+        errors.credentials = 'Wrong passphrase, or the credentials in the backup are damaged';
+      }
+    }
+  }
+
+  if (Object.keys(errors).length > 0) return { valid: false, errors, contents: null };
+  return {
+    valid: true,
+    errors,
+    contents: {
+      settings: { ...settings, encoders: config.encoders || [] },
+      channels: channels || null,
+      scheduledRecordings: scheduledRecordings || null,
+      loginCheck: loginCheck || null,
+      playlistProfiles: playlistProfiles || null,
+      notifications: notifications || null,
+      credentials,
+    },
+  };
+}
+
+/**
+ * Write validated contents (from validateBackup) to disk. Files absent from the backup are
+ * left as they are; the restoring box's dataDir setting is kept.
+ * @param {object} contents
+ * @param {object} opts
+ * @param {string} opts.dataDir
+ * @param {string} opts.configPath
+ * @returns {{ restored: string[], credentials: number }} file names written, credential sites restored
+ * @throws {Error} if config.json can't be saved
+ */
+function applyBackup(contents, { dataDir, configPath }) {
+  const restored = [];
+  const currentDataDir = loadConfig(configPath).config.dataDir;
+  const settings = { ...contents.settings, dataDir: currentDataDir };
+  const result = saveConfig(configPath, settings);
+  if (!result.success) throw new Error(`Failed to save config.json: ${result.error}`);
+  restored.push(path.basename(configPath));
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  for (const [key, fileName] of Object.entries(DATA_FILES)) {
+    if (!contents[key]) continue;
+    fs.writeFileSync(path.join(dataDir, fileName), JSON.stringify(contents[key], null, 2), 'utf8');
+    restored.push(fileName);
+  }
+
+  const credentialSites = Object.entries(contents.credentials || {});
+  for (const [siteId, creds] of credentialSites) {
+    credentialsStore.saveCredentials(siteId, creds);
+  }
+  return { restored, credentials: credentialSites.length };
+}
+
+module.exports = {
+  MIN_PASSPHRASE_LENGTH,
+  createBackup,
+  validateBackup,
+  applyBackup,
+};
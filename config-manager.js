@@ -79,6 +79,70 @@ const CONFIG_METADATA = {
       min: 0.5,
       max: 168,
       unit: 'hours'
+    },
+    {
+      path: 'enableVideoWatchdog',
+      label: 'Video Watchdog',
+      description: 'Check that the video keeps playing during streams and recordings, and run the stream recovery actions when it stalls',
+      type: 'boolean',
+      default: true
+    },
+    {
+      path: 'videoStallTimeout',
+      label: 'Video Stall Limit',
+      description: 'How long the video may show no progress before recovery',
+      type: 'integer',
+      default: 45,
+      min: 20,
+      max: 300,
+      unit: 'seconds',
+      dependsOn: 'enableVideoWatchdog'
+    },
+    {
+      path: 'enableStreamAnalyzer',
+      label: 'Stream Analyzer',
+      description: 'Read a few seconds of each busy encoder\'s stream to spot black or frozen video and silent audio (opens a second connection to the encoder)',
+      type: 'boolean',
+      default: false
+    },
+    {
+      path: 'streamAnalyzerInterval',
+      label: 'Analyzer Interval',
+      description: 'How often to analyze encoder streams',
+      type: 'integer',
+      default: 5,
+      min: 1,
+      max: 60,
+      unit: 'minutes',
+      dependsOn: 'enableStreamAnalyzer'
+    },
+    {
+      path: 'streamInactivityTimeout',
+      label: 'Stream Inactivity Limit',
+      description: 'A stream with no data from its encoder for this long gets a recovery action',
+      type: 'integer',
+      default: 60,
+      min: 15,
+      max: 600,
+      unit: 'seconds'
+    },
+    {
+      path: 'streamMaxErrors',
+      label: 'Stream Error Limit',
+      description: 'A stream with this many errors in a row gets a recovery action',
+      type: 'integer',
+      default: 5,
+      min: 1,
+      max: 50
+    },
+    {
+      path: 'streamRecoveryActions',
+      label: 'Stream Recovery Actions',
+      description: 'Actions tried in order when a stream stalls or keeps erroring, each as action:attempts — fullscreen (re-run the site\'s fullscreen/play handling), reload (reload the page), navigate (re-open the stream URL), browser (restart the browser). "none" disables recovery.',
+      type: 'string',
+      default: 'fullscreen:2,reload:1,navigate:1,browser:1',
+      pattern: '^(none|(fullscreen|reload|navigate|browser):\\d{1,2}(\\s*,\\s*(fullscreen|reload|navigate|browser):\\d{1,2})*)$',
+      placeholder: 'fullscreen:2,reload:1,navigate:1,browser:1'
     }
   ],
   m3U: [
@@ -89,6 +153,35 @@ const CONFIG_METADATA = {
       type: 'boolean',
       default: true
     }
+  ],
+  recording: [
+    {
+      path: 'resumeInterruptedRecordings',
+      label: 'Resume Interrupted Recordings',
+      description: 'If CH4C restarts while an instant recording is in progress, re-tune the same URL on the same encoder and record the remaining minutes as "Part 2"',
+      type: 'boolean',
+      default: false
+    },
+    {
+      path: 'startEarlyMinutes',
+      label: 'Start Early',
+      description: 'Default minutes to tune and start scheduled recordings before their start time (login, ads, player warm-up). Can be changed per recording.',
+      type: 'integer',
+      default: 0,
+      min: 0,
+      max: 120,
+      unit: 'minutes'
+    },
+    {
+      path: 'endLateMinutes',
+      label: 'End Late',
+      description: 'Default minutes to keep scheduled recordings going past their end time (overtime, delays). Can be changed per recording.',
+      type: 'integer',
+      default: 0,
+      min: 0,
+      max: 240,
+      unit: 'minutes'
+    }
   ]
 };
 
@@ -103,9 +103,39 @@ function loadConfigFile(configPath) {
     if (config.browserHealthInterval !== undefined) {
       normalized.browserHealthInterval = Number(config.browserHealthInterval);
     }
+    if (config.enableVideoWatchdog !== undefined) {
+      normalized.enableVideoWatchdog = Boolean(config.enableVideoWatchdog);
+    }
+    if (config.videoStallTimeout !== undefined) {
+      normalized.videoStallTimeout = Number(config.videoStallTimeout);
+    }
+    if (config.enableStreamAnalyzer !== undefined) {
+      normalized.enableStreamAnalyzer = Boolean(config.enableStreamAnalyzer);
+    }
+    if (config.streamAnalyzerInterval !== undefined) {
+      normalized.streamAnalyzerInterval = Number(config.streamAnalyzerInterval);
+    }
     if (config.enableM3uAutoSync !== undefined) {
       normalized.enableM3uAutoSync = Boolean(config.enableM3uAutoSync);
     }
+    if (config.resumeInterruptedRecordings !== undefined) {
+      normalized.resumeInterruptedRecordings = Boolean(config.resumeInterruptedRecordings);
+    }
+    if (config.startEarlyMinutes !== undefined) {
+      normalized.startEarlyMinutes = Number(config.startEarlyMinutes);
+    }
+    if (config.endLateMinutes !== undefined) {
+      normalized.endLateMinutes = Number(config.endLateMinutes);
+    }
+    if (config.streamInactivityTimeout !== undefined) {
+      normalized.streamInactivityTimeout = Number(config.streamInactivityTimeout);
+    }
+    if (config.streamMaxErrors !== undefined) {
+      normalized.streamMaxErrors = Number(config.streamMaxErrors);
+    }
+    if (config.streamRecoveryActions !== undefined) {
+      normalized.streamRecoveryActions = String(config.streamRecoveryActions);
+    }
     if (config.encoders !== undefined && Array.isArray(config.encoders)) {
       normalized.encoders = config.encoders;
     }
@@ -395,6 +425,106 @@ const argv = yargs(rawArgs)
     default: fileConfig?.enableM3uAutoSync !== undefined ? fileConfig.enableM3uAutoSync : true,
     describe: 'Automatically discover, create, and refresh the Channels DVR M3U source at startup'
   })
+  .option('resume-interrupted-recordings', {
+    alias: 'r',
+    type: 'boolean',
+    default: fileConfig?.resumeInterruptedRecordings || false,
+    describe: 'After an unexpected restart, resume instant recordings that were still in progress as a new "Part 2" recording'
+  })
+  .option('start-early-minutes', {
+    type: 'number',
+    default: fileConfig?.startEarlyMinutes || 0,
+    describe: 'Default minutes to start scheduled recordings before their start time',
+    coerce: (value) => {
+      const minutes = parseInt(value);
+      if (isNaN(minutes) || minutes < 0 || minutes > 120) {
+        throw new Error('Start early minutes must be between 0 and 120');
+      }
+      return minutes;
+    }
+  })
+  .option('end-late-minutes', {
+    type: 'number',
+    default: fileConfig?.endLateMinutes || 0,
+    describe: 'Default minutes to keep scheduled recordings going past their end time',
+    coerce: (value) => {
+      const minutes = parseInt(value);
+      if (isNaN(minutes) || minutes < 0 || minutes > 240) {
+        throw new Error('End late minutes must be between 0 and 240');
+      }
+      return minutes;
+    }
+  })
+  .option('enable-video-watchdog', {
+    type: 'boolean',
+    default: fileConfig?.enableVideoWatchdog !== undefined ? fileConfig.enableVideoWatchdog : true,
+    describe: 'Check that the video keeps playing during streams and recordings, and recover it when it stalls'
+  })
+  .option('video-stall-timeout', {
+    type: 'number',
+    default: fileConfig?.videoStallTimeout || 45,
+    describe: 'Seconds the video may show no progress before recovery',
+    coerce: (value) => {
+      const seconds = parseInt(value);
+      if (isNaN(seconds) || seconds < 20 || seconds > 300) {
+        throw new Error('Video stall timeout must be between 20 and 300 seconds');
+      }
+      return seconds;
+    }
+  })
+  .option('enable-stream-analyzer', {
+    type: 'boolean',
+    default: fileConfig?.enableStreamAnalyzer || false,
+    describe: 'Analyze a few seconds of each busy encoder\'s stream for black or frozen video and silent audio'
+  })
+  .option('stream-analyzer-interval', {
+    type: 'number',
+    default: fileConfig?.streamAnalyzerInterval || 5,
+    describe: 'Interval in minutes between encoder stream analyses',
+    coerce: (value) => {
+      const minutes = parseInt(value);
+      if (isNaN(minutes) || minutes < 1 || minutes > 60) {
+        throw new Error('Stream analyzer interval must be between 1 and 60 minutes');
+      }
+      return minutes;
+    }
+  })
+  .option('stream-inactivity-timeout', {
+    type: 'number',
+    default: fileConfig?.streamInactivityTimeout || 60,
+    describe: 'Seconds without data from an encoder before a stream recovery action',
+    coerce: (value) => {
+      const seconds = parseInt(value);
+      if (isNaN(seconds) || seconds < 15 || seconds > 600) {
+        throw new Error('Stream inactivity timeout must be between 15 and 600 seconds');
+      }
+      return seconds;
+    }
+  })
+  .option('stream-max-errors', {
+    type: 'number',
+    default: fileConfig?.streamMaxErrors || 5,
+    describe: 'Stream errors in a row before a stream recovery action',
+    coerce: (value) => {
+      const count = parseInt(value);
+      if (isNaN(count) || count < 1 || count > 50) {
+        throw new Error('Stream max errors must be between 1 and 50');
+      }
+      return count;
+    }
+  })
+  .option('stream-recovery-actions', {
+    type: 'string',
+    default: fileConfig?.streamRecoveryActions || 'fullscreen:2,reload:1,navigate:1,browser:1',
+    describe: 'Stream recovery actions in order, as action:attempts (fullscreen, reload, navigate, browser), or none',
+    coerce: (value) => {
+      const actions = String(value).trim();
+      if (!/^(none|(fullscreen|reload|navigate|browser):\d{1,2}(\s*,\s*(fullscreen|reload|navigate|browser):\d{1,2})*)$/.test(actions)) {
+        throw new Error('Stream recovery actions must be "none" or a list like fullscreen:2,reload:1,navigate:1,browser:1');
+      }
+      return actions;
+    }
+  })
   .option('ch4c-ssl-port', {
     alias: 't',
     type: 'number',
@@ -482,6 +612,16 @@ if (argv.help) {
     .option('pause-monitor-interval', { alias: 'i', type: 'number', default: 10, describe: 'Interval in seconds to check for paused video' })
     .option('browser-health-interval', { alias: 'b', type: 'number', default: 6, describe: 'Interval in hours to check browser health (default: 6)' })
     .option('enable-m3u-auto-sync', { alias: 'a', type: 'boolean', default: true, describe: 'Automatically discover, create, and refresh the Channels DVR M3U source at startup' })
+    .option('resume-interrupted-recordings', { alias: 'r', type: 'boolean', default: false, describe: 'After an unexpected restart, resume instant recordings that were still in progress as a new "Part 2" recording' })
+    .option('start-early-minutes', { type: 'number', default: 0, describe: 'Default minutes to start scheduled recordings before their start time' })
+    .option('end-late-minutes', { type: 'number', default: 0, describe: 'Default minutes to keep scheduled recordings going past their end time' })
+    .option('enable-video-watchdog', { type: 'boolean', default: true, describe: 'Check that the video keeps playing during streams and recordings, and recover it when it stalls' })
+    .option('video-stall-timeout', { type: 'number', default: 45, describe: 'Seconds the video may show no progress before recovery' })
+    .option('enable-stream-analyzer', { type: 'boolean', default: false, describe: 'Analyze a few seconds of each busy encoder\'s stream for black or frozen video and silent audio' })
+    .option('stream-analyzer-interval', { type: 'number', default: 5, describe: 'Interval in minutes between encoder stream analyses' })
+    .option('stream-inactivity-timeout', { type: 'number', default: 60, describe: 'Seconds without data from an encoder before a stream recovery action' })
+    .option('stream-max-errors', { type: 'number', default: 5, describe: 'Stream errors in a row before a stream recovery action' })
+    .option('stream-recovery-actions', { type: 'string', default: 'fullscreen:2,reload:1,navigate:1,browser:1', describe: 'Stream recovery actions in order, as action:attempts (fullscreen, reload, navigate, browser), or none' })
     .option('ch4c-ssl-port', { alias: 't', type: 'number', describe: 'Enable HTTPS on specified port' })
     .option('ssl-hostnames', { alias: 'n', type: 'string', describe: 'Additional hostnames/IPs for SSL certificate (comma-separated)' })
     .option('version', { alias: 'v', type: 'boolean', describe: 'Show version number' })
@@ -528,7 +668,17 @@ const config = {
   ENABLE_PAUSE_MONITOR: argv['enable-pause-monitor'],
   PAUSE_MONITOR_INTERVAL: argv['pause-monitor-interval'],
   BROWSER_HEALTH_INTERVAL: argv['browser-health-interval'],
-  ENABLE_M3U_AUTO_SYNC: argv['enable-m3u-auto-sync']
+  ENABLE_M3U_AUTO_SYNC: argv['enable-m3u-auto-sync'],
+  RESUME_INTERRUPTED_RECORDINGS: argv['resume-interrupted-recordings'],
+  START_EARLY_MINUTES: argv['start-early-minutes'],
+  END_LATE_MINUTES: argv['end-late-minutes'],
+  ENABLE_VIDEO_WATCHDOG: argv['enable-video-watchdog'],
+  VIDEO_STALL_TIMEOUT: argv['video-stall-timeout'],
+  ENABLE_STREAM_ANALYZER: argv['enable-stream-analyzer'],
+  STREAM_ANALYZER_INTERVAL: argv['stream-analyzer-interval'],
+  STREAM_INACTIVITY_TIMEOUT: argv['stream-inactivity-timeout'],
+  STREAM_MAX_ERRORS: argv['stream-max-errors'],
+  STREAM_RECOVERY_ACTIONS: argv['stream-recovery-actions']
 };
 
 // Track which settings were explicitly provided via CLI args (not from config file defaults).
@@ -544,19 +694,41 @@ const cliArgMap = {
   'enable-pause-monitor': 'enablePauseMonitor',
   'pause-monitor-interval': 'pauseMonitorInterval',
   'browser-health-interval': 'browserHealthInterval',
-  'enable-m3u-auto-sync': 'enableM3uAutoSync'
+  'enable-m3u-auto-sync': 'enableM3uAutoSync',
+  'resume-interrupted-recordings': 'resumeInterruptedRecordings',
+  'start-early-minutes': 'startEarlyMinutes',
+  'end-late-minutes': 'endLateMinutes',
+  'enable-video-watchdog': 'enableVideoWatchdog',
+  'video-stall-timeout': 'videoStallTimeout',
+  'enable-stream-analyzer': 'enableStreamAnalyzer',
+  'stream-analyzer-interval': 'streamAnalyzerInterval',
+  'stream-inactivity-timeout': 'streamInactivityTimeout',
+  'stream-max-errors': 'streamMaxErrors',
+  'stream-recovery-actions': 'streamRecoveryActions'
 };
 
 // An arg is CLI-provided if it was explicitly passed on the command line (not from config file or default).
 // yargs tracks which args were explicitly provided in argv._ and via the parsed object.
-// Alias defaults to the flag's first letter; only listed here when that doesn't hold.
-const cliAliasOverrides = { 'enable-m3u-auto-sync': 'a' };
+// Alias defaults to the flag's first letter; only listed here when that doesn't hold
+// (null for flags without a short alias).
+const cliAliasOverrides = {
+  'enable-m3u-auto-sync': 'a',
+  'start-early-minutes': null,
+  'end-late-minutes': null,
+  'enable-video-watchdog': null,
+  'video-stall-timeout': null,
+  'enable-stream-analyzer': null,
+  'stream-analyzer-interval': null,
+  'stream-inactivity-timeout': null,
+  'stream-max-errors': null,
+  'stream-recovery-actions': null
+};
 for (const [cliName, configName] of Object.entries(cliArgMap)) {
-  const alias = cliAliasOverrides[cliName] || cliName.charAt(0);
+  const alias = cliName in cliAliasOverrides ? cliAliasOverrides[cliName] : cliName.charAt(0);
   // Check if the raw CLI args contain this option (not from config file defaults)
   const hasCliArg = rawArgs.some(arg =>
     arg === `--${cliName}` || arg.startsWith(`--${cliName}=`) ||
-    arg === `-${alias}`
+    (alias && arg === `-${alias}`)
   );
   if (hasCliArg) {
     cliOverrides[configName] = String(argv[cliName]);
@@ -608,6 +780,26 @@ const BROWSER_HEALTH_INTERVAL = config.BROWSER_HEALTH_INTERVAL
 // M3U auto-sync settings - use values from command line arguments
 const ENABLE_M3U_AUTO_SYNC = config.ENABLE_M3U_AUTO_SYNC
 
+// resume interrupted instant recordings after a restart - use values from command line arguments
+const RESUME_INTERRUPTED_RECORDINGS = config.RESUME_INTERRUPTED_RECORDINGS
+
+// default padding for scheduled recordings (minutes) - use values from command line arguments
+const START_EARLY_MINUTES = config.START_EARLY_MINUTES
+const END_LATE_MINUTES = config.END_LATE_MINUTES
+
+// in-page video watchdog settings - use values from command line arguments
+const ENABLE_VIDEO_WATCHDOG = config.ENABLE_VIDEO_WATCHDOG
+const VIDEO_STALL_TIMEOUT = config.VIDEO_STALL_TIMEOUT
+
+// encoder MPEG-TS analyzer settings - use values from command line arguments
+const ENABLE_STREAM_ANALYZER = config.ENABLE_STREAM_ANALYZER
+const STREAM_ANALYZER_INTERVAL = config.STREAM_ANALYZER_INTERVAL
+
+// stream monitor thresholds and recovery actions - use values from command line arguments
+const STREAM_INACTIVITY_TIMEOUT = config.STREAM_INACTIVITY_TIMEOUT
+const STREAM_MAX_ERRORS = config.STREAM_MAX_ERRORS
+const STREAM_RECOVERY_ACTIONS = config.STREAM_RECOVERY_ACTIONS
+
 // path to create recording jobs on Channels
 const _cdvrBase = CHANNELS_URL ? CHANNELS_URL.replace(/\/+$/, '').replace(/:\d+$/, '') : null;
 const CHANNELS_POST_URL = _cdvrBase ? `${_cdvrBase}:${CHANNELS_PORT}/dvr/jobs/new` : null
@@ -1262,7 +1454,7 @@ const START_PAGE_HTML = `
                             <div style="flex:1;min-width:0;">
                                 <div style="font-weight:600;color:#2d3748;">\${entry.name}</div>
                                 <div style="font-size:12px;color:#718096;">\${scheduledDate}</div>
-                                <div style="font-size:11px;color:#a0aec0;">\${entry.duration} min</div>
+                                <div style="font-size:11px;color:#a0aec0;">\${entry.duration} min\${entry.recurrenceDescription ? ' · ' + entry.recurrenceDescription : ''}</div>
                             </div>
                             <button onclick="cancelScheduledRecordingHome('\${entry.id}')" style="padding:8px 16px;background:#fc8181;color:white;border:none;border-radius:6px;font-size:13px;font-weight:600;margin-left:12px;flex-shrink:0;cursor:pointer;">Cancel</button>
                         </div>
@@ -1274,7 +1466,7 @@ const START_PAGE_HTML = `
         }
 
         async function cancelScheduledRecordingHome(id) {
-            if (!confirm('Cancel this scheduled recording?')) return;
+            if (!confirm('Cancel this scheduled recording? For a repeating recording this cancels the whole series.')) return;
             try {
                 const res = await fetch('/api/scheduled-recordings/' + id, { method: 'DELETE' });
                 const data = await res.json();
@@ -2044,6 +2236,138 @@ const INSTANT_PAGE_HTML = `
             transform: translateY(0);
         }
 
+        .service-tabs {
+            display: flex;
+            gap: 8px;
+            margin-bottom: 24px;
+            border-bottom: 2px solid #e2e8f0;
+        }
+
+        .tab {
+            padding: 12px 24px;
+            background: transparent;
+            border: none;
+            border-bottom: 3px solid transparent;
+            color: #718096;
+            font-weight: 600;
+            cursor: pointer;
+            transition: all 0.3s;
+        }
+
+        .tab:hover {
+            color: #667eea;
+        }
+
+        .tab.active {
+            color: #667eea;
+            border-bottom-color: #667eea;
+        }
+
+        .timeline-row {
+            display: flex;
+            align-items: center;
+            margin-bottom: 6px;
+        }
+
+        .timeline-label {
+            flex: 0 0 90px;
+            font-size: 12px;
+            font-weight: 600;
+            color: #4a5568;
+        }
+
+        .timeline-track {
+            position: relative;
+            flex: 1;
+            height: 24px;
+            background: #f7fafc;
+            border-radius: 4px;
+        }
+
+        .timeline-days .timeline-track {
+            background: transparent;
+            height: 16px;
+        }
+
+        .timeline-day {
+            position: absolute;
+            top: 0;
+            font-size: 11px;
+            color: #718096;
+            border-left: 1px solid #cbd5e0;
+            padding-left: 3px;
+            white-space: nowrap;
+        }
+
+        .timeline-block {
+            position: absolute;
+            top: 2px;
+            bottom: 2px;
+            min-width: 3px;
+            border-radius: 3px;
+            background: #667eea;
+            overflow: hidden;
+        }
+
+        .timeline-block.in-progress { background: #48bb78; }
+        .timeline-block.fallback { background: #ed8936; }
+        .timeline-block.conflict { background: #e53e3e; }
+
+        .history-toolbar {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+            margin-bottom: 16px;
+        }
+
+        .history-toolbar select {
+            width: auto;
+            flex: 0 0 auto;
+        }
+
+        .history-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+
+        .history-table th,
+        .history-table td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #e2e8f0;
+            vertical-align: top;
+        }
+
+        .history-table th {
+            color: #4a5568;
+            font-weight: 600;
+        }
+
+        .history-status {
+            display: inline-block;
+            padding: 2px 8px;
+            border-radius: 10px;
+            font-size: 12px;
+            font-weight: 600;
+            background: #edf2f7;
+            color: #4a5568;
+        }
+
+        .history-status.completed { background: #c6f6d5; color: #22543d; }
+        .history-status.recording,
+        .history-status.starting { background: #bee3f8; color: #2a4365; }
+        .history-status.stopped { background: #fefcbf; color: #744210; }
+        .history-status.failed,
+        .history-status.interrupted { background: #fed7d7; color: #742a2a; }
+
+        .history-detail {
+            color: #718096;
+            font-size: 12px;
+            margin-top: 4px;
+            word-break: break-all;
+        }
+
         .info-box {
             background: #edf2f7;
             border-left: 4px solid #667eea;
@@ -2211,6 +2535,7 @@ const INSTANT_PAGE_HTML = `
         }
 
         .modal-detail {
+            white-space: pre-line;
             color: #718096;
             font-size: 13px;
             background: #f7fafc;
@@ -2295,6 +2620,12 @@ const INSTANT_PAGE_HTML = `
             <p style="margin-top: 12px;"><a href="/" style="color: #667eea; text-decoration: none; font-size: 14px;">← Back to Home</a></p>
         </div>
 
+        <div class="service-tabs">
+            <button class="tab active" data-tab="record" onclick="switchInstantTab('record')">Record / Tune</button>
+            <button class="tab" data-tab="history" onclick="switchInstantTab('history')">History</button>
+        </div>
+
+        <div id="record-tab">
         <form method="POST" action="/instant">
             <div class="form-group">
                 <label>
@@ -2490,18 +2821,83 @@ const INSTANT_PAGE_HTML = `
                     </button>
                     <button type="button" id="cancel_later_btn" class="btn btn-secondary">Cancel</button>
                 </div>
+                <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-top:10px;">
+                    <label for="start_early_minutes" style="margin:0;">Start early</label>
+                    <input type="number" id="start_early_minutes" name="start_early_minutes" min="0" max="120" placeholder="<<start_early_default>>" style="width:80px;">
+                    <span>min</span>
+                    <label for="end_late_minutes" style="margin:0 0 0 12px;">End late</label>
+                    <input type="number" id="end_late_minutes" name="end_late_minutes" min="0" max="240" placeholder="<<end_late_default>>" style="width:80px;">
+                    <span>min</span>
+                    <span style="color:#718096;font-size:12px;">Blank uses the default from Settings</span>
+                </div>
+                <div style="display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-top:10px;">
+                    <label for="repeat" style="margin:0;">Repeat</label>
+                    <select id="repeat" name="repeat" style="flex:0 0 auto;width:auto;">
+                        <option value="none">Never</option>
+                        <option value="daily">Daily</option>
+                        <option value="weekdays">Weekdays (Mon–Fri)</option>
+                        <option value="weekly">Weekly on…</option>
+                        <option value="interval">Every N days</option>
+                    </select>
+                    <span id="repeat_days_row" style="display:none;">
+                        <label style="display:inline;font-weight:400;"><input type="checkbox" class="repeat-day" value="0"> Sun</label>
+                        <label style="display:inline;font-weight:400;"><input type="checkbox" class="repeat-day" value="1"> Mon</label>
+                        <label style="display:inline;font-weight:400;"><input type="checkbox" class="repeat-day" value="2"> Tue</label>
+                        <label style="display:inline;font-weight:400;"><input type="checkbox" class="repeat-day" value="3"> Wed</label>
+                        <label style="display:inline;font-weight:400;"><input type="checkbox" class="repeat-day" value="4"> Thu</label>
+                        <label style="display:inline;font-weight:400;"><input type="checkbox" class="repeat-day" value="5"> Fri</label>
+                        <label style="display:inline;font-weight:400;"><input type="checkbox" class="repeat-day" value="6"> Sat</label>
+                    </span>
+                    <span id="repeat_interval_row" style="display:none;">
+                        every <input type="number" id="repeat_interval" name="repeat_interval" min="1" max="365" value="2" style="width:70px;"> days
+                    </span>
+                </div>
+                <div id="repeat_end_row" style="display:none;gap:8px;align-items:center;flex-wrap:wrap;margin-top:10px;">
+                    <label for="repeat_end" style="margin:0;">Ends</label>
+                    <select id="repeat_end" style="flex:0 0 auto;width:auto;">
+                        <option value="never">Never</option>
+                        <option value="until">On date</option>
+                        <option value="count">After a number of recordings</option>
+                    </select>
+                    <input type="date" id="repeat_until_date" style="display:none;width:auto;">
+                    <input type="number" id="repeat_count" name="repeat_count" min="1" max="1000" value="10" style="display:none;width:90px;">
+                </div>
             </div>
 
             <div class="info-box">
                 <p>
                     <strong>📹 Start Recording:</strong> Creates a scheduled recording in Channels DVR and begins streaming the URL.<br>
-                    <strong>🕐 Record Later:</strong> Schedules a future recording. An encoder will be auto-selected when the scheduled time arrives.<br>
-                    <strong>📺 Tune to Channel:</strong> Simply loads the URL on an available encoder without recording. The stream will be available on the encoder's channel number in Channels DVR. Optional: specify duration for auto-stop, or leave blank for indefinite streaming.
+                    <strong>🕐 Record Later:</strong> Schedules a future recording. An encoder will be auto-selected when the scheduled time arrives. Use Repeat for a series (daily, weekdays, weekly on chosen days or every N days).<br>
+                    <strong>📺 Tune to Channel:</strong> Simply loads the URL on an available encoder without recording. The stream will be available on the encoder's channel number in Channels DVR. Optional: specify duration for auto-stop, or leave blank for indefinite streaming.<br>
+                    <strong>⏳ All encoders busy:</strong> Requests wait in a priority queue (scheduled recording &gt; instant recording &gt; live viewing &gt; tune). A recording can stop a live or tuned stream to free an encoder if pre-emption is enabled in Settings.
                 </p>
             </div>
         </form>
         <<active_streams>>
+        <<encoder_queue>>
         <<scheduled_recordings>>
+        <div id="schedule-timeline-container" class="active-streams" style="display:none;"></div>
+        </div>
+
+        <div id="history-tab" style="display:none;">
+            <div class="history-toolbar">
+                <select id="history_status" onchange="loadRecordingHistory()">
+                    <option value="">All outcomes</option>
+                    <option value="recording">Recording</option>
+                    <option value="completed">Completed</option>
+                    <option value="stopped">Stopped early</option>
+                    <option value="failed">Failed</option>
+                    <option value="interrupted">Interrupted</option>
+                </select>
+                <select id="history_type" onchange="loadRecordingHistory()">
+                    <option value="">Instant and scheduled</option>
+                    <option value="instant">Instant</option>
+                    <option value="scheduled">Scheduled</option>
+                </select>
+                <button type="button" class="btn-stop" style="margin-left:auto;" onclick="clearRecordingHistory()">Clear History</button>
+            </div>
+            <div id="history-container"><p style="color:#718096;">Loading...</p></div>
+        </div>
     </div>
 
     <!-- Modal for confirmations -->
@@ -2527,6 +2923,8 @@ const INSTANT_PAGE_HTML = `
         const cancelLaterBtn = document.getElementById('cancel_later_btn');
         const recordLaterRow = document.getElementById('record_later_row');
         const recordLaterTimeInput = document.getElementById('record_later_time');
+        const repeatSelect = document.getElementById('repeat');
+        const repeatEndSelect = document.getElementById('repeat_end');
 
         // Update tune button text based on selected encoder
         function updateTuneButtonText() {
@@ -2584,7 +2982,33 @@ const INSTANT_PAGE_HTML = `
         cancelLaterBtn.addEventListener('click', function() {
             recordLaterRow.style.display = 'none';
             recordLaterBtn.style.display = '';
+            exitScheduleEdit();
+        });
+
+        // Repeat options for Record Later
+        function updateRepeatFields() {
+            const repeat = repeatSelect.value;
+            document.getElementById('repeat_days_row').style.display = repeat === 'weekly' ? 'inline' : 'none';
+            document.getElementById('repeat_interval_row').style.display = repeat === 'interval' ? 'inline' : 'none';
+            document.getElementById('repeat_end_row').style.display = repeat === 'none' ? 'none' : 'flex';
+            document.getElementById('repeat_until_date').style.display = repeatEndSelect.value === 'until' ? '' : 'none';
+            document.getElementById('repeat_count').style.display = repeatEndSelect.value === 'count' ? '' : 'none';
+        }
+        repeatSelect.addEventListener('change', function() {
+            // Default the weekly days to the day of the chosen start time
+            if (repeatSelect.value === 'weekly' && !document.querySelector('.repeat-day:checked')) {
+                const start = new Date(recordLaterTimeInput.value);
+                if (!isNaN(start.getTime())) {
+                    document.querySelector('.repeat-day[value="' + start.getDay() + '"]').checked = true;
+                }
+            }
+            updateRepeatFields();
         });
+        repeatEndSelect.addEventListener('change', updateRepeatFields);
+
+        function getRepeatDays() {
+            return Array.from(document.querySelectorAll('.repeat-day:checked')).map(cb => cb.value).join(',');
+        }
 
         // Content Search — allow pressing Enter in the search query field
         document.getElementById('search_query').addEventListener('keydown', function(e) {
@@ -2698,6 +3122,22 @@ const INSTANT_PAGE_HTML = `
             if (e.target === this) hideModal();
         });
 
+        // Set by "Schedule Anyway" to resubmit a Record Later request despite conflicts
+        let allowConflictsOnce = false;
+
+        function describeConflicts(conflicts) {
+            const lines = [];
+            conflicts.forEach(conflict => {
+                conflict.jobs.forEach(job => {
+                    const line = '• ' + job.name + ' — ' + new Date(job.start).toLocaleString() +
+                        ' to ' + new Date(job.end).toLocaleTimeString() + (job.inProgress ? ' (recording now)' : '');
+                    if (!lines.includes(line)) lines.push(line);
+                });
+            });
+            return 'Overlapping recordings:\\n' + lines.slice(0, 8).join('\\n') +
+                (lines.length > 8 ? '\\n… and ' + (lines.length - 8) + ' more' : '');
+        }
+
         form.addEventListener('submit', async function(e) {
             e.preventDefault();
             const submitButton = e.submitter;
@@ -2720,6 +3160,18 @@ const INSTANT_PAGE_HTML = `
                         [{ text: 'OK', action: () => { hideModal(); recordLaterTimeInput.focus(); } }]);
                     return;
                 }
+                if (repeatSelect.value === 'weekly' && !getRepeatDays()) {
+                    showModal('error', '⚠️', 'Days Required',
+                        'Choose at least one day of the week to repeat on.', '',
+                        [{ text: 'OK', action: hideModal }]);
+                    return;
+                }
+                if (repeatSelect.value !== 'none' && repeatEndSelect.value === 'until' && !document.getElementById('repeat_until_date').value) {
+                    showModal('error', '⚠️', 'End Date Required',
+                        'Choose the date the recordings should stop repeating.', '',
+                        [{ text: 'OK', action: () => { hideModal(); document.getElementById('repeat_until_date').focus(); } }]);
+                    return;
+                }
             }
 
             // Disable buttons during submission
@@ -2740,16 +3192,39 @@ const INSTANT_PAGE_HTML = `
                 // Convert datetime-local to UTC timestamp so the server gets an unambiguous time
                 if (submitButton.name === 'button_record_later') {
                     urlEncodedData.set('record_later_time', new Date(recordLaterTimeInput.value).getTime().toString());
+                    if (repeatSelect.value === 'weekly') urlEncodedData.set('repeat_days', getRepeatDays());
+                    if (repeatSelect.value === 'interval') urlEncodedData.set('repeat_interval', document.getElementById('repeat_interval').value);
+                    else urlEncodedData.delete('repeat_interval');
+                    // Repeat end: last allowed start is the end of the chosen day (browser local time)
+                    urlEncodedData.delete('repeat_count');
+                    if (repeatEndSelect.value === 'until') {
+                        urlEncodedData.set('repeat_until', new Date(document.getElementById('repeat_until_date').value + 'T23:59:59').getTime().toString());
+                    } else if (repeatEndSelect.value === 'count') {
+                        urlEncodedData.set('repeat_count', document.getElementById('repeat_count').value);
+                    }
                 }
 
-                const response = await fetch('/instant', {
-                    method: 'POST',
-                    body: urlEncodedData,
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded',
-                        'Accept': 'application/json'
-                    }
-                });
+                if (allowConflictsOnce) {
+                    urlEncodedData.set('allow_conflicts', 'true');
+                    allowConflictsOnce = false;
+                }
+
+                // Editing a scheduled recording sends the same fields to its PUT endpoint
+                const isEdit = submitButton.name === 'button_record_later' && editingScheduledId;
+                const response = isEdit
+                    ? await fetch('/api/scheduled-recordings/' + editingScheduledId, {
+                        method: 'PUT',
+                        body: JSON.stringify(Object.fromEntries(urlEncodedData)),
+                        headers: { 'Content-Type': 'application/json' }
+                    })
+                    : await fetch('/instant', {
+                        method: 'POST',
+                        body: urlEncodedData,
+                        headers: {
+                            'Content-Type': 'application/x-www-form-urlencoded',
+                            'Accept': 'application/json'
+                        }
+                    });
 
                 const result = await response.json();
 
@@ -2771,14 +3246,32 @@ const INSTANT_PAGE_HTML = `
                         document.getElementById('recording_summary').value = '';
                         document.getElementById('season_number').value = '';
                         document.getElementById('episode_number').value = '';
+                    } else if (isScheduled && isEdit) {
+                        showModal('success', '📅', 'Recording Updated',
+                            result.recording.name,
+                            new Date(result.recording.scheduledTime).toLocaleString() +
+                                (result.recording.recurrenceDescription ? ' · ' + result.recording.recurrenceDescription : '') +
+                                (result.warning ? '\\n⚠️ ' + result.warning : ''),
+                            [{ text: 'OK', action: hideModal }]);
                     } else if (isScheduled) {
                         showModal('success', '📅', 'Recording Scheduled',
-                            result.message || '', result.detail || '',
+                            result.message || '',
+                            (result.detail || '') + (result.warning ? '\\n⚠️ ' + result.warning : ''),
                             [{ text: 'OK', action: hideModal }]);
+                    }
+
+                    if (isScheduled) {
+                        exitScheduleEdit();
 
                         // Reset Record Later row
                         recordLaterRow.style.display = 'none';
                         recordLaterBtn.style.display = '';
+                        repeatSelect.value = 'none';
+                        repeatEndSelect.value = 'never';
+                        document.querySelectorAll('.repeat-day').forEach(cb => cb.checked = false);
+                        updateRepeatFields();
+                        document.getElementById('start_early_minutes').value = '';
+                        document.getElementById('end_late_minutes').value = '';
 
                         // Clear form
                         document.getElementById('recording_url').value = '';
@@ -2794,6 +3287,18 @@ const INSTANT_PAGE_HTML = `
 
                     // Refresh active streams
                     refreshActiveStreams();
+                } else if (response.status === 409 && result.conflicts) {
+                    // Not enough encoders for every overlapping recording; let the user decide
+                    showModal('error', '⚠️', 'Scheduling Conflict', result.error,
+                        describeConflicts(result.conflicts),
+                        [
+                            { text: 'Schedule Anyway', class: 'modal-btn-danger', action: () => {
+                                hideModal();
+                                allowConflictsOnce = true;
+                                form.requestSubmit(submitButton);
+                            } },
+                            { text: 'Cancel', action: hideModal }
+                        ]);
                 } else {
                     showModal('error', '❌', 'Error', result.error || 'An error occurred', '',
                         [{ text: 'OK', action: hideModal }]);
@@ -2816,7 +3321,7 @@ const INSTANT_PAGE_HTML = `
 
                 // Create the container if it doesn't exist
                 if (!activeStreamsContainer) {
-                    const container = document.querySelector('.container');
+                    const container = document.getElementById('record-tab');
                     const existingSection = container.querySelector('.active-streams');
                     if (existingSection) {
                         existingSection.id = 'active-streams-container';
@@ -2841,12 +3346,15 @@ const INSTANT_PAGE_HTML = `
                         const encoderIndex = data.encoders.findIndex(e => e.url === stream.url);
                         const encoderChannel = encoderIndex >= 0 ? data.encoders[encoderIndex].channel : '?';
 
+                        const use = encoderIndex >= 0 ? data.encoders[encoderIndex].use : null;
+                        const useLabel = use ? (QUEUE_PURPOSE_LABELS[use.purpose] || use.purpose) + (use.preemptible ? ' · can be pre-empted' : '') : '';
+
                         html += \`
                             <div class="stream-item">
                                 <div class="stream-info">
                                     <strong>Channel \${encoderChannel}</strong>
                                     <span class="stream-url" title="\${targetUrlDisplay}">\${displayUrl}</span>
-                                    <span class="stream-duration">Running for \${uptimeMinutes} min</span>
+                                    <span class="stream-duration">Running for \${uptimeMinutes} min\${useLabel ? ' · ' + useLabel : ''}</span>
                                 </div>
                                 <button class="btn-stop" onclick="stopStream(\${encoderIndex}, \${encoderChannel})">Stop</button>
                             </div>
@@ -2862,11 +3370,63 @@ const INSTANT_PAGE_HTML = `
                     activeStreamsContainer.innerHTML = '';
                     activeStreamsContainer.style.display = 'none';
                 }
+
+                renderEncoderQueue(data.encoderQueue, data.encoders);
             } catch (error) {
                 console.error('Error refreshing active streams:', error);
             }
         }
 
+        const QUEUE_PURPOSE_LABELS = {
+            scheduled: 'Scheduled recording',
+            instant: 'Instant recording',
+            live: 'Live viewing',
+            tune: 'Tune',
+            refresh: 'Channel refresh'
+        };
+
+        // Requests waiting for an encoder (shown only while something is queued)
+        function renderEncoderQueue(queue, encoders) {
+            const container = document.getElementById('encoder-queue-container');
+            if (!container) return;
+            if (!queue || !queue.waiting || queue.waiting.length === 0) {
+                container.innerHTML = '';
+                container.style.display = 'none';
+                return;
+            }
+
+            let html = '<h3>Waiting for an Encoder</h3><div class="stream-list">';
+            queue.waiting.forEach(entry => {
+                const purpose = QUEUE_PURPOSE_LABELS[entry.purpose] || entry.purpose;
+                const title = entry.label ? purpose + ': ' + entry.label : purpose;
+                let status = 'Waiting ' + entry.waitingSeconds + 's, gives up in ' + entry.timeoutInSeconds + 's';
+                if (entry.preempting) {
+                    const encoder = (encoders || []).find(e => e.url === entry.preempting);
+                    status = 'Pre-empting Channel ' + (encoder ? encoder.channel : '?') + ' · ' + status;
+                }
+                const targetUrl = entry.targetUrl || '';
+                const displayUrl = targetUrl.length > 50 ? targetUrl.substring(0, 50) + '...' : targetUrl;
+                html += \`
+                    <div class="stream-item">
+                        <div class="stream-info">
+                            <strong>#\${entry.position} \${escapeHtml(title)}</strong>
+                            <span class="stream-url" title="\${escapeHtml(targetUrl)}">\${escapeHtml(displayUrl)}</span>
+                            <span class="stream-duration">\${status}</span>
+                        </div>
+                    </div>
+                \`;
+            });
+            html += '</div>';
+            container.innerHTML = html;
+            container.style.display = 'block';
+        }
+
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML;
+        }
+
         function showStopStatus(message, isError) {
             const el = document.getElementById('stop-status');
             el.textContent = message;
@@ -2901,6 +3461,8 @@ const INSTANT_PAGE_HTML = `
             try {
                 const response = await fetch('/api/scheduled-recordings');
                 const data = await response.json();
+                if (JSON.stringify(data) !== JSON.stringify(scheduledRecordingsData)) refreshScheduleTimeline();
+                scheduledRecordingsData = data;
                 const container = document.getElementById('scheduled-recordings-container');
                 if (!container) return;
 
@@ -2908,14 +3470,27 @@ const INSTANT_PAGE_HTML = `
                     let html = '<h3>Scheduled Recordings</h3><div class="stream-list">';
                     data.forEach(entry => {
                         const scheduledDate = new Date(entry.scheduledTime).toLocaleString();
+                        const repeatText = entry.recurrenceDescription
+                            ? ' · ' + entry.recurrenceDescription + ' (#' + entry.occurrence + ')'
+                            : '';
+                        const paddingText = entry.startEarlyMinutes || entry.endLateMinutes
+                            ? ' · ' + entry.startEarlyMinutes + ' min early, ' + entry.endLateMinutes + ' min late'
+                            : '';
+                        const editButton = \`<button class="btn-stop" onclick="editScheduledRecording('\${entry.id}')">Edit</button>\`;
+                        const buttons = entry.recurrence
+                            ? \`\${editButton}
+                               <button class="btn-stop" onclick="skipScheduledOccurrence('\${entry.id}')">Skip Next</button>
+                               <button class="btn-stop" onclick="cancelScheduledRecording('\${entry.id}')">Cancel Series</button>\`
+                            : \`\${editButton}
+                               <button class="btn-stop" onclick="cancelScheduledRecording('\${entry.id}')">Cancel</button>\`;
                         html += \`
                             <div class="stream-item">
                                 <div class="stream-info">
                                     <strong>\${entry.name}</strong>
                                     <span class="stream-url">\${scheduledDate}</span>
-                                    <span class="stream-duration">\${entry.duration} min</span>
+                                    <span class="stream-duration">\${entry.duration} min\${paddingText}\${repeatText}</span>
                                 </div>
-                                <button class="btn-stop" onclick="cancelScheduledRecording('\${entry.id}')">Cancel</button>
+                                <div>\${buttons}</div>
                             </div>
                         \`;
                     });
@@ -2931,6 +3506,118 @@ const INSTANT_PAGE_HTML = `
             }
         }
 
+        // Encoder usage over the next 7 days: one lane per encoder, plus a lane for
+        // recordings that won't find a free encoder
+        async function refreshScheduleTimeline() {
+            const container = document.getElementById('schedule-timeline-container');
+            try {
+                const response = await fetch('/api/scheduled-recordings/timeline?days=7');
+                const timeline = await response.json();
+                if (!timeline.items || timeline.items.length === 0) {
+                    container.innerHTML = '';
+                    container.style.display = 'none';
+                    return;
+                }
+                const span = timeline.to - timeline.from;
+                const pct = ms => Math.max(0, Math.min(100, (ms - timeline.from) / span * 100));
+
+                let days = '';
+                const day = new Date(timeline.from);
+                day.setHours(24, 0, 0, 0);
+                for (; day.getTime() < timeline.to; day.setDate(day.getDate() + 1)) {
+                    days += \`<span class="timeline-day" style="left:\${pct(day.getTime())}%;">\${day.toLocaleDateString(undefined, { weekday: 'short', month: 'numeric', day: 'numeric' })}</span>\`;
+                }
+
+                const block = item => {
+                    const left = pct(item.start);
+                    const width = Math.max(pct(item.end) - left, 0.3);
+                    const cls = item.conflict ? 'conflict' : item.inProgress ? 'in-progress' : item.fallback ? 'fallback' : '';
+                    const note = item.conflict ? ' — no free encoder'
+                        : item.fallback ? ' — pinned encoder busy, uses this one instead'
+                        : item.inProgress ? ' — recording now' : '';
+                    const title = item.name + ': ' + new Date(item.start).toLocaleString() + ' to ' +
+                        new Date(item.end).toLocaleTimeString() + note;
+                    return \`<div class="timeline-block \${cls}" style="left:\${left}%;width:\${width}%;" title="\${escapeHtml(title)}"></div>\`;
+                };
+                const row = (label, items) => \`
+                    <div class="timeline-row">
+                        <div class="timeline-label">\${label}</div>
+                        <div class="timeline-track">\${items.map(block).join('')}</div>
+                    </div>\`;
+
+                let html = '<h3>Next 7 Days</h3>';
+                html += \`<div class="timeline-row timeline-days"><div class="timeline-label"></div><div class="timeline-track">\${days}</div></div>\`;
+                timeline.encoders.forEach(encoder => {
+                    html += row('Ch ' + escapeHtml(encoder.channel), timeline.items.filter(i => i.encoderUrl === encoder.url));
+                });
+                const unplaced = timeline.items.filter(i => i.conflict);
+                if (unplaced.length > 0) {
+                    html += row('<span style="color:#e53e3e;">No encoder</span>', unplaced);
+                }
+                container.innerHTML = html;
+                container.style.display = 'block';
+            } catch (e) {
+                console.error('Error refreshing schedule timeline:', e);
+            }
+        }
+
+        // Edit a scheduled recording: load it into the form; "Save Changes" PUTs it back
+        let scheduledRecordingsData = [];
+        let editingScheduledId = null;
+
+        function editScheduledRecording(id) {
+            const entry = scheduledRecordingsData.find(e => e.id === id);
+            if (!entry) return;
+            const params = entry.params || {};
+            ['recording_url', 'recording_name', 'recording_duration', 'episode_title', 'recording_summary',
+             'season_number', 'episode_number', 'recording_image', 'closed_captions',
+             'start_early_minutes', 'end_late_minutes'].forEach(name => {
+                document.getElementById(name).value = params[name] == null ? '' : params[name];
+            });
+            // The encoder list only shows free encoders; keep the scheduled one selectable
+            const encoderUrl = params.selected_encoder || '';
+            if (encoderUrl && !Array.from(encoderSelect.options).some(o => o.value === encoderUrl)) {
+                encoderSelect.add(new Option(encoderUrl, encoderUrl));
+            }
+            encoderSelect.value = encoderUrl;
+            updateTuneButtonText();
+
+            recordLaterTimeInput.min = toLocalDateTimeString(new Date());
+            recordLaterTimeInput.value = toLocalDateTimeString(new Date(entry.scheduledTime));
+            const rule = entry.recurrence;
+            repeatSelect.value = rule ? rule.frequency : 'none';
+            document.querySelectorAll('.repeat-day').forEach(cb => {
+                cb.checked = !!(rule && rule.days && rule.days.includes(Number(cb.value)));
+            });
+            if (rule && rule.intervalDays) document.getElementById('repeat_interval').value = rule.intervalDays;
+            repeatEndSelect.value = rule && rule.until ? 'until' : rule && rule.count ? 'count' : 'never';
+            if (rule && rule.until) document.getElementById('repeat_until_date').value = toLocalDateTimeString(new Date(rule.until)).slice(0, 10);
+            if (rule && rule.count) document.getElementById('repeat_count').value = rule.count;
+            updateRepeatFields();
+
+            editingScheduledId = id;
+            document.getElementById('schedule_btn').textContent = '💾 Save Changes';
+            recordLaterRow.style.display = 'block';
+            recordLaterBtn.style.display = 'none';
+            form.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        function exitScheduleEdit() {
+            editingScheduledId = null;
+            document.getElementById('schedule_btn').textContent = '📅 Schedule Recording';
+        }
+
+        async function skipScheduledOccurrence(id) {
+            try {
+                const res = await fetch('/api/scheduled-recordings/' + id + '?scope=occurrence', { method: 'DELETE' });
+                const data = await res.json();
+                showStopStatus(data.message || data.error || 'Next occurrence skipped.', !data.success);
+                refreshScheduledRecordings();
+            } catch (err) {
+                showStopStatus('Error skipping scheduled recording: ' + err.message, true);
+            }
+        }
+
         async function cancelScheduledRecording(id) {
             try {
                 const res = await fetch('/api/scheduled-recordings/' + id, { method: 'DELETE' });
@@ -2942,14 +3629,100 @@ const INSTANT_PAGE_HTML = `
             }
         }
 
-        // Initial load and refresh every 5 seconds
-        refreshActiveStreams();
-        refreshScheduledRecordings();
-        setInterval(refreshActiveStreams, 5000);
-        setInterval(refreshScheduledRecordings, 5000);
-    </script>
-</body>
-</html>
+        const HISTORY_STATUS_LABELS = {
+            starting: 'Starting', recording: 'Recording', completed: 'Completed',
+            stopped: 'Stopped early', failed: 'Failed', interrupted: 'Interrupted'
+        };
+
+        function switchInstantTab(tab) {
+            document.querySelectorAll('.service-tabs .tab').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.tab === tab);
+            });
+            document.getElementById('record-tab').style.display = tab === 'record' ? '' : 'none';
+            document.getElementById('history-tab').style.display = tab === 'history' ? '' : 'none';
+            if (tab === 'history') loadRecordingHistory();
+        }
+
+        function formatHistoryTime(iso) {
+            return iso ? new Date(iso).toLocaleString() : '—';
+        }
+
+        function renderHistoryEntry(entry) {
+            const status = \`<span class="history-status \${entry.status}">\${HISTORY_STATUS_LABELS[entry.status] || entry.status}</span>\`;
+            const details = [];
+            if (entry.endReason) details.push(escapeHtml(entry.endReason));
+            if (entry.streamErrors && entry.streamErrors.length > 0) {
+                const last = entry.streamErrors[entry.streamErrors.length - 1];
+                details.push(entry.streamErrors.length + ' stream error(s), last: ' + escapeHtml(last.message));
+            }
+            if (entry.dvrResponse) {
+                const dvr = entry.dvrResponse;
+                details.push('Channels DVR: ' + (dvr.ok ? 'accepted' : 'refused') +
+                    (dvr.status ? ' (HTTP ' + dvr.status + ')' : '') +
+                    (dvr.error ? ' — ' + escapeHtml(dvr.error) : ''));
+            }
+            const started = entry.actualStart
+                ? formatHistoryTime(entry.actualStart)
+                : '<span style="color:#a0aec0;">not started</span>';
+            return \`<tr>
+                <td><strong>\${escapeHtml(entry.name || '')}</strong>
+                    <div class="history-detail">\${escapeHtml(entry.targetUrl || '')}</div></td>
+                <td>\${entry.type === 'scheduled' ? 'Scheduled' : 'Instant'}</td>
+                <td>\${formatHistoryTime(entry.requestedStart)}<div class="history-detail">actual: \${started}</div></td>
+                <td>\${entry.durationMinutes ? entry.durationMinutes + ' min' : '—'}</td>
+                <td>\${entry.channel ? 'Ch ' + escapeHtml(String(entry.channel)) : '—'}</td>
+                <td>\${status}\${details.length ? '<div class="history-detail">' + details.join('<br>') + '</div>' : ''}</td>
+            </tr>\`;
+        }
+
+        async function loadRecordingHistory() {
+            const container = document.getElementById('history-container');
+            const params = new URLSearchParams({ limit: '200' });
+            const status = document.getElementById('history_status').value;
+            const type = document.getElementById('history_type').value;
+            if (status) params.set('status', status);
+            if (type) params.set('type', type);
+            try {
+                const res = await fetch('/api/recordings/history?' + params.toString());
+                const entries = await res.json();
+                if (!res.ok) throw new Error(entries.error || 'Failed to load history');
+                if (entries.length === 0) {
+                    container.innerHTML = '<p style="color:#718096;">No recordings yet.</p>';
+                    return;
+                }
+                container.innerHTML = '<table class="history-table"><thead><tr>' +
+                    '<th>Recording</th><th>Type</th><th>Requested start</th><th>Duration</th><th>Encoder</th><th>Outcome</th>' +
+                    '</tr></thead><tbody>' + entries.map(renderHistoryEntry).join('') + '</tbody></table>';
+            } catch (err) {
+                container.innerHTML = '<p style="color:#e53e3e;">Error loading history: ' + escapeHtml(err.message) + '</p>';
+            }
+        }
+
+        async function clearRecordingHistory() {
+            if (!confirm('Clear all finished recordings from the history?')) return;
+            try {
+                const res = await fetch('/api/recordings/history', { method: 'DELETE' });
+                const data = await res.json();
+                showStopStatus(data.message || data.error || 'History cleared.', !data.success);
+                loadRecordingHistory();
+            } catch (err) {
+                showStopStatus('Error clearing history: ' + err.message, true);
+            }
+        }
+
+        // Initial load and refresh every 5 seconds
+        refreshActiveStreams();
+        refreshScheduledRecordings();
+        setInterval(refreshActiveStreams, 5000);
+        setInterval(refreshScheduledRecordings, 5000);
+        refreshScheduleTimeline();
+        setInterval(refreshScheduleTimeline, 60000);
+        setInterval(() => {
+            if (document.getElementById('history-tab').style.display !== 'none') loadRecordingHistory();
+        }, 15000);
+    </script>
+</body>
+</html>
 `
 
 const REMOTE_ACCESS_PAGE_HTML = `
@@ -4465,6 +5238,7 @@ const M3U_MANAGER_PAGE_HTML = `
             <input type="text" id="m3uUrl" readonly value="http://<<host>>/m3u-manager/playlist.m3u">
             <button class="btn btn-secondary btn-small" onclick="copyM3UUrl()">📋 Copy</button>
             <button class="btn btn-secondary btn-small" onclick="previewM3U()">👁️ Preview</button>
+            <button class="btn btn-secondary btn-small" onclick="copyGuideUrl()" title="Copy the XMLTV guide URL (http://<<host>>/m3u-manager/guide.xml)">📋 Guide URL</button>
             <div class="m3u-divider"></div>
             <strong>M3U Refresh:</strong>
             <select id="channelsDvrSource" class="m3u-source-input" title="Channels DVR M3U source name">
@@ -4473,11 +5247,13 @@ const M3U_MANAGER_PAGE_HTML = `
             <button class="btn btn-primary btn-small" onclick="refreshChannelsDvr()">🔄 Refresh M3U</button>
         </div>
 
+        <div id="collisionsPanel" style="display: none; margin-bottom: 16px; padding: 12px 16px; background: #fffaf0; border: 1px solid #f6ad55; border-radius: 8px; font-size: 13px; color: #744210;"></div>
+
         <details style="margin-bottom: 16px; font-size: 13px; color: #718096;">
             <summary style="cursor: pointer; user-select: none;">URL filter options</summary>
             <div style="display: grid; grid-template-columns: auto 1fr; gap: 3px 16px; margin-top: 6px; padding-left: 4px;">
                 <code style="color: #4a5568;">?services=</code><span>directv, sling, custom &mdash; comma-separated, filters to those services</span>
-                <code style="color: #4a5568;">?sort=</code><span>number (default) or name</span>
+                <code style="color: #4a5568;">?sort=</code><span>number (default), name or order (the custom drag-and-drop order)</span>
                 <code style="color: #4a5568;">?genres=</code><span>news,sports &mdash; include only; prefix with <code>-</code> to exclude (e.g. <code>-spanish,-religious</code>)</span>
                 <code style="color: #4a5568;">?fast=false</code><span>exclude DirecTV FAST channels (4000&ndash;4999)</span>
                 <code style="color: #4a5568;">Example:</code><span><code>?services=directv&amp;genres=-spanish,-religious&amp;fast=false</code></span>
@@ -4496,6 +5272,15 @@ const M3U_MANAGER_PAGE_HTML = `
             <div style="display: flex; flex-direction: column; gap: 4px; align-items: flex-start; min-height: 54px;">
                 <button class="btn btn-primary" onclick="showAddCustomModal()">➕ Add Custom Channel</button>
             </div>
+            <div style="display: flex; flex-direction: column; gap: 4px; align-items: flex-start; min-height: 54px;">
+                <button class="btn btn-secondary" onclick="showImportM3UModal()">📥 Import M3U</button>
+            </div>
+            <div style="display: flex; flex-direction: column; gap: 4px; align-items: flex-start; min-height: 54px;">
+                <button class="btn btn-secondary" onclick="showPlaylistsModal()">📋 Playlists</button>
+            </div>
+            <div style="display: flex; flex-direction: column; gap: 4px; align-items: flex-start; min-height: 54px;">
+                <button class="btn btn-secondary" onclick="showGroupsModal()">🗂️ Groups</button>
+            </div>
             <div style="display: flex; flex-direction: column; gap: 4px; align-items: flex-start; min-height: 54px;">
                 <button class="btn btn-primary" onclick="refreshService('sling')">🔄 Refresh Sling TV</button>
                 <span style="font-size: 11px; color: #718096;">Last Updated: <span id="lastUpdate">Never</span></span>
@@ -4504,6 +5289,10 @@ const M3U_MANAGER_PAGE_HTML = `
                 <button class="btn btn-primary" onclick="refreshService('directv')">🔄 Refresh DirecTV</button>
                 <span style="font-size: 11px; color: #718096;">Last Updated: <span id="direcTVLastUpdate">Never</span></span>
             </div>
+            <div style="display: flex; flex-direction: column; gap: 4px; align-items: flex-start; min-height: 54px;">
+                <button class="btn btn-secondary" onclick="showAutoRefreshModal()">⏰ Auto Refresh</button>
+                <span style="font-size: 11px; color: #718096;" id="autoRefreshSummary"></span>
+            </div>
             <div style="display: flex; align-items: center; gap: 16px; margin-left: auto;">
                 <div id="bulkToggleBar" style="display: none; align-items: center; gap: 8px;">
                     <span id="bulkToggleLabel" style="font-size: 12px; color: #718096; white-space: nowrap;"></span>
@@ -4526,19 +5315,21 @@ const M3U_MANAGER_PAGE_HTML = `
             <table id="channelsTable">
                 <thead>
                     <tr>
+                        <th class="sortable" onclick="sortChannels('order')" title="Custom order: sort by this column, then drag rows to reorder">Order</th>
                         <th>Enabled</th>
                         <th class="sortable" onclick="sortChannels('channelNumber')">Channel #</th>
                         <th>Logo</th>
                         <th class="sortable" onclick="sortChannels('name')">Name</th>
                         <th class="sortable" onclick="sortChannels('service')">Service</th>
                         <th class="sortable" onclick="sortChannels('category')">Genre</th>
+                        <th class="sortable" onclick="sortChannels('group')">Group</th>
                         <th class="sortable" onclick="sortChannels('epg')">Station ID</th>
                         <th>Actions</th>
                     </tr>
                 </thead>
                 <tbody id="channelsBody">
                     <tr>
-                        <td colspan="8" class="loading">Loading channels...</td>
+                        <td colspan="10" class="loading">Loading channels...</td>
                     </tr>
                 </tbody>
             </table>
@@ -4721,6 +5512,12 @@ const M3U_MANAGER_PAGE_HTML = `
                     <label>Logo URL</label>
                     <input type="text" id="editLogo" placeholder="https://...">
                 </div>
+                <div class="form-group">
+                    <label>Group</label>
+                    <input type="text" id="editGroup" list="channelGroupOptions" placeholder="None" maxlength="100">
+                    <datalist id="channelGroupOptions"></datalist>
+                    <small style="color: #718096; font-size: 12px; display: block; margin-top: 4px;">Emitted as group-title in the playlist.</small>
+                </div>
                 <div class="modal-actions">
                     <button type="submit" class="btn btn-primary">Save Changes</button>
                     <button type="button" class="btn btn-secondary" onclick="closeModal('editChannelModal')">Cancel</button>
@@ -4752,6 +5549,15 @@ const M3U_MANAGER_PAGE_HTML = `
                     If checked, only your favorite channels will be imported. If unchecked, all available Sling TV channels will be imported.
                 </small>
             </div>
+            <div class="form-group" style="margin-top: 16px;">
+                <label style="display: flex; align-items: center; cursor: pointer;">
+                    <input type="checkbox" id="refreshReviewChanges" style="width: auto; margin-right: 8px;">
+                    <span>Review changes before saving</span>
+                </label>
+                <small style="color: #718096; font-size: 12px; display: block; margin-top: 8px; margin-left: 24px;">
+                    If checked, nothing is saved yet — you'll see the channels added, removed, renamed or renumbered and can accept or reject each change.
+                </small>
+            </div>
             <div class="modal-actions">
                 <button type="button" class="btn btn-primary" onclick="confirmRefresh()">Refresh</button>
                 <button type="button" class="btn btn-secondary" onclick="closeModal('refreshServiceModal')">Cancel</button>
@@ -4759,6 +5565,149 @@ const M3U_MANAGER_PAGE_HTML = `
         </div>
     </div>
 
+    <!-- Import M3U Modal -->
+    <div id="importM3UModal" class="modal">
+        <div class="modal-content" style="max-width: 640px;">
+            <h2>Import M3U Playlist</h2>
+            <p style="margin-bottom: 16px; color: #4a5568;">Add every channel in an existing playlist (for example a chrome-capture playlist) as a Custom Entry. Channel number, logo, station ID and group are read from the #EXTINF tags; streams already in your channel list and channel numbers already in use are skipped.</p>
+            <div class="form-group">
+                <label for="importM3UFile">Playlist File</label>
+                <input type="file" id="importM3UFile" accept=".m3u,.m3u8,audio/x-mpegurl,text/plain">
+            </div>
+            <div class="form-group">
+                <label for="importM3UUrl">Or Playlist URL</label>
+                <input type="text" id="importM3UUrl" placeholder="http://192.168.1.10:5589/playlist.m3u">
+            </div>
+            <div class="form-group">
+                <label style="display: flex; align-items: center; cursor: pointer;">
+                    <input type="checkbox" id="importM3URewrite" checked style="width: auto; margin-right: 8px;">
+                    <span>Play chrome-capture / CH4C stream URLs through this CH4C</span>
+                </label>
+                <small style="color: #718096; font-size: 12px; display: block; margin-top: 8px; margin-left: 24px;">
+                    Entries like http://old-host:5589/stream?url=... are pointed at this server. Other stream URLs are imported as they are.
+                </small>
+            </div>
+            <div id="importM3UResult" style="display: none; margin-top: 12px; max-height: 260px; overflow-y: auto; font-size: 13px; color: #2d3748;"></div>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-primary" id="importM3UButton" onclick="importM3U()">Import</button>
+                <button type="button" class="btn btn-secondary" onclick="closeModal('importM3UModal')">Close</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Channel Groups Modal -->
+    <div id="groupsModal" class="modal">
+        <div class="modal-content" style="max-width: 720px;">
+            <h2>Channel Groups</h2>
+            <p style="margin-bottom: 16px; color: #4a5568;">Groups are emitted as group-title in the playlist. Renumber numbers a group's channels consecutively in their custom order; Move shifts the whole group to a new range, keeping the gaps between its numbers.</p>
+            <div id="groupsList" style="margin-bottom: 20px; font-size: 13px;"></div>
+            <h3 style="margin-bottom: 12px;">Add Channels to a Group</h3>
+            <div class="form-group">
+                <label for="assignGroupName">Group</label>
+                <input type="text" id="assignGroupName" list="channelGroupOptions" placeholder="Sports" maxlength="100">
+                <small style="color: #718096; font-size: 12px;">Adds the <span id="assignGroupCount">0</span> channel(s) shown in the current tab. Leave blank to remove them from their group.</small>
+            </div>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-primary" onclick="assignShownChannelsToGroup()">Apply to Shown Channels</button>
+                <button type="button" class="btn btn-secondary" onclick="closeModal('groupsModal')">Close</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Playlist Profiles Modal -->
+    <div id="playlistsModal" class="modal">
+        <div class="modal-content" style="max-width: 720px;">
+            <h2>Playlist Profiles</h2>
+            <p style="margin-bottom: 16px; color: #4a5568;">Named playlists with their own filters, served at /m3u-manager/playlists/&lt;name&gt;.m3u. Use one per Channels DVR source, e.g. "sports" or "kids".</p>
+            <div id="playlistsList" style="margin-bottom: 20px; font-size: 13px;"></div>
+            <h3 id="playlistFormTitle" style="margin-bottom: 12px;">New Profile</h3>
+            <div class="form-group">
+                <label for="playlistName">Name *</label>
+                <input type="text" id="playlistName" placeholder="sports" maxlength="40">
+                <small style="color: #718096; font-size: 12px;">Lowercase letters, digits, "-" and "_"</small>
+            </div>
+            <div class="form-group">
+                <label for="playlistServices">Services</label>
+                <input type="text" id="playlistServices" placeholder="sling,directv,custom (empty = all)">
+            </div>
+            <div class="form-group">
+                <label for="playlistGenres">Categories</label>
+                <input type="text" id="playlistGenres" placeholder="Sports,News or -Kids to exclude (empty = all)">
+            </div>
+            <div class="form-group" style="display: flex; gap: 16px;">
+                <div style="flex: 1;">
+                    <label for="playlistSort">Sort</label>
+                    <select id="playlistSort">
+                        <option value="number">Channel number</option>
+                        <option value="name">Name</option>
+                        <option value="order">Custom order</option>
+                    </select>
+                </div>
+                <div style="flex: 1;">
+                    <label for="playlistOffset">Channel Number Offset</label>
+                    <input type="number" id="playlistOffset" min="0" max="99999" step="1" value="0">
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="playlistInclude">Always Include (channel IDs)</label>
+                <input type="text" id="playlistInclude" placeholder="sling-espn,custom-123">
+            </div>
+            <div class="form-group">
+                <label for="playlistExclude">Always Exclude (channel IDs)</label>
+                <input type="text" id="playlistExclude" placeholder="directv-hsn">
+            </div>
+            <div class="form-group">
+                <label style="display: flex; align-items: center; cursor: pointer;">
+                    <input type="checkbox" id="playlistFast" checked style="width: auto; margin-right: 8px;">
+                    <span>Include DirecTV FAST channels (4000-4999)</span>
+                </label>
+                <label style="display: flex; align-items: center; cursor: pointer; margin-top: 8px;">
+                    <input type="checkbox" id="playlistChannelsDvr" style="width: auto; margin-right: 8px;">
+                    <span>Create a Channels DVR M3U source for this profile</span>
+                </label>
+            </div>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-primary" id="savePlaylistButton" onclick="savePlaylistProfile()">Save Profile</button>
+                <button type="button" class="btn btn-secondary" onclick="resetPlaylistForm()">New Profile</button>
+                <button type="button" class="btn btn-secondary" onclick="closeModal('playlistsModal')">Close</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Lineup Review Modal -->
+    <div id="lineupReviewModal" class="modal">
+        <div class="modal-content" style="max-width: 760px;">
+            <h2>Review Changes</h2>
+            <p id="lineupReviewSummary" style="margin-bottom: 12px; color: #4a5568; font-size: 14px;"></p>
+            <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+                <button type="button" class="btn btn-secondary btn-small" onclick="setAllLineupChanges(true)">Select All</button>
+                <button type="button" class="btn btn-secondary btn-small" onclick="setAllLineupChanges(false)">Select None</button>
+            </div>
+            <div id="lineupReviewChanges" style="max-height: 420px; overflow-y: auto; border: 1px solid #e2e8f0; border-radius: 6px;"></div>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-primary" onclick="applyLineupReview()">Apply Selected</button>
+                <button type="button" class="btn btn-secondary" onclick="discardLineupReview()">Discard</button>
+            </div>
+        </div>
+    </div>
+
+    <!-- Auto Refresh Modal -->
+    <div id="autoRefreshModal" class="modal">
+        <div class="modal-content" style="max-width: 720px;">
+            <h2>Auto Refresh</h2>
+            <p style="margin-bottom: 16px; color: #4a5568; font-size: 14px;">
+                Refresh channel lists in the background between <span id="autoRefreshWindow">3 AM and 5 AM</span>, on an encoder that isn't streaming (skipped and retried if every encoder is busy).
+                Manual edits are preserved. When channels were added or removed, the Channels DVR M3U source is refreshed.
+            </p>
+            <div id="autoRefreshServices"></div>
+            <h3 style="margin: 20px 0 8px; font-size: 15px; color: #2d3748;">Recent Runs</h3>
+            <div id="autoRefreshHistory" style="max-height: 240px; overflow-y: auto; font-size: 13px;"></div>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-secondary" onclick="closeModal('autoRefreshModal')">Close</button>
+            </div>
+        </div>
+    </div>
+
     <!-- M3U Preview Modal -->
     <div id="previewM3UModal" class="modal">
         <div class="modal-content" style="max-width: 800px;">
@@ -4831,6 +5780,10 @@ const M3U_MANAGER_PAGE_HTML = `
         let allChannels = [];
         let currentSort = { field: null, direction: 'asc' };
         let showEnabledOnly = false;
+        let shownChannelIds = []; // channels in the table, for the Groups dialog's bulk assign
+        // Network services discovered via the encoder browser (everything but Sling, DirecTV and Custom)
+        let liveNetworkServices = [];
+        const serviceDisplayNames = { sling: 'Sling TV', directv: 'DirecTV Stream' };
 
         const KNOWN_NETWORKS = [
             { group: 'ESPN', name: 'ESPN', url: 'https://www.espn.com/watch/player?network=espn', category: 'Sports', callSign: 'ESPN' },
@@ -4870,6 +5823,7 @@ const M3U_MANAGER_PAGE_HTML = `
             applyStoredSort('all');
             loadChannels();
             loadStatus();
+            loadAutoRefresh();
             updateCustomUrlPrefix();
         });
 
@@ -4881,7 +5835,7 @@ const M3U_MANAGER_PAGE_HTML = `
             } catch (error) {
                 console.error('Error loading channels:', error);
                 document.getElementById('channelsBody').innerHTML =
-                    '<tr><td colspan="8" class="empty-state"><h3>Error loading channels</h3><p>' + error.message + '</p></td></tr>';
+                    '<tr><td colspan="10" class="empty-state"><h3>Error loading channels</h3><p>' + error.message + '</p></td></tr>';
             }
         }
 
@@ -4902,6 +5856,13 @@ const M3U_MANAGER_PAGE_HTML = `
                     ? new Date(direcTVRefresh).toLocaleString()
                     : 'Never';
 
+                liveNetworkServices = Object.entries(status.services || {})
+                    .filter(([id]) => !['sling', 'directv', 'custom'].includes(id))
+                    .map(([id, stats]) => ({ id, ...stats }));
+                liveNetworkServices.forEach(svc => { serviceDisplayNames[svc.id] = svc.name; });
+                if (currentService === 'networks') renderNetworksPanel();
+                renderCollisions(status.collisions || []);
+
                 const select = document.getElementById('channelsDvrSource');
                 if (lineupsRes.ok) {
                     const lineups = await lineupsRes.json();
@@ -4924,6 +5885,72 @@ const M3U_MANAGER_PAGE_HTML = `
             }
         }
 
+        function renderCollisions(collisions) {
+            const panel = document.getElementById('collisionsPanel');
+            if (collisions.length === 0) {
+                panel.style.display = 'none';
+                return;
+            }
+            const describe = e => escapeHtml(e.name) + ' <span style="color: #975a16;">(' +
+                escapeHtml(e.service ? (serviceDisplayNames[e.service] || e.service) : 'Channels DVR: ' + e.source) + ')</span>';
+            panel.innerHTML = '<strong>⚠️ ' + collisions.length + ' channel number conflict(s)</strong>' +
+                '<ul style="margin: 6px 0 8px 20px;">' +
+                collisions.map(c => '<li><strong>' + escapeHtml(c.channelNumber) + '</strong>: ' + c.channels.map(describe).join(', ') + '</li>').join('') +
+                '</ul>' +
+                '<button class="btn btn-primary btn-small" onclick="resolveCollisions()">🔢 Renumber Automatically</button>';
+            panel.style.display = 'block';
+        }
+
+        async function resolveCollisions() {
+            try {
+                const response = await fetch('/m3u-manager/collisions');
+                const { proposal } = await response.json();
+                if (proposal.length === 0) {
+                    alert('These conflicts involve Channels DVR or encoder channel numbers only. Change them in Channels DVR or the encoder settings.');
+                    return;
+                }
+                const summary = proposal.map(c => c.name + ': ' + c.from + ' → ' + c.to).join('\\n');
+                if (!confirm('Renumber these channels?\\n\\n' + summary)) return;
+
+                const resolveResponse = await fetch('/m3u-manager/collisions/resolve', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ changes: proposal })
+                });
+                const result = await resolveResponse.json();
+                if (!resolveResponse.ok) throw new Error(result.error || 'Renumbering failed');
+                await loadChannels();
+                await loadStatus();
+            } catch (error) {
+                alert('Error renumbering channels: ' + error.message);
+            }
+        }
+
+        // Add or update a channel. A channel number already in use (409) offers the suggested
+        // free number, then keeping the duplicate. Returns the saved channel, or null if the
+        // user cancelled.
+        async function submitChannel(url, method, data) {
+            let body = data;
+            for (;;) {
+                const response = await fetch(url, {
+                    method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await response.json().catch(() => ({ error: 'Unknown error' }));
+                if (response.ok) return result;
+                if (response.status !== 409 || !result.suggestedNumber) throw new Error(result.error || 'Request failed');
+
+                if (confirm(result.error + '\\n\\nUse channel ' + result.suggestedNumber + ' instead?')) {
+                    body = { ...body, channelNumber: result.suggestedNumber };
+                } else if (confirm('Keep channel number ' + body.channelNumber + ' anyway? The channels will share it.')) {
+                    body = { ...body, allowDuplicateNumber: true };
+                } else {
+                    return null;
+                }
+            }
+        }
+
         async function refreshChannelsDvr() {
             const sourceName = document.getElementById('channelsDvrSource').value.trim();
             if (!sourceName) {
@@ -4967,7 +5994,7 @@ const M3U_MANAGER_PAGE_HTML = `
             }
 
             if (filtered.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="8" class="empty-state"><h3>No channels found</h3><p>Add some channels to get started</p></td></tr>';
+                tbody.innerHTML = '<tr><td colspan="10" class="empty-state"><h3>No channels found</h3><p>Add some channels to get started</p></td></tr>';
                 return;
             }
 
@@ -4993,6 +6020,14 @@ const M3U_MANAGER_PAGE_HTML = `
                             aVal = (a.category || '').toLowerCase();
                             bVal = (b.category || '').toLowerCase();
                             break;
+                        case 'group':
+                            aVal = (a.group || '\\uffff').toLowerCase();
+                            bVal = (b.group || '\\uffff').toLowerCase();
+                            break;
+                        case 'order':
+                            aVal = channelOrderKey(a);
+                            bVal = channelOrderKey(b);
+                            break;
                         case 'epg':
                             aVal = a.stationId || (a.duration ? \`\${a.duration}min\` : 'zzz');
                             bVal = b.stationId || (b.duration ? \`\${b.duration}min\` : 'zzz');
@@ -5009,8 +6044,12 @@ const M3U_MANAGER_PAGE_HTML = `
                 });
             }
 
+            shownChannelIds = filtered.map(ch => ch.id);
+            const draggable = currentSort.field === 'order' && currentSort.direction === 'asc';
+
             tbody.innerHTML = filtered.map(ch => \`
-                <tr>
+                <tr\${draggable ? \` draggable="true" ondragstart="onChannelDragStart(event, '\${ch.id}')" ondragover="onChannelDragOver(event)" ondrop="onChannelDrop(event, '\${ch.id}')"\` : ''}>
+                    <td style="color: #a0aec0; \${draggable ? 'cursor: grab;' : ''}" title="\${draggable ? 'Drag to reorder' : 'Sort by Order to drag rows'}">⠿</td>
                     <td>
                         <label class="toggle-switch">
                             <input type="checkbox" \${ch.enabled !== false ? 'checked' : ''} onchange="toggleChannel('\${ch.id}')">
@@ -5022,6 +6061,7 @@ const M3U_MANAGER_PAGE_HTML = `
                     <td><strong>\${ch.name}</strong></td>
                     <td>\${ch.service}</td>
                     <td><span class="badge badge-\${(ch.category || 'other').toLowerCase().split(' ').join('-')}">\${ch.category || 'Other'}</span></td>
+                    <td>\${ch.group ? escapeHtml(ch.group) : '-'}</td>
                     <td>\${ch.stationId ? ch.stationId : (ch.duration ? \`\${ch.duration}min placeholder\` : '-')}</td>
                     <td>
                         <button class="btn btn-secondary btn-small" onclick="showEditModal('\${ch.id}')">✏️ Edit</button>
@@ -5031,6 +6071,139 @@ const M3U_MANAGER_PAGE_HTML = `
             \`).join('');
         }
 
+        // Custom order position; channels never placed follow, by channel number
+        function channelOrderKey(ch) {
+            return ch.sortOrder ?? 1000000 + (parseFloat(ch.channelNumber) || 9999);
+        }
+
+        let draggedChannelId = null;
+
+        function onChannelDragStart(event, id) {
+            draggedChannelId = id;
+            event.dataTransfer.effectAllowed = 'move';
+        }
+
+        function onChannelDragOver(event) {
+            if (draggedChannelId) event.preventDefault();
+        }
+
+        async function onChannelDrop(event, targetId) {
+            event.preventDefault();
+            const sourceId = draggedChannelId;
+            draggedChannelId = null;
+            if (!sourceId || sourceId === targetId) return;
+
+            // Reorder the whole list so channels hidden by the current tab keep their places
+            const ordered = [...allChannels].sort((a, b) => channelOrderKey(a) - channelOrderKey(b));
+            const from = ordered.findIndex(ch => ch.id === sourceId);
+            const target = ordered.findIndex(ch => ch.id === targetId);
+            // Dropping below its old place lands after the target row, above it before
+            const [moved] = ordered.splice(from, 1);
+            ordered.splice(target, 0, moved);
+            ordered.forEach((ch, index) => { ch.sortOrder = index; });
+            renderChannels();
+
+            try {
+                const response = await fetch('/m3u-manager/channels/reorder', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ids: ordered.map(ch => ch.id) })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Reorder failed');
+            } catch (error) {
+                alert('Error saving channel order: ' + error.message);
+                await loadChannels();
+            }
+        }
+
+        function updateGroupOptions() {
+            const groups = [...new Set(allChannels.map(ch => ch.group).filter(Boolean))].sort();
+            document.getElementById('channelGroupOptions').innerHTML =
+                groups.map(g => '<option value="' + escapeHtml(g) + '"></option>').join('');
+        }
+
+        async function showGroupsModal() {
+            updateGroupOptions();
+            document.getElementById('assignGroupName').value = '';
+            document.getElementById('assignGroupCount').textContent = shownChannelIds.length;
+            document.getElementById('groupsModal').style.display = 'block';
+            await loadGroups();
+        }
+
+        async function loadGroups() {
+            const listDiv = document.getElementById('groupsList');
+            try {
+                const response = await fetch('/m3u-manager/groups');
+                const groups = await response.json();
+                if (groups.length === 0) {
+                    listDiv.innerHTML = '<p style="color: #718096;">No groups yet. Set a channel\\'s group in its Edit dialog, or add the channels shown below.</p>';
+                    return;
+                }
+                listDiv.innerHTML = '<table style="width: 100%; border-collapse: collapse;">' +
+                    '<tr style="text-align: left; color: #718096;"><th>Group</th><th>Channels</th><th>Numbers</th><th>Start At</th><th></th></tr>' +
+                    groups.map((g, i) => '<tr style="border-top: 1px solid #e2e8f0;">' +
+                        '<td style="padding: 6px 0;"><strong>' + escapeHtml(g.name) + '</strong></td>' +
+                        '<td>' + g.enabled + ' / ' + g.count + '</td>' +
+                        '<td>' + (g.minNumber !== null ? g.minNumber + ' – ' + g.maxNumber : '—') + '</td>' +
+                        '<td><input type="number" id="groupStart' + i + '" min="1" step="1" value="' + (g.minNumber !== null ? Math.floor(g.minNumber) : '') + '" style="width: 90px;"></td>' +
+                        '<td style="text-align: right; white-space: nowrap;">' +
+                            '<button class="btn btn-secondary btn-small" data-group="' + escapeHtml(g.name) + '" onclick="renumberGroup(this.dataset.group, ' + i + ', \\'renumber\\')">Renumber</button> ' +
+                            '<button class="btn btn-secondary btn-small" data-group="' + escapeHtml(g.name) + '" onclick="renumberGroup(this.dataset.group, ' + i + ', \\'move\\')">Move</button>' +
+                        '</td></tr>').join('') +
+                    '</table>';
+            } catch (error) {
+                listDiv.innerHTML = '<p style="color: #c53030;">Error loading groups: ' + escapeHtml(error.message) + '</p>';
+            }
+        }
+
+        async function renumberGroup(group, index, action) {
+            const start = parseInt(document.getElementById('groupStart' + index).value, 10);
+            if (!start || start < 1) {
+                alert('Please enter the channel number to start at.');
+                return;
+            }
+            try {
+                const response = await fetch('/m3u-manager/groups/' + encodeURIComponent(group) + '/' + action, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ start })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Renumber failed');
+                await loadChannels();
+                await loadGroups();
+            } catch (error) {
+                alert('Error renumbering group: ' + error.message);
+            }
+        }
+
+        async function assignShownChannelsToGroup() {
+            if (shownChannelIds.length === 0) {
+                alert('No channels are shown in the current tab.');
+                return;
+            }
+            const group = document.getElementById('assignGroupName').value.trim();
+            const question = group
+                ? 'Add the ' + shownChannelIds.length + ' channel(s) shown to group "' + group + '"?'
+                : 'Remove the ' + shownChannelIds.length + ' channel(s) shown from their group?';
+            if (!confirm(question)) return;
+            try {
+                const response = await fetch('/m3u-manager/groups/assign', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ids: shownChannelIds, group })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Update failed');
+                await loadChannels();
+                updateGroupOptions();
+                await loadGroups();
+            } catch (error) {
+                alert('Error updating group: ' + error.message);
+            }
+        }
+
         function switchTab(service) {
             currentService = service;
             document.querySelectorAll('.tab').forEach(tab => {
@@ -5092,6 +6265,20 @@ const M3U_MANAGER_PAGE_HTML = `
                 });
 
             let html = '';
+            if (liveNetworkServices.length > 0) {
+                html += \`<div class="network-group"><h3>Live Channel Discovery</h3>
+                    <p style="color: #718096; margin-bottom: 12px; font-size: 13px;">Refresh a network to discover its live channels in the encoder browser (log in via the Login Manager first). Discovered channels are listed under All Channels.</p>
+                    <div class="network-cards">\`;
+                liveNetworkServices.forEach(svc => {
+                    const refreshed = svc.lastRefresh ? 'Refreshed ' + new Date(svc.lastRefresh).toLocaleString() : 'Never refreshed';
+                    html += \`<div class="network-card">
+                        <div class="network-name">\${svc.name}</div>
+                        <div class="network-category">\${svc.enabled} of \${svc.total} channels enabled · \${refreshed}</div>
+                        <button class="btn btn-primary btn-add" onclick="refreshService('\${svc.id}')">🔄 Refresh</button>
+                    </div>\`;
+                });
+                html += \`</div></div>\`;
+            }
             for (const [groupName, channels] of Object.entries(groups)) {
                 html += \`<div class="network-group"><h3>\${groupName}</h3><div class="network-cards">\`;
                 channels.forEach(net => {
@@ -5201,7 +6388,7 @@ const M3U_MANAGER_PAGE_HTML = `
 
         function refreshService(serviceName) {
             pendingRefreshService = serviceName;
-            document.getElementById('refreshServiceName').textContent = serviceName;
+            document.getElementById('refreshServiceName').textContent = serviceDisplayNames[serviceName] || serviceName;
             document.getElementById('refreshResetEdits').checked = false;
 
             // Show/hide Sling-specific options
@@ -5213,11 +6400,6 @@ const M3U_MANAGER_PAGE_HTML = `
                 slingOptionsGroup.style.display = 'none';
             }
 
-            // Update modal title for DirecTV
-            if (serviceName === 'directv') {
-                document.getElementById('refreshServiceName').textContent = 'DirecTV Stream';
-            }
-
             document.getElementById('refreshServiceModal').style.display = 'block';
         }
 
@@ -5226,6 +6408,7 @@ const M3U_MANAGER_PAGE_HTML = `
 
             const serviceName = pendingRefreshService;
             const resetEdits = document.getElementById('refreshResetEdits').checked;
+            const reviewChanges = document.getElementById('refreshReviewChanges').checked;
 
             // Get Sling-specific options
             const favoritesOnly = serviceName === 'sling'
@@ -5235,7 +6418,7 @@ const M3U_MANAGER_PAGE_HTML = `
             closeModal('refreshServiceModal');
 
             // Show loading modal
-            const serviceDisplayName = serviceName === 'directv' ? 'DirecTV' : serviceName.charAt(0).toUpperCase() + serviceName.slice(1);
+            const serviceDisplayName = serviceDisplayNames[serviceName] || serviceName;
             document.getElementById('loadingModalTitle').textContent = 'Refreshing ' + serviceDisplayName + '...';
             document.getElementById('loadingModalMessage').textContent = serviceName === 'sling'
                 ? 'Please wait while we scrape channel data from Sling TV guide. This may take a minute.'
@@ -5250,12 +6433,20 @@ const M3U_MANAGER_PAGE_HTML = `
                 const params = new URLSearchParams();
                 if (resetEdits) params.append('resetEdits', 'true');
                 if (serviceName === 'sling') params.append('favoritesOnly', favoritesOnly);
+                if (reviewChanges) params.append('dryRun', 'true');
 
                 const queryString = params.toString();
                 const url = \`/m3u-manager/refresh/\${serviceName}\${queryString ? '?' + queryString : ''}\`;
                 const response = await fetch(url, { method: 'POST' });
                 const result = await response.json();
 
+                if (reviewChanges) {
+                    if (!response.ok) throw new Error(result.error || 'Refresh failed');
+                    closeModal('loadingModal');
+                    showLineupReview(result);
+                    return;
+                }
+
                 // Transform loading modal into completion modal
                 document.getElementById('loadingSpinnerContainer').style.display = 'none';
                 document.getElementById('loadingCompleteContainer').style.display = 'block';
@@ -5289,6 +6480,216 @@ const M3U_MANAGER_PAGE_HTML = `
             }
         }
 
+        // Lineup review — accept or reject the changes found by a dry-run refresh
+        const LINEUP_CHANGE_LABELS = {
+            added: 'Added', removed: 'Removed', renamed: 'Renamed',
+            name: 'Name', stationId: 'Station ID', channelNumber: 'Channel #'
+        };
+        let pendingLineupReview = null;
+
+        function describeLineupValue(value) {
+            return value === null || value === undefined || value === '' ? '(none)' : String(value);
+        }
+
+        function describeLineupChannel(ch) {
+            let text = ch.name;
+            if (ch.channelNumber) text += ' · #' + ch.channelNumber;
+            if (ch.stationId) text += ' · station ' + ch.stationId;
+            return text;
+        }
+
+        function describeLineupChange(change) {
+            switch (change.type) {
+                case 'added': return describeLineupChannel(change.to);
+                case 'removed': return describeLineupChannel(change.from);
+                case 'renamed': return describeLineupChannel(change.from) + ' → ' + describeLineupChannel(change.to);
+                default: return change.name + ': ' + describeLineupValue(change.from) + ' → ' + describeLineupValue(change.to);
+            }
+        }
+
+        function showLineupReview(review) {
+            pendingLineupReview = review;
+            const serviceDisplayName = serviceDisplayNames[review.service] || review.service;
+            document.getElementById('lineupReviewSummary').textContent = review.changes.length === 0
+                ? serviceDisplayName + ' has no lineup changes (' + review.channelCount + ' channels). Apply to save the refreshed stream details anyway.'
+                : review.changes.length + ' change(s) found in ' + serviceDisplayName + ' (' + review.channelCount + ' channels after refresh). Unchecked changes are rejected.';
+            document.getElementById('lineupReviewChanges').innerHTML = review.changes.map(change =>
+                '<label style="display: flex; align-items: flex-start; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #edf2f7; cursor: pointer;">' +
+                    '<input type="checkbox" class="lineup-change" value="' + change.id + '" checked style="width: auto; margin-top: 3px;">' +
+                    '<span style="min-width: 90px; font-weight: 600; color: ' + (change.type === 'removed' ? '#c53030' : change.type === 'added' ? '#276749' : '#2b6cb0') + ';">' +
+                        LINEUP_CHANGE_LABELS[change.type] + '</span>' +
+                    '<span style="color: #2d3748;">' + escapeHtml(describeLineupChange(change)) + '</span>' +
+                '</label>').join('');
+            document.getElementById('lineupReviewModal').style.display = 'block';
+        }
+
+        function setAllLineupChanges(checked) {
+            document.querySelectorAll('#lineupReviewChanges .lineup-change').forEach(box => { box.checked = checked; });
+        }
+
+        async function applyLineupReview() {
+            if (!pendingLineupReview) return;
+            const accept = Array.from(document.querySelectorAll('#lineupReviewChanges .lineup-change:checked')).map(box => box.value);
+            try {
+                const response = await fetch('/m3u-manager/review/' + pendingLineupReview.service + '/apply', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ reviewId: pendingLineupReview.id, accept })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Failed to apply changes');
+                closeModal('lineupReviewModal');
+                pendingLineupReview = null;
+                alert('Applied ' + result.applied + ' change(s), rejected ' + result.rejected + '. ' + result.channelCount + ' channels saved.');
+                await loadChannels();
+                await loadStatus();
+            } catch (error) {
+                alert('Error applying changes: ' + error.message);
+            }
+        }
+
+        async function discardLineupReview() {
+            if (pendingLineupReview) {
+                await fetch('/m3u-manager/review/' + pendingLineupReview.service, { method: 'DELETE' }).catch(() => {});
+            }
+            pendingLineupReview = null;
+            closeModal('lineupReviewModal');
+        }
+
+        // Auto Refresh — per-service background refresh schedule (m3u-refresh-scheduler.js)
+        const AUTO_REFRESH_SERVICES = { sling: 'Sling TV', directv: 'DirecTV Stream' };
+        const AUTO_REFRESH_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        let autoRefreshState = null;
+
+        async function loadAutoRefresh() {
+            try {
+                const res = await fetch('/m3u-manager/auto-refresh');
+                autoRefreshState = await res.json();
+                renderAutoRefresh();
+            } catch (error) {
+                console.error('Error loading auto refresh status:', error);
+            }
+        }
+
+        function showAutoRefreshModal() {
+            document.getElementById('autoRefreshModal').style.display = 'block';
+            loadAutoRefresh();
+        }
+
+        function formatHour(hour) {
+            return (hour % 12 || 12) + (hour < 12 ? ' AM' : ' PM');
+        }
+
+        function describeAutoRefreshRun(run) {
+            if (!run) return 'Never run';
+            const when = new Date(run.finishedAt || run.startedAt).toLocaleString();
+            const labels = { success: 'Changed', unchanged: 'No changes', skipped: 'Skipped', failed: 'Failed' };
+            let text = (labels[run.status] || run.status) + ' — ' + when + ' (' + run.trigger + ')';
+            if (run.message) text += ': ' + run.message;
+            return text;
+        }
+
+        function renderAutoRefresh() {
+            const state = autoRefreshState;
+            if (!state) return;
+            document.getElementById('autoRefreshWindow').textContent =
+                formatHour(state.window.startHour) + ' and ' + formatHour(state.window.endHour);
+
+            const enabledNames = Object.keys(AUTO_REFRESH_SERVICES).filter(name => state.services[name] && state.services[name].enabled);
+            document.getElementById('autoRefreshSummary').textContent = enabledNames.length > 0
+                ? 'On: ' + enabledNames.map(name => AUTO_REFRESH_SERVICES[name]).join(', ')
+                : 'Off';
+
+            document.getElementById('autoRefreshServices').innerHTML = Object.entries(AUTO_REFRESH_SERVICES).map(([name, label]) => {
+                const settings = state.services[name];
+                if (!settings) return '';
+                const dayOptions = AUTO_REFRESH_DAYS.map((day, i) =>
+                    '<option value="' + i + '"' + (settings.dayOfWeek === i ? ' selected' : '') + '>' + day + '</option>').join('');
+                const running = state.running === name;
+                return '<div style="border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px; margin-bottom: 12px;">' +
+                    '<div style="display: flex; flex-wrap: wrap; align-items: center; gap: 12px;">' +
+                        '<label style="display: flex; align-items: center; gap: 6px; font-weight: 600; cursor: pointer; min-width: 150px;">' +
+                            '<input type="checkbox" id="ar-enabled-' + name + '" style="width: auto;"' + (settings.enabled ? ' checked' : '') + ' onchange="saveAutoRefresh(\\'' + name + '\\')">' +
+                            escapeHtml(label) +
+                        '</label>' +
+                        '<select id="ar-frequency-' + name + '" style="width: auto;" onchange="saveAutoRefresh(\\'' + name + '\\')">' +
+                            '<option value="daily"' + (settings.frequency === 'daily' ? ' selected' : '') + '>Daily</option>' +
+                            '<option value="weekly"' + (settings.frequency === 'weekly' ? ' selected' : '') + '>Weekly</option>' +
+                        '</select>' +
+                        '<select id="ar-day-' + name + '" style="width: auto;' + (settings.frequency === 'weekly' ? '' : ' display: none;') + '" onchange="saveAutoRefresh(\\'' + name + '\\')">' + dayOptions + '</select>' +
+                        (name === 'sling'
+                            ? '<label style="display: flex; align-items: center; gap: 6px; cursor: pointer;"><input type="checkbox" id="ar-favorites-' + name + '" style="width: auto;"' + (settings.favoritesOnly ? ' checked' : '') + ' onchange="saveAutoRefresh(\\'' + name + '\\')">Favorites Only</label>'
+                            : '') +
+                        '<button type="button" class="btn btn-secondary btn-small" style="margin-left: auto;"' + (state.running ? ' disabled' : '') + ' onclick="runAutoRefreshNow(\\'' + name + '\\')">' + (running ? 'Running…' : 'Run Now') + '</button>' +
+                    '</div>' +
+                    '<div style="font-size: 12px; color: #718096; margin-top: 8px;">' +
+                        'Next run: ' + (settings.nextRunAt ? new Date(settings.nextRunAt).toLocaleString() : '—') +
+                        ' · Last run: ' + escapeHtml(describeAutoRefreshRun(state.lastRuns[name])) +
+                    '</div>' +
+                '</div>';
+            }).join('');
+
+            const history = state.history || [];
+            document.getElementById('autoRefreshHistory').innerHTML = history.length === 0
+                ? '<p style="color: #718096;">No background refreshes yet.</p>'
+                : history.map(run => {
+                    const changes = [];
+                    if (run.added && run.added.length > 0) changes.push('<span style="color: #276749;">+ ' + run.added.map(ch => escapeHtml(ch.name)).join(', ') + '</span>');
+                    if (run.removed && run.removed.length > 0) changes.push('<span style="color: #c53030;">− ' + run.removed.map(ch => escapeHtml(ch.name)).join(', ') + '</span>');
+                    if (run.channelsDvrRefresh) {
+                        changes.push(run.channelsDvrRefresh.success
+                            ? 'Channels DVR M3U source refreshed'
+                            : 'Channels DVR refresh failed: ' + escapeHtml(run.channelsDvrRefresh.error || 'unknown error'));
+                    }
+                    return '<div style="padding: 6px 0; border-bottom: 1px solid #edf2f7;">' +
+                        '<strong>' + escapeHtml(AUTO_REFRESH_SERVICES[run.service] || run.service) + '</strong> — ' + escapeHtml(describeAutoRefreshRun(run)) +
+                        (changes.length > 0 ? '<div style="margin-top: 2px;">' + changes.join('<br>') + '</div>' : '') +
+                    '</div>';
+                }).join('');
+        }
+
+        async function saveAutoRefresh(name) {
+            const favorites = document.getElementById('ar-favorites-' + name);
+            const body = {
+                enabled: document.getElementById('ar-enabled-' + name).checked,
+                frequency: document.getElementById('ar-frequency-' + name).value,
+                dayOfWeek: parseInt(document.getElementById('ar-day-' + name).value, 10)
+            };
+            if (favorites) body.favoritesOnly = favorites.checked;
+            try {
+                const res = await fetch('/m3u-manager/auto-refresh/' + name, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await res.json();
+                if (!res.ok) throw new Error(result.error || 'Failed to save');
+                autoRefreshState = result;
+                renderAutoRefresh();
+            } catch (error) {
+                alert('Error saving auto refresh: ' + error.message);
+                loadAutoRefresh();
+            }
+        }
+
+        async function runAutoRefreshNow(name) {
+            autoRefreshState.running = name;
+            renderAutoRefresh();
+            try {
+                const res = await fetch('/m3u-manager/auto-refresh/' + name + '/run', { method: 'POST' });
+                const result = await res.json();
+                if (!res.ok) throw new Error(result.error || 'Refresh failed');
+                if (result.status === 'success') {
+                    await loadChannels();
+                    await loadStatus();
+                }
+            } catch (error) {
+                alert('Error running refresh: ' + error.message);
+            } finally {
+                loadAutoRefresh();
+            }
+        }
+
         async function toggleChannel(id) {
             try {
                 await fetch(\`/m3u-manager/channels/\${id}/toggle\`, { method: 'PATCH' });
@@ -5411,21 +6812,205 @@ const M3U_MANAGER_PAGE_HTML = `
             toggleEpgMode(); // Initialize visibility
         }
 
-        function showEditModal(id) {
-            const channel = allChannels.find(ch => ch.id === id);
-            if (!channel) return;
+        function showImportM3UModal() {
+            document.getElementById('importM3UFile').value = '';
+            document.getElementById('importM3UUrl').value = '';
+            document.getElementById('importM3UResult').style.display = 'none';
+            document.getElementById('importM3UModal').style.display = 'block';
+        }
 
-            const nameField = document.getElementById('editName');
+        async function importM3U() {
+            const file = document.getElementById('importM3UFile').files[0];
+            const url = document.getElementById('importM3UUrl').value.trim();
+            const rewriteStreams = document.getElementById('importM3URewrite').checked;
+            if (!file && !url) {
+                alert('Choose a playlist file or enter a playlist URL.');
+                return;
+            }
 
-            document.getElementById('editChannelId').value = channel.id;
-            document.getElementById('editChannelService').value = channel.service;
-            nameField.value = channel.name;
-            document.getElementById('editNumber').value = channel.channelNumber || '';
-            document.getElementById('editCallSign').value = channel.callSign || '';
-            document.getElementById('editStationId').value = channel.stationId || '';
-            document.getElementById('editDuration').value = channel.duration || 180;
+            const button = document.getElementById('importM3UButton');
+            const resultDiv = document.getElementById('importM3UResult');
+            button.disabled = true;
+            button.textContent = 'Importing...';
+            try {
+                const response = file
+                    ? await fetch('/m3u-manager/custom/import?rewriteStreams=' + rewriteStreams, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'text/plain' },
+                        body: await file.text()
+                    })
+                    : await fetch('/m3u-manager/custom/import', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ url, rewriteStreams })
+                    });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Import failed');
+
+                let html = '<p style="font-weight: 600; margin-bottom: 8px;">Imported ' + result.imported.length + ' of ' + result.total + ' channel(s).</p>';
+                if (result.skipped.length > 0) {
+                    html += '<p style="margin-bottom: 4px;">Skipped:</p><ul style="margin-left: 20px; color: #718096;">' +
+                        result.skipped.map(s => '<li>' + escapeHtml(s.name || '(line ' + s.line + ')') + ' — ' + escapeHtml(s.reason) + '</li>').join('') +
+                        '</ul>';
+                }
+                resultDiv.innerHTML = html;
+                resultDiv.style.display = 'block';
+                if (result.imported.length > 0) {
+                    await loadChannels();
+                    await loadStatus();
+                }
+            } catch (error) {
+                resultDiv.innerHTML = '<p style="color: #c53030;">' + escapeHtml(error.message) + '</p>';
+                resultDiv.style.display = 'block';
+            } finally {
+                button.disabled = false;
+                button.textContent = 'Import';
+            }
+        }
+
+        let playlistProfiles = [];
+
+        async function showPlaylistsModal() {
+            resetPlaylistForm();
+            document.getElementById('playlistsModal').style.display = 'block';
+            await loadPlaylistProfiles();
+        }
+
+        async function loadPlaylistProfiles() {
+            const listDiv = document.getElementById('playlistsList');
+            try {
+                const response = await fetch('/m3u-manager/playlists');
+                playlistProfiles = await response.json();
+                if (playlistProfiles.length === 0) {
+                    listDiv.innerHTML = '<p style="color: #718096;">No playlist profiles yet.</p>';
+                    return;
+                }
+                listDiv.innerHTML = '<table style="width: 100%; border-collapse: collapse;">' +
+                    '<tr style="text-align: left; color: #718096;"><th>Name</th><th>Channels</th><th>Channels DVR Source</th><th></th></tr>' +
+                    playlistProfiles.map(p => '<tr style="border-top: 1px solid #e2e8f0;">' +
+                        '<td style="padding: 6px 0;"><strong>' + escapeHtml(p.name) + '</strong></td>' +
+                        '<td>' + p.channelCount + '</td>' +
+                        '<td>' + (p.channelsDvrSource ? escapeHtml(p.sourceName || 'pending') : '—') + '</td>' +
+                        '<td style="text-align: right; white-space: nowrap;">' +
+                            '<button class="btn btn-secondary btn-small" data-name="' + escapeHtml(p.name) + '" onclick="copyPlaylistUrl(this.dataset.name)">Copy URL</button> ' +
+                            '<button class="btn btn-secondary btn-small" data-name="' + escapeHtml(p.name) + '" onclick="editPlaylistProfile(this.dataset.name)">Edit</button> ' +
+                            '<button class="btn btn-danger btn-small" data-name="' + escapeHtml(p.name) + '" onclick="deletePlaylistProfile(this.dataset.name)">Delete</button>' +
+                        '</td></tr>').join('') +
+                    '</table>';
+            } catch (error) {
+                listDiv.innerHTML = '<p style="color: #c53030;">Error loading playlist profiles: ' + escapeHtml(error.message) + '</p>';
+            }
+        }
+
+        function resetPlaylistForm() {
+            document.getElementById('playlistFormTitle').textContent = 'New Profile';
+            document.getElementById('playlistName').value = '';
+            document.getElementById('playlistName').disabled = false;
+            document.getElementById('playlistServices').value = '';
+            document.getElementById('playlistGenres').value = '';
+            document.getElementById('playlistSort').value = 'number';
+            document.getElementById('playlistOffset').value = 0;
+            document.getElementById('playlistInclude').value = '';
+            document.getElementById('playlistExclude').value = '';
+            document.getElementById('playlistFast').checked = true;
+            document.getElementById('playlistChannelsDvr').checked = false;
+        }
+
+        function editPlaylistProfile(name) {
+            const profile = playlistProfiles.find(p => p.name === name);
+            if (!profile) return;
+            document.getElementById('playlistFormTitle').textContent = 'Edit Profile: ' + profile.name;
+            document.getElementById('playlistName').value = profile.name;
+            document.getElementById('playlistName').disabled = true;
+            document.getElementById('playlistServices').value = profile.services.join(',');
+            document.getElementById('playlistGenres').value = profile.genres.join(',');
+            document.getElementById('playlistSort').value = profile.sort;
+            document.getElementById('playlistOffset').value = profile.channelNumberOffset;
+            document.getElementById('playlistInclude').value = profile.include.join(',');
+            document.getElementById('playlistExclude').value = profile.exclude.join(',');
+            document.getElementById('playlistFast').checked = profile.fast;
+            document.getElementById('playlistChannelsDvr').checked = profile.channelsDvrSource;
+        }
+
+        async function savePlaylistProfile() {
+            const name = document.getElementById('playlistName').value.trim();
+            if (!name) {
+                alert('Please enter a profile name.');
+                return;
+            }
+            const button = document.getElementById('savePlaylistButton');
+            button.disabled = true;
+            button.textContent = 'Saving...';
+            try {
+                const response = await fetch('/m3u-manager/playlists/' + encodeURIComponent(name), {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        services: document.getElementById('playlistServices').value,
+                        genres: document.getElementById('playlistGenres').value,
+                        sort: document.getElementById('playlistSort').value,
+                        channelNumberOffset: document.getElementById('playlistOffset').value,
+                        include: document.getElementById('playlistInclude').value,
+                        exclude: document.getElementById('playlistExclude').value,
+                        fast: document.getElementById('playlistFast').checked,
+                        channelsDvrSource: document.getElementById('playlistChannelsDvr').checked
+                    })
+                });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Save failed');
+                if (result.channelsDvr && !result.channelsDvr.success) {
+                    alert('Profile saved, but the Channels DVR source could not be updated: ' + result.channelsDvr.error);
+                }
+                resetPlaylistForm();
+                await loadPlaylistProfiles();
+            } catch (error) {
+                alert('Error saving playlist profile: ' + error.message);
+            } finally {
+                button.disabled = false;
+                button.textContent = 'Save Profile';
+            }
+        }
+
+        async function deletePlaylistProfile(name) {
+            if (!confirm('Delete playlist profile "' + name + '"? A Channels DVR source created for it must be removed in Channels DVR.')) return;
+            try {
+                const response = await fetch('/m3u-manager/playlists/' + encodeURIComponent(name), { method: 'DELETE' });
+                const result = await response.json();
+                if (!response.ok) throw new Error(result.error || 'Delete failed');
+                await loadPlaylistProfiles();
+            } catch (error) {
+                alert('Error deleting playlist profile: ' + error.message);
+            }
+        }
+
+        async function copyPlaylistUrl(name) {
+            const profile = playlistProfiles.find(p => p.name === name);
+            if (!profile) return;
+            try {
+                await navigator.clipboard.writeText(profile.url);
+                alert('Playlist URL copied to clipboard!\\n' + profile.url);
+            } catch (e) {
+                prompt('Playlist URL:', profile.url);
+            }
+        }
+
+        function showEditModal(id) {
+            const channel = allChannels.find(ch => ch.id === id);
+            if (!channel) return;
+
+            const nameField = document.getElementById('editName');
+
+            document.getElementById('editChannelId').value = channel.id;
+            document.getElementById('editChannelService').value = channel.service;
+            nameField.value = channel.name;
+            document.getElementById('editNumber').value = channel.channelNumber || '';
+            document.getElementById('editCallSign').value = channel.callSign || '';
+            document.getElementById('editStationId').value = channel.stationId || '';
+            document.getElementById('editDuration').value = channel.duration || 180;
             document.getElementById('editCategory').value = channel.category || 'Drama';
             document.getElementById('editLogo').value = channel.logo || '';
+            document.getElementById('editGroup').value = channel.group || '';
+            updateGroupOptions();
 
             // Show/hide and populate Stream URL field for custom channels only
             const streamUrlGroup = document.getElementById('editStreamUrlGroup');
@@ -5534,16 +7119,8 @@ const M3U_MANAGER_PAGE_HTML = `
             };
 
             try {
-                const response = await fetch('/m3u-manager/custom', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(channelData)
-                });
-
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-                    throw new Error(errorData.error || 'Failed to add channel');
-                }
+                const channel = await submitChannel('/m3u-manager/custom', 'POST', channelData);
+                if (!channel) return;
 
                 closeModal('addCustomModal');
                 await loadChannels();
@@ -5572,6 +7149,7 @@ const M3U_MANAGER_PAGE_HTML = `
                 duration: epgMode === 'placeholder' ? (parseInt(document.getElementById('editDuration').value) || 180) : null,
                 category: document.getElementById('editCategory').value,
                 logo: document.getElementById('editLogo').value || null,
+                group: document.getElementById('editGroup').value,
                 cc: editCc || null
             };
 
@@ -5587,15 +7165,8 @@ const M3U_MANAGER_PAGE_HTML = `
             }
 
             try {
-                const response = await fetch(\`/m3u-manager/channels/\${id}\`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(updates)
-                });
-
-                if (!response.ok) {
-                    throw new Error('Failed to update channel');
-                }
+                const channel = await submitChannel(\`/m3u-manager/channels/\${id}\`, 'PUT', updates);
+                if (!channel) return;
 
                 closeModal('editChannelModal');
                 await loadChannels();
@@ -5945,6 +7516,16 @@ const M3U_MANAGER_PAGE_HTML = `
             alert('M3U URL copied to clipboard!');
         }
 
+        async function copyGuideUrl() {
+            const url = window.location.origin + '/m3u-manager/guide.xml';
+            try {
+                await navigator.clipboard.writeText(url);
+                alert('XMLTV guide URL copied to clipboard!\\n' + url);
+            } catch (e) {
+                prompt('XMLTV guide URL:', url);
+            }
+        }
+
         function updateCustomUrlPrefix() {
             // Update the custom URL prefix in Add Custom Channel modal and Edit Channel modal
             const ch4cAddress = window.location.hostname;
@@ -5984,6 +7565,10 @@ const M3U_MANAGER_PAGE_HTML = `
             const refreshModal = document.getElementById('refreshServiceModal');
             const previewModal = document.getElementById('previewM3UModal');
             const lookupModal = document.getElementById('stationLookupModal');
+            const autoRefreshModal = document.getElementById('autoRefreshModal');
+            const importModal = document.getElementById('importM3UModal');
+            const playlistsModal = document.getElementById('playlistsModal');
+            const groupsModal = document.getElementById('groupsModal');
 
             if (event.target === addModal) {
                 closeModal('addCustomModal');
@@ -5995,6 +7580,14 @@ const M3U_MANAGER_PAGE_HTML = `
                 closeModal('previewM3UModal');
             } else if (event.target === lookupModal) {
                 closeModal('stationLookupModal');
+            } else if (event.target === autoRefreshModal) {
+                closeModal('autoRefreshModal');
+            } else if (event.target === importModal) {
+                closeModal('importM3UModal');
+            } else if (event.target === playlistsModal) {
+                closeModal('playlistsModal');
+            } else if (event.target === groupsModal) {
+                closeModal('groupsModal');
             }
         }
     </script>
@@ -6342,6 +7935,89 @@ const LOGS_PAGE_HTML = `
 </html>
 `;
 
+const LOGIN_PAGE_HTML = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Sign In - CH4C</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            display: flex; align-items: center; justify-content: center;
+            padding: 20px;
+        }
+        .container {
+            background: white;
+            border-radius: 16px;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+            max-width: 380px;
+            width: 100%;
+            padding: 40px;
+        }
+        .header { text-align: center; margin-bottom: 24px; }
+        .header h1 { color: #2d3748; font-size: 28px; font-weight: 700; margin-bottom: 8px; }
+        .header p { color: #718096; font-size: 14px; }
+        .form-input {
+            width: 100%; padding: 10px 12px; border: 1px solid #e2e8f0; border-radius: 6px;
+            font-size: 14px; color: #2d3748; font-family: inherit; margin-bottom: 16px;
+        }
+        .form-input:focus {
+            outline: none; border-color: #667eea; box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.15);
+        }
+        .btn {
+            width: 100%; padding: 10px 16px; border: none; border-radius: 6px; font-size: 14px;
+            font-weight: 500; cursor: pointer; color: white;
+            background: linear-gradient(135deg, #667eea, #764ba2);
+        }
+        .btn:disabled { background: #cbd5e0; cursor: not-allowed; }
+        .error { color: #c53030; font-size: 13px; margin-bottom: 12px; min-height: 16px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>CH4C</h1>
+            <p>Enter the admin password to continue</p>
+        </div>
+        <form id="login-form">
+            <input type="password" id="password" class="form-input" placeholder="Password" autocomplete="current-password" autofocus>
+            <div id="error" class="error"></div>
+            <button type="submit" class="btn" id="login-btn">Sign In</button>
+        </form>
+    </div>
+    <script>
+        document.getElementById('login-form').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            const btn = document.getElementById('login-btn');
+            const errorEl = document.getElementById('error');
+            btn.disabled = true;
+            errorEl.textContent = '';
+            try {
+                const res = await fetch('/api/auth/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ password: document.getElementById('password').value })
+                });
+                const data = await res.json();
+                if (!res.ok || !data.success) throw new Error(data.error || 'Sign in failed');
+                // Only follow same-site relative redirects
+                const next = new URLSearchParams(window.location.search).get('next') || '/';
+                window.location.href = (next.startsWith('/') && !next.startsWith('//')) ? next : '/';
+            } catch (error) {
+                errorEl.textContent = error.message;
+                btn.disabled = false;
+            }
+        });
+    </script>
+</body>
+</html>
+`;
+
 const SETTINGS_PAGE_HTML = `
 <!DOCTYPE html>
 <html lang="en">
@@ -6715,6 +8391,9 @@ const SETTINGS_PAGE_HTML = `
                 }
                 streamLimitStatus = streamLimitRes.ok ? await streamLimitRes.json() : { applicable: false };
                 container.innerHTML = renderAll();
+                loadEncoderSelection();
+                loadNotificationSettings();
+                loadAuthSettings();
             } catch (error) {
                 container.innerHTML = '<div class="message error show">Error loading settings: ' + error.message + '</div>';
             }
@@ -6823,6 +8502,12 @@ const SETTINGS_PAGE_HTML = `
             html += '</div>';
             html += '</div>';
 
+            // Encoder Selection section - filled in by loadEncoderSelection() (saved with its own button)
+            html += '<div class="section">';
+            html += '<div class="section-header">Encoder Selection</div>';
+            html += '<div id="encoder-selection-content"><div style="color:#718096;font-size:14px;padding:8px 0;">Loading...</div></div>';
+            html += '</div>';
+
             // Render Monitoring section with paired toggle fields
             if (metadata.monitoring) {
                 html += '<div class="section">';
@@ -6874,8 +8559,19 @@ const SETTINGS_PAGE_HTML = `
                     html += '</div>';
                 }
 
+                // Video Watchdog checkbox + Video Stall Limit on same line
+                if (monByPath.enableVideoWatchdog && monByPath.videoStallTimeout) {
+                    html += renderTogglePair(monByPath.enableVideoWatchdog, monByPath.videoStallTimeout, values, defaults, cliOverrides);
+                }
+
+                // Stream Analyzer checkbox + Analyzer Interval on same line
+                if (monByPath.enableStreamAnalyzer && monByPath.streamAnalyzerInterval) {
+                    html += renderTogglePair(monByPath.enableStreamAnalyzer, monByPath.streamAnalyzerInterval, values, defaults, cliOverrides);
+                }
+
                 // Remaining monitoring fields rendered individually (if any beyond explicitly handled ones)
-                var explicitMonPaths = ['enablePauseMonitor', 'pauseMonitorInterval', 'browserHealthInterval'];
+                var explicitMonPaths = ['enablePauseMonitor', 'pauseMonitorInterval', 'browserHealthInterval', 'enableVideoWatchdog', 'videoStallTimeout',
+                    'enableStreamAnalyzer', 'streamAnalyzerInterval'];
                 for (const field of metadata.monitoring) {
                     if (explicitMonPaths.indexOf(field.path) === -1) {
                         html += renderField(field, values, defaults, cliOverrides);
@@ -6919,6 +8615,43 @@ const SETTINGS_PAGE_HTML = `
                 html += '</div>';
             }
 
+            // Notifications section - filled in by loadNotificationSettings() (saved immediately, not via Save)
+            html += '<div class="section">';
+            html += '<div class="section-header">Notifications</div>';
+            html += '<div id="notifications-content"><div style="color:#718096;font-size:14px;padding:8px 0;">Loading...</div></div>';
+            html += '</div>';
+
+            // Security section - filled in by loadAuthSettings() (saved immediately, not via Save)
+            html += '<div class="section">';
+            html += '<div class="section-header">Security</div>';
+            html += '<div id="auth-content"><div style="color:#718096;font-size:14px;padding:8px 0;">Loading...</div></div>';
+            html += '</div>';
+
+            // Backup & Restore section (acts immediately, not via Save)
+            html += '<div class="section">';
+            html += '<div class="section-header">Backup &amp; Restore</div>';
+            html += '<div class="form-group">';
+            html += '<div class="form-row"><span class="form-label">Backup</span></div>';
+            html += '<div class="form-description">Downloads settings, encoders, M3U Manager channels, scheduled recordings, automatic login check settings, playlist profiles and notifications as one file, to set up another CH4C box or restore this one.</div>';
+            html += '<div class="form-row" style="margin-top:8px;">';
+            html += '<input type="checkbox" class="form-checkbox" id="backup-include-credentials">';
+            html += '<label for="backup-include-credentials" style="font-size:14px;color:#4a5568;">Include saved login credentials</label>';
+            html += '<input type="password" class="form-input" id="backup-passphrase" placeholder="Passphrase (8+ characters)" autocomplete="new-password">';
+            html += '</div>';
+            html += '<div class="form-description">Credentials are encrypted with this passphrase; you will need it to restore them.</div>';
+            html += '<div class="form-description"><button class="btn btn-secondary btn-sm" onclick="downloadBackup()">Download Backup</button></div>';
+            html += '</div>';
+            html += '<div class="form-group">';
+            html += '<div class="form-row"><span class="form-label">Restore</span></div>';
+            html += '<div class="form-row" style="margin-top:8px;">';
+            html += '<input type="file" id="restore-file" accept=".json,application/json">';
+            html += '<input type="password" class="form-input" id="restore-passphrase" placeholder="Passphrase (if it has credentials)" autocomplete="off">';
+            html += '</div>';
+            html += '<div class="form-description">Replaces this box\\'s settings, encoders, channels, scheduled recordings and login check settings with the backup\\'s. The data directory setting is kept. Restart CH4C afterwards.</div>';
+            html += '<div class="form-description"><button class="btn btn-warning btn-sm" onclick="restoreBackup()">Restore Backup</button></div>';
+            html += '</div>';
+            html += '</div>';
+
             // About section
             html += '<div class="section">';
             html += '<div class="section-header">About</div>';
@@ -7545,6 +9278,520 @@ const SETTINGS_PAGE_HTML = `
             closeScreenPicker();
         }
 
+        // Encoder selection policy (policy, reserved encoders, tags, affinity rules)
+        const POLICY_LABELS = {
+            'first': 'First available (config order)',
+            'round-robin': 'Round-robin',
+            'least-recently-used': 'Least recently used'
+        };
+
+        async function loadEncoderSelection() {
+            const el = document.getElementById('encoder-selection-content');
+            if (!el) return;
+            try {
+                const [res, queueRes] = await Promise.all([fetch('/api/encoder-selection'), fetch('/api/encoder-queue')]);
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load');
+                const queue = await queueRes.json();
+                if (!queueRes.ok) throw new Error(queue.error || 'Failed to load');
+                el.innerHTML = renderEncoderSelection(data, queue);
+            } catch (error) {
+                el.innerHTML = '<div class="form-error">Error loading encoder selection: ' + escapeHtml(error.message) + '</div>';
+            }
+        }
+
+        function renderEncoderSelection(data, queue) {
+            let html = '';
+            html += '<div class="form-group"><div class="form-row">';
+            html += '<label class="form-label" for="sel-policy">Selection Policy</label>';
+            html += '<select class="form-select" id="sel-policy">';
+            data.policies.forEach(function(p) {
+                html += '<option value="' + p + '"' + (p === data.policy ? ' selected' : '') + '>' + escapeHtml(POLICY_LABELS[p] || p) + '</option>';
+            });
+            html += '</select></div>';
+            html += '<div class="form-description">How an encoder is chosen when a request does not ask for a specific one. Applies to streams, instant recordings and scheduled recordings.</div></div>';
+
+            html += '<div class="form-group"><div class="form-row">';
+            html += '<label class="form-label" for="sel-reserve">Reserve for Scheduled Recordings</label>';
+            html += '<input type="number" class="form-input" style="flex:0 0 80px;max-width:80px;" id="sel-reserve" min="0" value="' + data.reserveForScheduled + '">';
+            html += '<span class="form-unit">encoders</span></div>';
+            html += '<div class="form-description">Live streams and instant recordings are refused when they would leave fewer than this many encoders free. (default: 0)</div></div>';
+
+            html += '<div class="form-group"><div class="form-row">';
+            html += '<label class="form-label" for="queue-timeout">Queue Timeout</label>';
+            html += '<input type="number" class="form-input" style="flex:0 0 80px;max-width:80px;" id="queue-timeout" min="0" max="3600" value="' + queue.queueTimeoutSeconds + '">';
+            html += '<span class="form-unit">seconds</span></div>';
+            html += '<div class="form-description">When every encoder is busy, requests wait this long for one to free up, highest priority first (scheduled recording, instant recording, live viewing, tune). 0 refuses immediately. (default: 60)</div></div>';
+
+            html += '<div class="form-group"><div class="form-row">';
+            html += '<input type="checkbox" class="form-checkbox" id="queue-preemption" ' + (queue.preemption ? 'checked' : '') + '>';
+            html += '<label for="queue-preemption" style="font-size:14px;color:#4a5568;">Allow pre-emption</label></div>';
+            html += '<div class="form-description">A higher-priority request may stop a live or tuned stream to take its encoder. Recordings are never stopped. (default: on)</div></div>';
+
+            html += '<div class="form-group"><div class="form-row"><span class="form-label">Encoder Tags</span></div>';
+            if (data.encoders.length === 0) {
+                html += '<div class="form-description">No encoders configured</div>';
+            }
+            data.encoders.forEach(function(enc, i) {
+                const tags = (data.encoderTags[enc.url] || []).join(', ');
+                html += '<div class="form-row" style="margin-top:6px;">';
+                html += '<span class="form-unit" style="flex:0 0 140px;">Channel ' + escapeHtml(enc.channel) + '</span>';
+                html += '<input type="text" class="form-input sel-tags" data-url="' + escapeHtml(enc.url) + '" value="' + escapeHtml(tags) + '" placeholder="e.g. sling, peacock">';
+                html += '</div>';
+            });
+            html += '<div class="form-description">Comma-separated tags, e.g. the services this encoder\\'s browser profile is logged in to.</div></div>';
+
+            const rules = data.affinityRules.map(function(r) { return r.pattern + ': ' + r.tags.join(', '); }).join('\\n');
+            html += '<div class="form-group"><div class="form-row"><label class="form-label" for="sel-rules">Affinity Rules</label></div>';
+            html += '<textarea class="form-input" id="sel-rules" rows="3" style="max-width:100%;width:100%;font-family:monospace;" placeholder="watch.sling.com: sling">' + escapeHtml(rules) + '</textarea>';
+            html += '<div class="form-description">One rule per line as <code>url-pattern: tag1, tag2</code>. URLs containing the pattern only use encoders with one of the tags.</div>';
+            html += '<div class="form-description"><button class="btn btn-primary btn-sm" onclick="saveEncoderSelection()">Save Encoder Selection</button></div>';
+            html += '</div>';
+            return html;
+        }
+
+        async function saveEncoderSelection() {
+            const encoderTags = {};
+            document.querySelectorAll('.sel-tags').forEach(function(input) {
+                encoderTags[input.getAttribute('data-url')] = input.value;
+            });
+            const affinityRules = document.getElementById('sel-rules').value.split('\\n')
+                .map(function(line) { return line.trim(); })
+                .filter(function(line) { return line; })
+                .map(function(line) {
+                    const idx = line.lastIndexOf(':');
+                    return idx === -1 ? { pattern: line, tags: [] } : { pattern: line.slice(0, idx).trim(), tags: line.slice(idx + 1) };
+                });
+            try {
+                const res = await fetch('/api/encoder-selection', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        policy: document.getElementById('sel-policy').value,
+                        reserveForScheduled: document.getElementById('sel-reserve').value,
+                        affinityRules: affinityRules,
+                        encoderTags: encoderTags
+                    })
+                });
+                const data = await res.json();
+                if (!res.ok || !data.success) throw new Error(data.error || 'Save failed');
+                const queueRes = await fetch('/api/encoder-queue', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        queueTimeoutSeconds: document.getElementById('queue-timeout').value,
+                        preemption: document.getElementById('queue-preemption').checked
+                    })
+                });
+                const queueData = await queueRes.json();
+                if (!queueRes.ok || !queueData.success) throw new Error(queueData.error || 'Save failed');
+                showMessage('Encoder selection saved', 'success');
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        // Security (admin password, route exemptions, API tokens)
+        async function downloadBackup() {
+            const includeCredentials = document.getElementById('backup-include-credentials').checked;
+            const passphrase = document.getElementById('backup-passphrase').value;
+            try {
+                const res = await fetch('/api/backup?includeCredentials=' + includeCredentials, {
+                    headers: includeCredentials ? { 'X-Backup-Passphrase': passphrase } : {}
+                });
+                if (!res.ok) {
+                    const data = await res.json();
+                    throw new Error(data.error || 'Backup failed');
+                }
+                const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(await res.blob());
+                link.download = match ? match[1] : 'ch4c-backup.json';
+                link.click();
+                URL.revokeObjectURL(link.href);
+                showMessage('Backup downloaded.', 'success');
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        function describeRestoreErrors(errors) {
+            return Object.entries(errors).map(function(entry) {
+                const detail = typeof entry[1] === 'object'
+                    ? Object.entries(entry[1]).map(function(e) { return e[0] + ': ' + e[1]; }).join(', ')
+                    : entry[1];
+                return entry[0] + ' — ' + detail;
+            }).join('; ');
+        }
+
+        async function restoreBackup() {
+            const file = document.getElementById('restore-file').files[0];
+            if (!file) {
+                showMessage('Choose a backup file to restore.', 'error');
+                return;
+            }
+            if (!confirm('Replace this CH4C configuration with the backup? This cannot be undone.')) return;
+            try {
+                let backup;
+                try {
+                    backup = JSON.parse(await file.text());
+                } catch (_) {
+                    throw new Error('The file is not a CH4C backup');
+                }
+                const res = await fetch('/api/restore', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ backup, passphrase: document.getElementById('restore-passphrase').value })
+                });
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.errors ? describeRestoreErrors(data.errors) : (data.error || 'Restore failed'));
+                showMessage(data.message, 'success');
+                const restartBtn = document.getElementById('restart-btn');
+                if (restartBtn && settingsData && settingsData.runningAsService) restartBtn.style.display = '';
+            } catch (error) {
+                showMessage('Restore failed: ' + error.message, 'error');
+            }
+        }
+
+        // Type-specific sink fields; the secret (password / token) is never sent back by the server
+        const NOTIFY_FIELDS = {
+            webhook: [{ key: 'url', label: 'URL', placeholder: 'https://example.com/hook' }],
+            ntfy: [{ key: 'server', label: 'Server', placeholder: 'https://ntfy.sh' }, { key: 'topic', label: 'Topic', placeholder: 'ch4c-alerts' }],
+            gotify: [{ key: 'server', label: 'Server', placeholder: 'https://gotify.example.com' }],
+            email: [
+                { key: 'host', label: 'SMTP Server', placeholder: 'smtp.gmail.com' },
+                { key: 'port', label: 'Port', placeholder: '587' },
+                { key: 'security', label: 'Security', options: ['starttls', 'tls', 'none'] },
+                { key: 'username', label: 'Username', placeholder: 'Optional' },
+                { key: 'from', label: 'From', placeholder: 'ch4c@example.com' },
+                { key: 'to', label: 'To', placeholder: 'you@example.com, other@example.com' }
+            ]
+        };
+        const NOTIFY_SECRET_LABELS = { ntfy: 'Access Token', gotify: 'App Token', email: 'Password' };
+        const NOTIFY_TYPE_LABELS = { webhook: 'Webhook (JSON POST)', ntfy: 'ntfy', gotify: 'Gotify', email: 'Email (SMTP)' };
+        var notifyData = null;
+
+        async function loadNotificationSettings() {
+            const el = document.getElementById('notifications-content');
+            if (!el) return;
+            try {
+                const res = await fetch('/api/notifications');
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load');
+                notifyData = data;
+                el.innerHTML = renderNotificationSection(data);
+            } catch (error) {
+                el.innerHTML = '<div class="form-error">Error loading notification settings: ' + escapeHtml(error.message) + '</div>';
+            }
+        }
+
+        function renderNotificationSection(data) {
+            let html = '';
+            html += '<div class="form-group"><div class="form-row">';
+            html += '<label class="form-label" for="notify-rate-limit">Rate Limit</label>';
+            html += '<input type="number" class="form-input" style="flex:0 0 80px;max-width:80px;" id="notify-rate-limit" min="0" max="1440" value="' + data.rateLimitMinutes + '">';
+            html += '<span class="form-unit">minutes</span>';
+            html += '<button class="btn btn-secondary btn-sm" onclick="saveNotificationRateLimit()">Save</button></div>';
+            html += '<div class="form-description">The same event about the same encoder, recording or login check is sent at most once in this time; repeats are counted in the next one. 0 sends every time. (default: 30)</div></div>';
+
+            data.sinks.forEach(function(sink) {
+                html += '<div class="form-group">';
+                html += '<div class="form-row"><span class="form-label">' + escapeHtml(sink.name) + '</span>';
+                html += '<span style="font-size:13px;color:#718096;">' + escapeHtml(NOTIFY_TYPE_LABELS[sink.type] || sink.type) + '</span></div>';
+                html += renderSinkFields(sink.id, sink.type, sink, data.events);
+                if (sink.lastResult) {
+                    html += '<div class="form-description" style="color:' + (sink.lastResult.success ? '#276749' : '#c53030') + ';">Last sent ' + new Date(sink.lastResult.at).toLocaleString() + ': ' + (sink.lastResult.success ? 'OK' : escapeHtml(sink.lastResult.error)) + '</div>';
+                }
+                html += '<div class="form-description">';
+                html += '<button class="btn btn-primary btn-sm" onclick="saveNotificationSink(\\'' + sink.id + '\\')">Save</button>';
+                html += ' <button class="btn btn-secondary btn-sm" onclick="testNotificationSink(\\'' + sink.id + '\\')">Send Test</button>';
+                html += ' <button class="btn btn-danger btn-sm" onclick="deleteNotificationSink(\\'' + sink.id + '\\')">Delete</button>';
+                html += '</div></div>';
+            });
+
+            html += '<div class="form-group">';
+            html += '<div class="form-row"><label class="form-label" for="notify-new-type">Add Notification</label>';
+            html += '<select class="form-select" id="notify-new-type" onchange="renderNewNotificationSink()">';
+            data.sinkTypes.forEach(function(t) {
+                html += '<option value="' + t + '">' + escapeHtml(NOTIFY_TYPE_LABELS[t] || t) + '</option>';
+            });
+            html += '</select></div>';
+            html += '<div id="notify-new-fields">' + renderSinkFields('new', data.sinkTypes[0], null, data.events) + '</div>';
+            html += '<div class="form-description"><button class="btn btn-primary btn-sm" onclick="addNotificationSink()">Add</button></div>';
+            html += '<div class="form-description">Sent when a login check fails, a recording fails, an encoder goes unhealthy, or browser or stream recovery gives up.</div>';
+            html += '</div>';
+            return html;
+        }
+
+        function renderSinkFields(prefix, type, sink, events) {
+            const id = 'notify-' + prefix + '-';
+            const config = sink ? sink.config : {};
+            let html = '';
+            html += '<div class="form-row" style="margin-top:6px;">';
+            html += '<span class="form-unit" style="flex:0 0 140px;">Name</span>';
+            html += '<input type="text" class="form-input" id="' + id + 'name" value="' + escapeHtml(sink ? sink.name : '') + '" placeholder="e.g. Phone">';
+            html += '<input type="checkbox" class="form-checkbox" id="' + id + 'enabled" ' + (!sink || sink.enabled ? 'checked' : '') + '>';
+            html += '<label for="' + id + 'enabled" style="font-size:14px;color:#4a5568;">Enabled</label>';
+            html += '</div>';
+            NOTIFY_FIELDS[type].forEach(function(f) {
+                const value = config[f.key] !== undefined ? String(config[f.key]) : '';
+                html += '<div class="form-row" style="margin-top:6px;">';
+                html += '<span class="form-unit" style="flex:0 0 140px;">' + f.label + '</span>';
+                if (f.options) {
+                    html += '<select class="form-select" id="' + id + f.key + '">';
+                    f.options.forEach(function(o) {
+                        html += '<option value="' + o + '"' + (o === value ? ' selected' : '') + '>' + o + '</option>';
+                    });
+                    html += '</select>';
+                } else {
+                    html += '<input type="text" class="form-input" id="' + id + f.key + '" value="' + escapeHtml(value) + '" placeholder="' + escapeHtml(f.placeholder) + '">';
+                }
+                html += '</div>';
+            });
+            if (NOTIFY_SECRET_LABELS[type]) {
+                html += '<div class="form-row" style="margin-top:6px;">';
+                html += '<span class="form-unit" style="flex:0 0 140px;">' + NOTIFY_SECRET_LABELS[type] + '</span>';
+                html += '<input type="password" class="form-input" id="' + id + 'secret" autocomplete="new-password" placeholder="' + (sink && sink.hasSecret ? 'Saved (leave blank to keep)' : (type === 'ntfy' ? 'Optional' : '')) + '">';
+                if (sink && sink.hasSecret) {
+                    html += '<input type="checkbox" class="form-checkbox" id="' + id + 'clear-secret">';
+                    html += '<label for="' + id + 'clear-secret" style="font-size:14px;color:#4a5568;">Remove</label>';
+                }
+                html += '</div>';
+            }
+            html += '<div class="form-row" style="margin-top:6px;flex-wrap:wrap;">';
+            html += '<span class="form-unit" style="flex:0 0 140px;">Events</span>';
+            events.forEach(function(ev) {
+                const checked = !sink || sink.events.indexOf(ev.key) !== -1;
+                html += '<input type="checkbox" class="form-checkbox notify-' + prefix + '-event" id="' + id + 'event-' + ev.key + '" value="' + ev.key + '" ' + (checked ? 'checked' : '') + '>';
+                html += '<label for="' + id + 'event-' + ev.key + '" style="font-size:14px;color:#4a5568;margin-right:10px;">' + escapeHtml(ev.label) + '</label>';
+            });
+            html += '</div>';
+            return html;
+        }
+
+        function renderNewNotificationSink() {
+            const type = document.getElementById('notify-new-type').value;
+            document.getElementById('notify-new-fields').innerHTML = renderSinkFields('new', type, null, notifyData.events);
+        }
+
+        function collectSinkFields(prefix, type) {
+            const id = 'notify-' + prefix + '-';
+            const fields = {
+                name: document.getElementById(id + 'name').value,
+                enabled: document.getElementById(id + 'enabled').checked,
+                events: Array.from(document.querySelectorAll('.notify-' + prefix + '-event:checked')).map(function(el) { return el.value; }),
+                config: {}
+            };
+            NOTIFY_FIELDS[type].forEach(function(f) {
+                fields.config[f.key] = document.getElementById(id + f.key).value;
+            });
+            const secretEl = document.getElementById(id + 'secret');
+            const clearEl = document.getElementById(id + 'clear-secret');
+            if (clearEl && clearEl.checked) fields.secret = '';
+            else if (secretEl && secretEl.value) fields.secret = secretEl.value;
+            return fields;
+        }
+
+        async function saveNotificationRateLimit() {
+            try {
+                await authRequest('/api/notifications', 'PUT', {
+                    rateLimitMinutes: parseInt(document.getElementById('notify-rate-limit').value, 10)
+                });
+                showMessage('Saved', 'success');
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        async function addNotificationSink() {
+            const type = document.getElementById('notify-new-type').value;
+            try {
+                const body = collectSinkFields('new', type);
+                body.type = type;
+                await authRequest('/api/notifications/sinks', 'POST', body);
+                showMessage('Notification added', 'success');
+                loadNotificationSettings();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        async function saveNotificationSink(id) {
+            const sink = notifyData.sinks.find(function(s) { return s.id === id; });
+            try {
+                await authRequest('/api/notifications/sinks/' + encodeURIComponent(id), 'PUT', collectSinkFields(id, sink.type));
+                showMessage('Saved', 'success');
+                loadNotificationSettings();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        async function testNotificationSink(id) {
+            try {
+                await authRequest('/api/notifications/sinks/' + encodeURIComponent(id) + '/test', 'POST');
+                showMessage('Test notification sent', 'success');
+            } catch (error) {
+                showMessage('Test failed: ' + error.message, 'error');
+            }
+            loadNotificationSettings();
+        }
+
+        async function deleteNotificationSink(id) {
+            if (!confirm('Delete this notification?')) return;
+            try {
+                await authRequest('/api/notifications/sinks/' + encodeURIComponent(id), 'DELETE');
+                loadNotificationSettings();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        async function loadAuthSettings() {
+            const el = document.getElementById('auth-content');
+            if (!el) return;
+            try {
+                const res = await fetch('/api/auth/settings');
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to load');
+                el.innerHTML = renderAuthSection(data);
+            } catch (error) {
+                el.innerHTML = '<div class="form-error">Error loading security settings: ' + escapeHtml(error.message) + '</div>';
+            }
+        }
+
+        function renderAuthSection(data) {
+            let html = '';
+            html += '<div class="form-group">';
+            html += '<div class="form-row"><span class="form-label">Admin Password</span>';
+            html += '<span>' + (data.enabled ? 'Enabled' : 'Not set') + '</span></div>';
+            html += '<div class="form-description">When set, the web UI and every /api route require signing in (or an API token). Minimum ' + data.minPasswordLength + ' characters.</div>';
+            html += '<div class="form-row" style="margin-top:8px;">';
+            if (data.enabled) {
+                html += '<input type="password" class="form-input" id="auth-current-password" placeholder="Current password" autocomplete="current-password">';
+            }
+            html += '<input type="password" class="form-input" id="auth-new-password" placeholder="New password" autocomplete="new-password">';
+            html += '</div>';
+            html += '<div class="form-description">';
+            html += '<button class="btn btn-primary btn-sm" onclick="saveAdminPassword()">' + (data.enabled ? 'Change Password' : 'Set Password') + '</button>';
+            if (data.enabled) {
+                html += ' <button class="btn btn-danger btn-sm" onclick="removeAdminPassword()">Remove Password</button>';
+                html += ' <button class="btn btn-secondary btn-sm" onclick="signOut()">Sign Out</button>';
+            }
+            html += '</div></div>';
+
+            html += '<div class="form-group">';
+            html += '<div class="form-row"><span class="form-label">Allow Without Sign-In</span></div>';
+            data.exemptions.forEach(function(ex) {
+                html += '<div class="form-row" style="margin-top:6px;">';
+                html += '<input type="checkbox" class="form-checkbox" id="auth-exempt-' + ex.key + '" ' + (ex.exempt ? 'checked' : '') + ' onchange="saveAuthExemption(\\'' + ex.key + '\\', this.checked)">';
+                html += '<label for="auth-exempt-' + ex.key + '" style="font-size:14px;color:#4a5568;">' + escapeHtml(ex.label) + '</label>';
+                html += '</div>';
+            });
+            html += '<div class="form-description">Channels DVR cannot sign in, so keep these allowed unless it is given an API token some other way.</div>';
+            html += '</div>';
+
+            html += '<div class="form-group">';
+            html += '<div class="form-row"><span class="form-label">API Tokens</span></div>';
+            if (data.tokens.length === 0) {
+                html += '<div class="form-description">No API tokens</div>';
+            }
+            data.tokens.forEach(function(t) {
+                html += '<div class="form-row" style="margin-top:6px;font-size:13px;color:#2d3748;">';
+                html += '<span style="flex:1;">' + escapeHtml(t.name) + ' <span style="color:#a0aec0;">created ' + new Date(t.createdAt).toLocaleDateString();
+                html += t.lastUsedAt ? ', last used ' + new Date(t.lastUsedAt).toLocaleString() : ', never used';
+                html += '</span></span>';
+                html += '<button class="btn btn-danger btn-sm" onclick="revokeApiToken(\\'' + t.id + '\\')">Revoke</button>';
+                html += '</div>';
+            });
+            html += '<div class="form-row" style="margin-top:8px;">';
+            html += '<input type="text" class="form-input" id="auth-token-name" placeholder="Token name (e.g. home-automation)">';
+            html += '<button class="btn btn-secondary btn-sm" onclick="createApiToken()">Create Token</button>';
+            html += '</div>';
+            html += '<div id="auth-new-token"></div>';
+            html += '<div class="form-description">Send as <code>Authorization: Bearer &lt;token&gt;</code>. The token is only shown once.</div>';
+            html += '</div>';
+            return html;
+        }
+
+        async function authRequest(url, method, body) {
+            const res = await fetch(url, {
+                method: method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await res.json();
+            if (!res.ok || data.success === false) throw new Error(data.error || 'Request failed');
+            return data;
+        }
+
+        async function saveAdminPassword() {
+            const currentEl = document.getElementById('auth-current-password');
+            try {
+                await authRequest('/api/auth/password', 'POST', {
+                    currentPassword: currentEl ? currentEl.value : undefined,
+                    newPassword: document.getElementById('auth-new-password').value
+                });
+                showMessage('Admin password saved', 'success');
+                loadAuthSettings();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        async function removeAdminPassword() {
+            if (!confirm('Remove the admin password? Anyone on your network will be able to use CH4C without signing in.')) return;
+            try {
+                await authRequest('/api/auth/password', 'DELETE', {
+                    currentPassword: document.getElementById('auth-current-password').value
+                });
+                showMessage('Admin password removed', 'success');
+                loadAuthSettings();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        async function signOut() {
+            await fetch('/api/auth/logout', { method: 'POST' });
+            window.location.href = '/login';
+        }
+
+        async function saveAuthExemption(key, exempt) {
+            try {
+                const body = {};
+                body[key] = exempt;
+                await authRequest('/api/auth/exemptions', 'PUT', body);
+                showMessage('Saved', 'success');
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+                loadAuthSettings();
+            }
+        }
+
+        async function createApiToken() {
+            try {
+                const data = await authRequest('/api/auth/tokens', 'POST', {
+                    name: document.getElementById('auth-token-name').value
+                });
+                await loadAuthSettings();
+                document.getElementById('auth-new-token').innerHTML =
+                    '<div class="form-description" style="color:#276749;">New token for "' + escapeHtml(data.name) + '" (copy it now): <code>' + escapeHtml(data.token) + '</code></div>';
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
+        async function revokeApiToken(id) {
+            if (!confirm('Revoke this API token? Scripts using it will stop working.')) return;
+            try {
+                await authRequest('/api/auth/tokens/' + encodeURIComponent(id), 'DELETE');
+                loadAuthSettings();
+            } catch (error) {
+                showMessage('Error: ' + error.message, 'error');
+            }
+        }
+
         function cancelSettings() {
             if (hasChanges && !confirm('Discard unsaved changes?')) return;
             hasChanges = false;
@@ -7669,6 +9916,16 @@ module.exports = {
   PAUSE_MONITOR_INTERVAL,
   BROWSER_HEALTH_INTERVAL,
   ENABLE_M3U_AUTO_SYNC,
+  RESUME_INTERRUPTED_RECORDINGS,
+  START_EARLY_MINUTES,
+  END_LATE_MINUTES,
+  ENABLE_VIDEO_WATCHDOG,
+  VIDEO_STALL_TIMEOUT,
+  ENABLE_STREAM_ANALYZER,
+  STREAM_ANALYZER_INTERVAL,
+  STREAM_INACTIVITY_TIMEOUT,
+  STREAM_MAX_ERRORS,
+  STREAM_RECOVERY_ACTIONS,
   CHANNELS_POST_URL,
   START_PAGE_HTML,
   INSTANT_PAGE_HTML,
@@ -7676,6 +9933,7 @@ module.exports = {
   REMOTE_ACCESS_PAGE_HTML,
   LOGS_PAGE_HTML,
   SETTINGS_PAGE_HTML,
+  LOGIN_PAGE_HTML,
   CHROME_USERDATA_DIRECTORIES,
   CHROME_EXECUTABLE_DIRECTORIES,
   CH4C_PROFILES_DIR: getDefaultProfilesDir(),
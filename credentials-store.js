@@ -151,4 +151,18 @@ function clearCredentials(siteId) {
   }
 }
 
-module.exports = { init, getCredentials, saveCredentials, clearCredentials };
+/**
+ * Return every saved site's decrypted credentials, keyed by site ID (used by backups).
+ * Entries that fail to decrypt are left out.
+ * @returns {Object<string, object>}
+ */
+function getAllCredentials() {
+  const result = {};
+  for (const siteId of Object.keys(loadStore())) {
+    const creds = getCredentials(siteId);
+    if (creds) result[siteId] = creds;
+  }
+  return result;
+}
+
+module.exports = { init, getCredentials, getAllCredentials, saveCredentials, clearCredentials };
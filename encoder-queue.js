@@ -0,0 +1,377 @@
+'use strict';
+
+/**
+ * encoder-queue.js
+ * Encoder claims, a priority wait queue and pre-emption for when every encoder is busy.
+ *
+ * Every request that needs an encoder has a purpose, which sets its priority:
+ *   scheduled (scheduled recording) > instant (instant recording) > live (viewing) > tune
+ *   > refresh (background M3U channel refresh, which only takes an encoder nothing else wants)
+ *
+ * Claims: an encoder handed out by tryAcquire()/acquire() is claimed until cleanup releases
+ * it. The claim covers the gap between picking an encoder and its browser being marked
+ * active (e.g. while Channels DVR creates the recording), and records what the encoder is
+ * doing so a higher-priority request knows what it could pre-empt. CH4C's own loopback
+ * /stream request passes the encoder it was handed as `handoffEncoder` and takes the claim over.
+ *
+ * When no encoder is free:
+ *   1. Pre-emption (if enabled): a live or tune stream or a channel refresh with a lower
+ *      priority than the request is stopped and its encoder reserved for the request.
+ *      Recordings are never pre-empted.
+ *   2. Otherwise the request waits in the queue for up to `queueTimeoutSeconds`. Waiting
+ *      requests are ordered by priority, then arrival; a free encoder goes to the first
+ *      waiting request that can use it (tag affinity / explicitly selected encoder), and a
+ *      new request can't take an encoder that a waiting request of equal or higher priority
+ *      could use.
+ *
+ * Encoder choice itself stays with encoder-selector.js — callers pass a `select` function
+ * that applies the selection policy with an extra `exclude` predicate.
+ *
+ * Persistence: settings are stored in <DATA_DIR>/encoder-queue.json. Claims and the queue
+ * are in memory only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logTS } = require('./logger');
+
+const PRIORITIES = { scheduled: 4, instant: 3, live: 2, tune: 1, refresh: 0 };
+const PREEMPTIBLE = ['live', 'tune', 'refresh'];
+const PURPOSE_LABELS = {
+  scheduled: 'Scheduled recording',
+  instant: 'Instant recording',
+  live: 'Live viewing',
+  tune: 'Tune',
+  refresh: 'Channel refresh',
+};
+
+const POLL_INTERVAL_MS = 500;
+// A pre-empted encoder needs its browser closed and relaunched before it is free again
+const PREEMPT_WAIT_MS = 30000;
+// Claims that never got a stream attached (request failed before /stream) are dropped after this
+const UNATTACHED_CLAIM_TTL_MS = 2 * 60 * 1000;
+
+const DEFAULT_STATE = {
+  queueTimeoutSeconds: 60,
+  preemption: true,
+};
+
+let _dataDir = 'data';
+let _state = { ...DEFAULT_STATE };
+let _stopEncoder = null;     // async (encoderUrl) => void, used to pre-empt claims without a stream
+let _nextId = 1;
+const _claims = new Map();   // encoderUrl -> { purpose, priority, label, targetUrl, since, attached, stop, preemptedBy }
+const _waiting = [];         // sorted by priority desc, then enqueuedAt asc
+
+function settingsFilePath() {
+  return path.join(_dataDir, 'encoder-queue.json');
+}
+
+function loadState() {
+  try {
+    const f = settingsFilePath();
+    if (fs.existsSync(f)) {
+      _state = { ...DEFAULT_STATE, ...JSON.parse(fs.readFileSync(f, 'utf8')) };
+    }
+  } catch (e) {
+    logTS(`encoder-queue: failed to load settings: ${e.message}`);
+  }
+}
+
+function saveState() {
+  try {
+    fs.mkdirSync(_dataDir, { recursive: true });
+    fs.writeFileSync(settingsFilePath(), JSON.stringify(_state, null, 2), 'utf8');
+  } catch (e) {
+    logTS(`encoder-queue: failed to save settings: ${e.message}`);
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function priorityOf(purpose) {
+  return PRIORITIES[purpose] ?? PRIORITIES.live;
+}
+
+function describe(request) {
+  return request.label ? `${PURPOSE_LABELS[request.purpose]} "${request.label}"` : PURPOSE_LABELS[request.purpose];
+}
+
+function getClaim(encoderUrl) {
+  const claim = _claims.get(encoderUrl);
+  if (claim && !claim.attached && Date.now() - claim.since > UNATTACHED_CLAIM_TTL_MS) {
+    logTS(`[${encoderUrl}] Dropping stale encoder claim (${describe(claim)}, no stream started)`);
+    _claims.delete(encoderUrl);
+    return null;
+  }
+  return claim || null;
+}
+
+/**
+ * Encoders the request must not take: claimed by someone else, reserved for a pre-empting
+ * request, or usable by a waiting request ahead of it.
+ */
+function excludeFor(request, ahead) {
+  return (encoderUrl) => {
+    if (request.handoffEncoder && encoderUrl === request.handoffEncoder) return false;
+    if (getClaim(encoderUrl)) return true;
+    if (_waiting.some(w => w !== request && w.reservedFor === encoderUrl)) return true;
+    return ahead.some(w => !w.reservedFor && w.canUse(encoderUrl));
+  };
+}
+
+function claim(encoderUrl, request) {
+  const existing = getClaim(encoderUrl);
+  if (existing && request.handoffEncoder === encoderUrl) return existing;
+  const entry = {
+    purpose: request.purpose,
+    priority: priorityOf(request.purpose),
+    label: request.label || null,
+    targetUrl: request.targetUrl || null,
+    since: Date.now(),
+    attached: false,
+    stop: null,
+    preemptedBy: null,
+  };
+  _claims.set(encoderUrl, entry);
+  return entry;
+}
+
+function attempt(request, ahead) {
+  const result = request.select({ exclude: excludeFor(request, ahead), record: true });
+  if (result.encoder) claim(result.encoder.url, request);
+  return result;
+}
+
+function insertWaiting(entry) {
+  const idx = _waiting.findIndex(w => w.priority < entry.priority);
+  if (idx === -1) _waiting.push(entry);
+  else _waiting.splice(idx, 0, entry);
+}
+
+function removeWaiting(entry) {
+  const idx = _waiting.indexOf(entry);
+  if (idx !== -1) _waiting.splice(idx, 1);
+}
+
+/** Stop the lowest-priority pre-emptible stream this request outranks and can use. */
+function preemptFor(entry) {
+  if (!_state.preemption) return null;
+  let victimUrl = null;
+  let victim = null;
+  for (const [encoderUrl, c] of _claims) {
+    if (!PREEMPTIBLE.includes(c.purpose) || c.priority >= entry.priority || c.preemptedBy) continue;
+    if (!entry.canUse(encoderUrl)) continue;
+    // Lowest priority first; among equals, the most recently started (least viewing lost)
+    if (!victim || c.priority < victim.priority || (c.priority === victim.priority && c.since > victim.since)) {
+      victimUrl = encoderUrl;
+      victim = c;
+    }
+  }
+  if (!victim) return null;
+
+  victim.preemptedBy = entry.id;
+  entry.reservedFor = victimUrl;
+  entry.preempted = { encoderUrl: victimUrl, purpose: victim.purpose, label: victim.label, targetUrl: victim.targetUrl };
+  logTS(`[${victimUrl}] Pre-empting ${describe(victim)} for ${describe(entry)}`);
+
+  Promise.resolve()
+    .then(() => (victim.stop ? victim.stop() : _stopEncoder && _stopEncoder(victimUrl)))
+    .catch(e => logTS(`[${victimUrl}] Error stopping pre-empted stream: ${e.message}`));
+  return victimUrl;
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} dataDir - CH4C data directory (persists settings here).
+ * @param {object} [options]
+ * @param {(encoderUrl: string) => Promise<void>} [options.stopEncoder] - stops an encoder whose
+ *   claim has no stream attached yet (pre-emption fallback)
+ */
+function init(dataDir, { stopEncoder } = {}) {
+  _dataDir = dataDir || 'data';
+  _stopEncoder = stopEncoder || null;
+  loadState();
+}
+
+/**
+ * Take a free encoder now without waiting, respecting the queue.
+ * @param {object} request
+ * @param {string} request.purpose - 'scheduled' | 'instant' | 'live' | 'tune' | 'refresh'
+ * @param {string} [request.label] - recording name etc., for logs and the queue display
+ * @param {string} [request.targetUrl]
+ * @param {({ exclude, record }) => { encoder, decision }} request.select - applies the selection policy
+ * @param {(encoderUrl: string) => boolean} request.canUse - whether this request may use the encoder
+ * @param {string} [request.handoffEncoder] - encoder already claimed on this request's behalf
+ * @returns {{ encoder: object|null, decision: object }}
+ */
+function tryAcquire(request) {
+  const priority = priorityOf(request.purpose);
+  return attempt(request, _waiting.filter(w => w.priority >= priority));
+}
+
+/**
+ * Take an encoder, pre-empting a lower-priority stream or waiting in the queue if none is free.
+ * @param {object} request - as for tryAcquire
+ * @param {object} [options]
+ * @param {() => boolean} [options.isCancelled] - checked while waiting (e.g. client disconnected)
+ * @returns {Promise<{ encoder: object|null, decision: object, waitedMs: number, preempted: object|null }>}
+ */
+async function acquire(request, { isCancelled } = {}) {
+  let result = tryAcquire(request);
+  if (result.encoder) return { ...result, waitedMs: 0, preempted: null };
+
+  const timeoutMs = (Number(_state.queueTimeoutSeconds) || 0) * 1000;
+  const entry = {
+    ...request,
+    id: _nextId++,
+    priority: priorityOf(request.purpose),
+    enqueuedAt: Date.now(),
+    deadline: Date.now() + timeoutMs,
+    reservedFor: null,
+    preempted: null,
+  };
+  insertWaiting(entry);
+
+  try {
+    if (_waiting[0] === entry && preemptFor(entry)) {
+      entry.deadline = Math.max(entry.deadline, Date.now() + PREEMPT_WAIT_MS);
+    }
+    if (!entry.reservedFor && timeoutMs <= 0) {
+      return { ...result, waitedMs: 0, preempted: null };
+    }
+
+    logTS(`${describe(entry)} queued for an encoder (position ${_waiting.indexOf(entry) + 1} of ${_waiting.length}, timeout ${Math.round((entry.deadline - entry.enqueuedAt) / 1000)}s)`);
+
+    while (Date.now() < entry.deadline) {
+      await delay(POLL_INTERVAL_MS);
+      if (isCancelled && isCancelled()) {
+        logTS(`${describe(entry)} left the encoder queue (request cancelled)`);
+        return { encoder: null, decision: { ...result.decision, reason: 'request cancelled while queued' }, waitedMs: Date.now() - entry.enqueuedAt, preempted: entry.preempted };
+      }
+
+      const ahead = _waiting.slice(0, _waiting.indexOf(entry));
+      result = attempt(entry, ahead);
+      if (result.encoder) {
+        const waitedMs = Date.now() - entry.enqueuedAt;
+        logTS(`${describe(entry)} got encoder ${result.encoder.url} after ${Math.round(waitedMs / 1000)}s in queue`);
+        return { ...result, waitedMs, preempted: entry.preempted };
+      }
+
+      if (!entry.reservedFor && ahead.length === 0 && preemptFor(entry)) {
+        entry.deadline = Math.max(entry.deadline, Date.now() + PREEMPT_WAIT_MS);
+      }
+    }
+
+    const waitedMs = Date.now() - entry.enqueuedAt;
+    logTS(`${describe(entry)} timed out in encoder queue after ${Math.round(waitedMs / 1000)}s`);
+    return {
+      encoder: null,
+      decision: { ...result.decision, reason: `${result.decision.reason}; timed out after ${Math.round(waitedMs / 1000)}s in queue` },
+      waitedMs,
+      preempted: entry.preempted,
+    };
+  } finally {
+    removeWaiting(entry);
+  }
+}
+
+/**
+ * Claim an encoder obtained outside the queue (e.g. one just recovered for this request).
+ */
+function claimEncoder(encoderUrl, request) {
+  claim(encoderUrl, request);
+}
+
+/**
+ * Mark the encoder's claim as having a running stream.
+ * @param {string} encoderUrl
+ * @param {() => void} [stop] - ends the stream; used if the stream is pre-empted
+ */
+function attach(encoderUrl, stop) {
+  const c = getClaim(encoderUrl);
+  if (!c) return;
+  c.attached = true;
+  if (stop) c.stop = stop;
+}
+
+/** Release the encoder's claim (called when the encoder is cleaned up). */
+function release(encoderUrl) {
+  _claims.delete(encoderUrl);
+}
+
+function isClaimed(encoderUrl) {
+  return !!getClaim(encoderUrl);
+}
+
+function getSettings() {
+  return { ..._state };
+}
+
+/**
+ * @throws {Error} on an invalid timeout value
+ */
+function updateSettings({ queueTimeoutSeconds, preemption }) {
+  if (queueTimeoutSeconds !== undefined) {
+    const n = Number(queueTimeoutSeconds);
+    if (!Number.isInteger(n) || n < 0 || n > 3600) throw new Error('Queue timeout must be a whole number of seconds between 0 and 3600');
+    _state.queueTimeoutSeconds = n;
+  }
+  if (preemption !== undefined) _state.preemption = !!preemption;
+  saveState();
+  logTS(`Encoder queue updated: timeout=${_state.queueTimeoutSeconds}s, pre-emption=${_state.preemption ? 'on' : 'off'}`);
+  return getSettings();
+}
+
+/** Claim (current use) of one encoder, JSON-safe, or null. */
+function getEncoderUse(encoderUrl) {
+  const c = getClaim(encoderUrl);
+  if (!c) return null;
+  return {
+    purpose: c.purpose,
+    priority: c.priority,
+    label: c.label,
+    targetUrl: c.targetUrl,
+    since: new Date(c.since).toISOString(),
+    preemptible: PREEMPTIBLE.includes(c.purpose),
+    beingPreempted: !!c.preemptedBy,
+  };
+}
+
+/** Queue state for /health and the Instant page. */
+function getStatus() {
+  const now = Date.now();
+  return {
+    ...getSettings(),
+    priorities: PRIORITIES,
+    waiting: _waiting.map((w, idx) => ({
+      position: idx + 1,
+      purpose: w.purpose,
+      priority: w.priority,
+      label: w.label || null,
+      targetUrl: w.targetUrl || null,
+      waitingSeconds: Math.round((now - w.enqueuedAt) / 1000),
+      timeoutInSeconds: Math.max(0, Math.round((w.deadline - now) / 1000)),
+      preempting: w.reservedFor,
+    })),
+  };
+}
+
+module.exports = {
+  PRIORITIES,
+  PURPOSE_LABELS,
+  init,
+  tryAcquire,
+  acquire,
+  claimEncoder,
+  attach,
+  release,
+  isClaimed,
+  getSettings,
+  updateSettings,
+  getEncoderUse,
+  getStatus,
+};
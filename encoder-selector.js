@@ -0,0 +1,289 @@
+'use strict';
+
+/**
+ * encoder-selector.js
+ * Shared encoder selection policy for /stream, POST /instant and scheduled recordings.
+ *
+ * Selection runs in three steps over the encoders that are currently free (browser running,
+ * encoder and browser healthy, not being cleaned up — the caller supplies that check):
+ *   1. Tag affinity: if the target URL matches an affinity rule (e.g. "watch.sling.com" →
+ *      tag "sling"), only encoders carrying one of the rule's tags are eligible. Useful when
+ *      only some encoder profiles are logged in to a service.
+ *   2. Reserve: `reserveForScheduled` encoders are held back for scheduled recordings — any
+ *      other request is refused if taking an encoder would leave fewer than that free.
+ *   3. Ordering policy among the remaining candidates:
+ *        first               — config order (the original behaviour)
+ *        round-robin         — rotate through encoders, starting after the last one picked
+ *        least-recently-used — the encoder picked longest ago (never-used encoders first)
+ *
+ * An explicitly requested encoder (the encoder picker on the Instant page, /stream?encoder=,
+ * or CH4C's own loopback /stream request after it already selected one) bypasses tag affinity
+ * and the ordering policy when free, but not the reserve: a request other than a scheduled
+ * recording is refused ("encoder reserved") if it would take one of the reserved encoders.
+ * The loopback request (handoff) was checked when its encoder was claimed.
+ *
+ * Every decision is kept in memory (last one overall plus the last one per encoder) so
+ * /health can show which policy chose an encoder and why.
+ *
+ * Persistence: settings and encoder tags are stored in <DATA_DIR>/encoder-selection.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logTS } = require('./logger');
+
+const POLICIES = ['first', 'round-robin', 'least-recently-used'];
+const PURPOSES = ['scheduled', 'instant', 'live', 'tune'];
+
+const DEFAULT_STATE = {
+  policy: 'first',
+  reserveForScheduled: 0,
+  affinityRules: [], // [{ pattern: 'watch.sling.com', tags: ['sling'] }]
+  encoderTags: {},   // { [encoderUrl]: ['sling', ...] }
+};
+
+let _dataDir = 'data';
+let _state = { ...DEFAULT_STATE };
+let _lastPickedUrl = null;              // round-robin cursor
+const _lastUsedAt = new Map();          // encoderUrl -> ms, for least-recently-used
+const _lastDecisionByEncoder = new Map(); // encoderUrl -> decision
+let _lastDecision = null;
+
+function settingsFilePath() {
+  return path.join(_dataDir, 'encoder-selection.json');
+}
+
+function loadState() {
+  try {
+    const f = settingsFilePath();
+    if (fs.existsSync(f)) {
+      _state = { ...DEFAULT_STATE, ...JSON.parse(fs.readFileSync(f, 'utf8')) };
+    }
+  } catch (e) {
+    logTS(`encoder-selector: failed to load settings: ${e.message}`);
+  }
+}
+
+function saveState() {
+  try {
+    fs.mkdirSync(_dataDir, { recursive: true });
+    fs.writeFileSync(settingsFilePath(), JSON.stringify(_state, null, 2), 'utf8');
+  } catch (e) {
+    logTS(`encoder-selector: failed to save settings: ${e.message}`);
+  }
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+function getEncoderTags(encoderUrl) {
+  return _state.encoderTags[encoderUrl] || [];
+}
+
+/** Tags required for targetUrl by the affinity rules, or null if no rule matches. */
+function requiredTagsFor(targetUrl) {
+  if (!targetUrl) return null;
+  const matching = _state.affinityRules.filter(rule => rule.pattern && targetUrl.includes(rule.pattern));
+  if (matching.length === 0) return null;
+  return { patterns: matching.map(r => r.pattern), tags: [...new Set(matching.flatMap(r => r.tags))] };
+}
+
+function orderCandidates(candidates, encoders) {
+  switch (_state.policy) {
+    case 'round-robin': {
+      const lastIdx = encoders.findIndex(e => e.url === _lastPickedUrl);
+      const rank = e => {
+        const idx = encoders.indexOf(e);
+        return (idx - lastIdx - 1 + encoders.length) % encoders.length;
+      };
+      return [...candidates].sort((a, b) => rank(a) - rank(b));
+    }
+    case 'least-recently-used':
+      return [...candidates].sort((a, b) => (_lastUsedAt.get(a.url) || 0) - (_lastUsedAt.get(b.url) || 0));
+    default:
+      return candidates;
+  }
+}
+
+function policyReason(encoder) {
+  switch (_state.policy) {
+    case 'round-robin':
+      return 'next encoder in round-robin rotation';
+    case 'least-recently-used': {
+      const last = _lastUsedAt.get(encoder.url);
+      return last ? `least recently used (last used ${new Date(last).toLocaleString()})` : 'least recently used (not used yet)';
+    }
+    default:
+      return 'first free encoder in config order';
+  }
+}
+
+function record(decision) {
+  _lastDecision = decision;
+  if (decision.encoderUrl) _lastDecisionByEncoder.set(decision.encoderUrl, decision);
+  return decision;
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} dataDir - CH4C data directory (persists settings here).
+ */
+function init(dataDir) {
+  _dataDir = dataDir || 'data';
+  loadState();
+  if (_state.policy !== 'first' || _state.reserveForScheduled > 0 || _state.affinityRules.length > 0) {
+    logTS(`Encoder selection: policy=${_state.policy}, reserved for scheduled=${_state.reserveForScheduled}, affinity rules=${_state.affinityRules.length}`);
+  }
+}
+
+/**
+ * Pick an encoder for a request.
+ * @param {object} opts
+ * @param {object[]} opts.encoders - configured encoders, in config order
+ * @param {(encoder) => boolean} opts.isAvailable - true if the encoder is free and healthy
+ * @param {string} opts.purpose - 'scheduled' | 'instant' | 'live' | 'tune' | 'refresh'
+ * @param {string} [opts.targetUrl] - URL to be streamed (for tag affinity)
+ * @param {string} [opts.requestedEncoder] - encoder URL explicitly asked for
+ * @param {boolean} [opts.allowFallback=true] - when the requested encoder is busy, fall back to the policy
+ * @param {boolean} [opts.handoff=false] - requestedEncoder was already claimed for this request
+ * @param {boolean} [opts.record=true] - keep the decision for /health (false for polling/preview)
+ * @returns {{ encoder: object|null, decision: object }} decision.reserved is set when the
+ *   request was refused because of reserveForScheduled
+ */
+function selectEncoder({ encoders, isAvailable, purpose, targetUrl = null, requestedEncoder = null, allowFallback = true, handoff = false, record: keep = true }) {
+  const base = { policy: _state.policy, purpose, targetUrl, at: new Date().toISOString() };
+  const done = (encoder, reason, extra = {}) => {
+    const decision = { ...base, encoderUrl: encoder ? encoder.url : null, channel: encoder ? encoder.channel : null, reason, ...extra };
+    if (keep) record(decision);
+    return { encoder, decision };
+  };
+
+  const free = encoders.filter(isAvailable);
+  const reserve = Number(_state.reserveForScheduled) || 0;
+  const reserved = purpose !== 'scheduled' && reserve > 0 && free.length <= reserve;
+
+  if (requestedEncoder) {
+    const requested = free.find(e => e.url === requestedEncoder);
+    // Asking for an encoder by name doesn't get round the scheduled-recording reserve
+    if (requested && reserved && !handoff) {
+      return done(null, `encoder reserved: ${requestedEncoder} is one of the ${free.length} free encoder(s) held back for scheduled recordings (${reserve} reserved)`, { reserved: true });
+    }
+    if (requested) {
+      if (keep) _lastUsedAt.set(requested.url, Date.now());
+      return done(requested, 'explicitly requested encoder');
+    }
+    if (!allowFallback) return done(null, `requested encoder ${requestedEncoder} is not available`);
+  }
+
+  if (free.length === 0) return done(null, 'no free and healthy encoders');
+
+  let candidates = free;
+  const reasons = [];
+
+  const affinity = requiredTagsFor(targetUrl);
+  if (affinity) {
+    candidates = free.filter(e => getEncoderTags(e.url).some(t => affinity.tags.includes(t)));
+    if (candidates.length === 0) {
+      return done(null, `no free encoder tagged ${affinity.tags.join('/')} (affinity rule for ${affinity.patterns.join(', ')})`);
+    }
+    reasons.push(`tag affinity ${affinity.tags.join('/')}`);
+  }
+
+  if (purpose !== 'scheduled' && reserve > 0) {
+    if (reserved) {
+      return done(null, `${free.length} free encoder(s), ${reserve} reserved for scheduled recordings`, { reserved: true });
+    }
+    reasons.push(`${reserve} reserved for scheduled recordings`);
+  }
+
+  const encoder = orderCandidates(candidates, encoders)[0];
+  if (keep) {
+    _lastPickedUrl = encoder.url;
+    _lastUsedAt.set(encoder.url, Date.now());
+  }
+  return done(encoder, [policyReason(encoder), ...reasons].join('; '));
+}
+
+/**
+ * Whether the tag affinity rules allow encoderUrl to stream targetUrl (true when no rule
+ * matches). Used by the encoder queue to tell which waiting request an encoder could serve.
+ */
+function isEligible(encoderUrl, targetUrl) {
+  const affinity = requiredTagsFor(targetUrl);
+  return !affinity || getEncoderTags(encoderUrl).some(t => affinity.tags.includes(t));
+}
+
+function getSettings() {
+  return { ..._state, policies: POLICIES };
+}
+
+/**
+ * @throws {Error} on invalid policy / reserve / rule values
+ */
+function updateSettings({ policy, reserveForScheduled, affinityRules, encoderTags }) {
+  // Validate everything before changing anything, so a rejected update leaves no trace
+  const changes = {};
+  if (policy !== undefined) {
+    if (!POLICIES.includes(policy)) throw new Error(`Policy must be one of: ${POLICIES.join(', ')}`);
+    changes.policy = policy;
+  }
+  if (reserveForScheduled !== undefined) {
+    const n = Number(reserveForScheduled);
+    if (!Number.isInteger(n) || n < 0) throw new Error('Reserved encoders must be a whole number of 0 or more');
+    changes.reserveForScheduled = n;
+  }
+  if (affinityRules !== undefined) {
+    if (!Array.isArray(affinityRules)) throw new Error('Affinity rules must be a list');
+    const rules = affinityRules
+      .map(rule => ({ pattern: String(rule.pattern || '').trim(), tags: normalizeTags(rule.tags) }))
+      .filter(rule => rule.pattern);
+    const invalid = rules.find(rule => rule.tags.length === 0);
+    if (invalid) throw new Error(`Affinity rule for "${invalid.pattern}" needs at least one tag`);
+    changes.affinityRules = rules;
+  }
+  if (encoderTags !== undefined) {
+    const tags = {};
+    for (const [url, list] of Object.entries(encoderTags || {})) {
+      const normalized = normalizeTags(list);
+      if (normalized.length > 0) tags[url] = normalized;
+    }
+    changes.encoderTags = tags;
+  }
+  Object.assign(_state, changes);
+  saveState();
+  logTS(`Encoder selection updated: policy=${_state.policy}, reserved for scheduled=${_state.reserveForScheduled}, affinity rules=${_state.affinityRules.length}`);
+  return getSettings();
+}
+
+/** Selection state for /health. */
+function getStatus() {
+  return {
+    policy: _state.policy,
+    reserveForScheduled: _state.reserveForScheduled,
+    affinityRules: _state.affinityRules,
+    lastDecision: _lastDecision,
+  };
+}
+
+/** Last decision that picked this encoder, plus its tags (for per-encoder /health entries). */
+function getEncoderStatus(encoderUrl) {
+  return {
+    tags: getEncoderTags(encoderUrl),
+    lastSelection: _lastDecisionByEncoder.get(encoderUrl) || null,
+  };
+}
+
+module.exports = {
+  POLICIES,
+  PURPOSES,
+  init,
+  selectEncoder,
+  isEligible,
+  getSettings,
+  updateSettings,
+  getStatus,
+  getEncoderStatus,
+};
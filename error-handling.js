@@ -5,6 +5,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { logTS } = require('./logger');
+const notifications = require('./notifications');
 
 // Helper function - add this since it's used by the error handling code
 function delay(ms) {
@@ -261,11 +262,20 @@ class EncoderHealthMonitor {
       failureCount: 0 
     };
     
+    const failureCount = isHealthy ? 0 : current.failureCount + 1;
     this.healthStatus.set(encoderUrl, {
       isHealthy,
       lastCheck: Date.now(),
-      failureCount: isHealthy ? 0 : current.failureCount + 1
+      failureCount
     });
+
+    if (failureCount === this.maxFailures) {
+      notifications.notify('encoder-unhealthy', {
+        subject: encoderUrl,
+        title: 'Encoder unhealthy',
+        message: `Encoder ${encoderUrl} failed ${failureCount} health checks in a row and is no longer used for new streams or recordings.`
+      });
+    }
   }
 
   isEncoderHealthy(encoderUrl) {
@@ -641,9 +651,11 @@ class BrowserRecoveryManager {
 
     try {
       const result = await recoveryPromise;
+      if (!result) this.notifyIfExhausted(encoderUrl);
       return result;
     } catch (error) {
       logTS(`Recovery failed for ${encoderUrl}: ${error.message}`);
+      this.notifyIfExhausted(encoderUrl, error.message);
       return false;
     } finally {
       // Always remove the lock when done
@@ -651,6 +663,18 @@ class BrowserRecoveryManager {
     }
   }
 
+  /**
+   * Notify once the last recovery attempt for an encoder has failed
+   */
+  notifyIfExhausted(encoderUrl, lastError) {
+    if (this.getRecoveryAttempts(encoderUrl) < this.maxRecoveryAttempts) return;
+    notifications.notify('browser-recovery-failed', {
+      subject: encoderUrl,
+      title: 'Browser recovery failed',
+      message: `The browser for ${encoderUrl} could not be restarted after ${this.maxRecoveryAttempts} attempts${lastError ? ` (${lastError})` : ''}.`
+    });
+  }
+
   async _doRecovery(encoderUrl, encoderConfig, browsers, launchBrowserFunc, Constants) {
     const attempts = this.getRecoveryAttempts(encoderUrl);
 
@@ -1092,15 +1116,62 @@ function setupBrowserCrashHandlers(browser, encoderUrl, recoveryManager, encoder
   });
 }
 
+const STREAM_RECOVERY_ACTIONS = ['fullscreen', 'reload', 'navigate', 'browser'];
+const DEFAULT_STREAM_RECOVERY = 'fullscreen:2,reload:1,navigate:1,browser:1';
+const MAX_RECOVERY_HISTORY = 20;
+
+/**
+ * Parse a recovery actions setting ("fullscreen:2,reload:1,...", or "none") into an
+ * ordered list of { action, attempts }. Unknown actions and zero budgets are dropped.
+ * @param {string} spec
+ * @returns {Array<{action: string, attempts: number}>}
+ */
+function parseRecoveryActions(spec) {
+  const text = String(spec === undefined || spec === null ? DEFAULT_STREAM_RECOVERY : spec).trim();
+  if (!text || text === 'none') return [];
+  const plan = [];
+  for (const part of text.split(',')) {
+    const [action, count] = part.trim().split(':');
+    const attempts = parseInt(count, 10);
+    if (STREAM_RECOVERY_ACTIONS.includes(action) && attempts > 0 && !plan.some(p => p.action === action)) {
+      plan.push({ action, attempts });
+    }
+  }
+  return plan;
+}
+
 /**
- * Enhanced stream monitoring with automatic recovery
+ * Enhanced stream monitoring with automatic recovery.
+ *
+ * When a stream goes without encoder data for maxInactivity, or reaches maxErrorCount
+ * errors, the first recovery action that still has attempts left in its budget is run
+ * (the handlers are supplied by main.js through setRecoveryHandlers). Budgets are per
+ * stream, and every action taken is kept in the stream's recovery history, which /health
+ * reports. After an action the stream gets a fresh inactivity window before the next one.
  */
 class StreamMonitor {
-  constructor() {
-    this.activeStreams = new Map(); // encoderUrl -> { startTime, lastActivity, errorCount, targetUrl, skipHealthCheck }
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxInactivity] - ms without activity before recovery (default 60000)
+   * @param {number} [options.maxErrorCount] - errors before recovery (default 5)
+   * @param {string} [options.recoveryActions] - e.g. "fullscreen:2,reload:1,navigate:1,browser:1", or "none"
+   */
+  constructor(options = {}) {
+    this.activeStreams = new Map(); // encoderUrl -> { startTime, lastActivity, errorCount, targetUrl, skipHealthCheck, recovery }
     this.monitorInterval = 10000; // Check every 10 seconds
-    this.maxInactivity = 60000; // 60 seconds without activity
-    this.maxErrorCount = 5;
+    this.maxInactivity = options.maxInactivity || 60000; // 60 seconds without activity
+    this.maxErrorCount = options.maxErrorCount || 5;
+    this.recoveryPlan = parseRecoveryActions(options.recoveryActions);
+    this.recoveryHandlers = {}; // action -> async (encoderUrl, stream) => void
+    this.recoveryContext = new Map(); // encoderUrl -> { closedCaptions, channel } (kept out of /health)
+  }
+
+  /**
+   * @param {object} handlers - { fullscreen, reload, navigate, browser }, each
+   *   async (encoderUrl, { targetUrl, closedCaptions, channel }); throw on failure
+   */
+  setRecoveryHandlers(handlers) {
+    this.recoveryHandlers = { ...handlers };
   }
 
   startMonitoring(encoderUrl, targetUrl = null, options = {}) {
@@ -1109,7 +1180,17 @@ class StreamMonitor {
       lastActivity: Date.now(),
       errorCount: 0,
       targetUrl: targetUrl,
-      skipHealthCheck: options.skipHealthCheck || false
+      skipHealthCheck: options.skipHealthCheck || false,
+      recovery: {
+        inProgress: null,
+        attempts: {},
+        exhausted: false,
+        history: []
+      }
+    });
+    this.recoveryContext.set(encoderUrl, {
+      closedCaptions: options.closedCaptions || '',
+      channel: options.channel || null
     });
   }
 
@@ -1131,25 +1212,102 @@ class StreamMonitor {
 
   stopMonitoring(encoderUrl) {
     this.activeStreams.delete(encoderUrl);
+    this.recoveryContext.delete(encoderUrl);
+  }
+
+  /**
+   * The next action in the plan with attempts left for this stream, or null.
+   */
+  nextRecoveryAction(stream) {
+    return this.recoveryPlan.find(({ action, attempts }) =>
+      this.recoveryHandlers[action] && (stream.recovery.attempts[action] || 0) < attempts
+    ) || null;
+  }
+
+  /**
+   * Run the next recovery action for a stream and record it in the stream's history.
+   * @param {string} encoderUrl
+   * @param {string} reason - why recovery was triggered (shown on /health)
+   * @returns {Promise<object|null>} the history entry, or null if nothing was run
+   */
+  async recover(encoderUrl, reason) {
+    const stream = this.activeStreams.get(encoderUrl);
+    if (!stream || stream.recovery.inProgress) return null;
+
+    const step = this.nextRecoveryAction(stream);
+    if (!step) {
+      if (!stream.recovery.exhausted) {
+        stream.recovery.exhausted = true;
+        logTS(`Stream recovery for ${encoderUrl}: no recovery actions left (${reason})`);
+        notifications.notify('stream-recovery-exhausted', {
+          subject: encoderUrl,
+          title: 'Stream recovery ran out of actions',
+          message: `The stream on ${encoderUrl} (${stream.targetUrl}) is still unhealthy and every recovery action has been tried: ${reason}`
+        });
+      }
+      return null;
+    }
+
+    const attempt = (stream.recovery.attempts[step.action] || 0) + 1;
+    stream.recovery.attempts[step.action] = attempt;
+    stream.recovery.inProgress = step.action;
+    const entry = {
+      action: step.action,
+      reason,
+      attempt,
+      of: step.attempts,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      success: null,
+      error: null
+    };
+    stream.recovery.history.push(entry);
+    if (stream.recovery.history.length > MAX_RECOVERY_HISTORY) stream.recovery.history.shift();
+    logTS(`Stream recovery for ${encoderUrl}: ${step.action} (attempt ${attempt}/${step.attempts}) - ${reason}`);
+
+    try {
+      const context = this.recoveryContext.get(encoderUrl) || {};
+      await this.recoveryHandlers[step.action](encoderUrl, { targetUrl: stream.targetUrl, ...context });
+      entry.success = true;
+      logTS(`Stream recovery for ${encoderUrl}: ${step.action} completed`);
+    } catch (error) {
+      entry.success = false;
+      entry.error = error.message;
+      logTS(`Stream recovery for ${encoderUrl}: ${step.action} failed: ${error.message}`);
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+      stream.recovery.inProgress = null;
+      // Give the stream a fresh window to show activity before the next action
+      stream.lastActivity = Date.now();
+      stream.errorCount = 0;
+    }
+    return entry;
   }
 
   async checkStreamHealth() {
     for (const [encoderUrl, stream] of this.activeStreams) {
       // Skip health checks for instant recordings (Channels DVR handles the stream)
-      if (stream.skipHealthCheck) {
+      // and for streams with a recovery action still running
+      if (stream.skipHealthCheck || stream.recovery.inProgress) {
         continue;
       }
 
       const inactivityDuration = Date.now() - stream.lastActivity;
+      let reason = null;
 
       if (inactivityDuration > this.maxInactivity) {
         logTS(`Stream inactive for ${encoderUrl}: ${inactivityDuration}ms`);
-        // Trigger recovery or alert
+        reason = `No stream data for ${Math.round(inactivityDuration / 1000)}s`;
+      } else if (stream.errorCount >= this.maxErrorCount) {
+        logTS(`Too many errors for stream ${encoderUrl}`);
+        reason = `${stream.errorCount} stream errors`;
       }
 
-      if (stream.errorCount >= this.maxErrorCount) {
-        logTS(`Too many errors for stream ${encoderUrl}`);
-        // Trigger recovery or alert
+      if (reason) {
+        // Fire and forget - a slow action (e.g. a browser restart) must not hold up other streams
+        this.recover(encoderUrl, reason).catch(error => {
+          logTS(`Stream recovery error for ${encoderUrl}: ${error.message}`);
+        });
       }
     }
   }
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * lineup-diff.js
+ * Differences between a service's saved channels (streaming_channels.json) and a freshly
+ * refreshed lineup, so a refresh can be reviewed before it is saved.
+ *
+ * Channels are matched by id. A change is one of:
+ *   added         — only in the new lineup
+ *   removed       — only in the saved channels
+ *   renamed       — a removed and an added channel carrying the same stream (same stream URL
+ *                   or station ID) under a new name; reported instead of the added/removed pair
+ *   name          — same id, display name changed
+ *   stationId     — same id, station ID changed
+ *   channelNumber — same id, channel number changed
+ * Every change has an id (c1, c2, ...) so any subset can be accepted.
+ */
+
+const FIELD_CHANGES = ['name', 'stationId', 'channelNumber'];
+
+function summary(ch) {
+  return { name: ch.name, channelNumber: ch.channelNumber || null, stationId: ch.stationId || null };
+}
+
+// Keys that identify the same stream across a rename. Stream URLs shared by several channels
+// (e.g. every DirecTV channel uses the guide URL) don't identify anything.
+function identityKeys(channels) {
+  const urlCounts = new Map();
+  for (const ch of channels) urlCounts.set(ch.streamUrl, (urlCounts.get(ch.streamUrl) || 0) + 1);
+  return ch => [
+    ch.streamUrl && urlCounts.get(ch.streamUrl) === 1 ? `url:${ch.streamUrl}` : null,
+    ch.stationId ? `station:${ch.stationId}` : null,
+  ].filter(Boolean);
+}
+
+function sameValue(a, b) {
+  return String(a ?? '') === String(b ?? '');
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} saved - the service's channels as saved
+ * @param {object[]} proposed - the service's channels after the refresh
+ * @returns {object[]} changes: { id, type, channelId, name, from, to, fromChannelId? }
+ */
+function diffLineup(saved, proposed) {
+  const savedById = new Map(saved.map(ch => [ch.id, ch]));
+  const proposedIds = new Set(proposed.map(ch => ch.id));
+  const changes = [];
+  const add = change => changes.push({ id: `c${changes.length + 1}`, ...change });
+
+  for (const ch of proposed) {
+    const old = savedById.get(ch.id);
+    if (!old) continue;
+    for (const field of FIELD_CHANGES) {
+      if (!sameValue(old[field], ch[field])) {
+        add({ type: field, channelId: ch.id, name: ch.name, from: old[field] ?? null, to: ch[field] ?? null });
+      }
+    }
+  }
+
+  const removed = saved.filter(ch => !proposedIds.has(ch.id));
+  const added = proposed.filter(ch => !savedById.has(ch.id));
+  const savedKeys = identityKeys(saved);
+  const proposedKeys = identityKeys(proposed);
+  const paired = new Set();
+
+  for (const old of removed) {
+    const keys = new Set(savedKeys(old));
+    const match = added.find(ch => !paired.has(ch.id) && proposedKeys(ch).some(k => keys.has(k)));
+    if (match) {
+      paired.add(match.id);
+      paired.add(old.id);
+      add({ type: 'renamed', channelId: match.id, fromChannelId: old.id, name: match.name, from: summary(old), to: summary(match) });
+    }
+  }
+  for (const old of removed) {
+    if (!paired.has(old.id)) add({ type: 'removed', channelId: old.id, name: old.name, from: summary(old), to: null });
+  }
+  for (const ch of added) {
+    if (!paired.has(ch.id)) add({ type: 'added', channelId: ch.id, name: ch.name, from: null, to: summary(ch) });
+  }
+  return changes;
+}
+
+/**
+ * The service's channel list with only the accepted changes applied. Rejected additions are
+ * left out, rejected removals and renames keep the saved channel, and rejected field changes
+ * keep the saved value; everything else (stream URL, category, logo, ...) comes from the new
+ * lineup. An accepted rename keeps the saved channel's enabled state and manual edits.
+ * @param {object[]} saved
+ * @param {object[]} proposed
+ * @param {object[]} changes - from diffLineup(saved, proposed)
+ * @param {Iterable<string>} acceptedIds - change ids to apply
+ * @returns {object[]}
+ */
+function applyChanges(saved, proposed, changes, acceptedIds) {
+  const accepted = new Set(acceptedIds);
+  const savedById = new Map(saved.map(ch => [ch.id, ch]));
+  const byChannel = new Map();
+  for (const change of changes) {
+    if (!byChannel.has(change.channelId)) byChannel.set(change.channelId, []);
+    byChannel.get(change.channelId).push(change);
+  }
+
+  const result = [];
+  for (const ch of proposed) {
+    const channelChanges = byChannel.get(ch.id) || [];
+    const old = savedById.get(ch.id);
+
+    if (old) {
+      const merged = { ...ch };
+      for (const change of channelChanges) {
+        if (!accepted.has(change.id)) merged[change.type] = old[change.type];
+      }
+      result.push(merged);
+      continue;
+    }
+
+    const change = channelChanges.find(c => c.type === 'added' || c.type === 'renamed');
+    if (!change || !accepted.has(change.id)) continue;
+    if (change.type === 'added') {
+      result.push({ ...ch });
+      continue;
+    }
+
+    const previous = savedById.get(change.fromChannelId);
+    const renamed = { ...ch, enabled: previous.enabled };
+    if (previous.manualChannelNumber) Object.assign(renamed, { channelNumber: previous.channelNumber, manualChannelNumber: true });
+    if (previous.manualStationId) Object.assign(renamed, { stationId: previous.stationId, manualStationId: true });
+    if (previous.manualLogo) Object.assign(renamed, { logo: previous.logo, manualLogo: true });
+    result.push(renamed);
+  }
+
+  // Saved channels whose removal or rename was rejected stay as they were
+  for (const change of changes) {
+    if (accepted.has(change.id)) continue;
+    if (change.type === 'removed') result.push(savedById.get(change.channelId));
+    if (change.type === 'renamed') result.push(savedById.get(change.fromChannelId));
+  }
+  return result;
+}
+
+module.exports = {
+  diffLineup,
+  applyChanges,
+};
@@ -29,6 +29,7 @@ const fs = require('fs');
 const path = require('path');
 const { logTS } = require('./logger');
 const credentialsStore = require('./credentials-store');
+const notifications = require('./notifications');
 const { LOGIN_SITES, loginEncoders } = require('./login-manager');
 
 const POLL_INTERVAL_MS = 10 * 60 * 1000; // check every 10 minutes whether a run is due
@@ -112,6 +113,18 @@ function init(dataDir, getContext) {
   _pollTimer = setInterval(() => { maybeRunScheduled(); }, POLL_INTERVAL_MS);
 }
 
+/**
+ * Re-read login-check-status.json (e.g. after a backup restore replaced it).
+ */
+function reload() {
+  _state = { ...DEFAULT_STATE };
+  loadState();
+  if (_state.enabled && !_state.nextCheckAt) {
+    _state.nextCheckAt = computeNextWindowStart(new Date()).toISOString();
+    saveState();
+  }
+}
+
 function getState() {
   return { ..._state, running: _running };
 }
@@ -242,8 +255,15 @@ async function runCheck(trigger, statusCallback = () => {}) {
   saveState();
 
   logTS(`login-check-scheduler: ${trigger} run complete — ${succeeded}/${sites.length} service(s) OK`);
+  if (!allSuccessful) {
+    notifications.notify('login-check-failed', {
+      subject: 'login-check',
+      title: `Login check failed for ${failed} service(s)`,
+      message: results.filter(r => !r.success).map(r => `${r.siteName}: ${r.message || 'login failed'}`).join('\n'),
+    });
+  }
   statusCallback({ type: 'complete', succeeded, failed, total: sites.length, allSuccessful });
   return getState();
 }
 
-module.exports = { init, getState, updateSettings, runCheck, getIncluded, setIncluded };
+module.exports = { init, reload, getState, updateSettings, runCheck, getIncluded, setIncluded };
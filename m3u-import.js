@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * m3u-import.js
+ * Parses an existing M3U playlist (e.g. a chrome-capture or another CH4C instance's
+ * playlist.m3u) into custom channel entries for StreamingM3UManager.importCustomChannels.
+ *
+ * Each `#EXTINF` line's attributes map to channel fields:
+ *   tvg-id                numeric ids are taken as a Gracenote station ID
+ *   tvg-name              call sign
+ *   tvg-logo              logo
+ *   channel-number        channel number (tvg-chno also accepted)
+ *   tvc-guide-stationid   station ID (wins over tvg-id)
+ *   tvc-guide-placeholders placeholder duration, in seconds
+ *   group-title           channel group, and category (tvc-guide-genres as a fallback)
+ * and the text after the last comma is the channel name. The next non-comment line is the
+ * stream URL. Lines other than #EXTINF and URLs (#EXTM3U, #EXTGRP, ...) are ignored.
+ */
+
+const ATTRIBUTE_PATTERN = /([A-Za-z0-9_-]+)="([^"]*)"/g;
+
+function parseAttributes(line) {
+  const attrs = {};
+  let m;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((m = ATTRIBUTE_PATTERN.exec(line)) !== null) attrs[m[1].toLowerCase()] = m[2].trim();
+  return attrs;
+}
+
+// The name follows the comma that ends the attribute list; commas inside quoted
+// attribute values (e.g. group-title="News, Weather") don't count.
+function extinfName(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ',' && !inQuotes) return line.slice(i + 1).trim();
+  }
+  return '';
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} text - M3U playlist contents
+ * @returns {object[]} entries: { name, streamUrl, callSign, logo, channelNumber, stationId,
+ *   duration, group, groupTitle, line } — duration in minutes, group is the category source
+ *   (group-title or tvc-guide-genres), line is the #EXTINF line number
+ */
+function parseM3U(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const entries = [];
+  let pending = null;
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+    if (line.toUpperCase().startsWith('#EXTINF')) {
+      const attrs = parseAttributes(line.slice(0, line.length - extinfName(line).length));
+      const tvgId = attrs['tvg-id'] || '';
+      const placeholders = parseInt(attrs['tvc-guide-placeholders'], 10);
+      pending = {
+        name: extinfName(line) || attrs['tvg-name'] || '',
+        streamUrl: '',
+        callSign: attrs['tvg-name'] || '',
+        logo: attrs['tvg-logo'] || '',
+        channelNumber: attrs['channel-number'] || attrs['tvg-chno'] || '',
+        stationId: attrs['tvc-guide-stationid'] || (/^\d+$/.test(tvgId) ? tvgId : ''),
+        duration: placeholders > 0 ? Math.round(placeholders / 60) : null,
+        group: attrs['group-title'] || attrs['tvc-guide-genres'] || '',
+        groupTitle: attrs['group-title'] || '',
+        line: index + 1,
+      };
+      return;
+    }
+    if (line.startsWith('#')) return;
+    if (pending) {
+      pending.streamUrl = line;
+      entries.push(pending);
+      pending = null;
+    }
+  });
+  return entries;
+}
+
+/**
+ * The URL a stream actually plays, for spotting duplicates: CH4C and chrome-capture stream
+ * URLs (http://host:port/stream?url=...) are compared by their url= target.
+ * @param {string} streamUrl
+ * @returns {string}
+ */
+function streamTarget(streamUrl) {
+  const url = String(streamUrl || '').trim();
+  const query = url.split('?').slice(1).join('?');
+  if (/\/stream\/?\?/.test(url)) {
+    try {
+      const target = new URLSearchParams(query).get('url');
+      if (target) return target;
+    } catch { /* fall through */ }
+  }
+  return url;
+}
+
+/**
+ * Point a chrome-capture/CH4C stream URL (http://host:port/stream?url=...) at another host,
+ * keeping its query. Other URLs are returned unchanged.
+ * @param {string} streamUrl
+ * @param {string} host - host:port of the CH4C instance to play through
+ * @returns {string}
+ */
+function rehostStream(streamUrl, host) {
+  if (!/\/stream\/?\?/.test(streamUrl || '')) return streamUrl;
+  try {
+    const url = new URL(streamUrl);
+    url.protocol = 'http:';
+    url.host = host;
+    return url.toString();
+  } catch {
+    return streamUrl;
+  }
+}
+
+module.exports = {
+  parseM3U,
+  streamTarget,
+  rehostStream,
+};
@@ -0,0 +1,250 @@
+'use strict';
+
+/**
+ * m3u-refresh-scheduler.js
+ * Background refresh of the M3U Manager's Sling TV and DirecTV Stream channel lists, so new
+ * and dropped channels are picked up without clicking Refresh on the M3U Manager page.
+ *
+ * Each service has its own schedule: daily, or weekly on a chosen day, optionally (Sling)
+ * scraping the full lineup instead of favorites. Background refreshes always preserve
+ * manual channel edits.
+ *
+ * Scheduling: runs only during the low-usage window of 3 AM - 5 AM local time, after the
+ * automatic login check's 1-3 AM window so the encoder browsers are logged in. A background
+ * poll (every 10 minutes) checks whether a service's next run is due; a missed window waits
+ * for the next one rather than firing outside it.
+ *
+ * Encoders: a refresh drives an encoder's browser through the service's guide, so it claims
+ * an idle encoder in the encoder queue for the whole run and releases it afterwards. If no
+ * encoder can be claimed the run is skipped and tried again on the next poll (inside the
+ * window). A recording or stream that needs the encoder meanwhile can pre-empt the refresh.
+ *
+ * Each run records the channels added and removed; when anything changed, the Channels DVR
+ * M3U source is refreshed so the guide picks up the new lineup.
+ *
+ * Persistence: settings, next run times and recent runs are stored in
+ * <DATA_DIR>/m3u-refresh-schedule.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logTS } = require('./logger');
+
+const POLL_INTERVAL_MS = 10 * 60 * 1000; // check every 10 minutes whether a run is due
+const WINDOW_START_HOUR = 3; // 3 AM local time
+const WINDOW_END_HOUR = 5;   // 5 AM local time (exclusive)
+const MAX_HISTORY = 20;
+const FREQUENCIES = ['daily', 'weekly'];
+
+const DEFAULT_SERVICES = {
+  sling:   { enabled: false, frequency: 'daily', dayOfWeek: 0, favoritesOnly: true, nextRunAt: null },
+  directv: { enabled: false, frequency: 'weekly', dayOfWeek: 0, favoritesOnly: false, nextRunAt: null },
+};
+
+let _dataDir = 'data';
+let _getContext = () => ({ claimIdleEncoder: () => null, releaseEncoder: null, refreshService: null, onChanged: null });
+let _state = { services: structuredClone(DEFAULT_SERVICES), lastRuns: {}, history: [] };
+let _running = null; // service name while a refresh is in progress
+let _pollTimer = null;
+
+function scheduleFilePath() {
+  return path.join(_dataDir, 'm3u-refresh-schedule.json');
+}
+
+function loadState() {
+  try {
+    const f = scheduleFilePath();
+    if (fs.existsSync(f)) {
+      const saved = JSON.parse(fs.readFileSync(f, 'utf8'));
+      const services = structuredClone(DEFAULT_SERVICES);
+      for (const name of Object.keys(services)) {
+        Object.assign(services[name], saved.services && saved.services[name]);
+      }
+      _state = {
+        services,
+        lastRuns: saved.lastRuns || {},
+        history: Array.isArray(saved.history) ? saved.history : [],
+      };
+    }
+  } catch (e) {
+    logTS(`m3u-refresh-scheduler: failed to load state: ${e.message}`);
+  }
+}
+
+function saveState() {
+  try {
+    fs.mkdirSync(_dataDir, { recursive: true });
+    fs.writeFileSync(scheduleFilePath(), JSON.stringify(_state, null, 2), 'utf8');
+  } catch (e) {
+    logTS(`m3u-refresh-scheduler: failed to save state: ${e.message}`);
+  }
+}
+
+// Next window start after fromDate that falls on an allowed day for the service's schedule.
+function computeNextRunAt(settings, fromDate) {
+  const d = new Date(fromDate);
+  d.setHours(WINDOW_START_HOUR, 0, 0, 0);
+  if (d <= fromDate) d.setDate(d.getDate() + 1);
+  if (settings.frequency === 'weekly') {
+    while (d.getDay() !== settings.dayOfWeek) d.setDate(d.getDate() + 1);
+  }
+  return d;
+}
+
+function isInWindow(date) {
+  const h = date.getHours();
+  return h >= WINDOW_START_HOUR && h < WINDOW_END_HOUR;
+}
+
+function recordRun(run) {
+  _state.lastRuns[run.service] = run;
+  // Skips repeat every poll while the encoders are busy; only the latest one is kept
+  if (run.status !== 'skipped') {
+    _state.history.unshift(run);
+    if (_state.history.length > MAX_HISTORY) _state.history.length = MAX_HISTORY;
+  }
+  saveState();
+}
+
+async function maybeRunScheduled() {
+  if (_running) return;
+  const now = new Date();
+  if (!isInWindow(now)) return;
+  for (const [name, settings] of Object.entries(_state.services)) {
+    if (!settings.enabled || !settings.nextRunAt || now < new Date(settings.nextRunAt)) continue;
+    await runRefresh(name, 'scheduled');
+  }
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} dataDir - CH4C data directory (persists settings/runs here).
+ * @param {() => {claimIdleEncoder, releaseEncoder, refreshService, onChanged}} getContext - evaluated at run time:
+ *   claimIdleEncoder(service) → URL of an idle encoder now claimed for the refresh (or null),
+ *   releaseEncoder(encoderUrl) → drops that claim once the refresh is over,
+ *   refreshService(service, { favoritesOnly, encoderUrl }) → refreshService() result,
+ *   onChanged() → { success, error } after the Channels DVR M3U source refresh.
+ */
+function init(dataDir, getContext) {
+  _dataDir = dataDir || 'data';
+  _getContext = getContext;
+  loadState();
+  let changed = false;
+  for (const settings of Object.values(_state.services)) {
+    if (settings.enabled && !settings.nextRunAt) {
+      settings.nextRunAt = computeNextRunAt(settings, new Date()).toISOString();
+      changed = true;
+    }
+  }
+  if (changed) saveState();
+  if (_pollTimer) clearInterval(_pollTimer);
+  _pollTimer = setInterval(() => {
+    maybeRunScheduled().catch(e => logTS(`m3u-refresh-scheduler: scheduled refresh error: ${e.message}`));
+  }, POLL_INTERVAL_MS);
+}
+
+function getState() {
+  return {
+    ..._state,
+    running: _running,
+    window: { startHour: WINDOW_START_HOUR, endHour: WINDOW_END_HOUR },
+  };
+}
+
+/**
+ * Update one service's schedule. Changing the frequency or day re-computes the next run.
+ * @param {string} service
+ * @param {{ enabled?, frequency?, dayOfWeek?, favoritesOnly? }} updates
+ * @throws {Error} for an unknown service or invalid values
+ */
+function updateSettings(service, { enabled, frequency, dayOfWeek, favoritesOnly }) {
+  const settings = _state.services[service];
+  if (!settings) throw new Error(`Unknown service: ${service}`);
+
+  if (frequency !== undefined) {
+    if (!FREQUENCIES.includes(frequency)) throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    settings.frequency = frequency;
+  }
+  if (dayOfWeek !== undefined) {
+    const day = parseInt(dayOfWeek, 10);
+    if (!Number.isInteger(day) || day < 0 || day > 6) throw new Error('Day of week must be 0 (Sunday) to 6 (Saturday)');
+    settings.dayOfWeek = day;
+  }
+  if (typeof favoritesOnly === 'boolean') settings.favoritesOnly = favoritesOnly;
+  if (typeof enabled === 'boolean') settings.enabled = enabled;
+
+  settings.nextRunAt = settings.enabled ? computeNextRunAt(settings, new Date()).toISOString() : null;
+  saveState();
+  return getState();
+}
+
+/**
+ * Refresh one service now on an idle encoder.
+ * @param {string} service
+ * @param {'scheduled'|'manual'} trigger
+ * @returns {Promise<object>} the run: { service, trigger, status, message, added, removed, ... }
+ *   where status is success (channels changed), unchanged, skipped or failed
+ */
+async function runRefresh(service, trigger) {
+  const settings = _state.services[service];
+  if (!settings) throw new Error(`Unknown service: ${service}`);
+  if (_running) throw new Error(`A background refresh of ${_running} is already running`);
+
+  const run = {
+    service,
+    trigger,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    status: null,
+    message: null,
+    encoderUrl: null,
+    favoritesOnly: service === 'sling' ? settings.favoritesOnly : null,
+    channelCount: null,
+    added: [],
+    removed: [],
+    channelsDvrRefresh: null,
+  };
+
+  const { claimIdleEncoder, releaseEncoder, refreshService, onChanged } = _getContext();
+  run.encoderUrl = claimIdleEncoder(service);
+  if (!run.encoderUrl) {
+    run.status = 'skipped';
+    run.message = 'All encoders are busy';
+    run.finishedAt = new Date().toISOString();
+    recordRun(run);
+    logTS(`m3u-refresh-scheduler: ${service} refresh skipped — all encoders are busy`);
+    return run;
+  }
+
+  _running = service;
+  try {
+    logTS(`m3u-refresh-scheduler: ${trigger} refresh of ${service} on ${run.encoderUrl}`);
+    const result = await refreshService(service, { favoritesOnly: settings.favoritesOnly, encoderUrl: run.encoderUrl });
+    run.channelCount = result.channelCount;
+    run.added = result.added || [];
+    run.removed = result.removed || [];
+    const changed = run.added.length > 0 || run.removed.length > 0;
+    run.status = changed ? 'success' : 'unchanged';
+    run.message = `${run.added.length} added, ${run.removed.length} removed`;
+    if (changed && onChanged) {
+      run.channelsDvrRefresh = await onChanged();
+    }
+  } catch (e) {
+    run.status = 'failed';
+    run.message = e.message;
+  } finally {
+    if (releaseEncoder) releaseEncoder(run.encoderUrl);
+    _running = null;
+  }
+
+  run.finishedAt = new Date().toISOString();
+  if (trigger === 'scheduled') {
+    settings.nextRunAt = computeNextRunAt(settings, new Date()).toISOString();
+  }
+  recordRun(run);
+  logTS(`m3u-refresh-scheduler: ${service} refresh ${run.status} — ${run.message}`);
+  return run;
+}
+
+module.exports = { FREQUENCIES, init, getState, updateSettings, runRefresh };
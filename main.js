@@ -33,13 +33,36 @@ const {
   safeStreamOperation,
   initializeBrowserPoolWithValidation
 } = require('./error-handling');
+const { VideoWatchdog } = require('./video-watchdog');
+const { EncoderStreamAnalyzer } = require('./ts-analyzer');
 
 const { AudioDeviceManager, DisplayManager } = require('./audio-device-manager');
 const { CONFIG_METADATA, ENCODER_FIELDS, validateAllSettings, validateEncoder, saveConfig, loadConfig, getDefaults } = require('./config-manager');
-const { LOGIN_SITES, loginEncoders, loginSling } = require('./login-manager');
+const { LOGIN_SITES, loginEncoders } = require('./login-manager');
 const credentialsStore = require('./credentials-store');
+const configBackup = require('./config-backup');
 const loginCheckScheduler = require('./login-check-scheduler');
-const { DIRECTV_GUIDE_URL, TUNE_TIMEOUT: DIRECTV_TUNE_TIMEOUT } = require('./services/directv-service');
+const authManager = require('./auth-manager');
+const encoderSelector = require('./encoder-selector');
+const encoderQueue = require('./encoder-queue');
+const recurrence = require('./recurrence');
+const scheduleConflicts = require('./schedule-conflicts');
+const xmltv = require('./xmltv');
+const recordingHistory = require('./recording-history');
+const metrics = require('./metrics');
+const m3uRefreshScheduler = require('./m3u-refresh-scheduler');
+const m3uImport = require('./m3u-import');
+const playlistProfiles = require('./playlist-profiles');
+const notifications = require('./notifications');
+const { TUNE_TIMEOUT: DIRECTV_TUNE_TIMEOUT } = require('./services/directv-service');
+const sites = require('./sites');
+const { delay, fullScreenVideo } = require('./sites/common');
+const {
+  handleSlingProfileSelector,
+  checkAndRestoreSlingSession,
+  navigateSlingWithModalHandling,
+  navigateSlingLikeHuman
+} = require('./sites/sling');
 
 let chromeDataDir, chromePath;
 let browsers = new Map(); // key: encoderUrl, value: {browser, page}
@@ -69,27 +92,38 @@ function clearEncoderDurationTimer(encoderUrl) {
   }
 }
 
-// Scheduled recordings — persisted to disk so they survive restarts
-const scheduledRecordings = new Map(); // key: id, value: { params, scheduledTime, timerId, appLocals }
+// Scheduled recordings — persisted to disk so they survive restarts. A recurring series
+// (see recurrence.js) is one entry holding its next concrete occurrence.
+const scheduledRecordings = new Map(); // key: id, value: { params, scheduledTime, timerId, appLocals, recurrence, occurrence }
 
 function getScheduledRecordingsFile() {
   return path.join(Constants.DATA_DIR || __dirname, 'scheduled_recordings.json');
 }
 
-// Instant recordings in progress — persisted only so that if CH4C exits unexpectedly
-// mid-recording, the next startup can log what was lost instead of silently handing
-// that encoder to the next request. There is no way to resume a lost recording, so
-// this is a one-shot diagnostic, not a reschedule mechanism.
+// Instant recordings in progress — persisted so that if CH4C exits unexpectedly
+// mid-recording (e.g. a Windows Update reboot), the next startup can resume the rest
+// of the recording as a new "Part N" job (with --resume-interrupted-recordings), or at
+// least log what was lost instead of silently handing that encoder to the next request.
 function getActiveInstantRecordingsFile() {
   return path.join(Constants.DATA_DIR || __dirname, 'active_instant_recordings.json');
 }
 
-function saveActiveInstantRecording(encoderUrl, recordingName, channel, endTime) {
+// Shortest remainder worth resuming; anything less is only logged
+const MIN_RESUME_MINUTES = 2;
+// Buffer added to every recording's stream timer (see the duration timers below)
+const RECORDING_BUFFER_SECONDS = 15;
+
+/**
+ * @param {string} encoderUrl
+ * @param {object} info - { recordingName, baseName, part, channel, endTime, params } where
+ *   params holds the recording_url / metadata fields needed to resume it
+ */
+function saveActiveInstantRecording(encoderUrl, info) {
   let data = {};
   try {
     data = JSON.parse(fs.readFileSync(getActiveInstantRecordingsFile(), 'utf8'));
   } catch { /* file missing or unreadable, start fresh */ }
-  data[encoderUrl] = { recordingName, channel, endTime };
+  data[encoderUrl] = info;
   try {
     fs.writeFileSync(getActiveInstantRecordingsFile(), JSON.stringify(data, null, 2));
   } catch (e) {
@@ -111,22 +145,41 @@ function clearActiveInstantRecording(encoderUrl) {
   }
 }
 
-// Called once at startup, before any new stream request can claim an encoder.
-// Warns about instant recordings that were still in progress when CH4C last
-// stopped, since that Channels DVR recording is now incomplete and the encoder
-// that was hosting it will otherwise silently look "available" again.
-function reportInterruptedInstantRecordings() {
+// Called once at startup, after the encoders' browsers are up and the HTTP server is
+// listening (the resumed stream is started through the loopback /stream request).
+// Instant recordings still in progress when CH4C last stopped are resumed on the same
+// encoder for their remaining minutes if resuming is enabled; otherwise they're logged,
+// since that Channels DVR recording is now incomplete.
+function handleInterruptedInstantRecordings(appLocals) {
   const filePath = getActiveInstantRecordingsFile();
   if (!fs.existsSync(filePath)) return;
+  let data;
   try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    for (const [encoderUrl, info] of Object.entries(data)) {
-      const remainingMin = Math.max(0, Math.round((info.endTime - Date.now()) / 60000));
-      logTS(`WARNING: Instant recording "${info.recordingName}" (Channel ${info.channel}, encoder ${encoderUrl}) was still in progress when CH4C last stopped unexpectedly (~${remainingMin} min remaining). It was not resumed — the Channels DVR recording is incomplete.`);
-    }
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
     fs.unlinkSync(filePath);
   } catch (e) {
     logTS(`Failed to read active instant recording state: ${e.message}`);
+    return;
+  }
+  for (const [encoderUrl, info] of Object.entries(data)) {
+    const remainingMin = Math.ceil((info.endTime - RECORDING_BUFFER_SECONDS * 1000 - Date.now()) / 60000);
+    const label = `Instant recording "${info.recordingName}" (Channel ${info.channel}, encoder ${encoderUrl})`;
+    if (remainingMin < MIN_RESUME_MINUTES) {
+      logTS(`${label} was still in progress when CH4C last stopped, but had finished or was about to finish.`);
+    } else if (!Constants.RESUME_INTERRUPTED_RECORDINGS || !info.params) {
+      logTS(`WARNING: ${label} was still in progress when CH4C last stopped unexpectedly (~${remainingMin} min remaining). It was not resumed — the Channels DVR recording is incomplete.`);
+    } else {
+      const part = (info.part || 1) + 1;
+      const baseName = info.baseName || info.recordingName;
+      logTS(`${label} was interrupted with ~${remainingMin} min remaining; resuming as part ${part}`);
+      executeScheduledRecording({
+        ...info.params,
+        recording_name: `${baseName} (Part ${part})`,
+        recording_duration: String(remainingMin),
+        selected_encoder: encoderUrl
+      }, appLocals, Date.now(), { type: 'instant', baseName, part, sameEncoder: true })
+        .catch(e => logTS(`Failed to resume "${baseName}": ${e.message}`));
+    }
   }
 }
 
@@ -135,6 +188,8 @@ function saveScheduledRecordings() {
     id,
     scheduledTime: entry.scheduledTime,
     params: entry.params,
+    recurrence: entry.recurrence,
+    occurrence: entry.occurrence,
   }));
   try {
     fs.writeFileSync(getScheduledRecordingsFile(), JSON.stringify(data, null, 2));
@@ -143,57 +198,142 @@ function saveScheduledRecordings() {
   }
 }
 
-async function executeScheduledRecording(params, appLocals) {
+// Free = browser running, not mid-cleanup, encoder and browser both healthy
+function isEncoderFree(encoder, appLocals) {
+  const { cleanupManager, healthMonitor, browserHealthMonitor } = appLocals;
+  return browsers.has(encoder.url) &&
+    cleanupManager.canStartBrowser(encoder.url) &&
+    healthMonitor.isEncoderHealthy(encoder.url) &&
+    browserHealthMonitor.isBrowserHealthy(encoder.url);
+}
+
+/**
+ * Choose an encoder using the configured selection policy (see encoder-selector.js).
+ * @returns {{ encoder: object|null, decision: object }}
+ */
+function pickEncoder(appLocals, { purpose, targetUrl = null, requestedEncoder = null, allowFallback = true, handoff = false, exclude = null, record = true }) {
+  return encoderSelector.selectEncoder({
+    encoders: Constants.ENCODERS,
+    isAvailable: encoder => (!exclude || !exclude(encoder.url)) && isEncoderFree(encoder, appLocals),
+    purpose,
+    targetUrl,
+    requestedEncoder,
+    allowFallback,
+    handoff,
+    record
+  });
+}
+
+/**
+ * Build an encoder queue request (see encoder-queue.js) that selects with pickEncoder.
+ * `handoff` marks CH4C's own loopback /stream for an encoder it already claimed.
+ */
+function encoderRequest(appLocals, { purpose, label = null, targetUrl = null, requestedEncoder = null, allowFallback = true, handoff = false }) {
+  const selectionOpts = { purpose, targetUrl, requestedEncoder, allowFallback, handoff };
+  return {
+    purpose,
+    label,
+    targetUrl,
+    handoffEncoder: handoff ? requestedEncoder : null,
+    select: ({ exclude, record }) => pickEncoder(appLocals, { ...selectionOpts, exclude, record }),
+    canUse: encoderUrl => (requestedEncoder && !allowFallback)
+      ? encoderUrl === requestedEncoder
+      : encoderSelector.isEligible(encoderUrl, targetUrl)
+  };
+}
+
+/** Headers for CH4C's loopback /stream request, carrying the purpose of the claimed encoder. */
+function loopbackStreamHeaders(purpose) {
+  return { ...authManager.internalHeaders(), 'X-CH4C-Purpose': purpose };
+}
+
+/**
+ * Pick an encoder, create the Channels DVR job and start the stream for a recording that
+ * isn't tied to an HTTP request: a Record Later occurrence, or the remainder of an
+ * interrupted instant recording (options.type 'instant', with baseName/part so a further
+ * interruption can resume it again as the next part).
+ * options.sameEncoder only accepts selected_encoder (a resumed part must continue on the
+ * encoder tuned to the Channels DVR channel it was recording); otherwise another encoder is
+ * used when the selected one isn't free.
+ * options.padding ({ startEarly, endLate } minutes) widens the job: it is called startEarly
+ * minutes before requestedTime, and the Channels DVR job and stream timer cover both pads.
+ */
+async function executeScheduledRecording(params, appLocals, requestedTime = Date.now(), options = {}) {
+  const { type = 'scheduled', baseName = null, part = null, padding = { startEarly: 0, endLate: 0 }, sameEncoder = false } = options;
   const { recording_name, recording_url, recording_duration, episode_title,
           recording_summary, season_number, episode_number, recording_image,
           closed_captions, selected_encoder } = params;
   const recordingName = recording_name || 'Scheduled Recording';
-  const { cleanupManager, healthMonitor, browserHealthMonitor, streamMonitor } = appLocals;
-
-  let availableEncoder;
-  if (selected_encoder) {
-    availableEncoder = Constants.ENCODERS.find(encoder =>
-      encoder.url === selected_encoder &&
-      browsers.has(encoder.url) &&
-      cleanupManager.canStartBrowser(encoder.url) &&
-      healthMonitor.isEncoderHealthy(encoder.url) &&
-      browserHealthMonitor.isBrowserHealthy(encoder.url)
-    );
-    if (!availableEncoder) {
-      logTS(`Scheduled recording "${recordingName}": selected encoder unavailable, falling back to auto-select`);
-    }
-  }
-  if (!availableEncoder) {
-    availableEncoder = Constants.ENCODERS.find(encoder =>
-      browsers.has(encoder.url) &&
-      cleanupManager.canStartBrowser(encoder.url) &&
-      healthMonitor.isEncoderHealthy(encoder.url) &&
-      browserHealthMonitor.isBrowserHealthy(encoder.url)
-    );
+  const { cleanupManager, streamMonitor } = appLocals;
+  const duration = parseInt(recording_duration) + padding.startEarly + padding.endLate;
+  const extra = part ? { part } : {};
+  if (padding.startEarly || padding.endLate) {
+    Object.assign(extra, { startEarlyMinutes: padding.startEarly, endLateMinutes: padding.endLate });
+  }
+  const historyId = recordingHistory.start({
+    type,
+    name: recordingName,
+    targetUrl: recording_url,
+    requestedStart: requestedTime,
+    durationMinutes: duration,
+    extra
+  });
+
+  // Recordings outrank live viewing: pre-empt it or wait in the encoder queue
+  const { encoder: availableEncoder, decision, preempted } = await encoderQueue.acquire(encoderRequest(appLocals, {
+    purpose: type,
+    label: recordingName,
+    targetUrl: recording_url,
+    requestedEncoder: selected_encoder,
+    allowFallback: !(sameEncoder && selected_encoder)
+  }));
+  if (selected_encoder && availableEncoder && availableEncoder.url !== selected_encoder) {
+    logTS(`Scheduled recording "${recordingName}": selected encoder unavailable, falling back to auto-select`);
   }
   if (!availableEncoder) {
-    logTS(`Scheduled recording "${recordingName}" failed: no encoders available at scheduled time`);
+    logTS(`Scheduled recording "${recordingName}" failed: no encoders available at scheduled time (${decision.reason})`);
+    recordingHistory.fail(historyId, `No encoder available: ${decision.reason}`);
     return;
   }
+  if (preempted) {
+    logTS(`Scheduled recording "${recordingName}" pre-empted ${preempted.purpose} stream on ${preempted.encoderUrl}`);
+  }
 
-  const duration = parseInt(recording_duration);
-  const recordingStarted = await startRecording(recordingName, duration, availableEncoder.channel,
+  const dvrResult = await startRecording(recordingName, duration, availableEncoder.channel,
     episode_title, recording_summary, season_number, episode_number, recording_image);
+  const encoderDetails = {
+    encoderUrl: availableEncoder.url,
+    channel: availableEncoder.channel,
+    dvrResponse: recordingHistory.dvrResponse(dvrResult)
+  };
 
-  if (recordingStarted) {
-    streamMonitor.startMonitoring(availableEncoder.url, recording_url, { skipHealthCheck: true });
-    const totalDurationMs = (duration * 60 + 15) * 1000;
+  if (dvrResult.ok) {
+    recordingHistory.begin(historyId, encoderDetails);
+    streamMonitor.startMonitoring(availableEncoder.url, recording_url, { skipHealthCheck: true, closedCaptions: closed_captions });
+    const totalDurationMs = (duration * 60 + RECORDING_BUFFER_SECONDS) * 1000;
+    if (type === 'instant') {
+      saveActiveInstantRecording(availableEncoder.url, {
+        recordingName, baseName, part, channel: availableEncoder.channel,
+        endTime: Date.now() + totalDurationMs, params
+      });
+    }
     setEncoderDurationTimer(availableEncoder.url, async () => {
       logTS(`Recording duration expired for ${recordingName}, stopping stream on ${availableEncoder.channel}...`);
       clearEncoderDurationTimer(availableEncoder.url);
+      recordingHistory.finishForEncoder(availableEncoder.url, 'completed', 'Recording duration reached');
       try { await cleanupManager.cleanup(availableEncoder.url, null); }
       catch (e) { logTS(`Cleanup error on scheduled recording timeout: ${e.message}`); }
     }, totalDurationMs);
 
     const streamUrl = `http://localhost:${Constants.CH4C_PORT}/stream?url=${encodeURIComponent(recording_url)}&encoder=${encodeURIComponent(availableEncoder.url)}${closed_captions ? '&cc=' + encodeURIComponent(closed_captions) : ''}`;
-    fetch(streamUrl).catch(err => logTS(`Scheduled recording stream fetch error: ${err.message}`));
-    logTS(`Scheduled recording "${recordingName}" started on Channel ${availableEncoder.channel}`);
+    fetch(streamUrl, { headers: loopbackStreamHeaders(type) }).catch(err => logTS(`Scheduled recording stream fetch error: ${err.message}`));
+    const paddingText = padding.startEarly || padding.endLate
+      ? ` (${duration} min including ${padding.startEarly} min early, ${padding.endLate} min late)`
+      : '';
+    logTS(`Scheduled recording "${recordingName}" started on Channel ${availableEncoder.channel}${paddingText}`);
   } else {
+    encoderQueue.release(availableEncoder.url);
+    recordingHistory.fail(historyId, 'Channels DVR did not accept the recording job', encoderDetails);
     logTS(`Scheduled recording "${recordingName}" failed: could not start Channels DVR recording`);
   }
 }
@@ -201,27 +341,50 @@ async function executeScheduledRecording(params, appLocals) {
 // setTimeout delays are a 32-bit signed int internally; anything beyond this fires immediately instead of waiting.
 const MAX_TIMEOUT_MS = 2147483647;
 
-function scheduleRecording(id, params, scheduledTime, appLocals) {
+/**
+ * Arm a scheduled recording. For a recurring series, `scheduledTime` is the start of
+ * occurrence number `occurrence`; when it fires, the next occurrence is armed under the
+ * same id before this one starts recording.
+ */
+function scheduleRecording(id, params, scheduledTime, appLocals, rule = null, occurrence = 1) {
   const arm = () => {
-    const delayMs = Math.max(0, scheduledTime - Date.now());
+    // Fire early by the job's start-early padding
+    const delayMs = Math.max(0, scheduledTime - recordingPadding(params).startEarly * 60 * 1000 - Date.now());
     let timerId;
     if (delayMs > MAX_TIMEOUT_MS) {
       timerId = setTimeout(arm, MAX_TIMEOUT_MS);
     } else {
       timerId = setTimeout(async () => {
-        scheduledRecordings.delete(id);
-        saveScheduledRecordings();
-        await executeScheduledRecording(params, appLocals);
+        if (!armNextOccurrence(id, appLocals)) {
+          scheduledRecordings.delete(id);
+          saveScheduledRecordings();
+        }
+        await executeScheduledRecording(params, appLocals, scheduledTime, { padding: recordingPadding(params) });
       }, delayMs);
     }
     const entry = scheduledRecordings.get(id);
     if (entry) entry.timerId = timerId;
   };
-  scheduledRecordings.set(id, { params, scheduledTime, timerId: null, appLocals });
+  scheduledRecordings.set(id, { params, scheduledTime, timerId: null, appLocals, recurrence: rule, occurrence });
   arm();
   saveScheduledRecordings();
 }
 
+/** Re-arm a recurring entry for its next occurrence. Returns false if the series is over. */
+function armNextOccurrence(id, appLocals) {
+  const entry = scheduledRecordings.get(id);
+  if (!entry || !entry.recurrence) return false;
+  const next = recurrence.nextOccurrence(entry.recurrence, entry.scheduledTime, entry.occurrence);
+  if (next === null) {
+    logTS(`Recurring recording "${entry.params.recording_name}" finished its series`);
+    return false;
+  }
+  clearTimeout(entry.timerId);
+  scheduleRecording(id, entry.params, next, appLocals, entry.recurrence, entry.occurrence + 1);
+  logTS(`Recurring recording "${entry.params.recording_name}": next occurrence ${new Date(next).toLocaleString()}`);
+  return true;
+}
+
 function cancelScheduledRecording(id) {
   const entry = scheduledRecordings.get(id);
   if (!entry) return false;
@@ -231,6 +394,229 @@ function cancelScheduledRecording(id) {
   return true;
 }
 
+/**
+ * Skip the pending occurrence of a recurring series (the series continues).
+ * @returns {'skipped'|'ended'|null} null if not found or not recurring
+ */
+function skipScheduledOccurrence(id) {
+  const entry = scheduledRecordings.get(id);
+  if (!entry || !entry.recurrence) return null;
+  if (armNextOccurrence(id, entry.appLocals)) return 'skipped';
+  cancelScheduledRecording(id);
+  return 'ended';
+}
+
+/**
+ * Parse the "Repeat" fields of the Record Later form (repeat, repeat_days, repeat_interval,
+ * repeat_until, repeat_count) into recurrence.normalizeRule input, or null for no repeat.
+ */
+function recurrenceInputFromForm(body) {
+  if (!body.repeat || body.repeat === 'none') return null;
+  return {
+    frequency: body.repeat,
+    days: body.repeat_days,
+    intervalDays: body.repeat_interval,
+    until: body.repeat_until,
+    count: body.repeat_count,
+  };
+}
+
+// Fields of a Record Later request (POST /instant form names) that PUT /api/scheduled-recordings/:id may change
+const SCHEDULED_RECORDING_FIELDS = [
+  'recording_name', 'recording_url', 'recording_duration', 'record_later_time',
+  'episode_title', 'recording_summary', 'season_number', 'episode_number',
+  'recording_image', 'closed_captions', 'selected_encoder',
+  'start_early_minutes', 'end_late_minutes',
+];
+
+// Per-job padding limits (the Settings defaults use the same ranges)
+const PADDING_LIMITS = { start_early_minutes: 120, end_late_minutes: 240 };
+
+/**
+ * Padding for a scheduled recording, in minutes: the job's own start_early_minutes /
+ * end_late_minutes, or the Settings defaults where the job leaves them blank.
+ */
+function recordingPadding(params) {
+  const pick = (value, fallback) => (value === null || value === undefined || value === '' ? fallback : Number(value));
+  return {
+    startEarly: pick(params.start_early_minutes, Constants.START_EARLY_MINUTES || 0),
+    endLate: pick(params.end_late_minutes, Constants.END_LATE_MINUTES || 0),
+  };
+}
+
+/**
+ * Validate Record Later fields — shared by POST /instant and PUT /api/scheduled-recordings/:id
+ * so both apply the same rules.
+ * @returns {{ error: string }|{ params: object, scheduledTime: number }}
+ */
+function validateScheduledRecording(fields) {
+  if (!fields.recording_url) return { error: 'URL is required' };
+  let targetUrl;
+  try {
+    targetUrl = new URL(fields.recording_url).toString();
+  } catch {
+    return { error: 'Invalid URL format' };
+  }
+  const duration = parseInt(fields.recording_duration);
+  if (isNaN(duration) || duration <= 0) {
+    return { error: 'Invalid duration. Must be a positive number.' };
+  }
+  const scheduledTime = parseInt(fields.record_later_time);
+  if (isNaN(scheduledTime) || scheduledTime <= Date.now()) {
+    return { error: 'Scheduled time must be in the future.' };
+  }
+  if (fields.selected_encoder && !Constants.ENCODERS.some(e => e.url === fields.selected_encoder)) {
+    return { error: 'Selected encoder is not configured.' };
+  }
+  const padding = {};
+  for (const [field, max] of Object.entries(PADDING_LIMITS)) {
+    const raw = fields[field];
+    if (raw === undefined || raw === null || raw === '') {
+      padding[field] = null; // use the Settings default
+      continue;
+    }
+    const minutes = Number(raw);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > max) {
+      return { error: `${field === 'start_early_minutes' ? 'Start early' : 'End late'} must be a whole number of minutes between 0 and ${max}.` };
+    }
+    padding[field] = minutes;
+  }
+  return {
+    scheduledTime,
+    params: {
+      recording_name: fields.recording_name || 'Scheduled Recording',
+      recording_url: targetUrl,
+      recording_duration: duration,
+      episode_title: fields.episode_title,
+      recording_summary: fields.recording_summary,
+      season_number: fields.season_number,
+      episode_number: fields.episode_number,
+      recording_image: fields.recording_image,
+      closed_captions: fields.closed_captions,
+      selected_encoder: fields.selected_encoder,
+      ...padding,
+    },
+  };
+}
+
+/** " (tuning 2 min early, 10 min late)" when the job is padded, else ''. */
+function paddingDetail(params) {
+  const { startEarly, endLate } = recordingPadding(params);
+  return startEarly || endLate ? ` (tuning ${startEarly} min early, ${endLate} min late)` : '';
+}
+
+// Form checkbox / query / JSON boolean
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// How far ahead a new or edited Record Later job (and its repeats) is checked for overlaps
+const CONFLICT_CHECK_DAYS = 30;
+
+function scheduleJob(id, params, start, rule = null, occurrence = 1) {
+  const { startEarly, endLate } = recordingPadding(params);
+  return {
+    id,
+    name: params.recording_name || 'Scheduled Recording',
+    start: start - startEarly * 60 * 1000,
+    durationMinutes: parseInt(params.recording_duration) + startEarly + endLate,
+    encoderUrl: params.selected_encoder || null,
+    recurrence: rule,
+    occurrence,
+  };
+}
+
+/** Scheduled recordings plus recordings already running (which hold their encoder until done). */
+function currentScheduleJobs(excludeId = null) {
+  const jobs = [];
+  for (const [id, entry] of scheduledRecordings) {
+    if (id !== excludeId) jobs.push(scheduleJob(id, entry.params, entry.scheduledTime, entry.recurrence, entry.occurrence));
+  }
+  for (const rec of recordingHistory.list({ status: 'recording' })) {
+    if (!rec.actualStart || !rec.durationMinutes) continue;
+    jobs.push({
+      id: rec.id,
+      name: rec.name,
+      start: Date.parse(rec.actualStart),
+      durationMinutes: rec.durationMinutes,
+      encoderUrl: rec.encoderUrl,
+      inProgress: true,
+    });
+  }
+  return jobs;
+}
+
+/**
+ * Overlap check for a Record Later job being created or edited. Capacity conflicts (more
+ * overlapping recordings than encoders) block the request unless allowConflicts is set;
+ * pinned-encoder conflicts are only reported.
+ * @returns {{ conflicts: object[], error: string|null, warning: string|null }}
+ */
+function checkScheduleConflicts(id, params, start, rule, occurrence, allowConflicts) {
+  const conflicts = scheduleConflicts.findConflicts(
+    scheduleJob(id, params, start, rule, occurrence),
+    currentScheduleJobs(id),
+    Constants.ENCODERS.length,
+    Date.now() + CONFLICT_CHECK_DAYS * 24 * 60 * 60 * 1000
+  );
+  const capacity = conflicts.filter(c => c.type === 'capacity');
+  const summary = list => list.slice(0, 3).map(c => c.message).join('; ') +
+    (list.length > 3 ? ` (and ${list.length - 3} more)` : '');
+  if (capacity.length > 0 && !allowConflicts) {
+    return { conflicts, error: `Not enough encoders: ${summary(capacity)}`, warning: null };
+  }
+  return { conflicts, error: null, warning: conflicts.length > 0 ? summary(conflicts) : null };
+}
+
+/**
+ * XMLTV channels for the encoders, with scheduled and running recordings as programmes on
+ * the encoder they're expected to use (see buildTimeline) and placeholders in between.
+ */
+function encoderGuideData(fromMs, toMs) {
+  const timeline = scheduleConflicts.buildTimeline(currentScheduleJobs(), Constants.ENCODERS, fromMs, toMs);
+  const channels = [];
+  const programmes = [];
+  for (const encoder of Constants.ENCODERS) {
+    const channelId = `ch4c-encoder-${encoder.channel}`;
+    const name = `CH4C Encoder ${encoder.channel}`;
+    channels.push({ id: channelId, name, number: encoder.channel });
+    const items = timeline.items.filter(i => i.encoderUrl === encoder.url);
+    for (const item of items) {
+      const entry = scheduledRecordings.get(item.id);
+      const params = entry ? entry.params : {};
+      programmes.push({
+        channel: channelId,
+        start: item.start,
+        end: item.end,
+        title: item.name,
+        subTitle: params.episode_title,
+        desc: params.recording_summary,
+        icon: params.recording_image,
+        season: params.season_number,
+        episode: params.episode_number,
+      });
+    }
+    programmes.push(...xmltv.placeholderProgrammes({ channel: channelId, title: name }, fromMs, toMs, 60, items));
+  }
+  return { channels, programmes };
+}
+
+function describeScheduledRecording(id, entry) {
+  return {
+    id,
+    scheduledTime: entry.scheduledTime,
+    name: entry.params.recording_name || 'Scheduled Recording',
+    duration: entry.params.recording_duration,
+    startEarlyMinutes: recordingPadding(entry.params).startEarly,
+    endLateMinutes: recordingPadding(entry.params).endLate,
+    url: entry.params.recording_url,
+    recurrence: entry.recurrence,
+    recurrenceDescription: entry.recurrence ? recurrence.describeRule(entry.recurrence) : null,
+    occurrence: entry.recurrence ? entry.occurrence : null,
+    params: entry.params,
+  };
+}
+
 function loadAndRescheduleRecordings(appLocals) {
   const filePath = getScheduledRecordingsFile();
   if (!fs.existsSync(filePath)) return;
@@ -239,8 +625,19 @@ function loadAndRescheduleRecordings(appLocals) {
     const now = Date.now();
     let count = 0;
     for (const entry of data) {
-      if (entry.scheduledTime > now) {
-        scheduleRecording(entry.id, entry.params, entry.scheduledTime, appLocals);
+      let { scheduledTime, occurrence = 1 } = entry;
+      // Occurrences of a series missed while CH4C was down are skipped, not recorded late
+      let missed = 0;
+      while (entry.recurrence && scheduledTime !== null && scheduledTime <= now) {
+        scheduledTime = recurrence.nextOccurrence(entry.recurrence, scheduledTime, occurrence);
+        occurrence++;
+        missed++;
+      }
+      if (missed > 0) {
+        logTS(`Recurring recording "${entry.params.recording_name}": skipped ${missed} occurrence(s) missed while CH4C was not running`);
+      }
+      if (scheduledTime !== null && scheduledTime > now) {
+        scheduleRecording(entry.id, entry.params, scheduledTime, appLocals, entry.recurrence || null, occurrence);
         count++;
       }
     }
@@ -287,10 +684,6 @@ process.on('unhandledRejection', async (reason, promise) => {
   process.exit(1);
 });
 
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Search Prime Video for content and return the detail page URL.
  * Opens a new tab in the provided browser instance, navigates to the Prime Video
@@ -1594,116 +1987,6 @@ async function searchMax(page, query) {
   };
 }
 
-/**
- * Dismiss the Sling TV "Who's Watching?" profile selector if present.
- * Clicks the first real profile (class includes "Standard"), ignoring the "+" add-profile tile.
- */
-async function handleSlingProfileSelector(page) {
-  const selectorPresent = await page.$('.Profile-Selector-Content-Container').then(el => !!el).catch(() => false);
-  if (!selectorPresent) return;
-  logTS('Sling TV: profile selector detected — selecting first profile');
-
-  // Click "Don't Ask Again" if present — this may navigate to /modal, so wait for it to resolve
-  const suppressedPrompt = await page.evaluate(() => {
-    const btn = document.querySelector('[data-testid="profile-preference-button"]');
-    if (btn) { btn.click(); return true; }
-    return false;
-  });
-  if (suppressedPrompt) {
-    logTS('Sling TV: clicked Don\'t Ask Again');
-    await delay(500);
-    // If we landed on /modal, click the OKAY confirmation button then wait for it to dismiss
-    if (page.url().includes('/modal')) {
-      await page.waitForSelector('[data-testid="global-modal-content-group-button-0"]', { timeout: 5000 }).catch(() => {});
-      await page.evaluate(() => {
-        const btn = document.querySelector('[data-testid="global-modal-content-group-button-0"] button');
-        if (btn) btn.click();
-      });
-      await page.waitForFunction(
-        () => !window.location.href.includes('/modal'),
-        { timeout: 8000 }
-      ).catch(() => {});
-    }
-    // Re-check if profile selector is still present after modal resolved
-    const stillPresent = await page.$('.Profile-Selector-Content-Container').then(el => !!el).catch(() => false);
-    if (!stillPresent) {
-      logTS(`Sling TV: profile selector dismissed — now at: ${page.url()}`);
-      return;
-    }
-  }
-
-  const clicked = await page.evaluate(() => {
-    // Real profiles have class "Profile-Avatar Standard"; the add-profile tile has "Profile-Avatar Add"
-    const profile = document.querySelector('.Profile-Avatar.Standard .Card-Avatar-Card');
-    if (profile) { profile.click(); return true; }
-    return false;
-  });
-  if (clicked) {
-    await page.waitForFunction(
-      () => !document.querySelector('.Profile-Selector-Content-Container'),
-      { timeout: 10000 }
-    ).catch(() => {});
-    logTS(`Sling TV: profile selected — now at: ${page.url()}`);
-  }
-}
-
-/**
- * Check Sling TV login state and re-login if needed.
- * Handles both profile selector pages and full logout.
- * @param {Page} page - Puppeteer page object
- * @param {string} encoderUrl - Encoder URL for logging
- * @returns {Promise<boolean>} - True if logged in (or re-login succeeded), false if credentials missing or login failed
- */
-async function checkAndRestoreSlingSession(page, encoderUrl = 'unknown') {
-  logTS(`[${encoderUrl}] Sling: checking login state at dashboard`);
-  try {
-    await page.goto('https://watch.sling.com/dashboard/home', { waitUntil: 'domcontentloaded', timeout: 20000 });
-  } catch (e) {
-    logTS(`[${encoderUrl}] Sling: dashboard navigation error during login check: ${e.message}`);
-    return false;
-  }
-
-  // Handle profile selector if it appeared (URL or DOM-based)
-  await handleSlingProfileSelector(page);
-  if (page.url().includes('/switch_user_profile')) {
-    logTS(`[${encoderUrl}] Sling: on switch_user_profile page, handling profile selector`);
-    await page.waitForSelector('.Profile-Selector-Content-Container', { timeout: 8000 }).catch(() => {});
-    await handleSlingProfileSelector(page);
-    // Wait for profile selection to resolve
-    await page.waitForFunction(
-      () => !window.location.href.includes('/switch_user_profile'),
-      { timeout: 10000 }
-    ).catch(() => {});
-  }
-
-  // Check login state: logged-in users have the profile avatar; logged-out users have settings gear
-  await page.waitForSelector('[data-testid="profiles-label"], [data-testid="settings-label"]', { timeout: 10000 }).catch(() => {});
-  const isLoggedIn = await page.$('[data-testid="profiles-label"]').then(el => !!el).catch(() => false);
-
-  if (isLoggedIn) {
-    logTS(`[${encoderUrl}] Sling: session is valid`);
-    return true;
-  }
-
-  logTS(`[${encoderUrl}] Sling: session expired — attempting re-login`);
-  const creds = credentialsStore.getCredentials('sling');
-  if (!creds?.username || !creds?.password) {
-    logTS(`[${encoderUrl}] Sling: no stored credentials — cannot auto re-login`);
-    return false;
-  }
-
-  const loginResult = await loginSling(page, creds.username, creds.password);
-  if (!loginResult.success) {
-    logTS(`[${encoderUrl}] Sling: re-login failed: ${loginResult.message}`);
-    return false;
-  }
-
-  logTS(`[${encoderUrl}] Sling: re-login successful`);
-  await page.goto('https://watch.sling.com/dashboard/home', { waitUntil: 'domcontentloaded', timeout: 20000 });
-  await handleSlingProfileSelector(page);
-  return true;
-}
-
 /**
  * Search Sling TV for content and return the browse URL.
  */
@@ -3050,6 +3333,11 @@ const createCleanupManager = () => {
 
   return {
     cleanup: async (encoderUrl, res) => {
+      // Whatever was using the encoder is finished; drop its encoder queue claim. A recording
+      // still running here ended early (duration timers and stop buttons record their own reason first).
+      encoderQueue.release(encoderUrl);
+      recordingHistory.finishForEncoder(encoderUrl, 'stopped', 'Stream ended before the recording duration');
+
       if (closingStates.get(encoderUrl)) {
         logTS(`Cleanup already in progress for encoder ${encoderUrl}`);
         return;
@@ -3166,671 +3454,75 @@ const createCleanupManager = () => {
   };
 };
 
-/**
- * Navigate to a Sling URL and handle any modals that appear
- * @param {Page} page - Puppeteer page object
- * @param {string} url - URL to navigate to
- * @param {number} maxAttempts - Maximum number of modal dismissal attempts
- * @param {string} expectedUrlPattern - Optional URL pattern to validate successful navigation (e.g., '/dashboard')
- * @param {string} encoderUrl - Encoder URL for logging purposes
- * @returns {Promise<boolean>} - True if successfully navigated past modals to expected destination
- */
-async function navigateSlingWithModalHandling(page, url, maxAttempts = 10, expectedUrlPattern = null, encoderUrl = 'unknown') {
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    await page.goto(url, {
-      waitUntil: 'load',
-      timeout: 15000
-    });
-
-    await delay(1000 + Math.random() * 500); // 1-1.5 second delay
-
-    // Re-inject checkForVideos function after navigation
-    await page.evaluate(() => {
-      window.checkForVideos = () => {
-        const videos = [...document.getElementsByTagName('video')];
-        const iframeVideos = [...document.getElementsByTagName('iframe')].reduce((acc, iframe) => {
-          try {
-            const frameVideos = iframe.contentDocument?.getElementsByTagName('video');
-            return frameVideos && frameVideos.length ? [...acc, ...frameVideos] : acc;
-          } catch(e) {
-            return acc;
-          }
-        }, []);
-        return [...videos, ...iframeVideos];
-      };
-    });
-
-    let currentUrl = page.url();
+async function setupBrowserAudio(page, encoderConfig, targetUrl = null) {
+  // For Sling, just navigate to channel if not already there
+  if (page.url().includes("watch.sling.com") && targetUrl) {
+    // If not on the channel page, navigate there
+    if (!page.url().endsWith('/watch')) {
+      logTS(`Not on channel page, navigating to: ${targetUrl}`);
+      await page.goto(targetUrl, {
+        waitUntil: 'load',
+        timeout: 15000
+      });
+    }
+  }
 
-    // Check if we're on a modal page
-    if (currentUrl.includes('/modal')) {
-      logTS(`[${encoderUrl}] Modal detected on attempt ${attempt}/${maxAttempts}, attempting to dismiss...`);
+  logTS("waiting for video to load")
 
-      // Try to dismiss modal using Tab+Enter (5 times with random delays)
-      for (let dismissAttempt = 1; dismissAttempt <= 5; dismissAttempt++) {
-        logTS(`[${encoderUrl}] Modal dismiss attempt ${dismissAttempt}/5 using Tab+Enter`);
-        await page.keyboard.press('Tab');
-        await delay(1000 + Math.random() * 1000); // 1-2 second wait
-        await page.keyboard.press('Enter');
-        await delay(1000 + Math.random() * 1000); // 1-2 second wait
+  await page.evaluate(() => {
 
-        // Check if we're still on modal
-        currentUrl = page.url();
-        if (!currentUrl.includes('/modal')) {
-          logTS(`[${encoderUrl}] Modal dismissed successfully on Tab+Enter attempt ${dismissAttempt}`);
-          break;
+    // looks for videos in the base document or iframes
+    window.checkForVideos = () => {
+      const videos = [...document.getElementsByTagName('video')];
+      const iframeVideos = [...document.getElementsByTagName('iframe')].reduce((acc, iframe) => {
+        try {
+          const frameVideos = iframe.contentDocument?.getElementsByTagName('video');
+          return frameVideos && frameVideos.length ? [...acc, ...frameVideos] : acc;
+        } catch(e) {
+          return acc;
         }
-      }
-
-      // If still on modal after Tab+Enter attempts, force navigate again
-      if (currentUrl.includes('/modal')) {
-        logTS(`[${encoderUrl}] Modal still present after Tab+Enter attempts, forcing navigation...`);
-        if (attempt >= maxAttempts) {
-          logTS(`[${encoderUrl}] Failed to get past modals after ${maxAttempts} attempts`);
-          return false;
+      }, []);
+      return [...videos, ...iframeVideos];
+    };
+  });
+ 
+  // Detect logged-out state early for any site with an immediate loggedOutIndicator,
+  // so we can auto-login after this stream attempt fails.
+  // Sites with checkLoginWaitMs need SPA hydration time and are skipped here (Phase 2).
+  if (targetUrl && encoderConfig?.url) {
+    try {
+      const targetHost = new URL(targetUrl).hostname.replace(/^www\./, '');
+      const siteConfig = LOGIN_SITES.find(s => {
+        if (!s.loggedOutIndicator || s.checkLoginWaitMs) return false;
+        try {
+          const siteHost = new URL(s.checkUrl).hostname.replace(/^www\./, '');
+          return targetHost === siteHost || targetHost.endsWith('.' + siteHost);
+        } catch (_) { return false; }
+      });
+      if (siteConfig) {
+        const loggedOutEl = await page.$(siteConfig.loggedOutIndicator).catch(() => null);
+        if (loggedOutEl) {
+          logTS(`${siteConfig.name} logged out on ${encoderConfig.url} — scheduling auto-login after cleanup`);
+          if (global.cleanupManager) global.cleanupManager.markLogoutDetected(encoderConfig.url, siteConfig.id);
         }
-        continue; // Try full navigation again
       }
-    }
-
-    // Re-check current URL after modal handling
-    currentUrl = page.url();
+    } catch (_) {}
+  }
 
-    // If we have an expected URL pattern, validate we landed there
-    if (expectedUrlPattern && !currentUrl.includes(expectedUrlPattern)) {
-      logTS(`[${encoderUrl}] Got past modal but landed on unexpected page: ${currentUrl} (expected pattern: ${expectedUrlPattern})`);
-      if (attempt >= maxAttempts) {
-        return false;
-      }
-      continue; // Try again
-    }
-
-    // Successfully got past modals and landed on expected page
-    logTS(`[${encoderUrl}] Successfully navigated to ${currentUrl}`);
-    return true;
-  }
-
-  return false;
-}
-
-/**
- * DirecTV Stream: navigates to the guide, waits for the Redux store channel lineup via
- * page.evaluate polling, then dispatches playConsumable in-page. Falls back to logo-click
- * DOM strategy if any step fails.
- *
- * Uses page.evaluate / page.waitForFunction instead of evaluateOnNewDocument + console
- * bridging because rebrowser-puppeteer-core suppresses Runtime.enable (the CDP command
- * Puppeteer uses to forward console events), making page.on('console') unreliable.
- * Runtime.evaluate (used by page.evaluate/waitForFunction) is unaffected.
- *
- * @param {Page} page - Puppeteer page object.
- * @param {string} channelName - Channel display name (e.g., "CNN", "ESPN").
- * @param {string} encoderUrl - Encoder URL for logging.
- * @returns {Promise<boolean>} - True if the channel is playing.
- */
-async function navigateDirectvStream(page, channelName, encoderUrl = 'unknown') {
-  logTS(`[${encoderUrl}] DirecTV: tuning to "${channelName}"`);
-
-  // Shared BFS function string — inlined into both waitForFunction and evaluate because each
-  // Puppeteer call serializes its own closure and cannot share Node.js function references.
-  const FIND_STORE_AND_CHANNELS = () => {
-    const PREFIXES = ['__reactContainer$', '__reactFiber$', '__reactInternalInstance$'];
-    const findKey = (el) => Object.keys(el).find(k => PREFIXES.some(p => k.startsWith(p)));
-    let mountEl = document.getElementById('app-root');
-    let rk = mountEl ? findKey(mountEl) : null;
-    if (!rk) {
-      mountEl = null;
-      for (const c of Array.from(document.body.children)) {
-        const k = findKey(c); if (k) { mountEl = c; rk = k; break; }
-      }
-    }
-    if (!mountEl || !rk) return false;
-    const val = mountEl[rk];
-    const root = val && typeof val.current === 'object' ? val.current : val;
-    if (!root) return false;
-    const q = [root]; let v = 0;
-    while (q.length && v < 5000) {
-      const n = q.shift(); if (!n) break; v++;
-      const p = n.pendingProps;
-      const candidate = p && (p.store || (p.value && p.value.store));
-      if (candidate && typeof candidate.getState === 'function') {
-        const st = candidate.getState();
-        const cs = st.channels;
-        if (cs) {
-          const arr = cs.channelArrays || cs.lineup || cs.channels || cs.allChannels;
-          if (Array.isArray(arr) && arr.length > 0) return true;
-        }
-        return false;
-      }
-      if (n.child) q.push(n.child);
-      if (n.sibling) q.push(n.sibling);
-    }
-    return false;
-  };
-
-  try {
-    await page.goto(DIRECTV_GUIDE_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    logTS(`[${encoderUrl}] DirecTV: page loading, waiting for Redux channel data...`);
-
-    // Poll for Redux store + channel lineup (channels populate async after store init).
-    // Handle execution-context-destroyed in case the SPA does a full reload to /player.
-    let channelsReady = false;
-    try {
-      await page.waitForFunction(FIND_STORE_AND_CHANNELS, { timeout: 15000, polling: 400 });
-      channelsReady = true;
-    } catch (waitErr) {
-      if (waitErr.message && waitErr.message.includes('context')) {
-        try {
-          await page.waitForFunction(FIND_STORE_AND_CHANNELS, { timeout: 8000, polling: 400 });
-          channelsReady = true;
-        } catch { /* fall through to logo click */ }
-      }
-    }
-
-    if (!channelsReady) {
-      logTS(`[${encoderUrl}] DirecTV: channel data not available — trying logo click fallback`);
-      return await directvLogoClickFallback(page, channelName, encoderUrl);
-    }
-
-    logTS(`[${encoderUrl}] DirecTV: Redux ready, dispatching playConsumable for "${channelName}"`);
-
-    const result = await page.evaluate((targetName) => {
-      const PREFIXES = ['__reactContainer$', '__reactFiber$', '__reactInternalInstance$'];
-      const findKey = (el) => Object.keys(el).find(k => PREFIXES.some(p => k.startsWith(p)));
-
-      let mountEl = document.getElementById('app-root');
-      let rk = mountEl ? findKey(mountEl) : null;
-      if (!rk) {
-        mountEl = null;
-        for (const c of Array.from(document.body.children)) {
-          const k = findKey(c); if (k) { mountEl = c; rk = k; break; }
-        }
-      }
-      if (!mountEl || !rk) return { ok: false, reason: 'no-react-mount' };
-
-      const val = mountEl[rk];
-      const root = val && typeof val.current === 'object' ? val.current : val;
-      if (!root) return { ok: false, reason: 'no-fiber-root' };
-
-      const q = [root]; let store = null; let v = 0;
-      while (q.length && v < 5000) {
-        const n = q.shift(); if (!n) break; v++;
-        const p = n.pendingProps;
-        const candidate = p && (p.store || (p.value && p.value.store));
-        if (candidate && typeof candidate.dispatch === 'function' && typeof candidate.getState === 'function') {
-          store = candidate; break;
-        }
-        if (n.child) q.push(n.child);
-        if (n.sibling) q.push(n.sibling);
-      }
-      if (!store) return { ok: false, reason: 'no-redux-store', visited: v };
-
-      const state = store.getState();
-      let channels = [];
-      if (state.channels) {
-        const cs = state.channels;
-        channels = cs.channelArrays || cs.lineup || cs.channels || cs.allChannels || [];
-      }
-      if (!channels.length && state.channelLineup) {
-        const li = state.channelLineup;
-        channels = li.channelArrays || li.channels || [];
-      }
-      if (!channels.length) return { ok: false, reason: 'no-channels' };
-
-      const norm = (s) => s.trim().replace(/\s+/g, ' ').toLowerCase();
-      const t = norm(targetName);
-      const target = channels.find(ch => norm(ch.channelName || '') === t) ||
-        channels.filter(ch => norm(ch.channelName || '').startsWith(t + '-'))
-          .sort((a, b) => norm(a.channelName || '').localeCompare(norm(b.channelName || '')))[0];
-
-      if (!target) return { ok: false, reason: 'channel-not-found', count: channels.length };
-
-      // Capture __webpack_require__ via synthetic chunk push
-      const chunkArr = window.webpackChunk_directv_web;
-      if (!chunkArr) return { ok: false, reason: 'no-webpack-chunk' };
-      const h = { r: null };
-      try { chunkArr.push([['__ch4c__'], {}, (fn) => { h.r = fn; }]); } catch (e) {
-        return { ok: false, reason: 'chunk-error', error: String(e) };
-      }
-      const wreq = h.r;
-      if (!wreq) return { ok: false, reason: 'no-wreq' };
-
-      // Find playConsumable module by scanning webpack factory sources
-      let playFn = null;
-      for (const id of Object.keys(wreq.m)) {
-        if (typeof wreq.m[id] !== 'function') continue;
-        let src; try { src = wreq.m[id].toString(); } catch { continue; }
-        if (!src.includes('playConsumable') || !src.includes('playAsset')) continue;
-        try {
-          const ex = wreq(id);
-          playFn = typeof ex.playConsumable === 'function' ? ex.playConsumable
-            : Object.values(ex).find(fn => typeof fn === 'function' && fn.toString().includes('playConsumable')) || null;
-        } catch (e) { return { ok: false, reason: 'module-load-error', error: String(e) }; }
-        break;
-      }
-      if (!playFn) return { ok: false, reason: 'no-playConsumable' };
-
-      // playConsumable is self-dispatching: it takes dispatch/getState as part of its payload.
-      // Do NOT wrap in store.dispatch() — it is not a Redux action creator.
-      try {
-        playFn({
-          consumable: {
-            augmentation: { constraints: { isPlayable: true } },
-            badges: ['OnNow'],
-            consumableType: 'LINEAR',
-            duration: 3600,
-            programChannelId: target.resourceId || ''
-          },
-          consumableResourceId: target.resourceId || '',
-          dispatch: store.dispatch,
-          getState: store.getState,
-          makeFullscreen: true,
-          restart: false
-        });
-        return { ok: true, channelName: target.channelName };
-      } catch (e) {
-        return { ok: false, reason: 'dispatch-error', error: String(e) };
-      }
-    }, channelName);
-
-    logTS(`[${encoderUrl}] DirecTV tune result: ${JSON.stringify(result)}`);
-
-    if (result.ok) {
-      logTS(`[${encoderUrl}] DirecTV: successfully tuned to "${result.channelName}"`);
-      return true;
-    }
-
-    logTS(`[${encoderUrl}] DirecTV: ${result.reason} — trying logo click fallback`);
-    return await directvLogoClickFallback(page, channelName, encoderUrl);
-  } catch (error) {
-    logTS(`[${encoderUrl}] DirecTV navigation error: ${error.message}`);
-    return false;
-  }
-}
-
-/**
- * DirecTV fallback: scroll the guide grid to find the channel logo and click it,
- * then click the mini-guide play button. Used when the webpack interceptor fails.
- * @param {Page} page - Puppeteer page object.
- * @param {string} channelName - Channel display name.
- * @param {string} encoderUrl - Encoder URL for logging.
- * @returns {Promise<boolean>} - True if playback started.
- */
-async function directvLogoClickFallback(page, channelName, encoderUrl = 'unknown') {
-  logTS(`[${encoderUrl}] DirecTV logo-click fallback for "${channelName}"`);
-
-  try {
-    await page.waitForSelector('[aria-label^="view "]', { timeout: 15000, visible: true });
-  } catch {
-    logTS(`[${encoderUrl}] DirecTV: guide grid did not load (no channel logos found)`);
-    return false;
-  }
-
-  const found = await page.evaluate((name) => {
-    const lowerName = name.toLowerCase();
-    const logos = Array.from(document.querySelectorAll('[aria-label^="view "]')).map(el => ({
-      el,
-      label: (el.getAttribute('aria-label') || '').slice('view '.length).toLowerCase()
-    }));
-
-    let logo = logos.find(l => l.label === lowerName)?.el || null;
-
-    if (!logo) {
-      const prefixMatches = logos
-        .filter(l => l.label.startsWith(lowerName + '-'))
-        .sort((a, b) => a.label.localeCompare(b.label));
-      if (prefixMatches.length > 0) logo = prefixMatches[0].el;
-    }
-
-    if (!logo) return false;
-
-    logo.setAttribute('data-ch4c-target', '1');
-    logo.scrollIntoView({ behavior: 'instant', block: 'center' });
-    return true;
-  }, channelName);
-
-  if (!found) {
-    logTS(`[${encoderUrl}] DirecTV: channel "${channelName}" not found in guide grid`);
-    return false;
-  }
-
-  await delay(300);
-
-  const clicked = await page.evaluate(() => {
-    const logo = document.querySelector('[data-ch4c-target="1"]');
-    if (!logo) return false;
-    logo.removeAttribute('data-ch4c-target');
-    logo.click();
-    return true;
-  });
-
-  if (!clicked) return false;
-
-  try {
-    await page.waitForSelector('[aria-label^="on now,"]', { timeout: 15000, visible: true });
-  } catch {
-    logTS(`[${encoderUrl}] DirecTV: mini-guide play button did not appear for "${channelName}"`);
-    return false;
-  }
-
-  await delay(200);
-
-  const playClicked = await page.evaluate(() => {
-    const onNow = document.querySelector('[aria-label^="on now,"]');
-    if (!onNow) return false;
-    const pressable = onNow.querySelector('[tabindex="0"]') || onNow;
-    pressable.click();
-    return true;
-  });
-
-  if (playClicked) logTS(`[${encoderUrl}] DirecTV: logo-click fallback succeeded for "${channelName}"`);
-  return playClicked;
-}
-
-/**
- * DirecTV Stream fullscreen/audio setup. The webpack interceptor passes makeFullscreen:true
- * to the player, so fullscreen is already handled. This function unmutes the video and
- * optionally selects a closed-caption track.
- */
-async function fullScreenVideoDirectv(page, encoderConfig = null, closedCaptions = '') {
-  logTS('URL contains stream.directv.com, setting up audio');
-
-  const videoHandle = await page.waitForSelector('video', { timeout: 15000 }).catch(() => null);
-
-  if (videoHandle) {
-    await page.evaluate((video) => {
-      video.muted = false;
-      video.volume = 1.0;
-    }, videoHandle);
-    logTS('DirecTV: video unmuted');
-  }
-
-  if (encoderConfig && encoderConfig.audioDevice) {
-    const { frameHandle, videoHandle: vh } = await findVideoElement(page);
-    if (frameHandle && vh) {
-      await setupAudioMonitor(frameHandle, vh, encoderConfig.audioDevice, encoderConfig.url);
-    }
-  }
-
-  await hideCursor(page);
-}
-
-/**
- * Navigate to Peacock stream like a human would - start from homepage, then go to streaming URL
- * @param {Page} page - Puppeteer page object
- * @param {string} streamUrl - The final streaming URL to navigate to
- * @param {string} encoderUrl - Encoder URL for logging purposes
- * @returns {Promise<boolean>} - True if successfully navigated to stream
- */
-async function navigatePeacockLikeHuman(page, streamUrl, encoderUrl = 'unknown') {
-  logTS(`[${encoderUrl}] Starting Peacock navigation (direct to stream URL)`);
-
-  // Helper function to handle profile selection - waits for page to be ready
-  async function handleProfileSelection() {
-    logTS(`[${encoderUrl}] Profile selection page detected, waiting for page to be ready...`);
-
-    // Wait for the page to be fully loaded and interactive
-    try {
-      await page.waitForSelector('body', { timeout: 5000 });
-      // Wait for profile buttons to be clickable (look for common profile page elements)
-      await page.waitForFunction(() => {
-        // Check if we're on profiles page and it's interactive
-        return document.readyState === 'complete' &&
-               document.querySelectorAll('button, [role="button"], a').length > 0;
-      }, { timeout: 5000 });
-    } catch (e) {
-      logTS(`[${encoderUrl}] Profile page wait timeout, proceeding anyway...`);
-    }
-
-    await delay(1500); // Extra delay to ensure page is fully interactive
-
-    logTS(`[${encoderUrl}] Sending profile selection keystrokes (3x Tab + Enter)...`);
-    await page.keyboard.press('Tab');
-    await delay(300);
-    await page.keyboard.press('Tab');
-    await delay(300);
-    await page.keyboard.press('Tab');
-    await delay(300);
-    await page.keyboard.press('Enter');
-    logTS(`[${encoderUrl}] Profile selection keystrokes sent`);
-
-    // Wait for navigation after profile selection
-    await delay(2000);
-  }
-
-  try {
-    // Navigate to homepage first to establish a normal browsing session
-    logTS(`[${encoderUrl}] Navigating to Peacock homepage`);
-    await page.goto('https://www.peacocktv.com', {
-      waitUntil: 'networkidle2',
-      timeout: 30000
-    });
-
-    // Handle profile selection if redirected on homepage load
-    if (page.url().includes('/watch/profiles')) {
-      logTS(`[${encoderUrl}] Profile selection page detected on homepage — selecting first profile`);
-      const profileSel = '.profiles__avatar--image[role="button"]';
-      try {
-        const profileEl = await page.waitForSelector(profileSel, { timeout: 8000 });
-        await profileEl.click();
-        await page.waitForFunction(() => !window.location.href.includes('/watch/profiles'), { timeout: 15000 });
-        logTS(`[${encoderUrl}] Profile selected — now at: ${page.url()}`);
-      } catch (e) {
-        logTS(`[${encoderUrl}] Profile selector click failed, trying keyboard fallback: ${e.message}`);
-        await handleProfileSelection();
-      }
-    }
-
-    // Simulate human browsing on homepage before navigating to stream
-    await delay(1000);
-    await page.mouse.move(300 + Math.random() * 400, 200 + Math.random() * 200);
-    await delay(800 + Math.random() * 600);
-    await page.mouse.move(400 + Math.random() * 300, 350 + Math.random() * 200);
-    await delay(1500 + Math.random() * 1500); // 1.5-3s additional dwell time
-
-    // Navigate to the stream URL
-    logTS(`[${encoderUrl}] Navigating to streaming URL: ${streamUrl}`);
-    await page.goto(streamUrl, {
-      waitUntil: 'load',
-      timeout: 30000
-    });
-
-    // Monitor for profile page for up to 8 seconds after initial navigation
-    // Peacock does delayed JavaScript redirects
-    const maxProfileChecks = 16; // 8 seconds (16 * 500ms)
-    let profileHandleCount = 0;
-    const maxProfileHandles = 3; // Don't get stuck in infinite loop
-
-    for (let i = 0; i < maxProfileChecks && profileHandleCount < maxProfileHandles; i++) {
-      const currentUrl = page.url();
-
-      // If we're on the playback page, we're done!
-      if (currentUrl.includes('/watch/playback')) {
-        logTS(`[${encoderUrl}] On playback page, navigation complete`);
-        break;
-      }
-
-      // If we're on profiles page, handle it
-      if (currentUrl.includes('/watch/profiles')) {
-        profileHandleCount++;
-        logTS(`[${encoderUrl}] On profiles page (handle attempt ${profileHandleCount}/${maxProfileHandles})`);
-
-        await handleProfileSelection();
-
-        // Navigate back to stream URL
-        logTS(`[${encoderUrl}] Navigating back to stream URL: ${streamUrl}`);
-        await page.goto(streamUrl, {
-          waitUntil: 'load',
-          timeout: 30000
-        });
-
-        // Reset counter to give more time after profile handling
-        i = 0;
-        continue;
-      }
-
-      // Wait before checking again
-      await delay(500);
-    }
-
-    logTS(`[${encoderUrl}] Successfully navigated to Peacock stream`);
-    logTS(`[${encoderUrl}] Final URL: ${page.url()}`);
-
-    return true;
-
-  } catch (error) {
-    logTS(`[${encoderUrl}] Peacock navigation error: ${error.message}`);
-    return false;
-  }
-}
-
-/**
- * Navigate to Sling channel with fallback strategy
- * Strategy: Try direct navigation first (fast). If that fails, go to dashboard then retry direct navigation.
- * @param {Page} page - Puppeteer page object
- * @param {string} channelWatchUrl - The final /watch URL to navigate to
- * @param {string} encoderUrl - Encoder URL for logging purposes
- * @returns {Promise<boolean>} - True if successfully navigated to watch page
- */
-async function navigateSlingLikeHuman(page, channelWatchUrl, encoderUrl = 'unknown') {
-  // STEP 1: Try direct navigation to watch page (fast path) - single attempt with modal handling
-  logTS(`[${encoderUrl}] Attempting direct navigation to watch page (fast path)`);
-
-  try {
-    const watchSuccess = await navigateSlingWithModalHandling(
-      page,
-      channelWatchUrl,
-      10,
-      '/watch',
-      encoderUrl
-    );
-
-    if (watchSuccess) {
-      logTS(`[${encoderUrl}] Direct navigation successful!`);
-      return true;
-    }
-
-    logTS(`[${encoderUrl}] Direct navigation failed, will try dashboard-first fallback`);
-
-  } catch (error) {
-    logTS(`[${encoderUrl}] Error during direct navigation: ${error.message}`);
-  }
-
-  // STEP 2: Direct navigation failed - try dashboard-first approach as fallback
-  logTS(`[${encoderUrl}] Trying dashboard-first fallback...`);
-
-  try {
-    // Navigate to dashboard/home first
-    logTS(`[${encoderUrl}] Fallback: Navigating to watch.sling.com dashboard...`);
-    const homeSuccess = await navigateSlingWithModalHandling(
-      page,
-      'https://watch.sling.com',
-      10,
-      '/dashboard/home',
-      encoderUrl
-    );
-
-    if (!homeSuccess) {
-      logTS(`[${encoderUrl}] Fallback failed: Could not reach dashboard page`);
-      return false;
-    }
-
-    logTS(`[${encoderUrl}] Fallback: Successfully reached dashboard, pausing before channel navigation...`);
-    await delay(500 + Math.random() * 500); // 0.5-1s pause to mimic human behavior
-
-    // Now try navigating to the watch page from dashboard
-    logTS(`[${encoderUrl}] Fallback: Navigating from dashboard to watch page: ${channelWatchUrl}`);
-    const watchSuccess = await navigateSlingWithModalHandling(
-      page,
-      channelWatchUrl,
-      10,
-      '/watch',
-      encoderUrl
-    );
-
-    if (!watchSuccess) {
-      logTS(`[${encoderUrl}] Fallback failed: Could not reach watch page from dashboard`);
-      return false;
-    }
-
-    logTS(`[${encoderUrl}] Fallback successful: Reached watch page via dashboard!`);
-    return true;
-
-  } catch (error) {
-    logTS(`[${encoderUrl}] Error during dashboard fallback: ${error.message}`);
-    return false;
-  }
-}
-
-async function setupBrowserAudio(page, encoderConfig, targetUrl = null) {
-  // For Sling, just navigate to channel if not already there
-  if (page.url().includes("watch.sling.com") && targetUrl) {
-    // If not on the channel page, navigate there
-    if (!page.url().endsWith('/watch')) {
-      logTS(`Not on channel page, navigating to: ${targetUrl}`);
-      await page.goto(targetUrl, {
-        waitUntil: 'load',
-        timeout: 15000
-      });
-    }
-  }
-
-  logTS("waiting for video to load")
-
-  await page.evaluate(() => {
-
-    // looks for videos in the base document or iframes
-    window.checkForVideos = () => {
-      const videos = [...document.getElementsByTagName('video')];
-      const iframeVideos = [...document.getElementsByTagName('iframe')].reduce((acc, iframe) => {
-        try {
-          const frameVideos = iframe.contentDocument?.getElementsByTagName('video');
-          return frameVideos && frameVideos.length ? [...acc, ...frameVideos] : acc;
-        } catch(e) {
-          return acc;
-        }
-      }, []);
-      return [...videos, ...iframeVideos];
-    };
-  });
- 
-  // Detect logged-out state early for any site with an immediate loggedOutIndicator,
-  // so we can auto-login after this stream attempt fails.
-  // Sites with checkLoginWaitMs need SPA hydration time and are skipped here (Phase 2).
-  if (targetUrl && encoderConfig?.url) {
-    try {
-      const targetHost = new URL(targetUrl).hostname.replace(/^www\./, '');
-      const siteConfig = LOGIN_SITES.find(s => {
-        if (!s.loggedOutIndicator || s.checkLoginWaitMs) return false;
-        try {
-          const siteHost = new URL(s.checkUrl).hostname.replace(/^www\./, '');
-          return targetHost === siteHost || targetHost.endsWith('.' + siteHost);
-        } catch (_) { return false; }
-      });
-      if (siteConfig) {
-        const loggedOutEl = await page.$(siteConfig.loggedOutIndicator).catch(() => null);
-        if (loggedOutEl) {
-          logTS(`${siteConfig.name} logged out on ${encoderConfig.url} — scheduling auto-login after cleanup`);
-          if (global.cleanupManager) global.cleanupManager.markLogoutDetected(encoderConfig.url, siteConfig.id);
-        }
-      }
-    } catch (_) {}
-  }
-
-  // Fox Sports: click the JWPlayer overlay play button before starting the video wait.
-  // The overlay appears a few seconds after domcontentloaded; without clicking it, JWPlayer
-  // never starts the stream and the video element never reaches readyState >= 2.
-  if (targetUrl && targetUrl.includes('foxsports.com')) {
-    for (let i = 0; i < 20; i++) {
-      try {
-        const clicked = await page.evaluate(() => {
-          const btn = document.querySelector('#overlayPlay a.overlay-play-button, a.overlay-play-button[aria-label="play"]');
-          if (btn && btn.offsetParent !== null) { btn.click(); return true; }
-          return false;
-        });
-        if (clicked) { logTS('Fox Sports: clicked overlay play button'); break; }
-      } catch (_) {}
-      await delay(500);
+  // Fox Sports: click the JWPlayer overlay play button before starting the video wait.
+  // The overlay appears a few seconds after domcontentloaded; without clicking it, JWPlayer
+  // never starts the stream and the video element never reaches readyState >= 2.
+  if (targetUrl && targetUrl.includes('foxsports.com')) {
+    for (let i = 0; i < 20; i++) {
+      try {
+        const clicked = await page.evaluate(() => {
+          const btn = document.querySelector('#overlayPlay a.overlay-play-button, a.overlay-play-button[aria-label="play"]');
+          if (btn && btn.offsetParent !== null) { btn.click(); return true; }
+          return false;
+        });
+        if (clicked) { logTS('Fox Sports: clicked overlay play button'); break; }
+      } catch (_) {}
+      await delay(500);
     }
   }
 
@@ -4698,3355 +4390,62 @@ async function launchBrowser(targetUrl, encoderConfig, startMinimized, applyStar
             }
           }
           browsers.delete(encoderConfig.url);
-          return false;
-        }
-        throw error;
-      }
-
-      logTS(`page fully loaded for encoder ${encoderConfig.url}`);
-
-      if (startMinimized) {
-        logTS(`Attempting CDP minimization for encoder ${encoderConfig.url}`);
-        try {
-          const session = await page.createCDPSession();
-          const {windowId} = await session.send('Browser.getWindowForTarget');
-          await session.send('Browser.setWindowBounds', {windowId, bounds: {windowState: 'minimized'}});
-          await session.detach();
-          logTS(`Successfully minimized window via CDP for encoder ${encoderConfig.url}`);
-          await delay(500);
-        } catch (cdpError) {
-          logTS(`Error minimizing window via CDP for ${encoderConfig.url}:`, cdpError.message);
-        }
-      }
-      launchResolve();
-      return true;
-    } else {
-      logTS(`targetUrl is not defined for encoder ${encoderConfig.url}. This is unexpected.`);
-      launchReject(new Error('targetUrl not defined'));
-      return false;
-    }
-  } catch (error) {
-    logTS(`Error launching browser for encoder ${encoderConfig.url}:`);
-    logTS(`Error type: ${error.constructor.name}`);
-    logTS(`Error message: ${error.message}`);
-    if (error.stack) {
-      logTS(`Stack trace:\n${error.stack}`);
-    }
-
-    // Clean up any partial browser instance
-    if (browsers.has(encoderConfig.url)) {
-      const browser = browsers.get(encoderConfig.url);
-      if (browser && browser.isConnected()) {
-        try {
-          await browser.close();
-        } catch (closeErr) {
-          logTS(`Error closing failed browser: ${closeErr.message}`);
-        }
-      }
-      browsers.delete(encoderConfig.url);
-    }
-
-    launchReject(error);
-    return false;
-  } finally {
-    // Always clean up the mutex
-    launchMutex.delete(encoderConfig.url);
-  }
-}
-
-async function hideCursor(page) {
-  try {
-    await Promise.race([
-      page.addStyleTag({
-        content: `
-          *:hover{cursor:none!important}
-          *{cursor:none!important}
-        `
-      }),
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout adding style tag')), 1000))
-    ]);
-
-    // NFL Network requires mouse wiggle to hide cursor
-    const mouse = page.mouse
-    await mouse.move(Math.floor(Math.random() * 101) + 300, 500);
-
-  } catch (error) {
-    // Sometimes it times out for the cursor hiding
-    //console.log('timeout adding style tag');
-  }
-}
-
-async function GetProperty(element, property) {
-  return await (await element.getProperty(property)).jsonValue();
-}
-
-/**
- * Finds the video element in the page, searching through frames
- * Returns the frame handle and video handle if found
- * @param {Object} page - The page object to search
- * @returns {Object} Object with frameHandle and videoHandle (both null if not found)
- */
-async function findVideoElement(page) {
-  let frameHandle = null;
-  let videoHandle = null;
-
-  try {
-    const frames = await page.frames({ timeout: 1000 });
-    for (const frame of frames) {
-      try {
-        // Look for videos in each frame
-        const videos = await frame.$$('video');
-
-        if (videos.length > 0) {
-          // If multiple videos, try to find one with audio
-          if (videos.length > 1) {
-            logTS(`Found ${videos.length} videos, selecting best candidate`);
-
-            for (const video of videos) {
-              const hasAudio = await frame.evaluate((v) => {
-                return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
-                       Boolean(v.audioTracks && v.audioTracks.length);
-              }, video);
-
-              if (hasAudio) {
-                videoHandle = video;
-                frameHandle = frame;
-                logTS('Selected video element with audio');
-                return { frameHandle, videoHandle };
-              } else if (!videoHandle) {
-                // Keep first video as fallback
-                videoHandle = video;
-                frameHandle = frame;
-              }
-            }
-          } else {
-            // Single video, use it
-            videoHandle = videos[0];
-            frameHandle = frame;
-            logTS('Found video frame');
-          }
-
-          if (videoHandle) {
-            return { frameHandle, videoHandle };
-          }
-        }
-      } catch (error) {
-        // Continue searching other frames
-      }
-    }
-  } catch (error) {
-    logTS(`Error searching for video element: ${error.message}`);
-  }
-
-  return { frameHandle, videoHandle };
-}
-
-/**
- * Sets up an audio monitor that runs in the browser context
- * Periodically verifies and re-applies the audio sink if it gets lost
- * This helps maintain audio when multiple browser instances are running
- * @param {Object} frameHandle - The frame containing the video element
- * @param {Object} videoHandle - The video element handle
- * @param {string} audioDevice - The audio device name to maintain
- * @param {string} encoderUrl - The encoder URL for logging
- */
-async function setupAudioMonitor(frameHandle, videoHandle, audioDevice, encoderUrl) {
-  if (!audioDevice) {
-    return;
-  }
-
-  try {
-    await frameHandle.evaluate(async (video, audioDeviceName, encoderUrlForLog) => {
-      // Prevent multiple monitors on the same video
-      if (video.__audioMonitorActive) {
-        return;
-      }
-      video.__audioMonitorActive = true;
-
-      // Check and re-apply audio every 15 seconds
-      setInterval(async () => {
-        try {
-          const currentSinkId = video.sinkId;
-
-          // If sinkId is empty or changed unexpectedly, re-apply
-          if (!currentSinkId || currentSinkId === '' || currentSinkId === 'default') {
-            console.log(`[CH4C] [${encoderUrlForLog}] Audio sink lost (current: ${currentSinkId || 'none'}), re-applying...`);
-
-            const devices = await navigator.mediaDevices.enumerateDevices();
-            const targetDevice = devices
-              .filter(d => d.kind === 'audiooutput')
-              .find(d => d.label.includes(audioDeviceName));
-
-            if (targetDevice && video.setSinkId) {
-              await video.setSinkId(targetDevice.deviceId);
-              console.log(`[CH4C] [${encoderUrlForLog}] Audio sink re-applied: ${targetDevice.label}`);
-            } else {
-              console.log(`[CH4C] [${encoderUrlForLog}] Could not find audio device: ${audioDeviceName}`);
-            }
-          }
-        } catch (err) {
-          console.log(`[CH4C] [${encoderUrlForLog}] Audio monitor error: ${err.message}`);
-        }
-      }, 15000);
-
-      console.log(`[CH4C] [${encoderUrlForLog}] Audio monitor active - checking every 15 seconds`);
-    }, videoHandle, audioDevice, encoderUrl);
-
-    logTS(`[${encoderUrl}] Audio monitor enabled for device: ${audioDevice}`);
-  } catch (error) {
-    logTS(`[${encoderUrl}] Failed to setup audio monitor (non-fatal): ${error.message}`);
-  }
-}
-
-/**
- * Sets up an error recovery monitor for ESPN streams.
- * Detects when the stream stops (e.g. "too many devices" error) and reloads the page to recover.
- * Runs in Node.js context (not browser context) so it can trigger page navigation.
- * @param {Object} page - The Puppeteer page object
- */
-function setupESPNErrorMonitor(page, encoderConfig = null) {
-  if (!Constants.ENABLE_PAUSE_MONITOR) {
-    return;
-  }
-
-  const url = page.url();
-  const CHECK_INTERVAL_MS = 30000;
-  const FAILURES_BEFORE_RECOVERY = 2;
-  const MAX_RECOVERY_ATTEMPTS = 3;
-
-  let consecutiveFailures = 0;
-  let recoveryAttempts = 0;
-
-  const intervalId = setInterval(async () => {
-    try {
-      const isPlaying = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        return Array.from(videos).some(v => !v.paused && !v.ended && v.readyState >= 3);
-      });
-
-      if (isPlaying) {
-        consecutiveFailures = 0;
-      } else {
-        consecutiveFailures++;
-        logTS(`ESPN monitor: no active video (${consecutiveFailures}/${FAILURES_BEFORE_RECOVERY})`);
-
-        if (consecutiveFailures >= FAILURES_BEFORE_RECOVERY) {
-          if (recoveryAttempts >= MAX_RECOVERY_ATTEMPTS) {
-            logTS('ESPN monitor: max recovery attempts reached, stopping');
-            clearInterval(intervalId);
-            return;
-          }
-
-          consecutiveFailures = 0;
-          recoveryAttempts++;
-          logTS(`ESPN monitor: attempting page recovery (${recoveryAttempts}/${MAX_RECOVERY_ATTEMPTS})`);
-          clearInterval(intervalId);
-
-          await delay(5000);
-          try {
-            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-            await delay(6000);
-            await fullScreenVideoESPN(page, encoderConfig);
-            // Re-apply audio device since page reload resets video element sinkIds
-            if (encoderConfig && encoderConfig.audioDevice) {
-              try {
-                await page.evaluate(async (audioDevice) => {
-                  const devices = await navigator.mediaDevices.enumerateDevices();
-                  const targetDevice = devices.filter(d => d.kind === 'audiooutput').find(d => d.label.includes(audioDevice));
-                  if (!targetDevice) return;
-                  const allVideos = document.querySelectorAll('video');
-                  for (const video of allVideos) {
-                    if (video.setSinkId) await video.setSinkId(targetDevice.deviceId).catch(() => {});
-                  }
-                }, encoderConfig.audioDevice);
-                logTS(`ESPN monitor: re-applied audio device after recovery: ${encoderConfig.audioDevice}`);
-              } catch (audioErr) {
-                logTS(`ESPN monitor: failed to re-apply audio device - ${audioErr.message}`);
-              }
-            }
-          } catch (e) {
-            logTS(`ESPN monitor: recovery failed - ${e.message}`);
-          }
-        }
-      }
-    } catch (e) {
-      logTS(`ESPN monitor: stopping due to error - ${e.message}`);
-      clearInterval(intervalId);
-    }
-  }, CHECK_INTERVAL_MS);
-
-  logTS(`ESPN error recovery monitor active (${CHECK_INTERVAL_MS / 1000}s interval, max ${MAX_RECOVERY_ATTEMPTS} recoveries)`);
-}
-
-/**
- * Sets up a pause monitor that runs in the browser context
- * Automatically resumes video playback if it gets paused
- * @param {Object} frameHandle - The frame containing the video element
- * @param {Object} videoHandle - The video element handle
- * @param {Object} page - The page object for console forwarding
- */
-async function setupPauseMonitor(frameHandle, videoHandle, page) {
-  if (!Constants.ENABLE_PAUSE_MONITOR) {
-    return;
-  }
-
-  try {
-    // Forward browser console messages to Node.js console (only [CH4C] tagged messages)
-    page.on('console', msg => {
-      const text = msg.text();
-      if (text.startsWith('[CH4C]')) {
-        logTS(text);
-      }
-    });
-
-    await frameHandle.evaluate((video, intervalSeconds) => {
-      // Prevent multiple monitors on the same video
-      if (video.__pauseMonitorActive) {
-        return;
-      }
-      video.__pauseMonitorActive = true;
-
-      setInterval(() => {
-        if (video.paused && !video.ended) {
-          console.log('[CH4C] Video paused - attempting to resume...');
-          video.play().catch(err => {
-            console.log('[CH4C] Failed to resume video:', err.message);
-          });
-        }
-      }, intervalSeconds * 1000);
-
-      console.log(`[CH4C] Pause monitor active - checking every ${intervalSeconds} seconds`);
-    }, videoHandle, Constants.PAUSE_MONITOR_INTERVAL);
-
-    logTS(`Pause monitor enabled (interval: ${Constants.PAUSE_MONITOR_INTERVAL}s)`);
-  } catch (error) {
-    logTS(`Failed to setup pause monitor (non-fatal): ${error.message}`);
-  }
-}
-
-async function fullScreenVideo(page) {
-  let frameHandle, videoHandle
-
-  // try every few seconds to look for the video
-  // necessary since some pages take time to load the actual video
-  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
-    // call this every loop since the page might be changing
-    // e.g. during the "authorized to view with Xfinity" splash screen
-    try {
-      const frames = await page.frames( { timeout: 1000 })
-      for (const frame of frames) {
-        try {
-          // Improvement 1: Smart video selection - prefer videos with audio
-          const videos = await frame.$$('video');
-
-          if (videos.length > 0) {
-            // If multiple videos, try to find one with audio
-            if (videos.length > 1) {
-              logTS(`Found ${videos.length} videos, selecting best candidate`);
-
-              for (const video of videos) {
-                const hasAudio = await frame.evaluate((v) => {
-                  return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
-                         Boolean(v.audioTracks && v.audioTracks.length);
-                }, video);
-
-                if (hasAudio) {
-                  videoHandle = video;
-                  frameHandle = frame;
-                  logTS('Selected video element with audio');
-                  break videoSearch;
-                } else if (!videoHandle) {
-                  // Keep first video as fallback
-                  videoHandle = video;
-                  frameHandle = frame;
-                }
-              }
-            } else {
-              // Single video, use it
-              videoHandle = videos[0];
-              frameHandle = frame;
-              logTS('found video frame');
-            }
-
-            if (videoHandle) {
-              break videoSearch;
-            }
-          }
-        } catch (error) {
-          // Continue searching
-        }
-      }
-    } catch (error) {
-      console.log('error looking for video', error)
-      videoHandle=null
-    }
-
-    if (!videoHandle) {
-      await delay(Constants.FIND_VIDEO_WAIT * 1000);
-    }
-  }
-
-  if (videoHandle) {
-    // Improvement 2: Less aggressive - check if already playing first
-    logTS("Checking video playback status");
-
-    let isPlaying = false;
-    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES; step++) {
-      const currentTime = await GetProperty(videoHandle, 'currentTime')
-      const readyState = await GetProperty(videoHandle, 'readyState')
-      const paused = await GetProperty(videoHandle, 'paused')
-      const ended = await GetProperty(videoHandle, 'ended')
-
-      // Check if video is already playing or ready to play
-      if (!!(currentTime > 0 && readyState > 2 && !paused && !ended)) {
-        logTS("Video is already playing");
-        isPlaying = true;
-        break;
-      }
-
-      // Check if video is ready but just paused (may autoplay)
-      if (readyState >= 3 && !ended) {
-        // Wait a moment to see if autoplay kicks in
-        if (step === 0) {
-          logTS("Video ready, waiting for autoplay...");
-          await delay(1500);
-
-          // Check again after waiting
-          const stillPaused = await GetProperty(videoHandle, 'paused');
-          const newTime = await GetProperty(videoHandle, 'currentTime');
-
-          if (!stillPaused || newTime > 0) {
-            logTS("Video autoplayed successfully");
-            isPlaying = true;
-            break;
-          }
-        }
-      }
-
-      // Video not playing, try to start it
-      logTS("Attempting to play video");
-
-      // Improvement 3: Add delay between attempts
-      if (step > 0) {
-        await delay(1000);
-      }
-
-      // alternate between calling play and click (Disney needs click)
-      if (step % 2 === 0) {
-        await frameHandle.evaluate((video) => {
-          video.play()
-        }, videoHandle)
-      } else {
-        await videoHandle.click()
-      }
-    }
-
-    logTS("going full screen and unmuting");
-    await frameHandle.evaluate((video) => {
-      video.muted = false
-      video.removeAttribute('muted')
-      video.style.cursor = 'none!important'
-      video.requestFullscreen()
-    }, videoHandle)
-
-    // Some sites pause video when going fullscreen, so explicitly play after fullscreen
-    await delay(500); // Brief delay to let fullscreen transition start
-    await frameHandle.evaluate((video) => {
-      if (video.paused) {
-        video.play().catch(err => console.log('Play after fullscreen failed:', err));
-      }
-    }, videoHandle);
-
-    // Setup pause monitor to automatically resume if video gets paused
-    await setupPauseMonitor(frameHandle, videoHandle, page);
-
-  } else {
-    console.log('did not find video')
-  }
-  logTS("hiding cursor");
-  // some sites respond better to hiding cursor after full screen
-  await hideCursor(page)
-}
-
-async function selectSlingClosedCaptions(page, ccOption) {
-  // Returns true if successfully selected, false if player controls not available yet
-  try {
-    // Move mouse to center to reveal player controls
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    const settingsBtn = await page.waitForSelector('[data-testid="player-button-videoPlayerSettings"]', { timeout: 5000 }).catch(() => null);
-    if (!settingsBtn) return false;
-    await settingsBtn.click();
-    await delay(300);
-
-    const testId = ccOption.toLowerCase() === 'off' ? 'closed-captions-off' : 'closed-captions-on';
-    const option = await page.waitForSelector(`[data-testid="${testId}"]`, { timeout: 3000 }).catch(() => null);
-    if (!option) return false;
-    await option.click();
-    await delay(300);
-
-    // Close the settings menu by clicking away
-    await page.mouse.move(cx, cy - 200);
-    await page.mouse.click(cx, cy - 200);
-    logTS(`Sling CC: selected "${ccOption}"`);
-    return true;
-  } catch (e) {
-    logTS(`Sling CC: error — ${e.message}`);
-    return false;
-  }
-}
-
-async function fullScreenVideoSling(page, encoderConfig = null, closedCaptions = '') {
-  logTS("URL contains watch.sling.com, going fullscreen");
-
-  // Click the full screen button
-  const fullScreenButton = await page.waitForSelector('div.player-button.active.videoPlayerFullScreenToggle', { visible: true });
-  logTS("button available, now clicking");
-  await fullScreenButton.click(); //click for fullscreen
-
-  // Find Mute button and then use volume slider
-  const muteButton = await page.waitForSelector('div.player-button.active.volumeControls', { visible: true });
-  await muteButton.click(); // unmute
-  // Simulate pressing the right arrow key 10 times to max volume
-  for (let i = 0; i < 10; i++) {
-    await delay(100);
-    await page.keyboard.press('ArrowRight');
-  }
-  logTS("finished change to fullscreen and max volume");
-
-  // Blur the mute button and move the mouse off the controls so the highlighted
-  // mute/unmute state doesn't keep the player's menu bar from auto-hiding
-  try {
-    await page.evaluate(() => document.activeElement && document.activeElement.blur());
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-  } catch (e) {
-    // Continue
-  }
-
-  // Select closed captions AFTER fullscreen — skip if Default (empty)
-  const ccValue = closedCaptions || '';
-  if (ccValue) {
-    (async () => {
-      for (let attempt = 1; attempt <= 6; attempt++) {
-        if (attempt > 1) await delay(30000);
-        logTS(`Sling CC: Attempt ${attempt}/6 for "${ccValue}"`);
-        const success = await selectSlingClosedCaptions(page, ccValue);
-        if (success) return;
-      }
-      logTS(`Sling CC: Could not select after 6 attempts`);
-    })().catch(err => logTS(`Sling CC background error: ${err.message}`));
-  }
-
-  // Setup audio monitor to maintain audio sink (helps with multi-stream scenarios)
-  if (encoderConfig && encoderConfig.audioDevice) {
-    const { frameHandle, videoHandle } = await findVideoElement(page);
-    if (frameHandle && videoHandle) {
-      await setupAudioMonitor(frameHandle, videoHandle, encoderConfig.audioDevice, encoderConfig.url);
-    }
-  }
-
-  await hideCursor(page);
-}
-
-async function selectPeacockClosedCaptions(page, ccOption) {
-  // Returns true if successfully selected, false if button/menu not available yet
-  try {
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    const settingsBtn = await page.waitForSelector('button[data-testid="language-settings-button"]', { timeout: 5000 }).catch(() => null);
-    if (!settingsBtn) {
-      return false; // Not available yet (ads or player not ready)
-    }
-    await settingsBtn.click();
-    await delay(300);
-
-    const ccLabel = ccOption === 'English' ? 'English' : 'Off';
-    const clicked = await page.evaluate((label) => {
-      const drawer = document.querySelector('[data-testid="subtitles-drawer"]');
-      if (!drawer) return false;
-      for (const btn of drawer.querySelectorAll('button')) {
-        const span = btn.querySelector('span.label');
-        if (span && span.textContent.trim() === label) {
-          btn.click();
-          return true;
-        }
-      }
-      return false;
-    }, ccLabel);
-
-    if (clicked) {
-      logTS(`Peacock CC: Selected "${ccLabel}"`);
-      await page.mouse.move(0, 0);
-      return true;
-    }
-
-    // Option not found — close menu and signal not ready
-    logTS(`Peacock CC: "${ccLabel}" not found in subtitles drawer`);
-    await settingsBtn.click(); // toggle closed
-    return false;
-  } catch (err) {
-    logTS(`Peacock CC selection error (non-fatal): ${err.message}`);
-    return false;
-  }
-}
-
-async function selectPeacockClosedCaptionsWithRetry(page, ccOption) {
-  const maxAttempts = 6;
-  const retryDelay = 30000; // 30s — covers typical pre-roll ad breaks
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    if (page.isClosed()) {
-      logTS('Peacock CC: page closed, stopping retries');
-      return;
-    }
-    logTS(`Peacock CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
-    const success = await selectPeacockClosedCaptions(page, ccOption);
-    if (success) return;
-
-    if (attempt < maxAttempts) {
-      logTS(`Peacock CC: Not available yet, retrying in 30s...`);
-      await delay(retryDelay);
-    }
-  }
-  logTS(`Peacock CC: Could not select after ${maxAttempts} attempts`);
-}
-
-async function fullScreenVideoPeacock(page, encoderConfig = null, closedCaptions = '') {
-  logTS("URL contains peacocktv.com, setting up video fullscreen");
-
-  // Add minimal mouse movement to simulate human presence
-  logTS("Adding mouse movement to simulate human presence");
-  await page.mouse.move(500, 400);
-  await delay(1000 + Math.random() * 1000); // 1-2 second delay (human observation time)
-
-  // Move mouse again to create more behavioral signals
-  await page.mouse.move(600 + Math.random() * 200, 450 + Math.random() * 100);
-  await delay(500 + Math.random() * 500); // 0.5-1 second delay
-
-  // Press 'f' key to make the video player fullscreen within the browser window
-  await delay(1000); // Wait for player to load
-  await page.keyboard.press('f');
-
-  // Wait for fullscreen transition to complete
-  await delay(1500);
-
-  // Find video element and setup pause monitor
-  const { frameHandle, videoHandle } = await findVideoElement(page);
-  if (frameHandle && videoHandle) {
-    logTS("Found Peacock video element, setting up pause monitor");
-
-    // Re-apply audio device after fullscreen transition (Peacock may recreate video elements)
-    if (encoderConfig && encoderConfig.audioDevice) {
-      logTS(`[${encoderConfig.url}] Re-applying audio device after fullscreen: ${encoderConfig.audioDevice}`);
-      try {
-        const audioResult = await frameHandle.evaluate(async (video, audioDevice) => {
-          const devices = await navigator.mediaDevices.enumerateDevices();
-          const audioDevices = devices.filter(d => d.kind === 'audiooutput');
-          const targetDevice = audioDevices.find(d => d.label.includes(audioDevice));
-
-          if (!targetDevice) {
-            return { success: false, error: `Device not found matching: ${audioDevice}`, availableDevices: audioDevices.map(d => d.label) };
-          }
-
-          if (!video.setSinkId) {
-            return { success: false, error: 'setSinkId not supported' };
-          }
-
-          await video.setSinkId(targetDevice.deviceId);
-          console.log(`[CH4C] Re-applied audio sink to: ${targetDevice.label}`);
-          return { success: true, device: targetDevice.label, sinkId: video.sinkId };
-        }, videoHandle, encoderConfig.audioDevice);
-
-        if (audioResult.success) {
-          logTS(`[${encoderConfig.url}] Audio device re-applied successfully: ${audioResult.device}`);
-        } else {
-          logTS(`[${encoderConfig.url}] Audio device re-application failed: ${audioResult.error}`);
-          if (audioResult.availableDevices) {
-            logTS(`[${encoderConfig.url}] Available audio devices: ${audioResult.availableDevices.join(', ')}`);
-          }
-        }
-      } catch (audioErr) {
-        logTS(`[${encoderConfig.url}] Warning: Could not re-apply audio device: ${audioErr.message}`);
-      }
-    }
-
-    // Ensure video is playing
-    await frameHandle.evaluate((video) => {
-      if (video.paused) {
-        video.play().catch(err => console.log('Play failed:', err));
-      }
-    }, videoHandle);
-
-    // Setup pause monitor to automatically resume if video gets paused
-    await setupPauseMonitor(frameHandle, videoHandle, page);
-
-    // Setup audio monitor to re-apply audio sink if it gets lost (helps with multi-stream scenarios)
-    if (encoderConfig && encoderConfig.audioDevice) {
-      await setupAudioMonitor(frameHandle, videoHandle, encoderConfig.audioDevice, encoderConfig.url);
-    }
-  } else {
-    logTS("Warning: Could not find Peacock video element for pause monitoring");
-  }
-
-  // Fire CC selection in background with retries — skip if Default (empty)
-  if (closedCaptions) {
-    selectPeacockClosedCaptionsWithRetry(page, closedCaptions)
-      .catch(err => logTS(`Peacock CC background error: ${err.message}`));
-  }
-
-  logTS("finished fullscreen setup");
-}
-
-async function fullScreenVideoSpectrum(page) {
-  logTS("URL contains spectrum.net, going fullscreen");
-
-  await delay(1030);
-  await page.evaluate(() => {
-    const element = document.documentElement;
-    if (element.requestFullscreen) {
-      element.requestFullscreen();
-    } else if (element.mozRequestFullScreen) {
-      element.mozRequestFullScreen();
-    } else if (element.webkitRequestFullscreen) {
-      element.webkitRequestFullscreen();
-    } else if (element.msRequestFullscreen) {
-      element.msRequestFullscreen();
-    }
-  });
-
-  logTS("finished change to fullscreen");
-}
-
-async function fullScreenVideoGooglePhotos(page) {
-  logTS("URL contains Google Photos");
-
-  // Simulate pressing the tab key key 10 times to get to the More Options button
-  for (let i = 0; i < 8; i++) {
-    await delay(200);
-    await page.keyboard.press('Tab');
-  }
-
-  // Press Enter twice to start Slideshow
-  await page.keyboard.press('Enter');
-  await delay(200);
-  await page.keyboard.press('Enter');
-
-  logTS("changed to fullscreen and max volume");
-}
-
-async function selectESPNClosedCaptions(page, ccOption) {
-  // Returns true if successfully set, false if button not found
-  try {
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    const result = await page.evaluate((wantOn) => {
-      function querySelectorDeep(selector, root = document) {
-        const el = root.querySelector(selector);
-        if (el) return el;
-        for (const child of root.querySelectorAll('*')) {
-          if (child.shadowRoot) {
-            const found = querySelectorDeep(selector, child.shadowRoot);
-            if (found) return found;
-          }
-        }
-        return null;
-      }
-
-      // Find the CC toggle button — when ON it has class "disable-captions active",
-      // when OFF it has class "enable-captions"
-      const btn = querySelectorDeep('button.toggle-closed-captions');
-      if (!btn) return 'not found';
-
-      const isOn = btn.classList.contains('disable-captions');
-      if (wantOn && !isOn) {
-        btn.click();
-        return 'turned on';
-      } else if (!wantOn && isOn) {
-        btn.click();
-        return 'turned off';
-      }
-      return 'already correct';
-    }, ccOption.toLowerCase() !== 'off');
-
-    logTS(`ESPN CC: ${result} for "${ccOption}"`);
-    return result !== 'not found';
-  } catch (e) {
-    logTS(`ESPN CC: error — ${e.message}`);
-    return false;
-  }
-}
-
-async function fullScreenVideoESPN(page, encoderConfig = null, closedCaptions = '') {
-  logTS("URL contains ESPN, setting up fullscreen and unmuting");
-
-  // Wait for video element to have enough data to play (readyState >= 3)
-  let videoReady = false;
-  for (let i = 0; i < 10; i++) {  // Wait up to ~5 seconds
-    try {
-      videoReady = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        // Check if any video has enough data (readyState 3=HAVE_FUTURE_DATA, 4=HAVE_ENOUGH_DATA)
-        for (const video of videos) {
-          if (video.readyState >= 3) {
-            return true;
-          }
-        }
-        return false;
-      });
-      if (videoReady) {
-        logTS("ESPN video ready (readyState >= 3)");
-        break;
-      }
-    } catch (e) {
-      // Continue waiting
-    }
-    await delay(500);
-  }
-
-  if (!videoReady) {
-    logTS("ESPN video not ready after timeout, continuing anyway");
-  }
-
-  // Move mouse to center of viewport to trigger player controls
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-    await page.mouse.click(centerX, centerY);
-    await delay(500);
-    // Move mouse again to ensure controls stay visible
-    await page.mouse.move(centerX, centerY - 100);
-    await delay(300);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Use evaluate to find and interact with elements (handles shadow DOM)
-  const result = await page.evaluate(() => {
-    const results = { mute: 'not found', volume: 'not found', fullscreen: 'not found' };
-
-    // Helper to search in shadow DOM
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-
-      // Search in shadow roots
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-
-    // Find and handle mute button, return its position for volume hover
-    const muteButton = querySelectorDeep('button.toggle-mute-button');
-    if (muteButton) {
-      if (muteButton.classList.contains('volume-muted')) {
-        muteButton.click();
-        results.mute = 'was muted, clicked unmute';
-      } else {
-        results.mute = 'already unmuted';
-      }
-      const rect = muteButton.getBoundingClientRect();
-      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-    }
-
-    return results;
-  });
-
-  logTS(`ESPN mute status: ${result.mute}`);
-
-  // Set volume to max: hover over mute button to reveal volume bar, then click far right
-  if (result.muteButtonRect) {
-    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
-    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
-    await page.mouse.move(muteCenterX, muteCenterY);
-    await delay(500);
-
-    // Now get the volume bar position
-    const volInfo = await page.evaluate(() => {
-      function querySelectorDeep(selector, root = document) {
-        const element = root.querySelector(selector);
-        if (element) return element;
-        const allElements = root.querySelectorAll('*');
-        for (const el of allElements) {
-          if (el.shadowRoot) {
-            const found = querySelectorDeep(selector, el.shadowRoot);
-            if (found) return found;
-          }
-        }
-        return null;
-      }
-      const thumb = querySelectorDeep('.volume-bar__thumb');
-      if (thumb) {
-        const currentVolume = thumb.getAttribute('aria-valuenow');
-        const bar = thumb.parentElement;
-        if (bar) {
-          const rect = bar.getBoundingClientRect();
-          return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-        }
-      }
-      return null;
-    });
-
-    if (volInfo && volInfo.width > 0) {
-      const clickX = volInfo.x + volInfo.width - 2;
-      const clickY = volInfo.y + volInfo.height / 2;
-      await page.mouse.click(clickX, clickY);
-      logTS(`ESPN volume: clicked bar at max position (was ${volInfo.currentVolume}%)`);
-    } else {
-      logTS(`ESPN volume: volume bar not visible`);
-    }
-  } else {
-    logTS(`ESPN volume: mute button not found`);
-  }
-
-  // Move mouse away from controls before fullscreen
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-  } catch (e) {
-    // Continue
-  }
-
-  // Click fullscreen button
-  const fullscreenResult = await page.evaluate(() => {
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-    const fullscreenButton = querySelectorDeep('button.fullscreen-icon');
-    if (fullscreenButton) {
-      fullscreenButton.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`ESPN fullscreen status: ${fullscreenResult}`);
-
-  // Wait for fullscreen transition to complete, then click play to resume
-  await delay(1000);
-
-  const playResult = await page.evaluate(() => {
-    // Helper to search in shadow DOM
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-
-    // Find and click play button to resume playback
-    const playButton = querySelectorDeep('button.play-button');
-    if (playButton) {
-      playButton.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`ESPN play status: ${playResult}`);
-
-  // Setup pause monitor to catch simple unexpected pauses
-  const { frameHandle, videoHandle } = await findVideoElement(page);
-  if (frameHandle && videoHandle) {
-    await setupPauseMonitor(frameHandle, videoHandle, page);
-  } else {
-    logTS("ESPN: could not find video element for pause monitor");
-  }
-
-  // Setup error recovery monitor to handle hard errors (e.g. too many devices streaming)
-  setupESPNErrorMonitor(page, encoderConfig);
-
-  // Hide cursor before CC task starts (CC task moves mouse to center, which would show cursor)
-  await hideCursor(page);
-  // Also inject cursor-hiding into ESPN's shadow DOM roots — shadow DOM scoped styles can
-  // override the inherited cursor:none from the main document
-  await page.evaluate(() => {
-    const sheet = new CSSStyleSheet();
-    sheet.insertRule('* { cursor: none !important }');
-    document.adoptedStyleSheets = [...(document.adoptedStyleSheets || []), sheet];
-    (function applyToShadowRoots(root) {
-      for (const el of root.querySelectorAll('*')) {
-        if (el.shadowRoot) {
-          el.shadowRoot.adoptedStyleSheets = [...(el.shadowRoot.adoptedStyleSheets || []), sheet];
-          applyToShadowRoots(el.shadowRoot);
-        }
-      }
-    })(document);
-  }).catch(() => {});
-  await page.mouse.move(0, 0);
-
-  // Select closed captions — skip if Default (empty)
-  const espnCcValue = closedCaptions || '';
-  if (espnCcValue) (async () => {
-    for (let attempt = 1; attempt <= 6; attempt++) {
-      if (attempt > 1) await delay(30000);
-      logTS(`ESPN CC: Attempt ${attempt}/6 for "${espnCcValue}"`);
-      const success = await selectESPNClosedCaptions(page, espnCcValue);
-      if (success) return;
-    }
-    logTS(`ESPN CC: Could not select after 6 attempts`);
-  })().catch(err => logTS(`ESPN CC background error: ${err.message}`));
-
-  logTS("finished ESPN fullscreen setup");
-}
-
-async function fullScreenVideoDisneyNow(page) {
-  logTS("URL contains DisneyNow, setting up fullscreen");
-
-  // Play overlay already clicked in setupBrowserAudio, move mouse to show controls
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(500);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Handle unmute, volume, and fullscreen
-  const result = await page.evaluate(() => {
-    const results = { mute: 'not found', volume: 'not found', fullscreen: 'not found' };
-
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-
-    // Find and handle mute button, return its position for volume hover
-    const muteButton = querySelectorDeep('button.toggle-mute-button');
-    if (muteButton) {
-      if (muteButton.classList.contains('volume-muted')) {
-        muteButton.click();
-        results.mute = 'was muted, clicked unmute';
-      } else {
-        results.mute = 'already unmuted';
-      }
-      const rect = muteButton.getBoundingClientRect();
-      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-    }
-
-    return results;
-  });
-
-  logTS(`DisneyNow mute status: ${result.mute}`);
-
-  // Set volume to max: hover over mute button to reveal volume bar, then click far right
-  if (result.muteButtonRect) {
-    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
-    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
-    await page.mouse.move(muteCenterX, muteCenterY);
-    await delay(500);
-
-    const volInfo = await page.evaluate(() => {
-      function querySelectorDeep(selector, root = document) {
-        const element = root.querySelector(selector);
-        if (element) return element;
-        const allElements = root.querySelectorAll('*');
-        for (const el of allElements) {
-          if (el.shadowRoot) {
-            const found = querySelectorDeep(selector, el.shadowRoot);
-            if (found) return found;
-          }
-        }
-        return null;
-      }
-      const thumb = querySelectorDeep('.volume-bar__thumb');
-      if (thumb) {
-        const currentVolume = thumb.getAttribute('aria-valuenow');
-        const bar = thumb.parentElement;
-        if (bar) {
-          const rect = bar.getBoundingClientRect();
-          return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-        }
-      }
-      return null;
-    });
-
-    if (volInfo && volInfo.width > 0) {
-      const clickX = volInfo.x + volInfo.width - 2;
-      const clickY = volInfo.y + volInfo.height / 2;
-      await page.mouse.click(clickX, clickY);
-      logTS(`DisneyNow volume: clicked bar at max position (was ${volInfo.currentVolume}%)`);
-    } else {
-      logTS(`DisneyNow volume: volume bar not visible`);
-    }
-  } else {
-    logTS(`DisneyNow volume: mute button not found`);
-  }
-
-  // Move mouse away then click fullscreen
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-  } catch (e) {
-    // Continue
-  }
-
-  const fullscreenResult = await page.evaluate(() => {
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-    const fullscreenButton = querySelectorDeep('button.fullscreen-icon');
-    if (fullscreenButton) {
-      fullscreenButton.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`DisneyNow fullscreen status: ${fullscreenResult}`);
-  logTS("finished DisneyNow fullscreen setup");
-}
-
-async function selectAppleTVClosedCaptions(page, ccOption) {
-  logTS(`Apple TV+ CC: selecting subtitles "${ccOption}"`);
-  try {
-    const vp = page.viewport();
-    const cx = Math.floor((vp ? vp.width : 1280) / 2);
-    const cy = Math.floor((vp ? vp.height : 720) / 2);
-
-    // Move mouse to center to trigger player controls to appear.
-    // The Subtitles button lives inside amp-* web components with shadow DOM —
-    // must use a recursive shadow DOM search to find it.
-    await page.mouse.move(cx, cy);
-    let ccBtnRect = null;
-    for (let i = 0; i < 20; i++) {
-      await page.mouse.move(cx + (i % 2 === 0 ? 2 : -2), cy);
-      ccBtnRect = await page.evaluate(() => {
-        function findInShadow(root, selector) {
-          const direct = root.querySelector(selector);
-          if (direct) return direct;
-          for (const el of root.querySelectorAll('*')) {
-            if (el.shadowRoot) {
-              const found = findInShadow(el.shadowRoot, selector);
-              if (found) return found;
-            }
-          }
-          return null;
-        }
-        const btn = findInShadow(document, 'button[aria-label="Subtitles"]');
-        if (!btn) return null;
-        const r = btn.getBoundingClientRect();
-        if (r.width === 0) return null;
-        return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
-      });
-      if (ccBtnRect) break;
-      await delay(500);
-    }
-    if (!ccBtnRect) {
-      logTS('Apple TV+ CC: Subtitles button not found in shadow DOM after hovering, skipping');
-      return false;
-    }
-    await page.mouse.click(ccBtnRect.x, ccBtnRect.y);
-    logTS(`Apple TV+ CC: clicked Subtitles button at (${Math.round(ccBtnRect.x)}, ${Math.round(ccBtnRect.y)})`);
-    await delay(500);
-
-    // Helper reused for On/Off buttons — also searches shadow DOM
-    const getMenuBtnRect = (title) => page.evaluate((t) => {
-      function findInShadow(root, sel) {
-        const d = root.querySelector(sel);
-        if (d) return d;
-        for (const el of root.querySelectorAll('*')) {
-          if (el.shadowRoot) { const f = findInShadow(el.shadowRoot, sel); if (f) return f; }
-        }
-        return null;
-      }
-      const btn = findInShadow(document, `button[title="${t}"]`);
-      if (!btn) return null;
-      const r = btn.getBoundingClientRect();
-      return r.width ? { x: r.left + r.width / 2, y: r.top + r.height / 2 } : null;
-    }, title);
-
-    if (ccOption === 'Off') {
-      const offRect = await getMenuBtnRect('Off');
-      if (offRect) {
-        await page.mouse.click(offRect.x, offRect.y);
-        logTS('Apple TV+ CC: clicked "Off"');
-        await page.mouse.move(0, 0);
-        return true;
-      }
-      logTS('Apple TV+ CC: "Off" button not found in menu');
-      return false;
-    } else {
-      // Click On button
-      const onRect = await getMenuBtnRect('On');
-      if (onRect) {
-        await page.mouse.click(onRect.x, onRect.y);
-        logTS('Apple TV+ CC: clicked "On"');
-        await delay(300);
-      } else {
-        logTS('Apple TV+ CC: "On" button not found in menu');
-      }
-
-      // Select language from the dropdown (also search shadow DOM)
-      const langSelected = await page.evaluate((ccOpt) => {
-        function findInShadow(root, sel) {
-          const d = root.querySelector(sel);
-          if (d) return d;
-          for (const el of root.querySelectorAll('*')) {
-            if (el.shadowRoot) { const f = findInShadow(el.shadowRoot, sel); if (f) return f; }
-          }
-          return null;
-        }
-        const select = findInShadow(document, '.contextual-menu--subtitles select');
-        if (!select) return false;
-        for (const opt of select.options) {
-          if (opt.text.toLowerCase() === ccOpt.toLowerCase()) {
-            select.value = opt.value;
-            select.dispatchEvent(new Event('change', { bubbles: true }));
-            return true;
-          }
-        }
-        for (const opt of select.options) {
-          if (opt.text.toLowerCase().startsWith(ccOpt.toLowerCase())) {
-            select.value = opt.value;
-            select.dispatchEvent(new Event('change', { bubbles: true }));
-            return true;
-          }
-        }
-        return false;
-      }, ccOption);
-      logTS(`Apple TV+ CC: language select result for "${ccOption}": ${langSelected}`);
-
-      await page.mouse.move(0, 0);
-      return !!onRect;
-    }
-  } catch (err) {
-    logTS(`Apple TV+ CC selection error (non-fatal): ${err.message}`);
-    return false;
-  }
-}
-
-
-async function fullScreenVideoAppleTV(page, encoderConfig = null, closedCaptions = '') {
-  logTS("URL contains tv.apple.com, setting up Apple TV+ video");
-
-  const vp = page.viewport();
-  const cx = Math.floor((vp ? vp.width : 1280) / 2);
-  const cy = Math.floor((vp ? vp.height : 720) / 2);
-
-  // Move mouse to center to reveal player controls (play button already clicked in setupBrowserAudio)
-  await page.mouse.move(cx, cy);
-  await delay(1000);
-
-  // Find video element (already playing from setupBrowserAudio), unmute and set max volume
-  const frameHandle = page;
-  const videoHandle = await frameHandle.waitForSelector('video', { timeout: 10000 }).catch(() => null);
-
-  if (videoHandle) {
-    await frameHandle.evaluate((video) => {
-      video.muted = false;
-      video.volume = 1.0;
-      if (video.paused) video.play().catch(err => console.log('Play failed:', err));
-    }, videoHandle);
-    logTS("Apple TV+: unmuted video and set volume to max");
-  } else {
-    logTS("Apple TV+: could not find video element");
-  }
-
-  // Move mouse to center to reveal player controls
-  await page.mouse.move(cx, cy);
-  await delay(500);
-
-  // Unmute via the volume indicator button while controls are visible, then set volume to max via JS
-  const volumeBtn = await page.$('.volume-unified__indicator');
-  if (volumeBtn) {
-    const isMuted = await page.evaluate(() => {
-      const btn = document.querySelector('.volume-unified__indicator');
-      return btn ? btn.textContent.trim().toLowerCase() === 'unmute' : false;
-    });
-    if (isMuted) {
-      logTS("Apple TV+: player is muted, clicking unmute button");
-      await volumeBtn.click();
-      await delay(300);
-    }
-  }
-
-  // Set volume to max directly on the video element
-  if (videoHandle) {
-    await frameHandle.evaluate((video) => {
-      video.muted = false;
-      video.volume = 1.0;
-    }, videoHandle);
-    logTS("Apple TV+: volume set to max via JS");
-  }
-
-  // Select closed captions before fullscreen, with background retries — skip if Default (empty)
-  const appleTVCcValue = closedCaptions || '';
-  if (appleTVCcValue) {
-    logTS(`Apple TV+ CC: selecting "${appleTVCcValue}" before fullscreen`);
-    const firstAttempt = await selectAppleTVClosedCaptions(page, appleTVCcValue);
-    if (!firstAttempt) {
-      // Fire-and-forget retry loop — covers pre-roll ads blocking the CC menu
-      (async () => {
-        for (let attempt = 2; attempt <= 6; attempt++) {
-          await delay(30000);
-          if (page.isClosed()) {
-            logTS('Apple TV+ CC: page closed, stopping retries');
-            return;
-          }
-          logTS(`Apple TV+ CC: retry attempt ${attempt}/6 for "${appleTVCcValue}"`);
-          const success = await selectAppleTVClosedCaptions(page, appleTVCcValue);
-          if (success) return;
-        }
-        logTS(`Apple TV+ CC: could not select after 6 attempts`);
-      })().catch(err => logTS(`Apple TV+ CC background error: ${err.message}`));
-    }
-  }
-
-  // Click the fullscreen button; fall back to the 'f' keyboard shortcut if not found
-  await page.mouse.move(cx, cy);
-  await delay(300);
-  const fullScreenBtn = await page.waitForSelector('amp-playback-controls-full-screen', { visible: true, timeout: 8000 }).catch(() => null);
-  if (fullScreenBtn) {
-    logTS("Apple TV+: clicking fullscreen button");
-    await fullScreenBtn.click();
-  } else {
-    logTS("Apple TV+: fullscreen button not found, trying 'f' key");
-    await page.keyboard.press('f');
-  }
-  await delay(1000);
-
-  // Re-apply volume after fullscreen transition (player may reset it)
-  if (videoHandle) {
-    await frameHandle.evaluate((video) => {
-      video.muted = false;
-      video.volume = 1.0;
-    }, videoHandle);
-    logTS("Apple TV+: volume re-applied after fullscreen");
-  }
-
-  if (videoHandle) {
-    await setupPauseMonitor(frameHandle, videoHandle, page);
-  }
-
-  await hideCursor(page);
-  await page.mouse.move(0, 0);
-  logTS("Apple TV+ fullscreen setup complete");
-}
-
-async function fullScreenVideoFXNow(page) {
-  logTS("URL contains FXNow, setting up fullscreen");
-
-  // Wait for video element to have enough data to play (readyState >= 3)
-  let videoReady = false;
-  for (let i = 0; i < 10; i++) {  // Wait up to ~5 seconds
-    try {
-      videoReady = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        for (const video of videos) {
-          if (video.readyState >= 3) return true;
-        }
-        return false;
-      });
-      if (videoReady) {
-        logTS("FXNow video ready (readyState >= 3)");
-        break;
-      }
-    } catch (e) {
-      // Continue waiting
-    }
-    await delay(500);
-  }
-
-  if (!videoReady) {
-    logTS("FXNow video not ready after timeout, continuing anyway");
-  }
-
-  // Move mouse to center of viewport to trigger player controls
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-    await page.mouse.click(centerX, centerY);
-    await delay(500);
-    await page.mouse.move(centerX, centerY - 100);
-    await delay(300);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Handle unmute, volume, and fullscreen
-  const result = await page.evaluate(() => {
-    const results = { mute: 'not found', volume: 'not found', fullscreen: 'not found' };
-
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-
-    // Find and handle mute button, return its position for volume hover
-    const muteButton = querySelectorDeep('button.toggle-mute-button');
-    if (muteButton) {
-      if (muteButton.classList.contains('volume-muted')) {
-        muteButton.click();
-        results.mute = 'was muted, clicked unmute';
-      } else {
-        results.mute = 'already unmuted';
-      }
-      const rect = muteButton.getBoundingClientRect();
-      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-    }
-
-    return results;
-  });
-
-  logTS(`FXNow mute status: ${result.mute}`);
-
-  // Set volume to max: hover over mute button to reveal volume bar, then click far right
-  if (result.muteButtonRect) {
-    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
-    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
-    await page.mouse.move(muteCenterX, muteCenterY);
-    await delay(500);
-
-    const volInfo = await page.evaluate(() => {
-      function querySelectorDeep(selector, root = document) {
-        const element = root.querySelector(selector);
-        if (element) return element;
-        const allElements = root.querySelectorAll('*');
-        for (const el of allElements) {
-          if (el.shadowRoot) {
-            const found = querySelectorDeep(selector, el.shadowRoot);
-            if (found) return found;
-          }
-        }
-        return null;
-      }
-      const thumb = querySelectorDeep('.volume-bar__thumb');
-      if (thumb) {
-        const currentVolume = thumb.getAttribute('aria-valuenow');
-        const bar = thumb.parentElement;
-        if (bar) {
-          const rect = bar.getBoundingClientRect();
-          return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-        }
-      }
-      return null;
-    });
-
-    if (volInfo && volInfo.width > 0) {
-      const clickX = volInfo.x + volInfo.width - 2;
-      const clickY = volInfo.y + volInfo.height / 2;
-      await page.mouse.click(clickX, clickY);
-      logTS(`FXNow volume: clicked bar at max position (was ${volInfo.currentVolume}%)`);
-    } else {
-      logTS(`FXNow volume: volume bar not visible`);
-    }
-  } else {
-    logTS(`FXNow volume: mute button not found`);
-  }
-
-  // Move mouse away then click fullscreen
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-  } catch (e) {
-    // Continue
-  }
-
-  const fullscreenResult = await page.evaluate(() => {
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-    const fullscreenButton = querySelectorDeep('button.fullscreen-icon');
-    if (fullscreenButton) {
-      fullscreenButton.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`FXNow fullscreen status: ${fullscreenResult}`);
-
-  // Wait for fullscreen transition, then click play to resume
-  await delay(1000);
-
-  const playResult = await page.evaluate(() => {
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-
-    const playButton = querySelectorDeep('button.play-button');
-    if (playButton) {
-      playButton.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`FXNow play status: ${playResult}`);
-  logTS("finished FXNow fullscreen setup");
-}
-
-async function fullScreenVideoNatGeo(page) {
-  logTS("URL contains National Geographic, setting up fullscreen");
-
-  // Wait for video element to have enough data to play (readyState >= 3)
-  let videoReady = false;
-  for (let i = 0; i < 10; i++) {
-    try {
-      videoReady = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        for (const video of videos) {
-          if (video.readyState >= 3) return true;
-        }
-        return false;
-      });
-      if (videoReady) {
-        logTS("NatGeo video ready (readyState >= 3)");
-        break;
-      }
-    } catch (e) {
-      // Continue waiting
-    }
-    await delay(500);
-  }
-
-  if (!videoReady) {
-    logTS("NatGeo video not ready after timeout, continuing anyway");
-  }
-
-  // Move mouse to center of viewport to trigger player controls
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-    await page.mouse.click(centerX, centerY);
-    await delay(500);
-    await page.mouse.move(centerX, centerY - 100);
-    await delay(300);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Handle unmute
-  const result = await page.evaluate(() => {
-    const results = { mute: 'not found' };
-
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-
-    const muteButton = querySelectorDeep('button.toggle-mute-button');
-    if (muteButton) {
-      if (muteButton.classList.contains('volume-muted')) {
-        muteButton.click();
-        results.mute = 'was muted, clicked unmute';
-      } else {
-        results.mute = 'already unmuted';
-      }
-      const rect = muteButton.getBoundingClientRect();
-      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-    }
-
-    return results;
-  });
-
-  logTS(`NatGeo mute status: ${result.mute}`);
-
-  // Set volume to max: hover over mute button to reveal volume bar, then click far right
-  if (result.muteButtonRect) {
-    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
-    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
-    await page.mouse.move(muteCenterX, muteCenterY);
-    await delay(500);
-
-    const volInfo = await page.evaluate(() => {
-      function querySelectorDeep(selector, root = document) {
-        const element = root.querySelector(selector);
-        if (element) return element;
-        const allElements = root.querySelectorAll('*');
-        for (const el of allElements) {
-          if (el.shadowRoot) {
-            const found = querySelectorDeep(selector, el.shadowRoot);
-            if (found) return found;
-          }
-        }
-        return null;
-      }
-      const thumb = querySelectorDeep('.volume-bar__thumb');
-      if (thumb) {
-        const currentVolume = thumb.getAttribute('aria-valuenow');
-        const bar = thumb.parentElement;
-        if (bar) {
-          const rect = bar.getBoundingClientRect();
-          return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-        }
-      }
-      return null;
-    });
-
-    if (volInfo && volInfo.width > 0) {
-      const clickX = volInfo.x + volInfo.width - 2;
-      const clickY = volInfo.y + volInfo.height / 2;
-      await page.mouse.click(clickX, clickY);
-      logTS(`NatGeo volume: clicked bar at max position (was ${volInfo.currentVolume}%)`);
-    } else {
-      logTS(`NatGeo volume: volume bar not visible`);
-    }
-  } else {
-    logTS(`NatGeo volume: mute button not found`);
-  }
-
-  // Move mouse away then click fullscreen
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-  } catch (e) {
-    // Continue
-  }
-
-  const fullscreenResult = await page.evaluate(() => {
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-    const fullscreenButton = querySelectorDeep('button.fullscreen-icon');
-    if (fullscreenButton) {
-      fullscreenButton.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`NatGeo fullscreen status: ${fullscreenResult}`);
-
-  // Wait for fullscreen transition, then click play to resume
-  await delay(1000);
-
-  const playResult = await page.evaluate(() => {
-    function querySelectorDeep(selector, root = document) {
-      const element = root.querySelector(selector);
-      if (element) return element;
-      const allElements = root.querySelectorAll('*');
-      for (const el of allElements) {
-        if (el.shadowRoot) {
-          const found = querySelectorDeep(selector, el.shadowRoot);
-          if (found) return found;
-        }
-      }
-      return null;
-    }
-
-    const playButton = querySelectorDeep('button.play-button');
-    if (playButton) {
-      playButton.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`NatGeo play status: ${playResult}`);
-  logTS("finished NatGeo fullscreen setup");
-}
-
-async function selectDiscoveryClosedCaptions(page, ccOption) {
-  try {
-    // Open the Audio and Subtitles menu
-    const opened = await page.evaluate(() => {
-      const btn = Array.from(document.querySelectorAll('button[aria-haspopup="menu"]'))
-        .find(b => b.querySelector('svg[aria-label="Audio and Subtitles"]'));
-      if (btn) { btn.click(); return true; }
-      return false;
-    });
-    if (!opened) {
-      logTS('Discovery CC: Audio and Subtitles button not found');
-      return false;
-    }
-    await delay(400);
-
-    // Click the matching menu item — "Off" or contains "English"
-    const clicked = await page.evaluate((cc) => {
-      const items = document.querySelectorAll('button.MenuItem-hwIqtb');
-      const target = cc === 'Off' ? 'Off' : 'English';
-      for (const item of items) {
-        const text = item.textContent?.trim() || '';
-        if (text === target || (target === 'English' && text.toLowerCase().includes('english'))) {
-          item.click();
-          return text;
-        }
-      }
-      return null;
-    }, ccOption);
-
-    if (clicked) {
-      logTS(`Discovery CC: selected "${clicked}"`);
-      await delay(300);
-      // Close the menu by re-clicking the Audio and Subtitles button
-      await page.evaluate(() => {
-        const btn = Array.from(document.querySelectorAll('button[aria-haspopup="menu"]'))
-          .find(b => b.querySelector('svg[aria-label="Audio and Subtitles"]'));
-        if (btn) btn.click();
-      });
-      return true;
-    }
-    logTS(`Discovery CC: option "${ccOption}" not found in menu`);
-    return false;
-  } catch (err) {
-    logTS(`Discovery CC error: ${err.message}`);
-    return false;
-  }
-}
-
-async function fullScreenVideoDiscovery(page, closedCaptions = '') {
-  logTS("URL contains Discovery, setting up fullscreen");
-
-  // Wait for video element to have enough data to play (readyState >= 3)
-  let videoReady = false;
-  for (let i = 0; i < 10; i++) {
-    try {
-      videoReady = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        for (const video of videos) {
-          if (video.readyState >= 3) return true;
-        }
-        return false;
-      });
-      if (videoReady) {
-        logTS("Discovery video ready (readyState >= 3)");
-        break;
-      }
-    } catch (e) {
-      // Continue waiting
-    }
-    await delay(500);
-  }
-
-  if (!videoReady) {
-    logTS("Discovery video not ready after timeout, continuing anyway");
-  }
-
-  // Move mouse to center of viewport to trigger player controls
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(500);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Get volume button position for hover, then handle volume slider
-  const result = await page.evaluate(() => {
-    const results = { volume: 'not found' };
-
-    const volumeBtn = document.querySelector('button[aria-label="Volume"]');
-    if (volumeBtn) {
-      const rect = volumeBtn.getBoundingClientRect();
-      results.volumeButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-      results.volume = 'found';
-    }
-
-    return results;
-  });
-
-  // Hover over volume button to reveal vertical slider, then click at top
-  if (result.volumeButtonRect) {
-    const volBtnCenterX = result.volumeButtonRect.x + result.volumeButtonRect.width / 2;
-    const volBtnCenterY = result.volumeButtonRect.y + result.volumeButtonRect.height / 2;
-    await page.mouse.move(volBtnCenterX, volBtnCenterY);
-    await delay(500);
-
-    const volInfo = await page.evaluate(() => {
-      const slider = document.querySelector('div[aria-label="Volume Slider"]');
-      if (slider) {
-        const currentVolume = slider.getAttribute('aria-valuenow');
-        const rect = slider.getBoundingClientRect();
-        return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-      }
-      return null;
-    });
-
-    if (volInfo && volInfo.height > 0) {
-      // Vertical slider - click near the top for max volume
-      const clickX = volInfo.x + volInfo.width / 2;
-      const clickY = volInfo.y + 2;
-      await page.mouse.click(clickX, clickY);
-      logTS(`Discovery volume: clicked slider at top for max (was ${volInfo.currentVolume}%)`);
-    } else {
-      logTS(`Discovery volume: slider not visible`);
-    }
-  } else {
-    logTS(`Discovery volume: volume button not found`);
-  }
-
-  // Move mouse away then click fullscreen
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-  } catch (e) {
-    // Continue
-  }
-
-  const fullscreenResult = await page.evaluate(() => {
-    const btn = document.querySelector('button[aria-label="Fullscreen"]');
-    if (btn) {
-      btn.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`Discovery fullscreen status: ${fullscreenResult}`);
-
-  if (closedCaptions) {
-    const discoveryCcValue = closedCaptions;
-    const firstAttempt = await selectDiscoveryClosedCaptions(page, discoveryCcValue);
-    if (!firstAttempt) {
-      (async () => {
-        for (let attempt = 2; attempt <= 6; attempt++) {
-          await delay(30000);
-          logTS(`Discovery CC: retry attempt ${attempt}/6 for "${discoveryCcValue}"`);
-          const success = await selectDiscoveryClosedCaptions(page, discoveryCcValue);
-          if (success) return;
-        }
-      })().catch(err => logTS(`Discovery CC background error: ${err.message}`));
-    }
-  }
-
-  logTS("finished Discovery fullscreen setup");
-}
-
-async function fullScreenVideoCBS(page) {
-  logTS("URL contains CBS, setting up fullscreen");
-
-  // Wait for video element to have enough data to play (readyState >= 3)
-  let videoReady = false;
-  for (let i = 0; i < 10; i++) {
-    try {
-      videoReady = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        for (const video of videos) {
-          if (video.readyState >= 3) return true;
-        }
-        return false;
-      });
-      if (videoReady) {
-        logTS("CBS video ready (readyState >= 3)");
-        break;
-      }
-    } catch (e) {
-      // Continue waiting
-    }
-    await delay(500);
-  }
-
-  if (!videoReady) {
-    logTS("CBS video not ready after timeout, continuing anyway");
-  }
-
-  // Move mouse to center of viewport to trigger player controls
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(500);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Get volume button position for hover, then handle volume slider
-  const result = await page.evaluate(() => {
-    const results = { mute: 'not found', volume: 'not found' };
-
-    // Check mute state - if mute_cross is visible (aria-hidden="false"), audio is muted
-    const muteBtn = document.querySelector('button.btn-volume');
-    if (muteBtn) {
-      const muteCross = muteBtn.querySelector('.mute_cross');
-      if (muteCross && muteCross.getAttribute('aria-hidden') === 'false') {
-        // Currently muted, click to unmute
-        muteBtn.click();
-        results.mute = 'was muted, clicked unmute';
-      } else {
-        results.mute = 'already unmuted';
-      }
-      const rect = muteBtn.getBoundingClientRect();
-      results.volumeButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-    }
-
-    return results;
-  });
-
-  logTS(`CBS mute status: ${result.mute}`);
-
-  // Hover over volume button to reveal vertical slider, then click at top for max
-  if (result.volumeButtonRect) {
-    const volBtnCenterX = result.volumeButtonRect.x + result.volumeButtonRect.width / 2;
-    const volBtnCenterY = result.volumeButtonRect.y + result.volumeButtonRect.height / 2;
-    await page.mouse.move(volBtnCenterX, volBtnCenterY);
-    await delay(500);
-
-    const volInfo = await page.evaluate(() => {
-      const slider = document.querySelector('.volume-slider-li-content-progress-content');
-      if (slider) {
-        // Get the parent container for the full slider area
-        const container = slider.parentElement;
-        if (container) {
-          const rect = container.getBoundingClientRect();
-          const currentHeight = slider.style.height || '0%';
-          return { currentVolume: currentHeight, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-        }
-      }
-      return null;
-    });
-
-    if (volInfo && volInfo.height > 0) {
-      // Vertical slider - click near the top for max volume
-      const clickX = volInfo.x + volInfo.width / 2;
-      const clickY = volInfo.y + 2;
-      await page.mouse.click(clickX, clickY);
-      logTS(`CBS volume: clicked slider at top for max (was ${volInfo.currentVolume})`);
-    } else {
-      logTS(`CBS volume: slider not visible`);
-    }
-  } else {
-    logTS(`CBS volume: volume button not found`);
-  }
-
-  // Move mouse away then click fullscreen
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-  } catch (e) {
-    // Continue
-  }
-
-  const fullscreenResult = await page.evaluate(() => {
-    const btn = document.querySelector('button.btn-fullscreen');
-    if (btn) {
-      btn.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`CBS fullscreen status: ${fullscreenResult}`);
-  logTS("finished CBS fullscreen setup");
-}
-
-async function fullScreenVideoAETV(page) {
-  logTS("URL contains AETV, setting up fullscreen");
-
-  // Wait for video element to have enough data to play (readyState >= 3)
-  let videoReady = false;
-  for (let i = 0; i < 10; i++) {
-    try {
-      videoReady = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        for (const video of videos) {
-          if (video.readyState >= 3) return true;
-        }
-        return false;
-      });
-      if (videoReady) {
-        logTS("AETV video ready (readyState >= 3)");
-        break;
-      }
-    } catch (e) {
-      // Continue waiting
-    }
-    await delay(500);
-  }
-
-  if (!videoReady) {
-    logTS("AETV video not ready after timeout, continuing anyway");
-  }
-
-  // Move mouse to center of viewport to trigger player controls
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-    await page.mouse.click(centerX, centerY);
-    await delay(500);
-    await page.mouse.move(centerX, centerY - 100);
-    await delay(300);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Handle unmute - check aria-label on the volume icon
-  const result = await page.evaluate(() => {
-    const results = { mute: 'not found' };
-
-    const muteImg = document.querySelector('img[aria-label="Mute"], img[aria-label="Unmute"]');
-    if (muteImg) {
-      if (muteImg.getAttribute('aria-label') === 'Unmute') {
-        muteImg.click();
-        results.mute = 'was muted, clicked unmute';
-      } else {
-        results.mute = 'already unmuted';
-      }
-      // Get the parent button/container position for hover
-      const parent = muteImg.parentElement;
-      if (parent) {
-        const rect = parent.getBoundingClientRect();
-        results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-      }
-    }
-
-    return results;
-  });
-
-  logTS(`AETV mute status: ${result.mute}`);
-
-  // Set volume to max: hover over mute button to reveal volume bar, then click far right
-  if (result.muteButtonRect) {
-    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
-    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
-    await page.mouse.move(muteCenterX, muteCenterY);
-    await delay(500);
-
-    const volInfo = await page.evaluate(() => {
-      const volumeLevel = document.querySelector('#volume-level');
-      if (volumeLevel) {
-        const currentWidth = volumeLevel.style.width;
-        // Get the parent container which represents the full volume bar track
-        const bar = volumeLevel.parentElement;
-        if (bar) {
-          const rect = bar.getBoundingClientRect();
-          return { currentVolume: currentWidth, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-        }
-      }
-      return null;
-    });
-
-    if (volInfo && volInfo.width > 0) {
-      const clickX = volInfo.x + volInfo.width - 2;
-      const clickY = volInfo.y + volInfo.height / 2;
-      await page.mouse.click(clickX, clickY);
-      logTS(`AETV volume: clicked bar at max position (was ${volInfo.currentVolume})`);
-    } else {
-      logTS(`AETV volume: volume bar not visible`);
-    }
-  } else {
-    logTS(`AETV volume: mute button not found`);
-  }
-
-  // Move mouse away then click fullscreen
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-  } catch (e) {
-    // Continue
-  }
-
-  const fullscreenResult = await page.evaluate(() => {
-    const btn = document.querySelector('img[aria-label="Show Fullscreen"]');
-    if (btn) {
-      btn.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`AETV fullscreen status: ${fullscreenResult}`);
-  logTS("finished AETV fullscreen setup");
-}
-
-async function fullScreenVideoUSA(page) {
-  logTS("URL contains usanetwork.com, setting up fullscreen");
-
-  // Extract the channel keyword from the URL hash (e.g., #Syfy_East → "Syfy_East")
-  const pageUrl = page.url();
-  const hashMatch = pageUrl.match(/#(.+)$/);
-  const channelKeyword = hashMatch ? hashMatch[1] : null;
-
-  // If a non-default channel is requested, switch to it via the EPG
-  if (channelKeyword) {
-    // Convert keyword to channel title: Syfy_East → Syfy-East, E-_East → E!-East
-    const channelTitle = channelKeyword.replace(/_/g, '-').replace(/^E-/, 'E!');
-    logTS(`USA Network: switching to "${channelTitle}"`);
-
-    // Wait for EPG tiles to load — the aria-label is on the inner .tile-info div
-    let epgLoaded = false;
-    for (let i = 0; i < 20; i++) {
-      try {
-        epgLoaded = await page.evaluate(() =>
-          document.querySelectorAll('.tile-info[aria-label]').length > 0
-        );
-        if (epgLoaded) break;
-      } catch (e) { /* continue */ }
-      await delay(500);
-    }
-
-    if (!epgLoaded) {
-      logTS("USA Network: EPG tiles did not appear, proceeding with default channel");
-    } else {
-      // Find the tile: aria-label is on .tile-info (inner div); clickable element is .epg-tile-container
-      // Prefer .selectable (currently-airing); fall back to any tile for this channel
-      const tileRect = await page.evaluate((title) => {
-        const selectableInfo = document.querySelector(
-          `.epg-tile-container.selectable .tile-info[aria-label^="${title} "]`
-        );
-        const anyInfo = selectableInfo
-          || document.querySelector(`.tile-info[aria-label^="${title} "]`);
-
-        if (!anyInfo) return { found: false };
-
-        const tile = anyInfo.closest('.epg-tile-container') || anyInfo;
-        tile.scrollIntoView({ block: 'center', behavior: 'instant' });
-        const r = tile.getBoundingClientRect();
-        const label = anyInfo.getAttribute('aria-label') || '';
-        return {
-          found: true,
-          x: Math.round(r.left + r.width / 2),
-          y: Math.round(r.top + r.height / 2),
-          label: label.substring(0, 70),
-          selectable: selectableInfo !== null,
-        };
-      }, channelTitle);
-
-      if (!tileRect.found) {
-        logTS(`USA Network: no EPG tile found for "${channelTitle}", proceeding with default`);
-      } else {
-        logTS(`USA Network: found${tileRect.selectable ? ' selectable' : ''} tile: "${tileRect.label}..."`);
-        await delay(300);
-        await page.mouse.move(tileRect.x, tileRect.y);
-        await delay(100);
-        await page.mouse.click(tileRect.x, tileRect.y);
-        logTS(`USA Network: clicked tile at (${tileRect.x}, ${tileRect.y})`);
-
-        // Wait up to 8s for the stream to switch (readyState drops below 3)
-        let channelSwitched = false;
-        for (let i = 0; i < 16; i++) {
-          await delay(500);
-          try {
-            const notReady = await page.evaluate(() => {
-              const videos = document.querySelectorAll('video');
-              for (const v of videos) { if (v.readyState < 3) return true; }
-              return false;
-            });
-            if (notReady) { channelSwitched = true; logTS("USA Network: stream switch detected"); break; }
-          } catch (e) { /* continue */ }
-        }
-        if (!channelSwitched) {
-          logTS("USA Network: stream switch not confirmed, proceeding anyway");
-          await delay(2000);
-        }
-      }
-    }
-  }
-
-  // Wait for video element to have enough data to play (readyState >= 3)
-  let videoReady = false;
-  for (let i = 0; i < 30; i++) {
-    try {
-      videoReady = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        for (const video of videos) {
-          if (video.readyState >= 3) return true;
-        }
-        return false;
-      });
-      if (videoReady) {
-        logTS("USA Network video ready (readyState >= 3)");
-        break;
-      }
-    } catch (e) {
-      // Continue waiting
-    }
-    await delay(500);
-  }
-
-  if (!videoReady) {
-    logTS("USA Network video not ready after timeout, continuing anyway");
-  }
-
-  // Start playback: try the Video.js big play button first, then fall back to video.play()
-  const playResult = await page.evaluate(() => {
-    const btn = document.querySelector('button.vjs-big-play-button');
-    if (btn) {
-      btn.click();
-      return 'btn-clicked';
-    }
-    const video = document.querySelector('video');
-    if (video && video.paused) {
-      video.play().catch(() => {});
-      return 'video.play()';
-    }
-    return 'not needed';
-  });
-  logTS(`USA Network play: ${playResult}`);
-
-  if (playResult === 'btn-clicked' || playResult === 'video.play()') {
-    await delay(1000); // let playback start before going fullscreen
-  }
-
-  // Move mouse to center to reveal player controls (move only — no click to avoid pausing)
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(500);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Click fullscreen button (Video.js standard control)
-  const fullscreenResult = await page.evaluate(() => {
-    const btn = document.querySelector('button.vjs-fullscreen-control');
-    if (btn) {
-      btn.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-  logTS(`USA Network fullscreen status: ${fullscreenResult}`);
-
-  // After entering fullscreen the player sometimes pauses — ensure playback is running
-  if (fullscreenResult === 'clicked') {
-    await delay(800);
-    await page.evaluate(() => {
-      const video = document.querySelector('video');
-      if (video && video.paused) video.play().catch(() => {});
-    });
-  }
-
-  logTS("finished USA Network fullscreen setup");
-}
-
-async function fullScreenVideoTBS(page) {
-  logTS("URL contains TBS, setting up fullscreen");
-
-  // Wait for video element to have enough data to play (readyState >= 3)
-  let videoReady = false;
-  for (let i = 0; i < 10; i++) {
-    try {
-      videoReady = await page.evaluate(() => {
-        const videos = document.querySelectorAll('video');
-        for (const video of videos) {
-          if (video.readyState >= 3) return true;
-        }
-        return false;
-      });
-      if (videoReady) {
-        logTS("TBS video ready (readyState >= 3)");
-        break;
-      }
-    } catch (e) {
-      // Continue waiting
-    }
-    await delay(500);
-  }
-
-  if (!videoReady) {
-    logTS("TBS video not ready after timeout, continuing anyway");
-  }
-
-  // Click the big play button if present (paused state)
-  // <span class="tui-play tui-btn" role="button" aria-label="Play">
-  const playResult = await page.evaluate(() => {
-    const btn = document.querySelector('span.tui-play.tui-btn[aria-label="Play"]');
-    if (btn && btn.offsetParent !== null) {
-      btn.click();
-      return 'clicked';
-    }
-    return 'not present';
-  });
-  logTS(`TBS play button: ${playResult}`);
-  if (playResult === 'clicked') {
-    await delay(1000); // let playback start before going fullscreen
-  }
-
-  // Move mouse to center of viewport to trigger player controls
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-    await page.mouse.click(centerX, centerY);
-    await delay(500);
-    await page.mouse.move(centerX, centerY - 100);
-    await delay(300);
-  } catch (e) {
-    logTS("Could not move mouse to show controls: " + e.message);
-  }
-
-  // Handle unmute - check aria-label to determine mute state
-  const result = await page.evaluate(() => {
-    const results = { mute: 'not found' };
-
-    const muteButton = document.querySelector('span.tui-volume__button.tui-btn');
-    if (muteButton) {
-      const label = muteButton.getAttribute('aria-label');
-      if (label === 'Unmute') {
-        muteButton.click();
-        results.mute = 'was muted, clicked unmute';
-      } else {
-        results.mute = 'already unmuted';
-      }
-      const rect = muteButton.getBoundingClientRect();
-      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-    }
-
-    return results;
-  });
-
-  logTS(`TBS mute status: ${result.mute}`);
-
-  // Set volume to max: hover over mute button to reveal volume bar, then click far right
-  if (result.muteButtonRect) {
-    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
-    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
-    await page.mouse.move(muteCenterX, muteCenterY);
-    await delay(500);
-
-    const volInfo = await page.evaluate(() => {
-      const bar = document.querySelector('.tui-volume__bar');
-      if (bar) {
-        const rect = bar.getBoundingClientRect();
-        const activeBar = document.querySelector('.tui-volume__active-bar');
-        const currentWidth = activeBar ? activeBar.style.width : 'unknown';
-        return { currentVolume: currentWidth, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
-      }
-      return null;
-    });
-
-    if (volInfo && volInfo.width > 0) {
-      const clickX = volInfo.x + volInfo.width - 2;
-      const clickY = volInfo.y + volInfo.height / 2;
-      await page.mouse.click(clickX, clickY);
-      logTS(`TBS volume: clicked bar at max position (was ${volInfo.currentVolume})`);
-    } else {
-      logTS(`TBS volume: volume bar not visible`);
-    }
-  } else {
-    logTS(`TBS volume: mute button not found`);
-  }
-
-  // Move mouse away then click fullscreen
-  try {
-    const viewport = page.viewport();
-    const centerX = viewport ? viewport.width / 2 : 640;
-    const centerY = viewport ? viewport.height / 2 : 360;
-    await page.mouse.move(centerX, centerY);
-    await delay(300);
-  } catch (e) {
-    // Continue
-  }
-
-  const fullscreenResult = await page.evaluate(() => {
-    const btn = document.querySelector('span.tui-fullscreen.tui-btn');
-    if (btn) {
-      btn.click();
-      return 'clicked';
-    }
-    return 'not found';
-  });
-
-  logTS(`TBS fullscreen status: ${fullscreenResult}`);
-  logTS("finished TBS fullscreen setup");
-}
-
-async function selectYouTubeClosedCaptions(page, ccOption) {
-  try {
-    const wantOn = ccOption.toLowerCase() !== 'off';
-    const result = await page.evaluate((wantOn) => {
-      const btn = document.querySelector('button.ytp-subtitles-button');
-      if (!btn) return 'not found';
-      const isOn = btn.getAttribute('aria-pressed') === 'true';
-      if (wantOn && !isOn) { btn.click(); return 'turned on'; }
-      if (!wantOn && isOn) { btn.click(); return 'turned off'; }
-      return 'already correct';
-    }, wantOn);
-    logTS(`YouTube CC: ${result} for "${ccOption}"`);
-    return result !== 'not found';
-  } catch (e) {
-    logTS(`YouTube CC: error — ${e.message}`);
-    return false;
-  }
-}
-
-async function fullScreenVideoYouTube(page, closedCaptions = '') {
-  logTS("URL contains YouTube, setting up fullscreen");
-
-  // Wait a bit for the page to settle
-  await delay(2000);
-
-  let frameHandle, videoHandle;
-
-  // Find the video element
-  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
-    try {
-      const frames = await page.frames({ timeout: 1000 });
-      for (const frame of frames) {
-        try {
-          videoHandle = await frame.waitForSelector('video', { timeout: 1000 });
-        } catch (error) {
-          // Continue searching
-        }
-        if (videoHandle) {
-          frameHandle = frame;
-          logTS('Found YouTube video frame');
-          break videoSearch;
-        }
-      }
-    } catch (error) {
-      logTS('Error looking for YouTube video:', error.message);
-      videoHandle = null;
-    }
-    await delay(Constants.FIND_VIDEO_WAIT * 1000);
-  }
-
-  if (videoHandle) {
-    // Confirm video is actually playing
-    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES; step++) {
-      const currentTime = await GetProperty(videoHandle, 'currentTime');
-      const readyState = await GetProperty(videoHandle, 'readyState');
-      const paused = await GetProperty(videoHandle, 'paused');
-      const ended = await GetProperty(videoHandle, 'ended');
-
-      if (!!(currentTime > 0 && readyState > 2 && !paused && !ended)) break;
-
-      logTS("Attempting to play YouTube video");
-      // Try clicking the video to play
-      try {
-        await videoHandle.click();
-      } catch (e) {
-        // Try play command
-        await frameHandle.evaluate((video) => {
-          video.play();
-        }, videoHandle);
-      }
-      await delay(Constants.PLAY_VIDEO_WAIT * 1000);
-    }
-
-    logTS("Going fullscreen and unmuting YouTube video");
-    await frameHandle.evaluate((video) => {
-      video.muted = false;
-      video.removeAttribute('muted');
-      video.style.cursor = 'none!important';
-      video.requestFullscreen();
-    }, videoHandle);
-
-    // YouTube may pause video when going fullscreen, so explicitly play after fullscreen
-    await delay(500); // Brief delay to let fullscreen transition start
-    await frameHandle.evaluate((video) => {
-      if (video.paused) {
-        video.play().catch(err => console.log('Play after fullscreen failed:', err));
-      }
-    }, videoHandle);
-
-    // Setup pause monitor to automatically resume if video gets paused
-    await setupPauseMonitor(frameHandle, videoHandle, page);
-  } else {
-    logTS('Could not find YouTube video element');
-  }
-
-  // Select closed captions — skip if Default (empty)
-  const ytCcValue = closedCaptions || '';
-  if (ytCcValue) {
-    (async () => {
-      for (let attempt = 1; attempt <= 6; attempt++) {
-        if (attempt > 1) await delay(30000);
-        logTS(`YouTube CC: Attempt ${attempt}/6 for "${ytCcValue}"`);
-        const success = await selectYouTubeClosedCaptions(page, ytCcValue);
-        if (success) return;
-      }
-      logTS(`YouTube CC: Could not select after 6 attempts`);
-    })().catch(err => logTS(`YouTube CC background error: ${err.message}`));
-  }
-
-  // Hide cursor
-  await hideCursor(page);
-
-  logTS("YouTube fullscreen setup complete");
-}
-
-async function selectMaxClosedCaptions(page, ccOption) {
-  logTS(`Selecting Max (HBO Max) subtitles: ${ccOption}`);
-  try {
-    // Move mouse to center to make player controls visible
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    // Click the CC/subtitle settings button
-    const trackBtn = await page.waitForSelector('button[data-testid="player-ux-track-selector-button"]', { timeout: 5000 }).catch(() => null);
-    if (!trackBtn) {
-      logTS('Max CC: Track selector button not found, skipping');
-      return false;
-    }
-    await trackBtn.click();
-    await delay(500);
-
-    // Click the matching track button by aria-label
-    // "English" maps to "English CC"; "Off" is exact "Off"
-    const clicked = await page.evaluate((ccOpt) => {
-      const buttons = document.querySelectorAll('button[data-testid="player-ux-text-track-button"]');
-      for (const btn of buttons) {
-        const label = (btn.getAttribute('aria-label') || '').toLowerCase();
-        if (ccOpt === 'Off' && label === 'off') {
-          btn.click();
-          return true;
-        }
-        if (ccOpt !== 'Off' && label.startsWith(ccOpt.toLowerCase())) {
-          btn.click();
-          return true;
-        }
-      }
-      return false;
-    }, ccOption);
-
-    if (clicked) {
-      logTS(`Max CC: Selected "${ccOption}"`);
-    } else {
-      logTS(`Max CC: Option "${ccOption}" not found in menu`);
-    }
-
-    // Close the menu via its dismiss button
-    const dismissBtn = await page.$('button[data-testid="player-ux-track-dismiss-button"]');
-    if (dismissBtn) await dismissBtn.click();
-    await delay(200);
-    await page.mouse.move(0, 0);
-    return clicked;
-  } catch (err) {
-    logTS(`Max CC selection error (non-fatal): ${err.message}`);
-    return false;
-  }
-}
-
-async function selectMaxClosedCaptionsWithRetry(page, ccOption) {
-  const maxAttempts = 6;
-  const retryDelay = 30000; // 30s — covers typical pre-roll ad breaks
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    if (page.isClosed()) {
-      logTS('Max CC: page closed, stopping retries');
-      return;
-    }
-    logTS(`Max CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
-    const success = await selectMaxClosedCaptions(page, ccOption);
-    if (success) return;
-
-    if (attempt < maxAttempts) {
-      logTS(`Max CC: Not available yet, retrying in 30s...`);
-      await delay(retryDelay);
-    }
-  }
-  logTS(`Max CC: Could not select after ${maxAttempts} attempts`);
-}
-
-async function fullScreenVideoMax(page, closedCaptions = '') {
-  logTS("URL contains hbomax.com/max.com, setting up Max video");
-
-  let frameHandle, videoHandle;
-  try {
-    frameHandle = page;
-    videoHandle = await frameHandle.waitForSelector('video', { timeout: 15000 }).catch(() => null);
-
-    if (videoHandle) {
-      // Unmute and ensure playing
-      await page.evaluate((video) => {
-        video.muted = false;
-        if (video.paused) video.play().catch(err => console.log('Play failed:', err));
-      }, videoHandle);
-
-      // Select closed captions BEFORE fullscreen — skip if Default (empty)
-      const maxCcValue = closedCaptions || '';
-      if (maxCcValue) {
-        logTS(`Max CC param received: "${maxCcValue}"`);
-        selectMaxClosedCaptionsWithRetry(page, maxCcValue)
-          .catch(err => logTS(`Max CC background error: ${err.message}`));
-      }
-
-      // Go fullscreen via 'f' key (player handles it internally)
-      logTS("Max: pressing F key for fullscreen");
-      const vp = page.viewport();
-      const cx = Math.floor((vp ? vp.width : 1280) / 2);
-      const cy = Math.floor((vp ? vp.height : 720) / 2);
-      await page.mouse.move(cx, cy);
-      await delay(300);
-      await page.keyboard.press('f');
-
-      await setupPauseMonitor(frameHandle, videoHandle, page);
-    } else {
-      logTS('Could not find Max video element');
-    }
-  } catch (err) {
-    logTS(`Max fullscreen setup error (non-fatal): ${err.message}`);
-  }
-
-  await hideCursor(page);
-  await page.mouse.move(0, 0);
-  logTS("Max fullscreen setup complete");
-}
-
-async function selectDisneyPlusClosedCaptions(page, ccOption) {
-  logTS(`Selecting Disney+ subtitles: ${ccOption}`);
-  try {
-    // Move mouse to center to make player controls visible
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    // Click the Audio and subtitles settings button
-    const settingsBtn = await page.waitForSelector('button[aria-label="Audio and subtitles menu"]', { timeout: 5000 }).catch(() => null);
-    if (!settingsBtn) {
-      logTS('Disney+ CC: Settings button not found, skipping');
-      return false;
-    }
-    await settingsBtn.click();
-    await delay(300);
-
-    // Match by label text — value is just a track index and varies by content
-    const clicked = await page.evaluate((ccOpt) => {
-      const inputs = document.querySelectorAll('input[name="subtitleTrackPicker"]');
-      for (const input of inputs) {
-        // Check aria-label on input, or text of associated <label>
-        const ariaLabel = input.getAttribute('aria-label') || '';
-        const labelEl = input.id ? document.querySelector(`label[for="${input.id}"]`) : null;
-        const labelText = labelEl ? labelEl.textContent : '';
-        const text = (ariaLabel + ' ' + labelText).toLowerCase();
-
-        if (ccOpt === 'Off' && (input.value === 'off' || text.includes('off') || text.includes('none'))) {
-          input.click();
-          return true;
-        }
-        if (ccOpt !== 'Off' && text.includes(ccOpt.toLowerCase())) {
-          input.click();
-          return true;
-        }
-      }
-      return false;
-    }, ccOption);
-
-    if (clicked) {
-      logTS(`Disney+ CC: Selected "${ccOption}"`);
-    } else {
-      logTS(`Disney+ CC: Option "${ccOption}" not found in menu`);
-    }
-
-    // Close the drawer using its dedicated close button
-    const closeBtn = await page.$('button[aria-label="Press back on your remote to close the audio and subtitles menu."]');
-    if (closeBtn) {
-      await closeBtn.click();
-    }
-    await delay(200);
-
-    // Move mouse to corner so player controls fade out
-    await page.mouse.move(0, 0);
-    return clicked;
-  } catch (err) {
-    logTS(`Disney+ CC selection error (non-fatal): ${err.message}`);
-    return false;
-  }
-}
-
-async function selectDisneyPlusClosedCaptionsWithRetry(page, ccOption) {
-  const maxAttempts = 6;
-  const retryDelay = 30000; // 30s — covers typical pre-roll ad breaks
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    if (page.isClosed()) {
-      logTS('Disney+ CC: page closed, stopping retries');
-      return;
-    }
-    logTS(`Disney+ CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
-    const success = await selectDisneyPlusClosedCaptions(page, ccOption);
-    if (success) return;
-
-    if (attempt < maxAttempts) {
-      logTS(`Disney+ CC: Not available yet, retrying in 30s...`);
-      await delay(retryDelay);
-    }
-  }
-  logTS(`Disney+ CC: Could not select after ${maxAttempts} attempts`);
-}
-
-async function fullScreenVideoDisneyPlus(page, closedCaptions = '') {
-  logTS("URL contains disneyplus.com, setting up Disney+ video");
-
-  let frameHandle, videoHandle;
-
-  // Find the video element
-  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
-    try {
-      const frames = await page.frames({ timeout: 1000 });
-      for (const frame of frames) {
-        try {
-          const videos = await frame.$$('video');
-          if (videos.length > 1) {
-            for (const video of videos) {
-              const hasAudio = await frame.evaluate((v) => {
-                return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
-                       Boolean(v.audioTracks && v.audioTracks.length);
-              }, video);
-              if (hasAudio) {
-                videoHandle = video;
-                frameHandle = frame;
-                logTS('Found Disney+ video element with audio');
-                break videoSearch;
-              } else if (!videoHandle) {
-                videoHandle = video;
-                frameHandle = frame;
-              }
-            }
-          } else if (videos.length === 1) {
-            videoHandle = videos[0];
-            frameHandle = frame;
-            logTS('Found Disney+ video element');
-            break videoSearch;
-          }
-        } catch (error) {
-          // Continue searching
-        }
-      }
-    } catch (error) {
-      logTS('Error looking for Disney+ video:', error.message);
-      videoHandle = null;
-    }
-    if (!videoHandle) {
-      await delay(Constants.FIND_VIDEO_WAIT * 1000);
-    }
-  }
-
-  if (videoHandle) {
-    // Wait for video to be playing
-    logTS("Waiting for Disney+ video to be ready");
-    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES; step++) {
-      const readyState = await GetProperty(videoHandle, 'readyState');
-      const paused = await GetProperty(videoHandle, 'paused');
-      if (readyState >= 3 && !paused) {
-        logTS(`Disney+ video ready (readyState: ${readyState})`);
-        break;
-      }
-      if (readyState >= 3 && paused) {
-        await frameHandle.evaluate((v) => v.play().catch(() => {}), videoHandle);
-      }
-      await delay(1000);
-    }
-
-    // Unmute video
-    await frameHandle.evaluate((video) => {
-      video.muted = false;
-      video.removeAttribute('muted');
-    }, videoHandle);
-
-    // Ensure video is playing
-    await frameHandle.evaluate((video) => {
-      if (video.paused) {
-        video.play().catch(err => console.log('Play failed:', err));
-      }
-    }, videoHandle);
-
-    // Select closed captions BEFORE fullscreen — skip if Default (empty)
-    const disneyPlusCcValue = closedCaptions || '';
-    if (disneyPlusCcValue) {
-      logTS(`Disney+ CC param received: "${disneyPlusCcValue}"`);
-      selectDisneyPlusClosedCaptionsWithRetry(page, disneyPlusCcValue)
-        .catch(err => logTS(`Disney+ CC background error: ${err.message}`));
-    }
-
-    // Go fullscreen via the player's own fullscreen button
-    logTS("Going fullscreen via Disney+ player fullscreen button");
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    logTS("Disney+: pressing F key for fullscreen");
-    await page.keyboard.press('f');
-
-    await setupPauseMonitor(frameHandle, videoHandle, page);
-  } else {
-    logTS('Could not find Disney+ video element');
-  }
-
-  await hideCursor(page);
-  await page.mouse.move(0, 0);
-  logTS("Disney+ fullscreen setup complete");
-}
-
-async function selectNetflixClosedCaptions(page, ccOption) {
-  logTS(`Selecting Netflix subtitles: ${ccOption}`);
-  try {
-    // Move mouse to center to make player controls visible
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    // Click the Audio & Subtitles button
-    const ccBtn = await page.waitForSelector('button[data-uia="control-audio-subtitle"]', { timeout: 5000 }).catch(() => null);
-    if (!ccBtn) {
-      logTS('Netflix CC: Subtitles button not found, skipping');
-      return false;
-    }
-    await ccBtn.click();
-    await delay(300);
-
-    // "English" means closed captions (dialogue + sound effects/speaker labels), which
-    // Netflix lists as "English (CC)" separately from the dubbing-track "English" entry —
-    // same distinction Amazon draws with its "English [CC]" option.
-    const targetLabel = ccOption === 'English' ? 'English (CC)' : ccOption;
-
-    // Subtitle items are <li data-uia="subtitle-item-{label}">, with the currently selected
-    // one tagged "subtitle-item-selected-{label}" instead. Prefer an exact label match over a
-    // substring match so it doesn't land on an unrelated option that merely contains the text.
-    const clicked = await page.evaluate((ccOpt) => {
-      const items = document.querySelectorAll('[data-uia="selector-audio-subtitle"] li[data-uia^="subtitle-item-"]');
-      let exactMatch = null, partialMatch = null;
-      for (const item of items) {
-        const label = (item.getAttribute('data-uia') || '').replace(/^subtitle-item-(selected-)?/, '');
-        if (label.toLowerCase() === ccOpt.toLowerCase()) { exactMatch = item; break; }
-        if (!partialMatch && label.toLowerCase().includes(ccOpt.toLowerCase())) partialMatch = item;
-      }
-      const target = exactMatch || partialMatch;
-      if (target) { target.click(); return true; }
-      return false;
-    }, targetLabel);
-
-    if (clicked) {
-      logTS(`Netflix CC: Selected "${targetLabel}"`);
-    } else {
-      logTS(`Netflix CC: Option "${targetLabel}" not found in menu`);
-    }
-
-    // Close the menu — the Audio & Subtitles button toggles the flyout open/closed
-    const closeBtn = await page.$('button[data-uia="control-audio-subtitle"]');
-    if (closeBtn) {
-      await closeBtn.click();
-    }
-    await delay(200);
-
-    // Move mouse to corner so player controls fade out
-    await page.mouse.move(0, 0);
-    return clicked;
-  } catch (err) {
-    logTS(`Netflix CC selection error (non-fatal): ${err.message}`);
-    return false;
-  }
-}
-
-async function selectNetflixClosedCaptionsWithRetry(page, ccOption) {
-  const maxAttempts = 6;
-  const retryDelay = 30000; // 30s — covers slow player initialization
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    if (page.isClosed()) {
-      logTS('Netflix CC: page closed, stopping retries');
-      return;
-    }
-    logTS(`Netflix CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
-    const success = await selectNetflixClosedCaptions(page, ccOption);
-    if (success) return;
-
-    if (attempt < maxAttempts) {
-      logTS(`Netflix CC: Not available yet, retrying in 30s...`);
-      await delay(retryDelay);
-    }
-  }
-  logTS(`Netflix CC: Could not select after ${maxAttempts} attempts`);
-}
-
-async function fullScreenVideoNetflix(page, closedCaptions = '') {
-  logTS("URL contains netflix.com, setting up Netflix video");
-
-  let frameHandle, videoHandle;
-
-  // Find the video element
-  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
-    try {
-      const frames = await page.frames({ timeout: 1000 });
-      for (const frame of frames) {
-        try {
-          const videos = await frame.$$('video');
-          if (videos.length > 1) {
-            for (const video of videos) {
-              const hasAudio = await frame.evaluate((v) => {
-                return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
-                       Boolean(v.audioTracks && v.audioTracks.length);
-              }, video);
-              if (hasAudio) {
-                videoHandle = video;
-                frameHandle = frame;
-                logTS('Found Netflix video element with audio');
-                break videoSearch;
-              } else if (!videoHandle) {
-                videoHandle = video;
-                frameHandle = frame;
-              }
-            }
-          } else if (videos.length === 1) {
-            videoHandle = videos[0];
-            frameHandle = frame;
-            logTS('Found Netflix video element');
-            break videoSearch;
-          }
-        } catch (error) {
-          // Continue searching
-        }
-      }
-    } catch (error) {
-      logTS('Error looking for Netflix video:', error.message);
-      videoHandle = null;
-    }
-    if (!videoHandle) {
-      await delay(Constants.FIND_VIDEO_WAIT * 1000);
-    }
-  }
-
-  if (videoHandle) {
-    // Wait for video to be playing
-    logTS("Waiting for Netflix video to be ready");
-    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES; step++) {
-      const readyState = await GetProperty(videoHandle, 'readyState');
-      const paused = await GetProperty(videoHandle, 'paused');
-      if (readyState >= 3 && !paused) {
-        logTS(`Netflix video ready (readyState: ${readyState})`);
-        break;
-      }
-      if (readyState >= 3 && paused) {
-        await frameHandle.evaluate((v) => v.play().catch(() => {}), videoHandle);
-      }
-      await delay(1000);
-    }
-
-    // Unmute video
-    await frameHandle.evaluate((video) => {
-      video.muted = false;
-      video.removeAttribute('muted');
-    }, videoHandle);
-
-    // Ensure video is playing
-    await frameHandle.evaluate((video) => {
-      if (video.paused) {
-        video.play().catch(err => console.log('Play failed:', err));
-      }
-    }, videoHandle);
-
-    // Select closed captions BEFORE fullscreen — skip if Default (empty).
-    // Awaited (not backgrounded): it opens/clicks/closes the same control bar the
-    // fullscreen button lives in, and running it concurrently with the fullscreen
-    // click below was corrupting both (observed as "Node is detached from document").
-    // Netflix has no pre-roll ads, so the button should already be available here;
-    // only fall back to the backgrounded retry loop if this first attempt fails.
-    const netflixCcValue = closedCaptions || '';
-    if (netflixCcValue) {
-      logTS(`Netflix CC param received: "${netflixCcValue}"`);
-      const ccSucceeded = await selectNetflixClosedCaptions(page, netflixCcValue);
-      if (!ccSucceeded) {
-        selectNetflixClosedCaptionsWithRetry(page, netflixCcValue)
-          .catch(err => logTS(`Netflix CC background error: ${err.message}`));
-      }
-    }
-
-    // Go fullscreen via the player's own fullscreen button
-    logTS("Going fullscreen via Netflix player fullscreen button");
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    const fsBtn = await page.$('[data-uia="control-fullscreen-enter"]');
-    if (fsBtn) {
-      logTS("Netflix: clicking fullscreen button");
-      await fsBtn.click();
-    } else {
-      logTS("Netflix: fullscreen button not found, pressing F key");
-      await page.keyboard.press('f');
-    }
-
-    await setupPauseMonitor(frameHandle, videoHandle, page);
-  } else {
-    logTS('Could not find Netflix video element');
-  }
-
-  await hideCursor(page);
-  await page.mouse.move(0, 0);
-  logTS("Netflix fullscreen setup complete");
-}
-
-async function selectAmazonClosedCaptions(page, ccOption) {
-  logTS(`Selecting Amazon Prime Video subtitles: ${ccOption}`);
-  try {
-    // Move mouse to center to make player controls visible
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    // Click the Subtitles and Audio menu button
-    const menuBtn = await page.waitForSelector('button[aria-label="Subtitles and Audio Menu"]', { timeout: 5000 }).catch(() => null);
-    if (!menuBtn) {
-      logTS('Amazon CC: Subtitles menu button not found, skipping');
-      return false;
-    }
-    await menuBtn.click();
-    await delay(300);
-
-    // Map option name to the aria-label Amazon uses in the player
-    const ariaLabel = ccOption === 'English' ? 'English [CC]' : ccOption;
-
-    // Click the matching subtitle radio input and verify it actually got checked
-    // (during ad-to-content transitions the input may exist but not register the click)
-    const clicked = await page.evaluate((label) => {
-      const inputs = document.querySelectorAll('input[type="radio"][name="subtitle"]');
-      for (const input of inputs) {
-        if (input.getAttribute('aria-label') === label) {
-          input.click();
-          return input.checked; // false if transition prevented the selection from taking
-        }
-      }
-      return false;
-    }, ariaLabel);
-
-    if (clicked) {
-      logTS(`Amazon CC: Selected "${ariaLabel}"`);
-    } else {
-      logTS(`Amazon CC: Option "${ariaLabel}" not found or not checked (may be transitioning)`);
-    }
-
-    // Always close the menu — re-query fresh since original ref may be stale after retries
-    // Avoid Escape key — in fullscreen it can trigger overlays or exit fullscreen
-    const closeMenuBtn = await page.$('button[aria-label="Subtitles and Audio Menu"]');
-    if (closeMenuBtn) {
-      await closeMenuBtn.click();
-    } else {
-      logTS('Amazon CC: Close button not found, moving mouse away to auto-hide menu');
-    }
-    await delay(200);
-
-    // Move mouse to top-left corner so player controls hide and nothing else is triggered
-    await page.mouse.move(0, 0);
-    return clicked;
-  } catch (err) {
-    logTS(`Amazon CC selection error (non-fatal): ${err.message}`);
-    return false;
-  }
-}
-
-async function selectAmazonClosedCaptionsWithRetry(page, ccOption) {
-  const maxAttempts = 6;
-  const retryDelay = 30000; // 30s — covers typical pre-roll ad breaks
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    if (page.isClosed()) {
-      logTS('Amazon CC: page closed, stopping retries');
-      return;
-    }
-    logTS(`Amazon CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
-    const success = await selectAmazonClosedCaptions(page, ccOption);
-    if (success) return;
-
-    if (attempt < maxAttempts) {
-      logTS(`Amazon CC: Not available yet, retrying in 30s...`);
-      await delay(retryDelay);
-    }
-  }
-  logTS(`Amazon CC: Could not select after ${maxAttempts} attempts`);
-}
-
-async function fullScreenVideoAmazon(page, closedCaptions = '', encoderConfig = null) {
-  logTS("URL contains amazon.com, setting up fullscreen for Amazon Prime Video");
-
-  // If we're on a detail page (not the player), click the play/Watch Live button first.
-  // Live events: circular-playbutton has no href and opens a stream-selector modal.
-  // VOD: dp-atf-play-button navigates directly to the player.
-  const onDetailPage = await page.evaluate(() =>
-    !!document.querySelector('a[data-testid="dp-atf-play-button"], a[data-testid="circular-playbutton"]')
-  );
-  if (onDetailPage) {
-    logTS('Amazon: detail page detected — clicking play button');
-    const playBtn = await page.$('a[data-testid="dp-atf-play-button"], a[data-testid="circular-playbutton"]');
-    if (playBtn) {
-      await playBtn.click();
-      // Wait for stream-selector modal (live events) or navigation (VOD)
-      await page.waitForSelector('[data-testid="stream-selector-content"]', { timeout: 4000 }).catch(() => {});
-      const liveLink = await page.evaluate(() => {
-        const modal = document.querySelector('[data-testid="stream-selector-content"]');
-        if (!modal) return null;
-        const a = modal.querySelector('a[href*="t=2147483647"]')
-               || [...modal.querySelectorAll('a[data-testid="play"]')]
-                    .find(el => el.textContent.toLowerCase().includes('watch live'));
-        return (a || modal.querySelector('a[data-testid="play"]'))?.href || null;
-      });
-      if (liveLink) {
-        logTS(`Amazon: live modal found — navigating to stream: ${liveLink}`);
-        await page.goto(liveLink, { waitUntil: 'domcontentloaded', timeout: 30000 });
-      } else {
-        logTS('Amazon: no live modal — waiting for player navigation');
-        await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => {});
-      }
-    }
-  }
-
-  // Wait a bit for the Amazon player to initialize
-  await delay(2000);
-
-  let frameHandle, videoHandle;
-
-  // Find the video element - Amazon typically has multiple video elements
-  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
-    try {
-      const frames = await page.frames({ timeout: 1000 });
-      for (const frame of frames) {
-        try {
-          // Amazon uses video elements, find one with actual content
-          const videos = await frame.$$('video');
-          for (const video of videos) {
-            const hasAudio = await frame.evaluate((v) => {
-              return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
-                     Boolean(v.audioTracks && v.audioTracks.length);
-            }, video);
-
-            // Prefer video elements with audio
-            if (hasAudio) {
-              videoHandle = video;
-              frameHandle = frame;
-              logTS('Found Amazon Prime Video element with audio');
-              break videoSearch;
-            } else if (!videoHandle) {
-              // Keep first video as fallback
-              videoHandle = video;
-              frameHandle = frame;
-            }
-          }
-        } catch (error) {
-          // Continue searching
+          return false;
         }
+        throw error;
       }
-    } catch (error) {
-      logTS('Error looking for Amazon video:', error.message);
-      videoHandle = null;
-    }
 
-    if (!videoHandle) {
-      await delay(Constants.FIND_VIDEO_WAIT * 1000);
-    }
-  }
+      logTS(`page fully loaded for encoder ${encoderConfig.url}`);
 
-  if (videoHandle) {
-    // Re-apply audio device after navigating from detail page to player page — the player's
-    // video elements are new and didn't inherit the setSinkId set on the detail page videos.
-    if (encoderConfig && encoderConfig.audioDevice) {
-      await frameHandle.evaluate(async (video, audioDevice) => {
-        const devices = await navigator.mediaDevices.enumerateDevices();
-        const targetDevice = devices.filter(d => d.kind === 'audiooutput').find(d => d.label.includes(audioDevice));
-        if (targetDevice && video.setSinkId) {
-          await video.setSinkId(targetDevice.deviceId).catch(() => {});
+      if (startMinimized) {
+        logTS(`Attempting CDP minimization for encoder ${encoderConfig.url}`);
+        try {
+          const session = await page.createCDPSession();
+          const {windowId} = await session.send('Browser.getWindowForTarget');
+          await session.send('Browser.setWindowBounds', {windowId, bounds: {windowState: 'minimized'}});
+          await session.detach();
+          logTS(`Successfully minimized window via CDP for encoder ${encoderConfig.url}`);
+          await delay(500);
+        } catch (cdpError) {
+          logTS(`Error minimizing window via CDP for ${encoderConfig.url}:`, cdpError.message);
         }
-      }, videoHandle, encoderConfig.audioDevice).catch(() => {});
-      logTS(`Amazon: re-applied audio device to player video: ${encoderConfig.audioDevice}`);
-    }
-
-    // Wait for video to be ready - Amazon autoplays so we don't need to click play
-    logTS("Waiting for Amazon video to be ready (autoplay expected)");
-
-    // Just wait for ready state, don't try to force play
-    let isReady = false;
-    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES && !isReady; step++) {
-      const readyState = await GetProperty(videoHandle, 'readyState');
-      const paused = await GetProperty(videoHandle, 'paused');
-
-      // Ready state 3+ means we have enough data
-      if (readyState >= 3) {
-        logTS(`Amazon video ready (readyState: ${readyState}, paused: ${paused})`);
-        isReady = true;
-        break;
-      }
-
-      await delay(1000);
-    }
-
-    // Unmute video
-    await frameHandle.evaluate((video) => {
-      video.muted = false;
-      video.removeAttribute('muted');
-    }, videoHandle);
-
-    // Ensure video is playing
-    await frameHandle.evaluate((video) => {
-      if (video.paused) {
-        video.play().catch(err => console.log('Play failed:', err));
       }
-    }, videoHandle);
-
-    // Go fullscreen using the player's own fullscreen button
-    logTS("Going fullscreen via Amazon player fullscreen button");
-    const viewport = page.viewport();
-    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
-    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
-    await page.mouse.move(cx, cy);
-    await delay(500);
-
-    const fsBtn = await page.waitForSelector('button[aria-label="Fullscreen"]', { timeout: 5000 }).catch(() => null);
-    if (fsBtn) {
-      await fsBtn.click();
-      logTS("Amazon: clicked player fullscreen button");
+      launchResolve();
+      return true;
     } else {
-      logTS("Amazon: fullscreen button not found, pressing F key");
-      await page.keyboard.press('f');
+      logTS(`targetUrl is not defined for encoder ${encoderConfig.url}. This is unexpected.`);
+      launchReject(new Error('targetUrl not defined'));
+      return false;
     }
-
-    // Wait for fullscreen transition and any ad-to-content transition to settle
-    await delay(3000);
-
-    // Select closed captions AFTER fullscreen — skip if Default (empty)
-    const amazonCcValue = closedCaptions || '';
-    if (amazonCcValue) {
-      logTS(`Amazon CC param received: "${amazonCcValue}"`);
-      selectAmazonClosedCaptionsWithRetry(page, amazonCcValue)
-        .catch(err => logTS(`Amazon CC background error: ${err.message}`));
+  } catch (error) {
+    logTS(`Error launching browser for encoder ${encoderConfig.url}:`);
+    logTS(`Error type: ${error.constructor.name}`);
+    logTS(`Error message: ${error.message}`);
+    if (error.stack) {
+      logTS(`Stack trace:\n${error.stack}`);
     }
 
-    // Setup pause monitor with more aggressive checking for Amazon
-    // Amazon's player sometimes pauses unexpectedly
-    await setupPauseMonitor(frameHandle, videoHandle, page);
+    // Clean up any partial browser instance
+    if (browsers.has(encoderConfig.url)) {
+      const browser = browsers.get(encoderConfig.url);
+      if (browser && browser.isConnected()) {
+        try {
+          await browser.close();
+        } catch (closeErr) {
+          logTS(`Error closing failed browser: ${closeErr.message}`);
+        }
+      }
+      browsers.delete(encoderConfig.url);
+    }
 
-  } else {
-    logTS('Could not find Amazon Prime Video element');
+    launchReject(error);
+    return false;
+  } finally {
+    // Always clean up the mutex
+    launchMutex.delete(encoderConfig.url);
   }
-
-  // Hide cursor then move mouse to corner so player controls fade out
-  await hideCursor(page);
-  await page.mouse.move(0, 0);
-
-  logTS("Amazon Prime Video fullscreen setup complete");
 }
 
-
 function isValidLinuxPath(path) {
   try {
     return execSync(path)
@@ -8125,6 +4524,10 @@ function buildRecordingJson(name, duration, encoderChannel, episodeTitle, summar
   });
 }
 
+/**
+ * Create the recording job in Channels DVR.
+ * @returns {Promise<{ ok: boolean, status?: number, body?: string, error?: string }>}
+ */
 async function startRecording(name, duration, encoderChannel, episodeTitle, summary, seasonNumber, episodeNumber, imageUrl) {
   try {
     const requestBody = buildRecordingJson(name, duration, encoderChannel, episodeTitle, summary, seasonNumber, episodeNumber, imageUrl);
@@ -8142,10 +4545,10 @@ async function startRecording(name, duration, encoderChannel, episodeTitle, summ
     } else {
       logTS(`startRecording response: HTTP ${response.status} — ${responseBody.substring(0, 500)}`);
     }
-    return response.ok;
+    return { ok: response.ok, status: response.status, body: responseBody };
   } catch (error) {
     logTS(`startRecording error: ${error.message}`);
-    return false;
+    return { ok: false, error: error.message };
   }
 }
 
@@ -8340,9 +4743,15 @@ async function main() {
   logTS(`Data directory: ${Constants.DATA_DIR}`);
 
   const app = express();
-  app.use(express.json());
+  // POST /api/restore parses its own body with a larger limit, after authentication
+  const jsonParser = express.json();
+  app.use((req, res, next) => (req.path === '/api/restore' ? next() : jsonParser(req, res, next)));
   app.use(express.urlencoded({ extended: false }));
 
+  // Optional admin password / API tokens — a no-op until a password is set in Settings
+  authManager.init(Constants.DATA_DIR);
+  app.use(authManager.middleware);
+
   // Serve noVNC static files for remote access feature
   app.use('/novnc', express.static(path.join(__dirname, 'vendor', 'novnc')));
 
@@ -8367,7 +4776,28 @@ async function main() {
   const healthMonitor = new EncoderHealthMonitor();
   const browserHealthMonitor = new BrowserHealthMonitor(Constants.BROWSER_HEALTH_INTERVAL);
   const recoveryManager = new BrowserRecoveryManager();
-  const streamMonitor = new StreamMonitor();
+  const streamMonitor = new StreamMonitor({
+    maxInactivity: Constants.STREAM_INACTIVITY_TIMEOUT * 1000,
+    maxErrorCount: Constants.STREAM_MAX_ERRORS,
+    recoveryActions: Constants.STREAM_RECOVERY_ACTIONS
+  });
+  streamMonitor.setRecoveryHandlers(createStreamRecoveryHandlers(recoveryManager));
+  const videoWatchdog = new VideoWatchdog({
+    streamMonitor,
+    stallTimeout: Constants.VIDEO_STALL_TIMEOUT * 1000,
+    getPage: async (encoderUrl) => {
+      const browser = browsers.get(encoderUrl);
+      if (!browser || !browser.isConnected()) return null;
+      const pages = await browser.pages();
+      return pages[0] || null;
+    }
+  });
+
+  // Optional MPEG-TS content check of encoders that are streaming or recording
+  const streamAnalyzer = new EncoderStreamAnalyzer({
+    interval: Constants.STREAM_ANALYZER_INTERVAL * 60 * 1000,
+    getEncoderUrls: () => Array.from(streamMonitor.activeStreams.keys())
+  });
 
   // Store in app locals for access in routes
   app.locals.config = Constants;
@@ -8375,6 +4805,23 @@ async function main() {
   app.locals.browserHealthMonitor = browserHealthMonitor;
   app.locals.recoveryManager = recoveryManager;
   app.locals.streamMonitor = streamMonitor;
+  app.locals.streamAnalyzer = streamAnalyzer;
+
+  // Encoder selection policy shared by /stream, POST /instant and scheduled recordings
+  encoderSelector.init(Constants.DATA_DIR);
+  // Recording history; marks recordings cut off by the last exit as interrupted
+  recordingHistory.init(Constants.DATA_DIR);
+  // Named playlist profiles served at /m3u-manager/playlists/<name>.m3u
+  playlistProfiles.init(Constants.DATA_DIR);
+  // Webhook / ntfy / Gotify / email notifications for failures
+  notifications.init(Constants.DATA_DIR);
+  // Priority queue / pre-emption for when every encoder is busy
+  encoderQueue.init(Constants.DATA_DIR, {
+    stopEncoder: async (encoderUrl) => {
+      clearEncoderDurationTimer(encoderUrl);
+      await app.locals.cleanupManager.cleanup(encoderUrl, null);
+    }
+  });
 
   // Chrome setup (existing code)
   if (process.platform === 'win32') {
@@ -8550,6 +4997,12 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
   // Start health monitoring
   await healthMonitor.startMonitoring(Constants.ENCODERS);
   streamMonitor.startPeriodicCheck();
+  if (Constants.ENABLE_VIDEO_WATCHDOG) {
+    videoWatchdog.start();
+  }
+  if (Constants.ENABLE_STREAM_ANALYZER) {
+    streamAnalyzer.start();
+  }
 
   // Log available audio devices at startup
   try {
@@ -8598,6 +5051,8 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
   const { SlingService } = require('./services/sling-service');
   const { DirecTVService } = require('./services/directv-service');
   const { CustomService } = require('./services/custom-service');
+  const { NetworkService } = require('./services/network-service');
+  const { NETWORK_PROVIDERS } = require('./services/network-providers');
 
   const m3uManager = new StreamingM3UManager();
 
@@ -8607,7 +5062,10 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
   m3uManager.registerService('sling', new SlingService(browsers, Constants));
   m3uManager.registerService('directv', new DirecTVService(browsers, Constants));
   m3uManager.registerService('custom', new CustomService());
-  logTS('[M3U Manager] Initialized with Sling, DirecTV, and Custom services');
+  for (const provider of NETWORK_PROVIDERS) {
+    m3uManager.registerService(provider.id, new NetworkService(provider, browsers, Constants));
+  }
+  logTS(`[M3U Manager] Initialized with Sling, DirecTV, Custom and ${NETWORK_PROVIDERS.length} network services`);
 
   // Auto-create custom channels for each encoder
   await createEncoderChannels(m3uManager);
@@ -8724,40 +5182,39 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
     const cleanupManager = req.app.locals.cleanupManager;
     const healthMonitor = req.app.locals.healthMonitor;
-    const browserHealthMonitor = req.app.locals.browserHealthMonitor;
     const streamMonitor = req.app.locals.streamMonitor;
     const recoveryManager = req.app.locals.recoveryManager;
 
-    // Check if a specific encoder was requested
+    // Check if a specific encoder was requested, otherwise apply the selection policy.
+    // CH4C's own loopback request (instant/scheduled recording, tune) takes over the encoder
+    // it already claimed and keeps that request's purpose for the encoder queue.
     const requestedEncoder = req.query.encoder;
-    let availableEncoder;
+    const loopbackPurpose = authManager.isInternalRequest(req) ? req.get('x-ch4c-purpose') : null;
+    const isHandoff = !!(loopbackPurpose && encoderQueue.PRIORITIES[loopbackPurpose] && requestedEncoder);
+    const queueRequest = encoderRequest(req.app.locals, {
+      purpose: isHandoff ? loopbackPurpose : 'live',
+      label: req.query.channel || null,
+      targetUrl: req.query.url,
+      requestedEncoder,
+      allowFallback: !isHandoff,
+      handoff: isHandoff
+    });
+    let { encoder: availableEncoder, decision: selection } = encoderQueue.tryAcquire(queueRequest);
 
+    if (!availableEncoder && selection.reserved && requestedEncoder) {
+      logTS(`Requested encoder ${requestedEncoder} is reserved for scheduled recordings, rejecting request`);
+      res.status(503).send('The requested encoder is reserved for scheduled recordings.');
+      return;
+    }
     if (requestedEncoder) {
-      // Use the specifically requested encoder if it's available
-      availableEncoder = Constants.ENCODERS.find(encoder =>
-        encoder.url === requestedEncoder &&
-        browsers.has(encoder.url) &&
-        cleanupManager.canStartBrowser(encoder.url) &&
-        healthMonitor.isEncoderHealthy(encoder.url) &&
-        browserHealthMonitor.isBrowserHealthy(encoder.url)
-      );
-
-      if (!availableEncoder) {
-        logTS(`Requested encoder ${requestedEncoder} is not available, falling back to auto-select`);
-      } else {
+      if (availableEncoder && availableEncoder.url === requestedEncoder) {
         logTS(`Using requested encoder: ${requestedEncoder}`);
+      } else {
+        logTS(`Requested encoder ${requestedEncoder} is not available, falling back to auto-select`);
       }
     }
-
-    // If no specific encoder requested or requested encoder not available, auto-select
-    if (!availableEncoder) {
-      // Get the first available AND healthy encoder with healthy browser
-      availableEncoder = Constants.ENCODERS.find(encoder =>
-        browsers.has(encoder.url) &&
-        cleanupManager.canStartBrowser(encoder.url) &&
-        healthMonitor.isEncoderHealthy(encoder.url) &&
-        browserHealthMonitor.isBrowserHealthy(encoder.url)
-      );
+    if (availableEncoder) {
+      logTS(`Encoder ${availableEncoder.url} selected (${selection.policy}): ${selection.reason}`);
     }
 
     if (!availableEncoder) {
@@ -8779,12 +5236,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
           await delay(checkInterval);
 
           // Check if any encoder became available
-          availableEncoder = Constants.ENCODERS.find(encoder =>
-            browsers.has(encoder.url) &&
-            cleanupManager.canStartBrowser(encoder.url) &&
-            healthMonitor.isEncoderHealthy(encoder.url) &&
-            browserHealthMonitor.isBrowserHealthy(encoder.url)
-          );
+          ({ encoder: availableEncoder, decision: selection } = encoderQueue.tryAcquire(queueRequest));
 
           if (availableEncoder) {
             const waitedMs = Date.now() - startTime;
@@ -8820,13 +5272,27 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
             logTS(`Successfully recovered encoder ${recoverableEncoder.url}`);
             // Set as available and continue
             availableEncoder = recoverableEncoder;
+            encoderQueue.claimEncoder(availableEncoder.url, queueRequest);
           }
         }
       }
 
+      // Every encoder is busy: pre-empt a lower-priority stream or wait in the encoder queue
+      if (!availableEncoder) {
+        let clientGone = false;
+        res.once('close', () => { clientGone = true; });
+        ({ encoder: availableEncoder, decision: selection } = await encoderQueue.acquire(queueRequest, {
+          isCancelled: () => clientGone
+        }));
+        if (clientGone) {
+          if (availableEncoder) encoderQueue.release(availableEncoder.url);
+          return;
+        }
+      }
+
       // Final check - if still no encoder available, reject
       if (!availableEncoder) {
-        logTS('No available or recoverable encoders, rejecting request');
+        logTS(`No available or recoverable encoders, rejecting request (${selection.reason})`);
         res.status(503).send('All encoders are currently unavailable. Please try again in a moment.');
         return;
       }
@@ -8843,6 +5309,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     const streamRequestStartTime = Date.now();
 
     if (!targetUrl) {
+      encoderQueue.release(availableEncoder.url);
       if (!res.headersSent) {
         res.status(400).send('must specify a target URL');
       }
@@ -8852,6 +5319,11 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     logTS(`[${availableEncoder.url}] Selected encoder for streaming to ${targetUrl}`);
     logTS(`[${availableEncoder.url}] Browser exists: ${browsers.has(availableEncoder.url)}, Can start: ${cleanupManager.canStartBrowser(availableEncoder.url)}`);
     cleanupManager.setBrowserActive(availableEncoder.url);
+    // Ending the response runs the normal close/cleanup path below, so pre-emption only has to destroy it
+    encoderQueue.attach(availableEncoder.url, () => {
+      clearEncoderDurationTimer(availableEncoder.url);
+      res.destroy();
+    });
 
     // Enhanced cleanup on stream close
     res.on('close', async err => {
@@ -8873,6 +5345,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
       const streamDurationMs = Date.now() - streamRequestStartTime;
       logTS(`response stream error for ${availableEncoder.url} (client: ${clientIp}, duration: ${Math.round(streamDurationMs / 1000)}s):`, err);
       streamMonitor.recordError(availableEncoder.url);
+      recordingHistory.recordStreamError(availableEncoder.url, `Response stream error: ${err && err.message}`);
       streamMonitor.stopMonitoring(availableEncoder.url);
       try {
         await cleanupManager.cleanup(availableEncoder.url, res);
@@ -8899,113 +5372,41 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
           throw new Error('Failed to get browser page');
         }
 
-        // Set browser window state with error handling
-        // First restore from minimized, then set to fullscreen or maximized
-        // Peacock works better with maximized browser (video will go fullscreen via player controls)
-        try {
-          const session = await page.createCDPSession();
-          const {windowId} = await session.send('Browser.getWindowForTarget');
-
-          // First restore to normal state (from minimized), preserving the correct monitor position
-          await session.send('Browser.setWindowBounds', {
-            windowId,
-            bounds: {
-              windowState: 'normal',
-              left: availableEncoder.width,
-              top: availableEncoder.height,
-              width: 1280,
-              height: 720
-            }
-          });
-          await delay(100); // Brief delay to let window restore
-
-          // Peacock works better with a maximized (not OS-fullscreen) browser window;
-          // its player will handle fullscreen internally via the 'f' key.
-          // All other sites use OS-level fullscreen.
-          // Peacock, Disney+, and Max use maximized so the player handles fullscreen internally
-          // Amazon uses OS-level fullscreen — the player's 'f' key fills the already-fullscreen browser
-          const windowState = (targetUrl.includes('peacocktv.com') || targetUrl.includes('disneyplus.com') || targetUrl.includes('hbomax.com') || targetUrl.includes('max.com')) ? 'maximized' : 'fullscreen';
-          await session.send('Browser.setWindowBounds', {windowId, bounds: {windowState}});
-          await session.detach();
-          logTS(`[${availableEncoder.url}] Browser window restored and set to ${windowState} via CDP`);
-        } catch (cdpError) {
-          logTS(`CDP fullscreen error (non-fatal): ${cdpError.message}`);
-        }
+        await showStreamWindow(page, availableEncoder, targetUrl);
 
         // Navigate with timeout and retry logic
         const navigationTimeout = 30000;
         const maxNavRetries = 2;
         let navSuccess = false;
 
-        // Special handling for DirecTV — webpack interceptor must be installed before navigation
-        if (targetUrl.includes("stream.directv.com") && channelName) {
-          logTS(`[${availableEncoder.url}] DirecTV URL detected - using interceptor navigation`);
-
+        // Sites with their own navigation flow (DirecTV interceptor tuning, Sling/Peacock
+        // human-like navigation to avoid rate limiting and bot mitigation)
+        const site = sites.findSite(targetUrl);
+        if (site && site.navigate) {
+          const siteCtx = { encoderUrl: availableEncoder.url, encoderConfig: availableEncoder, closedCaptions, channel: channelName };
           try {
-            const dtvSuccess = await navigateDirectvStream(page, channelName, availableEncoder.url);
-            if (!dtvSuccess) {
-              throw new Error(`Failed to tune DirecTV channel: ${channelName}`);
+            const result = await site.navigate(page, targetUrl, siteCtx);
+            if (result === false) {
+              throw new Error(`Failed to navigate to ${site.name} using navigation flow`);
             }
-            logTS(`[${availableEncoder.url}] DirecTV: successfully tuned to "${channelName}"`);
-            navSuccess = true;
-          } catch (dtvError) {
-            logTS(`[${availableEncoder.url}] DirecTV navigation error: ${dtvError.message}`);
-            throw dtvError;
-          }
-        // Special handling for Sling - use human-like navigation to avoid rate limiting
-        } else if (targetUrl.includes("watch.sling.com")) {
-          logTS(`[${availableEncoder.url}] Sling URL detected - using navigation flow`);
-
-          try {
-            // Use the navigation sequence with encoder context for logging
-            navSuccess = await navigateSlingLikeHuman(page, targetUrl, availableEncoder.url);
-
-            if (!navSuccess) {
-              throw new Error("Failed to navigate to Sling channel using navigation flow");
+            if (result) {
+              logTS(`[${availableEncoder.url}] Successfully navigated to ${site.name}: ${targetUrl}`);
+              navSuccess = true;
             }
-
-            logTS(`[${availableEncoder.url}] Successfully navigated to Sling channel: ${targetUrl}`);
-          } catch (slingError) {
-            logTS(`[${availableEncoder.url}] Sling navigation error: ${slingError.message}`);
-            throw slingError;
+          } catch (siteNavError) {
+            logTS(`[${availableEncoder.url}] ${site.name} navigation error: ${siteNavError.message}`);
+            throw siteNavError;
           }
-        } else if (targetUrl.includes("peacocktv.com")) {
-          logTS(`[${availableEncoder.url}] Peacock URL detected - using bot mitigation navigation flow`);
-
-          try {
-            // Use the navigation sequence with encoder context for logging
-            navSuccess = await navigatePeacockLikeHuman(page, targetUrl, availableEncoder.url);
-
-            if (!navSuccess) {
-              throw new Error("Failed to navigate to Peacock stream using navigation flow");
-            }
+        }
 
-            logTS(`[${availableEncoder.url}] Successfully navigated to Peacock stream: ${targetUrl}`);
-          } catch (peacockError) {
-            logTS(`[${availableEncoder.url}] Peacock navigation error: ${peacockError.message}`);
-            throw peacockError;
-          }
-        } else {
-          // Non-Sling navigation (existing logic)
+        if (!navSuccess) {
+          const waitUntil = site ? site.waitUntil : 'networkidle2';
           for (let navAttempt = 1; navAttempt <= maxNavRetries && !navSuccess; navAttempt++) {
             try {
-              if (targetUrl.includes("photos.app.goo.gl")) {
-                await page.goto(targetUrl, {
-                  waitUntil: 'load',
-                  timeout: navigationTimeout
-                });
-              } else if (targetUrl.includes("foxsports.com")) {
-                // JWPlayer starts streaming immediately, so networkidle2 never fires
-                await page.goto(targetUrl, {
-                  waitUntil: 'domcontentloaded',
-                  timeout: navigationTimeout
-                });
-              } else {
-                await page.goto(targetUrl, {
-                  waitUntil: 'networkidle2',
-                  timeout: navigationTimeout
-                });
-              }
+              await page.goto(targetUrl, {
+                waitUntil,
+                timeout: navigationTimeout
+              });
               navSuccess = true;
               logTS(`Page navigated successfully to ${targetUrl}`);
             } catch (navError) {
@@ -9037,13 +5438,14 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
           if (res && !res.headersSent) {
             const stream = Readable.from(fetchResponse.body);
+            stream.on('data', (chunk) => metrics.addStreamBytes(availableEncoder.url, chunk.length));
 
             // Only start monitoring if this is a real stream consumer (not internal fetch from /instant tune)
             // Internal fetches from localhost won't consume the stream, so monitoring would show false inactivity
             const isRealConsumer = req.headers['user-agent'] && !req.headers['user-agent'].includes('node-fetch');
             if (isRealConsumer) {
               // Start monitoring now that encoder stream is established
-              streamMonitor.startMonitoring(availableEncoder.url, targetUrl);
+              streamMonitor.startMonitoring(availableEncoder.url, targetUrl, { closedCaptions, channel: channelName });
 
               // Update activity immediately when encoder connection is established
               // This prevents false "inactive" warnings during setupBrowserAudio which can take up to 60s
@@ -9059,17 +5461,20 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
               .on('error', (error) => {
                 logTS(`Stream pipe error: ${error.message}`);
                 streamMonitor.recordError(availableEncoder.url);
+                recordingHistory.recordStreamError(availableEncoder.url, `Stream pipe error: ${error.message}`);
                 cleanupManager.cleanup(availableEncoder.url, res);
               });
           }
 
           // Setup audio and fullscreen AFTER starting encoder stream
-          if (!targetUrl.includes("photos.app.goo.gl")) {
+          const streamSite = sites.findSite(targetUrl);
+          if (!streamSite || !streamSite.skipAudioSetup) {
             await setupBrowserAudio(page, availableEncoder, targetUrl);
           }
 
           // Handle site-specific fullscreen (pass encoder config for audio re-application)
           await handleSiteSpecificFullscreen(targetUrl, page, availableEncoder, closedCaptions);
+          metrics.observeTuneLatency(streamSite ? streamSite.id : 'generic', (Date.now() - streamRequestStartTime) / 1000);
         }
       }, availableEncoder.url, async () => {
         // Fallback action - attempt recovery
@@ -9088,7 +5493,11 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
     } catch (error) {
       logTS(`Stream setup failed for ${availableEncoder.url}: ${error.message}`);
+      const failedSite = sites.findSite(targetUrl);
+      metrics.recordTune(failedSite ? failedSite.id : 'generic', 'failed');
       streamMonitor.stopMonitoring(availableEncoder.url);
+      recordingHistory.recordStreamError(availableEncoder.url, error.message);
+      recordingHistory.finishForEncoder(availableEncoder.url, 'failed', `Stream setup failed: ${error.message}`);
 
       if (!res.headersSent) {
         res.status(500).send(`Streaming error: ${error.message}`);
@@ -9109,6 +5518,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     const browserHealthMonitor = req.app.locals.browserHealthMonitor;
     const cleanupManager = req.app.locals.cleanupManager;
     const streamMonitor = req.app.locals.streamMonitor;
+    const streamAnalyzer = req.app.locals.streamAnalyzer;
 
     const status = {
       encoders: Constants.ENCODERS.map(encoder => ({
@@ -9122,19 +5532,77 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
         hasBrowser: browsers.has(encoder.url),
         isAvailable: cleanupManager.canStartBrowser(encoder.url),
         healthStatus: healthMonitor.healthStatus.get(encoder.url),
-        browserHealthStatus: browserHealthMonitor.getHealthStatus(encoder.url)
+        browserHealthStatus: browserHealthMonitor.getHealthStatus(encoder.url),
+        streamAnalysis: streamAnalyzer.getResult(encoder.url),
+        selection: encoderSelector.getEncoderStatus(encoder.url),
+        use: encoderQueue.getEncoderUse(encoder.url)
       })),
       activeStreams: Array.from(streamMonitor.activeStreams.entries()).map(([url, data]) => ({
         url,
         ...data,
         uptime: Date.now() - data.startTime
       })),
-      cleanupState: cleanupManager.getState()
+      cleanupState: cleanupManager.getState(),
+      encoderSelection: encoderSelector.getStatus(),
+      encoderQueue: encoderQueue.getStatus()
     };
 
     res.json(status);
   });
 
+  // Prometheus metrics (text format) for the same state /health reports, plus login check
+  // results, scheduled recordings and the /stream counters kept in metrics.js
+  app.get('/metrics', (req, res) => {
+    const { healthMonitor, browserHealthMonitor, recoveryManager, streamMonitor } = req.app.locals;
+    const { family } = metrics;
+    const encoderLabels = (encoder) => ({ encoder: encoder.url, channel: encoder.channel });
+
+    const activeStreams = Array.from(streamMonitor.activeStreams.entries());
+    const loginRun = loginCheckScheduler.getState().lastRun;
+    const scheduled = Array.from(scheduledRecordings.values());
+    const historyCounts = new Map();
+    for (const entry of recordingHistory.list()) {
+      const key = `${entry.type}\n${entry.status}`;
+      historyCounts.set(key, (historyCounts.get(key) || 0) + 1);
+    }
+
+    const families = [
+      family('ch4c_uptime_seconds', 'gauge', 'Seconds since CH4C started', [{ value: Math.round(process.uptime()) }]),
+      family('ch4c_encoder_healthy', 'gauge', 'Whether the encoder answers HTTP (EncoderHealthMonitor)',
+        Constants.ENCODERS.map(e => ({ labels: encoderLabels(e), value: healthMonitor.isEncoderHealthy(e.url) }))),
+      family('ch4c_encoder_health_failures', 'gauge', 'Consecutive failed encoder health checks',
+        Constants.ENCODERS.map(e => ({ labels: encoderLabels(e), value: (healthMonitor.healthStatus.get(e.url) || {}).failureCount || 0 }))),
+      family('ch4c_browser_healthy', 'gauge', 'Whether the encoder\'s browser is responsive (BrowserHealthMonitor)',
+        Constants.ENCODERS.map(e => ({ labels: encoderLabels(e), value: browserHealthMonitor.isBrowserHealthy(e.url) }))),
+      family('ch4c_browser_health_failures', 'gauge', 'Consecutive failed browser health checks',
+        Constants.ENCODERS.map(e => ({ labels: encoderLabels(e), value: browserHealthMonitor.getHealthStatus(e.url).failureCount || 0 }))),
+      family('ch4c_browser_recovery_attempts', 'gauge', 'Browser recovery attempts since the last successful recovery (BrowserRecoveryManager)',
+        Constants.ENCODERS.map(e => ({ labels: encoderLabels(e), value: recoveryManager.getRecoveryAttempts(e.url) }))),
+      family('ch4c_browser_recovery_in_progress', 'gauge', 'Whether a browser recovery is running',
+        Constants.ENCODERS.map(e => ({ labels: encoderLabels(e), value: recoveryManager.recoveryInProgress.has(e.url) }))),
+      family('ch4c_active_streams', 'gauge', 'Streams, tunes and recordings in progress', [{ value: activeStreams.length }]),
+      family('ch4c_stream_uptime_seconds', 'gauge', 'Seconds since each active stream started',
+        activeStreams.map(([url, data]) => ({ labels: { encoder: url }, value: Math.round((Date.now() - data.startTime) / 1000) }))),
+      ...metrics.eventFamilies(),
+      family('ch4c_login_check_success', 'gauge', 'Result of the last login check per site (1 = logged in)',
+        (loginRun ? loginRun.results : []).map(r => ({ labels: { site: r.siteId }, value: r.success }))),
+      family('ch4c_login_check_last_run_timestamp_seconds', 'gauge', 'When the last login check finished',
+        loginRun && loginRun.finishedAt ? [{ value: Math.round(Date.parse(loginRun.finishedAt) / 1000) }] : []),
+      family('ch4c_scheduled_recordings', 'gauge', 'Scheduled recordings waiting to run',
+        [false, true].map(recurring => ({
+          labels: { recurring: String(recurring) },
+          value: scheduled.filter(entry => !!entry.recurrence === recurring).length
+        }))),
+      family('ch4c_recordings', 'gauge', 'Recordings in the recording history by type and status',
+        Array.from(historyCounts, ([key, value]) => {
+          const [type, status] = key.split('\n');
+          return { labels: { type, status }, value };
+        })),
+    ];
+
+    res.type(metrics.CONTENT_TYPE).send(metrics.render(families));
+  });
+
   app.get('/audio-devices', async (req, res) => {
     const audioManager = new AudioDeviceManager();
     const devices = await audioManager.getAudioDevices();
@@ -9150,18 +5618,11 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
   // GET /instant - Serve the instant recording form
   app.get('/instant', (req, res) => {
-    const cleanupManager = req.app.locals.cleanupManager;
-    const healthMonitor = req.app.locals.healthMonitor;
-    const browserHealthMonitor = req.app.locals.browserHealthMonitor;
     const streamMonitor = req.app.locals.streamMonitor;
 
     // Get available encoders
     const availableEncoders = Constants.ENCODERS.filter(encoder =>
-      browsers.has(encoder.url) &&
-      cleanupManager.canStartBrowser(encoder.url) &&
-      healthMonitor.isEncoderHealthy(encoder.url) &&
-      browserHealthMonitor.isBrowserHealthy(encoder.url)
-    );
+      isEncoderFree(encoder, req.app.locals) && !encoderQueue.isClaimed(encoder.url));
 
     // Generate encoder options HTML
     let encoderOptions = '';
@@ -9215,14 +5676,17 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
       .replaceAll('<<host>>', req.get('host'))
       .replaceAll('<<encoder_options>>', encoderOptions)
       .replaceAll('<<active_streams>>', activeStreamsHtml)
-      .replaceAll('<<scheduled_recordings>>', '<div id="scheduled-recordings-container" class="active-streams" style="display:none;"></div>');
+      .replaceAll('<<scheduled_recordings>>', '<div id="scheduled-recordings-container" class="active-streams" style="display:none;"></div>')
+      .replaceAll('<<encoder_queue>>', '<div id="encoder-queue-container" class="active-streams" style="display:none;"></div>')
+      .replaceAll('<<start_early_default>>', String(Constants.START_EARLY_MINUTES || 0))
+      .replaceAll('<<end_late_default>>', String(Constants.END_LATE_MINUTES || 0));
 
     res.send(html);
   });
 
   // POST /instant - Handle instant recording or tuning
   app.post('/instant', async (req, res) => {
-    const { recording_name, recording_url, recording_duration, button_record, button_tune, button_record_later, record_later_time, episode_title, recording_summary, season_number, episode_number, selected_encoder, recording_image, closed_captions } = req.body;
+    const { recording_name, recording_url, recording_duration, button_record, button_tune, button_record_later, episode_title, recording_summary, season_number, episode_number, selected_encoder, recording_image, closed_captions } = req.body;
 
     // Check if client wants JSON response
     const wantsJson = req.headers.accept && req.headers.accept.includes('application/json');
@@ -9257,67 +5721,87 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
     // Handle "Record Later" — schedule without needing an encoder now
     if (button_record_later) {
-      const duration = parseInt(recording_duration);
-      if (isNaN(duration) || duration <= 0) {
-        sendResponse(400, { success: false, error: 'Invalid duration. Must be a positive number.' });
+      const validated = validateScheduledRecording(req.body);
+      if (validated.error) {
+        sendResponse(400, { success: false, error: validated.error });
         return;
       }
-      const scheduledTime = parseInt(record_later_time);
-      if (isNaN(scheduledTime) || scheduledTime <= Date.now()) {
-        sendResponse(400, { success: false, error: 'Scheduled time must be in the future.' });
+      const { params, scheduledTime } = validated;
+      const duration = params.recording_duration;
+      let rule;
+      try {
+        rule = recurrence.normalizeRule(recurrenceInputFromForm(req.body), scheduledTime);
+      } catch (e) {
+        sendResponse(400, { success: false, error: e.message });
         return;
       }
       const id = Date.now().toString();
-      const params = {
-        recording_name: recording_name || 'Scheduled Recording',
-        recording_url: targetUrl,
-        recording_duration: duration,
-        episode_title, recording_summary, season_number, episode_number,
-        recording_image, closed_captions, selected_encoder,
-      };
-      scheduleRecording(id, params, scheduledTime, req.app.locals);
-      const scheduledDate = new Date(scheduledTime).toLocaleString();
-      logTS(`Scheduled recording "${params.recording_name}" for ${scheduledDate}`);
+      const firstTime = rule ? rule.start : scheduledTime;
+      const check = checkScheduleConflicts(id, params, firstTime, rule, 1, isTrue(req.body.allow_conflicts));
+      if (check.error) {
+        sendResponse(409, { success: false, error: check.error, conflicts: check.conflicts });
+        return;
+      }
+      if (check.warning) logTS(`Scheduling "${params.recording_name}" despite conflicts: ${check.warning}`);
+      scheduleRecording(id, params, firstTime, req.app.locals, rule);
+      const scheduledDate = new Date(firstTime).toLocaleString();
+      const repeatText = rule ? ` (${recurrence.describeRule(rule)})` : '';
+      logTS(`Scheduled recording "${params.recording_name}" for ${scheduledDate}${repeatText}`);
       sendResponse(200, {
         success: true,
         type: 'scheduled',
         message: `${params.recording_name} — ${duration} min`,
-        detail: `Recording scheduled for ${scheduledDate}`,
+        detail: (rule
+          ? `${recurrence.describeRule(rule)}, first recording ${scheduledDate}`
+          : `Recording scheduled for ${scheduledDate}`) + paddingDetail(params),
+        warning: check.warning,
+        conflicts: check.conflicts,
       });
       return;
     }
 
-    const cleanupManager = req.app.locals.cleanupManager;
-    const healthMonitor = req.app.locals.healthMonitor;
-    const browserHealthMonitor = req.app.locals.browserHealthMonitor;
+    // Validate the rest of the request before an encoder is selected, queued for or pre-empted
+    const duration = parseInt(recording_duration);
+    if (button_record && (isNaN(duration) || duration <= 0)) {
+      sendResponse(400, { success: false, error: 'Invalid duration. Must be a positive number.' });
+      return;
+    }
+    if (selected_encoder && !Constants.ENCODERS.some(e => e.url === selected_encoder)) {
+      sendResponse(400, { success: false, error: 'Selected encoder is not configured.' });
+      return;
+    }
 
-    // If user selected a specific encoder, use it; otherwise auto-select
-    let availableEncoder;
-    if (selected_encoder) {
-      // User selected a specific encoder - validate it's available
-      availableEncoder = Constants.ENCODERS.find(encoder =>
-        encoder.url === selected_encoder &&
-        browsers.has(encoder.url) &&
-        cleanupManager.canStartBrowser(encoder.url) &&
-        healthMonitor.isEncoderHealthy(encoder.url) &&
-        browserHealthMonitor.isBrowserHealthy(encoder.url)
-      );
+    const cleanupManager = req.app.locals.cleanupManager;
 
-      if (!availableEncoder) {
-        sendResponse(503, { success: false, error: 'Selected encoder is no longer available. Please refresh and try again.' });
-        return;
-      }
-    } else {
-      // Auto-select the first available AND healthy encoder with healthy browser
-      availableEncoder = Constants.ENCODERS.find(encoder =>
-        browsers.has(encoder.url) &&
-        cleanupManager.canStartBrowser(encoder.url) &&
-        healthMonitor.isEncoderHealthy(encoder.url) &&
-        browserHealthMonitor.isBrowserHealthy(encoder.url)
-      );
+    // If user selected a specific encoder, use it; otherwise apply the selection policy
+    const requestTime = Date.now();
+    const purpose = button_record ? 'instant' : 'tune';
+    const queueRequest = encoderRequest(req.app.locals, {
+      purpose,
+      label: button_record ? (recording_name || 'Instant Recording') : null,
+      targetUrl,
+      requestedEncoder: selected_encoder || null,
+      allowFallback: false
+    });
+    let { encoder: availableEncoder, decision: selection } = encoderQueue.tryAcquire(queueRequest);
+    let preempted = null;
+
+    if (!availableEncoder && selection.reserved && selected_encoder) {
+      logTS(`Instant: selected encoder ${selected_encoder} is reserved for scheduled recordings`);
+      if (button_record) {
+        recordingHistory.recordFailure({
+          type: 'instant',
+          name: recording_name || 'Instant Recording',
+          targetUrl,
+          requestedStart: requestTime,
+          durationMinutes: duration
+        }, `No encoder available: ${selection.reason}`);
+      }
+      sendResponse(503, { success: false, error: 'Selected encoder is reserved for scheduled recordings.' });
+      return;
     }
 
-    if (!availableEncoder) {
+    if (!availableEncoder && !selected_encoder) {
       // Check if any encoders are recovering and wait briefly
       const recoveringEncoders = Constants.ENCODERS.filter(encoder =>
         cleanupManager.isRecoveryInProgress(encoder.url)
@@ -9333,12 +5817,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
         while (Date.now() - startTime < maxWaitTime) {
           await delay(checkInterval);
 
-          availableEncoder = Constants.ENCODERS.find(encoder =>
-            browsers.has(encoder.url) &&
-            cleanupManager.canStartBrowser(encoder.url) &&
-            healthMonitor.isEncoderHealthy(encoder.url) &&
-            browserHealthMonitor.isBrowserHealthy(encoder.url)
-          );
+          ({ encoder: availableEncoder, decision: selection } = encoderQueue.tryAcquire(queueRequest));
 
           if (availableEncoder) {
             const waitedMs = Date.now() - startTime;
@@ -9347,47 +5826,101 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
           }
         }
       }
+    }
+
+    // Every encoder is busy: pre-empt a lower-priority stream or wait in the encoder queue
+    if (!availableEncoder) {
+      let clientGone = false;
+      res.once('close', () => { clientGone = true; });
+      ({ encoder: availableEncoder, decision: selection, preempted } = await encoderQueue.acquire(queueRequest, {
+        isCancelled: () => clientGone
+      }));
+      if (clientGone) {
+        if (availableEncoder) encoderQueue.release(availableEncoder.url);
+        return;
+      }
 
       if (!availableEncoder) {
-        sendResponse(503, { success: false, error: 'No encoders are currently available. Please try again later.' });
+        logTS(`Instant: no encoder available (${selection.reason})`);
+        if (button_record) {
+          recordingHistory.recordFailure({
+            type: 'instant',
+            name: recording_name || 'Instant Recording',
+            targetUrl,
+            requestedStart: requestTime,
+            durationMinutes: duration
+          }, `No encoder available: ${selection.reason}`);
+        }
+        sendResponse(503, {
+          success: false,
+          error: selected_encoder
+            ? 'Selected encoder is no longer available. Please refresh and try again.'
+            : 'No encoders are currently available. Please try again later.'
+        });
         return;
       }
     }
 
+    if (preempted) {
+      logTS(`Instant: pre-empted ${preempted.purpose} stream on ${preempted.encoderUrl}`);
+    }
+    const preemptNote = preempted
+      ? ` A ${encoderQueue.PURPOSE_LABELS[preempted.purpose].toLowerCase()} stream was stopped to free this encoder.`
+      : '';
+
+    logTS(`Instant: encoder ${availableEncoder.url} selected (${selection.policy}): ${selection.reason}`);
+
     // Get encoder index for stop button
     const encoderIndex = Constants.ENCODERS.findIndex(e => e.url === availableEncoder.url);
 
     if (button_record) {
       // Handle recording
-      const duration = parseInt(recording_duration);
-      if (isNaN(duration) || duration <= 0) {
-        sendResponse(400, { success: false, error: 'Invalid duration. Must be a positive number.' });
-        return;
-      }
-
       const recordingName = recording_name || 'Instant Recording';
 
       logTS(`Starting instant recording: ${recordingName} for ${duration} minutes`);
 
+      const historyId = recordingHistory.start({
+        type: 'instant',
+        name: recordingName,
+        targetUrl,
+        requestedStart: requestTime,
+        durationMinutes: duration
+      });
+
       // Start the recording in Channels DVR
-      const recordingStarted = await startRecording(recordingName, duration, availableEncoder.channel, episode_title, recording_summary, season_number, episode_number, recording_image);
+      const dvrResult = await startRecording(recordingName, duration, availableEncoder.channel, episode_title, recording_summary, season_number, episode_number, recording_image);
+      const encoderDetails = {
+        encoderUrl: availableEncoder.url,
+        channel: availableEncoder.channel,
+        dvrResponse: recordingHistory.dvrResponse(dvrResult)
+      };
+
+      if (dvrResult.ok) {
+        recordingHistory.begin(historyId, encoderDetails);
 
-      if (recordingStarted) {
-        // Start monitoring for display purposes, but skip health checks since Channels DVR
-        // handles the stream directly and our monitoring would show false inactivity
+        // Skip stream data health checks since Channels DVR handles the stream directly and our
+        // monitoring would show false inactivity; the video watchdog still checks the player
         const streamMonitor = req.app.locals.streamMonitor;
-        streamMonitor.startMonitoring(availableEncoder.url, targetUrl, { skipHealthCheck: true });
-        logTS(`Started stream monitoring for instant recording (health checks disabled)`);
+        streamMonitor.startMonitoring(availableEncoder.url, targetUrl, { skipHealthCheck: true, closedCaptions: closed_captions });
+        logTS(`Started stream monitoring for instant recording (stream data health checks disabled)`);
 
         // Set a timer to stop the stream after the recording duration
         // Add 15 second buffer to ensure recording completes before stream stops
-        const bufferSeconds = 15;
-        const totalDurationMs = (duration * 60 + bufferSeconds) * 1000;
-        logTS(`Setting timer to stop stream after ${duration} minutes (+ ${bufferSeconds}s buffer)`);
-        saveActiveInstantRecording(availableEncoder.url, recordingName, availableEncoder.channel, Date.now() + totalDurationMs);
+        const totalDurationMs = (duration * 60 + RECORDING_BUFFER_SECONDS) * 1000;
+        logTS(`Setting timer to stop stream after ${duration} minutes (+ ${RECORDING_BUFFER_SECONDS}s buffer)`);
+        saveActiveInstantRecording(availableEncoder.url, {
+          recordingName,
+          channel: availableEncoder.channel,
+          endTime: Date.now() + totalDurationMs,
+          params: {
+            recording_url: targetUrl, episode_title, recording_summary, season_number,
+            episode_number, recording_image, closed_captions
+          }
+        });
         setEncoderDurationTimer(availableEncoder.url, async () => {
           logTS(`Recording duration expired for ${recordingName}, stopping stream on ${availableEncoder.channel}...`);
           clearEncoderDurationTimer(availableEncoder.url);
+          recordingHistory.finishForEncoder(availableEncoder.url, 'completed', 'Recording duration reached');
           try {
             await cleanupManager.cleanup(availableEncoder.url, null);
           } catch (cleanupError) {
@@ -9402,7 +5935,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
           channel: availableEncoder.channel,
           encoderIndex: encoderIndex,
           message: `${recordingName} - ${duration} minutes`,
-          detail: `Recording on Channel ${availableEncoder.channel}. Will automatically stop after ${duration} minutes.`
+          detail: `Recording on Channel ${availableEncoder.channel}. Will automatically stop after ${duration} minutes.${preemptNote}`
         });
 
         // Start the stream in the background (don't wait for response)
@@ -9411,9 +5944,11 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
         logTS(`[DEBUG] Initiating stream fetch to: ${streamUrl}`);
         logTS(`[DEBUG] Target URL being streamed: ${targetUrl}`);
         logTS(`[DEBUG] Using encoder: ${availableEncoder.url}`);
-        fetch(streamUrl)
+        fetch(streamUrl, { headers: loopbackStreamHeaders('instant') })
           .catch(err => logTS(`Stream fetch error (expected): ${err.message}`));
       } else {
+        encoderQueue.release(availableEncoder.url);
+        recordingHistory.fail(historyId, 'Channels DVR did not accept the recording job', encoderDetails);
         sendResponse(500, { success: false, error: 'Failed to start recording in Channels DVR' });
       }
     } else if (button_tune) {
@@ -9422,7 +5957,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
       // Start monitoring this stream (skip health checks since we're not consuming the stream directly)
       const streamMonitor = req.app.locals.streamMonitor;
-      streamMonitor.startMonitoring(availableEncoder.url, targetUrl, { skipHealthCheck: true });
+      streamMonitor.startMonitoring(availableEncoder.url, targetUrl, { skipHealthCheck: true, closedCaptions: closed_captions });
 
       // If duration is provided and valid, use it for auto-stop
       if (!isNaN(duration) && duration > 0) {
@@ -9446,7 +5981,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
           channel: availableEncoder.channel,
           encoderIndex: encoderIndex,
           message: `Will automatically stop in ${duration} minutes`,
-          detail: `Watch on Channel ${availableEncoder.channel} in Channels DVR`
+          detail: `Watch on Channel ${availableEncoder.channel} in Channels DVR${preemptNote}`
         });
       } else {
         logTS(`Tuning encoder ${availableEncoder.channel} to ${targetUrl} (indefinitely)`);
@@ -9458,15 +5993,17 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
           channel: availableEncoder.channel,
           encoderIndex: encoderIndex,
           message: 'Streaming until manually stopped',
-          detail: `Watch on Channel ${availableEncoder.channel} in Channels DVR`
+          detail: `Watch on Channel ${availableEncoder.channel} in Channels DVR${preemptNote}`
         });
       }
 
       // Start the stream in the background (don't wait for response)
       // Pass the encoder URL so the stream uses the same encoder that was selected for tuning
-      fetch(`http://localhost:${Constants.CH4C_PORT}/stream?url=${encodeURIComponent(targetUrl)}&encoder=${encodeURIComponent(availableEncoder.url)}${closed_captions ? '&cc=' + encodeURIComponent(closed_captions) : ''}`)
+      fetch(`http://localhost:${Constants.CH4C_PORT}/stream?url=${encodeURIComponent(targetUrl)}&encoder=${encodeURIComponent(availableEncoder.url)}${closed_captions ? '&cc=' + encodeURIComponent(closed_captions) : ''}`,
+        { headers: loopbackStreamHeaders('tune') })
         .catch(err => logTS(`Stream fetch error (expected): ${err.message}`));
     } else {
+      encoderQueue.release(availableEncoder.url);
       sendResponse(400, { success: false, error: 'Invalid form submission' });
     }
   });
@@ -9488,11 +6025,31 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     res.json(m3uManager.getChannelsByService(req.params.service));
   });
 
-  // GET /m3u-manager/status - Get manager status
-  app.get('/m3u-manager/status', (req, res) => {
+  // GET /m3u-manager/status - Get manager status (including channel number conflicts)
+  app.get('/m3u-manager/status', async (req, res) => {
+    await m3uManager.fetchChannelsDvrChannels();
     res.json(m3uManager.getStatus());
   });
 
+  // GET /m3u-manager/collisions - Channel number conflicts and the renumbering that resolves them
+  app.get('/m3u-manager/collisions', async (req, res) => {
+    await m3uManager.fetchChannelsDvrChannels(req.query.refresh === 'true');
+    const collisions = m3uManager.findChannelNumberCollisions();
+    res.json({ collisions, proposal: m3uManager.proposeRenumbering(collisions) });
+  });
+
+  // POST /m3u-manager/collisions/resolve - Apply renumbering: { changes: [{ id, to }, ...] }
+  // (without changes, the current proposal is applied)
+  app.post('/m3u-manager/collisions/resolve', async (req, res) => {
+    try {
+      const changes = Array.isArray(req.body.changes) ? req.body.changes : m3uManager.proposeRenumbering();
+      const channels = await m3uManager.applyRenumbering(changes);
+      res.json({ success: true, renumbered: channels.length, collisions: m3uManager.findChannelNumberCollisions() });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   // GET /m3u-manager/search-stations - Search for stations by query
   app.get('/m3u-manager/search-stations', async (req, res) => {
     try {
@@ -9506,54 +6063,207 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
   });
 
   // POST /m3u-manager/refresh/:service - Refresh specific service
+  // ?dryRun=true saves nothing and returns the lineup changes as a pending review instead
   app.post('/m3u-manager/refresh/:service', async (req, res) => {
     try {
       const resetEdits = req.query.resetEdits === 'true';
       const favoritesOnly = req.query.favoritesOnly !== 'false'; // Default to true
-      const result = await m3uManager.refreshService(req.params.service, resetEdits, favoritesOnly);
+      const dryRun = req.query.dryRun === 'true';
+      const result = await m3uManager.refreshService(req.params.service, resetEdits, favoritesOnly, { dryRun });
       res.json(result);
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // POST /m3u-manager/custom - Add custom channel
+  // GET /m3u-manager/review/:service - Pending dry-run review for a service (404 if none)
+  app.get('/m3u-manager/review/:service', (req, res) => {
+    const review = m3uManager.getLineupReview(req.params.service);
+    if (!review) return res.status(404).json({ error: 'No pending review for this service' });
+    res.json(review);
+  });
+
+  // POST /m3u-manager/review/:service/apply - Save the reviewed refresh
+  // Body: { reviewId, accept: [changeId, ...] } — changes not listed are rejected
+  app.post('/m3u-manager/review/:service/apply', async (req, res) => {
+    try {
+      const { reviewId, accept } = req.body;
+      const result = await m3uManager.applyLineupReview(req.params.service, reviewId, Array.isArray(accept) ? accept : []);
+      res.json(result);
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // DELETE /m3u-manager/review/:service - Discard the pending review
+  app.delete('/m3u-manager/review/:service', (req, res) => {
+    res.json({ success: m3uManager.discardLineupReview(req.params.service) });
+  });
+
+  // POST /m3u-manager/custom - Add custom channel (409 for a channel number in use, as for PUT
+  // /m3u-manager/channels/:id)
   app.post('/m3u-manager/custom', async (req, res) => {
     try {
       const channel = await m3uManager.addCustomChannel(req.body);
       res.json(channel);
     } catch (error) {
+      if (error.collisions) {
+        return res.status(409).json({ error: error.message, collisions: error.collisions, suggestedNumber: error.suggestedNumber });
+      }
       res.status(400).json({ error: error.message });
     }
   });
 
+  // POST /m3u-manager/custom/import - Import custom channels from an M3U playlist.
+  // Body: the playlist itself (text/plain), or JSON { url } to download it.
+  // ?rewriteStreams=true (or JSON rewriteStreams) points chrome-capture/CH4C /stream?url= entries at this CH4C.
+  // Entries whose channel number is already in use are skipped (see importCustomChannels).
+  // 400 for a missing/unparseable playlist, 502 when the playlist URL can't be downloaded.
+  const MAX_IMPORT_PLAYLIST_BYTES = 10 * 1024 * 1024;
+  app.post('/m3u-manager/custom/import', express.text({ type: ['text/*', 'audio/*', 'application/x-mpegurl', 'application/vnd.apple.mpegurl'], limit: MAX_IMPORT_PLAYLIST_BYTES }), async (req, res) => {
+    try {
+      let playlist = typeof req.body === 'string' ? req.body : '';
+      const remoteUrl = typeof req.body === 'object' && req.body ? req.body.url : null;
+      if (!playlist && remoteUrl) {
+        if (!/^https?:\/\//i.test(remoteUrl)) {
+          return res.status(400).json({ error: 'Playlist URL must start with http:// or https://' });
+        }
+        const controller = new AbortController();
+        // Unreachable hosts, timeouts and dropped downloads are the upstream's failure (502)
+        try {
+          const response = await fetch(remoteUrl, { timeout: 30000, signal: controller.signal });
+          if (!response.ok) {
+            controller.abort();
+            return res.status(502).json({ error: `Playlist URL returned ${response.status}` });
+          }
+          // Same 10 MB cap as an uploaded playlist; the download is aborted as soon as it's passed
+          const tooLarge = () => {
+            controller.abort();
+            res.status(413).json({ error: 'Playlist at the URL is larger than 10 MB' });
+          };
+          if (Number(response.headers.get('content-length')) > MAX_IMPORT_PLAYLIST_BYTES) {
+            return tooLarge();
+          }
+          const chunks = [];
+          let received = 0;
+          for await (const chunk of response.body) {
+            received += chunk.length;
+            if (received > MAX_IMPORT_PLAYLIST_BYTES) {
+              return tooLarge();
+            }
+            chunks.push(chunk);
+          }
+          playlist = Buffer.concat(chunks).toString('utf8');
+        } catch (error) {
+          controller.abort();
+          logTS(`[M3U Manager] Playlist download from ${remoteUrl} failed: ${error.message}`);
+          return res.status(502).json({ error: `Could not download the playlist: ${error.message}` });
+        }
+      }
+      if (!playlist.trim()) {
+        return res.status(400).json({ error: 'Provide the playlist as the request body or a playlist URL' });
+      }
+
+      const entries = m3uImport.parseM3U(playlist);
+      if (entries.length === 0) {
+        return res.status(400).json({ error: 'No #EXTINF entries found in the playlist' });
+      }
+      const rewriteStreams = req.query.rewriteStreams === 'true' || (typeof req.body === 'object' && req.body && req.body.rewriteStreams === true);
+      if (rewriteStreams) {
+        const host = `${req.hostname}:${Constants.CH4C_PORT}`;
+        for (const entry of entries) entry.streamUrl = m3uImport.rehostStream(entry.streamUrl, host);
+      }
+
+      const { imported, skipped } = await m3uManager.importCustomChannels(entries);
+      logTS(`[M3U Manager] Playlist import${remoteUrl ? ` from ${remoteUrl}` : ''}: ${imported.length} imported, ${skipped.length} skipped`);
+      res.json({ total: entries.length, imported, skipped });
+    } catch (error) {
+      // Bad input is answered with 400 above; what's left is ours (e.g. saving the channels)
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // PUT /m3u-manager/channels/:id - Update channel
+  // A channel number already in use is rejected with 409 { error, collisions, suggestedNumber }
+  // unless the body sets allowDuplicateNumber
   app.put('/m3u-manager/channels/:id', async (req, res) => {
     try {
       const channel = await m3uManager.updateChannel(req.params.id, req.body);
       res.json(channel);
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      if (error.collisions) {
+        return res.status(409).json({ error: error.message, collisions: error.collisions, suggestedNumber: error.suggestedNumber });
+      }
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // DELETE /m3u-manager/channels/:id - Delete channel
+  app.delete('/m3u-manager/channels/:id', async (req, res) => {
+    try {
+      await m3uManager.deleteChannel(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // PATCH /m3u-manager/channels/:id/toggle - Toggle channel enabled/disabled
+  app.patch('/m3u-manager/channels/:id/toggle', async (req, res) => {
+    try {
+      const channel = await m3uManager.toggleChannel(req.params.id);
+      res.json(channel);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // POST /m3u-manager/channels/reorder - Save the drag-and-drop order: { ids } (listed
+  // channels first, the rest after in their current order)
+  app.post('/m3u-manager/channels/reorder', async (req, res) => {
+    try {
+      const channels = await m3uManager.reorderChannels(req.body.ids);
+      res.json({ success: true, count: channels.length });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // GET /m3u-manager/groups - User-defined channel groups with counts and number ranges
+  app.get('/m3u-manager/groups', (req, res) => {
+    res.json(m3uManager.getGroups());
+  });
+
+  // POST /m3u-manager/groups/assign - Put channels in a group: { ids, group } (blank group
+  // removes them from their group)
+  app.post('/m3u-manager/groups/assign', async (req, res) => {
+    try {
+      const channels = await m3uManager.setChannelGroup(req.body.ids, req.body.group);
+      res.json({ success: true, count: channels.length });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
     }
   });
 
-  // DELETE /m3u-manager/channels/:id - Delete channel
-  app.delete('/m3u-manager/channels/:id', async (req, res) => {
+  // POST /m3u-manager/groups/:group/renumber - Number a group's channels from { start, step }
+  // in their custom order
+  app.post('/m3u-manager/groups/:group/renumber', async (req, res) => {
     try {
-      await m3uManager.deleteChannel(req.params.id);
-      res.json({ success: true });
+      const channels = await m3uManager.renumberGroup(req.params.group, req.body.start, req.body.step || 1);
+      res.json({ success: true, channels });
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      res.status(400).json({ error: error.message });
     }
   });
 
-  // PATCH /m3u-manager/channels/:id/toggle - Toggle channel enabled/disabled
-  app.patch('/m3u-manager/channels/:id/toggle', async (req, res) => {
+  // POST /m3u-manager/groups/:group/move - Move a group to the number range starting at
+  // { start }, keeping the gaps between its numbers
+  app.post('/m3u-manager/groups/:group/move', async (req, res) => {
     try {
-      const channel = await m3uManager.toggleChannel(req.params.id);
-      res.json(channel);
+      const channels = await m3uManager.moveGroup(req.params.group, req.body.start);
+      res.json({ success: true, channels });
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      res.status(400).json({ error: error.message });
     }
   });
 
@@ -9713,9 +6423,9 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     return candidates.find(isPrivateLAN) || candidates[0];
   }
 
-  // Create a new Channels DVR M3U source pointing at this instance's playlist.
-  // Returns {success, error}.
-  async function createChannelsDvrM3uSource(sourceName) {
+  // Create a new Channels DVR M3U source pointing at this instance's playlist (or, for a
+  // playlist profile, at playlistPath). Returns {success, error}.
+  async function createChannelsDvrM3uSource(sourceName, playlistPath = '/m3u-manager/playlist.m3u') {
     if (!Constants.CHANNELS_URL || !Constants.CHANNELS_PORT) {
       return { success: false, error: 'Channels DVR URL is not configured' };
     }
@@ -9739,7 +6449,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
       return { success: false, error: 'Could not determine a local network IP for this machine' };
     }
     const ownPort = Constants.CH4C_PORT || Constants.CH4C_SSL_PORT;
-    const playlistUrl = `http://${ownIP}:${ownPort}/m3u-manager/playlist.m3u`;
+    const playlistUrl = `http://${ownIP}:${ownPort}${playlistPath}`;
     const streamLimit = Math.max(1, Constants.ENCODERS.length);
 
     try {
@@ -9918,6 +6628,59 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     }
   });
 
+  // Scheduled background refresh of the Sling / DirecTV channel lists — runs in the 3-5 AM
+  // window on an idle encoder claimed through the encoder queue, and refreshes the Channels DVR M3U source when channels changed.
+  m3uRefreshScheduler.init(Constants.DATA_DIR, () => ({
+    claimIdleEncoder: (service) => {
+      const { encoder } = encoderQueue.tryAcquire(encoderRequest(app.locals, { purpose: 'refresh', label: service }));
+      if (!encoder) return null;
+      // Held for the whole scrape, which has no stream, so keep the claim from going stale
+      encoderQueue.attach(encoder.url);
+      return encoder.url;
+    },
+    releaseEncoder: (encoderUrl) => {
+      // A recording that pre-empted the refresh may have claimed the encoder by now
+      const use = encoderQueue.getEncoderUse(encoderUrl);
+      if (use && use.purpose === 'refresh') encoderQueue.release(encoderUrl);
+    },
+    refreshService: (service, { favoritesOnly, encoderUrl }) =>
+      m3uManager.refreshService(service, false, favoritesOnly, { encoderUrl }),
+    onChanged: async () => {
+      if (!m3uManager.channelsDvrSourceName) {
+        return { success: false, error: 'No Channels DVR M3U source is set' };
+      }
+      return refreshChannelsDvrM3uSource(m3uManager.channelsDvrSourceName);
+    },
+  }));
+
+  // GET /m3u-manager/auto-refresh - Schedules, last run per service and recent runs
+  app.get('/m3u-manager/auto-refresh', (req, res) => {
+    res.json(m3uRefreshScheduler.getState());
+  });
+
+  // POST /m3u-manager/auto-refresh/:service - Update a service's schedule
+  // Body: { enabled, frequency: 'daily'|'weekly', dayOfWeek: 0-6, favoritesOnly }
+  app.post('/m3u-manager/auto-refresh/:service', (req, res) => {
+    try {
+      const { enabled, frequency, dayOfWeek, favoritesOnly } = req.body;
+      res.json(m3uRefreshScheduler.updateSettings(req.params.service, { enabled, frequency, dayOfWeek, favoritesOnly }));
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // POST /m3u-manager/auto-refresh/:service/run - Run a background refresh now (outside the window)
+  app.post('/m3u-manager/auto-refresh/:service/run', async (req, res) => {
+    if (!m3uRefreshScheduler.getState().services[req.params.service]) {
+      return res.status(404).json({ success: false, error: `Unknown service: ${req.params.service}` });
+    }
+    try {
+      res.json(await m3uRefreshScheduler.runRefresh(req.params.service, 'manual'));
+    } catch (error) {
+      res.status(409).json({ success: false, error: error.message });
+    }
+  });
+
   // GET /m3u-manager/stream-limit-status - Report the auto-created M3U source's current
   // Channels DVR stream limit vs. the configured encoder count, so the Settings page can
   // offer updating it after encoders are added/removed. No-op if CH4C didn't create the
@@ -9961,7 +6724,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
   // GET /m3u-manager/playlist.m3u - Generate M3U playlist
   // Optional ?services=directv,sling,custom  filters to only those service(s)
-  // Optional ?sort=number (default) | name
+  // Optional ?sort=number (default) | name | order (custom drag-and-drop order)
   // Optional ?genres=news,sports  filters to only those category/genres (case-insensitive)
   // Optional ?genres=-spanish,-religious  prefix with - to exclude those genres (include everything else)
   // Optional ?fast=false  excludes DirecTV channels in the 4000 channel number range
@@ -9981,6 +6744,95 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     res.send(m3u);
   });
 
+  // Create (or refresh, if it already exists) the Channels DVR M3U source for a playlist
+  // profile, named CH4C-<hostname>-<profile>. Returns {success, error}.
+  async function syncProfileChannelsDvrSource(profile) {
+    const sourceName = profile.sourceName || `CH4C-${os.hostname()}-${profile.name}`;
+    if (await getChannelsDvrM3uSourceDetail(sourceName)) {
+      if (!profile.sourceName) playlistProfiles.setSourceName(profile.name, sourceName);
+      return refreshChannelsDvrM3uSource(sourceName);
+    }
+    const created = await createChannelsDvrM3uSource(sourceName, `/m3u-manager/playlists/${profile.name}.m3u`);
+    if (created.success) {
+      playlistProfiles.setSourceName(profile.name, sourceName);
+      logTS(`[M3U Manager] Created Channels DVR M3U source "${sourceName}" for playlist profile "${profile.name}"`);
+    }
+    return created;
+  }
+
+  // GET /m3u-manager/playlists - Playlist profiles with their URL and current channel count
+  app.get('/m3u-manager/playlists', (req, res) => {
+    const host = req.get('host');
+    res.json(playlistProfiles.list().map(profile => ({
+      ...profile,
+      url: `http://${host}/m3u-manager/playlists/${profile.name}.m3u`,
+      channelCount: m3uManager.getProfileChannels(profile).length
+    })));
+  });
+
+  // GET /m3u-manager/playlists/:name.m3u - A playlist profile's M3U
+  app.get('/m3u-manager/playlists/:name.m3u', (req, res) => {
+    const profile = playlistProfiles.get(req.params.name);
+    if (!profile) {
+      return res.status(404).json({ error: `Playlist profile not found: ${req.params.name}` });
+    }
+    const host = req.get('host').split(':')[0];
+    res.type('audio/x-mpegurl');
+    res.setHeader('Content-Disposition', `attachment; filename="${profile.name}.m3u"`);
+    res.send(m3uManager.generateProfileM3U(host, profile));
+  });
+
+  // PUT /m3u-manager/playlists/:name - Create or update a playlist profile:
+  // { services, genres, sort, fast, channelNumberOffset, include, exclude, channelsDvrSource }
+  // With channelsDvrSource, its Channels DVR M3U source is created (or refreshed) too.
+  app.put('/m3u-manager/playlists/:name', async (req, res) => {
+    let profile;
+    try {
+      profile = playlistProfiles.save(req.params.name, req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const channelsDvr = profile.channelsDvrSource ? await syncProfileChannelsDvrSource(profile) : null;
+    if (channelsDvr && !channelsDvr.success) {
+      logTS(`[M3U Manager] WARNING: Channels DVR source for playlist profile "${profile.name}": ${channelsDvr.error}`);
+    }
+    res.json({ profile: playlistProfiles.get(profile.name), channelsDvr });
+  });
+
+  // DELETE /m3u-manager/playlists/:name - Delete a playlist profile (its Channels DVR source,
+  // if any, is left for the user to remove in Channels DVR)
+  app.delete('/m3u-manager/playlists/:name', (req, res) => {
+    if (!playlistProfiles.remove(req.params.name)) {
+      return res.status(404).json({ error: `Playlist profile not found: ${req.params.name}` });
+    }
+    res.json({ success: true });
+  });
+
+  // GET /m3u-manager/guide.xml - XMLTV guide for the playlist's channels
+  // Accepts the same ?services= / ?genres= / ?fast= filters as playlist.m3u
+  // Optional ?hours=48 (default) guide length, up to 336 (two weeks)
+  // Encoder channels (ch4c-encoder-<channel>) list scheduled recordings with their metadata
+  app.get('/m3u-manager/guide.xml', (req, res) => {
+    const services = req.query.services
+      ? req.query.services.split(',').map(s => s.trim()).filter(Boolean)
+      : null;
+    const genres = req.query.genres
+      ? req.query.genres.split(',').map(s => s.trim()).filter(Boolean)
+      : null;
+    const fast = req.query.fast === 'false' ? false : true;
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 48, 1), 336);
+    const fromMs = Date.now();
+    const toMs = fromMs + hours * 60 * 60 * 1000;
+    const encoderGuide = encoderGuideData(fromMs, toMs);
+    const xml = m3uManager.generateXMLTV({
+      services, genres, fast, fromMs, toMs,
+      extraChannels: encoderGuide.channels,
+      extraProgrammes: encoderGuide.programmes
+    });
+    res.type('application/xml');
+    res.send(xml);
+  });
+
   // GET /stop - Stop all active streams and return encoders to pool
   app.get('/stop', async (req, res) => {
     const cleanupManager = req.app.locals.cleanupManager;
@@ -10020,6 +6872,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
     for (const encoderUrl of activeStreams) {
       clearEncoderDurationTimer(encoderUrl);
+      recordingHistory.finishForEncoder(encoderUrl, 'stopped', 'Stopped by user');
       try {
         await cleanupManager.cleanup(encoderUrl, null);
         streamMonitor.stopMonitoring(encoderUrl);
@@ -10133,6 +6986,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
     logTS(`Stopping stream on encoder ${encoderIndex} (${encoderUrl})...`);
     clearEncoderDurationTimer(encoderUrl);
+    recordingHistory.finishForEncoder(encoderUrl, 'stopped', 'Stopped by user');
 
     try {
       await cleanupManager.cleanup(encoderUrl, null);
@@ -10225,6 +7079,143 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     res.send(Constants.SETTINGS_PAGE_HTML);
   });
 
+  // ===== Authentication Routes =====
+
+  // Login page - only meaningful once an admin password has been set
+  app.get('/login', (req, res) => {
+    if (!authManager.isEnabled()) return res.redirect('/');
+    res.send(Constants.LOGIN_PAGE_HTML);
+  });
+
+  app.get('/api/auth/status', (req, res) => {
+    res.json({
+      enabled: authManager.isEnabled(),
+      authenticated: authManager.isRequestAuthenticated(req),
+    });
+  });
+
+  app.post('/api/auth/login', async (req, res) => {
+    const { password } = req.body || {};
+    if (!authManager.isEnabled()) {
+      return res.json({ success: true });
+    }
+    if (!authManager.verifyPassword(password)) {
+      logTS(`Failed login attempt from ${req.ip}`);
+      await delay(1000); // slow down password guessing
+      return res.status(401).json({ success: false, error: 'Incorrect password' });
+    }
+    authManager.login(req, res);
+    res.json({ success: true });
+  });
+
+  app.post('/api/auth/logout', (req, res) => {
+    authManager.logout(req, res);
+    res.json({ success: true });
+  });
+
+  app.get('/api/auth/settings', (req, res) => {
+    res.json({
+      enabled: authManager.isEnabled(),
+      minPasswordLength: authManager.MIN_PASSWORD_LENGTH,
+      exemptions: authManager.getExemptions(),
+      tokens: authManager.listTokens(),
+    });
+  });
+
+  // Set or change the admin password. Changing an existing password requires the current one.
+  app.post('/api/auth/password', (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (authManager.isEnabled() && !authManager.verifyPassword(currentPassword)) {
+      return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+    }
+    try {
+      authManager.setPassword(newPassword);
+      // Setting a password invalidates all sessions; keep the caller signed in
+      authManager.login(req, res);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Remove the admin password (turns authentication off)
+  app.delete('/api/auth/password', (req, res) => {
+    const { currentPassword } = req.body || {};
+    if (!authManager.isEnabled()) {
+      return res.json({ success: true });
+    }
+    if (!authManager.verifyPassword(currentPassword)) {
+      return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+    }
+    authManager.clearPassword();
+    res.json({ success: true });
+  });
+
+  app.put('/api/auth/exemptions', (req, res) => {
+    authManager.setExemptions(req.body || {});
+    res.json({ success: true, exemptions: authManager.getExemptions() });
+  });
+
+  app.post('/api/auth/tokens', (req, res) => {
+    try {
+      const token = authManager.createToken((req.body || {}).name);
+      res.json({ success: true, ...token });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/auth/tokens/:id', (req, res) => {
+    if (!authManager.revokeToken(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Token not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // Notification sinks and settings (saved immediately from the settings page)
+  app.get('/api/notifications', (req, res) => {
+    res.json(notifications.getSettings());
+  });
+
+  app.put('/api/notifications', (req, res) => {
+    try {
+      res.json({ success: true, ...notifications.updateSettings(req.body || {}) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.post('/api/notifications/sinks', (req, res) => {
+    try {
+      res.json({ success: true, sink: notifications.saveSink(null, req.body || {}) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.put('/api/notifications/sinks/:id', (req, res) => {
+    try {
+      const sink = notifications.saveSink(req.params.id, req.body || {});
+      if (!sink) return res.status(404).json({ success: false, error: 'Notification sink not found' });
+      res.json({ success: true, sink });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.delete('/api/notifications/sinks/:id', (req, res) => {
+    if (!notifications.removeSink(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Notification sink not found' });
+    }
+    res.json({ success: true });
+  });
+
+  app.post('/api/notifications/sinks/:id/test', async (req, res) => {
+    const result = await notifications.sendTest(req.params.id);
+    if (!result) return res.status(404).json({ success: false, error: 'Notification sink not found' });
+    res.status(result.success ? 200 : 502).json(result);
+  });
+
   // Settings API endpoint - returns current config, metadata, defaults, and CLI overrides
   app.get('/api/settings', (req, res) => {
     res.json({
@@ -10238,7 +7229,17 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
         enablePauseMonitor: Constants.ENABLE_PAUSE_MONITOR,
         pauseMonitorInterval: Constants.PAUSE_MONITOR_INTERVAL,
         browserHealthInterval: Constants.BROWSER_HEALTH_INTERVAL,
-        enableM3uAutoSync: Constants.ENABLE_M3U_AUTO_SYNC
+        enableM3uAutoSync: Constants.ENABLE_M3U_AUTO_SYNC,
+        resumeInterruptedRecordings: Constants.RESUME_INTERRUPTED_RECORDINGS,
+        startEarlyMinutes: Constants.START_EARLY_MINUTES,
+        endLateMinutes: Constants.END_LATE_MINUTES,
+        enableVideoWatchdog: Constants.ENABLE_VIDEO_WATCHDOG,
+        videoStallTimeout: Constants.VIDEO_STALL_TIMEOUT,
+        enableStreamAnalyzer: Constants.ENABLE_STREAM_ANALYZER,
+        streamAnalyzerInterval: Constants.STREAM_ANALYZER_INTERVAL,
+        streamInactivityTimeout: Constants.STREAM_INACTIVITY_TIMEOUT,
+        streamMaxErrors: Constants.STREAM_MAX_ERRORS,
+        streamRecoveryActions: Constants.STREAM_RECOVERY_ACTIONS
       },
       encoders: Constants.ENCODERS,
       metadata: CONFIG_METADATA,
@@ -10380,6 +7381,68 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     });
   });
 
+  // GET /api/backup - Download a backup bundle (config, channels, scheduled recordings,
+  // login check settings, playlist profiles). ?includeCredentials=true adds the saved Login Manager credentials,
+  // encrypted with the passphrase sent in the X-Backup-Passphrase header.
+  app.get('/api/backup', (req, res) => {
+    try {
+      const bundle = configBackup.createBackup({
+        dataDir: Constants.DATA_DIR,
+        configPath: Constants.CONFIG_FILE_PATH,
+        appVersion: Constants.APP_VERSION,
+        includeCredentials: req.query.includeCredentials === 'true',
+        passphrase: req.get('X-Backup-Passphrase') || '',
+      });
+      const stamp = bundle.createdAt.slice(0, 10);
+      logTS(`Configuration backup downloaded${bundle.credentials ? ' (with credentials)' : ''}`);
+      res.set('Content-Disposition', `attachment; filename="ch4c-backup-${stamp}.json"`);
+      res.json(bundle);
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // POST /api/restore - Restore a backup bundle: { backup, passphrase? }. The whole bundle is
+  // validated before anything is written; settings and encoders take effect after a restart.
+  // Bundles can be well over express's 100kb default body limit.
+  app.post('/api/restore', express.json({ limit: '20mb' }), async (req, res) => {
+    const { backup, passphrase } = req.body || {};
+    const validation = configBackup.validateBackup(backup, passphrase || '');
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, errors: validation.errors });
+    }
+
+    try {
+      const { restored, credentials } = configBackup.applyBackup(validation.contents, {
+        dataDir: Constants.DATA_DIR,
+        configPath: Constants.CONFIG_FILE_PATH,
+      });
+
+      // Swap in the restored channels, recordings and other data files now, so nothing
+      // in memory writes the old ones back over them before the restart
+      if (validation.contents.channels) await m3uManager.loadFromDisk();
+      if (validation.contents.scheduledRecordings) {
+        for (const entry of scheduledRecordings.values()) clearTimeout(entry.timerId);
+        scheduledRecordings.clear();
+        loadAndRescheduleRecordings(app.locals);
+      }
+      if (validation.contents.loginCheck) loginCheckScheduler.reload();
+      if (validation.contents.playlistProfiles) playlistProfiles.init(Constants.DATA_DIR);
+      if (validation.contents.notifications) notifications.init(Constants.DATA_DIR);
+
+      logTS(`Configuration restored from backup: ${restored.join(', ')}${credentials ? `, credentials for ${credentials} site(s)` : ''}`);
+      res.json({
+        success: true,
+        message: 'Backup restored. Restart CH4C for settings and encoder changes to take effect.',
+        restored,
+        credentials
+      });
+    } catch (error) {
+      logTS(`Restore failed: ${error.message}`);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
   // Graceful shutdown helper - closes all browsers and exits
   async function gracefulShutdown(label) {
     logTS(`Shutting down (${label})...`);
@@ -10502,6 +7565,32 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     res.json({ success: true, message: 'Encoder removed. Restart to apply.' });
   });
 
+  // Encoder selection policy settings (applied immediately, no restart needed)
+  app.get('/api/encoder-selection', (req, res) => {
+    res.json({ ...encoderSelector.getSettings(), encoders: Constants.ENCODERS.map(e => ({ url: e.url, channel: e.channel })) });
+  });
+
+  app.put('/api/encoder-selection', (req, res) => {
+    try {
+      res.json({ success: true, settings: encoderSelector.updateSettings(req.body || {}) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Encoder queue: pre-emption / queue timeout settings plus the current queue
+  app.get('/api/encoder-queue', (req, res) => {
+    res.json(encoderQueue.getStatus());
+  });
+
+  app.put('/api/encoder-queue', (req, res) => {
+    try {
+      res.json({ success: true, settings: encoderQueue.updateSettings(req.body || {}) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
   // Directory browser API - lists subdirectories for the data directory picker
   app.get('/api/directories', (req, res) => {
     const requestedPath = req.query.path;
@@ -10544,6 +7633,11 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     res.json({ sites: LOGIN_SITES });
   });
 
+  // Registered site handlers (sites/) and what each one supports
+  app.get('/api/sites', (_req, res) => {
+    res.json({ sites: sites.listSites() });
+  });
+
   // Initialise credential store with the app's data directory
   credentialsStore.init(Constants.DATA_DIR);
 
@@ -10652,17 +7746,23 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
 
   // Scheduled Recordings API
   app.get('/api/scheduled-recordings', (req, res) => {
-    const data = Array.from(scheduledRecordings.entries()).map(([id, entry]) => ({
-      id,
-      scheduledTime: entry.scheduledTime,
-      name: entry.params.recording_name || 'Scheduled Recording',
-      duration: entry.params.recording_duration,
-      url: entry.params.recording_url,
-    }));
+    const data = Array.from(scheduledRecordings.entries()).map(([id, entry]) => describeScheduledRecording(id, entry));
     res.json(data);
   });
 
+  // DELETE cancels the recording (the whole series if recurring); ?scope=occurrence skips
+  // only the pending occurrence of a series.
   app.delete('/api/scheduled-recordings/:id', (req, res) => {
+    if (req.query.scope === 'occurrence') {
+      const result = skipScheduledOccurrence(req.params.id);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Recurring scheduled recording not found' });
+      }
+      return res.json({
+        success: true,
+        message: result === 'skipped' ? 'Next occurrence skipped' : 'That was the last occurrence; series cancelled'
+      });
+    }
     const cancelled = cancelScheduledRecording(req.params.id);
     if (cancelled) {
       res.json({ success: true, message: 'Scheduled recording cancelled' });
@@ -10671,6 +7771,117 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     }
   });
 
+  // Edit a pending scheduled recording. Body uses the POST /instant field names; fields left
+  // out keep their current value. Optional repeat fields (repeat, repeat_days, ...) replace
+  // the repeat rule; otherwise a recurring series keeps its rule, re-anchored on the new time.
+  app.put('/api/scheduled-recordings/:id', (req, res) => {
+    const id = req.params.id;
+    const entry = scheduledRecordings.get(id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Scheduled recording not found' });
+    }
+    const body = req.body || {};
+    const fields = { ...entry.params, record_later_time: entry.scheduledTime };
+    for (const key of SCHEDULED_RECORDING_FIELDS) {
+      if (body[key] !== undefined) fields[key] = body[key];
+    }
+    const validated = validateScheduledRecording(fields);
+    if (validated.error) {
+      return res.status(400).json({ success: false, error: validated.error });
+    }
+
+    let rule = entry.recurrence;
+    let occurrence = entry.occurrence;
+    try {
+      if (body.repeat !== undefined) {
+        rule = recurrence.normalizeRule(recurrenceInputFromForm(body), validated.scheduledTime);
+        // Keep counting toward "after N recordings" unless the limit itself changed
+        if (!rule || !entry.recurrence || rule.count !== entry.recurrence.count) occurrence = 1;
+      } else if (rule && validated.scheduledTime !== entry.scheduledTime) {
+        rule = recurrence.normalizeRule(rule, validated.scheduledTime);
+      }
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+
+    const startTime = rule ? rule.start : validated.scheduledTime;
+    const check = checkScheduleConflicts(id, validated.params, startTime, rule, rule ? occurrence : 1, isTrue(body.allow_conflicts));
+    if (check.error) {
+      return res.status(409).json({ success: false, error: check.error, conflicts: check.conflicts });
+    }
+
+    clearTimeout(entry.timerId);
+    scheduleRecording(id, validated.params, startTime, entry.appLocals, rule, rule ? occurrence : 1);
+    logTS(`Scheduled recording "${validated.params.recording_name}" updated: ${new Date(startTime).toLocaleString()}, ${validated.params.recording_duration} min`);
+    res.json({
+      success: true,
+      recording: describeScheduledRecording(id, scheduledRecordings.get(id)),
+      warning: check.warning,
+      conflicts: check.conflicts
+    });
+  });
+
+  // Set, change or remove (frequency "none") the repeat rule of a scheduled recording.
+  // The rule restarts from the pending occurrence's start time.
+  app.put('/api/scheduled-recordings/:id/recurrence', (req, res) => {
+    const entry = scheduledRecordings.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Scheduled recording not found' });
+    }
+    let rule;
+    try {
+      rule = recurrence.normalizeRule(req.body || {}, entry.scheduledTime);
+    } catch (e) {
+      return res.status(400).json({ success: false, error: e.message });
+    }
+    const startTime = rule ? rule.start : entry.scheduledTime;
+    const check = checkScheduleConflicts(req.params.id, entry.params, startTime, rule, 1, isTrue((req.body || {}).allow_conflicts));
+    if (check.error) {
+      return res.status(409).json({ success: false, error: check.error, conflicts: check.conflicts });
+    }
+    clearTimeout(entry.timerId);
+    scheduleRecording(req.params.id, entry.params, startTime, entry.appLocals, rule);
+    logTS(`Scheduled recording "${entry.params.recording_name}" repeat set to: ${recurrence.describeRule(rule)}`);
+    res.json({
+      success: true,
+      recording: describeScheduledRecording(req.params.id, scheduledRecordings.get(req.params.id)),
+      warning: check.warning,
+      conflicts: check.conflicts
+    });
+  });
+
+  // Encoder usage by scheduled (and running) recordings over the next ?days=N (default 7, max 31)
+  app.get('/api/scheduled-recordings/timeline', (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 31);
+    const now = Date.now();
+    res.json(scheduleConflicts.buildTimeline(currentScheduleJobs(), Constants.ENCODERS, now, now + days * 24 * 60 * 60 * 1000));
+  });
+
+  // Recording history API — outcome of every instant and scheduled recording, newest first.
+  // Optional filters: ?status=completed|stopped|failed|interrupted|recording, ?type=instant|scheduled, ?limit=N
+  app.get('/api/recordings/history', (req, res) => {
+    const { status, type } = req.query;
+    if (status && !recordingHistory.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${recordingHistory.STATUSES.join(', ')}` });
+    }
+    res.json(recordingHistory.list({ status, type, limit: parseInt(req.query.limit, 10) || 0 }));
+  });
+
+  app.get('/api/recordings/history/:id', (req, res) => {
+    const entry = recordingHistory.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Recording not found in history' });
+    }
+    res.json(entry);
+  });
+
+  // Clear finished entries (recordings in progress are kept)
+  app.delete('/api/recordings/history', (req, res) => {
+    const removed = recordingHistory.clear();
+    logTS(`Recording history cleared (${removed} entries)`);
+    res.json({ success: true, message: `Removed ${removed} entr${removed === 1 ? 'y' : 'ies'} from recording history` });
+  });
+
   // Content Search API — uses an existing encoder browser to search a streaming service
   // and return the watch URL for the first matching result.
   app.post('/api/search-content', async (req, res) => {
@@ -10785,7 +7996,7 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     }
     logTS(`Configure settings at http://localhost:${Constants.CH4C_PORT}/settings`);
     loadAndRescheduleRecordings(app.locals);
-    reportInterruptedInstantRecordings();
+    handleInterruptedInstantRecordings(app.locals);
   });
 
   // Handle HTTP server startup errors
@@ -10830,6 +8041,11 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
     const pathname = url.parse(request.url).pathname;
 
     if (pathname.startsWith('/vnc-proxy')) {
+      if (!authManager.isRequestAuthenticated(request)) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
       logTS('VNC WebSocket connection requested');
 
       wss.handleUpgrade(request, socket, head, (ws) => {
@@ -10909,6 +8125,11 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
       const pathname = url.parse(request.url).pathname;
 
       if (pathname.startsWith('/vnc-proxy')) {
+        if (!authManager.isRequestAuthenticated(request)) {
+          socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+          socket.destroy();
+          return;
+        }
         wss.handleUpgrade(request, socket, head, (ws) => {
           const vncHost = '127.0.0.1';
           const urlParams = new URLSearchParams(request.url.split('?')[1]);
@@ -10975,86 +8196,19 @@ ${processInfo && processInfo.pid !== 'Unknown' ?
   process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 }
 
-async function fullScreenVideoFoxSports(page) {
-  logTS("Fox Sports: setting up fullscreen");
-
-  // Play was already clicked in setupBrowserAudio; just unmute and go fullscreen.
-  await page.evaluate(() => {
-    const video = document.querySelector('.fs-player video, video');
-    if (video) {
-      video.muted = false;
-      if (video.volume === 0) video.volume = 1;
-      video.requestFullscreen?.();
-    }
-  }).catch(() => {});
-
-  logTS("Fox Sports: fullscreen setup complete");
-}
-
 // Helper function to consolidate site-specific fullscreen logic
+// Returns false if fullscreen setup failed (logged, not thrown: it shouldn't stop a new stream)
 async function handleSiteSpecificFullscreen(targetUrl, page, encoderConfig = null, closedCaptions = '') {
   try {
-    if (targetUrl.includes("stream.directv.com")) {
-      logTS("Handling DirecTV Stream video");
-      await fullScreenVideoDirectv(page, encoderConfig, closedCaptions);
-    } else if (targetUrl.includes("youtube.com") || targetUrl.includes("youtu.be")) {
-      logTS("Handling YouTube video");
-      await fullScreenVideoYouTube(page, closedCaptions);
-    } else if (targetUrl.includes("amazon.com")) {
-      logTS("Handling Amazon Prime Video");
-      await fullScreenVideoAmazon(page, closedCaptions, encoderConfig);
-    } else if (targetUrl.includes("watch.sling.com")) {
-      logTS("Handling Sling video");
-      await fullScreenVideoSling(page, encoderConfig, closedCaptions);
-    } else if (targetUrl.includes("peacocktv.com")) {
-      await fullScreenVideoPeacock(page, encoderConfig, closedCaptions);
-    } else if (targetUrl.includes("spectrum.net")) {
-      await fullScreenVideoSpectrum(page);
-    } else if (targetUrl.includes("photos.app.goo.gl")) {
-      logTS("Handling Google Photos");
-      await fullScreenVideoGooglePhotos(page);
-    } else if (targetUrl.includes("espn.com")) {
-      logTS("Handling ESPN video");
-      await fullScreenVideoESPN(page, encoderConfig, closedCaptions);
-    } else if (targetUrl.includes("disneyplus.com")) {
-      logTS("Handling Disney+ video");
-      await fullScreenVideoDisneyPlus(page, closedCaptions);
-    } else if (targetUrl.includes("tv.apple.com")) {
-      logTS("Handling Apple TV+ video");
-      await fullScreenVideoAppleTV(page, encoderConfig, closedCaptions);
-    } else if (targetUrl.includes("hbomax.com") || targetUrl.includes("max.com")) {
-      logTS("Handling Max (HBO Max) video");
-      await fullScreenVideoMax(page, closedCaptions);
-    } else if (targetUrl.includes("netflix.com")) {
-      logTS("Handling Netflix video");
-      await fullScreenVideoNetflix(page, closedCaptions);
-    } else if (targetUrl.includes("disneynow.com")) {
-      logTS("Handling DisneyNow video");
-      await fullScreenVideoDisneyNow(page);
-    } else if (targetUrl.includes("foxsports.com")) {
-      logTS("Handling Fox Sports video");
-      await fullScreenVideoFoxSports(page);
-    } else if (targetUrl.includes("fxnow.fxnetworks.com") || targetUrl.includes("abc.com")) {
-      logTS("Handling FXNow/ABC video");
-      await fullScreenVideoFXNow(page);
-    } else if (targetUrl.includes("nationalgeographic.com")) {
-      logTS("Handling National Geographic video");
-      await fullScreenVideoNatGeo(page);
-    } else if (targetUrl.includes("tbs.com") || targetUrl.includes("tntdrama.com")) {
-      logTS("Handling TBS/TNT video");
-      await fullScreenVideoTBS(page);
-    } else if (targetUrl.includes("usanetwork.com")) {
-      logTS("Handling USA Network video");
-      await fullScreenVideoUSA(page);
-    } else if (targetUrl.includes("play.aetv.com") || targetUrl.includes("play.history.com")) {
-      logTS("Handling AETV/History video");
-      await fullScreenVideoAETV(page);
-    } else if (targetUrl.includes("go.discovery.com")) {
-      logTS("Handling Discovery video");
-      await fullScreenVideoDiscovery(page, closedCaptions);
-    } else if (targetUrl.includes("cbs.com")) {
-      logTS("Handling CBS video");
-      await fullScreenVideoCBS(page);
+    const site = sites.findSite(targetUrl);
+    if (site) {
+      logTS(`Handling ${site.name} video`);
+      await site.fullscreen(page, targetUrl, {
+        encoderUrl: encoderConfig ? encoderConfig.url : 'unknown',
+        encoderConfig,
+        closedCaptions,
+        channel: null
+      });
     } else {
       logTS("Handling default video");
       await fullScreenVideo(page);
@@ -11066,12 +8220,133 @@ async function handleSiteSpecificFullscreen(targetUrl, page, encoderConfig = nul
       style.textContent = '*, *::before, *::after { cursor: none !important; }';
       document.head.appendChild(style);
     }).catch(() => {});
+    return true;
   } catch (e) {
     logTS(`Fullscreen setup failed (non-fatal): ${e.message}`);
     // Don't throw - fullscreen failure shouldn't stop the stream
+    return false;
+  }
+}
+
+/**
+ * Restore an encoder's browser window from minimized onto the encoder's monitor, then set it
+ * to the state the site wants. Failures are logged, not thrown.
+ */
+async function showStreamWindow(page, encoderConfig, targetUrl) {
+  // First restore from minimized, then set to fullscreen or maximized
+  // Peacock works better with maximized browser (video will go fullscreen via player controls)
+  try {
+    const session = await page.createCDPSession();
+    const {windowId} = await session.send('Browser.getWindowForTarget');
+
+    // First restore to normal state (from minimized), preserving the correct monitor position
+    await session.send('Browser.setWindowBounds', {
+      windowId,
+      bounds: {
+        windowState: 'normal',
+        left: encoderConfig.width,
+        top: encoderConfig.height,
+        width: 1280,
+        height: 720
+      }
+    });
+    await delay(100); // Brief delay to let window restore
+
+    // Site handlers choose the window state: players that handle fullscreen internally
+    // (Peacock, Disney+, Max) want a maximized window, everything else OS-level fullscreen
+    const windowState = sites.getWindowState(targetUrl);
+    await session.send('Browser.setWindowBounds', {windowId, bounds: {windowState}});
+    await session.detach();
+    logTS(`[${encoderConfig.url}] Browser window restored and set to ${windowState} via CDP`);
+  } catch (cdpError) {
+    logTS(`CDP fullscreen error (non-fatal): ${cdpError.message}`);
   }
 }
 
+/**
+ * Recovery actions StreamMonitor runs on a stalled or erroring stream, mildest first:
+ *   fullscreen  re-run the site's fullscreen/play handling on the current page
+ *   reload      reload the page, then fullscreen
+ *   navigate    open the stream URL again (with the site's own navigation flow), then audio and fullscreen
+ *   browser     restart the encoder's browser with attemptBrowserRecovery, then navigate
+ * Each handler throws if the action couldn't be carried out.
+ */
+function createStreamRecoveryHandlers(recoveryManager) {
+  const encoderFor = (encoderUrl) => {
+    const encoderConfig = Constants.ENCODERS.find(e => e.url === encoderUrl);
+    if (!encoderConfig) throw new Error('Encoder is no longer configured');
+    return encoderConfig;
+  };
+
+  const streamPage = async (encoderUrl) => {
+    const browser = browsers.get(encoderUrl);
+    if (!browser || !browser.isConnected()) throw new Error('Browser not connected');
+    const pages = await browser.pages();
+    if (pages.length === 0) throw new Error('Browser has no page');
+    return pages[0];
+  };
+
+  const fullscreen = async (encoderUrl, { targetUrl, closedCaptions }) => {
+    const page = await streamPage(encoderUrl);
+    if (!await handleSiteSpecificFullscreen(targetUrl, page, encoderFor(encoderUrl), closedCaptions)) {
+      throw new Error('Fullscreen setup failed');
+    }
+  };
+
+  const navigate = async (encoderUrl, context) => {
+    const { targetUrl, closedCaptions, channel } = context;
+    if (!targetUrl) throw new Error('Stream has no target URL');
+    const encoderConfig = encoderFor(encoderUrl);
+    const page = await streamPage(encoderUrl);
+
+    const site = sites.findSite(targetUrl);
+    let navigated = false;
+    if (site && site.navigate) {
+      const result = await site.navigate(page, targetUrl, { encoderUrl, encoderConfig, closedCaptions, channel });
+      if (result === false) throw new Error(`Failed to navigate to ${site.name} using navigation flow`);
+      navigated = !!result;
+    }
+    if (!navigated) {
+      await page.goto(targetUrl, { waitUntil: site ? site.waitUntil : 'networkidle2', timeout: 30000 });
+    }
+
+    if (!site || !site.skipAudioSetup) {
+      await setupBrowserAudio(page, encoderConfig, targetUrl);
+    }
+    if (!await handleSiteSpecificFullscreen(targetUrl, page, encoderConfig, closedCaptions)) {
+      throw new Error('Fullscreen setup failed after navigating');
+    }
+  };
+
+  return {
+    fullscreen,
+
+    reload: async (encoderUrl, context) => {
+      const page = await streamPage(encoderUrl);
+      const site = sites.findSite(context.targetUrl);
+      await page.reload({ waitUntil: site ? site.waitUntil : 'networkidle2', timeout: 30000 });
+      await fullscreen(encoderUrl, context);
+    },
+
+    navigate,
+
+    browser: async (encoderUrl, context) => {
+      const encoderConfig = encoderFor(encoderUrl);
+      const recovered = await recoveryManager.attemptBrowserRecovery(
+        encoderUrl,
+        encoderConfig,
+        browsers,
+        launchBrowser,
+        Constants
+      );
+      if (!recovered) throw new Error('Browser recovery failed');
+      // The relaunched browser starts minimized on about:blank
+      await showStreamWindow(await streamPage(encoderUrl), encoderConfig, context.targetUrl);
+      await navigate(encoderUrl, context);
+    }
+  };
+}
+
 // Only run the main function if this is the main module
 if (require.main === module) {
   main().catch(async (err) => {
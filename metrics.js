@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * metrics.js
+ * Prometheus text format (exposition format 0.0.4) for GET /metrics.
+ *
+ * Most metrics are read from the monitors at scrape time and passed to render() as
+ * families. The few that only exist as events are kept here:
+ *   ch4c_stream_bytes_total{encoder}        bytes /stream piped from each encoder
+ *   ch4c_tune_latency_seconds{site}         histogram of /stream request → video fullscreen
+ *   ch4c_tunes_total{site,result}           tunes that reached fullscreen (ok) or failed
+ * These counters are in memory and start from zero when CH4C restarts.
+ */
+
+const TUNE_LATENCY_BUCKETS = [1, 2, 5, 10, 15, 20, 30, 45, 60, 90, 120]; // seconds
+
+const _streamBytes = new Map(); // encoderUrl -> bytes
+const _tuneLatency = new Map(); // site -> { counts (per bucket, cumulative at render), sum, count }
+const _tunes = new Map(); // `${site}\n${result}` -> count
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {}).filter(([, v]) => v !== undefined && v !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return Number.isFinite(Number(value)) ? String(Number(value)) : 'NaN';
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/** Count bytes piped from an encoder to a /stream client. */
+function addStreamBytes(encoderUrl, bytes) {
+  _streamBytes.set(encoderUrl, (_streamBytes.get(encoderUrl) || 0) + bytes);
+}
+
+/**
+ * Record how long a tune took, from the /stream request to the video being fullscreen.
+ * @param {string} site - site handler id ('generic' for URLs without one)
+ * @param {number} seconds
+ */
+function observeTuneLatency(site, seconds) {
+  let histogram = _tuneLatency.get(site);
+  if (!histogram) {
+    histogram = { counts: TUNE_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    _tuneLatency.set(site, histogram);
+  }
+  const bucket = TUNE_LATENCY_BUCKETS.findIndex(le => seconds <= le);
+  if (bucket >= 0) histogram.counts[bucket]++;
+  histogram.sum += seconds;
+  histogram.count++;
+  recordTune(site, 'ok');
+}
+
+/** Count a tune by outcome ('ok' is counted by observeTuneLatency). */
+function recordTune(site, result) {
+  const key = `${site}\n${result}`;
+  _tunes.set(key, (_tunes.get(key) || 0) + 1);
+}
+
+/**
+ * A metric family for render().
+ * @param {string} name
+ * @param {'gauge'|'counter'|'histogram'} type
+ * @param {string} help
+ * @param {Array<{labels?: object, value: number|boolean, suffix?: string}>} samples
+ */
+function family(name, type, help, samples) {
+  return { name, type, help, samples };
+}
+
+/** The event metrics kept by this module, as families for render(). */
+function eventFamilies() {
+  const latencySamples = [];
+  for (const [site, histogram] of _tuneLatency) {
+    let cumulative = 0;
+    TUNE_LATENCY_BUCKETS.forEach((le, i) => {
+      cumulative += histogram.counts[i];
+      latencySamples.push({ suffix: '_bucket', labels: { site, le }, value: cumulative });
+    });
+    latencySamples.push({ suffix: '_bucket', labels: { site, le: '+Inf' }, value: histogram.count });
+    latencySamples.push({ suffix: '_sum', labels: { site }, value: histogram.sum });
+    latencySamples.push({ suffix: '_count', labels: { site }, value: histogram.count });
+  }
+
+  return [
+    family('ch4c_stream_bytes_total', 'counter', 'Bytes piped from the encoder to /stream clients',
+      Array.from(_streamBytes, ([encoder, value]) => ({ labels: { encoder }, value }))),
+    family('ch4c_tune_latency_seconds', 'histogram', 'Time from a /stream request to the video playing fullscreen',
+      latencySamples),
+    family('ch4c_tunes_total', 'counter', 'Stream tunes by site and result',
+      Array.from(_tunes, ([key, value]) => {
+        const [site, result] = key.split('\n');
+        return { labels: { site, result }, value };
+      })),
+  ];
+}
+
+/**
+ * Render metric families in the Prometheus text format.
+ * @param {object[]} families - from family() / eventFamilies()
+ * @returns {string}
+ */
+function render(families) {
+  const lines = [];
+  for (const { name, type, help, samples } of families) {
+    lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    for (const sample of samples) {
+      lines.push(`${name}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  addStreamBytes,
+  observeTuneLatency,
+  recordTune,
+  family,
+  eventFamilies,
+  render,
+};
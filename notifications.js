@@ -0,0 +1,525 @@
+'use strict';
+
+/**
+ * notifications.js
+ * Pushes failures that would otherwise only reach the log — a login check that failed, a
+ * recording that failed, an encoder or browser that stays down — to the user.
+ *
+ * Sinks (any number, each subscribed to its own set of events):
+ *   webhook   POST of a JSON body { app, event, title, message, subject, timestamp } to a URL
+ *   ntfy      ntfy.sh or a self-hosted ntfy server (JSON publish), optional access token
+ *   gotify    a Gotify server, with an application token
+ *   email     plain-text mail through an SMTP server (STARTTLS, implicit TLS or none,
+ *             AUTH PLAIN / LOGIN) — a minimal client, so no mail dependency is needed
+ *
+ * Rate limiting: an event about the same subject (e.g. the same encoder) is sent at most once
+ * every `rateLimitMinutes`; repeats inside that window are counted and mentioned in the next
+ * notification that goes out. The window is kept in memory only.
+ *
+ * Persistence: sinks and settings are stored in <DATA_DIR>/notifications.json. Sink secrets
+ * (SMTP password, ntfy / Gotify token) are kept encrypted in credentials-store.js under
+ * `notify:<sinkId>` and are never sent back to the browser. Restoring a config backup that
+ * includes credentials restores these secrets along with the sinks (config-backup.js). A
+ * backup without credentials, or one made before notifications existed, has none: its sinks
+ * come back without their secrets (re-enter them on the settings page).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const fetch = require('node-fetch');
+const { logTS } = require('./logger');
+const credentialsStore = require('./credentials-store');
+
+const EVENTS = {
+  'login-check-failed': 'Login check failed',
+  'recording-failed': 'Recording failed',
+  'encoder-unhealthy': 'Encoder unhealthy',
+  'browser-recovery-failed': 'Browser recovery failed',
+  'stream-recovery-exhausted': 'Stream recovery ran out of actions',
+};
+const SINK_TYPES = ['webhook', 'ntfy', 'gotify', 'email'];
+const EMAIL_SECURITY = ['starttls', 'tls', 'none'];
+const SEND_TIMEOUT_MS = 15000;
+const SMTP_TIMEOUT_MS = 30000;
+const MAX_RATE_LIMIT_MINUTES = 1440;
+
+const DEFAULT_STATE = {
+  rateLimitMinutes: 30,
+  sinks: [], // [{ id, type, name, enabled, events, config, createdAt, updatedAt }]
+};
+
+let _dataDir = 'data';
+let _state = { ...DEFAULT_STATE };
+const _lastSent = new Map();   // `${event}\n${subject}` -> { at, suppressed }
+const _lastResult = new Map(); // sinkId -> { at, success, error }
+
+function settingsFilePath() {
+  return path.join(_dataDir, 'notifications.json');
+}
+
+function loadState() {
+  try {
+    const f = settingsFilePath();
+    if (fs.existsSync(f)) {
+      _state = { ...DEFAULT_STATE, ...JSON.parse(fs.readFileSync(f, 'utf8')) };
+    }
+  } catch (e) {
+    logTS(`notifications: failed to load settings: ${e.message}`);
+  }
+}
+
+function saveState() {
+  try {
+    fs.mkdirSync(_dataDir, { recursive: true });
+    fs.writeFileSync(settingsFilePath(), JSON.stringify(_state, null, 2), 'utf8');
+  } catch (e) {
+    logTS(`notifications: failed to save settings: ${e.message}`);
+  }
+}
+
+function secretId(sinkId) {
+  return `notify:${sinkId}`;
+}
+
+function getSecret(sinkId) {
+  const creds = credentialsStore.getCredentials(secretId(sinkId));
+  return creds ? creds.secret || '' : '';
+}
+
+// Header values and SMTP commands must stay on one line
+function oneLine(value) {
+  return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+function trimSlash(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function publicSink(sink) {
+  return {
+    ...sink,
+    hasSecret: !!getSecret(sink.id),
+    lastResult: _lastResult.get(sink.id) || null,
+  };
+}
+
+/**
+ * Check and normalise a sink's type-specific settings.
+ * @returns {object} config
+ * @throws {Error} naming the first invalid field
+ */
+function validateConfig(type, config) {
+  const c = config || {};
+  switch (type) {
+    case 'webhook': {
+      const url = String(c.url || '').trim();
+      if (!isHttpUrl(url)) throw new Error('Webhook URL must be an http:// or https:// URL');
+      return { url };
+    }
+    case 'ntfy': {
+      const server = trimSlash(String(c.server || 'https://ntfy.sh').trim());
+      const topic = String(c.topic || '').trim();
+      if (!isHttpUrl(server)) throw new Error('ntfy server must be an http:// or https:// URL');
+      if (!/^[A-Za-z0-9_-]{1,64}$/.test(topic)) throw new Error('ntfy topic must be 1-64 letters, digits, "-" or "_"');
+      return { server, topic };
+    }
+    case 'gotify': {
+      const server = trimSlash(String(c.server || '').trim());
+      if (!isHttpUrl(server)) throw new Error('Gotify server must be an http:// or https:// URL');
+      return { server };
+    }
+    case 'email': {
+      const host = oneLine(c.host);
+      const security = c.security || 'starttls';
+      const port = Number(c.port || (security === 'tls' ? 465 : 587));
+      const from = oneLine(c.from);
+      const to = String(c.to || '').split(',').map(oneLine).filter(Boolean);
+      if (!host) throw new Error('SMTP server is required');
+      if (!EMAIL_SECURITY.includes(security)) throw new Error(`Security must be one of: ${EMAIL_SECURITY.join(', ')}`);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('SMTP port must be 1-65535');
+      if (!from.includes('@')) throw new Error('From address is required');
+      if (to.length === 0 || to.some(addr => !addr.includes('@'))) throw new Error('To must be one or more comma-separated addresses');
+      return { host, port, security, username: oneLine(c.username), from, to: to.join(', ') };
+    }
+    default:
+      throw new Error(`Type must be one of: ${SINK_TYPES.join(', ')}`);
+  }
+}
+
+// ─── SMTP ────────────────────────────────────────────────────────────────────
+
+/** Reads SMTP replies (possibly multi-line) from a socket that may be upgraded to TLS. */
+class SmtpReader {
+  constructor(socket) {
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk.toString('utf8');
+      let newline;
+      while ((newline = this.buffer.indexOf('\n')) >= 0) {
+        this.lines.push(this.buffer.slice(0, newline).replace(/\r$/, ''));
+        this.buffer = this.buffer.slice(newline + 1);
+      }
+      this.flush();
+    });
+    socket.on('error', (error) => { this.error = error; this.flush(); });
+    socket.on('close', () => { this.error = this.error || new Error('SMTP connection closed'); this.flush(); });
+  }
+
+  flush() {
+    if (!this.waiting) return;
+    // A reply ends with a line whose fourth character is a space ("250 OK", not "250-...")
+    const end = this.lines.findIndex(line => line.charAt(3) !== '-');
+    if (end >= 0) {
+      const lines = this.lines.splice(0, end + 1);
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve({ code: parseInt(lines[end].slice(0, 3), 10), lines });
+    } else if (this.error) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /** Send a command (unless null) and check the reply code. */
+  async command(line, expected, label = line) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label.split(' ')[0]} failed: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+}
+
+function connectSocket(host, port, secure) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeSocket(socket, host) {
+  return new Promise((resolve, reject) => {
+    socket.removeAllListeners('data');
+    socket.removeAllListeners('close');
+    socket.setTimeout(0);
+    const secure = tls.connect({ socket, servername: host }, () => resolve(secure));
+    secure.once('error', reject);
+  });
+}
+
+function encodeHeader(value) {
+  const text = oneLine(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function angleAddress(address) {
+  const match = /<([^>]+)>/.exec(address);
+  return match ? match[1] : address;
+}
+
+/**
+ * Send one plain-text mail.
+ * @param {object} config - validated email sink config
+ * @param {string} password
+ * @param {{ subject: string, text: string }} mail
+ */
+async function sendMail(config, password, { subject, text }) {
+  const { host, port, security, username, from } = config;
+  const recipients = config.to.split(',').map(oneLine).filter(Boolean);
+  let socket = await connectSocket(host, port, security === 'tls');
+  const smtp = new SmtpReader(socket);
+  try {
+    await smtp.command(null, [220], 'greeting');
+    const hello = `EHLO ${os.hostname() || 'localhost'}`;
+    let ehlo = await smtp.command(hello, [250]);
+
+    if (security === 'starttls') {
+      await smtp.command('STARTTLS', [220]);
+      socket = await upgradeSocket(socket, host);
+      smtp.attach(socket);
+      ehlo = await smtp.command(hello, [250]);
+    }
+
+    if (username) {
+      const authLine = ehlo.lines.map(line => line.slice(4).toUpperCase()).find(line => line.startsWith('AUTH')) || '';
+      if (authLine.includes('PLAIN')) {
+        await smtp.command(`AUTH PLAIN ${Buffer.from(`\0${username}\0${password}`, 'utf8').toString('base64')}`, [235], 'AUTH');
+      } else if (authLine.includes('LOGIN')) {
+        await smtp.command('AUTH LOGIN', [334]);
+        await smtp.command(Buffer.from(username, 'utf8').toString('base64'), [334], 'AUTH');
+        await smtp.command(Buffer.from(password, 'utf8').toString('base64'), [235], 'AUTH');
+      } else {
+        throw new Error('SMTP server does not offer AUTH PLAIN or LOGIN');
+      }
+    }
+
+    await smtp.command(`MAIL FROM:<${angleAddress(from)}>`, [250]);
+    for (const to of recipients) {
+      await smtp.command(`RCPT TO:<${angleAddress(to)}>`, [250, 251]);
+    }
+    await smtp.command('DATA', [354]);
+
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    const message = [
+      `From: ${from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${angleAddress(from).split('@')[1]}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body,
+    ].join('\r\n');
+    await smtp.command(`${message}\r\n.`, [250], 'DATA');
+    smtp.socket.write('QUIT\r\n');
+  } finally {
+    smtp.socket.end();
+  }
+}
+
+// ─── Sinks ───────────────────────────────────────────────────────────────────
+
+async function post(url, options) {
+  const response = await fetch(url, { method: 'POST', signal: AbortSignal.timeout(SEND_TIMEOUT_MS), ...options });
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+}
+
+/**
+ * Deliver one notification to one sink.
+ * @param {object} sink
+ * @param {{ event: string, title: string, message: string, subject: string, timestamp: string }} notification
+ */
+async function deliver(sink, notification) {
+  const { config } = sink;
+  const secret = getSecret(sink.id);
+  const failure = notification.event !== 'test';
+  switch (sink.type) {
+    case 'webhook':
+      return post(config.url, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ app: 'CH4C', ...notification }),
+      });
+    case 'ntfy':
+      return post(config.server, {
+        headers: { 'Content-Type': 'application/json', ...(secret ? { Authorization: `Bearer ${secret}` } : {}) },
+        body: JSON.stringify({
+          topic: config.topic,
+          title: notification.title,
+          message: notification.message,
+          priority: failure ? 4 : 3,
+          tags: [failure ? 'warning' : 'bell'],
+        }),
+      });
+    case 'gotify':
+      if (!secret) throw new Error('Gotify application token is not set');
+      return post(`${config.server}/message`, {
+        headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': secret },
+        body: JSON.stringify({ title: notification.title, message: notification.message, priority: failure ? 8 : 4 }),
+      });
+    case 'email':
+      return sendMail(config, secret, {
+        subject: notification.title,
+        text: `${notification.message}\n\n${new Date(notification.timestamp).toLocaleString()} on ${os.hostname()}`,
+      });
+    default:
+      throw new Error(`Unknown sink type ${sink.type}`);
+  }
+}
+
+async function deliverAndRecord(sink, notification) {
+  try {
+    await deliver(sink, notification);
+    _lastResult.set(sink.id, { at: new Date().toISOString(), success: true, error: null });
+    return { sinkId: sink.id, success: true };
+  } catch (error) {
+    logTS(`notifications: "${sink.name}" (${sink.type}) failed: ${error.message}`);
+    _lastResult.set(sink.id, { at: new Date().toISOString(), success: false, error: error.message });
+    return { sinkId: sink.id, success: false, error: error.message };
+  }
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} dataDir - CH4C data directory (notifications.json is stored here).
+ */
+function init(dataDir) {
+  _dataDir = dataDir || 'data';
+  loadState();
+}
+
+/** Settings and sinks for the settings page (secrets replaced by hasSecret). */
+function getSettings() {
+  return {
+    rateLimitMinutes: _state.rateLimitMinutes,
+    events: Object.entries(EVENTS).map(([key, label]) => ({ key, label })),
+    sinkTypes: SINK_TYPES,
+    sinks: _state.sinks.map(publicSink),
+  };
+}
+
+/**
+ * @param {{ rateLimitMinutes?: number }} settings
+ * @throws {Error} for an out-of-range value
+ */
+function updateSettings({ rateLimitMinutes } = {}) {
+  if (rateLimitMinutes !== undefined) {
+    const minutes = Number(rateLimitMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_RATE_LIMIT_MINUTES) {
+      throw new Error(`Rate limit must be a whole number of minutes from 0 to ${MAX_RATE_LIMIT_MINUTES}`);
+    }
+    _state.rateLimitMinutes = minutes;
+  }
+  saveState();
+  return getSettings();
+}
+
+/**
+ * Create a sink (id null) or update the given fields of an existing one.
+ * @param {string|null} id
+ * @param {{ type?, name?, enabled?, events?, config?, secret? }} fields - secret: a new
+ *   password / token, '' to remove it, or undefined to keep the saved one
+ * @returns {object|null} the saved sink (without its secret), or null if there is no such sink
+ * @throws {Error} for an invalid field
+ */
+function saveSink(id, fields) {
+  const existing = id ? _state.sinks.find(s => s.id === id) : null;
+  if (id && !existing) return null;
+  const { type, name, enabled, events, config, secret } = fields || {};
+  const now = new Date().toISOString();
+  const sink = existing ? { ...existing } : {
+    id: crypto.randomBytes(6).toString('hex'),
+    type,
+    name: '',
+    enabled: true,
+    events: Object.keys(EVENTS),
+    config: {},
+    createdAt: now,
+  };
+
+  if (!existing || config !== undefined) sink.config = validateConfig(sink.type, config);
+  if (name !== undefined || !existing) sink.name = oneLine(name).slice(0, 60) || `${sink.type} ${sink.id.slice(0, 4)}`;
+  if (enabled !== undefined) sink.enabled = enabled === true || enabled === 'true';
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.some(e => !EVENTS[e])) {
+      throw new Error(`Events must be a list of: ${Object.keys(EVENTS).join(', ')}`);
+    }
+    sink.events = [...new Set(events)];
+  }
+  sink.updatedAt = now;
+
+  if (secret !== undefined) {
+    if (secret) credentialsStore.saveCredentials(secretId(sink.id), { secret: String(secret) });
+    else credentialsStore.clearCredentials(secretId(sink.id));
+  }
+  _state.sinks = existing ? _state.sinks.map(s => (s.id === id ? sink : s)) : [..._state.sinks, sink];
+  saveState();
+  return publicSink(sink);
+}
+
+/** @returns {boolean} false if there was no such sink */
+function removeSink(id) {
+  if (!_state.sinks.some(s => s.id === id)) return false;
+  _state.sinks = _state.sinks.filter(s => s.id !== id);
+  credentialsStore.clearCredentials(secretId(id));
+  _lastResult.delete(id);
+  saveState();
+  return true;
+}
+
+/**
+ * Send a test notification to one sink, whatever its events and enabled state.
+ * @returns {Promise<{ sinkId, success, error? }|null>} null if there is no such sink
+ */
+async function sendTest(id) {
+  const sink = _state.sinks.find(s => s.id === id);
+  if (!sink) return null;
+  return deliverAndRecord(sink, {
+    event: 'test',
+    title: 'CH4C: Test notification',
+    message: `Notifications from CH4C reach "${sink.name}".`,
+    subject: 'test',
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Notify every enabled sink subscribed to an event. Never throws; delivery errors are logged
+ * and shown on the sink in the settings page.
+ * @param {string} event - a key of EVENTS
+ * @param {{ subject: string, title: string, message: string }} details - subject identifies
+ *   what the event is about (an encoder URL, a recording), for rate limiting
+ * @returns {Promise<object[]>} per-sink results (empty if nothing was sent)
+ */
+async function notify(event, { subject, title, message }) {
+  const sinks = _state.sinks.filter(s => s.enabled && s.events.includes(event));
+  if (sinks.length === 0) return [];
+
+  const key = `${event}\n${subject}`;
+  const now = Date.now();
+  const windowMs = _state.rateLimitMinutes * 60000;
+  const last = _lastSent.get(key);
+  if (last && now - last.at < windowMs) {
+    last.suppressed++;
+    logTS(`notifications: ${event} for ${subject} not sent (rate limited)`);
+    return [];
+  }
+  _lastSent.set(key, { at: now, suppressed: 0 });
+
+  let text = message;
+  if (last && last.suppressed > 0) {
+    text += `\n\n(${last.suppressed} more like this since the previous notification were held back by the rate limit.)`;
+  }
+  const notification = { event, title: `CH4C: ${title}`, message: text, subject, timestamp: new Date(now).toISOString() };
+  logTS(`notifications: sending ${event} for ${subject} to ${sinks.length} sink(s)`);
+  return Promise.all(sinks.map(sink => deliverAndRecord(sink, notification)));
+}
+
+module.exports = {
+  EVENTS,
+  SINK_TYPES,
+  init,
+  getSettings,
+  updateSettings,
+  saveSink,
+  removeSink,
+  sendTest,
+  notify,
+};
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * playlist-profiles.js
+ * Named playlist profiles for the M3U Manager, so each Channels DVR source can point at a
+ * short URL (/m3u-manager/playlists/<name>.m3u) instead of a hand-typed query string.
+ *
+ * A profile holds the same filters playlist.m3u takes as query parameters:
+ *   services             service names to include (empty = all)
+ *   genres               categories, with a leading '-' to exclude (empty = all)
+ *   sort                 'number', 'name' or 'order' (the M3U Manager's custom order)
+ *   fast                 false drops DirecTV's 4000-4999 FAST channels
+ * plus
+ *   channelNumberOffset  added to every channel number in the profile's playlist, so two
+ *                        sources can carry the same channel without colliding
+ *   include              channel ids always included (if enabled), whatever the filters
+ *   exclude              channel ids always left out
+ *   channelsDvrSource    whether CH4C should keep a Channels DVR M3U source for the profile;
+ *                        sourceName is the source it created or adopted
+ *
+ * Persistence: <DATA_DIR>/playlist-profiles.json  { <name>: profile }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logTS } = require('./logger');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const SORTS = ['number', 'name', 'order'];
+
+let _dataDir = 'data';
+// By name; no prototype, so a name from a URL like 'constructor' is just a missing key
+let _profiles = Object.create(null);
+
+function profilesFilePath() {
+  return path.join(_dataDir, 'playlist-profiles.json');
+}
+
+function loadProfiles() {
+  try {
+    const f = profilesFilePath();
+    if (fs.existsSync(f)) {
+      const saved = JSON.parse(fs.readFileSync(f, 'utf8'));
+      _profiles = Object.assign(Object.create(null), saved && typeof saved === 'object' ? saved : {});
+    }
+  } catch (e) {
+    logTS(`playlist-profiles: failed to load profiles: ${e.message}`);
+  }
+}
+
+function saveProfiles() {
+  try {
+    fs.mkdirSync(_dataDir, { recursive: true });
+    fs.writeFileSync(profilesFilePath(), JSON.stringify(_profiles, null, 2), 'utf8');
+  } catch (e) {
+    logTS(`playlist-profiles: failed to save profiles: ${e.message}`);
+  }
+}
+
+// Accept a list or a comma-separated string (as in the playlist.m3u query parameters)
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} dataDir - CH4C data directory (playlist-profiles.json is stored here).
+ */
+function init(dataDir) {
+  _dataDir = dataDir || 'data';
+  loadProfiles();
+}
+
+/** All profiles, sorted by name. */
+function list() {
+  return Object.values(_profiles).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** @returns {object|null} */
+function get(name) {
+  return _profiles[name] || null;
+}
+
+/**
+ * Create a profile, or update the given fields of an existing one.
+ * @param {string} name - lowercase letters, digits, '-' and '_' (up to 40 characters)
+ * @param {{ services?, genres?, sort?, fast?, channelNumberOffset?, include?, exclude?, channelsDvrSource? }} fields
+ * @returns {object} the saved profile
+ * @throws {Error} for an invalid name or field
+ */
+function save(name, fields) {
+  if (!NAME_PATTERN.test(name || '')) {
+    throw new Error('Profile name must be 1-40 lowercase letters, digits, "-" or "_", starting with a letter or digit');
+  }
+  const now = new Date().toISOString();
+  const profile = _profiles[name] ? { ..._profiles[name] } : {
+    name,
+    services: [],
+    genres: [],
+    sort: 'number',
+    fast: true,
+    channelNumberOffset: 0,
+    include: [],
+    exclude: [],
+    channelsDvrSource: false,
+    sourceName: null,
+    createdAt: now,
+  };
+
+  const { services, genres, sort, fast, channelNumberOffset, include, exclude, channelsDvrSource } = fields || {};
+  if (services !== undefined) profile.services = toList(services);
+  if (genres !== undefined) profile.genres = toList(genres);
+  if (sort !== undefined) {
+    if (!SORTS.includes(sort)) throw new Error(`Sort must be one of: ${SORTS.join(', ')}`);
+    profile.sort = sort;
+  }
+  if (fast !== undefined) profile.fast = fast !== false && fast !== 'false';
+  if (channelNumberOffset !== undefined) {
+    const offset = Number(channelNumberOffset || 0);
+    if (!Number.isInteger(offset) || offset < 0 || offset > 99999) {
+      throw new Error('Channel number offset must be a whole number from 0 to 99999');
+    }
+    profile.channelNumberOffset = offset;
+  }
+  if (include !== undefined) profile.include = toList(include);
+  if (exclude !== undefined) profile.exclude = toList(exclude);
+  if (channelsDvrSource !== undefined) profile.channelsDvrSource = channelsDvrSource === true || channelsDvrSource === 'true';
+
+  profile.updatedAt = now;
+  _profiles[name] = profile;
+  saveProfiles();
+  return profile;
+}
+
+/** Record the Channels DVR source created or adopted for a profile. */
+function setSourceName(name, sourceName) {
+  if (!_profiles[name]) return;
+  _profiles[name].sourceName = sourceName || null;
+  saveProfiles();
+}
+
+/** @returns {boolean} false if there was no such profile */
+function remove(name) {
+  if (!_profiles[name]) return false;
+  delete _profiles[name];
+  saveProfiles();
+  return true;
+}
+
+module.exports = {
+  NAME_PATTERN,
+  init,
+  list,
+  get,
+  save,
+  setSourceName,
+  remove,
+};
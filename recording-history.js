@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * recording-history.js
+ * Persisted history of instant and scheduled recordings: what was asked for, what actually
+ * happened, and how it ended.
+ *
+ * Each entry records the requested vs actual start, the encoder used, the target URL, the
+ * Channels DVR job response, stream errors seen while recording, and the final status:
+ *   starting    → entry created, waiting for an encoder / Channels DVR
+ *   recording   → Channels DVR accepted the job and the stream is running on an encoder
+ *   completed   → ran for its full duration
+ *   stopped     → ended early (stopped by the user, or the stream closed) — see endReason
+ *   failed      → never started (no encoder, Channels DVR refused) or the stream failed
+ *   interrupted → CH4C exited while it was recording (set on the next startup)
+ *
+ * Recordings in progress are tracked per encoder, so code that only knows the encoder URL
+ * (stream errors, cleanup, stop buttons) can update the right entry.
+ *
+ * Persistence: <DATA_DIR>/recording_history.json, newest first, capped at MAX_ENTRIES.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logTS } = require('./logger');
+const notifications = require('./notifications');
+
+const STATUSES = ['starting', 'recording', 'completed', 'stopped', 'failed', 'interrupted'];
+const MAX_ENTRIES = 500;
+const MAX_STREAM_ERRORS = 20; // per entry, oldest dropped first
+const MAX_DVR_BODY_LENGTH = 1000;
+
+let _dataDir = 'data';
+let _entries = [];                     // newest first
+const _activeByEncoder = new Map();    // encoderUrl -> entry id
+
+function historyFilePath() {
+  return path.join(_dataDir, 'recording_history.json');
+}
+
+function loadHistory() {
+  try {
+    const f = historyFilePath();
+    if (fs.existsSync(f)) {
+      const saved = JSON.parse(fs.readFileSync(f, 'utf8'));
+      _entries = Array.isArray(saved) ? saved : [];
+    }
+  } catch (e) {
+    logTS(`recording-history: failed to load history: ${e.message}`);
+  }
+}
+
+function saveHistory() {
+  try {
+    fs.mkdirSync(_dataDir, { recursive: true });
+    fs.writeFileSync(historyFilePath(), JSON.stringify(_entries, null, 2), 'utf8');
+  } catch (e) {
+    logTS(`recording-history: failed to save history: ${e.message}`);
+  }
+}
+
+function findEntry(id) {
+  return _entries.find(e => e.id === id) || null;
+}
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function finish(entry, status, reason) {
+  entry.status = status;
+  entry.endedAt = new Date().toISOString();
+  entry.endReason = reason || null;
+  if (entry.encoderUrl && _activeByEncoder.get(entry.encoderUrl) === entry.id) {
+    _activeByEncoder.delete(entry.encoderUrl);
+  }
+  if (status === 'failed') {
+    notifications.notify('recording-failed', {
+      subject: entry.id,
+      title: `Recording "${entry.name}" failed`,
+      message: `The ${entry.type} recording "${entry.name}" failed: ${reason || 'unknown reason'}\n${entry.targetUrl}`,
+    });
+  }
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Load the history and mark recordings that were still running when CH4C last exited
+ * as interrupted.
+ * @param {string} dataDir - CH4C data directory (recording_history.json is stored here).
+ */
+function init(dataDir) {
+  _dataDir = dataDir || 'data';
+  loadHistory();
+  const unfinished = _entries.filter(e => e.status === 'starting' || e.status === 'recording');
+  unfinished.forEach(e => finish(e, 'interrupted', 'CH4C stopped while this recording was in progress'));
+  if (unfinished.length > 0) {
+    saveHistory();
+    logTS(`Recording history: marked ${unfinished.length} unfinished recording(s) as interrupted`);
+  }
+}
+
+/**
+ * Create an entry for a recording that is about to start.
+ * @param {object} info
+ * @param {'instant'|'scheduled'} info.type
+ * @param {string} info.name
+ * @param {string} info.targetUrl
+ * @param {number} [info.requestedStart] - ms; defaults to now
+ * @param {number} [info.durationMinutes]
+ * @param {object} [info.extra] - additional fields stored on the entry as-is
+ * @returns {string} entry id
+ */
+function start({ type, name, targetUrl, requestedStart = Date.now(), durationMinutes = null, extra = {} }) {
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    type,
+    name,
+    targetUrl,
+    durationMinutes,
+    requestedStart: toIso(requestedStart),
+    actualStart: null,
+    encoderUrl: null,
+    channel: null,
+    dvrResponse: null,
+    streamErrors: [],
+    endedAt: null,
+    endReason: null,
+    status: 'starting',
+    ...extra,
+  };
+  _entries.unshift(entry);
+  if (_entries.length > MAX_ENTRIES) _entries.length = MAX_ENTRIES;
+  saveHistory();
+  return entry.id;
+}
+
+/**
+ * Channels DVR accepted the job and streaming begins on the encoder.
+ * @param {string} id
+ * @param {{ encoderUrl: string, channel: string, dvrResponse: object }} details
+ */
+function begin(id, { encoderUrl, channel, dvrResponse }) {
+  const entry = findEntry(id);
+  if (!entry) return;
+  entry.status = 'recording';
+  entry.actualStart = new Date().toISOString();
+  entry.encoderUrl = encoderUrl;
+  entry.channel = channel;
+  entry.dvrResponse = dvrResponse || null;
+  _activeByEncoder.set(encoderUrl, id);
+  saveHistory();
+}
+
+/**
+ * The recording never started.
+ * @param {string} id
+ * @param {string} reason
+ * @param {object} [details] - { encoderUrl, channel, dvrResponse } where known
+ */
+function fail(id, reason, details = {}) {
+  const entry = findEntry(id);
+  if (!entry) return;
+  Object.assign(entry, details);
+  finish(entry, 'failed', reason);
+  saveHistory();
+}
+
+/** Create and immediately fail an entry (e.g. no encoder was available). */
+function recordFailure(info, reason, details = {}) {
+  fail(start(info), reason, details);
+}
+
+/** Stream error on an encoder; attached to the recording running there, if any. */
+function recordStreamError(encoderUrl, message) {
+  const entry = findEntry(_activeByEncoder.get(encoderUrl));
+  if (!entry) return;
+  entry.streamErrors.push({ at: new Date().toISOString(), message: String(message) });
+  if (entry.streamErrors.length > MAX_STREAM_ERRORS) entry.streamErrors.shift();
+  saveHistory();
+}
+
+/**
+ * End the recording running on an encoder, if any. The first call wins, so a specific
+ * reason (duration reached, stopped by user) recorded before cleanup isn't overwritten
+ * by cleanup's generic one.
+ * @param {string} encoderUrl
+ * @param {'completed'|'stopped'|'failed'} status
+ * @param {string} reason
+ * @returns {boolean} true if a recording was ended
+ */
+function finishForEncoder(encoderUrl, status, reason) {
+  const entry = findEntry(_activeByEncoder.get(encoderUrl));
+  if (!entry) return false;
+  finish(entry, status, reason);
+  saveHistory();
+  logTS(`Recording "${entry.name}" ${status}: ${reason}`);
+  return true;
+}
+
+/**
+ * @param {object} [filter]
+ * @param {string} [filter.status]
+ * @param {string} [filter.type]
+ * @param {number} [filter.limit]
+ * @returns {object[]} newest first
+ */
+function list({ status, type, limit } = {}) {
+  let result = _entries;
+  if (status) result = result.filter(e => e.status === status);
+  if (type) result = result.filter(e => e.type === type);
+  if (limit > 0) result = result.slice(0, limit);
+  return result;
+}
+
+function get(id) {
+  return findEntry(id);
+}
+
+/** Delete finished entries (recordings in progress are kept). Returns the number removed. */
+function clear() {
+  const before = _entries.length;
+  _entries = _entries.filter(e => e.status === 'starting' || e.status === 'recording');
+  saveHistory();
+  return before - _entries.length;
+}
+
+/** Trim a Channels DVR response for storage. */
+function dvrResponse({ ok, status, body, error }) {
+  return {
+    ok: !!ok,
+    status: status || null,
+    body: body ? String(body).substring(0, MAX_DVR_BODY_LENGTH) : null,
+    error: error || null,
+  };
+}
+
+module.exports = {
+  STATUSES,
+  init,
+  start,
+  begin,
+  fail,
+  recordFailure,
+  recordStreamError,
+  finishForEncoder,
+  list,
+  get,
+  clear,
+  dvrResponse,
+};
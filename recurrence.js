@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * recurrence.js
+ * Recurrence rules for "Record Later" series (daily news, a weekly game stream, ...).
+ *
+ * A rule repeats the wall-clock time of its first occurrence (`start`), in the CH4C host's
+ * local time zone, so a 7:00 PM recording stays at 7:00 PM across daylight-saving changes:
+ *   { frequency: 'daily' }
+ *   { frequency: 'weekdays' }                          Monday–Friday
+ *   { frequency: 'weekly', days: [1, 5] }               0 = Sunday … 6 = Saturday
+ *   { frequency: 'interval', intervalDays: 3 }          every N days from the first occurrence
+ * optionally ending with `until` (ms timestamp, last allowed start) and/or `count` (total
+ * number of occurrences, including the first).
+ *
+ * The scheduler only ever holds one concrete job per series: when an occurrence fires,
+ * nextOccurrence() gives the start time of the next job to arm.
+ */
+
+const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'interval'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_INTERVAL_DAYS = 365;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Whole calendar days from a to b (local dates), independent of DST. */
+function calendarDaysBetween(a, b) {
+  const utcA = Date.UTC(a.getFullYear(), a.getMonth(), a.getDate());
+  const utcB = Date.UTC(b.getFullYear(), b.getMonth(), b.getDate());
+  return Math.round((utcB - utcA) / DAY_MS);
+}
+
+function matchesDay(rule, date) {
+  switch (rule.frequency) {
+    case 'weekdays':
+      return date.getDay() >= 1 && date.getDay() <= 5;
+    case 'weekly':
+      return rule.days.includes(date.getDay());
+    case 'interval':
+      return calendarDaysBetween(new Date(rule.start), date) % rule.intervalDays === 0;
+    default:
+      return true;
+  }
+}
+
+/** First matching start strictly after afterMs, at the rule's time of day. */
+function nextMatch(rule, afterMs) {
+  const start = new Date(rule.start);
+  const after = new Date(afterMs);
+  // Longest gap between matches is the interval (or a week); search a little past it
+  const searchDays = (rule.frequency === 'interval' ? rule.intervalDays : 7) + 2;
+  for (let i = 0; i <= searchDays; i++) {
+    const candidate = new Date(after.getFullYear(), after.getMonth(), after.getDate() + i,
+      start.getHours(), start.getMinutes(), start.getSeconds());
+    if (candidate.getTime() > afterMs && matchesDay(rule, candidate)) return candidate.getTime();
+  }
+  return null;
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Validate and normalize a rule. `startMs` is the requested first start time; if that day
+ * doesn't match the rule (e.g. weekly on Fridays, picked on a Wednesday), the series
+ * starts at the first matching day after it.
+ * @returns {object|null} normalized rule, or null for "no recurrence"
+ * @throws {Error} on invalid input
+ */
+function normalizeRule(input, startMs) {
+  if (!input || !input.frequency || input.frequency === 'none') return null;
+  if (!FREQUENCIES.includes(input.frequency)) {
+    throw new Error(`Repeat must be one of: none, ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = { frequency: input.frequency, start: startMs };
+
+  if (rule.frequency === 'weekly') {
+    const days = (Array.isArray(input.days) ? input.days : String(input.days || '').split(','))
+      .filter(d => String(d).trim() !== '')
+      .map(Number);
+    if (days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw new Error('Weekly repeat needs at least one day of the week');
+    }
+    rule.days = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (rule.frequency === 'interval') {
+    const n = Number(input.intervalDays);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_INTERVAL_DAYS) {
+      throw new Error(`Repeat interval must be a whole number of days between 1 and ${MAX_INTERVAL_DAYS}`);
+    }
+    rule.intervalDays = n;
+  }
+
+  if (input.until !== undefined && input.until !== null && input.until !== '') {
+    const until = Number(input.until);
+    if (isNaN(until) || until < startMs) throw new Error('Repeat end date must be after the first recording');
+    rule.until = until;
+  }
+
+  if (input.count !== undefined && input.count !== null && input.count !== '') {
+    const count = Number(input.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      throw new Error(`Number of recordings must be between 1 and ${MAX_COUNT}`);
+    }
+    rule.count = count;
+  }
+
+  if (!matchesDay(rule, new Date(startMs))) {
+    const first = nextMatch(rule, startMs);
+    if (first === null || (rule.until && first > rule.until)) {
+      throw new Error('The repeat rule has no occurrence before its end date');
+    }
+    rule.start = first;
+  }
+  return rule;
+}
+
+/**
+ * Start time of the occurrence after prevMs, or null when the series has ended.
+ * @param {object} rule - normalized rule
+ * @param {number} prevMs - start time of the occurrence that just fired
+ * @param {number} prevIndex - 1-based number of that occurrence
+ */
+function nextOccurrence(rule, prevMs, prevIndex) {
+  if (rule.count && prevIndex >= rule.count) return null;
+  const next = nextMatch(rule, prevMs);
+  if (next === null || (rule.until && next > rule.until)) return null;
+  return next;
+}
+
+/** Human-readable summary, e.g. "Weekly on Mon, Fri, until 12/31/2026". */
+function describeRule(rule) {
+  if (!rule) return 'Once';
+  let text;
+  switch (rule.frequency) {
+    case 'weekdays': text = 'Weekdays'; break;
+    case 'weekly': text = `Weekly on ${rule.days.map(d => DAY_NAMES[d]).join(', ')}`; break;
+    case 'interval': text = rule.intervalDays === 1 ? 'Daily' : `Every ${rule.intervalDays} days`; break;
+    default: text = 'Daily';
+  }
+  if (rule.until) text += `, until ${new Date(rule.until).toLocaleDateString()}`;
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  return text;
+}
+
+module.exports = {
+  FREQUENCIES,
+  normalizeRule,
+  nextOccurrence,
+  describeRule,
+};
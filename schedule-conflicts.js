@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * schedule-conflicts.js
+ * Overlap checks and the encoder timeline for scheduled recordings.
+ *
+ * A job is one scheduled recording (or a recording already in progress):
+ *   { id, name, start, durationMinutes, encoderUrl, recurrence, occurrence, inProgress }
+ * where `encoderUrl` is the pinned encoder (null = auto-select) and `recurrence` /
+ * `occurrence` are the series rule and the number of the pending occurrence, as stored in
+ * scheduled_recordings.json. Recurring jobs are expanded into their occurrences inside the
+ * window being checked.
+ *
+ * Two kinds of conflict are reported:
+ *   capacity — more recordings overlap than there are encoders, so one of them will fail
+ *              with "no encoders available" when it fires
+ *   encoder  — two overlapping recordings are pinned to the same encoder; the later one
+ *              falls back to auto-select, which may not be what was intended
+ */
+
+const recurrence = require('./recurrence');
+
+const MAX_OCCURRENCES_PER_JOB = 500;
+
+function toInterval(job, start, occurrence) {
+  return {
+    id: job.id,
+    name: job.name,
+    start,
+    end: start + job.durationMinutes * 60 * 1000,
+    encoderUrl: job.encoderUrl || null,
+    occurrence: job.recurrence ? occurrence : null,
+    inProgress: !!job.inProgress,
+  };
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/** Most intervals running at the same moment within [fromMs, toMs). */
+function peakConcurrency(intervals, fromMs, toMs) {
+  const events = [];
+  for (const i of intervals) {
+    const start = Math.max(i.start, fromMs);
+    const end = Math.min(i.end, toMs);
+    if (start >= end) continue;
+    events.push([start, 1], [end, -1]);
+  }
+  // Ends sort before starts at the same instant, so back-to-back recordings don't overlap
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let current = 0;
+  let peak = 0;
+  for (const [, delta] of events) {
+    current += delta;
+    peak = Math.max(peak, current);
+  }
+  return peak;
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Occurrences of the given jobs that overlap [fromMs, toMs), sorted by start time.
+ * @returns {object[]} intervals: { id, name, start, end, encoderUrl, occurrence, inProgress }
+ */
+function expandJobs(jobs, fromMs, toMs) {
+  const intervals = [];
+  for (const job of jobs) {
+    let start = job.start;
+    let occurrence = job.occurrence || 1;
+    for (let n = 0; start !== null && start < toMs && n < MAX_OCCURRENCES_PER_JOB; n++) {
+      const interval = toInterval(job, start, occurrence);
+      if (interval.end > fromMs) intervals.push(interval);
+      if (!job.recurrence) break;
+      start = recurrence.nextOccurrence(job.recurrence, start, occurrence);
+      occurrence++;
+    }
+  }
+  return intervals.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Conflicts between a new or edited job and the other jobs, for occurrences of `candidate`
+ * that start before toMs.
+ * @param {object} candidate - job being created or edited
+ * @param {object[]} others - every other job (the candidate's own id excluded)
+ * @param {number} encoderCount - configured encoders
+ * @param {number} toMs - end of the window to check
+ * @returns {object[]} { type, start, end, message, jobs: [{ id, name, start, end }] }
+ */
+function findConflicts(candidate, others, encoderCount, toMs) {
+  const fromMs = Date.now();
+  const otherIntervals = expandJobs(others, fromMs, toMs);
+  const conflicts = [];
+
+  for (const occurrence of expandJobs([candidate], fromMs, toMs)) {
+    const overlapping = otherIntervals.filter(o => overlaps(o, occurrence));
+    if (overlapping.length === 0) continue;
+    const describe = list => list.map(o => ({ id: o.id, name: o.name, start: o.start, end: o.end, inProgress: o.inProgress }));
+
+    const peak = peakConcurrency([occurrence, ...overlapping], occurrence.start, occurrence.end);
+    if (peak > encoderCount) {
+      conflicts.push({
+        type: 'capacity',
+        start: occurrence.start,
+        end: occurrence.end,
+        message: `${peak} recordings overlap at ${new Date(occurrence.start).toLocaleString()} but only ${encoderCount} encoder(s) are configured`,
+        jobs: describe(overlapping),
+      });
+    }
+
+    if (occurrence.encoderUrl) {
+      const samePin = overlapping.filter(o => o.encoderUrl === occurrence.encoderUrl);
+      if (samePin.length > 0) {
+        conflicts.push({
+          type: 'encoder',
+          start: occurrence.start,
+          end: occurrence.end,
+          encoderUrl: occurrence.encoderUrl,
+          message: `Encoder ${occurrence.encoderUrl} is already booked at ${new Date(occurrence.start).toLocaleString()}; one recording will use another encoder`,
+          jobs: describe(samePin),
+        });
+      }
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Encoder usage between fromMs and toMs, one lane per encoder. Occurrences are placed the
+ * way they'd be at fire time: recordings in progress and pinned jobs on their encoder when
+ * it's free, everything else on the first free encoder. Occurrences that find no free
+ * encoder get `encoderUrl: null` and `conflict: true`.
+ * @param {object[]} jobs
+ * @param {object[]} encoders - configured encoders ({ url, channel }), in config order
+ */
+function buildTimeline(jobs, encoders, fromMs, toMs) {
+  const busyUntil = new Map(encoders.map(e => [e.url, 0]));
+  const items = [];
+  const intervals = expandJobs(jobs, fromMs, toMs)
+    .sort((a, b) => (b.inProgress - a.inProgress) || a.start - b.start);
+
+  for (const interval of intervals) {
+    const isFree = url => busyUntil.has(url) && busyUntil.get(url) <= interval.start;
+    let lane = null;
+    if (interval.encoderUrl && (interval.inProgress || isFree(interval.encoderUrl))) {
+      lane = interval.encoderUrl;
+    } else {
+      const free = encoders.find(e => isFree(e.url));
+      if (free) lane = free.url;
+    }
+    if (lane && busyUntil.has(lane)) busyUntil.set(lane, Math.max(busyUntil.get(lane), interval.end));
+    items.push({
+      ...interval,
+      pinnedEncoderUrl: interval.encoderUrl,
+      encoderUrl: lane,
+      fallback: !!(interval.encoderUrl && lane !== interval.encoderUrl && lane),
+      conflict: lane === null,
+    });
+  }
+
+  return {
+    from: fromMs,
+    to: toMs,
+    encoders: encoders.map(e => ({ url: e.url, channel: e.channel })),
+    items: items.sort((a, b) => a.start - b.start),
+  };
+}
+
+module.exports = {
+  expandJobs,
+  findConflicts,
+  buildTimeline,
+};
@@ -16,6 +16,19 @@ class BaseService {
     throw new Error('fetchChannels() must be implemented by subclass');
   }
 
+  /**
+   * Browser pool entry to scrape with: the given encoder's browser, or the first in the
+   * pool when no encoder is specified.
+   * @param {string|null} encoderUrl
+   * @returns {[string, object]|undefined} [encoderUrl, browser]
+   */
+  getBrowserEntry(encoderUrl = null) {
+    if (encoderUrl) {
+      return this.browsers && this.browsers.has(encoderUrl) ? [encoderUrl, this.browsers.get(encoderUrl)] : undefined;
+    }
+    return this.browsers ? Array.from(this.browsers.entries())[0] : undefined;
+  }
+
   /**
    * Normalize channel data to standard format
    */
@@ -33,8 +33,12 @@ class DirecTVService extends BaseService {
    * Uses page.waitForFunction + page.evaluate instead of evaluateOnNewDocument + console
    * bridging because rebrowser-puppeteer-core suppresses Runtime.enable (needed for
    * console event forwarding). Runtime.evaluate (used here) is unaffected.
+   *
+   * @param {boolean} _favoritesOnly - Unused (Sling only)
+   * @param {object} [options]
+   * @param {string} [options.encoderUrl] - Encoder whose browser to use (default: first in pool)
    */
-  async fetchChannels() {
+  async fetchChannels(_favoritesOnly, { encoderUrl: preferredEncoderUrl = null } = {}) {
     console.log('[DirecTVService] Fetching channels via Redux store extraction');
 
     // Always re-discover on each explicit refresh. The tune path uses page.evaluate
@@ -42,7 +46,7 @@ class DirecTVService extends BaseService {
     directvFullyDiscovered = false;
     directvChannelCache.clear();
 
-    const browserEntry = Array.from(this.browsers.entries())[0];
+    const browserEntry = this.getBrowserEntry(preferredEncoderUrl);
     if (!browserEntry) throw new Error('[DirecTVService] No browser available in pool');
 
     const [encoderUrl, browser] = browserEntry;
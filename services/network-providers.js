@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * services/network-providers.js
+ * Live-channel lineups for network sites CH4C can already log in to and tune (see sites/),
+ * discovered by NetworkService instead of being hand-entered as custom channels.
+ *
+ * NetworkService loads `guideUrl` in an encoder browser and tests `patterns` against every
+ * link's href; the link's label names the channel. Each pattern is the live-player URL that
+ * the site's sites/ handler tunes, so a matching link is a channel CH4C can play. Patterns run
+ * in the page, so they are strings.
+ *
+ * Provider fields:
+ *   id                service name in streaming_channels.json (channel ids are <id>-<key>)
+ *   name              display name
+ *   loginSiteId       Login Manager site (login-manager.js LOGIN_SITES) to log in with
+ *   guideUrl          page listing the site's live channels
+ *   category          genre for channels not in knownChannels
+ *   patterns          [{ regex }] — href patterns; capture groups are passed to key/url
+ *   key(groups)       stable channel key from the match's capture groups
+ *   url(groups)       stream URL to tune (handled by the site's sites/ handler)
+ *   knownChannels     { [key]: { name, callSign, category } } — names and guide data for
+ *                     channels the site labels poorly; discovery still decides which
+ *                     channels exist
+ *   ignoreKeys        keys matched by the patterns that aren't channels
+ */
+
+const NETWORK_PROVIDERS = [
+  {
+    id: 'espn',
+    name: 'ESPN',
+    loginSiteId: 'espn',
+    guideUrl: 'https://www.espn.com/watch/',
+    category: 'Sports',
+    patterns: [
+      { regex: 'espn\\.com/watch/player\\?network=([a-z0-9_-]+)' },
+    ],
+    key: ([network]) => network.toLowerCase(),
+    url: ([network]) => `https://www.espn.com/watch/player?network=${network.toLowerCase()}`,
+    knownChannels: {
+      espn: { name: 'ESPN', callSign: 'ESPN' },
+      espn2: { name: 'ESPN2', callSign: 'ESPN2HD' },
+      espnu: { name: 'ESPNU', callSign: 'ESPNUHD' },
+      sec: { name: 'SEC Network', callSign: 'SEC' },
+      acc: { name: 'ACC Network', callSign: 'ACCN' },
+      espnews: { name: 'ESPNEWS', callSign: 'ESPNEWS', category: 'News' },
+      espndeportes: { name: 'ESPN Deportes', callSign: 'ESPNDEP', category: 'Spanish' },
+    },
+    ignoreKeys: [],
+  },
+  {
+    id: 'foxsports',
+    name: 'FOX Sports',
+    loginSiteId: 'foxsports',
+    guideUrl: 'https://www.foxsports.com/live',
+    category: 'Sports',
+    patterns: [
+      { regex: 'foxsports\\.com/live/([a-z0-9-]+)(?:[?#/]|$)' },
+    ],
+    key: ([slug]) => slug.toLowerCase(),
+    url: ([slug]) => `https://www.foxsports.com/live/${slug.toLowerCase()}`,
+    knownChannels: {
+      fs1: { name: 'FS1', callSign: 'FS1' },
+      fs2: { name: 'FS2', callSign: 'FS2' },
+      btn: { name: 'Big Ten Network', callSign: 'BTN' },
+      foxdep: { name: 'FOX Deportes', callSign: 'FOXDEP', category: 'Spanish' },
+      fox: { name: 'FOX', callSign: 'FOX', category: 'Local' },
+    },
+    ignoreKeys: ['schedule', 'replays', 'highlights'],
+  },
+  {
+    id: 'nbc',
+    name: 'NBC',
+    loginSiteId: 'nbc',
+    guideUrl: 'https://www.nbc.com/live',
+    category: 'Entertainment',
+    patterns: [
+      { regex: 'nbc\\.com/live\\?brand=([a-z0-9-]+)&(?:amp;)?callsign=([a-z0-9_]+)' },
+    ],
+    key: ([, callsign]) => callsign.toLowerCase(),
+    url: ([brand, callsign]) => `https://www.nbc.com/live?brand=${brand.toLowerCase()}&callsign=${callsign.toLowerCase()}`,
+    knownChannels: {
+      nbcnews: { name: 'NBC News Now', callSign: 'NBCNEWS', category: 'News' },
+      bravo_east: { name: 'Bravo', callSign: 'BRAVOHD', category: 'Drama' },
+      e_east: { name: 'E!', callSign: 'ELHD' },
+      oxygen_east: { name: 'Oxygen', callSign: 'OXYGN', category: 'True Crime' },
+      syfy_east: { name: 'SYFY', callSign: 'SYFYHD', category: 'Drama' },
+      syfy_west: { name: 'SYFY (West)', category: 'Drama' },
+    },
+    // Listed by the USA Network provider
+    ignoreKeys: ['usa_east'],
+  },
+  {
+    id: 'usa',
+    name: 'USA Network',
+    loginSiteId: 'usa',
+    guideUrl: 'https://www.usanetwork.com/live',
+    category: 'Entertainment',
+    patterns: [
+      { regex: 'usanetwork\\.com/live#([A-Za-z0-9_-]+)' },
+    ],
+    key: ([feed]) => feed.toLowerCase(),
+    url: ([feed]) => `https://www.usanetwork.com/live#${feed}`,
+    knownChannels: {
+      usa_east: { name: 'USA Network', callSign: 'USAHD', category: 'Drama' },
+    },
+    // The site also links its sister networks, which the NBC provider lists
+    ignoreKeys: ['syfy_east', 'syfy_west', 'oxygen_east', 'e-_east', 'e_east', 'bravo_east'],
+  },
+  {
+    id: 'tbs',
+    name: 'TBS / TNT',
+    loginSiteId: 'tbs',
+    guideUrl: 'https://www.tbs.com/watchtbs/east',
+    category: 'Entertainment',
+    patterns: [
+      { regex: '(tbs\\.com/watchtbs|tntdrama\\.com/watchtnt)/(east|west)' },
+    ],
+    key: ([path, feed]) => `${path.includes('tnt') ? 'tnt' : 'tbs'}-${feed.toLowerCase()}`,
+    url: ([path, feed]) => `https://www.${path}/${feed.toLowerCase()}`,
+    knownChannels: {
+      'tbs-east': { name: 'TBS', callSign: 'TBS' },
+      'tbs-west': { name: 'TBS (West)' },
+      'tnt-east': { name: 'TNT', callSign: 'TNT', category: 'Drama' },
+      'tnt-west': { name: 'TNT (West)', category: 'Drama' },
+    },
+    ignoreKeys: [],
+  },
+];
+
+module.exports = { NETWORK_PROVIDERS };
@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * services/network-service.js
+ * Channel discovery for the network sites in network-providers.js. Each provider's live/guide
+ * page is loaded in an encoder browser (which must already be logged in through the Login
+ * Manager) and its live channel links become M3U Manager channels, named from the provider's
+ * knownChannels where the page's labels aren't usable.
+ */
+
+const { BaseService } = require('./base-service');
+
+const DISCOVERY_TIMEOUT = 15000;
+const SIGN_IN_PATTERN = /sign-?in|log-?in|\/auth|activate|mvpd|provider-select/i;
+
+// ─── Network Service Class ────────────────────────────────────────────────────
+
+/**
+ * Live-channel lineup for a network site (ESPN, FOX Sports, NBC, ...), described by
+ * a provider in network-providers.js. One instance is registered per provider.
+ */
+class NetworkService extends BaseService {
+  constructor(provider, browsers, Constants) {
+    super(provider.id);
+    this.provider = provider;
+    this.displayName = provider.name;
+    this.browsers = browsers;
+    this.Constants = Constants;
+  }
+
+  /**
+   * Discovers the site's live channels by loading its live/guide page in an encoder browser
+   * and matching the provider's patterns against the page's links.
+   *
+   * @param {boolean} _favoritesOnly - Unused (Sling only)
+   * @param {object} [options]
+   * @param {string} [options.encoderUrl] - Encoder whose browser to use (default: first in pool)
+   */
+  async fetchChannels(_favoritesOnly, { encoderUrl: preferredEncoderUrl = null } = {}) {
+    const { provider } = this;
+    const tag = `[NetworkService:${provider.id}]`;
+    console.log(`${tag} Fetching live channels from ${provider.guideUrl}`);
+
+    const browserEntry = this.getBrowserEntry(preferredEncoderUrl);
+    if (!browserEntry) throw new Error(`${tag} No browser available in pool`);
+
+    const [encoderUrl, browser] = browserEntry;
+    if (!browser || !browser.isConnected()) throw new Error(`${tag} Browser not connected`);
+
+    let page;
+    try {
+      console.log(`${tag} Using browser from encoder: ${encoderUrl}`);
+      const pages = await browser.pages();
+      page = pages.length > 0 ? pages[0] : await browser.newPage();
+      if (!page) throw new Error('Failed to get browser page');
+
+      try {
+        await page.goto(provider.guideUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
+      } catch (navErr) {
+        throw new Error(`Could not reach ${provider.name}: ${navErr.message}`);
+      }
+
+      const landedUrl = page.url();
+      const guideHost = new URL(provider.guideUrl).hostname.replace(/^www\./, '');
+      if (!landedUrl.includes(guideHost) || SIGN_IN_PATTERN.test(new URL(landedUrl).pathname)) {
+        throw new Error(
+          `Not logged in to ${provider.name} (redirected to ${landedUrl}). ` +
+          'Please log in via the Login Manager first, then refresh again.'
+        );
+      }
+
+      // Live pages render their channel rail client-side; wait until a pattern matches
+      const patterns = provider.patterns.map(p => p.regex);
+      await page.waitForFunction((patterns) => {
+        const hrefs = Array.from(document.querySelectorAll('a[href]'), a => a.href);
+        return patterns.some(p => {
+          const re = new RegExp(p, 'i');
+          return hrefs.some(h => re.test(h));
+        });
+      }, { timeout: DISCOVERY_TIMEOUT, polling: 500 }, patterns).catch(() => {
+        console.warn(`${tag} No links matching ${provider.name}'s live-channel patterns after ${DISCOVERY_TIMEOUT / 1000}s`);
+      });
+
+      const matches = await page.evaluate((patterns) => {
+        const labelOf = (a) => {
+          const img = a.querySelector('img[alt]');
+          return (a.getAttribute('aria-label') || a.getAttribute('title') || (img && img.alt) || a.textContent || '')
+            .replace(/\s+/g, ' ').trim();
+        };
+        const logoOf = (a) => {
+          const img = a.querySelector('img[src]');
+          return img ? img.src : '';
+        };
+        const results = [];
+        const links = Array.from(document.querySelectorAll('a[href]'));
+        for (const p of patterns) {
+          const re = new RegExp(p, 'i');
+          for (const a of links) {
+            const m = a.href.match(re);
+            if (m) results.push({ groups: m.slice(1), name: labelOf(a), logo: logoOf(a) });
+          }
+        }
+        return results;
+      }, patterns);
+
+      await page.goto('about:blank', { waitUntil: 'domcontentloaded', timeout: 5000 }).catch(() => {});
+
+      const channels = this._buildChannelArray(matches);
+      if (channels.length === 0) {
+        if (matches.length > 0) console.warn(`${tag} ${matches.length} matching link(s), all in ignoreKeys`);
+        throw new Error(
+          `No live channels found on ${provider.guideUrl}. ` +
+          `Make sure ${provider.name} is logged in via the Login Manager — the site may also have changed its live page.`
+        );
+      }
+      console.log(`${tag} Discovery complete: ${channels.length} channels`);
+      return channels;
+
+    } catch (error) {
+      console.error(`${tag} Error fetching channels:`, error.message);
+      if (page) await page.goto('about:blank', { waitUntil: 'domcontentloaded', timeout: 5000 }).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Converts pattern matches to normalized channels, one per channel key. Names and guide data
+   * from the provider's knownChannels win over the page's link labels, which are often the
+   * current programme rather than the channel.
+   */
+  _buildChannelArray(matches) {
+    const { provider } = this;
+    const byKey = new Map();
+
+    for (const match of matches) {
+      const groups = match.groups.map(g => g || '');
+      const key = provider.key(groups);
+      if (!key || provider.ignoreKeys.includes(key)) continue;
+
+      const existing = byKey.get(key);
+      if (existing) {
+        if (!existing.label && match.name) existing.label = match.name;
+        if (!existing.logo && match.logo) existing.logo = match.logo;
+        continue;
+      }
+      byKey.set(key, { key, streamUrl: provider.url(groups), label: match.name, logo: match.logo });
+    }
+
+    const channels = [];
+    for (const entry of byKey.values()) {
+      const known = provider.knownChannels[entry.key] || {};
+      const name = known.name || entry.label || `${provider.name} ${entry.key}`;
+      channels.push(this.normalizeChannel({
+        id: `${provider.id}-${entry.key.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+        name,
+        displayName: name,
+        streamUrl: entry.streamUrl,
+        callSign: known.callSign || name,
+        category: known.category || provider.category,
+        logo: entry.logo,
+      }));
+    }
+
+    channels.sort((a, b) => a.name.localeCompare(b.name));
+    return channels;
+  }
+}
+
+module.exports = { NetworkService };
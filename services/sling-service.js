@@ -15,12 +15,14 @@ class SlingService extends BaseService {
    * Fetch channels from Sling TV
    * Uses browser pool to navigate to Sling TV guide and extract channel data
    * @param {boolean} favoritesOnly - If true, scrape favorites; if false, scrape all channels
+   * @param {object} [options]
+   * @param {string} [options.encoderUrl] - Encoder whose browser to use (default: first in pool)
    */
-  async fetchChannels(favoritesOnly = true) {
+  async fetchChannels(favoritesOnly = true, { encoderUrl: preferredEncoderUrl = null } = {}) {
     console.log(`[SlingService] Fetching channels from Sling TV guide (${favoritesOnly ? 'Favorites only' : 'All channels'})`);
 
-    // Get first available browser from pool
-    const browserEntry = Array.from(this.browsers.entries())[0];
+    // Get the requested (or first available) browser from pool
+    const browserEntry = this.getBrowserEntry(preferredEncoderUrl);
     if (!browserEntry) {
       console.error('[SlingService] No browser available in pool');
       return this.getFallbackChannels();
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * sites/aetv.js
+ * A&E / History site handler.
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function fullScreenVideoAETV(page) {
+  logTS("URL contains AETV, setting up fullscreen");
+
+  // Wait for video element to have enough data to play (readyState >= 3)
+  let videoReady = false;
+  for (let i = 0; i < 10; i++) {
+    try {
+      videoReady = await page.evaluate(() => {
+        const videos = document.querySelectorAll('video');
+        for (const video of videos) {
+          if (video.readyState >= 3) return true;
+        }
+        return false;
+      });
+      if (videoReady) {
+        logTS("AETV video ready (readyState >= 3)");
+        break;
+      }
+    } catch (e) {
+      // Continue waiting
+    }
+    await delay(500);
+  }
+
+  if (!videoReady) {
+    logTS("AETV video not ready after timeout, continuing anyway");
+  }
+
+  // Move mouse to center of viewport to trigger player controls
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+    await page.mouse.click(centerX, centerY);
+    await delay(500);
+    await page.mouse.move(centerX, centerY - 100);
+    await delay(300);
+  } catch (e) {
+    logTS("Could not move mouse to show controls: " + e.message);
+  }
+
+  // Handle unmute - check aria-label on the volume icon
+  const result = await page.evaluate(() => {
+    const results = { mute: 'not found' };
+
+    const muteImg = document.querySelector('img[aria-label="Mute"], img[aria-label="Unmute"]');
+    if (muteImg) {
+      if (muteImg.getAttribute('aria-label') === 'Unmute') {
+        muteImg.click();
+        results.mute = 'was muted, clicked unmute';
+      } else {
+        results.mute = 'already unmuted';
+      }
+      // Get the parent button/container position for hover
+      const parent = muteImg.parentElement;
+      if (parent) {
+        const rect = parent.getBoundingClientRect();
+        results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+      }
+    }
+
+    return results;
+  });
+
+  logTS(`AETV mute status: ${result.mute}`);
+
+  // Set volume to max: hover over mute button to reveal volume bar, then click far right
+  if (result.muteButtonRect) {
+    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
+    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
+    await page.mouse.move(muteCenterX, muteCenterY);
+    await delay(500);
+
+    const volInfo = await page.evaluate(() => {
+      const volumeLevel = document.querySelector('#volume-level');
+      if (volumeLevel) {
+        const currentWidth = volumeLevel.style.width;
+        // Get the parent container which represents the full volume bar track
+        const bar = volumeLevel.parentElement;
+        if (bar) {
+          const rect = bar.getBoundingClientRect();
+          return { currentVolume: currentWidth, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        }
+      }
+      return null;
+    });
+
+    if (volInfo && volInfo.width > 0) {
+      const clickX = volInfo.x + volInfo.width - 2;
+      const clickY = volInfo.y + volInfo.height / 2;
+      await page.mouse.click(clickX, clickY);
+      logTS(`AETV volume: clicked bar at max position (was ${volInfo.currentVolume})`);
+    } else {
+      logTS(`AETV volume: volume bar not visible`);
+    }
+  } else {
+    logTS(`AETV volume: mute button not found`);
+  }
+
+  // Move mouse away then click fullscreen
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+  } catch (e) {
+    // Continue
+  }
+
+  const fullscreenResult = await page.evaluate(() => {
+    const btn = document.querySelector('img[aria-label="Show Fullscreen"]');
+    if (btn) {
+      btn.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`AETV fullscreen status: ${fullscreenResult}`);
+  logTS("finished AETV fullscreen setup");
+}
+
+module.exports = {
+  id: 'aetv',
+  name: 'AETV/History',
+  urlPatterns: ['play.aetv.com', 'play.history.com'],
+  loginSiteIds: ['history'],
+  fullscreen: (page) => fullScreenVideoAETV(page),
+};
@@ -0,0 +1,268 @@
+'use strict';
+
+/**
+ * sites/amazon.js
+ * Amazon Prime Video site handler.
+ */
+
+const { logTS } = require('../logger');
+const Constants = require('../constants');
+const { delay, hideCursor, GetProperty, setupPauseMonitor } = require('./common');
+
+async function selectAmazonClosedCaptions(page, ccOption) {
+  logTS(`Selecting Amazon Prime Video subtitles: ${ccOption}`);
+  try {
+    // Move mouse to center to make player controls visible
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    // Click the Subtitles and Audio menu button
+    const menuBtn = await page.waitForSelector('button[aria-label="Subtitles and Audio Menu"]', { timeout: 5000 }).catch(() => null);
+    if (!menuBtn) {
+      logTS('Amazon CC: Subtitles menu button not found, skipping');
+      return false;
+    }
+    await menuBtn.click();
+    await delay(300);
+
+    // Map option name to the aria-label Amazon uses in the player
+    const ariaLabel = ccOption === 'English' ? 'English [CC]' : ccOption;
+
+    // Click the matching subtitle radio input and verify it actually got checked
+    // (during ad-to-content transitions the input may exist but not register the click)
+    const clicked = await page.evaluate((label) => {
+      const inputs = document.querySelectorAll('input[type="radio"][name="subtitle"]');
+      for (const input of inputs) {
+        if (input.getAttribute('aria-label') === label) {
+          input.click();
+          return input.checked; // false if transition prevented the selection from taking
+        }
+      }
+      return false;
+    }, ariaLabel);
+
+    if (clicked) {
+      logTS(`Amazon CC: Selected "${ariaLabel}"`);
+    } else {
+      logTS(`Amazon CC: Option "${ariaLabel}" not found or not checked (may be transitioning)`);
+    }
+
+    // Always close the menu — re-query fresh since original ref may be stale after retries
+    // Avoid Escape key — in fullscreen it can trigger overlays or exit fullscreen
+    const closeMenuBtn = await page.$('button[aria-label="Subtitles and Audio Menu"]');
+    if (closeMenuBtn) {
+      await closeMenuBtn.click();
+    } else {
+      logTS('Amazon CC: Close button not found, moving mouse away to auto-hide menu');
+    }
+    await delay(200);
+
+    // Move mouse to top-left corner so player controls hide and nothing else is triggered
+    await page.mouse.move(0, 0);
+    return clicked;
+  } catch (err) {
+    logTS(`Amazon CC selection error (non-fatal): ${err.message}`);
+    return false;
+  }
+}
+
+async function selectAmazonClosedCaptionsWithRetry(page, ccOption) {
+  const maxAttempts = 6;
+  const retryDelay = 30000; // 30s — covers typical pre-roll ad breaks
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (page.isClosed()) {
+      logTS('Amazon CC: page closed, stopping retries');
+      return;
+    }
+    logTS(`Amazon CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
+    const success = await selectAmazonClosedCaptions(page, ccOption);
+    if (success) return;
+
+    if (attempt < maxAttempts) {
+      logTS(`Amazon CC: Not available yet, retrying in 30s...`);
+      await delay(retryDelay);
+    }
+  }
+  logTS(`Amazon CC: Could not select after ${maxAttempts} attempts`);
+}
+
+async function fullScreenVideoAmazon(page, closedCaptions = '', encoderConfig = null) {
+  logTS("URL contains amazon.com, setting up fullscreen for Amazon Prime Video");
+
+  // If we're on a detail page (not the player), click the play/Watch Live button first.
+  // Live events: circular-playbutton has no href and opens a stream-selector modal.
+  // VOD: dp-atf-play-button navigates directly to the player.
+  const onDetailPage = await page.evaluate(() =>
+    !!document.querySelector('a[data-testid="dp-atf-play-button"], a[data-testid="circular-playbutton"]')
+  );
+  if (onDetailPage) {
+    logTS('Amazon: detail page detected — clicking play button');
+    const playBtn = await page.$('a[data-testid="dp-atf-play-button"], a[data-testid="circular-playbutton"]');
+    if (playBtn) {
+      await playBtn.click();
+      // Wait for stream-selector modal (live events) or navigation (VOD)
+      await page.waitForSelector('[data-testid="stream-selector-content"]', { timeout: 4000 }).catch(() => {});
+      const liveLink = await page.evaluate(() => {
+        const modal = document.querySelector('[data-testid="stream-selector-content"]');
+        if (!modal) return null;
+        const a = modal.querySelector('a[href*="t=2147483647"]')
+               || [...modal.querySelectorAll('a[data-testid="play"]')]
+                    .find(el => el.textContent.toLowerCase().includes('watch live'));
+        return (a || modal.querySelector('a[data-testid="play"]'))?.href || null;
+      });
+      if (liveLink) {
+        logTS(`Amazon: live modal found — navigating to stream: ${liveLink}`);
+        await page.goto(liveLink, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      } else {
+        logTS('Amazon: no live modal — waiting for player navigation');
+        await page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => {});
+      }
+    }
+  }
+
+  // Wait a bit for the Amazon player to initialize
+  await delay(2000);
+
+  let frameHandle, videoHandle;
+
+  // Find the video element - Amazon typically has multiple video elements
+  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
+    try {
+      const frames = await page.frames({ timeout: 1000 });
+      for (const frame of frames) {
+        try {
+          // Amazon uses video elements, find one with actual content
+          const videos = await frame.$$('video');
+          for (const video of videos) {
+            const hasAudio = await frame.evaluate((v) => {
+              return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
+                     Boolean(v.audioTracks && v.audioTracks.length);
+            }, video);
+
+            // Prefer video elements with audio
+            if (hasAudio) {
+              videoHandle = video;
+              frameHandle = frame;
+              logTS('Found Amazon Prime Video element with audio');
+              break videoSearch;
+            } else if (!videoHandle) {
+              // Keep first video as fallback
+              videoHandle = video;
+              frameHandle = frame;
+            }
+          }
+        } catch (error) {
+          // Continue searching
+        }
+      }
+    } catch (error) {
+      logTS('Error looking for Amazon video:', error.message);
+      videoHandle = null;
+    }
+
+    if (!videoHandle) {
+      await delay(Constants.FIND_VIDEO_WAIT * 1000);
+    }
+  }
+
+  if (videoHandle) {
+    // Re-apply audio device after navigating from detail page to player page — the player's
+    // video elements are new and didn't inherit the setSinkId set on the detail page videos.
+    if (encoderConfig && encoderConfig.audioDevice) {
+      await frameHandle.evaluate(async (video, audioDevice) => {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const targetDevice = devices.filter(d => d.kind === 'audiooutput').find(d => d.label.includes(audioDevice));
+        if (targetDevice && video.setSinkId) {
+          await video.setSinkId(targetDevice.deviceId).catch(() => {});
+        }
+      }, videoHandle, encoderConfig.audioDevice).catch(() => {});
+      logTS(`Amazon: re-applied audio device to player video: ${encoderConfig.audioDevice}`);
+    }
+
+    // Wait for video to be ready - Amazon autoplays so we don't need to click play
+    logTS("Waiting for Amazon video to be ready (autoplay expected)");
+
+    // Just wait for ready state, don't try to force play
+    let isReady = false;
+    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES && !isReady; step++) {
+      const readyState = await GetProperty(videoHandle, 'readyState');
+      const paused = await GetProperty(videoHandle, 'paused');
+
+      // Ready state 3+ means we have enough data
+      if (readyState >= 3) {
+        logTS(`Amazon video ready (readyState: ${readyState}, paused: ${paused})`);
+        isReady = true;
+        break;
+      }
+
+      await delay(1000);
+    }
+
+    // Unmute video
+    await frameHandle.evaluate((video) => {
+      video.muted = false;
+      video.removeAttribute('muted');
+    }, videoHandle);
+
+    // Ensure video is playing
+    await frameHandle.evaluate((video) => {
+      if (video.paused) {
+        video.play().catch(err => console.log('Play failed:', err));
+      }
+    }, videoHandle);
+
+    // Go fullscreen using the player's own fullscreen button
+    logTS("Going fullscreen via Amazon player fullscreen button");
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    const fsBtn = await page.waitForSelector('button[aria-label="Fullscreen"]', { timeout: 5000 }).catch(() => null);
+    if (fsBtn) {
+      await fsBtn.click();
+      logTS("Amazon: clicked player fullscreen button");
+    } else {
+      logTS("Amazon: fullscreen button not found, pressing F key");
+      await page.keyboard.press('f');
+    }
+
+    // Wait for fullscreen transition and any ad-to-content transition to settle
+    await delay(3000);
+
+    // Select closed captions AFTER fullscreen — skip if Default (empty)
+    const amazonCcValue = closedCaptions || '';
+    if (amazonCcValue) {
+      logTS(`Amazon CC param received: "${amazonCcValue}"`);
+      selectAmazonClosedCaptionsWithRetry(page, amazonCcValue)
+        .catch(err => logTS(`Amazon CC background error: ${err.message}`));
+    }
+
+    // Setup pause monitor with more aggressive checking for Amazon
+    // Amazon's player sometimes pauses unexpectedly
+    await setupPauseMonitor(frameHandle, videoHandle, page);
+
+  } else {
+    logTS('Could not find Amazon Prime Video element');
+  }
+
+  // Hide cursor then move mouse to corner so player controls fade out
+  await hideCursor(page);
+  await page.mouse.move(0, 0);
+
+  logTS("Amazon Prime Video fullscreen setup complete");
+}
+
+module.exports = {
+  id: 'amazon',
+  name: 'Amazon Prime Video',
+  urlPatterns: ['amazon.com'],
+  loginSiteIds: ['primevideo'],
+  closedCaptions: true,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoAmazon(page, ctx.closedCaptions, ctx.encoderConfig),
+};
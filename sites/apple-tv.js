@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * sites/apple-tv.js
+ * Apple TV+ site handler.
+ */
+
+const { logTS } = require('../logger');
+const { delay, hideCursor, setupPauseMonitor } = require('./common');
+
+async function selectAppleTVClosedCaptions(page, ccOption) {
+  logTS(`Apple TV+ CC: selecting subtitles "${ccOption}"`);
+  try {
+    const vp = page.viewport();
+    const cx = Math.floor((vp ? vp.width : 1280) / 2);
+    const cy = Math.floor((vp ? vp.height : 720) / 2);
+
+    // Move mouse to center to trigger player controls to appear.
+    // The Subtitles button lives inside amp-* web components with shadow DOM —
+    // must use a recursive shadow DOM search to find it.
+    await page.mouse.move(cx, cy);
+    let ccBtnRect = null;
+    for (let i = 0; i < 20; i++) {
+      await page.mouse.move(cx + (i % 2 === 0 ? 2 : -2), cy);
+      ccBtnRect = await page.evaluate(() => {
+        function findInShadow(root, selector) {
+          const direct = root.querySelector(selector);
+          if (direct) return direct;
+          for (const el of root.querySelectorAll('*')) {
+            if (el.shadowRoot) {
+              const found = findInShadow(el.shadowRoot, selector);
+              if (found) return found;
+            }
+          }
+          return null;
+        }
+        const btn = findInShadow(document, 'button[aria-label="Subtitles"]');
+        if (!btn) return null;
+        const r = btn.getBoundingClientRect();
+        if (r.width === 0) return null;
+        return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+      });
+      if (ccBtnRect) break;
+      await delay(500);
+    }
+    if (!ccBtnRect) {
+      logTS('Apple TV+ CC: Subtitles button not found in shadow DOM after hovering, skipping');
+      return false;
+    }
+    await page.mouse.click(ccBtnRect.x, ccBtnRect.y);
+    logTS(`Apple TV+ CC: clicked Subtitles button at (${Math.round(ccBtnRect.x)}, ${Math.round(ccBtnRect.y)})`);
+    await delay(500);
+
+    // Helper reused for On/Off buttons — also searches shadow DOM
+    const getMenuBtnRect = (title) => page.evaluate((t) => {
+      function findInShadow(root, sel) {
+        const d = root.querySelector(sel);
+        if (d) return d;
+        for (const el of root.querySelectorAll('*')) {
+          if (el.shadowRoot) { const f = findInShadow(el.shadowRoot, sel); if (f) return f; }
+        }
+        return null;
+      }
+      const btn = findInShadow(document, `button[title="${t}"]`);
+      if (!btn) return null;
+      const r = btn.getBoundingClientRect();
+      return r.width ? { x: r.left + r.width / 2, y: r.top + r.height / 2 } : null;
+    }, title);
+
+    if (ccOption === 'Off') {
+      const offRect = await getMenuBtnRect('Off');
+      if (offRect) {
+        await page.mouse.click(offRect.x, offRect.y);
+        logTS('Apple TV+ CC: clicked "Off"');
+        await page.mouse.move(0, 0);
+        return true;
+      }
+      logTS('Apple TV+ CC: "Off" button not found in menu');
+      return false;
+    } else {
+      // Click On button
+      const onRect = await getMenuBtnRect('On');
+      if (onRect) {
+        await page.mouse.click(onRect.x, onRect.y);
+        logTS('Apple TV+ CC: clicked "On"');
+        await delay(300);
+      } else {
+        logTS('Apple TV+ CC: "On" button not found in menu');
+      }
+
+      // Select language from the dropdown (also search shadow DOM)
+      const langSelected = await page.evaluate((ccOpt) => {
+        function findInShadow(root, sel) {
+          const d = root.querySelector(sel);
+          if (d) return d;
+          for (const el of root.querySelectorAll('*')) {
+            if (el.shadowRoot) { const f = findInShadow(el.shadowRoot, sel); if (f) return f; }
+          }
+          return null;
+        }
+        const select = findInShadow(document, '.contextual-menu--subtitles select');
+        if (!select) return false;
+        for (const opt of select.options) {
+          if (opt.text.toLowerCase() === ccOpt.toLowerCase()) {
+            select.value = opt.value;
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+            return true;
+          }
+        }
+        for (const opt of select.options) {
+          if (opt.text.toLowerCase().startsWith(ccOpt.toLowerCase())) {
+            select.value = opt.value;
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+            return true;
+          }
+        }
+        return false;
+      }, ccOption);
+      logTS(`Apple TV+ CC: language select result for "${ccOption}": ${langSelected}`);
+
+      await page.mouse.move(0, 0);
+      return !!onRect;
+    }
+  } catch (err) {
+    logTS(`Apple TV+ CC selection error (non-fatal): ${err.message}`);
+    return false;
+  }
+}
+
+async function fullScreenVideoAppleTV(page, encoderConfig = null, closedCaptions = '') {
+  logTS("URL contains tv.apple.com, setting up Apple TV+ video");
+
+  const vp = page.viewport();
+  const cx = Math.floor((vp ? vp.width : 1280) / 2);
+  const cy = Math.floor((vp ? vp.height : 720) / 2);
+
+  // Move mouse to center to reveal player controls (play button already clicked in setupBrowserAudio)
+  await page.mouse.move(cx, cy);
+  await delay(1000);
+
+  // Find video element (already playing from setupBrowserAudio), unmute and set max volume
+  const frameHandle = page;
+  const videoHandle = await frameHandle.waitForSelector('video', { timeout: 10000 }).catch(() => null);
+
+  if (videoHandle) {
+    await frameHandle.evaluate((video) => {
+      video.muted = false;
+      video.volume = 1.0;
+      if (video.paused) video.play().catch(err => console.log('Play failed:', err));
+    }, videoHandle);
+    logTS("Apple TV+: unmuted video and set volume to max");
+  } else {
+    logTS("Apple TV+: could not find video element");
+  }
+
+  // Move mouse to center to reveal player controls
+  await page.mouse.move(cx, cy);
+  await delay(500);
+
+  // Unmute via the volume indicator button while controls are visible, then set volume to max via JS
+  const volumeBtn = await page.$('.volume-unified__indicator');
+  if (volumeBtn) {
+    const isMuted = await page.evaluate(() => {
+      const btn = document.querySelector('.volume-unified__indicator');
+      return btn ? btn.textContent.trim().toLowerCase() === 'unmute' : false;
+    });
+    if (isMuted) {
+      logTS("Apple TV+: player is muted, clicking unmute button");
+      await volumeBtn.click();
+      await delay(300);
+    }
+  }
+
+  // Set volume to max directly on the video element
+  if (videoHandle) {
+    await frameHandle.evaluate((video) => {
+      video.muted = false;
+      video.volume = 1.0;
+    }, videoHandle);
+    logTS("Apple TV+: volume set to max via JS");
+  }
+
+  // Select closed captions before fullscreen, with background retries — skip if Default (empty)
+  const appleTVCcValue = closedCaptions || '';
+  if (appleTVCcValue) {
+    logTS(`Apple TV+ CC: selecting "${appleTVCcValue}" before fullscreen`);
+    const firstAttempt = await selectAppleTVClosedCaptions(page, appleTVCcValue);
+    if (!firstAttempt) {
+      // Fire-and-forget retry loop — covers pre-roll ads blocking the CC menu
+      (async () => {
+        for (let attempt = 2; attempt <= 6; attempt++) {
+          await delay(30000);
+          if (page.isClosed()) {
+            logTS('Apple TV+ CC: page closed, stopping retries');
+            return;
+          }
+          logTS(`Apple TV+ CC: retry attempt ${attempt}/6 for "${appleTVCcValue}"`);
+          const success = await selectAppleTVClosedCaptions(page, appleTVCcValue);
+          if (success) return;
+        }
+        logTS(`Apple TV+ CC: could not select after 6 attempts`);
+      })().catch(err => logTS(`Apple TV+ CC background error: ${err.message}`));
+    }
+  }
+
+  // Click the fullscreen button; fall back to the 'f' keyboard shortcut if not found
+  await page.mouse.move(cx, cy);
+  await delay(300);
+  const fullScreenBtn = await page.waitForSelector('amp-playback-controls-full-screen', { visible: true, timeout: 8000 }).catch(() => null);
+  if (fullScreenBtn) {
+    logTS("Apple TV+: clicking fullscreen button");
+    await fullScreenBtn.click();
+  } else {
+    logTS("Apple TV+: fullscreen button not found, trying 'f' key");
+    await page.keyboard.press('f');
+  }
+  await delay(1000);
+
+  // Re-apply volume after fullscreen transition (player may reset it)
+  if (videoHandle) {
+    await frameHandle.evaluate((video) => {
+      video.muted = false;
+      video.volume = 1.0;
+    }, videoHandle);
+    logTS("Apple TV+: volume re-applied after fullscreen");
+  }
+
+  if (videoHandle) {
+    await setupPauseMonitor(frameHandle, videoHandle, page);
+  }
+
+  await hideCursor(page);
+  await page.mouse.move(0, 0);
+  logTS("Apple TV+ fullscreen setup complete");
+}
+
+module.exports = {
+  id: 'apple-tv',
+  name: 'Apple TV+',
+  urlPatterns: ['tv.apple.com'],
+  closedCaptions: true,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoAppleTV(page, ctx.encoderConfig, ctx.closedCaptions),
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * sites/cbs.js
+ * CBS site handler.
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function fullScreenVideoCBS(page) {
+  logTS("URL contains CBS, setting up fullscreen");
+
+  // Wait for video element to have enough data to play (readyState >= 3)
+  let videoReady = false;
+  for (let i = 0; i < 10; i++) {
+    try {
+      videoReady = await page.evaluate(() => {
+        const videos = document.querySelectorAll('video');
+        for (const video of videos) {
+          if (video.readyState >= 3) return true;
+        }
+        return false;
+      });
+      if (videoReady) {
+        logTS("CBS video ready (readyState >= 3)");
+        break;
+      }
+    } catch (e) {
+      // Continue waiting
+    }
+    await delay(500);
+  }
+
+  if (!videoReady) {
+    logTS("CBS video not ready after timeout, continuing anyway");
+  }
+
+  // Move mouse to center of viewport to trigger player controls
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(500);
+  } catch (e) {
+    logTS("Could not move mouse to show controls: " + e.message);
+  }
+
+  // Get volume button position for hover, then handle volume slider
+  const result = await page.evaluate(() => {
+    const results = { mute: 'not found', volume: 'not found' };
+
+    // Check mute state - if mute_cross is visible (aria-hidden="false"), audio is muted
+    const muteBtn = document.querySelector('button.btn-volume');
+    if (muteBtn) {
+      const muteCross = muteBtn.querySelector('.mute_cross');
+      if (muteCross && muteCross.getAttribute('aria-hidden') === 'false') {
+        // Currently muted, click to unmute
+        muteBtn.click();
+        results.mute = 'was muted, clicked unmute';
+      } else {
+        results.mute = 'already unmuted';
+      }
+      const rect = muteBtn.getBoundingClientRect();
+      results.volumeButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+    }
+
+    return results;
+  });
+
+  logTS(`CBS mute status: ${result.mute}`);
+
+  // Hover over volume button to reveal vertical slider, then click at top for max
+  if (result.volumeButtonRect) {
+    const volBtnCenterX = result.volumeButtonRect.x + result.volumeButtonRect.width / 2;
+    const volBtnCenterY = result.volumeButtonRect.y + result.volumeButtonRect.height / 2;
+    await page.mouse.move(volBtnCenterX, volBtnCenterY);
+    await delay(500);
+
+    const volInfo = await page.evaluate(() => {
+      const slider = document.querySelector('.volume-slider-li-content-progress-content');
+      if (slider) {
+        // Get the parent container for the full slider area
+        const container = slider.parentElement;
+        if (container) {
+          const rect = container.getBoundingClientRect();
+          const currentHeight = slider.style.height || '0%';
+          return { currentVolume: currentHeight, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        }
+      }
+      return null;
+    });
+
+    if (volInfo && volInfo.height > 0) {
+      // Vertical slider - click near the top for max volume
+      const clickX = volInfo.x + volInfo.width / 2;
+      const clickY = volInfo.y + 2;
+      await page.mouse.click(clickX, clickY);
+      logTS(`CBS volume: clicked slider at top for max (was ${volInfo.currentVolume})`);
+    } else {
+      logTS(`CBS volume: slider not visible`);
+    }
+  } else {
+    logTS(`CBS volume: volume button not found`);
+  }
+
+  // Move mouse away then click fullscreen
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+  } catch (e) {
+    // Continue
+  }
+
+  const fullscreenResult = await page.evaluate(() => {
+    const btn = document.querySelector('button.btn-fullscreen');
+    if (btn) {
+      btn.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`CBS fullscreen status: ${fullscreenResult}`);
+  logTS("finished CBS fullscreen setup");
+}
+
+module.exports = {
+  id: 'cbs',
+  name: 'CBS',
+  urlPatterns: ['cbs.com'],
+  loginSiteIds: ['cbs'],
+  fullscreen: (page) => fullScreenVideoCBS(page),
+};
@@ -0,0 +1,359 @@
+'use strict';
+
+/**
+ * sites/common.js
+ * Page helpers shared by the site handlers: locating the <video> element (including inside
+ * iframes), the audio-sink and pause monitors, cursor hiding, and the generic fullscreen
+ * routine used for any URL no site handler claims.
+ */
+
+const { logTS } = require('../logger');
+const Constants = require('../constants');
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function hideCursor(page) {
+  try {
+    await Promise.race([
+      page.addStyleTag({
+        content: `
+          *:hover{cursor:none!important}
+          *{cursor:none!important}
+        `
+      }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout adding style tag')), 1000))
+    ]);
+
+    // NFL Network requires mouse wiggle to hide cursor
+    const mouse = page.mouse
+    await mouse.move(Math.floor(Math.random() * 101) + 300, 500);
+
+  } catch (error) {
+    // Sometimes it times out for the cursor hiding
+    //console.log('timeout adding style tag');
+  }
+}
+
+async function GetProperty(element, property) {
+  return await (await element.getProperty(property)).jsonValue();
+}
+
+/**
+ * Finds the video element in the page, searching through frames
+ * Returns the frame handle and video handle if found
+ * @param {Object} page - The page object to search
+ * @returns {Object} Object with frameHandle and videoHandle (both null if not found)
+ */
+async function findVideoElement(page) {
+  let frameHandle = null;
+  let videoHandle = null;
+
+  try {
+    const frames = await page.frames({ timeout: 1000 });
+    for (const frame of frames) {
+      try {
+        // Look for videos in each frame
+        const videos = await frame.$$('video');
+
+        if (videos.length > 0) {
+          // If multiple videos, try to find one with audio
+          if (videos.length > 1) {
+            logTS(`Found ${videos.length} videos, selecting best candidate`);
+
+            for (const video of videos) {
+              const hasAudio = await frame.evaluate((v) => {
+                return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
+                       Boolean(v.audioTracks && v.audioTracks.length);
+              }, video);
+
+              if (hasAudio) {
+                videoHandle = video;
+                frameHandle = frame;
+                logTS('Selected video element with audio');
+                return { frameHandle, videoHandle };
+              } else if (!videoHandle) {
+                // Keep first video as fallback
+                videoHandle = video;
+                frameHandle = frame;
+              }
+            }
+          } else {
+            // Single video, use it
+            videoHandle = videos[0];
+            frameHandle = frame;
+            logTS('Found video frame');
+          }
+
+          if (videoHandle) {
+            return { frameHandle, videoHandle };
+          }
+        }
+      } catch (error) {
+        // Continue searching other frames
+      }
+    }
+  } catch (error) {
+    logTS(`Error searching for video element: ${error.message}`);
+  }
+
+  return { frameHandle, videoHandle };
+}
+
+/**
+ * Sets up an audio monitor that runs in the browser context
+ * Periodically verifies and re-applies the audio sink if it gets lost
+ * This helps maintain audio when multiple browser instances are running
+ * @param {Object} frameHandle - The frame containing the video element
+ * @param {Object} videoHandle - The video element handle
+ * @param {string} audioDevice - The audio device name to maintain
+ * @param {string} encoderUrl - The encoder URL for logging
+ */
+async function setupAudioMonitor(frameHandle, videoHandle, audioDevice, encoderUrl) {
+  if (!audioDevice) {
+    return;
+  }
+
+  try {
+    await frameHandle.evaluate(async (video, audioDeviceName, encoderUrlForLog) => {
+      // Prevent multiple monitors on the same video
+      if (video.__audioMonitorActive) {
+        return;
+      }
+      video.__audioMonitorActive = true;
+
+      // Check and re-apply audio every 15 seconds
+      setInterval(async () => {
+        try {
+          const currentSinkId = video.sinkId;
+
+          // If sinkId is empty or changed unexpectedly, re-apply
+          if (!currentSinkId || currentSinkId === '' || currentSinkId === 'default') {
+            console.log(`[CH4C] [${encoderUrlForLog}] Audio sink lost (current: ${currentSinkId || 'none'}), re-applying...`);
+
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const targetDevice = devices
+              .filter(d => d.kind === 'audiooutput')
+              .find(d => d.label.includes(audioDeviceName));
+
+            if (targetDevice && video.setSinkId) {
+              await video.setSinkId(targetDevice.deviceId);
+              console.log(`[CH4C] [${encoderUrlForLog}] Audio sink re-applied: ${targetDevice.label}`);
+            } else {
+              console.log(`[CH4C] [${encoderUrlForLog}] Could not find audio device: ${audioDeviceName}`);
+            }
+          }
+        } catch (err) {
+          console.log(`[CH4C] [${encoderUrlForLog}] Audio monitor error: ${err.message}`);
+        }
+      }, 15000);
+
+      console.log(`[CH4C] [${encoderUrlForLog}] Audio monitor active - checking every 15 seconds`);
+    }, videoHandle, audioDevice, encoderUrl);
+
+    logTS(`[${encoderUrl}] Audio monitor enabled for device: ${audioDevice}`);
+  } catch (error) {
+    logTS(`[${encoderUrl}] Failed to setup audio monitor (non-fatal): ${error.message}`);
+  }
+}
+
+/**
+ * Sets up a pause monitor that runs in the browser context
+ * Automatically resumes video playback if it gets paused
+ * @param {Object} frameHandle - The frame containing the video element
+ * @param {Object} videoHandle - The video element handle
+ * @param {Object} page - The page object for console forwarding
+ */
+async function setupPauseMonitor(frameHandle, videoHandle, page) {
+  if (!Constants.ENABLE_PAUSE_MONITOR) {
+    return;
+  }
+
+  try {
+    // Forward browser console messages to Node.js console (only [CH4C] tagged messages)
+    page.on('console', msg => {
+      const text = msg.text();
+      if (text.startsWith('[CH4C]')) {
+        logTS(text);
+      }
+    });
+
+    await frameHandle.evaluate((video, intervalSeconds) => {
+      // Prevent multiple monitors on the same video
+      if (video.__pauseMonitorActive) {
+        return;
+      }
+      video.__pauseMonitorActive = true;
+
+      setInterval(() => {
+        if (video.paused && !video.ended) {
+          console.log('[CH4C] Video paused - attempting to resume...');
+          video.play().catch(err => {
+            console.log('[CH4C] Failed to resume video:', err.message);
+          });
+        }
+      }, intervalSeconds * 1000);
+
+      console.log(`[CH4C] Pause monitor active - checking every ${intervalSeconds} seconds`);
+    }, videoHandle, Constants.PAUSE_MONITOR_INTERVAL);
+
+    logTS(`Pause monitor enabled (interval: ${Constants.PAUSE_MONITOR_INTERVAL}s)`);
+  } catch (error) {
+    logTS(`Failed to setup pause monitor (non-fatal): ${error.message}`);
+  }
+}
+
+async function fullScreenVideo(page) {
+  let frameHandle, videoHandle
+
+  // try every few seconds to look for the video
+  // necessary since some pages take time to load the actual video
+  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
+    // call this every loop since the page might be changing
+    // e.g. during the "authorized to view with Xfinity" splash screen
+    try {
+      const frames = await page.frames( { timeout: 1000 })
+      for (const frame of frames) {
+        try {
+          // Improvement 1: Smart video selection - prefer videos with audio
+          const videos = await frame.$$('video');
+
+          if (videos.length > 0) {
+            // If multiple videos, try to find one with audio
+            if (videos.length > 1) {
+              logTS(`Found ${videos.length} videos, selecting best candidate`);
+
+              for (const video of videos) {
+                const hasAudio = await frame.evaluate((v) => {
+                  return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
+                         Boolean(v.audioTracks && v.audioTracks.length);
+                }, video);
+
+                if (hasAudio) {
+                  videoHandle = video;
+                  frameHandle = frame;
+                  logTS('Selected video element with audio');
+                  break videoSearch;
+                } else if (!videoHandle) {
+                  // Keep first video as fallback
+                  videoHandle = video;
+                  frameHandle = frame;
+                }
+              }
+            } else {
+              // Single video, use it
+              videoHandle = videos[0];
+              frameHandle = frame;
+              logTS('found video frame');
+            }
+
+            if (videoHandle) {
+              break videoSearch;
+            }
+          }
+        } catch (error) {
+          // Continue searching
+        }
+      }
+    } catch (error) {
+      console.log('error looking for video', error)
+      videoHandle=null
+    }
+
+    if (!videoHandle) {
+      await delay(Constants.FIND_VIDEO_WAIT * 1000);
+    }
+  }
+
+  if (videoHandle) {
+    // Improvement 2: Less aggressive - check if already playing first
+    logTS("Checking video playback status");
+
+    let isPlaying = false;
+    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES; step++) {
+      const currentTime = await GetProperty(videoHandle, 'currentTime')
+      const readyState = await GetProperty(videoHandle, 'readyState')
+      const paused = await GetProperty(videoHandle, 'paused')
+      const ended = await GetProperty(videoHandle, 'ended')
+
+      // Check if video is already playing or ready to play
+      if (!!(currentTime > 0 && readyState > 2 && !paused && !ended)) {
+        logTS("Video is already playing");
+        isPlaying = true;
+        break;
+      }
+
+      // Check if video is ready but just paused (may autoplay)
+      if (readyState >= 3 && !ended) {
+        // Wait a moment to see if autoplay kicks in
+        if (step === 0) {
+          logTS("Video ready, waiting for autoplay...");
+          await delay(1500);
+
+          // Check again after waiting
+          const stillPaused = await GetProperty(videoHandle, 'paused');
+          const newTime = await GetProperty(videoHandle, 'currentTime');
+
+          if (!stillPaused || newTime > 0) {
+            logTS("Video autoplayed successfully");
+            isPlaying = true;
+            break;
+          }
+        }
+      }
+
+      // Video not playing, try to start it
+      logTS("Attempting to play video");
+
+      // Improvement 3: Add delay between attempts
+      if (step > 0) {
+        await delay(1000);
+      }
+
+      // alternate between calling play and click (Disney needs click)
+      if (step % 2 === 0) {
+        await frameHandle.evaluate((video) => {
+          video.play()
+        }, videoHandle)
+      } else {
+        await videoHandle.click()
+      }
+    }
+
+    logTS("going full screen and unmuting");
+    await frameHandle.evaluate((video) => {
+      video.muted = false
+      video.removeAttribute('muted')
+      video.style.cursor = 'none!important'
+      video.requestFullscreen()
+    }, videoHandle)
+
+    // Some sites pause video when going fullscreen, so explicitly play after fullscreen
+    await delay(500); // Brief delay to let fullscreen transition start
+    await frameHandle.evaluate((video) => {
+      if (video.paused) {
+        video.play().catch(err => console.log('Play after fullscreen failed:', err));
+      }
+    }, videoHandle);
+
+    // Setup pause monitor to automatically resume if video gets paused
+    await setupPauseMonitor(frameHandle, videoHandle, page);
+
+  } else {
+    console.log('did not find video')
+  }
+  logTS("hiding cursor");
+  // some sites respond better to hiding cursor after full screen
+  await hideCursor(page)
+}
+
+module.exports = {
+  delay,
+  hideCursor,
+  GetProperty,
+  findVideoElement,
+  setupAudioMonitor,
+  setupPauseMonitor,
+  fullScreenVideo,
+};
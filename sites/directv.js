@@ -0,0 +1,323 @@
+'use strict';
+
+/**
+ * sites/directv.js
+ * DirecTV Stream site handler. Channels are tuned from the guide page (a webpack
+ * interceptor has to be installed before navigation), so /stream needs the `channel`
+ * query parameter — without it the URL is opened like any other page.
+ */
+
+const { logTS } = require('../logger');
+const { DIRECTV_GUIDE_URL } = require('../services/directv-service');
+const { delay, hideCursor, findVideoElement, setupAudioMonitor } = require('./common');
+
+/**
+ * DirecTV Stream: navigates to the guide, waits for the Redux store channel lineup via
+ * page.evaluate polling, then dispatches playConsumable in-page. Falls back to logo-click
+ * DOM strategy if any step fails.
+ *
+ * Uses page.evaluate / page.waitForFunction instead of evaluateOnNewDocument + console
+ * bridging because rebrowser-puppeteer-core suppresses Runtime.enable (the CDP command
+ * Puppeteer uses to forward console events), making page.on('console') unreliable.
+ * Runtime.evaluate (used by page.evaluate/waitForFunction) is unaffected.
+ *
+ * @param {Page} page - Puppeteer page object.
+ * @param {string} channelName - Channel display name (e.g., "CNN", "ESPN").
+ * @param {string} encoderUrl - Encoder URL for logging.
+ * @returns {Promise<boolean>} - True if the channel is playing.
+ */
+async function navigateDirectvStream(page, channelName, encoderUrl = 'unknown') {
+  logTS(`[${encoderUrl}] DirecTV: tuning to "${channelName}"`);
+
+  // Shared BFS function string — inlined into both waitForFunction and evaluate because each
+  // Puppeteer call serializes its own closure and cannot share Node.js function references.
+  const FIND_STORE_AND_CHANNELS = () => {
+    const PREFIXES = ['__reactContainer$', '__reactFiber$', '__reactInternalInstance$'];
+    const findKey = (el) => Object.keys(el).find(k => PREFIXES.some(p => k.startsWith(p)));
+    let mountEl = document.getElementById('app-root');
+    let rk = mountEl ? findKey(mountEl) : null;
+    if (!rk) {
+      mountEl = null;
+      for (const c of Array.from(document.body.children)) {
+        const k = findKey(c); if (k) { mountEl = c; rk = k; break; }
+      }
+    }
+    if (!mountEl || !rk) return false;
+    const val = mountEl[rk];
+    const root = val && typeof val.current === 'object' ? val.current : val;
+    if (!root) return false;
+    const q = [root]; let v = 0;
+    while (q.length && v < 5000) {
+      const n = q.shift(); if (!n) break; v++;
+      const p = n.pendingProps;
+      const candidate = p && (p.store || (p.value && p.value.store));
+      if (candidate && typeof candidate.getState === 'function') {
+        const st = candidate.getState();
+        const cs = st.channels;
+        if (cs) {
+          const arr = cs.channelArrays || cs.lineup || cs.channels || cs.allChannels;
+          if (Array.isArray(arr) && arr.length > 0) return true;
+        }
+        return false;
+      }
+      if (n.child) q.push(n.child);
+      if (n.sibling) q.push(n.sibling);
+    }
+    return false;
+  };
+
+  try {
+    await page.goto(DIRECTV_GUIDE_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    logTS(`[${encoderUrl}] DirecTV: page loading, waiting for Redux channel data...`);
+
+    // Poll for Redux store + channel lineup (channels populate async after store init).
+    // Handle execution-context-destroyed in case the SPA does a full reload to /player.
+    let channelsReady = false;
+    try {
+      await page.waitForFunction(FIND_STORE_AND_CHANNELS, { timeout: 15000, polling: 400 });
+      channelsReady = true;
+    } catch (waitErr) {
+      if (waitErr.message && waitErr.message.includes('context')) {
+        try {
+          await page.waitForFunction(FIND_STORE_AND_CHANNELS, { timeout: 8000, polling: 400 });
+          channelsReady = true;
+        } catch { /* fall through to logo click */ }
+      }
+    }
+
+    if (!channelsReady) {
+      logTS(`[${encoderUrl}] DirecTV: channel data not available — trying logo click fallback`);
+      return await directvLogoClickFallback(page, channelName, encoderUrl);
+    }
+
+    logTS(`[${encoderUrl}] DirecTV: Redux ready, dispatching playConsumable for "${channelName}"`);
+
+    const result = await page.evaluate((targetName) => {
+      const PREFIXES = ['__reactContainer$', '__reactFiber$', '__reactInternalInstance$'];
+      const findKey = (el) => Object.keys(el).find(k => PREFIXES.some(p => k.startsWith(p)));
+
+      let mountEl = document.getElementById('app-root');
+      let rk = mountEl ? findKey(mountEl) : null;
+      if (!rk) {
+        mountEl = null;
+        for (const c of Array.from(document.body.children)) {
+          const k = findKey(c); if (k) { mountEl = c; rk = k; break; }
+        }
+      }
+      if (!mountEl || !rk) return { ok: false, reason: 'no-react-mount' };
+
+      const val = mountEl[rk];
+      const root = val && typeof val.current === 'object' ? val.current : val;
+      if (!root) return { ok: false, reason: 'no-fiber-root' };
+
+      const q = [root]; let store = null; let v = 0;
+      while (q.length && v < 5000) {
+        const n = q.shift(); if (!n) break; v++;
+        const p = n.pendingProps;
+        const candidate = p && (p.store || (p.value && p.value.store));
+        if (candidate && typeof candidate.dispatch === 'function' && typeof candidate.getState === 'function') {
+          store = candidate; break;
+        }
+        if (n.child) q.push(n.child);
+        if (n.sibling) q.push(n.sibling);
+      }
+      if (!store) return { ok: false, reason: 'no-redux-store', visited: v };
+
+      const state = store.getState();
+      let channels = [];
+      if (state.channels) {
+        const cs = state.channels;
+        channels = cs.channelArrays || cs.lineup || cs.channels || cs.allChannels || [];
+      }
+      if (!channels.length && state.channelLineup) {
+        const li = state.channelLineup;
+        channels = li.channelArrays || li.channels || [];
+      }
+      if (!channels.length) return { ok: false, reason: 'no-channels' };
+
+      const norm = (s) => s.trim().replace(/\s+/g, ' ').toLowerCase();
+      const t = norm(targetName);
+      const target = channels.find(ch => norm(ch.channelName || '') === t) ||
+        channels.filter(ch => norm(ch.channelName || '').startsWith(t + '-'))
+          .sort((a, b) => norm(a.channelName || '').localeCompare(norm(b.channelName || '')))[0];
+
+      if (!target) return { ok: false, reason: 'channel-not-found', count: channels.length };
+
+      // Capture __webpack_require__ via synthetic chunk push
+      const chunkArr = window.webpackChunk_directv_web;
+      if (!chunkArr) return { ok: false, reason: 'no-webpack-chunk' };
+      const h = { r: null };
+      try { chunkArr.push([['__ch4c__'], {}, (fn) => { h.r = fn; }]); } catch (e) {
+        return { ok: false, reason: 'chunk-error', error: String(e) };
+      }
+      const wreq = h.r;
+      if (!wreq) return { ok: false, reason: 'no-wreq' };
+
+      // Find playConsumable module by scanning webpack factory sources
+      let playFn = null;
+      for (const id of Object.keys(wreq.m)) {
+        if (typeof wreq.m[id] !== 'function') continue;
+        let src; try { src = wreq.m[id].toString(); } catch { continue; }
+        if (!src.includes('playConsumable') || !src.includes('playAsset')) continue;
+        try {
+          const ex = wreq(id);
+          playFn = typeof ex.playConsumable === 'function' ? ex.playConsumable
+            : Object.values(ex).find(fn => typeof fn === 'function' && fn.toString().includes('playConsumable')) || null;
+        } catch (e) { return { ok: false, reason: 'module-load-error', error: String(e) }; }
+        break;
+      }
+      if (!playFn) return { ok: false, reason: 'no-playConsumable' };
+
+      // playConsumable is self-dispatching: it takes dispatch/getState as part of its payload.
+      // Do NOT wrap in store.dispatch() — it is not a Redux action creator.
+      try {
+        playFn({
+          consumable: {
+            augmentation: { constraints: { isPlayable: true } },
+            badges: ['OnNow'],
+            consumableType: 'LINEAR',
+            duration: 3600,
+            programChannelId: target.resourceId || ''
+          },
+          consumableResourceId: target.resourceId || '',
+          dispatch: store.dispatch,
+          getState: store.getState,
+          makeFullscreen: true,
+          restart: false
+        });
+        return { ok: true, channelName: target.channelName };
+      } catch (e) {
+        return { ok: false, reason: 'dispatch-error', error: String(e) };
+      }
+    }, channelName);
+
+    logTS(`[${encoderUrl}] DirecTV tune result: ${JSON.stringify(result)}`);
+
+    if (result.ok) {
+      logTS(`[${encoderUrl}] DirecTV: successfully tuned to "${result.channelName}"`);
+      return true;
+    }
+
+    logTS(`[${encoderUrl}] DirecTV: ${result.reason} — trying logo click fallback`);
+    return await directvLogoClickFallback(page, channelName, encoderUrl);
+  } catch (error) {
+    logTS(`[${encoderUrl}] DirecTV navigation error: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * DirecTV fallback: scroll the guide grid to find the channel logo and click it,
+ * then click the mini-guide play button. Used when the webpack interceptor fails.
+ * @param {Page} page - Puppeteer page object.
+ * @param {string} channelName - Channel display name.
+ * @param {string} encoderUrl - Encoder URL for logging.
+ * @returns {Promise<boolean>} - True if playback started.
+ */
+async function directvLogoClickFallback(page, channelName, encoderUrl = 'unknown') {
+  logTS(`[${encoderUrl}] DirecTV logo-click fallback for "${channelName}"`);
+
+  try {
+    await page.waitForSelector('[aria-label^="view "]', { timeout: 15000, visible: true });
+  } catch {
+    logTS(`[${encoderUrl}] DirecTV: guide grid did not load (no channel logos found)`);
+    return false;
+  }
+
+  const found = await page.evaluate((name) => {
+    const lowerName = name.toLowerCase();
+    const logos = Array.from(document.querySelectorAll('[aria-label^="view "]')).map(el => ({
+      el,
+      label: (el.getAttribute('aria-label') || '').slice('view '.length).toLowerCase()
+    }));
+
+    let logo = logos.find(l => l.label === lowerName)?.el || null;
+
+    if (!logo) {
+      const prefixMatches = logos
+        .filter(l => l.label.startsWith(lowerName + '-'))
+        .sort((a, b) => a.label.localeCompare(b.label));
+      if (prefixMatches.length > 0) logo = prefixMatches[0].el;
+    }
+
+    if (!logo) return false;
+
+    logo.setAttribute('data-ch4c-target', '1');
+    logo.scrollIntoView({ behavior: 'instant', block: 'center' });
+    return true;
+  }, channelName);
+
+  if (!found) {
+    logTS(`[${encoderUrl}] DirecTV: channel "${channelName}" not found in guide grid`);
+    return false;
+  }
+
+  await delay(300);
+
+  const clicked = await page.evaluate(() => {
+    const logo = document.querySelector('[data-ch4c-target="1"]');
+    if (!logo) return false;
+    logo.removeAttribute('data-ch4c-target');
+    logo.click();
+    return true;
+  });
+
+  if (!clicked) return false;
+
+  try {
+    await page.waitForSelector('[aria-label^="on now,"]', { timeout: 15000, visible: true });
+  } catch {
+    logTS(`[${encoderUrl}] DirecTV: mini-guide play button did not appear for "${channelName}"`);
+    return false;
+  }
+
+  await delay(200);
+
+  const playClicked = await page.evaluate(() => {
+    const onNow = document.querySelector('[aria-label^="on now,"]');
+    if (!onNow) return false;
+    const pressable = onNow.querySelector('[tabindex="0"]') || onNow;
+    pressable.click();
+    return true;
+  });
+
+  if (playClicked) logTS(`[${encoderUrl}] DirecTV: logo-click fallback succeeded for "${channelName}"`);
+  return playClicked;
+}
+
+/**
+ * DirecTV Stream fullscreen/audio setup. The webpack interceptor passes makeFullscreen:true
+ * to the player, so fullscreen is already handled. This function unmutes the video and
+ * optionally selects a closed-caption track.
+ */
+async function fullScreenVideoDirectv(page, encoderConfig = null, closedCaptions = '') {
+  logTS('URL contains stream.directv.com, setting up audio');
+
+  const videoHandle = await page.waitForSelector('video', { timeout: 15000 }).catch(() => null);
+
+  if (videoHandle) {
+    await page.evaluate((video) => {
+      video.muted = false;
+      video.volume = 1.0;
+    }, videoHandle);
+    logTS('DirecTV: video unmuted');
+  }
+
+  if (encoderConfig && encoderConfig.audioDevice) {
+    const { frameHandle, videoHandle: vh } = await findVideoElement(page);
+    if (frameHandle && vh) {
+      await setupAudioMonitor(frameHandle, vh, encoderConfig.audioDevice, encoderConfig.url);
+    }
+  }
+
+  await hideCursor(page);
+}
+
+module.exports = {
+  id: 'directv',
+  name: 'DirecTV Stream',
+  urlPatterns: ['stream.directv.com'],
+  loginSiteIds: ['directv'],
+  navigate: (page, targetUrl, ctx) => ctx.channel ? navigateDirectvStream(page, ctx.channel, ctx.encoderUrl) : null,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoDirectv(page, ctx.encoderConfig, ctx.closedCaptions),
+};
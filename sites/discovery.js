@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * sites/discovery.js
+ * Discovery site handler.
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function selectDiscoveryClosedCaptions(page, ccOption) {
+  try {
+    // Open the Audio and Subtitles menu
+    const opened = await page.evaluate(() => {
+      const btn = Array.from(document.querySelectorAll('button[aria-haspopup="menu"]'))
+        .find(b => b.querySelector('svg[aria-label="Audio and Subtitles"]'));
+      if (btn) { btn.click(); return true; }
+      return false;
+    });
+    if (!opened) {
+      logTS('Discovery CC: Audio and Subtitles button not found');
+      return false;
+    }
+    await delay(400);
+
+    // Click the matching menu item — "Off" or contains "English"
+    const clicked = await page.evaluate((cc) => {
+      const items = document.querySelectorAll('button.MenuItem-hwIqtb');
+      const target = cc === 'Off' ? 'Off' : 'English';
+      for (const item of items) {
+        const text = item.textContent?.trim() || '';
+        if (text === target || (target === 'English' && text.toLowerCase().includes('english'))) {
+          item.click();
+          return text;
+        }
+      }
+      return null;
+    }, ccOption);
+
+    if (clicked) {
+      logTS(`Discovery CC: selected "${clicked}"`);
+      await delay(300);
+      // Close the menu by re-clicking the Audio and Subtitles button
+      await page.evaluate(() => {
+        const btn = Array.from(document.querySelectorAll('button[aria-haspopup="menu"]'))
+          .find(b => b.querySelector('svg[aria-label="Audio and Subtitles"]'));
+        if (btn) btn.click();
+      });
+      return true;
+    }
+    logTS(`Discovery CC: option "${ccOption}" not found in menu`);
+    return false;
+  } catch (err) {
+    logTS(`Discovery CC error: ${err.message}`);
+    return false;
+  }
+}
+
+async function fullScreenVideoDiscovery(page, closedCaptions = '') {
+  logTS("URL contains Discovery, setting up fullscreen");
+
+  // Wait for video element to have enough data to play (readyState >= 3)
+  let videoReady = false;
+  for (let i = 0; i < 10; i++) {
+    try {
+      videoReady = await page.evaluate(() => {
+        const videos = document.querySelectorAll('video');
+        for (const video of videos) {
+          if (video.readyState >= 3) return true;
+        }
+        return false;
+      });
+      if (videoReady) {
+        logTS("Discovery video ready (readyState >= 3)");
+        break;
+      }
+    } catch (e) {
+      // Continue waiting
+    }
+    await delay(500);
+  }
+
+  if (!videoReady) {
+    logTS("Discovery video not ready after timeout, continuing anyway");
+  }
+
+  // Move mouse to center of viewport to trigger player controls
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(500);
+  } catch (e) {
+    logTS("Could not move mouse to show controls: " + e.message);
+  }
+
+  // Get volume button position for hover, then handle volume slider
+  const result = await page.evaluate(() => {
+    const results = { volume: 'not found' };
+
+    const volumeBtn = document.querySelector('button[aria-label="Volume"]');
+    if (volumeBtn) {
+      const rect = volumeBtn.getBoundingClientRect();
+      results.volumeButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+      results.volume = 'found';
+    }
+
+    return results;
+  });
+
+  // Hover over volume button to reveal vertical slider, then click at top
+  if (result.volumeButtonRect) {
+    const volBtnCenterX = result.volumeButtonRect.x + result.volumeButtonRect.width / 2;
+    const volBtnCenterY = result.volumeButtonRect.y + result.volumeButtonRect.height / 2;
+    await page.mouse.move(volBtnCenterX, volBtnCenterY);
+    await delay(500);
+
+    const volInfo = await page.evaluate(() => {
+      const slider = document.querySelector('div[aria-label="Volume Slider"]');
+      if (slider) {
+        const currentVolume = slider.getAttribute('aria-valuenow');
+        const rect = slider.getBoundingClientRect();
+        return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+      }
+      return null;
+    });
+
+    if (volInfo && volInfo.height > 0) {
+      // Vertical slider - click near the top for max volume
+      const clickX = volInfo.x + volInfo.width / 2;
+      const clickY = volInfo.y + 2;
+      await page.mouse.click(clickX, clickY);
+      logTS(`Discovery volume: clicked slider at top for max (was ${volInfo.currentVolume}%)`);
+    } else {
+      logTS(`Discovery volume: slider not visible`);
+    }
+  } else {
+    logTS(`Discovery volume: volume button not found`);
+  }
+
+  // Move mouse away then click fullscreen
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+  } catch (e) {
+    // Continue
+  }
+
+  const fullscreenResult = await page.evaluate(() => {
+    const btn = document.querySelector('button[aria-label="Fullscreen"]');
+    if (btn) {
+      btn.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`Discovery fullscreen status: ${fullscreenResult}`);
+
+  if (closedCaptions) {
+    const discoveryCcValue = closedCaptions;
+    const firstAttempt = await selectDiscoveryClosedCaptions(page, discoveryCcValue);
+    if (!firstAttempt) {
+      (async () => {
+        for (let attempt = 2; attempt <= 6; attempt++) {
+          await delay(30000);
+          logTS(`Discovery CC: retry attempt ${attempt}/6 for "${discoveryCcValue}"`);
+          const success = await selectDiscoveryClosedCaptions(page, discoveryCcValue);
+          if (success) return;
+        }
+      })().catch(err => logTS(`Discovery CC background error: ${err.message}`));
+    }
+  }
+
+  logTS("finished Discovery fullscreen setup");
+}
+
+module.exports = {
+  id: 'discovery',
+  name: 'Discovery',
+  urlPatterns: ['go.discovery.com'],
+  loginSiteIds: ['discovery'],
+  closedCaptions: true,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoDiscovery(page, ctx.closedCaptions),
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * sites/disney-now.js
+ * DisneyNOW site handler.
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function fullScreenVideoDisneyNow(page) {
+  logTS("URL contains DisneyNow, setting up fullscreen");
+
+  // Play overlay already clicked in setupBrowserAudio, move mouse to show controls
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(500);
+  } catch (e) {
+    logTS("Could not move mouse to show controls: " + e.message);
+  }
+
+  // Handle unmute, volume, and fullscreen
+  const result = await page.evaluate(() => {
+    const results = { mute: 'not found', volume: 'not found', fullscreen: 'not found' };
+
+    function querySelectorDeep(selector, root = document) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+      const allElements = root.querySelectorAll('*');
+      for (const el of allElements) {
+        if (el.shadowRoot) {
+          const found = querySelectorDeep(selector, el.shadowRoot);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+
+    // Find and handle mute button, return its position for volume hover
+    const muteButton = querySelectorDeep('button.toggle-mute-button');
+    if (muteButton) {
+      if (muteButton.classList.contains('volume-muted')) {
+        muteButton.click();
+        results.mute = 'was muted, clicked unmute';
+      } else {
+        results.mute = 'already unmuted';
+      }
+      const rect = muteButton.getBoundingClientRect();
+      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+    }
+
+    return results;
+  });
+
+  logTS(`DisneyNow mute status: ${result.mute}`);
+
+  // Set volume to max: hover over mute button to reveal volume bar, then click far right
+  if (result.muteButtonRect) {
+    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
+    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
+    await page.mouse.move(muteCenterX, muteCenterY);
+    await delay(500);
+
+    const volInfo = await page.evaluate(() => {
+      function querySelectorDeep(selector, root = document) {
+        const element = root.querySelector(selector);
+        if (element) return element;
+        const allElements = root.querySelectorAll('*');
+        for (const el of allElements) {
+          if (el.shadowRoot) {
+            const found = querySelectorDeep(selector, el.shadowRoot);
+            if (found) return found;
+          }
+        }
+        return null;
+      }
+      const thumb = querySelectorDeep('.volume-bar__thumb');
+      if (thumb) {
+        const currentVolume = thumb.getAttribute('aria-valuenow');
+        const bar = thumb.parentElement;
+        if (bar) {
+          const rect = bar.getBoundingClientRect();
+          return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        }
+      }
+      return null;
+    });
+
+    if (volInfo && volInfo.width > 0) {
+      const clickX = volInfo.x + volInfo.width - 2;
+      const clickY = volInfo.y + volInfo.height / 2;
+      await page.mouse.click(clickX, clickY);
+      logTS(`DisneyNow volume: clicked bar at max position (was ${volInfo.currentVolume}%)`);
+    } else {
+      logTS(`DisneyNow volume: volume bar not visible`);
+    }
+  } else {
+    logTS(`DisneyNow volume: mute button not found`);
+  }
+
+  // Move mouse away then click fullscreen
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+  } catch (e) {
+    // Continue
+  }
+
+  const fullscreenResult = await page.evaluate(() => {
+    function querySelectorDeep(selector, root = document) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+      const allElements = root.querySelectorAll('*');
+      for (const el of allElements) {
+        if (el.shadowRoot) {
+          const found = querySelectorDeep(selector, el.shadowRoot);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+    const fullscreenButton = querySelectorDeep('button.fullscreen-icon');
+    if (fullscreenButton) {
+      fullscreenButton.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`DisneyNow fullscreen status: ${fullscreenResult}`);
+  logTS("finished DisneyNow fullscreen setup");
+}
+
+module.exports = {
+  id: 'disney-now',
+  name: 'DisneyNOW',
+  urlPatterns: ['disneynow.com'],
+  loginSiteIds: ['disneynow'],
+  fullscreen: (page) => fullScreenVideoDisneyNow(page),
+};
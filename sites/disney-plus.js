@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * sites/disney-plus.js
+ * Disney+ site handler. Uses a maximized window; the player handles fullscreen.
+ */
+
+const { logTS } = require('../logger');
+const Constants = require('../constants');
+const { delay, hideCursor, GetProperty, setupPauseMonitor } = require('./common');
+
+async function selectDisneyPlusClosedCaptions(page, ccOption) {
+  logTS(`Selecting Disney+ subtitles: ${ccOption}`);
+  try {
+    // Move mouse to center to make player controls visible
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    // Click the Audio and subtitles settings button
+    const settingsBtn = await page.waitForSelector('button[aria-label="Audio and subtitles menu"]', { timeout: 5000 }).catch(() => null);
+    if (!settingsBtn) {
+      logTS('Disney+ CC: Settings button not found, skipping');
+      return false;
+    }
+    await settingsBtn.click();
+    await delay(300);
+
+    // Match by label text — value is just a track index and varies by content
+    const clicked = await page.evaluate((ccOpt) => {
+      const inputs = document.querySelectorAll('input[name="subtitleTrackPicker"]');
+      for (const input of inputs) {
+        // Check aria-label on input, or text of associated <label>
+        const ariaLabel = input.getAttribute('aria-label') || '';
+        const labelEl = input.id ? document.querySelector(`label[for="${input.id}"]`) : null;
+        const labelText = labelEl ? labelEl.textContent : '';
+        const text = (ariaLabel + ' ' + labelText).toLowerCase();
+
+        if (ccOpt === 'Off' && (input.value === 'off' || text.includes('off') || text.includes('none'))) {
+          input.click();
+          return true;
+        }
+        if (ccOpt !== 'Off' && text.includes(ccOpt.toLowerCase())) {
+          input.click();
+          return true;
+        }
+      }
+      return false;
+    }, ccOption);
+
+    if (clicked) {
+      logTS(`Disney+ CC: Selected "${ccOption}"`);
+    } else {
+      logTS(`Disney+ CC: Option "${ccOption}" not found in menu`);
+    }
+
+    // Close the drawer using its dedicated close button
+    const closeBtn = await page.$('button[aria-label="Press back on your remote to close the audio and subtitles menu."]');
+    if (closeBtn) {
+      await closeBtn.click();
+    }
+    await delay(200);
+
+    // Move mouse to corner so player controls fade out
+    await page.mouse.move(0, 0);
+    return clicked;
+  } catch (err) {
+    logTS(`Disney+ CC selection error (non-fatal): ${err.message}`);
+    return false;
+  }
+}
+
+async function selectDisneyPlusClosedCaptionsWithRetry(page, ccOption) {
+  const maxAttempts = 6;
+  const retryDelay = 30000; // 30s — covers typical pre-roll ad breaks
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (page.isClosed()) {
+      logTS('Disney+ CC: page closed, stopping retries');
+      return;
+    }
+    logTS(`Disney+ CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
+    const success = await selectDisneyPlusClosedCaptions(page, ccOption);
+    if (success) return;
+
+    if (attempt < maxAttempts) {
+      logTS(`Disney+ CC: Not available yet, retrying in 30s...`);
+      await delay(retryDelay);
+    }
+  }
+  logTS(`Disney+ CC: Could not select after ${maxAttempts} attempts`);
+}
+
+async function fullScreenVideoDisneyPlus(page, closedCaptions = '') {
+  logTS("URL contains disneyplus.com, setting up Disney+ video");
+
+  let frameHandle, videoHandle;
+
+  // Find the video element
+  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
+    try {
+      const frames = await page.frames({ timeout: 1000 });
+      for (const frame of frames) {
+        try {
+          const videos = await frame.$$('video');
+          if (videos.length > 1) {
+            for (const video of videos) {
+              const hasAudio = await frame.evaluate((v) => {
+                return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
+                       Boolean(v.audioTracks && v.audioTracks.length);
+              }, video);
+              if (hasAudio) {
+                videoHandle = video;
+                frameHandle = frame;
+                logTS('Found Disney+ video element with audio');
+                break videoSearch;
+              } else if (!videoHandle) {
+                videoHandle = video;
+                frameHandle = frame;
+              }
+            }
+          } else if (videos.length === 1) {
+            videoHandle = videos[0];
+            frameHandle = frame;
+            logTS('Found Disney+ video element');
+            break videoSearch;
+          }
+        } catch (error) {
+          // Continue searching
+        }
+      }
+    } catch (error) {
+      logTS('Error looking for Disney+ video:', error.message);
+      videoHandle = null;
+    }
+    if (!videoHandle) {
+      await delay(Constants.FIND_VIDEO_WAIT * 1000);
+    }
+  }
+
+  if (videoHandle) {
+    // Wait for video to be playing
+    logTS("Waiting for Disney+ video to be ready");
+    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES; step++) {
+      const readyState = await GetProperty(videoHandle, 'readyState');
+      const paused = await GetProperty(videoHandle, 'paused');
+      if (readyState >= 3 && !paused) {
+        logTS(`Disney+ video ready (readyState: ${readyState})`);
+        break;
+      }
+      if (readyState >= 3 && paused) {
+        await frameHandle.evaluate((v) => v.play().catch(() => {}), videoHandle);
+      }
+      await delay(1000);
+    }
+
+    // Unmute video
+    await frameHandle.evaluate((video) => {
+      video.muted = false;
+      video.removeAttribute('muted');
+    }, videoHandle);
+
+    // Ensure video is playing
+    await frameHandle.evaluate((video) => {
+      if (video.paused) {
+        video.play().catch(err => console.log('Play failed:', err));
+      }
+    }, videoHandle);
+
+    // Select closed captions BEFORE fullscreen — skip if Default (empty)
+    const disneyPlusCcValue = closedCaptions || '';
+    if (disneyPlusCcValue) {
+      logTS(`Disney+ CC param received: "${disneyPlusCcValue}"`);
+      selectDisneyPlusClosedCaptionsWithRetry(page, disneyPlusCcValue)
+        .catch(err => logTS(`Disney+ CC background error: ${err.message}`));
+    }
+
+    // Go fullscreen via the player's own fullscreen button
+    logTS("Going fullscreen via Disney+ player fullscreen button");
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    logTS("Disney+: pressing F key for fullscreen");
+    await page.keyboard.press('f');
+
+    await setupPauseMonitor(frameHandle, videoHandle, page);
+  } else {
+    logTS('Could not find Disney+ video element');
+  }
+
+  await hideCursor(page);
+  await page.mouse.move(0, 0);
+  logTS("Disney+ fullscreen setup complete");
+}
+
+module.exports = {
+  id: 'disney-plus',
+  name: 'Disney+',
+  urlPatterns: ['disneyplus.com'],
+  windowState: 'maximized',
+  loginSiteIds: ['disney'],
+  closedCaptions: true,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoDisneyPlus(page, ctx.closedCaptions),
+};
@@ -0,0 +1,385 @@
+'use strict';
+
+/**
+ * sites/espn.js
+ * ESPN site handler.
+ */
+
+const { logTS } = require('../logger');
+const Constants = require('../constants');
+const { delay, hideCursor, findVideoElement, setupPauseMonitor } = require('./common');
+
+/**
+ * Sets up an error recovery monitor for ESPN streams.
+ * Detects when the stream stops (e.g. "too many devices" error) and reloads the page to recover.
+ * Runs in Node.js context (not browser context) so it can trigger page navigation.
+ * @param {Object} page - The Puppeteer page object
+ */
+function setupESPNErrorMonitor(page, encoderConfig = null) {
+  if (!Constants.ENABLE_PAUSE_MONITOR) {
+    return;
+  }
+
+  const url = page.url();
+  const CHECK_INTERVAL_MS = 30000;
+  const FAILURES_BEFORE_RECOVERY = 2;
+  const MAX_RECOVERY_ATTEMPTS = 3;
+
+  let consecutiveFailures = 0;
+  let recoveryAttempts = 0;
+
+  const intervalId = setInterval(async () => {
+    try {
+      const isPlaying = await page.evaluate(() => {
+        const videos = document.querySelectorAll('video');
+        return Array.from(videos).some(v => !v.paused && !v.ended && v.readyState >= 3);
+      });
+
+      if (isPlaying) {
+        consecutiveFailures = 0;
+      } else {
+        consecutiveFailures++;
+        logTS(`ESPN monitor: no active video (${consecutiveFailures}/${FAILURES_BEFORE_RECOVERY})`);
+
+        if (consecutiveFailures >= FAILURES_BEFORE_RECOVERY) {
+          if (recoveryAttempts >= MAX_RECOVERY_ATTEMPTS) {
+            logTS('ESPN monitor: max recovery attempts reached, stopping');
+            clearInterval(intervalId);
+            return;
+          }
+
+          consecutiveFailures = 0;
+          recoveryAttempts++;
+          logTS(`ESPN monitor: attempting page recovery (${recoveryAttempts}/${MAX_RECOVERY_ATTEMPTS})`);
+          clearInterval(intervalId);
+
+          await delay(5000);
+          try {
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            await delay(6000);
+            await fullScreenVideoESPN(page, encoderConfig);
+            // Re-apply audio device since page reload resets video element sinkIds
+            if (encoderConfig && encoderConfig.audioDevice) {
+              try {
+                await page.evaluate(async (audioDevice) => {
+                  const devices = await navigator.mediaDevices.enumerateDevices();
+                  const targetDevice = devices.filter(d => d.kind === 'audiooutput').find(d => d.label.includes(audioDevice));
+                  if (!targetDevice) return;
+                  const allVideos = document.querySelectorAll('video');
+                  for (const video of allVideos) {
+                    if (video.setSinkId) await video.setSinkId(targetDevice.deviceId).catch(() => {});
+                  }
+                }, encoderConfig.audioDevice);
+                logTS(`ESPN monitor: re-applied audio device after recovery: ${encoderConfig.audioDevice}`);
+              } catch (audioErr) {
+                logTS(`ESPN monitor: failed to re-apply audio device - ${audioErr.message}`);
+              }
+            }
+          } catch (e) {
+            logTS(`ESPN monitor: recovery failed - ${e.message}`);
+          }
+        }
+      }
+    } catch (e) {
+      logTS(`ESPN monitor: stopping due to error - ${e.message}`);
+      clearInterval(intervalId);
+    }
+  }, CHECK_INTERVAL_MS);
+
+  logTS(`ESPN error recovery monitor active (${CHECK_INTERVAL_MS / 1000}s interval, max ${MAX_RECOVERY_ATTEMPTS} recoveries)`);
+}
+
+async function selectESPNClosedCaptions(page, ccOption) {
+  // Returns true if successfully set, false if button not found
+  try {
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    const result = await page.evaluate((wantOn) => {
+      function querySelectorDeep(selector, root = document) {
+        const el = root.querySelector(selector);
+        if (el) return el;
+        for (const child of root.querySelectorAll('*')) {
+          if (child.shadowRoot) {
+            const found = querySelectorDeep(selector, child.shadowRoot);
+            if (found) return found;
+          }
+        }
+        return null;
+      }
+
+      // Find the CC toggle button — when ON it has class "disable-captions active",
+      // when OFF it has class "enable-captions"
+      const btn = querySelectorDeep('button.toggle-closed-captions');
+      if (!btn) return 'not found';
+
+      const isOn = btn.classList.contains('disable-captions');
+      if (wantOn && !isOn) {
+        btn.click();
+        return 'turned on';
+      } else if (!wantOn && isOn) {
+        btn.click();
+        return 'turned off';
+      }
+      return 'already correct';
+    }, ccOption.toLowerCase() !== 'off');
+
+    logTS(`ESPN CC: ${result} for "${ccOption}"`);
+    return result !== 'not found';
+  } catch (e) {
+    logTS(`ESPN CC: error — ${e.message}`);
+    return false;
+  }
+}
+
+async function fullScreenVideoESPN(page, encoderConfig = null, closedCaptions = '') {
+  logTS("URL contains ESPN, setting up fullscreen and unmuting");
+
+  // Wait for video element to have enough data to play (readyState >= 3)
+  let videoReady = false;
+  for (let i = 0; i < 10; i++) {  // Wait up to ~5 seconds
+    try {
+      videoReady = await page.evaluate(() => {
+        const videos = document.querySelectorAll('video');
+        // Check if any video has enough data (readyState 3=HAVE_FUTURE_DATA, 4=HAVE_ENOUGH_DATA)
+        for (const video of videos) {
+          if (video.readyState >= 3) {
+            return true;
+          }
+        }
+        return false;
+      });
+      if (videoReady) {
+        logTS("ESPN video ready (readyState >= 3)");
+        break;
+      }
+    } catch (e) {
+      // Continue waiting
+    }
+    await delay(500);
+  }
+
+  if (!videoReady) {
+    logTS("ESPN video not ready after timeout, continuing anyway");
+  }
+
+  // Move mouse to center of viewport to trigger player controls
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+    await page.mouse.click(centerX, centerY);
+    await delay(500);
+    // Move mouse again to ensure controls stay visible
+    await page.mouse.move(centerX, centerY - 100);
+    await delay(300);
+  } catch (e) {
+    logTS("Could not move mouse to show controls: " + e.message);
+  }
+
+  // Use evaluate to find and interact with elements (handles shadow DOM)
+  const result = await page.evaluate(() => {
+    const results = { mute: 'not found', volume: 'not found', fullscreen: 'not found' };
+
+    // Helper to search in shadow DOM
+    function querySelectorDeep(selector, root = document) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+
+      // Search in shadow roots
+      const allElements = root.querySelectorAll('*');
+      for (const el of allElements) {
+        if (el.shadowRoot) {
+          const found = querySelectorDeep(selector, el.shadowRoot);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+
+    // Find and handle mute button, return its position for volume hover
+    const muteButton = querySelectorDeep('button.toggle-mute-button');
+    if (muteButton) {
+      if (muteButton.classList.contains('volume-muted')) {
+        muteButton.click();
+        results.mute = 'was muted, clicked unmute';
+      } else {
+        results.mute = 'already unmuted';
+      }
+      const rect = muteButton.getBoundingClientRect();
+      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+    }
+
+    return results;
+  });
+
+  logTS(`ESPN mute status: ${result.mute}`);
+
+  // Set volume to max: hover over mute button to reveal volume bar, then click far right
+  if (result.muteButtonRect) {
+    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
+    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
+    await page.mouse.move(muteCenterX, muteCenterY);
+    await delay(500);
+
+    // Now get the volume bar position
+    const volInfo = await page.evaluate(() => {
+      function querySelectorDeep(selector, root = document) {
+        const element = root.querySelector(selector);
+        if (element) return element;
+        const allElements = root.querySelectorAll('*');
+        for (const el of allElements) {
+          if (el.shadowRoot) {
+            const found = querySelectorDeep(selector, el.shadowRoot);
+            if (found) return found;
+          }
+        }
+        return null;
+      }
+      const thumb = querySelectorDeep('.volume-bar__thumb');
+      if (thumb) {
+        const currentVolume = thumb.getAttribute('aria-valuenow');
+        const bar = thumb.parentElement;
+        if (bar) {
+          const rect = bar.getBoundingClientRect();
+          return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        }
+      }
+      return null;
+    });
+
+    if (volInfo && volInfo.width > 0) {
+      const clickX = volInfo.x + volInfo.width - 2;
+      const clickY = volInfo.y + volInfo.height / 2;
+      await page.mouse.click(clickX, clickY);
+      logTS(`ESPN volume: clicked bar at max position (was ${volInfo.currentVolume}%)`);
+    } else {
+      logTS(`ESPN volume: volume bar not visible`);
+    }
+  } else {
+    logTS(`ESPN volume: mute button not found`);
+  }
+
+  // Move mouse away from controls before fullscreen
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+  } catch (e) {
+    // Continue
+  }
+
+  // Click fullscreen button
+  const fullscreenResult = await page.evaluate(() => {
+    function querySelectorDeep(selector, root = document) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+      const allElements = root.querySelectorAll('*');
+      for (const el of allElements) {
+        if (el.shadowRoot) {
+          const found = querySelectorDeep(selector, el.shadowRoot);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+    const fullscreenButton = querySelectorDeep('button.fullscreen-icon');
+    if (fullscreenButton) {
+      fullscreenButton.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`ESPN fullscreen status: ${fullscreenResult}`);
+
+  // Wait for fullscreen transition to complete, then click play to resume
+  await delay(1000);
+
+  const playResult = await page.evaluate(() => {
+    // Helper to search in shadow DOM
+    function querySelectorDeep(selector, root = document) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+
+      const allElements = root.querySelectorAll('*');
+      for (const el of allElements) {
+        if (el.shadowRoot) {
+          const found = querySelectorDeep(selector, el.shadowRoot);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+
+    // Find and click play button to resume playback
+    const playButton = querySelectorDeep('button.play-button');
+    if (playButton) {
+      playButton.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`ESPN play status: ${playResult}`);
+
+  // Setup pause monitor to catch simple unexpected pauses
+  const { frameHandle, videoHandle } = await findVideoElement(page);
+  if (frameHandle && videoHandle) {
+    await setupPauseMonitor(frameHandle, videoHandle, page);
+  } else {
+    logTS("ESPN: could not find video element for pause monitor");
+  }
+
+  // Setup error recovery monitor to handle hard errors (e.g. too many devices streaming)
+  setupESPNErrorMonitor(page, encoderConfig);
+
+  // Hide cursor before CC task starts (CC task moves mouse to center, which would show cursor)
+  await hideCursor(page);
+  // Also inject cursor-hiding into ESPN's shadow DOM roots — shadow DOM scoped styles can
+  // override the inherited cursor:none from the main document
+  await page.evaluate(() => {
+    const sheet = new CSSStyleSheet();
+    sheet.insertRule('* { cursor: none !important }');
+    document.adoptedStyleSheets = [...(document.adoptedStyleSheets || []), sheet];
+    (function applyToShadowRoots(root) {
+      for (const el of root.querySelectorAll('*')) {
+        if (el.shadowRoot) {
+          el.shadowRoot.adoptedStyleSheets = [...(el.shadowRoot.adoptedStyleSheets || []), sheet];
+          applyToShadowRoots(el.shadowRoot);
+        }
+      }
+    })(document);
+  }).catch(() => {});
+  await page.mouse.move(0, 0);
+
+  // Select closed captions — skip if Default (empty)
+  const espnCcValue = closedCaptions || '';
+  if (espnCcValue) (async () => {
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      if (attempt > 1) await delay(30000);
+      logTS(`ESPN CC: Attempt ${attempt}/6 for "${espnCcValue}"`);
+      const success = await selectESPNClosedCaptions(page, espnCcValue);
+      if (success) return;
+    }
+    logTS(`ESPN CC: Could not select after 6 attempts`);
+  })().catch(err => logTS(`ESPN CC background error: ${err.message}`));
+
+  logTS("finished ESPN fullscreen setup");
+}
+
+module.exports = {
+  id: 'espn',
+  name: 'ESPN',
+  urlPatterns: ['espn.com'],
+  loginSiteIds: ['espn'],
+  closedCaptions: true,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoESPN(page, ctx.encoderConfig, ctx.closedCaptions),
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * sites/fox-sports.js
+ * Fox Sports site handler. The JWPlayer starts streaming immediately, so networkidle2
+ * never fires — navigation only waits for domcontentloaded.
+ */
+
+const { logTS } = require('../logger');
+
+async function fullScreenVideoFoxSports(page) {
+  logTS("Fox Sports: setting up fullscreen");
+
+  // Play was already clicked in setupBrowserAudio; just unmute and go fullscreen.
+  await page.evaluate(() => {
+    const video = document.querySelector('.fs-player video, video');
+    if (video) {
+      video.muted = false;
+      if (video.volume === 0) video.volume = 1;
+      video.requestFullscreen?.();
+    }
+  }).catch(() => {});
+
+  logTS("Fox Sports: fullscreen setup complete");
+}
+
+module.exports = {
+  id: 'fox-sports',
+  name: 'Fox Sports',
+  urlPatterns: ['foxsports.com'],
+  waitUntil: 'domcontentloaded',
+  loginSiteIds: ['foxsports'],
+  fullscreen: (page) => fullScreenVideoFoxSports(page),
+};
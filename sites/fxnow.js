@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * sites/fxnow.js
+ * FXNow / ABC site handler (both use the same Disney player).
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function fullScreenVideoFXNow(page) {
+  logTS("URL contains FXNow, setting up fullscreen");
+
+  // Wait for video element to have enough data to play (readyState >= 3)
+  let videoReady = false;
+  for (let i = 0; i < 10; i++) {  // Wait up to ~5 seconds
+    try {
+      videoReady = await page.evaluate(() => {
+        const videos = document.querySelectorAll('video');
+        for (const video of videos) {
+          if (video.readyState >= 3) return true;
+        }
+        return false;
+      });
+      if (videoReady) {
+        logTS("FXNow video ready (readyState >= 3)");
+        break;
+      }
+    } catch (e) {
+      // Continue waiting
+    }
+    await delay(500);
+  }
+
+  if (!videoReady) {
+    logTS("FXNow video not ready after timeout, continuing anyway");
+  }
+
+  // Move mouse to center of viewport to trigger player controls
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+    await page.mouse.click(centerX, centerY);
+    await delay(500);
+    await page.mouse.move(centerX, centerY - 100);
+    await delay(300);
+  } catch (e) {
+    logTS("Could not move mouse to show controls: " + e.message);
+  }
+
+  // Handle unmute, volume, and fullscreen
+  const result = await page.evaluate(() => {
+    const results = { mute: 'not found', volume: 'not found', fullscreen: 'not found' };
+
+    function querySelectorDeep(selector, root = document) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+      const allElements = root.querySelectorAll('*');
+      for (const el of allElements) {
+        if (el.shadowRoot) {
+          const found = querySelectorDeep(selector, el.shadowRoot);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+
+    // Find and handle mute button, return its position for volume hover
+    const muteButton = querySelectorDeep('button.toggle-mute-button');
+    if (muteButton) {
+      if (muteButton.classList.contains('volume-muted')) {
+        muteButton.click();
+        results.mute = 'was muted, clicked unmute';
+      } else {
+        results.mute = 'already unmuted';
+      }
+      const rect = muteButton.getBoundingClientRect();
+      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+    }
+
+    return results;
+  });
+
+  logTS(`FXNow mute status: ${result.mute}`);
+
+  // Set volume to max: hover over mute button to reveal volume bar, then click far right
+  if (result.muteButtonRect) {
+    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
+    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
+    await page.mouse.move(muteCenterX, muteCenterY);
+    await delay(500);
+
+    const volInfo = await page.evaluate(() => {
+      function querySelectorDeep(selector, root = document) {
+        const element = root.querySelector(selector);
+        if (element) return element;
+        const allElements = root.querySelectorAll('*');
+        for (const el of allElements) {
+          if (el.shadowRoot) {
+            const found = querySelectorDeep(selector, el.shadowRoot);
+            if (found) return found;
+          }
+        }
+        return null;
+      }
+      const thumb = querySelectorDeep('.volume-bar__thumb');
+      if (thumb) {
+        const currentVolume = thumb.getAttribute('aria-valuenow');
+        const bar = thumb.parentElement;
+        if (bar) {
+          const rect = bar.getBoundingClientRect();
+          return { currentVolume, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+        }
+      }
+      return null;
+    });
+
+    if (volInfo && volInfo.width > 0) {
+      const clickX = volInfo.x + volInfo.width - 2;
+      const clickY = volInfo.y + volInfo.height / 2;
+      await page.mouse.click(clickX, clickY);
+      logTS(`FXNow volume: clicked bar at max position (was ${volInfo.currentVolume}%)`);
+    } else {
+      logTS(`FXNow volume: volume bar not visible`);
+    }
+  } else {
+    logTS(`FXNow volume: mute button not found`);
+  }
+
+  // Move mouse away then click fullscreen
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+  } catch (e) {
+    // Continue
+  }
+
+  const fullscreenResult = await page.evaluate(() => {
+    function querySelectorDeep(selector, root = document) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+      const allElements = root.querySelectorAll('*');
+      for (const el of allElements) {
+        if (el.shadowRoot) {
+          const found = querySelectorDeep(selector, el.shadowRoot);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+    const fullscreenButton = querySelectorDeep('button.fullscreen-icon');
+    if (fullscreenButton) {
+      fullscreenButton.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`FXNow fullscreen status: ${fullscreenResult}`);
+
+  // Wait for fullscreen transition, then click play to resume
+  await delay(1000);
+
+  const playResult = await page.evaluate(() => {
+    function querySelectorDeep(selector, root = document) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+      const allElements = root.querySelectorAll('*');
+      for (const el of allElements) {
+        if (el.shadowRoot) {
+          const found = querySelectorDeep(selector, el.shadowRoot);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+
+    const playButton = querySelectorDeep('button.play-button');
+    if (playButton) {
+      playButton.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`FXNow play status: ${playResult}`);
+  logTS("finished FXNow fullscreen setup");
+}
+
+module.exports = {
+  id: 'fxnow',
+  name: 'FXNow/ABC',
+  urlPatterns: ['fxnow.fxnetworks.com', 'abc.com'],
+  loginSiteIds: ['fx', 'abc'],
+  fullscreen: (page) => fullScreenVideoFXNow(page),
+};
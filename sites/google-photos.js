@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * sites/google-photos.js
+ * Google Photos site handler — plays a shared album as a slideshow. There is no audio
+ * to route, so browser audio setup is skipped.
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function fullScreenVideoGooglePhotos(page) {
+  logTS("URL contains Google Photos");
+
+  // Simulate pressing the tab key key 10 times to get to the More Options button
+  for (let i = 0; i < 8; i++) {
+    await delay(200);
+    await page.keyboard.press('Tab');
+  }
+
+  // Press Enter twice to start Slideshow
+  await page.keyboard.press('Enter');
+  await delay(200);
+  await page.keyboard.press('Enter');
+
+  logTS("changed to fullscreen and max volume");
+}
+
+module.exports = {
+  id: 'google-photos',
+  name: 'Google Photos',
+  urlPatterns: ['photos.app.goo.gl'],
+  waitUntil: 'load',
+  skipAudioSetup: true,
+  videoWatchdog: false,
+  fullscreen: (page) => fullScreenVideoGooglePhotos(page),
+};
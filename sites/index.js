@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * sites/index.js
+ * Registry of site handlers — one module per streaming site under sites/, each describing
+ * how CH4C should open and present that site on an encoder.
+ *
+ * Handler interface (only id, name, urlPatterns and fullscreen are required):
+ *   id            {string}    unique, kebab-case
+ *   name          {string}    display name (logs, /api/sites)
+ *   urlPatterns   {Array<string|RegExp>}  a URL belongs to the first handler with a matching
+ *                 pattern; strings are substring matches against the full URL
+ *   windowState   {'fullscreen'|'maximized'}  browser window state before navigation
+ *                 (default 'fullscreen'; 'maximized' for players that go fullscreen themselves)
+ *   waitUntil     {string}    puppeteer waitUntil for the default navigation (default 'networkidle2')
+ *   skipAudioSetup {boolean}  skip setupBrowserAudio (e.g. slideshows with no audio)
+ *   videoWatchdog {boolean}   check <video> playback progress (video-watchdog.js; default true,
+ *                 false for pages without a video element)
+ *   loginSiteIds  {string[]}  Login Manager site ids (login-manager.js LOGIN_SITES) for this site
+ *   closedCaptions {boolean}  whether fullscreen() honours the cc= option
+ *   navigate(page, targetUrl, ctx)   optional custom navigation; resolves true/false for
+ *                 success, or null to fall back to the default page.goto
+ *   fullscreen(page, targetUrl, ctx) make the video fill the encoder's screen after tuning
+ *
+ * ctx is { encoderUrl, encoderConfig, closedCaptions, channel }.
+ *
+ * Order matters: handlers are checked in registration order, so a handler whose patterns
+ * overlap another's (e.g. 'hbomax.com' vs 'max.com') must be registered first.
+ */
+
+const BUILTIN_SITES = [
+  require('./directv'),
+  require('./youtube'),
+  require('./amazon'),
+  require('./sling'),
+  require('./peacock'),
+  require('./spectrum'),
+  require('./google-photos'),
+  require('./espn'),
+  require('./disney-plus'),
+  require('./apple-tv'),
+  require('./max'),
+  require('./netflix'),
+  require('./disney-now'),
+  require('./fox-sports'),
+  require('./fxnow'),
+  require('./natgeo'),
+  require('./tbs'),
+  require('./usa'),
+  require('./aetv'),
+  require('./discovery'),
+  require('./cbs'),
+];
+
+const DEFAULTS = {
+  windowState: 'fullscreen',
+  waitUntil: 'networkidle2',
+  skipAudioSetup: false,
+  videoWatchdog: true,
+  loginSiteIds: [],
+  closedCaptions: false,
+  navigate: null,
+};
+
+const _sites = [];
+
+function matchesUrl(site, url) {
+  return site.urlPatterns.some(p => (p instanceof RegExp ? p.test(url) : url.includes(p)));
+}
+
+/**
+ * Add a site handler. Later registrations are checked after earlier ones unless
+ * `options.first` is set (lets a custom handler take over URLs from a built-in one).
+ * @throws {Error} if the handler is missing required fields or its id is already registered
+ */
+function registerSite(site, options = {}) {
+  if (!site || typeof site.id !== 'string' || !site.id) throw new Error('Site handler needs an id');
+  if (typeof site.name !== 'string' || !site.name) throw new Error(`Site handler "${site.id}" needs a name`);
+  if (!Array.isArray(site.urlPatterns) || site.urlPatterns.length === 0) {
+    throw new Error(`Site handler "${site.id}" needs at least one URL pattern`);
+  }
+  if (typeof site.fullscreen !== 'function') throw new Error(`Site handler "${site.id}" needs a fullscreen function`);
+  if (site.navigate && typeof site.navigate !== 'function') throw new Error(`Site handler "${site.id}": navigate must be a function`);
+  if (site.windowState && !['fullscreen', 'maximized'].includes(site.windowState)) {
+    throw new Error(`Site handler "${site.id}": windowState must be "fullscreen" or "maximized"`);
+  }
+  if (_sites.some(s => s.id === site.id)) throw new Error(`Site handler "${site.id}" is already registered`);
+
+  const normalized = { ...DEFAULTS, ...site };
+  if (options.first) _sites.unshift(normalized);
+  else _sites.push(normalized);
+  return normalized;
+}
+
+/** @returns {object|null} the handler responsible for targetUrl, or null for generic handling */
+function findSite(targetUrl) {
+  if (!targetUrl) return null;
+  return _sites.find(site => matchesUrl(site, targetUrl)) || null;
+}
+
+function getSite(id) {
+  return _sites.find(site => site.id === id) || null;
+}
+
+/** Window state to use for targetUrl before navigating. */
+function getWindowState(targetUrl) {
+  const site = findSite(targetUrl);
+  return site ? site.windowState : DEFAULTS.windowState;
+}
+
+/** JSON-safe description of every registered handler (for /api/sites). */
+function listSites() {
+  return _sites.map(site => ({
+    id: site.id,
+    name: site.name,
+    urlPatterns: site.urlPatterns.map(p => (p instanceof RegExp ? p.toString() : p)),
+    windowState: site.windowState,
+    waitUntil: site.waitUntil,
+    loginSiteIds: site.loginSiteIds,
+    supports: {
+      customNavigation: typeof site.navigate === 'function',
+      fullscreen: true,
+      closedCaptions: !!site.closedCaptions,
+      audioSetup: !site.skipAudioSetup,
+      videoWatchdog: site.videoWatchdog !== false,
+    },
+  }));
+}
+
+BUILTIN_SITES.forEach(site => registerSite(site));
+
+module.exports = {
+  registerSite,
+  findSite,
+  getSite,
+  getWindowState,
+  listSites,
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * sites/max.js
+ * Max (HBO Max) site handler. Uses a maximized window; the player handles fullscreen.
+ */
+
+const { logTS } = require('../logger');
+const { delay, hideCursor, setupPauseMonitor } = require('./common');
+
+async function selectMaxClosedCaptions(page, ccOption) {
+  logTS(`Selecting Max (HBO Max) subtitles: ${ccOption}`);
+  try {
+    // Move mouse to center to make player controls visible
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    // Click the CC/subtitle settings button
+    const trackBtn = await page.waitForSelector('button[data-testid="player-ux-track-selector-button"]', { timeout: 5000 }).catch(() => null);
+    if (!trackBtn) {
+      logTS('Max CC: Track selector button not found, skipping');
+      return false;
+    }
+    await trackBtn.click();
+    await delay(500);
+
+    // Click the matching track button by aria-label
+    // "English" maps to "English CC"; "Off" is exact "Off"
+    const clicked = await page.evaluate((ccOpt) => {
+      const buttons = document.querySelectorAll('button[data-testid="player-ux-text-track-button"]');
+      for (const btn of buttons) {
+        const label = (btn.getAttribute('aria-label') || '').toLowerCase();
+        if (ccOpt === 'Off' && label === 'off') {
+          btn.click();
+          return true;
+        }
+        if (ccOpt !== 'Off' && label.startsWith(ccOpt.toLowerCase())) {
+          btn.click();
+          return true;
+        }
+      }
+      return false;
+    }, ccOption);
+
+    if (clicked) {
+      logTS(`Max CC: Selected "${ccOption}"`);
+    } else {
+      logTS(`Max CC: Option "${ccOption}" not found in menu`);
+    }
+
+    // Close the menu via its dismiss button
+    const dismissBtn = await page.$('button[data-testid="player-ux-track-dismiss-button"]');
+    if (dismissBtn) await dismissBtn.click();
+    await delay(200);
+    await page.mouse.move(0, 0);
+    return clicked;
+  } catch (err) {
+    logTS(`Max CC selection error (non-fatal): ${err.message}`);
+    return false;
+  }
+}
+
+async function selectMaxClosedCaptionsWithRetry(page, ccOption) {
+  const maxAttempts = 6;
+  const retryDelay = 30000; // 30s — covers typical pre-roll ad breaks
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (page.isClosed()) {
+      logTS('Max CC: page closed, stopping retries');
+      return;
+    }
+    logTS(`Max CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
+    const success = await selectMaxClosedCaptions(page, ccOption);
+    if (success) return;
+
+    if (attempt < maxAttempts) {
+      logTS(`Max CC: Not available yet, retrying in 30s...`);
+      await delay(retryDelay);
+    }
+  }
+  logTS(`Max CC: Could not select after ${maxAttempts} attempts`);
+}
+
+async function fullScreenVideoMax(page, closedCaptions = '') {
+  logTS("URL contains hbomax.com/max.com, setting up Max video");
+
+  let frameHandle, videoHandle;
+  try {
+    frameHandle = page;
+    videoHandle = await frameHandle.waitForSelector('video', { timeout: 15000 }).catch(() => null);
+
+    if (videoHandle) {
+      // Unmute and ensure playing
+      await page.evaluate((video) => {
+        video.muted = false;
+        if (video.paused) video.play().catch(err => console.log('Play failed:', err));
+      }, videoHandle);
+
+      // Select closed captions BEFORE fullscreen — skip if Default (empty)
+      const maxCcValue = closedCaptions || '';
+      if (maxCcValue) {
+        logTS(`Max CC param received: "${maxCcValue}"`);
+        selectMaxClosedCaptionsWithRetry(page, maxCcValue)
+          .catch(err => logTS(`Max CC background error: ${err.message}`));
+      }
+
+      // Go fullscreen via 'f' key (player handles it internally)
+      logTS("Max: pressing F key for fullscreen");
+      const vp = page.viewport();
+      const cx = Math.floor((vp ? vp.width : 1280) / 2);
+      const cy = Math.floor((vp ? vp.height : 720) / 2);
+      await page.mouse.move(cx, cy);
+      await delay(300);
+      await page.keyboard.press('f');
+
+      await setupPauseMonitor(frameHandle, videoHandle, page);
+    } else {
+      logTS('Could not find Max video element');
+    }
+  } catch (err) {
+    logTS(`Max fullscreen setup error (non-fatal): ${err.message}`);
+  }
+
+  await hideCursor(page);
+  await page.mouse.move(0, 0);
+  logTS("Max fullscreen setup complete");
+}
+
+module.exports = {
+  id: 'max',
+  name: 'Max (HBO Max)',
+  urlPatterns: ['hbomax.com', 'max.com'],
+  windowState: 'maximized',
+  loginSiteIds: ['hbomax'],
+  closedCaptions: true,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoMax(page, ctx.closedCaptions),
+};
@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * sites/netflix.js
+ * Netflix site handler.
+ */
+
+const { logTS } = require('../logger');
+const Constants = require('../constants');
+const { delay, hideCursor, GetProperty, setupPauseMonitor } = require('./common');
+
+async function selectNetflixClosedCaptions(page, ccOption) {
+  logTS(`Selecting Netflix subtitles: ${ccOption}`);
+  try {
+    // Move mouse to center to make player controls visible
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    // Click the Audio & Subtitles button
+    const ccBtn = await page.waitForSelector('button[data-uia="control-audio-subtitle"]', { timeout: 5000 }).catch(() => null);
+    if (!ccBtn) {
+      logTS('Netflix CC: Subtitles button not found, skipping');
+      return false;
+    }
+    await ccBtn.click();
+    await delay(300);
+
+    // "English" means closed captions (dialogue + sound effects/speaker labels), which
+    // Netflix lists as "English (CC)" separately from the dubbing-track "English" entry —
+    // same distinction Amazon draws with its "English [CC]" option.
+    const targetLabel = ccOption === 'English' ? 'English (CC)' : ccOption;
+
+    // Subtitle items are <li data-uia="subtitle-item-{label}">, with the currently selected
+    // one tagged "subtitle-item-selected-{label}" instead. Prefer an exact label match over a
+    // substring match so it doesn't land on an unrelated option that merely contains the text.
+    const clicked = await page.evaluate((ccOpt) => {
+      const items = document.querySelectorAll('[data-uia="selector-audio-subtitle"] li[data-uia^="subtitle-item-"]');
+      let exactMatch = null, partialMatch = null;
+      for (const item of items) {
+        const label = (item.getAttribute('data-uia') || '').replace(/^subtitle-item-(selected-)?/, '');
+        if (label.toLowerCase() === ccOpt.toLowerCase()) { exactMatch = item; break; }
+        if (!partialMatch && label.toLowerCase().includes(ccOpt.toLowerCase())) partialMatch = item;
+      }
+      const target = exactMatch || partialMatch;
+      if (target) { target.click(); return true; }
+      return false;
+    }, targetLabel);
+
+    if (clicked) {
+      logTS(`Netflix CC: Selected "${targetLabel}"`);
+    } else {
+      logTS(`Netflix CC: Option "${targetLabel}" not found in menu`);
+    }
+
+    // Close the menu — the Audio & Subtitles button toggles the flyout open/closed
+    const closeBtn = await page.$('button[data-uia="control-audio-subtitle"]');
+    if (closeBtn) {
+      await closeBtn.click();
+    }
+    await delay(200);
+
+    // Move mouse to corner so player controls fade out
+    await page.mouse.move(0, 0);
+    return clicked;
+  } catch (err) {
+    logTS(`Netflix CC selection error (non-fatal): ${err.message}`);
+    return false;
+  }
+}
+
+async function selectNetflixClosedCaptionsWithRetry(page, ccOption) {
+  const maxAttempts = 6;
+  const retryDelay = 30000; // 30s — covers slow player initialization
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (page.isClosed()) {
+      logTS('Netflix CC: page closed, stopping retries');
+      return;
+    }
+    logTS(`Netflix CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
+    const success = await selectNetflixClosedCaptions(page, ccOption);
+    if (success) return;
+
+    if (attempt < maxAttempts) {
+      logTS(`Netflix CC: Not available yet, retrying in 30s...`);
+      await delay(retryDelay);
+    }
+  }
+  logTS(`Netflix CC: Could not select after ${maxAttempts} attempts`);
+}
+
+async function fullScreenVideoNetflix(page, closedCaptions = '') {
+  logTS("URL contains netflix.com, setting up Netflix video");
+
+  let frameHandle, videoHandle;
+
+  // Find the video element
+  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
+    try {
+      const frames = await page.frames({ timeout: 1000 });
+      for (const frame of frames) {
+        try {
+          const videos = await frame.$$('video');
+          if (videos.length > 1) {
+            for (const video of videos) {
+              const hasAudio = await frame.evaluate((v) => {
+                return v.mozHasAudio || Boolean(v.webkitAudioDecodedByteCount) ||
+                       Boolean(v.audioTracks && v.audioTracks.length);
+              }, video);
+              if (hasAudio) {
+                videoHandle = video;
+                frameHandle = frame;
+                logTS('Found Netflix video element with audio');
+                break videoSearch;
+              } else if (!videoHandle) {
+                videoHandle = video;
+                frameHandle = frame;
+              }
+            }
+          } else if (videos.length === 1) {
+            videoHandle = videos[0];
+            frameHandle = frame;
+            logTS('Found Netflix video element');
+            break videoSearch;
+          }
+        } catch (error) {
+          // Continue searching
+        }
+      }
+    } catch (error) {
+      logTS('Error looking for Netflix video:', error.message);
+      videoHandle = null;
+    }
+    if (!videoHandle) {
+      await delay(Constants.FIND_VIDEO_WAIT * 1000);
+    }
+  }
+
+  if (videoHandle) {
+    // Wait for video to be playing
+    logTS("Waiting for Netflix video to be ready");
+    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES; step++) {
+      const readyState = await GetProperty(videoHandle, 'readyState');
+      const paused = await GetProperty(videoHandle, 'paused');
+      if (readyState >= 3 && !paused) {
+        logTS(`Netflix video ready (readyState: ${readyState})`);
+        break;
+      }
+      if (readyState >= 3 && paused) {
+        await frameHandle.evaluate((v) => v.play().catch(() => {}), videoHandle);
+      }
+      await delay(1000);
+    }
+
+    // Unmute video
+    await frameHandle.evaluate((video) => {
+      video.muted = false;
+      video.removeAttribute('muted');
+    }, videoHandle);
+
+    // Ensure video is playing
+    await frameHandle.evaluate((video) => {
+      if (video.paused) {
+        video.play().catch(err => console.log('Play failed:', err));
+      }
+    }, videoHandle);
+
+    // Select closed captions BEFORE fullscreen — skip if Default (empty).
+    // Awaited (not backgrounded): it opens/clicks/closes the same control bar the
+    // fullscreen button lives in, and running it concurrently with the fullscreen
+    // click below was corrupting both (observed as "Node is detached from document").
+    // Netflix has no pre-roll ads, so the button should already be available here;
+    // only fall back to the backgrounded retry loop if this first attempt fails.
+    const netflixCcValue = closedCaptions || '';
+    if (netflixCcValue) {
+      logTS(`Netflix CC param received: "${netflixCcValue}"`);
+      const ccSucceeded = await selectNetflixClosedCaptions(page, netflixCcValue);
+      if (!ccSucceeded) {
+        selectNetflixClosedCaptionsWithRetry(page, netflixCcValue)
+          .catch(err => logTS(`Netflix CC background error: ${err.message}`));
+      }
+    }
+
+    // Go fullscreen via the player's own fullscreen button
+    logTS("Going fullscreen via Netflix player fullscreen button");
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    const fsBtn = await page.$('[data-uia="control-fullscreen-enter"]');
+    if (fsBtn) {
+      logTS("Netflix: clicking fullscreen button");
+      await fsBtn.click();
+    } else {
+      logTS("Netflix: fullscreen button not found, pressing F key");
+      await page.keyboard.press('f');
+    }
+
+    await setupPauseMonitor(frameHandle, videoHandle, page);
+  } else {
+    logTS('Could not find Netflix video element');
+  }
+
+  await hideCursor(page);
+  await page.mouse.move(0, 0);
+  logTS("Netflix fullscreen setup complete");
+}
+
+module.exports = {
+  id: 'netflix',
+  name: 'Netflix',
+  urlPatterns: ['netflix.com'],
+  loginSiteIds: ['netflix'],
+  closedCaptions: true,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoNetflix(page, ctx.closedCaptions),
+};
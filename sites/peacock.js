@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * sites/peacock.js
+ * Peacock site handler. Navigation starts from the homepage to get past bot mitigation,
+ * and the browser window is maximized rather than OS-fullscreen — the player goes
+ * fullscreen itself via the 'f' key.
+ */
+
+const { logTS } = require('../logger');
+const { delay, findVideoElement, setupAudioMonitor, setupPauseMonitor } = require('./common');
+
+/**
+ * Navigate to Peacock stream like a human would - start from homepage, then go to streaming URL
+ * @param {Page} page - Puppeteer page object
+ * @param {string} streamUrl - The final streaming URL to navigate to
+ * @param {string} encoderUrl - Encoder URL for logging purposes
+ * @returns {Promise<boolean>} - True if successfully navigated to stream
+ */
+async function navigatePeacockLikeHuman(page, streamUrl, encoderUrl = 'unknown') {
+  logTS(`[${encoderUrl}] Starting Peacock navigation (direct to stream URL)`);
+
+  // Helper function to handle profile selection - waits for page to be ready
+  async function handleProfileSelection() {
+    logTS(`[${encoderUrl}] Profile selection page detected, waiting for page to be ready...`);
+
+    // Wait for the page to be fully loaded and interactive
+    try {
+      await page.waitForSelector('body', { timeout: 5000 });
+      // Wait for profile buttons to be clickable (look for common profile page elements)
+      await page.waitForFunction(() => {
+        // Check if we're on profiles page and it's interactive
+        return document.readyState === 'complete' &&
+               document.querySelectorAll('button, [role="button"], a').length > 0;
+      }, { timeout: 5000 });
+    } catch (e) {
+      logTS(`[${encoderUrl}] Profile page wait timeout, proceeding anyway...`);
+    }
+
+    await delay(1500); // Extra delay to ensure page is fully interactive
+
+    logTS(`[${encoderUrl}] Sending profile selection keystrokes (3x Tab + Enter)...`);
+    await page.keyboard.press('Tab');
+    await delay(300);
+    await page.keyboard.press('Tab');
+    await delay(300);
+    await page.keyboard.press('Tab');
+    await delay(300);
+    await page.keyboard.press('Enter');
+    logTS(`[${encoderUrl}] Profile selection keystrokes sent`);
+
+    // Wait for navigation after profile selection
+    await delay(2000);
+  }
+
+  try {
+    // Navigate to homepage first to establish a normal browsing session
+    logTS(`[${encoderUrl}] Navigating to Peacock homepage`);
+    await page.goto('https://www.peacocktv.com', {
+      waitUntil: 'networkidle2',
+      timeout: 30000
+    });
+
+    // Handle profile selection if redirected on homepage load
+    if (page.url().includes('/watch/profiles')) {
+      logTS(`[${encoderUrl}] Profile selection page detected on homepage — selecting first profile`);
+      const profileSel = '.profiles__avatar--image[role="button"]';
+      try {
+        const profileEl = await page.waitForSelector(profileSel, { timeout: 8000 });
+        await profileEl.click();
+        await page.waitForFunction(() => !window.location.href.includes('/watch/profiles'), { timeout: 15000 });
+        logTS(`[${encoderUrl}] Profile selected — now at: ${page.url()}`);
+      } catch (e) {
+        logTS(`[${encoderUrl}] Profile selector click failed, trying keyboard fallback: ${e.message}`);
+        await handleProfileSelection();
+      }
+    }
+
+    // Simulate human browsing on homepage before navigating to stream
+    await delay(1000);
+    await page.mouse.move(300 + Math.random() * 400, 200 + Math.random() * 200);
+    await delay(800 + Math.random() * 600);
+    await page.mouse.move(400 + Math.random() * 300, 350 + Math.random() * 200);
+    await delay(1500 + Math.random() * 1500); // 1.5-3s additional dwell time
+
+    // Navigate to the stream URL
+    logTS(`[${encoderUrl}] Navigating to streaming URL: ${streamUrl}`);
+    await page.goto(streamUrl, {
+      waitUntil: 'load',
+      timeout: 30000
+    });
+
+    // Monitor for profile page for up to 8 seconds after initial navigation
+    // Peacock does delayed JavaScript redirects
+    const maxProfileChecks = 16; // 8 seconds (16 * 500ms)
+    let profileHandleCount = 0;
+    const maxProfileHandles = 3; // Don't get stuck in infinite loop
+
+    for (let i = 0; i < maxProfileChecks && profileHandleCount < maxProfileHandles; i++) {
+      const currentUrl = page.url();
+
+      // If we're on the playback page, we're done!
+      if (currentUrl.includes('/watch/playback')) {
+        logTS(`[${encoderUrl}] On playback page, navigation complete`);
+        break;
+      }
+
+      // If we're on profiles page, handle it
+      if (currentUrl.includes('/watch/profiles')) {
+        profileHandleCount++;
+        logTS(`[${encoderUrl}] On profiles page (handle attempt ${profileHandleCount}/${maxProfileHandles})`);
+
+        await handleProfileSelection();
+
+        // Navigate back to stream URL
+        logTS(`[${encoderUrl}] Navigating back to stream URL: ${streamUrl}`);
+        await page.goto(streamUrl, {
+          waitUntil: 'load',
+          timeout: 30000
+        });
+
+        // Reset counter to give more time after profile handling
+        i = 0;
+        continue;
+      }
+
+      // Wait before checking again
+      await delay(500);
+    }
+
+    logTS(`[${encoderUrl}] Successfully navigated to Peacock stream`);
+    logTS(`[${encoderUrl}] Final URL: ${page.url()}`);
+
+    return true;
+
+  } catch (error) {
+    logTS(`[${encoderUrl}] Peacock navigation error: ${error.message}`);
+    return false;
+  }
+}
+
+async function selectPeacockClosedCaptions(page, ccOption) {
+  // Returns true if successfully selected, false if button/menu not available yet
+  try {
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    const settingsBtn = await page.waitForSelector('button[data-testid="language-settings-button"]', { timeout: 5000 }).catch(() => null);
+    if (!settingsBtn) {
+      return false; // Not available yet (ads or player not ready)
+    }
+    await settingsBtn.click();
+    await delay(300);
+
+    const ccLabel = ccOption === 'English' ? 'English' : 'Off';
+    const clicked = await page.evaluate((label) => {
+      const drawer = document.querySelector('[data-testid="subtitles-drawer"]');
+      if (!drawer) return false;
+      for (const btn of drawer.querySelectorAll('button')) {
+        const span = btn.querySelector('span.label');
+        if (span && span.textContent.trim() === label) {
+          btn.click();
+          return true;
+        }
+      }
+      return false;
+    }, ccLabel);
+
+    if (clicked) {
+      logTS(`Peacock CC: Selected "${ccLabel}"`);
+      await page.mouse.move(0, 0);
+      return true;
+    }
+
+    // Option not found — close menu and signal not ready
+    logTS(`Peacock CC: "${ccLabel}" not found in subtitles drawer`);
+    await settingsBtn.click(); // toggle closed
+    return false;
+  } catch (err) {
+    logTS(`Peacock CC selection error (non-fatal): ${err.message}`);
+    return false;
+  }
+}
+
+async function selectPeacockClosedCaptionsWithRetry(page, ccOption) {
+  const maxAttempts = 6;
+  const retryDelay = 30000; // 30s — covers typical pre-roll ad breaks
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (page.isClosed()) {
+      logTS('Peacock CC: page closed, stopping retries');
+      return;
+    }
+    logTS(`Peacock CC: Attempt ${attempt}/${maxAttempts} for "${ccOption}"`);
+    const success = await selectPeacockClosedCaptions(page, ccOption);
+    if (success) return;
+
+    if (attempt < maxAttempts) {
+      logTS(`Peacock CC: Not available yet, retrying in 30s...`);
+      await delay(retryDelay);
+    }
+  }
+  logTS(`Peacock CC: Could not select after ${maxAttempts} attempts`);
+}
+
+async function fullScreenVideoPeacock(page, encoderConfig = null, closedCaptions = '') {
+  logTS("URL contains peacocktv.com, setting up video fullscreen");
+
+  // Add minimal mouse movement to simulate human presence
+  logTS("Adding mouse movement to simulate human presence");
+  await page.mouse.move(500, 400);
+  await delay(1000 + Math.random() * 1000); // 1-2 second delay (human observation time)
+
+  // Move mouse again to create more behavioral signals
+  await page.mouse.move(600 + Math.random() * 200, 450 + Math.random() * 100);
+  await delay(500 + Math.random() * 500); // 0.5-1 second delay
+
+  // Press 'f' key to make the video player fullscreen within the browser window
+  await delay(1000); // Wait for player to load
+  await page.keyboard.press('f');
+
+  // Wait for fullscreen transition to complete
+  await delay(1500);
+
+  // Find video element and setup pause monitor
+  const { frameHandle, videoHandle } = await findVideoElement(page);
+  if (frameHandle && videoHandle) {
+    logTS("Found Peacock video element, setting up pause monitor");
+
+    // Re-apply audio device after fullscreen transition (Peacock may recreate video elements)
+    if (encoderConfig && encoderConfig.audioDevice) {
+      logTS(`[${encoderConfig.url}] Re-applying audio device after fullscreen: ${encoderConfig.audioDevice}`);
+      try {
+        const audioResult = await frameHandle.evaluate(async (video, audioDevice) => {
+          const devices = await navigator.mediaDevices.enumerateDevices();
+          const audioDevices = devices.filter(d => d.kind === 'audiooutput');
+          const targetDevice = audioDevices.find(d => d.label.includes(audioDevice));
+
+          if (!targetDevice) {
+            return { success: false, error: `Device not found matching: ${audioDevice}`, availableDevices: audioDevices.map(d => d.label) };
+          }
+
+          if (!video.setSinkId) {
+            return { success: false, error: 'setSinkId not supported' };
+          }
+
+          await video.setSinkId(targetDevice.deviceId);
+          console.log(`[CH4C] Re-applied audio sink to: ${targetDevice.label}`);
+          return { success: true, device: targetDevice.label, sinkId: video.sinkId };
+        }, videoHandle, encoderConfig.audioDevice);
+
+        if (audioResult.success) {
+          logTS(`[${encoderConfig.url}] Audio device re-applied successfully: ${audioResult.device}`);
+        } else {
+          logTS(`[${encoderConfig.url}] Audio device re-application failed: ${audioResult.error}`);
+          if (audioResult.availableDevices) {
+            logTS(`[${encoderConfig.url}] Available audio devices: ${audioResult.availableDevices.join(', ')}`);
+          }
+        }
+      } catch (audioErr) {
+        logTS(`[${encoderConfig.url}] Warning: Could not re-apply audio device: ${audioErr.message}`);
+      }
+    }
+
+    // Ensure video is playing
+    await frameHandle.evaluate((video) => {
+      if (video.paused) {
+        video.play().catch(err => console.log('Play failed:', err));
+      }
+    }, videoHandle);
+
+    // Setup pause monitor to automatically resume if video gets paused
+    await setupPauseMonitor(frameHandle, videoHandle, page);
+
+    // Setup audio monitor to re-apply audio sink if it gets lost (helps with multi-stream scenarios)
+    if (encoderConfig && encoderConfig.audioDevice) {
+      await setupAudioMonitor(frameHandle, videoHandle, encoderConfig.audioDevice, encoderConfig.url);
+    }
+  } else {
+    logTS("Warning: Could not find Peacock video element for pause monitoring");
+  }
+
+  // Fire CC selection in background with retries — skip if Default (empty)
+  if (closedCaptions) {
+    selectPeacockClosedCaptionsWithRetry(page, closedCaptions)
+      .catch(err => logTS(`Peacock CC background error: ${err.message}`));
+  }
+
+  logTS("finished fullscreen setup");
+}
+
+module.exports = {
+  id: 'peacock',
+  name: 'Peacock',
+  urlPatterns: ['peacocktv.com'],
+  windowState: 'maximized',
+  loginSiteIds: ['peacock'],
+  closedCaptions: true,
+  navigate: (page, targetUrl, ctx) => navigatePeacockLikeHuman(page, targetUrl, ctx.encoderUrl),
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoPeacock(page, ctx.encoderConfig, ctx.closedCaptions),
+};
@@ -0,0 +1,391 @@
+'use strict';
+
+/**
+ * sites/sling.js
+ * Sling TV site handler. Sling rate-limits direct deep links, so navigation goes through
+ * the dashboard first (navigateSlingLikeHuman). The session/profile helpers are also used by
+ * Sling search in main.js and by the dashboard-redirect recovery in error-handling.js.
+ */
+
+const { logTS } = require('../logger');
+const credentialsStore = require('../credentials-store');
+const { loginSling } = require('../login-manager');
+const { delay, hideCursor, findVideoElement, setupAudioMonitor } = require('./common');
+
+/**
+ * Dismiss the Sling TV "Who's Watching?" profile selector if present.
+ * Clicks the first real profile (class includes "Standard"), ignoring the "+" add-profile tile.
+ */
+async function handleSlingProfileSelector(page) {
+  const selectorPresent = await page.$('.Profile-Selector-Content-Container').then(el => !!el).catch(() => false);
+  if (!selectorPresent) return;
+  logTS('Sling TV: profile selector detected — selecting first profile');
+
+  // Click "Don't Ask Again" if present — this may navigate to /modal, so wait for it to resolve
+  const suppressedPrompt = await page.evaluate(() => {
+    const btn = document.querySelector('[data-testid="profile-preference-button"]');
+    if (btn) { btn.click(); return true; }
+    return false;
+  });
+  if (suppressedPrompt) {
+    logTS('Sling TV: clicked Don\'t Ask Again');
+    await delay(500);
+    // If we landed on /modal, click the OKAY confirmation button then wait for it to dismiss
+    if (page.url().includes('/modal')) {
+      await page.waitForSelector('[data-testid="global-modal-content-group-button-0"]', { timeout: 5000 }).catch(() => {});
+      await page.evaluate(() => {
+        const btn = document.querySelector('[data-testid="global-modal-content-group-button-0"] button');
+        if (btn) btn.click();
+      });
+      await page.waitForFunction(
+        () => !window.location.href.includes('/modal'),
+        { timeout: 8000 }
+      ).catch(() => {});
+    }
+    // Re-check if profile selector is still present after modal resolved
+    const stillPresent = await page.$('.Profile-Selector-Content-Container').then(el => !!el).catch(() => false);
+    if (!stillPresent) {
+      logTS(`Sling TV: profile selector dismissed — now at: ${page.url()}`);
+      return;
+    }
+  }
+
+  const clicked = await page.evaluate(() => {
+    // Real profiles have class "Profile-Avatar Standard"; the add-profile tile has "Profile-Avatar Add"
+    const profile = document.querySelector('.Profile-Avatar.Standard .Card-Avatar-Card');
+    if (profile) { profile.click(); return true; }
+    return false;
+  });
+  if (clicked) {
+    await page.waitForFunction(
+      () => !document.querySelector('.Profile-Selector-Content-Container'),
+      { timeout: 10000 }
+    ).catch(() => {});
+    logTS(`Sling TV: profile selected — now at: ${page.url()}`);
+  }
+}
+
+/**
+ * Check Sling TV login state and re-login if needed.
+ * Handles both profile selector pages and full logout.
+ * @param {Page} page - Puppeteer page object
+ * @param {string} encoderUrl - Encoder URL for logging
+ * @returns {Promise<boolean>} - True if logged in (or re-login succeeded), false if credentials missing or login failed
+ */
+async function checkAndRestoreSlingSession(page, encoderUrl = 'unknown') {
+  logTS(`[${encoderUrl}] Sling: checking login state at dashboard`);
+  try {
+    await page.goto('https://watch.sling.com/dashboard/home', { waitUntil: 'domcontentloaded', timeout: 20000 });
+  } catch (e) {
+    logTS(`[${encoderUrl}] Sling: dashboard navigation error during login check: ${e.message}`);
+    return false;
+  }
+
+  // Handle profile selector if it appeared (URL or DOM-based)
+  await handleSlingProfileSelector(page);
+  if (page.url().includes('/switch_user_profile')) {
+    logTS(`[${encoderUrl}] Sling: on switch_user_profile page, handling profile selector`);
+    await page.waitForSelector('.Profile-Selector-Content-Container', { timeout: 8000 }).catch(() => {});
+    await handleSlingProfileSelector(page);
+    // Wait for profile selection to resolve
+    await page.waitForFunction(
+      () => !window.location.href.includes('/switch_user_profile'),
+      { timeout: 10000 }
+    ).catch(() => {});
+  }
+
+  // Check login state: logged-in users have the profile avatar; logged-out users have settings gear
+  await page.waitForSelector('[data-testid="profiles-label"], [data-testid="settings-label"]', { timeout: 10000 }).catch(() => {});
+  const isLoggedIn = await page.$('[data-testid="profiles-label"]').then(el => !!el).catch(() => false);
+
+  if (isLoggedIn) {
+    logTS(`[${encoderUrl}] Sling: session is valid`);
+    return true;
+  }
+
+  logTS(`[${encoderUrl}] Sling: session expired — attempting re-login`);
+  const creds = credentialsStore.getCredentials('sling');
+  if (!creds?.username || !creds?.password) {
+    logTS(`[${encoderUrl}] Sling: no stored credentials — cannot auto re-login`);
+    return false;
+  }
+
+  const loginResult = await loginSling(page, creds.username, creds.password);
+  if (!loginResult.success) {
+    logTS(`[${encoderUrl}] Sling: re-login failed: ${loginResult.message}`);
+    return false;
+  }
+
+  logTS(`[${encoderUrl}] Sling: re-login successful`);
+  await page.goto('https://watch.sling.com/dashboard/home', { waitUntil: 'domcontentloaded', timeout: 20000 });
+  await handleSlingProfileSelector(page);
+  return true;
+}
+
+/**
+ * Navigate to a Sling URL and handle any modals that appear
+ * @param {Page} page - Puppeteer page object
+ * @param {string} url - URL to navigate to
+ * @param {number} maxAttempts - Maximum number of modal dismissal attempts
+ * @param {string} expectedUrlPattern - Optional URL pattern to validate successful navigation (e.g., '/dashboard')
+ * @param {string} encoderUrl - Encoder URL for logging purposes
+ * @returns {Promise<boolean>} - True if successfully navigated past modals to expected destination
+ */
+async function navigateSlingWithModalHandling(page, url, maxAttempts = 10, expectedUrlPattern = null, encoderUrl = 'unknown') {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    await page.goto(url, {
+      waitUntil: 'load',
+      timeout: 15000
+    });
+
+    await delay(1000 + Math.random() * 500); // 1-1.5 second delay
+
+    // Re-inject checkForVideos function after navigation
+    await page.evaluate(() => {
+      window.checkForVideos = () => {
+        const videos = [...document.getElementsByTagName('video')];
+        const iframeVideos = [...document.getElementsByTagName('iframe')].reduce((acc, iframe) => {
+          try {
+            const frameVideos = iframe.contentDocument?.getElementsByTagName('video');
+            return frameVideos && frameVideos.length ? [...acc, ...frameVideos] : acc;
+          } catch(e) {
+            return acc;
+          }
+        }, []);
+        return [...videos, ...iframeVideos];
+      };
+    });
+
+    let currentUrl = page.url();
+
+    // Check if we're on a modal page
+    if (currentUrl.includes('/modal')) {
+      logTS(`[${encoderUrl}] Modal detected on attempt ${attempt}/${maxAttempts}, attempting to dismiss...`);
+
+      // Try to dismiss modal using Tab+Enter (5 times with random delays)
+      for (let dismissAttempt = 1; dismissAttempt <= 5; dismissAttempt++) {
+        logTS(`[${encoderUrl}] Modal dismiss attempt ${dismissAttempt}/5 using Tab+Enter`);
+        await page.keyboard.press('Tab');
+        await delay(1000 + Math.random() * 1000); // 1-2 second wait
+        await page.keyboard.press('Enter');
+        await delay(1000 + Math.random() * 1000); // 1-2 second wait
+
+        // Check if we're still on modal
+        currentUrl = page.url();
+        if (!currentUrl.includes('/modal')) {
+          logTS(`[${encoderUrl}] Modal dismissed successfully on Tab+Enter attempt ${dismissAttempt}`);
+          break;
+        }
+      }
+
+      // If still on modal after Tab+Enter attempts, force navigate again
+      if (currentUrl.includes('/modal')) {
+        logTS(`[${encoderUrl}] Modal still present after Tab+Enter attempts, forcing navigation...`);
+        if (attempt >= maxAttempts) {
+          logTS(`[${encoderUrl}] Failed to get past modals after ${maxAttempts} attempts`);
+          return false;
+        }
+        continue; // Try full navigation again
+      }
+    }
+
+    // Re-check current URL after modal handling
+    currentUrl = page.url();
+
+    // If we have an expected URL pattern, validate we landed there
+    if (expectedUrlPattern && !currentUrl.includes(expectedUrlPattern)) {
+      logTS(`[${encoderUrl}] Got past modal but landed on unexpected page: ${currentUrl} (expected pattern: ${expectedUrlPattern})`);
+      if (attempt >= maxAttempts) {
+        return false;
+      }
+      continue; // Try again
+    }
+
+    // Successfully got past modals and landed on expected page
+    logTS(`[${encoderUrl}] Successfully navigated to ${currentUrl}`);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Navigate to Sling channel with fallback strategy
+ * Strategy: Try direct navigation first (fast). If that fails, go to dashboard then retry direct navigation.
+ * @param {Page} page - Puppeteer page object
+ * @param {string} channelWatchUrl - The final /watch URL to navigate to
+ * @param {string} encoderUrl - Encoder URL for logging purposes
+ * @returns {Promise<boolean>} - True if successfully navigated to watch page
+ */
+async function navigateSlingLikeHuman(page, channelWatchUrl, encoderUrl = 'unknown') {
+  // STEP 1: Try direct navigation to watch page (fast path) - single attempt with modal handling
+  logTS(`[${encoderUrl}] Attempting direct navigation to watch page (fast path)`);
+
+  try {
+    const watchSuccess = await navigateSlingWithModalHandling(
+      page,
+      channelWatchUrl,
+      10,
+      '/watch',
+      encoderUrl
+    );
+
+    if (watchSuccess) {
+      logTS(`[${encoderUrl}] Direct navigation successful!`);
+      return true;
+    }
+
+    logTS(`[${encoderUrl}] Direct navigation failed, will try dashboard-first fallback`);
+
+  } catch (error) {
+    logTS(`[${encoderUrl}] Error during direct navigation: ${error.message}`);
+  }
+
+  // STEP 2: Direct navigation failed - try dashboard-first approach as fallback
+  logTS(`[${encoderUrl}] Trying dashboard-first fallback...`);
+
+  try {
+    // Navigate to dashboard/home first
+    logTS(`[${encoderUrl}] Fallback: Navigating to watch.sling.com dashboard...`);
+    const homeSuccess = await navigateSlingWithModalHandling(
+      page,
+      'https://watch.sling.com',
+      10,
+      '/dashboard/home',
+      encoderUrl
+    );
+
+    if (!homeSuccess) {
+      logTS(`[${encoderUrl}] Fallback failed: Could not reach dashboard page`);
+      return false;
+    }
+
+    logTS(`[${encoderUrl}] Fallback: Successfully reached dashboard, pausing before channel navigation...`);
+    await delay(500 + Math.random() * 500); // 0.5-1s pause to mimic human behavior
+
+    // Now try navigating to the watch page from dashboard
+    logTS(`[${encoderUrl}] Fallback: Navigating from dashboard to watch page: ${channelWatchUrl}`);
+    const watchSuccess = await navigateSlingWithModalHandling(
+      page,
+      channelWatchUrl,
+      10,
+      '/watch',
+      encoderUrl
+    );
+
+    if (!watchSuccess) {
+      logTS(`[${encoderUrl}] Fallback failed: Could not reach watch page from dashboard`);
+      return false;
+    }
+
+    logTS(`[${encoderUrl}] Fallback successful: Reached watch page via dashboard!`);
+    return true;
+
+  } catch (error) {
+    logTS(`[${encoderUrl}] Error during dashboard fallback: ${error.message}`);
+    return false;
+  }
+}
+
+async function selectSlingClosedCaptions(page, ccOption) {
+  // Returns true if successfully selected, false if player controls not available yet
+  try {
+    // Move mouse to center to reveal player controls
+    const viewport = page.viewport();
+    const cx = Math.floor((viewport ? viewport.width : 1280) / 2);
+    const cy = Math.floor((viewport ? viewport.height : 720) / 2);
+    await page.mouse.move(cx, cy);
+    await delay(500);
+
+    const settingsBtn = await page.waitForSelector('[data-testid="player-button-videoPlayerSettings"]', { timeout: 5000 }).catch(() => null);
+    if (!settingsBtn) return false;
+    await settingsBtn.click();
+    await delay(300);
+
+    const testId = ccOption.toLowerCase() === 'off' ? 'closed-captions-off' : 'closed-captions-on';
+    const option = await page.waitForSelector(`[data-testid="${testId}"]`, { timeout: 3000 }).catch(() => null);
+    if (!option) return false;
+    await option.click();
+    await delay(300);
+
+    // Close the settings menu by clicking away
+    await page.mouse.move(cx, cy - 200);
+    await page.mouse.click(cx, cy - 200);
+    logTS(`Sling CC: selected "${ccOption}"`);
+    return true;
+  } catch (e) {
+    logTS(`Sling CC: error — ${e.message}`);
+    return false;
+  }
+}
+
+async function fullScreenVideoSling(page, encoderConfig = null, closedCaptions = '') {
+  logTS("URL contains watch.sling.com, going fullscreen");
+
+  // Click the full screen button
+  const fullScreenButton = await page.waitForSelector('div.player-button.active.videoPlayerFullScreenToggle', { visible: true });
+  logTS("button available, now clicking");
+  await fullScreenButton.click(); //click for fullscreen
+
+  // Find Mute button and then use volume slider
+  const muteButton = await page.waitForSelector('div.player-button.active.volumeControls', { visible: true });
+  await muteButton.click(); // unmute
+  // Simulate pressing the right arrow key 10 times to max volume
+  for (let i = 0; i < 10; i++) {
+    await delay(100);
+    await page.keyboard.press('ArrowRight');
+  }
+  logTS("finished change to fullscreen and max volume");
+
+  // Blur the mute button and move the mouse off the controls so the highlighted
+  // mute/unmute state doesn't keep the player's menu bar from auto-hiding
+  try {
+    await page.evaluate(() => document.activeElement && document.activeElement.blur());
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+  } catch (e) {
+    // Continue
+  }
+
+  // Select closed captions AFTER fullscreen — skip if Default (empty)
+  const ccValue = closedCaptions || '';
+  if (ccValue) {
+    (async () => {
+      for (let attempt = 1; attempt <= 6; attempt++) {
+        if (attempt > 1) await delay(30000);
+        logTS(`Sling CC: Attempt ${attempt}/6 for "${ccValue}"`);
+        const success = await selectSlingClosedCaptions(page, ccValue);
+        if (success) return;
+      }
+      logTS(`Sling CC: Could not select after 6 attempts`);
+    })().catch(err => logTS(`Sling CC background error: ${err.message}`));
+  }
+
+  // Setup audio monitor to maintain audio sink (helps with multi-stream scenarios)
+  if (encoderConfig && encoderConfig.audioDevice) {
+    const { frameHandle, videoHandle } = await findVideoElement(page);
+    if (frameHandle && videoHandle) {
+      await setupAudioMonitor(frameHandle, videoHandle, encoderConfig.audioDevice, encoderConfig.url);
+    }
+  }
+
+  await hideCursor(page);
+}
+
+module.exports = {
+  id: 'sling',
+  name: 'Sling TV',
+  urlPatterns: ['watch.sling.com'],
+  loginSiteIds: ['sling'],
+  closedCaptions: true,
+  navigate: (page, targetUrl, ctx) => navigateSlingLikeHuman(page, targetUrl, ctx.encoderUrl),
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoSling(page, ctx.encoderConfig, ctx.closedCaptions),
+
+  // Shared with Sling search (main.js) and stream recovery (error-handling.js)
+  handleSlingProfileSelector,
+  checkAndRestoreSlingSession,
+  navigateSlingWithModalHandling,
+  navigateSlingLikeHuman,
+};
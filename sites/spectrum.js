@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * sites/spectrum.js
+ * Spectrum site handler.
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function fullScreenVideoSpectrum(page) {
+  logTS("URL contains spectrum.net, going fullscreen");
+
+  await delay(1030);
+  await page.evaluate(() => {
+    const element = document.documentElement;
+    if (element.requestFullscreen) {
+      element.requestFullscreen();
+    } else if (element.mozRequestFullScreen) {
+      element.mozRequestFullScreen();
+    } else if (element.webkitRequestFullscreen) {
+      element.webkitRequestFullscreen();
+    } else if (element.msRequestFullscreen) {
+      element.msRequestFullscreen();
+    }
+  });
+
+  logTS("finished change to fullscreen");
+}
+
+module.exports = {
+  id: 'spectrum',
+  name: 'Spectrum',
+  urlPatterns: ['spectrum.net'],
+  fullscreen: (page) => fullScreenVideoSpectrum(page),
+};
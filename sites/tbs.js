@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * sites/tbs.js
+ * TBS / TNT site handler.
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function fullScreenVideoTBS(page) {
+  logTS("URL contains TBS, setting up fullscreen");
+
+  // Wait for video element to have enough data to play (readyState >= 3)
+  let videoReady = false;
+  for (let i = 0; i < 10; i++) {
+    try {
+      videoReady = await page.evaluate(() => {
+        const videos = document.querySelectorAll('video');
+        for (const video of videos) {
+          if (video.readyState >= 3) return true;
+        }
+        return false;
+      });
+      if (videoReady) {
+        logTS("TBS video ready (readyState >= 3)");
+        break;
+      }
+    } catch (e) {
+      // Continue waiting
+    }
+    await delay(500);
+  }
+
+  if (!videoReady) {
+    logTS("TBS video not ready after timeout, continuing anyway");
+  }
+
+  // Click the big play button if present (paused state)
+  // <span class="tui-play tui-btn" role="button" aria-label="Play">
+  const playResult = await page.evaluate(() => {
+    const btn = document.querySelector('span.tui-play.tui-btn[aria-label="Play"]');
+    if (btn && btn.offsetParent !== null) {
+      btn.click();
+      return 'clicked';
+    }
+    return 'not present';
+  });
+  logTS(`TBS play button: ${playResult}`);
+  if (playResult === 'clicked') {
+    await delay(1000); // let playback start before going fullscreen
+  }
+
+  // Move mouse to center of viewport to trigger player controls
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+    await page.mouse.click(centerX, centerY);
+    await delay(500);
+    await page.mouse.move(centerX, centerY - 100);
+    await delay(300);
+  } catch (e) {
+    logTS("Could not move mouse to show controls: " + e.message);
+  }
+
+  // Handle unmute - check aria-label to determine mute state
+  const result = await page.evaluate(() => {
+    const results = { mute: 'not found' };
+
+    const muteButton = document.querySelector('span.tui-volume__button.tui-btn');
+    if (muteButton) {
+      const label = muteButton.getAttribute('aria-label');
+      if (label === 'Unmute') {
+        muteButton.click();
+        results.mute = 'was muted, clicked unmute';
+      } else {
+        results.mute = 'already unmuted';
+      }
+      const rect = muteButton.getBoundingClientRect();
+      results.muteButtonRect = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+    }
+
+    return results;
+  });
+
+  logTS(`TBS mute status: ${result.mute}`);
+
+  // Set volume to max: hover over mute button to reveal volume bar, then click far right
+  if (result.muteButtonRect) {
+    const muteCenterX = result.muteButtonRect.x + result.muteButtonRect.width / 2;
+    const muteCenterY = result.muteButtonRect.y + result.muteButtonRect.height / 2;
+    await page.mouse.move(muteCenterX, muteCenterY);
+    await delay(500);
+
+    const volInfo = await page.evaluate(() => {
+      const bar = document.querySelector('.tui-volume__bar');
+      if (bar) {
+        const rect = bar.getBoundingClientRect();
+        const activeBar = document.querySelector('.tui-volume__active-bar');
+        const currentWidth = activeBar ? activeBar.style.width : 'unknown';
+        return { currentVolume: currentWidth, x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+      }
+      return null;
+    });
+
+    if (volInfo && volInfo.width > 0) {
+      const clickX = volInfo.x + volInfo.width - 2;
+      const clickY = volInfo.y + volInfo.height / 2;
+      await page.mouse.click(clickX, clickY);
+      logTS(`TBS volume: clicked bar at max position (was ${volInfo.currentVolume})`);
+    } else {
+      logTS(`TBS volume: volume bar not visible`);
+    }
+  } else {
+    logTS(`TBS volume: mute button not found`);
+  }
+
+  // Move mouse away then click fullscreen
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(300);
+  } catch (e) {
+    // Continue
+  }
+
+  const fullscreenResult = await page.evaluate(() => {
+    const btn = document.querySelector('span.tui-fullscreen.tui-btn');
+    if (btn) {
+      btn.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+
+  logTS(`TBS fullscreen status: ${fullscreenResult}`);
+  logTS("finished TBS fullscreen setup");
+}
+
+module.exports = {
+  id: 'tbs',
+  name: 'TBS/TNT',
+  urlPatterns: ['tbs.com', 'tntdrama.com'],
+  loginSiteIds: ['tbs', 'tnt'],
+  fullscreen: (page) => fullScreenVideoTBS(page),
+};
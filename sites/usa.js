@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * sites/usa.js
+ * USA Network site handler.
+ */
+
+const { logTS } = require('../logger');
+const { delay } = require('./common');
+
+async function fullScreenVideoUSA(page) {
+  logTS("URL contains usanetwork.com, setting up fullscreen");
+
+  // Extract the channel keyword from the URL hash (e.g., #Syfy_East → "Syfy_East")
+  const pageUrl = page.url();
+  const hashMatch = pageUrl.match(/#(.+)$/);
+  const channelKeyword = hashMatch ? hashMatch[1] : null;
+
+  // If a non-default channel is requested, switch to it via the EPG
+  if (channelKeyword) {
+    // Convert keyword to channel title: Syfy_East → Syfy-East, E-_East → E!-East
+    const channelTitle = channelKeyword.replace(/_/g, '-').replace(/^E-/, 'E!');
+    logTS(`USA Network: switching to "${channelTitle}"`);
+
+    // Wait for EPG tiles to load — the aria-label is on the inner .tile-info div
+    let epgLoaded = false;
+    for (let i = 0; i < 20; i++) {
+      try {
+        epgLoaded = await page.evaluate(() =>
+          document.querySelectorAll('.tile-info[aria-label]').length > 0
+        );
+        if (epgLoaded) break;
+      } catch (e) { /* continue */ }
+      await delay(500);
+    }
+
+    if (!epgLoaded) {
+      logTS("USA Network: EPG tiles did not appear, proceeding with default channel");
+    } else {
+      // Find the tile: aria-label is on .tile-info (inner div); clickable element is .epg-tile-container
+      // Prefer .selectable (currently-airing); fall back to any tile for this channel
+      const tileRect = await page.evaluate((title) => {
+        const selectableInfo = document.querySelector(
+          `.epg-tile-container.selectable .tile-info[aria-label^="${title} "]`
+        );
+        const anyInfo = selectableInfo
+          || document.querySelector(`.tile-info[aria-label^="${title} "]`);
+
+        if (!anyInfo) return { found: false };
+
+        const tile = anyInfo.closest('.epg-tile-container') || anyInfo;
+        tile.scrollIntoView({ block: 'center', behavior: 'instant' });
+        const r = tile.getBoundingClientRect();
+        const label = anyInfo.getAttribute('aria-label') || '';
+        return {
+          found: true,
+          x: Math.round(r.left + r.width / 2),
+          y: Math.round(r.top + r.height / 2),
+          label: label.substring(0, 70),
+          selectable: selectableInfo !== null,
+        };
+      }, channelTitle);
+
+      if (!tileRect.found) {
+        logTS(`USA Network: no EPG tile found for "${channelTitle}", proceeding with default`);
+      } else {
+        logTS(`USA Network: found${tileRect.selectable ? ' selectable' : ''} tile: "${tileRect.label}..."`);
+        await delay(300);
+        await page.mouse.move(tileRect.x, tileRect.y);
+        await delay(100);
+        await page.mouse.click(tileRect.x, tileRect.y);
+        logTS(`USA Network: clicked tile at (${tileRect.x}, ${tileRect.y})`);
+
+        // Wait up to 8s for the stream to switch (readyState drops below 3)
+        let channelSwitched = false;
+        for (let i = 0; i < 16; i++) {
+          await delay(500);
+          try {
+            const notReady = await page.evaluate(() => {
+              const videos = document.querySelectorAll('video');
+              for (const v of videos) { if (v.readyState < 3) return true; }
+              return false;
+            });
+            if (notReady) { channelSwitched = true; logTS("USA Network: stream switch detected"); break; }
+          } catch (e) { /* continue */ }
+        }
+        if (!channelSwitched) {
+          logTS("USA Network: stream switch not confirmed, proceeding anyway");
+          await delay(2000);
+        }
+      }
+    }
+  }
+
+  // Wait for video element to have enough data to play (readyState >= 3)
+  let videoReady = false;
+  for (let i = 0; i < 30; i++) {
+    try {
+      videoReady = await page.evaluate(() => {
+        const videos = document.querySelectorAll('video');
+        for (const video of videos) {
+          if (video.readyState >= 3) return true;
+        }
+        return false;
+      });
+      if (videoReady) {
+        logTS("USA Network video ready (readyState >= 3)");
+        break;
+      }
+    } catch (e) {
+      // Continue waiting
+    }
+    await delay(500);
+  }
+
+  if (!videoReady) {
+    logTS("USA Network video not ready after timeout, continuing anyway");
+  }
+
+  // Start playback: try the Video.js big play button first, then fall back to video.play()
+  const playResult = await page.evaluate(() => {
+    const btn = document.querySelector('button.vjs-big-play-button');
+    if (btn) {
+      btn.click();
+      return 'btn-clicked';
+    }
+    const video = document.querySelector('video');
+    if (video && video.paused) {
+      video.play().catch(() => {});
+      return 'video.play()';
+    }
+    return 'not needed';
+  });
+  logTS(`USA Network play: ${playResult}`);
+
+  if (playResult === 'btn-clicked' || playResult === 'video.play()') {
+    await delay(1000); // let playback start before going fullscreen
+  }
+
+  // Move mouse to center to reveal player controls (move only — no click to avoid pausing)
+  try {
+    const viewport = page.viewport();
+    const centerX = viewport ? viewport.width / 2 : 640;
+    const centerY = viewport ? viewport.height / 2 : 360;
+    await page.mouse.move(centerX, centerY);
+    await delay(500);
+  } catch (e) {
+    logTS("Could not move mouse to show controls: " + e.message);
+  }
+
+  // Click fullscreen button (Video.js standard control)
+  const fullscreenResult = await page.evaluate(() => {
+    const btn = document.querySelector('button.vjs-fullscreen-control');
+    if (btn) {
+      btn.click();
+      return 'clicked';
+    }
+    return 'not found';
+  });
+  logTS(`USA Network fullscreen status: ${fullscreenResult}`);
+
+  // After entering fullscreen the player sometimes pauses — ensure playback is running
+  if (fullscreenResult === 'clicked') {
+    await delay(800);
+    await page.evaluate(() => {
+      const video = document.querySelector('video');
+      if (video && video.paused) video.play().catch(() => {});
+    });
+  }
+
+  logTS("finished USA Network fullscreen setup");
+}
+
+module.exports = {
+  id: 'usa',
+  name: 'USA Network',
+  urlPatterns: ['usanetwork.com'],
+  loginSiteIds: ['usa'],
+  fullscreen: (page) => fullScreenVideoUSA(page),
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * sites/youtube.js
+ * YouTube site handler.
+ */
+
+const { logTS } = require('../logger');
+const Constants = require('../constants');
+const { delay, hideCursor, GetProperty, setupPauseMonitor } = require('./common');
+
+async function selectYouTubeClosedCaptions(page, ccOption) {
+  try {
+    const wantOn = ccOption.toLowerCase() !== 'off';
+    const result = await page.evaluate((wantOn) => {
+      const btn = document.querySelector('button.ytp-subtitles-button');
+      if (!btn) return 'not found';
+      const isOn = btn.getAttribute('aria-pressed') === 'true';
+      if (wantOn && !isOn) { btn.click(); return 'turned on'; }
+      if (!wantOn && isOn) { btn.click(); return 'turned off'; }
+      return 'already correct';
+    }, wantOn);
+    logTS(`YouTube CC: ${result} for "${ccOption}"`);
+    return result !== 'not found';
+  } catch (e) {
+    logTS(`YouTube CC: error — ${e.message}`);
+    return false;
+  }
+}
+
+async function fullScreenVideoYouTube(page, closedCaptions = '') {
+  logTS("URL contains YouTube, setting up fullscreen");
+
+  // Wait a bit for the page to settle
+  await delay(2000);
+
+  let frameHandle, videoHandle;
+
+  // Find the video element
+  videoSearch: for (let step = 0; step < Constants.FIND_VIDEO_RETRIES; step++) {
+    try {
+      const frames = await page.frames({ timeout: 1000 });
+      for (const frame of frames) {
+        try {
+          videoHandle = await frame.waitForSelector('video', { timeout: 1000 });
+        } catch (error) {
+          // Continue searching
+        }
+        if (videoHandle) {
+          frameHandle = frame;
+          logTS('Found YouTube video frame');
+          break videoSearch;
+        }
+      }
+    } catch (error) {
+      logTS('Error looking for YouTube video:', error.message);
+      videoHandle = null;
+    }
+    await delay(Constants.FIND_VIDEO_WAIT * 1000);
+  }
+
+  if (videoHandle) {
+    // Confirm video is actually playing
+    for (let step = 0; step < Constants.PLAY_VIDEO_RETRIES; step++) {
+      const currentTime = await GetProperty(videoHandle, 'currentTime');
+      const readyState = await GetProperty(videoHandle, 'readyState');
+      const paused = await GetProperty(videoHandle, 'paused');
+      const ended = await GetProperty(videoHandle, 'ended');
+
+      if (!!(currentTime > 0 && readyState > 2 && !paused && !ended)) break;
+
+      logTS("Attempting to play YouTube video");
+      // Try clicking the video to play
+      try {
+        await videoHandle.click();
+      } catch (e) {
+        // Try play command
+        await frameHandle.evaluate((video) => {
+          video.play();
+        }, videoHandle);
+      }
+      await delay(Constants.PLAY_VIDEO_WAIT * 1000);
+    }
+
+    logTS("Going fullscreen and unmuting YouTube video");
+    await frameHandle.evaluate((video) => {
+      video.muted = false;
+      video.removeAttribute('muted');
+      video.style.cursor = 'none!important';
+      video.requestFullscreen();
+    }, videoHandle);
+
+    // YouTube may pause video when going fullscreen, so explicitly play after fullscreen
+    await delay(500); // Brief delay to let fullscreen transition start
+    await frameHandle.evaluate((video) => {
+      if (video.paused) {
+        video.play().catch(err => console.log('Play after fullscreen failed:', err));
+      }
+    }, videoHandle);
+
+    // Setup pause monitor to automatically resume if video gets paused
+    await setupPauseMonitor(frameHandle, videoHandle, page);
+  } else {
+    logTS('Could not find YouTube video element');
+  }
+
+  // Select closed captions — skip if Default (empty)
+  const ytCcValue = closedCaptions || '';
+  if (ytCcValue) {
+    (async () => {
+      for (let attempt = 1; attempt <= 6; attempt++) {
+        if (attempt > 1) await delay(30000);
+        logTS(`YouTube CC: Attempt ${attempt}/6 for "${ytCcValue}"`);
+        const success = await selectYouTubeClosedCaptions(page, ytCcValue);
+        if (success) return;
+      }
+      logTS(`YouTube CC: Could not select after 6 attempts`);
+    })().catch(err => logTS(`YouTube CC background error: ${err.message}`));
+  }
+
+  // Hide cursor
+  await hideCursor(page);
+
+  logTS("YouTube fullscreen setup complete");
+}
+
+module.exports = {
+  id: 'youtube',
+  name: 'YouTube',
+  urlPatterns: ['youtube.com', 'youtu.be'],
+  closedCaptions: true,
+  fullscreen: (page, targetUrl, ctx) => fullScreenVideoYouTube(page, ctx.closedCaptions),
+};
@@ -1,7 +1,81 @@
+const crypto = require('crypto');
 const fetch = require('node-fetch');
 const fs = require('fs').promises;
 const path = require('path');
 const Constants = require('./constants.js');
+const xmltv = require('./xmltv');
+const lineupDiff = require('./lineup-diff');
+const m3uImport = require('./m3u-import');
+const playlistProfiles = require('./playlist-profiles');
+
+// How long Channels DVR's channel list (other sources' numbers) is reused before re-fetching
+const CDVR_CHANNELS_TTL_MS = 5 * 60 * 1000;
+
+// Map internal category to Channels DVR genre format
+// Channels DVR supported genres: Movies, Sports, Drama, News, Children
+// "Other" means no genre - tvc-guide-genres tag will be omitted
+const GUIDE_GENRES = {
+  'Entertainment': 'Entertainment',
+  'Kids': 'Children',
+  'Movies': 'Movies',
+  'Sports': 'Sports',
+  'News': 'News',
+  'Drama': 'Drama',
+  'Children': 'Children',
+  'Shopping': 'Shopping',
+  'Food': 'Cooking',
+  'Home': 'Home',
+  'Music': 'Music',
+  'Comedy': 'Comedy',
+  'Educational': 'Educational',
+  'Local': 'Local',
+  'Spanish': 'Spanish',
+  'Lifestyle': 'Lifestyle',
+  'Religious': 'Religious',
+  'Reality': 'Reality',
+  'True Crime': 'True Crime',
+  'Game Show': 'Game Show',
+  'Other': null  // null means don't write genre tag
+};
+
+function guideGenre(category) {
+  return GUIDE_GENRES[category] !== undefined ? GUIDE_GENRES[category] : 'Other';
+}
+
+// Playlist sort orders (?sort= on playlist.m3u, a playlist profile's sort). 'order' is the
+// user's drag-and-drop order (sortOrder); channels never placed follow, by number.
+const PLAYLIST_SORTERS = {
+  number: (a, b) => (parseFloat(a.channelNumber) || 9999) - (parseFloat(b.channelNumber) || 9999),
+  name:   (a, b) => (a.name || '').localeCompare(b.name || ''),
+  order:  (a, b) => (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity) || PLAYLIST_SORTERS.number(a, b),
+};
+
+// Channel numbers compare numerically ('206.10' and '206.1' are the same channel); blank is none
+function numberKey(channelNumber) {
+  const text = String(channelNumber ?? '').trim();
+  if (!text) return null;
+  const number = Number(text);
+  return isNaN(number) ? text : String(number);
+}
+
+// Group names are free text; blank means no group
+function normalizeGroup(group) {
+  const name = String(group ?? '').trim();
+  return name ? name.slice(0, 100) : null;
+}
+
+// Category for an imported playlist's group-title: an internal category or Channels DVR
+// genre with the same name (case-insensitive), otherwise Other.
+function importCategory(group) {
+  const wanted = String(group || '').trim().toLowerCase();
+  if (!wanted) return 'Other';
+  for (const [category, genre] of Object.entries(GUIDE_GENRES)) {
+    if (category.toLowerCase() === wanted || (genre && genre.toLowerCase() === wanted)) {
+      return category === 'Children' ? 'Kids' : category;
+    }
+  }
+  return 'Other';
+}
 
 /**
  * Streaming M3U Manager
@@ -18,10 +92,13 @@ class StreamingM3UManager {
     this.dataFile = path.join(Constants.DATA_DIR, 'streaming_channels.json');
 
     this.isRefreshing = false;
+    this.lineupReviews = {}; // service -> pending dry-run review (see createLineupReview)
     this.lastUpdate = null;
     this.serviceLastRefresh = {};
     this.channelsDvrSourceName = '';
     this.channelsDvrSourceAutoCreated = false;
+    this.channelsDvrChannels = []; // { channelNumber, name, source } from other Channels DVR sources
+    this.channelsDvrChannelsFetchedAt = 0;
 
     // Known callsign aliases - map common channel names to their Channels DVR callsigns
     this.callsignAliases = {
@@ -216,6 +293,43 @@ class StreamingM3UManager {
     }
   }
 
+  /**
+   * Fetch the channel numbers Channels DVR already uses for its other sources (tuners, TV
+   * Everywhere, other M3U sources), skipping CH4C's own M3U sources (the main playlist and
+   * playlist profiles). Reused for five minutes unless force is set; on failure the last
+   * list is kept.
+   * @param {boolean} [force]
+   * @returns {Promise<{ channelNumber, name, source }[]>}
+   */
+  async fetchChannelsDvrChannels(force = false) {
+    if (!force && Date.now() - this.channelsDvrChannelsFetchedAt < CDVR_CHANNELS_TTL_MS) {
+      return this.channelsDvrChannels;
+    }
+    const url = this.buildCdvrUrl('/devices');
+    if (!url) return this.channelsDvrChannels;
+    try {
+      const response = await fetch(url, { timeout: 10000 });
+      if (!response.ok) throw new Error(`Channels DVR returned ${response.status}`);
+      const devices = await response.json();
+      const ownSources = new Set([this.channelsDvrSourceName, ...playlistProfiles.list().map(p => p.sourceName)]
+        .filter(Boolean)
+        .map(name => `M3U-${name}`.toLowerCase()));
+      this.channelsDvrChannels = (Array.isArray(devices) ? devices : [])
+        .filter(device => !ownSources.has(String(device.DeviceID || '').toLowerCase()))
+        .flatMap(device => (device.Channels || [])
+          .filter(ch => ch.GuideNumber && !ch.Hidden)
+          .map(ch => ({
+            channelNumber: String(ch.GuideNumber),
+            name: ch.GuideName || '',
+            source: device.FriendlyName || device.DeviceID || 'Channels DVR'
+          })));
+      this.channelsDvrChannelsFetchedAt = Date.now();
+    } catch (error) {
+      console.error('[M3U Manager] Error fetching Channels DVR channels:', error.message);
+    }
+    return this.channelsDvrChannels;
+  }
+
   /**
    * Calculate match score for HD prioritization
    * Higher score = better match
@@ -662,8 +776,10 @@ class StreamingM3UManager {
 
   /**
    * Enrich channel with Channels DVR data
+   * @param {object} channel
+   * @param {object[]} [lineup] - channel list auto-assigned numbers must be unique within
    */
-  async enrichChannel(channel) {
+  async enrichChannel(channel, lineup = this.channels) {
     // Skip enrichment for channels using placeholder mode (duration-based EPG)
     // These channels should use exactly what the user specified
     if (channel.duration) {
@@ -671,7 +787,7 @@ class StreamingM3UManager {
         ...channel,
         stationId: null, // Ensure no stationId for placeholder mode
         callSign: channel.callSign || channel.name,
-        channelNumber: channel.channelNumber || this.autoAssignChannelNumber(channel.service)
+        channelNumber: channel.channelNumber || this.autoAssignChannelNumber(channel.service, lineup)
       };
     }
 
@@ -698,7 +814,7 @@ class StreamingM3UManager {
     } else if (match?.channel) {
       enriched.channelNumber = match.channel;
     } else if (!enriched.channelNumber) {
-      enriched.channelNumber = this.autoAssignChannelNumber(channel.service);
+      enriched.channelNumber = this.autoAssignChannelNumber(channel.service, lineup);
     }
 
     return enriched;
@@ -708,33 +824,35 @@ class StreamingM3UManager {
    * Auto-assign channel number based on service
    * Finds the highest existing channel number and increments from there
    */
-  autoAssignChannelNumber(service) {
+  autoAssignChannelNumber(service, lineup = this.channels) {
     const baseNumbers = {
       'sling': 2400,
       'directv': 2450,
       'peacock': 2500,
+      'usa': 2550,
       'nbc': 2600,
+      'espn': 2650,
+      'foxsports': 2700,
+      'tbs': 2750,
       'custom': 2410
     };
 
     const base = baseNumbers[service] || 2410;
-    const serviceChannels = this.channels.filter(ch => ch.service === service);
-
-    if (serviceChannels.length === 0) {
-      return base;
-    }
 
-    // Find the highest channel number currently in use for this service
-    const channelNumbers = serviceChannels
+    // Start after the highest channel number currently in use for this service
+    const channelNumbers = lineup
+      .filter(ch => ch.service === service)
       .map(ch => parseInt(ch.channelNumber))
       .filter(num => !isNaN(num) && num >= base);
-
-    if (channelNumbers.length === 0) {
-      return base;
-    }
-
-    const maxNumber = Math.max(...channelNumbers);
-    return maxNumber + 1;
+    let number = channelNumbers.length > 0 ? Math.max(...channelNumbers) + 1 : base;
+
+    // Skip numbers already taken by any service (service ranges overlap, and numbers can be
+    // hand-picked or moved with renumberGroup/moveGroup) or by Channels DVR's other sources
+    const taken = new Set([...lineup, ...this.channelsDvrChannels]
+      .map(ch => parseFloat(ch.channelNumber))
+      .filter(num => !isNaN(num)));
+    while (taken.has(number)) number++;
+    return number;
   }
 
   /**
@@ -742,44 +860,66 @@ class StreamingM3UManager {
    * @param {string} serviceName - Service to refresh
    * @param {boolean} resetEdits - If true, removes manual edits and re-enriches all channels
    * @param {boolean} favoritesOnly - For Sling TV, if true scrapes favorites; if false scrapes all channels
+   * @param {object} [options]
+   * @param {string} [options.encoderUrl] - Encoder whose browser the service scrapes with
+   * @param {boolean} [options.dryRun] - Don't save; keep the result as a pending review of the
+   *   lineup changes (see getLineupReview / applyLineupReview)
+   * @returns {Promise<object>} { service, channelCount, timestamp, added, removed } where
+   *   added/removed list the channels ({ id, name }) that appeared or disappeared; for a dry
+   *   run, the pending review instead
    */
-  async refreshService(serviceName, resetEdits = false, favoritesOnly = true) {
+  async refreshService(serviceName, resetEdits = false, favoritesOnly = true, { encoderUrl = null, dryRun = false } = {}) {
     const service = this.services[serviceName];
     if (!service) {
       throw new Error(`Unknown service: ${serviceName}`);
     }
+    // Manual and scheduled refreshes share the encoder browsers and the channel list
+    if (this.isRefreshing) {
+      throw new Error('A channel refresh is already in progress');
+    }
+
+    this.isRefreshing = true;
+    try {
+      return await this._refreshService(service, serviceName, resetEdits, favoritesOnly, encoderUrl, dryRun);
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
 
-    console.log(`[M3U Manager] Refreshing service: ${serviceName} (resetEdits: ${resetEdits}, favoritesOnly: ${favoritesOnly})`);
+  async _refreshService(service, serviceName, resetEdits, favoritesOnly, encoderUrl, dryRun) {
+    const previousChannels = this.channels.filter(ch => ch.service === serviceName);
+
+    console.log(`[M3U Manager] Refreshing service: ${serviceName} (resetEdits: ${resetEdits}, favoritesOnly: ${favoritesOnly}, dryRun: ${dryRun})`);
 
     // Fetch Channels DVR stations if not already loaded
     if (!this.channelsStations) {
       await this.fetchChannelsStations();
     }
+    // Numbers used by Channels DVR's other sources, so auto-assigned numbers avoid them
+    await this.fetchChannelsDvrChannels();
 
     // Fetch channels from service
     // Pass favoritesOnly parameter to Sling service, other services will ignore it
-    const channels = await service.fetchChannels(favoritesOnly);
+    const channels = await service.fetchChannels(favoritesOnly, { encoderUrl });
 
-    if (resetEdits) {
-      // Full reset: remove all old channels and re-enrich
-      // Remove old channels first
-      this.channels = this.channels.filter(ch => ch.service !== serviceName);
+    // Build the new lineup aside so a dry run leaves this.channels untouched; old channels
+    // from this service are removed first
+    const lineup = this.channels.filter(ch => ch.service !== serviceName);
 
+    if (resetEdits) {
+      // Full reset: re-enrich every channel
       // Enrich channels sequentially to ensure unique auto-assigned channel numbers
       const enriched = [];
       for (const ch of channels) {
-        const enrichedChannel = await this.enrichChannel(ch);
-        this.channels.push(enrichedChannel);
+        const enrichedChannel = await this.enrichChannel(ch, lineup);
+        lineup.push(enrichedChannel);
         enriched.push(enrichedChannel);
       }
 
       console.log(`[M3U Manager] Full reset: Refreshed ${enriched.length} channels from ${serviceName}`);
     } else {
       // Preserve edits: merge new channels with existing ones
-      const existingChannels = this.channels.filter(ch => ch.service === serviceName);
-
-      // Remove old channels from this service first
-      this.channels = this.channels.filter(ch => ch.service !== serviceName);
+      const existingChannels = previousChannels;
 
       const enriched = [];
       for (const newChannel of channels) {
@@ -818,10 +958,10 @@ class StreamingM3UManager {
           }
         } else {
           // New channel: enrich it
-          channelToAdd = await this.enrichChannel(newChannel);
+          channelToAdd = await this.enrichChannel(newChannel, lineup);
         }
 
-        this.channels.push(channelToAdd);
+        lineup.push(channelToAdd);
         enriched.push(channelToAdd);
       }
 
@@ -839,17 +979,133 @@ class StreamingM3UManager {
       console.log(`[M3U Manager] Preserved edits: Refreshed ${enriched.length} channels from ${serviceName}`);
     }
 
+    if (dryRun) {
+      return this.createLineupReview(serviceName, previousChannels,
+        lineup.filter(ch => ch.service === serviceName), { resetEdits, favoritesOnly });
+    }
+
+    this.channels = lineup;
+    delete this.lineupReviews[serviceName];
     this.lastUpdate = new Date().toISOString();
     this.serviceLastRefresh[serviceName] = this.lastUpdate;
     await this.saveToDisk();
 
+    const currentChannels = this.channels.filter(ch => ch.service === serviceName);
+    const previousIds = new Set(previousChannels.map(ch => ch.id));
+    const currentIds = new Set(currentChannels.map(ch => ch.id));
+
+    const collisions = this.findChannelNumberCollisions()
+      .filter(collision => collision.channels.some(entry => entry.service === serviceName));
+    if (collisions.length > 0) {
+      console.warn(`[M3U Manager] ${collisions.length} channel number conflict(s) after refreshing ${serviceName}: ${collisions.map(c => c.channelNumber).join(', ')}`);
+    }
+
     return {
       service: serviceName,
-      channelCount: this.channels.filter(ch => ch.service === serviceName).length,
-      timestamp: this.lastUpdate
+      channelCount: currentChannels.length,
+      timestamp: this.lastUpdate,
+      added: currentChannels.filter(ch => !previousIds.has(ch.id)).map(ch => ({ id: ch.id, name: ch.name })),
+      removed: previousChannels.filter(ch => !currentIds.has(ch.id)).map(ch => ({ id: ch.id, name: ch.name })),
+      collisions
     };
   }
 
+  /**
+   * Keep a dry-run refresh as the service's pending review (replacing any earlier one) and
+   * describe it: the changes (see lineup-diff.js) to accept or reject individually.
+   */
+  createLineupReview(serviceName, savedChannels, proposedChannels, { resetEdits, favoritesOnly }) {
+    const review = {
+      id: crypto.randomBytes(6).toString('hex'),
+      service: serviceName,
+      createdAt: new Date().toISOString(),
+      // The review only applies on top of the lineup it was diffed against
+      basedOn: this.serviceLastRefresh[serviceName] || null,
+      resetEdits,
+      favoritesOnly,
+      channelCount: proposedChannels.length,
+      changes: lineupDiff.diffLineup(savedChannels, proposedChannels),
+      proposed: proposedChannels
+    };
+    this.lineupReviews[serviceName] = review;
+    console.log(`[M3U Manager] Dry run of ${serviceName}: ${review.changes.length} change(s) pending review`);
+    return this.describeLineupReview(review);
+  }
+
+  describeLineupReview(review) {
+    return {
+      id: review.id,
+      service: review.service,
+      createdAt: review.createdAt,
+      resetEdits: review.resetEdits,
+      favoritesOnly: review.favoritesOnly,
+      channelCount: review.channelCount,
+      changes: review.changes,
+      dryRun: true
+    };
+  }
+
+  /**
+   * Pending review for a service, or null.
+   */
+  getLineupReview(serviceName) {
+    const review = this.lineupReviews[serviceName];
+    return review ? this.describeLineupReview(review) : null;
+  }
+
+  /**
+   * Save a reviewed refresh with only the accepted changes applied.
+   * @param {string} serviceName
+   * @param {string} reviewId - id of the pending review being applied
+   * @param {string[]} acceptedIds - change ids to apply; the rest are rejected
+   */
+  async applyLineupReview(serviceName, reviewId, acceptedIds) {
+    const review = this.lineupReviews[serviceName];
+    if (!review || review.id !== reviewId) {
+      throw new Error('This review is no longer pending — refresh the service again');
+    }
+    if (this.isRefreshing) {
+      throw new Error('A channel refresh is already in progress');
+    }
+    if ((this.serviceLastRefresh[serviceName] || null) !== review.basedOn) {
+      delete this.lineupReviews[serviceName];
+      throw new Error('The channel list was refreshed since this review was made — refresh the service again');
+    }
+
+    const savedChannels = this.channels.filter(ch => ch.service === serviceName);
+    const accepted = new Set((acceptedIds || []).filter(id => review.changes.some(c => c.id === id)));
+    const serviceChannels = lineupDiff.applyChanges(savedChannels, review.proposed, review.changes, accepted);
+
+    this.channels = this.channels.filter(ch => ch.service !== serviceName).concat(serviceChannels);
+    delete this.lineupReviews[serviceName];
+    this.lastUpdate = new Date().toISOString();
+    this.serviceLastRefresh[serviceName] = this.lastUpdate;
+    await this.saveToDisk();
+
+    const savedIds = new Set(savedChannels.map(ch => ch.id));
+    const currentIds = new Set(serviceChannels.map(ch => ch.id));
+    console.log(`[M3U Manager] Applied ${accepted.size} of ${review.changes.length} reviewed change(s) to ${serviceName}`);
+
+    return {
+      service: serviceName,
+      channelCount: serviceChannels.length,
+      timestamp: this.lastUpdate,
+      applied: accepted.size,
+      rejected: review.changes.length - accepted.size,
+      added: serviceChannels.filter(ch => !savedIds.has(ch.id)).map(ch => ({ id: ch.id, name: ch.name })),
+      removed: savedChannels.filter(ch => !currentIds.has(ch.id)).map(ch => ({ id: ch.id, name: ch.name }))
+    };
+  }
+
+  /**
+   * Drop a service's pending review. Returns true if there was one.
+   */
+  discardLineupReview(serviceName) {
+    const existed = !!this.lineupReviews[serviceName];
+    delete this.lineupReviews[serviceName];
+    return existed;
+  }
+
   /**
    * Get all channels
    */
@@ -887,6 +1143,10 @@ class StreamingM3UManager {
     if (!this.channelsStations) {
       await this.fetchChannelsStations();
     }
+    await this.fetchChannelsDvrChannels();
+    if (channelData.channelNumber && !channelData.allowDuplicateNumber) {
+      this.assertChannelNumberFree(channelData.channelNumber, { id: null, service: 'custom' });
+    }
 
     const channel = {
       id: `custom-${Date.now()}`,
@@ -915,6 +1175,69 @@ class StreamingM3UManager {
     return enriched;
   }
 
+  /**
+   * Import channels parsed from an M3U playlist (m3u-import.js) as custom channels.
+   * Entries whose stream is already in the channel list (or earlier in the same playlist)
+   * are skipped, as are entries without a name or stream URL and entries whose channel
+   * number is already in use (see assertChannelNumberFree).
+   * @param {object[]} entries - from m3uImport.parseM3U()
+   * @returns {Promise<{ imported: object[], skipped: { line, name, streamUrl, reason }[] }>}
+   */
+  async importCustomChannels(entries) {
+    if (!this.channelsStations) {
+      await this.fetchChannelsStations();
+    }
+    await this.fetchChannelsDvrChannels();
+
+    const knownStreams = new Set(this.channels.map(ch => m3uImport.streamTarget(ch.streamUrl)));
+    const imported = [];
+    const skipped = [];
+    const createdAt = new Date().toISOString();
+
+    for (const entry of entries) {
+      const skip = reason => skipped.push({ line: entry.line, name: entry.name, streamUrl: entry.streamUrl, reason });
+      if (!entry.name) { skip('No channel name'); continue; }
+      if (!entry.streamUrl) { skip('No stream URL'); continue; }
+      const target = m3uImport.streamTarget(entry.streamUrl);
+      if (knownStreams.has(target)) { skip('Duplicate stream URL'); continue; }
+      if (entry.channelNumber) {
+        try {
+          this.assertChannelNumberFree(entry.channelNumber, { id: null, service: 'custom' });
+        } catch (error) {
+          skip(`${error.message} (free: ${error.suggestedNumber})`);
+          continue;
+        }
+      }
+      knownStreams.add(target);
+
+      const channel = {
+        id: `custom-${Date.now()}-${imported.length}`,
+        service: 'custom',
+        name: entry.name,
+        streamUrl: entry.streamUrl,
+        channelNumber: entry.channelNumber || null,
+        stationId: entry.stationId || null,
+        duration: entry.stationId ? null : entry.duration,
+        category: importCategory(entry.group),
+        group: normalizeGroup(entry.groupTitle),
+        logo: entry.logo || '',
+        callSign: entry.callSign || entry.name,
+        enabled: true,
+        createdAt
+      };
+      const enriched = await this.enrichChannel(channel);
+      this.channels.push(enriched);
+      imported.push(enriched);
+    }
+
+    if (imported.length > 0) {
+      this.lastUpdate = new Date().toISOString();
+      await this.saveToDisk();
+    }
+    console.log(`[M3U Manager] Imported ${imported.length} custom channel(s), skipped ${skipped.length}`);
+    return { imported, skipped };
+  }
+
   /**
    * Update channel
    */
@@ -924,11 +1247,23 @@ class StreamingM3UManager {
       throw new Error(`Channel not found: ${id}`);
     }
 
+    // A new number for an enabled channel must not be in use elsewhere, unless the caller
+    // explicitly allows the duplicate
+    const { allowDuplicateNumber, ...updatedData } = updates;
+    const current = this.channels[index];
+    if ('channelNumber' in updates && !allowDuplicateNumber && current.enabled !== false &&
+        numberKey(updates.channelNumber) && numberKey(updates.channelNumber) !== numberKey(current.channelNumber)) {
+      await this.fetchChannelsDvrChannels();
+      this.assertChannelNumberFree(updates.channelNumber, current);
+    }
+
     // Mark channel number as manually set if it's being updated
-    const updatedData = { ...updates };
     if ('channelNumber' in updates) {
       updatedData.manualChannelNumber = true;
     }
+    if ('group' in updates) {
+      updatedData.group = normalizeGroup(updates.group);
+    }
 
     this.channels[index] = {
       ...this.channels[index],
@@ -944,6 +1279,129 @@ class StreamingM3UManager {
     return this.channels[index];
   }
 
+  /**
+   * Enabled channels (and Channels DVR channels from other sources) using a channel number.
+   * @param {string|number} channelNumber
+   * @param {string|null} [exceptId] - channel to leave out (the one being numbered)
+   * @returns {{ id, name, service, source, channelNumber }[]} id and service are null for
+   *   Channels DVR channels, source is null for CH4C's
+   */
+  channelNumberConflicts(channelNumber, exceptId = null) {
+    const key = numberKey(channelNumber);
+    if (!key) return [];
+    return [
+      ...this.channels
+        .filter(ch => ch.id !== exceptId && ch.enabled !== false && numberKey(ch.channelNumber) === key)
+        .map(ch => ({ id: ch.id, name: ch.name, service: ch.service, source: null, channelNumber: ch.channelNumber })),
+      ...this.channelsDvrChannels
+        .filter(ch => numberKey(ch.channelNumber) === key)
+        .map(ch => ({ id: null, name: ch.name, service: null, source: ch.source, channelNumber: ch.channelNumber }))
+    ];
+  }
+
+  /**
+   * Throw if a channel number is already in use; the error carries the conflicting
+   * channels (collisions) and a free number for the channel (suggestedNumber).
+   * @param {string|number} channelNumber
+   * @param {{ id: string|null, service: string }} channel - the channel being numbered
+   * @throws {Error}
+   */
+  assertChannelNumberFree(channelNumber, channel) {
+    const conflicts = this.channelNumberConflicts(channelNumber, channel.id);
+    if (conflicts.length === 0) return;
+    const names = conflicts.map(c => `${c.name} (${c.service || `Channels DVR: ${c.source}`})`).join(', ');
+    const error = new Error(`Channel number ${channelNumber} is already used by ${names}`);
+    error.collisions = conflicts;
+    error.suggestedNumber = String(this.autoAssignChannelNumber(channel.service, this.channels.filter(ch => ch.id !== channel.id)));
+    throw error;
+  }
+
+  /**
+   * Channel numbers shared by more than one enabled channel, across all services, encoder
+   * channels and the Channels DVR channels of other sources (see fetchChannelsDvrChannels).
+   * Numbers shared only between Channels DVR's own sources aren't reported.
+   * @param {object[]} [lineup]
+   * @returns {{ channelNumber, channels: { id, name, service, source, channelNumber }[] }[]}
+   *   sorted by number
+   */
+  findChannelNumberCollisions(lineup = this.channels) {
+    const byNumber = new Map();
+    const add = (key, entry) => {
+      if (!byNumber.has(key)) byNumber.set(key, []);
+      byNumber.get(key).push(entry);
+    };
+    for (const ch of lineup) {
+      const key = numberKey(ch.channelNumber);
+      if (key && ch.enabled !== false) {
+        add(key, { id: ch.id, name: ch.name, service: ch.service, source: null, channelNumber: ch.channelNumber });
+      }
+    }
+    for (const ch of this.channelsDvrChannels) {
+      const key = numberKey(ch.channelNumber);
+      if (key && byNumber.has(key)) {
+        add(key, { id: null, name: ch.name, service: null, source: ch.source, channelNumber: ch.channelNumber });
+      }
+    }
+
+    return [...byNumber.entries()]
+      .filter(([, channels]) => channels.length > 1)
+      .map(([channelNumber, channels]) => ({ channelNumber, channels }))
+      .sort((a, b) => PLAYLIST_SORTERS.number(a, b) || a.channelNumber.localeCompare(b.channelNumber));
+  }
+
+  /**
+   * Propose new numbers that resolve the given collisions. In each collision one CH4C
+   * channel keeps the number (a hand-picked one first) unless Channels DVR or an encoder
+   * channel already holds it; the rest get free numbers in their service's range. Encoder
+   * channels are never moved — their numbers come from the encoder settings.
+   * @param {object[]} [collisions] - from findChannelNumberCollisions()
+   * @returns {{ id, name, service, from, to }[]}
+   */
+  proposeRenumbering(collisions = this.findChannelNumberCollisions()) {
+    const lineup = [...this.channels];
+    const changes = [];
+    for (const { channels } of collisions) {
+      const own = channels.filter(entry => entry.id).map(entry => this.getChannelById(entry.id)).filter(Boolean);
+      const movable = own.filter(ch => !ch.id.startsWith('encoder-'))
+        .sort((a, b) => (b.manualChannelNumber ? 1 : 0) - (a.manualChannelNumber ? 1 : 0));
+      const heldElsewhere = channels.length > movable.length; // by Channels DVR or an encoder
+      for (const ch of movable.slice(heldElsewhere ? 0 : 1)) {
+        const to = String(this.autoAssignChannelNumber(ch.service, lineup));
+        lineup.push({ ...ch, channelNumber: to });
+        changes.push({ id: ch.id, name: ch.name, service: ch.service, from: ch.channelNumber, to });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Apply renumbering changes (from proposeRenumbering). The new numbers are marked as
+   * manual so service refreshes keep them.
+   * @param {{ id, to }[]} changes
+   * @returns {Promise<object[]>} the renumbered channels
+   * @throws {Error} for an unknown channel id or a missing number
+   */
+  async applyRenumbering(changes) {
+    if (!Array.isArray(changes)) throw new Error('changes must be a list of { id, to }');
+    const updates = changes.map(change => {
+      const channel = this.getChannelById(change && change.id);
+      if (!channel) throw new Error(`Channel not found: ${change && change.id}`);
+      if (!numberKey(change.to)) throw new Error(`No new channel number for ${channel.name}`);
+      return { channel, to: String(change.to).trim() };
+    });
+    for (const { channel, to } of updates) {
+      console.log(`[M3U Manager] Renumbered ${channel.name}: ${channel.channelNumber} → ${to}`);
+      channel.channelNumber = to;
+      channel.manualChannelNumber = true;
+    }
+
+    if (updates.length > 0) {
+      this.lastUpdate = new Date().toISOString();
+      await this.saveToDisk();
+    }
+    return updates.map(u => u.channel);
+  }
+
   /**
    * Delete channel
    */
@@ -982,13 +1440,152 @@ class StreamingM3UManager {
   }
 
   /**
-   * Generate M3U playlist.
-   * @param {string} replaceHost - Hostname to embed in stream URLs
-   * @param {string[]|null} services - If provided, only include channels from these services
-   * @param {string} sort - 'number' (default) or 'name'
+   * Persist a drag-and-drop order: the given channels first, in the given order, then the
+   * rest in their current order.
+   * @param {string[]} ids
+   * @returns {Promise<object[]>} all channels, in the new order
+   * @throws {Error} for an unknown channel id
    */
-  generateM3U(replaceHost = 'CH4C_IP_ADDRESS', services = null, sort = 'number', genres = null, fast = true) {
-    const ch4cPort = Constants.CH4C_PORT;
+  async reorderChannels(ids) {
+    if (!Array.isArray(ids)) throw new Error('ids must be a list of channel IDs');
+    const placed = ids.map(id => {
+      const channel = this.getChannelById(id);
+      if (!channel) throw new Error(`Channel not found: ${id}`);
+      return channel;
+    });
+    const placedIds = new Set(ids);
+    const rest = this.channels.filter(ch => !placedIds.has(ch.id)).sort(PLAYLIST_SORTERS.order);
+    const ordered = [...new Set(placed), ...rest];
+    ordered.forEach((ch, index) => { ch.sortOrder = index; });
+
+    this.lastUpdate = new Date().toISOString();
+    await this.saveToDisk();
+    console.log(`[M3U Manager] Reordered ${placedIds.size} channel(s)`);
+    return ordered;
+  }
+
+  /**
+   * Put channels in a user-defined group (emitted as group-title), or take them out of
+   * their group with a blank name.
+   * @param {string[]} ids
+   * @param {string|null} group
+   * @returns {Promise<object[]>} the updated channels
+   * @throws {Error} for an unknown channel id
+   */
+  async setChannelGroup(ids, group) {
+    if (!Array.isArray(ids) || ids.length === 0) throw new Error('ids must be a non-empty list of channel IDs');
+    const channels = ids.map(id => {
+      const channel = this.getChannelById(id);
+      if (!channel) throw new Error(`Channel not found: ${id}`);
+      return channel;
+    });
+    const name = normalizeGroup(group);
+    for (const ch of channels) ch.group = name;
+
+    this.lastUpdate = new Date().toISOString();
+    await this.saveToDisk();
+    console.log(`[M3U Manager] ${name ? `Moved ${channels.length} channel(s) to group "${name}"` : `Removed ${channels.length} channel(s) from their group`}`);
+    return channels;
+  }
+
+  /**
+   * User-defined groups with their channel counts and number range.
+   * @returns {{ name, count, enabled, minNumber, maxNumber }[]} sorted by name
+   */
+  getGroups() {
+    const groups = new Map();
+    for (const ch of this.channels) {
+      if (!ch.group) continue;
+      const group = groups.get(ch.group) || { name: ch.group, count: 0, enabled: 0, minNumber: null, maxNumber: null };
+      group.count++;
+      if (ch.enabled !== false) group.enabled++;
+      const number = parseFloat(ch.channelNumber);
+      if (!isNaN(number)) {
+        group.minNumber = group.minNumber === null ? number : Math.min(group.minNumber, number);
+        group.maxNumber = group.maxNumber === null ? number : Math.max(group.maxNumber, number);
+      }
+      groups.set(ch.group, group);
+    }
+    return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A group's channels in their custom order, for the bulk renumbering operations.
+   * @throws {Error} if the group has no channels
+   */
+  _groupChannels(group) {
+    const name = normalizeGroup(group);
+    const channels = this.channels.filter(ch => name && ch.group === name).sort(PLAYLIST_SORTERS.order);
+    if (channels.length === 0) throw new Error(`Group not found: ${group}`);
+    return channels;
+  }
+
+  /**
+   * Number a group's channels start, start + step, ... in their custom order. The numbers
+   * are marked as manual so service refreshes keep them.
+   * @param {string} group
+   * @param {number} start
+   * @param {number} [step]
+   * @returns {Promise<object[]>} the group's channels
+   * @throws {Error} for an unknown group or an invalid start/step
+   */
+  async renumberGroup(group, start, step = 1) {
+    const first = Number(start);
+    const increment = Number(step);
+    if (!Number.isInteger(first) || first < 1) throw new Error('Start must be a whole number of 1 or more');
+    if (!Number.isInteger(increment) || increment < 1) throw new Error('Step must be a whole number of 1 or more');
+
+    const channels = this._groupChannels(group);
+    channels.forEach((ch, index) => {
+      ch.channelNumber = String(first + index * increment);
+      ch.manualChannelNumber = true;
+    });
+
+    this.lastUpdate = new Date().toISOString();
+    await this.saveToDisk();
+    console.log(`[M3U Manager] Renumbered group "${channels[0].group}" from ${first} (${channels.length} channels)`);
+    return channels;
+  }
+
+  /**
+   * Move a group to the number range starting at start, keeping the gaps between its
+   * channel numbers (sub-channels like 2401.1 keep their fraction). Channels in the group
+   * without a number are numbered after the moved ones.
+   * @param {string} group
+   * @param {number} start
+   * @returns {Promise<object[]>} the group's channels
+   * @throws {Error} for an unknown group or an invalid start
+   */
+  async moveGroup(group, start) {
+    const first = Number(start);
+    if (!Number.isInteger(first) || first < 1) throw new Error('Start must be a whole number of 1 or more');
+
+    const channels = this._groupChannels(group);
+    const numbered = channels.filter(ch => !isNaN(parseFloat(ch.channelNumber)));
+    const lowest = numbered.length > 0 ? Math.floor(Math.min(...numbered.map(ch => parseFloat(ch.channelNumber)))) : first;
+    let next = first;
+    for (const ch of numbered) {
+      const number = Math.round((parseFloat(ch.channelNumber) - lowest + first) * 1000) / 1000;
+      ch.channelNumber = String(number);
+      ch.manualChannelNumber = true;
+      next = Math.max(next, Math.floor(number) + 1);
+    }
+    for (const ch of channels.filter(ch => isNaN(parseFloat(ch.channelNumber)))) {
+      ch.channelNumber = String(next++);
+      ch.manualChannelNumber = true;
+    }
+
+    this.lastUpdate = new Date().toISOString();
+    await this.saveToDisk();
+    console.log(`[M3U Manager] Moved group "${channels[0].group}" to ${first} (${channels.length} channels)`);
+    return channels;
+  }
+
+  /**
+   * Enabled channels that go into the playlist, filtered and sorted as generateM3U documents.
+   * Shared by generateM3U and generateXMLTV so the guide lists exactly the playlist's channels.
+   */
+  getPlaylistChannels(services = null, sort = 'number', genres = null, fast = true) {
     const serviceFilter = Array.isArray(services) && services.length > 0 ? new Set(services) : null;
     let genreIncludes = null;
     let genreExcludes = null;
@@ -999,54 +1596,78 @@ class StreamingM3UManager {
       if (excl.length > 0) genreExcludes = new Set(excl);
     }
 
-    const sorters = {
-      number: (a, b) => (parseFloat(a.channelNumber) || 9999) - (parseFloat(b.channelNumber) || 9999),
-      name:   (a, b) => (a.name || '').localeCompare(b.name || ''),
-    };
-    const sortFn = sorters[sort] || sorters.number;
+    const sortFn = PLAYLIST_SORTERS[sort] || PLAYLIST_SORTERS.number;
 
-    const enabledChannels = this.channels
+    return this.channels
       .filter(ch => ch.enabled !== false
         && (!serviceFilter || serviceFilter.has(ch.service))
         && (!genreIncludes || genreIncludes.has((ch.category || '').toLowerCase()))
         && (!genreExcludes || !genreExcludes.has((ch.category || '').toLowerCase()))
         && !(fast === false && ch.service === 'directv' && parseFloat(ch.channelNumber) >= 4000 && parseFloat(ch.channelNumber) < 5000))
       .sort(sortFn);
+  }
 
+  /**
+   * Generate M3U playlist.
+   * @param {string} replaceHost - Hostname to embed in stream URLs
+   * @param {string[]|null} services - If provided, only include channels from these services
+   * @param {string} sort - 'number' (default), 'name' or 'order' (custom order)
+   */
+  generateM3U(replaceHost = 'CH4C_IP_ADDRESS', services = null, sort = 'number', genres = null, fast = true) {
+    return this.renderM3U(this.getPlaylistChannels(services, sort, genres, fast), replaceHost);
+  }
+
+  /**
+   * A playlist profile's channels (playlist-profiles.js): the profile's filters, minus its
+   * exclude list, plus any enabled channels on its include list, with the profile's
+   * channel-number offset applied (to copies — the saved channels are untouched).
+   * @param {object} profile
+   * @returns {object[]}
+   */
+  getProfileChannels(profile) {
+    const exclude = new Set(profile.exclude || []);
+    const selected = this.getPlaylistChannels(profile.services, profile.sort, profile.genres, profile.fast)
+      .filter(ch => !exclude.has(ch.id));
+    const selectedIds = new Set(selected.map(ch => ch.id));
+    for (const id of profile.include || []) {
+      const ch = this.getChannelById(id);
+      if (ch && ch.enabled !== false && !selectedIds.has(id) && !exclude.has(id)) selected.push(ch);
+    }
+
+    const offset = profile.channelNumberOffset || 0;
+    return selected
+      .sort(PLAYLIST_SORTERS[profile.sort] || PLAYLIST_SORTERS.number)
+      .map(ch => {
+        const number = parseFloat(ch.channelNumber);
+        if (!offset || isNaN(number)) return ch;
+        return { ...ch, channelNumber: String(Math.round((number + offset) * 1000) / 1000) };
+      });
+  }
+
+  /**
+   * Generate a playlist profile's M3U.
+   * @param {string} replaceHost - Hostname to embed in stream URLs
+   * @param {object} profile
+   */
+  generateProfileM3U(replaceHost, profile) {
+    return this.renderM3U(this.getProfileChannels(profile), replaceHost);
+  }
+
+  /**
+   * M3U text for the given channels, in order.
+   * @param {object[]} channels
+   * @param {string} replaceHost - Hostname to embed in stream URLs
+   */
+  renderM3U(channels, replaceHost) {
+    const ch4cPort = Constants.CH4C_PORT;
     let m3u = `#EXTM3U\n\n`;
 
-    for (const ch of enabledChannels) {
+    for (const ch of channels) {
       const tvgId = ch.id;
       const tvgName = ch.callSign || ch.name;
       const tvgLogo = ch.logo || '';
       const channelNum = ch.channelNumber || '';
-      // Map internal category to Channels DVR genre format
-      // Channels DVR supported genres: Movies, Sports, Drama, News, Children
-      // "Other" means no genre - tvc-guide-genres tag will be omitted
-      const genreMap = {
-        'Entertainment': 'Entertainment',
-        'Kids': 'Children',
-        'Movies': 'Movies',
-        'Sports': 'Sports',
-        'News': 'News',
-        'Drama': 'Drama',
-        'Children': 'Children',
-        'Shopping': 'Shopping',
-        'Food': 'Cooking',
-        'Home': 'Home',
-        'Music': 'Music',
-        'Comedy': 'Comedy',
-        'Educational': 'Educational',
-        'Local': 'Local',
-        'Spanish': 'Spanish',
-        'Lifestyle': 'Lifestyle',
-        'Religious': 'Religious',
-        'Reality': 'Reality',
-        'True Crime': 'True Crime',
-        'Game Show': 'Game Show',
-        'Other': null  // null means don't write genre tag
-      };
-      const genre = genreMap[ch.category] !== undefined ? genreMap[ch.category] : 'Other';
+      const genre = guideGenre(ch.category);
       const displayName = ch.name;
 
       // Use tvc-guide-stationid if stationId is set, otherwise use tvc-guide-placeholders with duration
@@ -1062,12 +1683,15 @@ class StreamingM3UManager {
       // Only add tvc-guide-genres if genre is set (not null/Other)
       const genreAttribute = genre ? ` tvc-guide-genres="${genre}"` : '';
 
+      // User-defined group, shown by Channels DVR and other players as the channel's group
+      const groupAttribute = ch.group ? ` group-title="${ch.group.replace(/"/g, "'")}"` : '';
+
       // Add tvc-guide-tags for video quality if HDTV or SDTV
       // videoQuality can be either a string or an object with videoType property
       const videoType = typeof ch.videoQuality === 'object' ? ch.videoQuality?.videoType : ch.videoQuality;
       const tagsAttribute = (videoType === 'HDTV' || videoType === 'SDTV') ? ` tvc-guide-tags="${videoType}"` : '';
 
-      m3u += `#EXTINF:-1 tvg-id="${tvgId}" tvg-name="${tvgName}" tvg-logo="${tvgLogo}"${guideAttribute} channel-number="${channelNum}"${genreAttribute}${tagsAttribute},${displayName}\n`;
+      m3u += `#EXTINF:-1 tvg-id="${tvgId}" tvg-name="${tvgName}" tvg-logo="${tvgLogo}"${guideAttribute} channel-number="${channelNum}"${groupAttribute}${genreAttribute}${tagsAttribute},${displayName}\n`;
 
       // Encoder channels (custom service) use direct URLs (cc= already baked in).
       // DirecTV uses &channel= for the channel name (no per-channel URL exists).
@@ -1086,6 +1710,36 @@ class StreamingM3UManager {
     return m3u;
   }
 
+  /**
+   * Generate an XMLTV guide for the playlist's channels (same filters as generateM3U).
+   * Channels without a Gracenote station ID get placeholder programmes named after the
+   * channel, in blocks of the channel's placeholder duration (60 minutes if unset); channels
+   * with a station ID are listed without programmes, since Channels DVR uses Gracenote data
+   * for them.
+   * @param {object} opts
+   * @param {number} opts.fromMs - guide start
+   * @param {number} opts.toMs - guide end
+   * @param {object[]} [opts.extraChannels] - additional XMLTV channels (e.g. encoder channels)
+   * @param {object[]} [opts.extraProgrammes] - programmes for the extra channels
+   */
+  generateXMLTV({ services = null, genres = null, fast = true, fromMs, toMs, extraChannels = [], extraProgrammes = [] }) {
+    const channels = [];
+    const programmes = [...extraProgrammes];
+    for (const ch of this.getPlaylistChannels(services, 'number', genres, fast)) {
+      channels.push({ id: ch.id, name: ch.name, number: ch.channelNumber, icon: ch.logo });
+      if (ch.stationId) continue;
+      const genre = guideGenre(ch.category);
+      programmes.push(...xmltv.placeholderProgrammes({
+        channel: ch.id,
+        title: ch.name,
+        desc: `Live on ${ch.name}`,
+        categories: genre ? [genre] : [],
+        icon: ch.logo,
+      }, fromMs, toMs, ch.duration || 60));
+    }
+    return xmltv.buildXmltv([...channels, ...extraChannels], programmes);
+  }
+
   /**
    * Get manager status
    */
@@ -1107,6 +1761,7 @@ class StreamingM3UManager {
     for (const serviceName of Object.keys(this.services)) {
       const serviceChannels = this.getChannelsByService(serviceName);
       serviceStats[serviceName] = {
+        name: this.services[serviceName].displayName || serviceName,
         total: serviceChannels.length,
         enabled: serviceChannels.filter(ch => ch.enabled !== false).length,
         lastRefresh: this.serviceLastRefresh[serviceName] || null
@@ -1120,7 +1775,8 @@ class StreamingM3UManager {
       isRefreshing: this.isRefreshing,
       services: serviceStats,
       channelsDvrSourceName: this.channelsDvrSourceName,
-      channelsDvrSourceAutoCreated: this.channelsDvrSourceAutoCreated
+      channelsDvrSourceAutoCreated: this.channelsDvrSourceAutoCreated,
+      collisions: this.findChannelNumberCollisions()
     };
   }
 }
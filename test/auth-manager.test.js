@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const authManager = require('../auth-manager');
+
+function request(pathname, headers = {}) {
+  return { path: pathname, originalUrl: pathname, method: 'GET', headers };
+}
+
+// Runs the middleware and reports whether the request went through (or the status it got)
+function run(req) {
+  let outcome = null;
+  const res = {
+    status(code) { outcome = code; return this; },
+    json() { return this; },
+    redirect() { outcome = 302; },
+  };
+  authManager.middleware(req, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+test.before(() => {
+  authManager.init(fs.mkdtempSync(path.join(os.tmpdir(), 'ch4c-auth-')));
+  authManager.setPassword('correct horse battery');
+});
+
+test('lets every request through while no password is set', () => {
+  authManager.clearPassword();
+  assert.equal(run(request('/api/settings')), 'next');
+  authManager.setPassword('correct horse battery');
+});
+
+test('rejects API requests without credentials once a password is set', () => {
+  assert.equal(run(request('/api/settings')), 401);
+  assert.equal(run(request('/API/settings/')), 401);
+});
+
+test('redirects unauthenticated page loads to /login', () => {
+  assert.equal(run(request('/m3u-manager', { accept: 'text/html' })), 302);
+});
+
+test('keeps the login page and auth routes public', () => {
+  assert.equal(run(request('/login')), 'next');
+  assert.equal(run(request('/login/')), 'next');
+  assert.equal(run(request('/api/auth/status')), 'next');
+});
+
+test('matches exempt routes the way Express routes them', () => {
+  for (const pathname of ['/stream', '/stream/', '/Stream', '/STREAM/',
+    '/m3u-manager/playlist.m3u', '/m3u-manager/playlist.m3u/', '/M3U-Manager/Playlist.m3u',
+    '/m3u-manager/playlists/kids.m3u', '/m3u-manager/playlists/kids.m3u/',
+    '/m3u-manager/guide.xml', '/m3u-manager/guide.xml/']) {
+    assert.equal(run(request(pathname)), 'next', pathname);
+  }
+});
+
+test('does not treat other paths under an exempt prefix as exempt', () => {
+  assert.equal(run(request('/stream/extra')), 401);
+  assert.equal(run(request('/streams')), 401);
+  assert.equal(run(request('/m3u-manager/playlists/a/b.m3u')), 401);
+});
+
+test('requires credentials for a route whose exemption is turned off', () => {
+  authManager.setExemptions({ stream: false });
+  try {
+    assert.equal(run(request('/stream')), 401);
+    assert.equal(run(request('/stream/')), 401);
+    assert.equal(run(request('/metrics')), 401);
+  } finally {
+    authManager.setExemptions({ stream: true });
+  }
+});
+
+test('accepts API tokens and the internal loopback token', () => {
+  const { id, token } = authManager.createToken('script');
+  assert.equal(run(request('/api/settings', { authorization: `Bearer ${token}` })), 'next');
+  assert.equal(run(request('/api/settings', { authorization: authManager.internalHeaders().Authorization })), 'next');
+  assert.equal(run(request('/api/settings', { authorization: 'Bearer ch4c_nope' })), 401);
+  authManager.revokeToken(id);
+  assert.equal(run(request('/api/settings', { authorization: `Bearer ${token}` })), 401);
+});
+
+test('rejects an internal token of a different length without throwing', () => {
+  assert.equal(authManager.isInternalRequest({ headers: { authorization: 'Bearer short' } }), false);
+  assert.equal(authManager.isInternalRequest({ headers: { authorization: 'Bearer ' + 'é'.repeat(64) } }), false);
+});
+
+test('verifies the password', () => {
+  assert.equal(authManager.verifyPassword('correct horse battery'), true);
+  assert.equal(authManager.verifyPassword('wrong password'), false);
+  assert.throws(() => authManager.setPassword('short'), /at least/);
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configBackup = require('../config-backup');
+const credentialsStore = require('../credentials-store');
+
+const PASSPHRASE = 'correct horse battery';
+const SLING_CREDS = { username: 'viewer@example.com', password: 'hunter2-secret' };
+const ENCODER = { url: 'http://127.0.0.1:7654/stream0', channel: '24.42' };
+
+// A configured CH4C: config.json, a channel list, a notification sink and a saved login
+function makeInstance(name) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), `ch4c-backup-${name}-`));
+  const dataDir = path.join(root, 'data');
+  const configPath = path.join(root, 'config.json');
+  fs.mkdirSync(dataDir);
+  fs.writeFileSync(configPath, JSON.stringify({ channelsUrl: 'http://192.168.1.10', dataDir, encoders: [ENCODER] }));
+  fs.writeFileSync(path.join(dataDir, 'streaming_channels.json'), JSON.stringify({ channels: [{ id: 'custom-1', service: 'custom', name: 'News' }] }));
+  fs.writeFileSync(path.join(dataDir, 'notifications.json'), JSON.stringify({ rateLimitMinutes: 30, sinks: [] }));
+  return { dataDir, configPath };
+}
+
+let source;
+
+test.before(() => {
+  source = makeInstance('source');
+  credentialsStore.init(source.dataDir);
+  credentialsStore.saveCredentials('sling', SLING_CREDS);
+});
+
+function backup(opts = {}) {
+  return configBackup.createBackup({ ...source, appVersion: '9.9.9', ...opts });
+}
+
+test('a backup without credentials holds the config and data files', () => {
+  const bundle = backup();
+  assert.equal(bundle.format, 'ch4c-backup');
+  assert.equal(bundle.credentials, null);
+  assert.deepEqual(bundle.files.config.encoders, [ENCODER]);
+  assert.equal(bundle.files.channels.channels[0].name, 'News');
+  assert.equal(bundle.files.scheduledRecordings, null);
+
+  const { valid, contents } = configBackup.validateBackup(bundle);
+  assert.equal(valid, true);
+  assert.equal(contents.credentials, null);
+  assert.equal(contents.settings.channelsUrl, 'http://192.168.1.10');
+});
+
+test('credentials need a long enough passphrase', () => {
+  assert.throws(() => backup({ includeCredentials: true, passphrase: 'short' }), /at least 8 characters/);
+});
+
+test('credentials survive the round trip and are never written in the clear', () => {
+  const bundle = JSON.parse(JSON.stringify(backup({ includeCredentials: true, passphrase: PASSPHRASE })));
+  assert.doesNotMatch(JSON.stringify(bundle), /hunter2|viewer@example/);
+
+  const { valid, contents } = configBackup.validateBackup(bundle, PASSPHRASE);
+  assert.equal(valid, true);
+  assert.deepEqual(contents.credentials.sling, SLING_CREDS);
+});
+
+test('credentials without the right passphrase fail validation', () => {
+  const bundle = backup({ includeCredentials: true, passphrase: PASSPHRASE });
+  assert.match(configBackup.validateBackup(bundle).errors.credentials, /enter its passphrase/);
+  assert.match(configBackup.validateBackup(bundle, 'wrong passphrase').errors.credentials, /Wrong passphrase/);
+
+  const data = Buffer.from(bundle.credentials.data, 'base64');
+  data[0] ^= 0xff;
+  const tampered = { ...bundle, credentials: { ...bundle.credentials, data: data.toString('base64') } };
+  const result = configBackup.validateBackup(tampered, PASSPHRASE);
+  assert.equal(result.valid, false);
+  assert.match(result.errors.credentials, /damaged/);
+});
+
+test('rejects files that are not valid backups', () => {
+  assert.deepEqual(configBackup.validateBackup({ hello: 'world' }).errors, { format: 'Not a CH4C backup file' });
+  assert.match(configBackup.validateBackup({ ...backup(), version: 99 }).errors.format, /newer/);
+
+  const bundle = backup();
+  bundle.files.config = { ...bundle.files.config, channelsUrl: '', encoders: [{ ...ENCODER, channel: '2442' }] };
+  bundle.files.channels = { channels: [{ id: 'x' }] };
+  bundle.files.notifications = { sinks: 'none' };
+  const { valid, errors, contents } = configBackup.validateBackup(bundle);
+  assert.equal(valid, false);
+  assert.equal(contents, null);
+  assert.deepEqual(Object.keys(errors).sort(), ['channels', 'config', 'encoder_0', 'notifications']);
+});
+
+test('restoring writes the files and credentials but keeps the data directory setting', () => {
+  const { contents } = configBackup.validateBackup(backup({ includeCredentials: true, passphrase: PASSPHRASE }), PASSPHRASE);
+  const target = makeInstance('target');
+  fs.rmSync(path.join(target.dataDir, 'streaming_channels.json'));
+  credentialsStore.init(target.dataDir);
+
+  const result = configBackup.applyBackup(contents, target);
+  assert.deepEqual(result.restored, ['config.json', 'streaming_channels.json', 'notifications.json']);
+  assert.equal(result.credentials, 1);
+
+  const config = JSON.parse(fs.readFileSync(target.configPath, 'utf8'));
+  assert.equal(config.dataDir, target.dataDir);
+  assert.deepEqual(config.encoders, [ENCODER]);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(target.dataDir, 'streaming_channels.json'), 'utf8')).channels[0].id, 'custom-1');
+  assert.deepEqual(credentialsStore.getCredentials('sling'), SLING_CREDS);
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const encoderQueue = require('../encoder-queue');
+
+const ENCODERS = [
+  { url: 'http://enc1/stream' },
+  { url: 'http://enc2/stream' },
+];
+
+// A request that takes the first encoder the queue doesn't exclude (the 'first' policy)
+function request(purpose, extra = {}) {
+  return {
+    purpose,
+    label: `${purpose} test`,
+    select: ({ exclude }) => {
+      const encoder = ENCODERS.find(e => !exclude(e.url)) || null;
+      return { encoder, decision: { reason: encoder ? 'first free encoder' : 'no free encoder' } };
+    },
+    canUse: () => true,
+    ...extra,
+  };
+}
+
+function claimAll(purpose) {
+  for (const e of ENCODERS) encoderQueue.claimEncoder(e.url, request(purpose));
+}
+
+test.before(() => {
+  encoderQueue.init(fs.mkdtempSync(path.join(os.tmpdir(), 'ch4c-queue-')));
+});
+
+test.beforeEach(() => {
+  encoderQueue.updateSettings({ queueTimeoutSeconds: 0, preemption: true });
+});
+
+test.afterEach(() => {
+  for (const e of ENCODERS) encoderQueue.release(e.url);
+});
+
+test('tryAcquire claims a free encoder until it is released', () => {
+  assert.equal(encoderQueue.tryAcquire(request('live')).encoder.url, ENCODERS[0].url);
+  assert.equal(encoderQueue.tryAcquire(request('live')).encoder.url, ENCODERS[1].url);
+  assert.equal(encoderQueue.tryAcquire(request('live')).encoder, null);
+  assert.equal(encoderQueue.getEncoderUse(ENCODERS[0].url).purpose, 'live');
+
+  encoderQueue.release(ENCODERS[0].url);
+  assert.equal(encoderQueue.isClaimed(ENCODERS[0].url), false);
+  assert.equal(encoderQueue.tryAcquire(request('live')).encoder.url, ENCODERS[0].url);
+});
+
+test('a handoff request takes over the claim made on its behalf', () => {
+  claimAll('instant');
+  const { encoder } = encoderQueue.tryAcquire(request('instant', { handoffEncoder: ENCODERS[1].url }));
+  assert.equal(encoder.url, ENCODERS[1].url);
+  assert.equal(encoderQueue.getEncoderUse(ENCODERS[1].url).purpose, 'instant');
+});
+
+test('a scheduled recording pre-empts the lowest-priority stream', async () => {
+  encoderQueue.claimEncoder(ENCODERS[0].url, request('live'));
+  encoderQueue.claimEncoder(ENCODERS[1].url, request('tune'));
+  const stopped = [];
+  for (const e of ENCODERS) encoderQueue.attach(e.url, () => { stopped.push(e.url); encoderQueue.release(e.url); });
+
+  const result = await encoderQueue.acquire(request('scheduled'));
+  // Tune ranks below live viewing
+  assert.deepEqual(stopped, [ENCODERS[1].url]);
+  assert.equal(result.encoder.url, ENCODERS[1].url);
+  assert.equal(result.preempted.purpose, 'tune');
+  assert.equal(encoderQueue.getEncoderUse(ENCODERS[1].url).purpose, 'scheduled');
+});
+
+test('recordings are never pre-empted', async () => {
+  claimAll('instant');
+  const result = await encoderQueue.acquire(request('scheduled'));
+  assert.equal(result.encoder, null);
+  assert.equal(result.preempted, null);
+});
+
+test('pre-emption can be turned off', async () => {
+  encoderQueue.updateSettings({ preemption: false });
+  claimAll('live');
+  assert.equal((await encoderQueue.acquire(request('scheduled'))).encoder, null);
+  assert.equal(encoderQueue.isClaimed(ENCODERS[0].url), true);
+});
+
+test('a queued request gets the next encoder released', async () => {
+  encoderQueue.updateSettings({ queueTimeoutSeconds: 5 });
+  claimAll('instant');
+  setTimeout(() => encoderQueue.release(ENCODERS[1].url), 100);
+
+  const result = await encoderQueue.acquire(request('live'));
+  assert.equal(result.encoder.url, ENCODERS[1].url);
+  assert.ok(result.waitedMs > 0);
+  assert.deepEqual(encoderQueue.getStatus().waiting, []);
+});
+
+test('a waiting request keeps lower-priority requests off the encoders it can use', async () => {
+  encoderQueue.updateSettings({ queueTimeoutSeconds: 5 });
+  claimAll('instant');
+  const waiting = encoderQueue.acquire(request('scheduled'));
+  assert.equal(encoderQueue.getStatus().waiting.length, 1);
+
+  encoderQueue.release(ENCODERS[0].url);
+  assert.equal(encoderQueue.tryAcquire(request('live')).encoder, null);
+  assert.equal((await waiting).encoder.url, ENCODERS[0].url);
+});
+
+test('a cancelled request leaves the queue', async () => {
+  encoderQueue.updateSettings({ queueTimeoutSeconds: 5 });
+  claimAll('instant');
+  const result = await encoderQueue.acquire(request('live'), { isCancelled: () => true });
+  assert.equal(result.encoder, null);
+  assert.match(result.decision.reason, /cancelled/);
+  assert.deepEqual(encoderQueue.getStatus().waiting, []);
+});
+
+test('rejects an invalid queue timeout', () => {
+  assert.throws(() => encoderQueue.updateSettings({ queueTimeoutSeconds: 3601 }), /between 0 and 3600/);
+  assert.throws(() => encoderQueue.updateSettings({ queueTimeoutSeconds: 1.5 }), /whole number/);
+  assert.equal(encoderQueue.getSettings().queueTimeoutSeconds, 0);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const encoderSelector = require('../encoder-selector');
+
+const ENCODERS = [
+  { url: 'http://enc1/stream', channel: '24.1' },
+  { url: 'http://enc2/stream', channel: '24.2' },
+  { url: 'http://enc3/stream', channel: '24.3' },
+];
+const DEFAULTS = { policy: 'first', reserveForScheduled: 0, affinityRules: [], encoderTags: {} };
+
+// Select with every encoder free except the ones listed as busy
+function select(opts = {}, busy = []) {
+  return encoderSelector.selectEncoder({
+    encoders: ENCODERS,
+    isAvailable: e => !busy.includes(e.url),
+    purpose: 'live',
+    ...opts,
+  });
+}
+
+test.before(() => {
+  encoderSelector.init(fs.mkdtempSync(path.join(os.tmpdir(), 'ch4c-selector-')));
+});
+
+test.beforeEach(() => {
+  encoderSelector.updateSettings(DEFAULTS);
+});
+
+test('first policy picks the first free encoder in config order', () => {
+  assert.equal(select().encoder.url, ENCODERS[0].url);
+  assert.equal(select({}, [ENCODERS[0].url]).encoder.url, ENCODERS[1].url);
+});
+
+test('round-robin rotates through the encoders', () => {
+  encoderSelector.updateSettings({ policy: 'round-robin' });
+  const picked = [select(), select(), select(), select()].map(r => r.encoder.url);
+  const start = ENCODERS.findIndex(e => e.url === picked[0]);
+  assert.deepEqual(picked, [0, 1, 2, 3].map(i => ENCODERS[(start + i) % ENCODERS.length].url));
+});
+
+test('reports no encoder when none is free', () => {
+  const { encoder, decision } = select({}, ENCODERS.map(e => e.url));
+  assert.equal(encoder, null);
+  assert.match(decision.reason, /no free/);
+});
+
+test('tag affinity limits matching URLs to tagged encoders', () => {
+  encoderSelector.updateSettings({
+    affinityRules: [{ pattern: 'watch.sling.com', tags: 'sling' }],
+    encoderTags: { [ENCODERS[2].url]: ['Sling'] },
+  });
+  assert.equal(select({ targetUrl: 'https://watch.sling.com/1/channel/x/watch' }).encoder.url, ENCODERS[2].url);
+  assert.equal(select({ targetUrl: 'https://example.com' }).encoder.url, ENCODERS[0].url);
+  assert.equal(select({ targetUrl: 'https://watch.sling.com/x' }, [ENCODERS[2].url]).encoder, null);
+  assert.equal(encoderSelector.isEligible(ENCODERS[0].url, 'https://watch.sling.com/x'), false);
+});
+
+test('the reserve holds encoders back from everything but scheduled recordings', () => {
+  encoderSelector.updateSettings({ reserveForScheduled: 1 });
+  const busy = [ENCODERS[0].url, ENCODERS[1].url];
+  const live = select({}, busy);
+  assert.equal(live.encoder, null);
+  assert.equal(live.decision.reserved, true);
+  assert.equal(select({ purpose: 'scheduled' }, busy).encoder.url, ENCODERS[2].url);
+  assert.equal(select({}, [ENCODERS[0].url]).encoder.url, ENCODERS[1].url);
+});
+
+test('an explicitly requested encoder still honours the reserve', () => {
+  encoderSelector.updateSettings({ reserveForScheduled: 1 });
+  const busy = [ENCODERS[0].url, ENCODERS[1].url];
+  for (const allowFallback of [true, false]) {
+    const { encoder, decision } = select({ requestedEncoder: ENCODERS[2].url, allowFallback }, busy);
+    assert.equal(encoder, null);
+    assert.equal(decision.reserved, true);
+    assert.match(decision.reason, /^encoder reserved/);
+  }
+  assert.equal(select({ purpose: 'scheduled', requestedEncoder: ENCODERS[2].url }, busy).encoder.url, ENCODERS[2].url);
+  // CH4C's loopback request for an encoder it already claimed isn't refused
+  assert.equal(select({ purpose: 'instant', requestedEncoder: ENCODERS[2].url, handoff: true }, busy).encoder.url, ENCODERS[2].url);
+});
+
+test('an explicitly requested encoder bypasses the ordering policy', () => {
+  assert.equal(select({ requestedEncoder: ENCODERS[1].url }).encoder.url, ENCODERS[1].url);
+  assert.equal(select({ requestedEncoder: ENCODERS[1].url }, [ENCODERS[1].url]).encoder.url, ENCODERS[0].url);
+  assert.equal(select({ requestedEncoder: ENCODERS[1].url, allowFallback: false }, [ENCODERS[1].url]).encoder, null);
+});
+
+test('a rejected settings update changes nothing', () => {
+  assert.throws(() => encoderSelector.updateSettings({ policy: 'round-robin', reserveForScheduled: -1 }), /whole number/);
+  assert.throws(() => encoderSelector.updateSettings({ policy: 'round-robin', affinityRules: [{ pattern: 'x', tags: '' }] }), /at least one tag/);
+  assert.equal(encoderSelector.getSettings().policy, 'first');
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffLineup, applyChanges } = require('../lineup-diff');
+
+function channel(id, fields = {}) {
+  return { id, name: id.toUpperCase(), streamUrl: `https://example.com/${id}`, channelNumber: null, stationId: null, enabled: true, ...fields };
+}
+
+const byType = changes => Object.fromEntries(changes.map(c => [c.type, c]));
+const ids = channels => channels.map(ch => ch.id).sort();
+
+test('an unchanged lineup has no changes', () => {
+  const saved = [channel('a'), channel('b', { stationId: '123' })];
+  assert.deepEqual(diffLineup(saved, saved.map(ch => ({ ...ch }))), []);
+});
+
+test('reports added, removed and field changes with numbered ids', () => {
+  const saved = [channel('a', { stationId: '1' }), channel('b'), channel('c', { channelNumber: '5' })];
+  const proposed = [channel('a', { stationId: '2', name: 'A2' }), channel('c', { channelNumber: 5 }), channel('d')];
+  const changes = diffLineup(saved, proposed);
+
+  assert.deepEqual(changes.map(c => c.id), ['c1', 'c2', 'c3', 'c4']);
+  const types = byType(changes);
+  assert.deepEqual([types.name.from, types.name.to], ['A', 'A2']);
+  assert.deepEqual([types.stationId.from, types.stationId.to], ['1', '2']);
+  assert.equal(types.removed.channelId, 'b');
+  assert.equal(types.added.channelId, 'd');
+  // '5' and 5 are the same channel number
+  assert.equal(types.channelNumber, undefined);
+});
+
+test('pairs a removed and an added channel with the same stream as a rename', () => {
+  const saved = [channel('old', { streamUrl: 'https://example.com/live/1' })];
+  const proposed = [channel('new', { streamUrl: 'https://example.com/live/1' })];
+  const [change] = diffLineup(saved, proposed);
+  assert.equal(change.type, 'renamed');
+  assert.equal(change.fromChannelId, 'old');
+  assert.equal(change.channelId, 'new');
+});
+
+test('pairs renames by station ID, but not by a stream URL several channels share', () => {
+  const shared = 'https://stream.directv.com/guide';
+  const saved = [channel('x', { streamUrl: shared, stationId: '42' }), channel('y', { streamUrl: shared })];
+  const proposed = [channel('x2', { streamUrl: shared, stationId: '42' }), channel('z', { streamUrl: shared })];
+  const types = diffLineup(saved, proposed).map(c => `${c.type}:${c.channelId}`).sort();
+  assert.deepEqual(types, ['added:z', 'removed:y', 'renamed:x2']);
+});
+
+test('applies only the accepted changes', () => {
+  const saved = [channel('a', { stationId: '1' }), channel('b'), channel('c')];
+  const proposed = [channel('a', { stationId: '2', name: 'A2', logo: 'new.png' }), channel('c'), channel('d')];
+  const changes = diffLineup(saved, proposed);
+  const types = byType(changes);
+
+  const result = applyChanges(saved, proposed, changes, [types.stationId.id, types.added.id]);
+  assert.deepEqual(ids(result), ['a', 'b', 'c', 'd']);
+  const a = result.find(ch => ch.id === 'a');
+  assert.equal(a.stationId, '2');
+  assert.equal(a.name, 'A');           // name change rejected
+  assert.equal(a.logo, 'new.png');     // not reviewed, taken from the new lineup
+
+  assert.deepEqual(ids(applyChanges(saved, proposed, changes, changes.map(c => c.id))), ['a', 'c', 'd']);
+  assert.deepEqual(ids(applyChanges(saved, proposed, changes, [])), ['a', 'b', 'c']);
+});
+
+test('an accepted rename keeps the saved enabled state and manual edits', () => {
+  const saved = [channel('old', { streamUrl: 'https://example.com/s', enabled: false, channelNumber: '700', manualChannelNumber: true, logo: 'mine.png', manualLogo: true })];
+  const proposed = [channel('new', { streamUrl: 'https://example.com/s', logo: 'theirs.png' })];
+  const changes = diffLineup(saved, proposed);
+
+  const [renamed] = applyChanges(saved, proposed, changes, [changes[0].id]);
+  assert.equal(renamed.id, 'new');
+  assert.equal(renamed.enabled, false);
+  assert.equal(renamed.channelNumber, '700');
+  assert.equal(renamed.logo, 'mine.png');
+
+  const [kept] = applyChanges(saved, proposed, changes, []);
+  assert.equal(kept, saved[0]);
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const m3uImport = require('../m3u-import');
+
+test('maps #EXTINF attributes to channel fields', () => {
+  const [entry] = m3uImport.parseM3U([
+    '#EXTM3U',
+    '#EXTINF:-1 tvg-id="12345" tvg-name="WXYZ" tvg-logo="http://x/logo.png" channel-number="24.1" tvc-guide-placeholders="1800" group-title="News",WXYZ News',
+    'http://host:2442/stream?url=https%3A%2F%2Fexample.com%2Flive',
+  ].join('\n'));
+  assert.deepEqual(entry, {
+    name: 'WXYZ News',
+    streamUrl: 'http://host:2442/stream?url=https%3A%2F%2Fexample.com%2Flive',
+    callSign: 'WXYZ',
+    logo: 'http://x/logo.png',
+    channelNumber: '24.1',
+    stationId: '12345',
+    duration: 30,
+    group: 'News',
+    groupTitle: 'News',
+    line: 2,
+  });
+});
+
+test('prefers tvc-guide-stationid and ignores a non-numeric tvg-id', () => {
+  const [a, b] = m3uImport.parseM3U([
+    '#EXTINF:-1 tvg-id="111" tvc-guide-stationid="222",A',
+    'http://a',
+    '#EXTINF:-1 tvg-id="espn.us" tvg-chno="7" tvc-guide-genres="Sports",B',
+    'http://b',
+  ].join('\n'));
+  assert.equal(a.stationId, '222');
+  assert.equal(b.stationId, '');
+  assert.equal(b.channelNumber, '7');
+  assert.equal(b.group, 'Sports');
+  assert.equal(b.groupTitle, '');
+});
+
+test('a comma inside a quoted attribute does not end the attribute list', () => {
+  const [entry] = m3uImport.parseM3U('#EXTINF:-1 group-title="News, Weather" tvg-name="WX",Weather, Local\nhttp://w');
+  assert.equal(entry.name, 'Weather, Local');
+  assert.equal(entry.group, 'News, Weather');
+  assert.equal(entry.callSign, 'WX');
+});
+
+test('falls back to tvg-name for an entry without a name', () => {
+  const [entry] = m3uImport.parseM3U('#EXTINF:-1 tvg-name="WXYZ",\nhttp://w');
+  assert.equal(entry.name, 'WXYZ');
+});
+
+test('skips other directives, blank lines and #EXTINF lines without a URL', () => {
+  const entries = m3uImport.parseM3U([
+    '\uFEFF#EXTM3U',
+    '#EXTINF:-1,Orphan',
+    '#EXTINF:-1,First',
+    '#EXTGRP:Group',
+    '',
+    '   ',
+    'http://first\r',
+    'http://stray',
+    '#EXTINF:-1,Last',
+  ].join('\n'));
+  assert.deepEqual(entries.map(e => [e.name, e.streamUrl, e.line]), [['First', 'http://first', 3]]);
+});
+
+test('parses the bundled sample playlist', () => {
+  const entries = m3uImport.parseM3U(fs.readFileSync(path.join(__dirname, '..', 'assets', 'samples.m3u'), 'utf8'));
+  assert.ok(entries.length > 10);
+  assert.ok(entries.every(e => e.name && /^https?:\/\//.test(e.streamUrl)));
+  assert.equal(entries[0].name, 'CH4C Encoder');
+  assert.equal(entries[0].duration, 60);
+});
+
+test('streamTarget compares CH4C stream URLs by their target', () => {
+  const target = 'https://example.com/live?x=1';
+  assert.equal(m3uImport.streamTarget(`http://a:2442/stream?url=${encodeURIComponent(target)}`), target);
+  assert.equal(m3uImport.streamTarget(`http://b:2442/stream/?url=${encodeURIComponent(target)}&encoder=1`), target);
+  assert.equal(m3uImport.streamTarget(' http://c/live/1 '), 'http://c/live/1');
+});
+
+test('rehostStream points CH4C stream URLs at another host', () => {
+  assert.equal(
+    m3uImport.rehostStream('https://old:2442/stream?url=https%3A%2F%2Fexample.com', 'new:2442'),
+    'http://new:2442/stream?url=https%3A%2F%2Fexample.com'
+  );
+  assert.equal(m3uImport.rehostStream('http://old/live/1', 'new:2442'), 'http://old/live/1');
+});
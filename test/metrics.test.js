@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const metrics = require('../metrics');
+
+// Sample lines of one family in the rendered output
+function samplesOf(text, name) {
+  return text.split('\n').filter(line => line.startsWith(name) && !line.startsWith('#'));
+}
+
+test('renders families in the Prometheus text format', () => {
+  const text = metrics.render([
+    metrics.family('ch4c_encoder_up', 'gauge', 'Whether the encoder answers', [
+      { labels: { encoder: 'http://enc1/stream' }, value: true },
+      { labels: { encoder: 'http://enc2/stream' }, value: false },
+    ]),
+    metrics.family('ch4c_uptime_seconds', 'gauge', 'Seconds since start', [{ value: 12.5 }]),
+  ]);
+  assert.equal(text, [
+    '# HELP ch4c_encoder_up Whether the encoder answers',
+    '# TYPE ch4c_encoder_up gauge',
+    'ch4c_encoder_up{encoder="http://enc1/stream"} 1',
+    'ch4c_encoder_up{encoder="http://enc2/stream"} 0',
+    '# HELP ch4c_uptime_seconds Seconds since start',
+    '# TYPE ch4c_uptime_seconds gauge',
+    'ch4c_uptime_seconds 12.5',
+    '',
+  ].join('\n'));
+});
+
+test('escapes label values and help text, and drops empty labels', () => {
+  const text = metrics.render([
+    metrics.family('x', 'gauge', 'Line one\nline two', [
+      { labels: { name: 'say "hi"\\\n', missing: null }, value: 1 },
+      { labels: {}, value: Infinity },
+      { value: 'not a number' },
+    ]),
+  ]);
+  assert.match(text, /^# HELP x Line one\\nline two$/m);
+  assert.deepEqual(samplesOf(text, 'x'), ['x{name="say \\"hi\\"\\\\\\n"} 1', 'x +Inf', 'x NaN']);
+});
+
+test('counts stream bytes per encoder', () => {
+  metrics.addStreamBytes('http://enc1/stream', 1000);
+  metrics.addStreamBytes('http://enc1/stream', 500);
+  metrics.addStreamBytes('http://enc2/stream', 1);
+  const text = metrics.render(metrics.eventFamilies());
+  assert.deepEqual(samplesOf(text, 'ch4c_stream_bytes_total'), [
+    'ch4c_stream_bytes_total{encoder="http://enc1/stream"} 1500',
+    'ch4c_stream_bytes_total{encoder="http://enc2/stream"} 1',
+  ]);
+});
+
+test('tune latency is a cumulative histogram, and each tune is counted', () => {
+  for (const seconds of [0.5, 4, 4, 200]) metrics.observeTuneLatency('sling', seconds);
+  metrics.recordTune('sling', 'failed');
+  const text = metrics.render(metrics.eventFamilies());
+
+  const buckets = samplesOf(text, 'ch4c_tune_latency_seconds_bucket');
+  assert.equal(buckets[0], 'ch4c_tune_latency_seconds_bucket{site="sling",le="1"} 1');
+  assert.equal(buckets[2], 'ch4c_tune_latency_seconds_bucket{site="sling",le="5"} 3');
+  assert.equal(buckets.at(-2), 'ch4c_tune_latency_seconds_bucket{site="sling",le="120"} 3');
+  assert.equal(buckets.at(-1), 'ch4c_tune_latency_seconds_bucket{site="sling",le="+Inf"} 4');
+  assert.deepEqual(samplesOf(text, 'ch4c_tune_latency_seconds_sum'), ['ch4c_tune_latency_seconds_sum{site="sling"} 208.5']);
+  assert.deepEqual(samplesOf(text, 'ch4c_tune_latency_seconds_count'), ['ch4c_tune_latency_seconds_count{site="sling"} 4']);
+  assert.deepEqual(samplesOf(text, 'ch4c_tunes_total'), [
+    'ch4c_tunes_total{site="sling",result="ok"} 4',
+    'ch4c_tunes_total{site="sling",result="failed"} 1',
+  ]);
+  assert.match(text, /^# TYPE ch4c_tune_latency_seconds histogram$/m);
+});
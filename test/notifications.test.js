@@ -0,0 +1,166 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const notifications = require('../notifications');
+const credentialsStore = require('../credentials-store');
+
+// Local stand-ins for the webhook / ntfy / Gotify endpoints and an SMTP server
+const received = [];
+let httpStatus = 200;
+const httpServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    res.writeHead(httpStatus).end(httpStatus === 200 ? 'ok' : 'nope');
+  });
+});
+
+const mails = [];
+const smtpServer = net.createServer((socket) => {
+  const session = { commands: [], data: '' };
+  let inData = false;
+  let buffer = '';
+  socket.write('220 test ESMTP\r\n');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    if (inData) {
+      const end = buffer.indexOf('\r\n.\r\n');
+      if (end < 0) return;
+      session.data = buffer.slice(0, end);
+      buffer = buffer.slice(end + 5);
+      inData = false;
+      mails.push(session);
+      socket.write('250 queued\r\n');
+    }
+    let newline;
+    while (!inData && (newline = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+      session.commands.push(line);
+      if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH LOGIN PLAIN\r\n');
+      else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+      else if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+      else if (line === 'QUIT') socket.end('221 bye\r\n');
+      else socket.write('250 ok\r\n');
+    }
+  });
+});
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+let baseUrl;
+let smtpPort;
+
+test.before(async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ch4c-notify-'));
+  credentialsStore.init(dataDir);
+  notifications.init(dataDir);
+  baseUrl = `http://127.0.0.1:${await listen(httpServer)}`;
+  smtpPort = await listen(smtpServer);
+});
+
+test.after(() => {
+  httpServer.close();
+  smtpServer.close();
+});
+
+test.beforeEach(() => {
+  received.length = 0;
+  httpStatus = 200;
+  for (const sink of notifications.getSettings().sinks) notifications.removeSink(sink.id);
+  notifications.updateSettings({ rateLimitMinutes: 30 });
+});
+
+test('validates sink settings', () => {
+  assert.throws(() => notifications.saveSink(null, { type: 'webhook', config: { url: 'ftp://x' } }), /Webhook URL/);
+  assert.throws(() => notifications.saveSink(null, { type: 'ntfy', config: { topic: 'has spaces' } }), /ntfy topic/);
+  assert.throws(() => notifications.saveSink(null, { type: 'email', config: { host: 'smtp', from: 'a@b', to: 'nobody' } }), /To must be/);
+  assert.throws(() => notifications.saveSink(null, { type: 'pager', config: {} }), /Type must be one of/);
+  assert.throws(() => notifications.saveSink(null, { type: 'webhook', config: { url: baseUrl }, events: ['nope'] }), /Events must be/);
+  assert.throws(() => notifications.updateSettings({ rateLimitMinutes: 1441 }), /0 to 1440/);
+  assert.deepEqual(notifications.getSettings().sinks, []);
+});
+
+test('secrets are never returned with the settings', () => {
+  const sink = notifications.saveSink(null, { type: 'gotify', name: 'Phone', config: { server: `${baseUrl}/` }, secret: 'app-token' });
+  assert.equal(sink.hasSecret, true);
+  assert.equal(sink.config.server, baseUrl);
+  assert.doesNotMatch(JSON.stringify(notifications.getSettings()), /app-token/);
+
+  // Updating other fields keeps the secret; an empty one removes it
+  assert.equal(notifications.saveSink(sink.id, { name: 'Phone 2' }).hasSecret, true);
+  assert.equal(notifications.saveSink(sink.id, { secret: '' }).hasSecret, false);
+  assert.equal(notifications.saveSink('missing', { name: 'x' }), null);
+});
+
+test('delivers to webhook, ntfy and Gotify sinks subscribed to the event', async () => {
+  notifications.saveSink(null, { type: 'webhook', config: { url: `${baseUrl}/hook` } });
+  notifications.saveSink(null, { type: 'ntfy', config: { server: baseUrl, topic: 'ch4c' }, secret: 'ntfy-token' });
+  notifications.saveSink(null, { type: 'gotify', config: { server: baseUrl }, secret: 'gotify-token' });
+  notifications.saveSink(null, { type: 'webhook', config: { url: `${baseUrl}/other` }, events: ['login-check-failed'] });
+  notifications.saveSink(null, { type: 'webhook', config: { url: `${baseUrl}/off` }, enabled: false });
+
+  const results = await notifications.notify('recording-failed', { subject: 'rec-1', title: 'Recording "News" failed', message: 'No encoder' });
+  assert.equal(results.length, 3);
+  assert.ok(results.every(r => r.success));
+
+  const byUrl = Object.fromEntries(received.map(r => [r.url, r]));
+  assert.deepEqual(Object.keys(byUrl).sort(), ['/', '/hook', '/message']);
+  assert.equal(byUrl['/hook'].body.app, 'CH4C');
+  assert.equal(byUrl['/hook'].body.title, 'CH4C: Recording "News" failed');
+  assert.equal(byUrl['/'].headers.authorization, 'Bearer ntfy-token');
+  assert.deepEqual([byUrl['/'].body.topic, byUrl['/'].body.priority], ['ch4c', 4]);
+  assert.equal(byUrl['/message'].headers['x-gotify-key'], 'gotify-token');
+});
+
+test('rate limits repeats about the same subject and mentions them later', async () => {
+  notifications.saveSink(null, { type: 'webhook', config: { url: baseUrl } });
+  const send = subject => notifications.notify('encoder-unhealthy', { subject, title: 'Encoder unhealthy', message: 'Down' });
+
+  assert.equal((await send('enc-a')).length, 1);
+  assert.deepEqual(await send('enc-a'), []);
+  assert.deepEqual(await send('enc-a'), []);
+  assert.equal((await send('enc-b')).length, 1);
+
+  notifications.updateSettings({ rateLimitMinutes: 0 });
+  await send('enc-a');
+  assert.match(received.at(-1).body.message, /\(2 more like this/);
+});
+
+test('a failed delivery is reported on the sink', async () => {
+  httpStatus = 500;
+  const sink = notifications.saveSink(null, { type: 'webhook', config: { url: baseUrl } });
+  const result = await notifications.sendTest(sink.id);
+  assert.equal(result.success, false);
+  assert.match(result.error, /HTTP 500: nope/);
+  assert.equal(notifications.getSettings().sinks[0].lastResult.success, false);
+  assert.equal(await notifications.sendTest('missing'), null);
+});
+
+test('sends email over SMTP', async () => {
+  const sink = notifications.saveSink(null, {
+    type: 'email',
+    config: { host: '127.0.0.1', port: smtpPort, security: 'none', username: 'ch4c', from: 'CH4C <ch4c@example.com>', to: 'a@example.com, b@example.com' },
+    secret: 'smtp-password',
+  });
+  const result = await notifications.sendTest(sink.id);
+  assert.equal(result.success, true, result.error);
+
+  const [mail] = mails;
+  assert.ok(mail.commands.includes(`AUTH PLAIN ${Buffer.from('\0ch4c\0smtp-password').toString('base64')}`));
+  assert.ok(mail.commands.includes('MAIL FROM:<ch4c@example.com>'));
+  assert.deepEqual(mail.commands.filter(c => c.startsWith('RCPT')), ['RCPT TO:<a@example.com>', 'RCPT TO:<b@example.com>']);
+  assert.match(mail.data, /^Subject: CH4C: Test notification$/m);
+  const body = Buffer.from(mail.data.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+  assert.match(body, /^Notifications from CH4C reach "email /);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const profiles = require('../playlist-profiles');
+
+let dataDir;
+
+test.before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ch4c-profiles-'));
+  profiles.init(dataDir);
+});
+
+test('a new profile starts from the playlist.m3u defaults', () => {
+  const profile = profiles.save('kids', {});
+  assert.deepEqual(
+    { services: profile.services, genres: profile.genres, sort: profile.sort, fast: profile.fast, offset: profile.channelNumberOffset },
+    { services: [], genres: [], sort: 'number', fast: true, offset: 0 }
+  );
+  assert.equal(profile.channelsDvrSource, false);
+});
+
+test('accepts comma-separated lists as in the playlist.m3u query', () => {
+  const profile = profiles.save('sports', { services: 'sling, directv,,sling', genres: ['Sports', '-News'], include: 'a,b', exclude: ['c'] });
+  assert.deepEqual(profile.services, ['sling', 'directv']);
+  assert.deepEqual(profile.genres, ['Sports', '-News']);
+  assert.deepEqual(profile.include, ['a', 'b']);
+  assert.deepEqual(profile.exclude, ['c']);
+});
+
+test('an update changes only the given fields', () => {
+  profiles.save('news', { services: 'sling', sort: 'name' });
+  const profile = profiles.save('news', { fast: 'false', channelNumberOffset: '1000', channelsDvrSource: 'true' });
+  assert.deepEqual(profile.services, ['sling']);
+  assert.equal(profile.sort, 'name');
+  assert.equal(profile.fast, false);
+  assert.equal(profile.channelNumberOffset, 1000);
+  assert.equal(profile.channelsDvrSource, true);
+});
+
+test('rejects invalid names and fields', () => {
+  for (const name of ['', 'Kids', '-kids', 'a b', 'x'.repeat(41)]) {
+    assert.throws(() => profiles.save(name, {}), /Profile name/, name);
+  }
+  assert.throws(() => profiles.save('bad', { sort: 'random' }), /Sort must be one of/);
+  assert.throws(() => profiles.save('bad', { channelNumberOffset: -1 }), /0 to 99999/);
+  assert.throws(() => profiles.save('bad', { channelNumberOffset: 1.5 }), /whole number/);
+  assert.equal(profiles.get('bad'), null);
+});
+
+test('names from a URL do not reach object prototype keys', () => {
+  assert.equal(profiles.get('constructor'), null);
+  assert.equal(profiles.remove('__proto__'), false);
+});
+
+test('profiles persist, sorted by name', () => {
+  profiles.setSourceName('news', 'CH4C news');
+  profiles.init(dataDir);
+  assert.deepEqual(profiles.list().map(p => p.name), ['kids', 'news', 'sports']);
+  assert.equal(profiles.get('news').sourceName, 'CH4C news');
+
+  assert.equal(profiles.remove('kids'), true);
+  assert.equal(profiles.remove('kids'), false);
+  profiles.init(dataDir);
+  assert.equal(profiles.get('kids'), null);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const history = require('../recording-history');
+
+const ENCODER = 'http://enc1/stream';
+let dataDir;
+
+function savedEntries() {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, 'recording_history.json'), 'utf8'));
+}
+
+test.before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ch4c-history-'));
+  // Left behind by a CH4C that exited mid-recording
+  fs.writeFileSync(path.join(dataDir, 'recording_history.json'), JSON.stringify([
+    { id: 'old-recording', type: 'scheduled', name: 'Old', status: 'recording', streamErrors: [] },
+    { id: 'old-done', type: 'instant', name: 'Done', status: 'completed', streamErrors: [] },
+  ]));
+  history.init(dataDir);
+});
+
+test('startup marks recordings left in progress as interrupted', () => {
+  assert.equal(history.get('old-recording').status, 'interrupted');
+  assert.match(history.get('old-recording').endReason, /CH4C stopped/);
+  assert.equal(history.get('old-done').status, 'completed');
+});
+
+test('a recording runs from starting to completed, newest first', () => {
+  const id = history.start({ type: 'instant', name: 'News', targetUrl: 'https://example.com/live', durationMinutes: 30 });
+  assert.equal(history.list()[0].id, id);
+  assert.equal(history.get(id).status, 'starting');
+
+  history.begin(id, { encoderUrl: ENCODER, channel: '24.1', dvrResponse: history.dvrResponse({ ok: true, status: 200 }) });
+  assert.equal(history.get(id).status, 'recording');
+  assert.ok(history.get(id).actualStart);
+
+  history.recordStreamError(ENCODER, 'stall detected');
+  assert.deepEqual(history.get(id).streamErrors.map(e => e.message), ['stall detected']);
+
+  assert.equal(history.finishForEncoder(ENCODER, 'completed', 'duration reached'), true);
+  // Cleanup's generic reason doesn't overwrite the first one
+  assert.equal(history.finishForEncoder(ENCODER, 'stopped', 'stream closed'), false);
+  assert.equal(history.get(id).status, 'completed');
+  assert.equal(history.get(id).endReason, 'duration reached');
+  assert.equal(savedEntries().find(e => e.id === id).status, 'completed');
+});
+
+test('stream errors after the recording ended are not attached', () => {
+  const id = history.start({ type: 'instant', name: 'Short', targetUrl: 'https://example.com/a' });
+  history.begin(id, { encoderUrl: ENCODER, channel: '24.1' });
+  history.finishForEncoder(ENCODER, 'stopped', 'stopped by user');
+  history.recordStreamError(ENCODER, 'late error');
+  assert.deepEqual(history.get(id).streamErrors, []);
+});
+
+test('recordFailure stores a failed entry with its details', () => {
+  history.recordFailure({ type: 'scheduled', name: 'Game', targetUrl: 'https://example.com/b' }, 'No encoder available', { channel: '24.2' });
+  const [entry] = history.list({ status: 'failed' });
+  assert.equal(entry.name, 'Game');
+  assert.equal(entry.endReason, 'No encoder available');
+  assert.equal(entry.channel, '24.2');
+});
+
+test('list filters by status and type and limits the result', () => {
+  assert.ok(history.list({ type: 'scheduled' }).every(e => e.type === 'scheduled'));
+  assert.ok(history.list({ status: 'completed' }).every(e => e.status === 'completed'));
+  assert.equal(history.list({ limit: 2 }).length, 2);
+});
+
+test('clear keeps recordings in progress', () => {
+  const id = history.start({ type: 'instant', name: 'Running', targetUrl: 'https://example.com/c' });
+  history.begin(id, { encoderUrl: ENCODER, channel: '24.1' });
+  assert.ok(history.clear() > 0);
+  assert.deepEqual(history.list().map(e => e.id), [id]);
+  history.finishForEncoder(ENCODER, 'stopped', 'stopped by user');
+});
+
+test('dvrResponse trims the stored body', () => {
+  const trimmed = history.dvrResponse({ ok: false, status: 500, body: 'x'.repeat(5000) });
+  assert.equal(trimmed.ok, false);
+  assert.equal(trimmed.body.length, 1000);
+  assert.equal(trimmed.error, null);
+});
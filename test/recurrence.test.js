@@ -0,0 +1,90 @@
+'use strict';
+
+// Rules repeat local wall-clock times; pin a zone with daylight-saving changes
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const recurrence = require('../recurrence');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Local time, month 1-based
+function at(year, month, day, hour = 19, minute = 0) {
+  return new Date(year, month - 1, day, hour, minute).getTime();
+}
+
+// The first `n` start times of a series, starting with the rule's own start
+function series(rule, n) {
+  const starts = [rule.start];
+  while (starts.length < n) {
+    const next = recurrence.nextOccurrence(rule, starts[starts.length - 1], starts.length);
+    if (next === null) break;
+    starts.push(next);
+  }
+  return starts;
+}
+
+test('daily keeps the wall-clock time across the spring-forward change', () => {
+  const rule = recurrence.normalizeRule({ frequency: 'daily' }, at(2026, 3, 7));
+  const [sat, sun, mon] = series(rule, 3);
+  assert.equal(sun, at(2026, 3, 8));
+  assert.equal(mon, at(2026, 3, 9));
+  assert.equal(sun - sat, 23 * HOUR_MS);
+});
+
+test('daily keeps the wall-clock time across the fall-back change', () => {
+  const rule = recurrence.normalizeRule({ frequency: 'daily' }, at(2026, 10, 31, 7, 30));
+  const [sat, sun] = series(rule, 2);
+  assert.equal(sun, at(2026, 11, 1, 7, 30));
+  assert.equal(sun - sat, 25 * HOUR_MS);
+});
+
+test('daily rolls over month, year and leap-day ends', () => {
+  assert.deepEqual(series(recurrence.normalizeRule({ frequency: 'daily' }, at(2026, 1, 31)), 2), [at(2026, 1, 31), at(2026, 2, 1)]);
+  assert.deepEqual(series(recurrence.normalizeRule({ frequency: 'daily' }, at(2026, 2, 28)), 2), [at(2026, 2, 28), at(2026, 3, 1)]);
+  assert.deepEqual(series(recurrence.normalizeRule({ frequency: 'daily' }, at(2028, 2, 28)), 3), [at(2028, 2, 28), at(2028, 2, 29), at(2028, 3, 1)]);
+  assert.deepEqual(series(recurrence.normalizeRule({ frequency: 'daily' }, at(2026, 12, 31)), 2), [at(2026, 12, 31), at(2027, 1, 1)]);
+});
+
+test('interval counts calendar days across month ends and DST', () => {
+  const rule = recurrence.normalizeRule({ frequency: 'interval', intervalDays: 3 }, at(2026, 2, 27));
+  assert.deepEqual(series(rule, 4), [at(2026, 2, 27), at(2026, 3, 2), at(2026, 3, 5), at(2026, 3, 8)]);
+});
+
+test('weekdays skips the weekend', () => {
+  const rule = recurrence.normalizeRule({ frequency: 'weekdays' }, at(2026, 10, 16)); // Friday
+  assert.deepEqual(series(rule, 2), [at(2026, 10, 16), at(2026, 10, 19)]);
+});
+
+test('weekly starts on the first matching day and cycles through the days', () => {
+  // Picked on Wednesday 2026-10-14 for Mondays and Fridays
+  const rule = recurrence.normalizeRule({ frequency: 'weekly', days: '5,1' }, at(2026, 10, 14));
+  assert.deepEqual(rule.days, [1, 5]);
+  assert.deepEqual(series(rule, 4), [at(2026, 10, 16), at(2026, 10, 19), at(2026, 10, 23), at(2026, 10, 26)]);
+});
+
+test('count and until end the series', () => {
+  const counted = recurrence.normalizeRule({ frequency: 'daily', count: 3 }, at(2026, 10, 1));
+  assert.equal(series(counted, 10).length, 3);
+
+  const until = recurrence.normalizeRule({ frequency: 'daily', until: at(2026, 10, 3, 23, 59) }, at(2026, 10, 1));
+  assert.deepEqual(series(until, 10), [at(2026, 10, 1), at(2026, 10, 2), at(2026, 10, 3)]);
+});
+
+test('rejects invalid rules', () => {
+  assert.equal(recurrence.normalizeRule({ frequency: 'none' }, at(2026, 10, 1)), null);
+  assert.throws(() => recurrence.normalizeRule({ frequency: 'hourly' }, at(2026, 10, 1)), /Repeat must be one of/);
+  assert.throws(() => recurrence.normalizeRule({ frequency: 'weekly', days: [7] }, at(2026, 10, 1)), /at least one day/);
+  assert.throws(() => recurrence.normalizeRule({ frequency: 'interval', intervalDays: 0 }, at(2026, 10, 1)), /between 1 and 365/);
+  assert.throws(() => recurrence.normalizeRule({ frequency: 'daily', until: at(2026, 9, 30) }, at(2026, 10, 1)), /after the first/);
+  // Weekly on Sundays, picked on a Monday, ending before the next Sunday
+  assert.throws(() => recurrence.normalizeRule({ frequency: 'weekly', days: [0], until: at(2026, 10, 17) }, at(2026, 10, 12)), /no occurrence/);
+});
+
+test('describes rules', () => {
+  assert.equal(recurrence.describeRule(null), 'Once');
+  assert.equal(recurrence.describeRule({ frequency: 'weekly', days: [1, 5] }), 'Weekly on Mon, Fri');
+  assert.equal(recurrence.describeRule({ frequency: 'interval', intervalDays: 3, count: 1 }), 'Every 3 days, 1 time');
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+// Daily occurrences are exactly a day apart only without daylight-saving changes
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const recurrence = require('../recurrence');
+const { findConflicts, buildTimeline, expandJobs } = require('../schedule-conflicts');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const ENC1 = 'http://enc1/stream';
+const ENC2 = 'http://enc2/stream';
+
+// findConflicts only looks ahead of now; start tomorrow, on the minute
+const BASE = Math.ceil((Date.now() + DAY_MS) / MINUTE_MS) * MINUTE_MS;
+const WINDOW_END = BASE + 7 * DAY_MS;
+
+function job(id, startOffsetMinutes, durationMinutes, extra = {}) {
+  return { id, name: id, start: BASE + startOffsetMinutes * MINUTE_MS, durationMinutes, encoderUrl: null, ...extra };
+}
+
+test('back-to-back recordings do not conflict', () => {
+  const conflicts = findConflicts(job('b', 60, 60), [job('a', 0, 60)], 1, WINDOW_END);
+  assert.deepEqual(conflicts, []);
+});
+
+test('reports a capacity conflict when overlaps outnumber the encoders', () => {
+  const others = [job('a', 0, 60), job('b', 30, 60)];
+  assert.deepEqual(findConflicts(job('c', 45, 30), others, 3, WINDOW_END), []);
+
+  const [conflict] = findConflicts(job('c', 45, 30), others, 2, WINDOW_END);
+  assert.equal(conflict.type, 'capacity');
+  assert.deepEqual(conflict.jobs.map(j => j.id), ['a', 'b']);
+  assert.match(conflict.message, /3 recordings overlap .* only 2 encoder/);
+});
+
+test('counts only recordings running at the same moment', () => {
+  // a and b each overlap c, but not each other
+  const others = [job('a', 0, 30), job('b', 60, 30)];
+  assert.deepEqual(findConflicts(job('c', 15, 60), others, 2, WINDOW_END), []);
+  assert.equal(findConflicts(job('c', 15, 60), others, 1, WINDOW_END)[0].type, 'capacity');
+});
+
+test('reports recordings pinned to the same encoder', () => {
+  const others = [job('a', 0, 60, { encoderUrl: ENC1 }), job('b', 0, 60, { encoderUrl: ENC2 })];
+  const conflicts = findConflicts(job('c', 30, 60, { encoderUrl: ENC1 }), others, 3, WINDOW_END);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].type, 'encoder');
+  assert.deepEqual(conflicts[0].jobs.map(j => j.id), ['a']);
+});
+
+test('checks every occurrence of a recurring job in the window', () => {
+  const daily = job('daily', 0, 60, { recurrence: recurrence.normalizeRule({ frequency: 'daily' }, BASE), occurrence: 1 });
+  assert.equal(expandJobs([daily], BASE, WINDOW_END).length, 7);
+
+  const conflicts = findConflicts(job('once', 3 * 24 * 60 + 30, 60), [daily], 1, WINDOW_END);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].jobs[0].start, BASE + 3 * DAY_MS);
+});
+
+test('timeline places pinned jobs on their encoder and falls back when it is busy', () => {
+  const encoders = [{ url: ENC1, channel: '24.1' }, { url: ENC2, channel: '24.2' }];
+  const jobs = [
+    job('a', 0, 60, { encoderUrl: ENC2 }),
+    job('b', 30, 60, { encoderUrl: ENC2 }),
+    job('c', 40, 60),
+  ];
+  const { items } = buildTimeline(jobs, encoders, BASE, WINDOW_END);
+  const byId = Object.fromEntries(items.map(i => [i.id, i]));
+  assert.equal(byId.a.encoderUrl, ENC2);
+  assert.equal(byId.b.encoderUrl, ENC1);
+  assert.equal(byId.b.fallback, true);
+  assert.equal(byId.c.encoderUrl, null);
+  assert.equal(byId.c.conflict, true);
+});
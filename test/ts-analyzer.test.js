@@ -0,0 +1,173 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeTransportStream } = require('../ts-analyzer');
+
+// ─── A minimal MPEG-TS muxer ─────────────────────────────────────────────────
+
+const PMT_PID = 0x1000;
+const VIDEO_PID = 0x100;
+const AUDIO_PID = 0x101;
+const FRAME_PTS = 3000; // 30 fps at 90 kHz
+
+// One 188-byte packet; short payloads are padded with adaptation-field stuffing
+function tsPacket(pid, payload, start) {
+  const stuffing = 184 - payload.length;
+  const header = [0x47, (start ? 0x40 : 0) | (pid >> 8), pid & 0xFF, (stuffing > 0 ? 0x30 : 0x10)];
+  const adaptation = stuffing > 0 ? [stuffing - 1, ...(stuffing > 1 ? [0x00] : []), ...Array(Math.max(0, stuffing - 2)).fill(0xFF)] : [];
+  return Buffer.concat([Buffer.from(header), Buffer.from(adaptation), payload]);
+}
+
+function packetize(pid, data) {
+  const packets = [];
+  for (let i = 0; i < data.length; i += 184) packets.push(tsPacket(pid, data.subarray(i, i + 184), i === 0));
+  return packets;
+}
+
+// PSI section with its pointer field; the CRC isn't checked, so it is left zero
+function psi(tableId, body) {
+  const length = body.length + 4;
+  return Buffer.from([0x00, tableId, 0xB0 | (length >> 8), length & 0xFF, ...body, 0, 0, 0, 0]);
+}
+
+function pat() {
+  return tsPacket(0, psi(0x00, [0x00, 0x01, 0xC1, 0x00, 0x00, 0x00, 0x01, 0xE0 | (PMT_PID >> 8), PMT_PID & 0xFF]), true);
+}
+
+function pmt(streams) {
+  const entries = streams.flatMap(({ type, pid }) => [type, 0xE0 | (pid >> 8), pid & 0xFF, 0xF0, 0x00]);
+  return tsPacket(PMT_PID, psi(0x02, [0x00, 0x01, 0xC1, 0x00, 0x00, 0xE0 | (VIDEO_PID >> 8), VIDEO_PID & 0xFF, 0xF0, 0x00, ...entries]), true);
+}
+
+function encodePts(pts) {
+  const low = pts % 2 ** 30;
+  return [
+    0x21 | ((Math.floor(pts / 2 ** 30) & 0x07) << 1),
+    (low >> 22) & 0xFF,
+    (((low >> 15) & 0x7F) << 1) | 1,
+    (low >> 7) & 0xFF,
+    ((low & 0x7F) << 1) | 1,
+  ];
+}
+
+function pes(streamId, pts, payload) {
+  return Buffer.concat([Buffer.from([0x00, 0x00, 0x01, streamId, 0x00, 0x00, 0x80, 0x80, 0x05, ...encodePts(pts)]), payload]);
+}
+
+// H.264 access units: an IDR, an I slice or a P slice, padded to `size` bytes
+const NAL_HEADERS = { idr: [0x65], i: [0x41, 0xB0], p: [0x41, 0xC0] };
+function h264Frame(kind, size) {
+  const header = Buffer.from([0x00, 0x00, 0x00, 0x01, ...NAL_HEADERS[kind]]);
+  return Buffer.concat([header, Buffer.alloc(Math.max(0, size - header.length), 0xAA)]);
+}
+
+function adtsFrame(length) {
+  const header = [0xFF, 0xF1, 0x50, 0x80 | ((length >> 11) & 0x03), (length >> 3) & 0xFF, ((length & 0x07) << 5) | 0x1F, 0xFC];
+  return Buffer.concat([Buffer.from(header), Buffer.alloc(length - 7, 0x21)]);
+}
+
+/**
+ * A stream of `frames` video frames (an I-frame every 10) and one audio PES per video frame.
+ * @param {object} opts
+ * @param {number[]} [opts.iFrameSizes] - cycled through for successive I-frames
+ * @param {number} [opts.frameSize] - size of the other frames
+ * @param {number} [opts.aacFrameSize] - ADTS frame size (0 for no audio)
+ * @param {string} [opts.iKind] - 'idr' or 'i' (non-IDR I slice)
+ * @param {(index: number) => number} [opts.pts] - PTS of each frame
+ */
+function transportStream({ frames = 31, iFrameSizes = [20000, 21500, 19000], frameSize = 3000, aacFrameSize = 300, iKind = 'idr', pts = i => 90000 + i * FRAME_PTS } = {}) {
+  const streams = [{ type: 0x1B, pid: VIDEO_PID }];
+  if (aacFrameSize) streams.push({ type: 0x0F, pid: AUDIO_PID });
+  const packets = [pat(), pmt(streams)];
+  for (let i = 0; i < frames; i++) {
+    const isKey = i % 10 === 0;
+    const video = h264Frame(isKey ? iKind : 'p', isKey ? iFrameSizes[(i / 10) % iFrameSizes.length] : frameSize + (i % 7) * 100);
+    packets.push(...packetize(VIDEO_PID, pes(0xE0, pts(i), video)));
+    if (aacFrameSize) {
+      const audio = Buffer.concat([adtsFrame(aacFrameSize), adtsFrame(aacFrameSize)]);
+      packets.push(...packetize(AUDIO_PID, pes(0xC0, pts(i), audio)));
+    }
+  }
+  return Buffer.concat(packets);
+}
+
+// ─── Tests ───────────────────────────────────────────────────────────────────
+
+test('a healthy stream has no problems', () => {
+  const result = analyzeTransportStream(transportStream());
+  assert.deepEqual(result.problems, []);
+  assert.equal(result.video.codec, 'h264');
+  assert.equal(result.video.state, 'ok');
+  // The last PES of each stream may be cut off, so it isn't counted
+  assert.equal(result.video.frames, 30);
+  assert.equal(result.video.iFrames, 3);
+  assert.equal(result.video.avgIFrameBytes, Math.round((20000 + 21500 + 19000) / 3));
+  assert.equal(result.video.ptsSeconds, 0.97);
+  assert.equal(result.video.discontinuities, 0);
+  assert.equal(result.audio.codec, 'aac');
+  assert.equal(result.audio.state, 'ok');
+  assert.equal(result.audio.frames, 60);
+  assert.equal(result.audio.avgFrameBytes, 300);
+  assert.equal(result.audio.kbps, 113);
+});
+
+test('finds the stream after leading garbage', () => {
+  const sample = Buffer.concat([Buffer.from('not a packet boundary'), transportStream()]);
+  const result = analyzeTransportStream(sample);
+  assert.equal(result.packets, transportStream().length / 188);
+  assert.equal(result.video.frames, 30);
+});
+
+test('counts I slices as I-frames', () => {
+  const result = analyzeTransportStream(transportStream({ iKind: 'i' }));
+  assert.equal(result.video.iFrames, 3);
+  assert.equal(result.video.state, 'ok');
+});
+
+test('tiny I-frames mean a black picture', () => {
+  const result = analyzeTransportStream(transportStream({ iFrameSizes: [1500] }));
+  assert.equal(result.video.state, 'black');
+  assert.deepEqual(result.problems, ['black']);
+});
+
+test('identical I-frames with near-empty frames between them mean a frozen picture', () => {
+  const result = analyzeTransportStream(transportStream({ iFrameSizes: [20000], frameSize: 40 }));
+  assert.equal(result.video.state, 'frozen');
+  assert.deepEqual(result.problems, ['frozen']);
+});
+
+test('tiny AAC frames mean silence', () => {
+  const result = analyzeTransportStream(transportStream({ aacFrameSize: 20 }));
+  assert.equal(result.audio.state, 'silent');
+  assert.deepEqual(result.problems, ['silent']);
+});
+
+test('timestamp jumps and stuck timestamps are reported', () => {
+  const jump = analyzeTransportStream(transportStream({ pts: i => 90000 + i * FRAME_PTS + (i >= 15 ? 5 * 90000 : 0) }));
+  assert.equal(jump.video.discontinuities, 1);
+  assert.deepEqual(jump.problems, ['timestamps']);
+
+  const stuck = analyzeTransportStream(transportStream({ pts: () => 90000 }));
+  assert.equal(stuck.video.ptsSeconds, 0);
+  assert.deepEqual(stuck.problems, ['timestamps']);
+});
+
+test('timestamps that wrap past 2^33 are continuous', () => {
+  const start = 2 ** 33 - 10 * FRAME_PTS;
+  const result = analyzeTransportStream(transportStream({ pts: i => (start + i * FRAME_PTS) % 2 ** 33 }));
+  assert.equal(result.video.discontinuities, 0);
+  assert.equal(result.video.ptsSeconds, 0.97);
+});
+
+test('a sample without a transport stream has no video', () => {
+  const result = analyzeTransportStream(Buffer.alloc(4096, 0x00));
+  assert.equal(result.packets, 0);
+  assert.equal(result.video, null);
+  assert.deepEqual(result.problems, ['no-video']);
+
+  const audioOnly = analyzeTransportStream(Buffer.concat([pat(), pmt([{ type: 0x0F, pid: AUDIO_PID }])]));
+  assert.equal(audioOnly.audio.state, 'no-frames');
+  assert.deepEqual(audioOnly.problems, ['no-video']);
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { VideoWatchdog, probeVideo } = require('../video-watchdog');
+
+const ENCODER = 'http://enc1/stream';
+const STALL_TIMEOUT = 45000;
+
+function sample(fields = {}) {
+  return { area: 100, currentTime: 10, readyState: 4, paused: false, ended: false, error: null, checksum: null, ...fields };
+}
+
+// A page whose single frame returns the queued samples in turn
+function fakePage(samples) {
+  return { frames: () => [{ evaluate: async () => samples.shift() ?? null }] };
+}
+
+function setup(samples, { startedAgoMs = 120000, targetUrl = 'https://example.com/live' } = {}) {
+  const stream = { targetUrl, startTime: Date.now() - startedAgoMs, recovery: { inProgress: false } };
+  const recoveries = [];
+  const streamMonitor = {
+    activeStreams: new Map([[ENCODER, stream]]),
+    recover: async (encoderUrl, reason) => {
+      recoveries.push(reason);
+      return { action: 'reload' };
+    },
+  };
+  const page = fakePage(samples);
+  const watchdog = new VideoWatchdog({ streamMonitor, getPage: async () => page, stallTimeout: STALL_TIMEOUT });
+  return { watchdog, stream, recoveries };
+}
+
+// Make the last progress look older than the stall timeout
+function age(stream) {
+  stream.video.lastProgressAt -= STALL_TIMEOUT + 15000;
+}
+
+test('advancing currentTime counts as playing', async () => {
+  const { watchdog, stream, recoveries } = setup([sample({ currentTime: 10 }), sample({ currentTime: 20 })]);
+  await watchdog.check(ENCODER);
+  age(stream);
+  await watchdog.check(ENCODER);
+  assert.equal(stream.video.state, 'playing');
+  assert.deepEqual(recoveries, []);
+});
+
+test('a changing frame counts as progress even if currentTime stands still', async () => {
+  const { watchdog, stream, recoveries } = setup([sample({ checksum: 1 }), sample({ checksum: 2 })]);
+  await watchdog.check(ENCODER);
+  age(stream);
+  await watchdog.check(ENCODER);
+  assert.equal(stream.video.state, 'playing');
+  assert.deepEqual(recoveries, []);
+});
+
+test('a frozen video is recovered after the stall timeout', async () => {
+  const { watchdog, stream, recoveries } = setup([sample({ checksum: 7 }), sample({ checksum: 7 }), sample({ checksum: 7 })]);
+  await watchdog.check(ENCODER);
+  await watchdog.check(ENCODER);
+  assert.equal(stream.video.state, 'frozen');
+  assert.deepEqual(recoveries, []);
+
+  age(stream);
+  await watchdog.check(ENCODER);
+  assert.equal(recoveries.length, 1);
+  assert.match(recoveries[0], /^Video frozen for 60s$/);
+
+  // After recovery: a fresh baseline and a full stall timeout before the next judgement
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(stream.video.sample, null);
+  assert.ok(Date.now() - stream.video.lastProgressAt < 1000);
+});
+
+test('reports why a stream stalled', async () => {
+  const cases = [
+    [null, /^No video for/],
+    [sample({ paused: true }), /^Video paused for/],
+    [sample({ readyState: 2 }), /^Video buffering for/],
+    [sample({ error: 3 }), /^Video error for/],
+  ];
+  for (const [stalled, reason] of cases) {
+    const { watchdog, stream, recoveries } = setup([stalled, stalled]);
+    await watchdog.check(ENCODER);
+    age(stream);
+    await watchdog.check(ENCODER);
+    assert.match(recoveries[0], reason);
+  }
+});
+
+test('leaves streams alone while they start, recover or opt out', async () => {
+  const starting = setup([sample(), sample()], { startedAgoMs: 0 });
+  await starting.watchdog.check(ENCODER);
+  age(starting.stream);
+  await starting.watchdog.check(ENCODER);
+  assert.equal(starting.stream.video.state, 'starting');
+  assert.deepEqual(starting.recoveries, []);
+
+  const recovering = setup([sample()]);
+  recovering.stream.recovery.inProgress = true;
+  await recovering.watchdog.check(ENCODER);
+  assert.equal(recovering.stream.video, undefined);
+
+  const slideshow = setup([null], { targetUrl: 'https://photos.app.goo.gl/abc' });
+  await slideshow.watchdog.check(ENCODER);
+  assert.equal(slideshow.stream.video, undefined);
+});
+
+test('probeVideo takes the largest video across frames and skips failing frames', async () => {
+  const page = {
+    frames: () => [
+      { evaluate: async () => sample({ area: 50, currentTime: 1 }) },
+      { evaluate: async () => { throw new Error('Execution context was destroyed'); } },
+      { evaluate: async () => sample({ area: 500, currentTime: 2 }) },
+      { evaluate: async () => null },
+    ],
+  };
+  const best = await probeVideo(page);
+  assert.equal(best.currentTime, 2);
+  assert.equal('area' in best, false);
+  assert.equal(await probeVideo({ frames: () => [] }), null);
+});
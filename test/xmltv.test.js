@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const xmltv = require('../xmltv');
+
+const HOUR_MS = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 9, 19, 18, 0, 0);
+
+test('formats times as UTC XMLTV timestamps', () => {
+  assert.equal(xmltv.formatTime(T0), '20261019180000 +0000');
+  assert.equal(xmltv.formatTime(T0 + 90 * 60 * 1000 + 5000), '20261019193005 +0000');
+});
+
+test('escapes names, titles and attribute values', () => {
+  const xml = xmltv.buildXmltv(
+    [{ id: 'ch"1', name: 'News & <Weather>', number: '24.1' }],
+    [{ channel: 'ch"1', start: T0, end: T0 + HOUR_MS, title: "Tom's Show" }]
+  );
+  assert.match(xml, /<channel id="ch&quot;1">/);
+  assert.match(xml, /<display-name>News &amp; &lt;Weather&gt;<\/display-name>/);
+  assert.match(xml, /<title>Tom&apos;s Show<\/title>/);
+});
+
+test('writes the channel number as a display name and lcn', () => {
+  const xml = xmltv.buildXmltv([{ id: 'a', name: 'A', number: '24.1', icon: 'http://x/a.png' }], []);
+  assert.match(xml, /<display-name>24\.1<\/display-name>\n {4}<lcn>24\.1<\/lcn>\n {4}<icon src="http:\/\/x\/a\.png" \/>/);
+  assert.doesNotMatch(xmltv.buildXmltv([{ id: 'b', name: 'B' }], []), /lcn/);
+});
+
+test('writes optional programme fields and zero-based xmltv_ns episode numbers', () => {
+  const xml = xmltv.buildXmltv([], [{
+    channel: 'a', start: T0, end: T0 + HOUR_MS, title: 'Show', subTitle: 'Pilot', desc: 'First one',
+    categories: ['Drama', 'Series'], season: '2', episode: 5,
+  }]);
+  assert.match(xml, /<programme start="20261019180000 \+0000" stop="20261019190000 \+0000" channel="a">/);
+  assert.match(xml, /<sub-title>Pilot<\/sub-title>\n {4}<desc>First one<\/desc>/);
+  assert.match(xml, /<category>Drama<\/category>\n {4}<category>Series<\/category>/);
+  assert.match(xml, /<episode-num system="xmltv_ns">1\.4\.<\/episode-num>/);
+  assert.match(xml, /<episode-num system="onscreen">S02E05<\/episode-num>/);
+  assert.doesNotMatch(xmltv.buildXmltv([], [{ channel: 'a', start: T0, end: T0 + HOUR_MS, title: 'x', season: 1 }]), /episode-num/);
+});
+
+test('orders programmes by channel, then start', () => {
+  const xml = xmltv.buildXmltv([], [
+    { channel: 'b', start: T0, end: T0 + HOUR_MS, title: 'b1' },
+    { channel: 'a', start: T0 + HOUR_MS, end: T0 + 2 * HOUR_MS, title: 'a2' },
+    { channel: 'a', start: T0, end: T0 + HOUR_MS, title: 'a1' },
+  ]);
+  const titles = [...xml.matchAll(/<title>(.*)<\/title>/g)].map(m => m[1]);
+  assert.deepEqual(titles, ['a1', 'a2', 'b1']);
+});
+
+test('placeholders fill the window in aligned blocks', () => {
+  const blocks = xmltv.placeholderProgrammes({ channel: 'a', title: 'A' }, T0 + 15 * 60 * 1000, T0 + 2 * HOUR_MS);
+  assert.deepEqual(blocks.map(b => [b.start, b.end]), [[T0, T0 + HOUR_MS], [T0 + HOUR_MS, T0 + 2 * HOUR_MS]]);
+  assert.equal(blocks[0].title, 'A');
+});
+
+test('placeholders leave gaps for busy intervals', () => {
+  const busy = [{ start: T0 + 30 * 60 * 1000, end: T0 + 90 * 60 * 1000 }];
+  const blocks = xmltv.placeholderProgrammes({ channel: 'a', title: 'A' }, T0, T0 + 3 * HOUR_MS, 60, busy);
+  assert.deepEqual(blocks.map(b => [b.start, b.end]), [
+    [T0, T0 + 30 * 60 * 1000],
+    [T0 + 90 * 60 * 1000, T0 + 2 * HOUR_MS],
+    [T0 + 2 * HOUR_MS, T0 + 3 * HOUR_MS],
+  ]);
+});
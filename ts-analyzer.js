@@ -0,0 +1,407 @@
+'use strict';
+
+/**
+ * ts-analyzer.js
+ * Optional content check of an encoder's MPEG-TS output, for when HDMI capture goes black or
+ * silent while the browser still thinks it is playing. EncoderHealthMonitor only checks that
+ * the encoder answers HTTP; this reads a few seconds of the stream itself.
+ *
+ * The sample is demuxed (PAT → PMT → elementary streams) and each PES packet's PTS and size
+ * recorded:
+ *   video (H.264 / HEVC)  frames are split into I-frames (IDR/IRAP or I slices) and the rest.
+ *                         A black picture compresses to tiny I-frames; a frozen picture keeps
+ *                         normal-sized I-frames of near-identical size, with almost empty
+ *                         frames in between.
+ *   audio (AAC, ADTS)     digital silence encodes to a few bytes per AAC frame.
+ *   timestamps            PTS must advance across the sample; backward jumps and gaps of more
+ *                         than a second count as discontinuities.
+ * Other codecs are reported with frame counts and timestamps but no black/silence verdict.
+ *
+ * EncoderStreamAnalyzer samples every encoder with an active stream on an interval and keeps
+ * the latest result per encoder for /health. The thresholds are heuristics for typical HDMI
+ * encoder bitrates (a few Mbps video, 96-256 kbps audio).
+ */
+
+const fetch = require('node-fetch');
+const { logTS } = require('./logger');
+
+const TS_PACKET_SIZE = 188;
+const SYNC_BYTE = 0x47;
+const PTS_CLOCK = 90000;
+const PTS_WRAP = 2 ** 33;
+
+const SAMPLE_SECONDS = 5;
+const MAX_SAMPLE_BYTES = 16 * 1024 * 1024;
+
+const BLACK_IFRAME_BYTES = 10000;       // average I-frame below this → black picture
+const FROZEN_IFRAME_VARIATION = 0.02;   // I-frame sizes within 2% of each other...
+const FROZEN_FRAME_RATIO = 0.02;        // ...and other frames under 2% of an I-frame → frozen
+const SILENT_AAC_FRAME_BYTES = 40;      // average ADTS frame (header included) below this → silence
+const PTS_GAP_SECONDS = 1;
+
+const VIDEO_TYPES = { 0x01: 'mpeg1', 0x02: 'mpeg2', 0x1B: 'h264', 0x24: 'hevc' };
+const AUDIO_TYPES = { 0x03: 'mp3', 0x04: 'mp3', 0x0F: 'aac', 0x11: 'aac-latm', 0x81: 'ac3', 0x87: 'eac3' };
+
+// ─── Demuxing ────────────────────────────────────────────────────────────────
+
+function findSync(buf) {
+  for (let i = 0; i + TS_PACKET_SIZE < buf.length; i++) {
+    if (buf[i] === SYNC_BYTE && buf[i + TS_PACKET_SIZE] === SYNC_BYTE) return i;
+  }
+  return -1;
+}
+
+// The section a PSI packet's payload starts, after its pointer field
+function psiSection(payload) {
+  const start = 1 + payload[0];
+  if (start + 3 > payload.length) return null;
+  const length = ((payload[start + 1] & 0x0F) << 8) | payload[start + 2];
+  return payload.subarray(start, Math.min(payload.length, start + 3 + length));
+}
+
+function parsePat(section) {
+  const pmtPids = [];
+  const end = section.length - 4; // CRC
+  for (let i = 8; i + 4 <= end; i += 4) {
+    const program = (section[i] << 8) | section[i + 1];
+    if (program !== 0) pmtPids.push(((section[i + 2] & 0x1F) << 8) | section[i + 3]);
+  }
+  return pmtPids;
+}
+
+function parsePmt(section) {
+  const streams = [];
+  const end = section.length - 4;
+  let i = 12 + (((section[10] & 0x0F) << 8) | section[11]);
+  while (i + 5 <= end) {
+    streams.push({ type: section[i], pid: ((section[i + 1] & 0x1F) << 8) | section[i + 2] });
+    i += 5 + (((section[i + 3] & 0x0F) << 8) | section[i + 4]);
+  }
+  return streams;
+}
+
+function readPts(b, i) {
+  return ((b[i] >> 1) & 0x07) * 2 ** 30 +
+    ((b[i + 1] << 22) | ((b[i + 2] >> 1) << 15) | (b[i + 3] << 7) | (b[i + 4] >> 1));
+}
+
+// { pts, payload } for a complete PES packet, or null if it isn't one
+function parsePes(pes) {
+  if (pes.length < 9 || pes[0] !== 0 || pes[1] !== 0 || pes[2] !== 1) return null;
+  const ptsFlags = pes[7] >> 6;
+  const headerEnd = 9 + pes[8];
+  return {
+    pts: ptsFlags >= 2 && pes.length >= 14 ? readPts(pes, 9) : null,
+    payload: pes.subarray(headerEnd)
+  };
+}
+
+/**
+ * Split a transport stream sample into its elementary streams' PES packets. The last
+ * (possibly cut off) PES packet of each stream is dropped.
+ * @param {Buffer} buf
+ * @returns {{ packets: number, streams: Array<{pid, type, pes: Array<{pts, payload}>}> }}
+ */
+function demux(buf) {
+  const offset = findSync(buf);
+  if (offset < 0) return { packets: 0, streams: [] };
+
+  const pmtPids = new Set();
+  const esTypes = new Map(); // pid -> stream_type
+  const pending = new Map(); // pid -> Buffer[] of the PES being collected
+  const done = new Map(); // pid -> parsed PES list
+  let packets = 0;
+
+  for (let i = offset; i + TS_PACKET_SIZE <= buf.length; i += TS_PACKET_SIZE) {
+    if (buf[i] !== SYNC_BYTE) continue;
+    packets++;
+    if (buf[i + 1] & 0x80) continue; // transport error
+    const start = (buf[i + 1] & 0x40) !== 0;
+    const pid = ((buf[i + 1] & 0x1F) << 8) | buf[i + 2];
+    const afc = (buf[i + 3] >> 4) & 0x03;
+    if (!(afc & 0x01)) continue; // no payload
+    let p = i + 4;
+    if (afc & 0x02) p += 1 + buf[p];
+    if (p >= i + TS_PACKET_SIZE) continue;
+    const payload = buf.subarray(p, i + TS_PACKET_SIZE);
+
+    if (pid === 0 && start) {
+      const section = psiSection(payload);
+      if (section && section[0] === 0x00) parsePat(section).forEach(pmt => pmtPids.add(pmt));
+    } else if (pmtPids.has(pid) && start) {
+      const section = psiSection(payload);
+      if (section && section[0] === 0x02) parsePmt(section).forEach(es => esTypes.set(es.pid, es.type));
+    } else if (esTypes.has(pid)) {
+      if (start) {
+        const previous = pending.get(pid);
+        if (previous) {
+          const pes = parsePes(Buffer.concat(previous));
+          if (pes) {
+            if (!done.has(pid)) done.set(pid, []);
+            done.get(pid).push(pes);
+          }
+        }
+        pending.set(pid, [payload]);
+      } else if (pending.has(pid)) {
+        pending.get(pid).push(payload);
+      }
+    }
+  }
+
+  const streams = Array.from(esTypes, ([pid, type]) => ({ pid, type, pes: done.get(pid) || [] }));
+  return { packets, streams };
+}
+
+// ─── Elementary streams ──────────────────────────────────────────────────────
+
+// Unsigned Exp-Golomb value at bit position pos of buf → { value, pos }
+function readUe(buf, pos) {
+  let zeros = 0;
+  while (pos < buf.length * 8 && !((buf[pos >> 3] >> (7 - (pos & 7))) & 1)) {
+    zeros++;
+    pos++;
+  }
+  pos++;
+  let value = 0;
+  for (let i = 0; i < zeros; i++, pos++) {
+    value = value * 2 + ((buf[pos >> 3] >> (7 - (pos & 7))) & 1);
+  }
+  return { value: value + 2 ** zeros - 1, pos };
+}
+
+// Whether an access unit (one video PES payload) holds an I-frame
+function isIntraFrame(payload, codec) {
+  for (let i = 0; i + 4 < payload.length; i++) {
+    if (payload[i] !== 0 || payload[i + 1] !== 0 || payload[i + 2] !== 1) continue;
+    const header = payload[i + 3];
+    if (codec === 'hevc') {
+      const type = (header >> 1) & 0x3F;
+      if (type >= 16 && type <= 21) return true; // IRAP
+      if (type < 32) return false; // first slice decides
+    } else if (codec === 'h264') {
+      const type = header & 0x1F;
+      if (type === 5) return true; // IDR
+      if (type === 1) {
+        const slice = payload.subarray(i + 4, i + 12);
+        const sliceType = readUe(slice, readUe(slice, 0).pos).value % 5;
+        return sliceType === 2 || sliceType === 4; // I or SI
+      }
+    } else if (header === 0x00) {
+      return ((payload[i + 5] >> 3) & 0x07) === 1; // MPEG-1/2 picture_coding_type I
+    }
+    i += 2;
+  }
+  return false;
+}
+
+// ADTS frame lengths in an AAC PES payload
+function adtsFrameSizes(payload) {
+  const sizes = [];
+  let i = 0;
+  while (i + 7 <= payload.length && payload[i] === 0xFF && (payload[i + 1] & 0xF0) === 0xF0) {
+    const length = ((payload[i + 3] & 0x03) << 11) | (payload[i + 4] << 3) | (payload[i + 5] >> 5);
+    if (length < 7) break;
+    sizes.push(length);
+    i += length;
+  }
+  return sizes;
+}
+
+const average = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0);
+
+function variation(list) {
+  const mean = average(list);
+  if (list.length < 2 || mean === 0) return null;
+  return Math.sqrt(average(list.map(v => (v - mean) ** 2))) / mean;
+}
+
+// PTS span and discontinuities of a stream's PES packets
+function timestamps(pesList) {
+  const values = pesList.map(p => p.pts).filter(pts => pts !== null);
+  if (values.length === 0) return { ptsSeconds: null, discontinuities: 0 };
+  // Offsets from the first PTS, allowing for the 33-bit wrap and B-frame reordering
+  const offset = (pts) => {
+    const diff = (pts - values[0] + PTS_WRAP) % PTS_WRAP;
+    return diff > PTS_WRAP / 2 ? diff - PTS_WRAP : diff;
+  };
+  let discontinuities = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (Math.abs(offset(values[i]) - offset(values[i - 1])) > PTS_GAP_SECONDS * PTS_CLOCK) discontinuities++;
+  }
+  const offsets = values.map(offset);
+  const span = Math.max(...offsets) - Math.min(...offsets);
+  return { ptsSeconds: Math.round(span / PTS_CLOCK * 100) / 100, discontinuities };
+}
+
+function analyzeVideo(stream) {
+  const codec = VIDEO_TYPES[stream.type];
+  const iFrames = [];
+  const otherFrames = [];
+  for (const pes of stream.pes) {
+    (isIntraFrame(pes.payload, codec) ? iFrames : otherFrames).push(pes.payload.length);
+  }
+  const avgIFrame = average(iFrames);
+  const avgOther = average(otherFrames);
+  const iFrameVariation = variation(iFrames);
+
+  let state = 'ok';
+  if (stream.pes.length === 0) state = 'no-frames';
+  else if (iFrames.length === 0) state = 'unknown'; // no I-frame in the sample to judge by
+  else if (avgIFrame < BLACK_IFRAME_BYTES) state = 'black';
+  else if (avgOther < avgIFrame * FROZEN_FRAME_RATIO &&
+           (iFrameVariation === null || iFrameVariation < FROZEN_IFRAME_VARIATION)) state = 'frozen';
+
+  return {
+    pid: stream.pid,
+    codec,
+    frames: stream.pes.length,
+    iFrames: iFrames.length,
+    avgIFrameBytes: Math.round(avgIFrame),
+    avgFrameBytes: Math.round(avgOther),
+    iFrameVariation: iFrameVariation === null ? null : Math.round(iFrameVariation * 1000) / 1000,
+    ...timestamps(stream.pes),
+    state
+  };
+}
+
+function analyzeAudio(stream) {
+  const codec = AUDIO_TYPES[stream.type];
+  const result = { pid: stream.pid, codec, frames: stream.pes.length, ...timestamps(stream.pes) };
+  if (codec !== 'aac') return { ...result, state: stream.pes.length ? 'unknown' : 'no-frames' };
+
+  const sizes = stream.pes.flatMap(pes => adtsFrameSizes(pes.payload));
+  const avgFrame = average(sizes);
+  // An AAC frame is 1024 samples; assume 48 kHz when estimating the bitrate
+  const kbps = sizes.length ? Math.round(avgFrame * 8 * 48000 / 1024 / 1000) : 0;
+  let state = 'ok';
+  if (sizes.length === 0) state = 'no-frames';
+  else if (avgFrame < SILENT_AAC_FRAME_BYTES) state = 'silent';
+  return { ...result, frames: sizes.length, avgFrameBytes: Math.round(avgFrame), kbps, state };
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Analyze an MPEG-TS sample.
+ * @param {Buffer} buf
+ * @returns {object} { packets, video, audio, problems } — video/audio are null if the stream
+ *   has none; problems lists 'no-video', 'black', 'frozen', 'silent' and 'timestamps'
+ */
+function analyzeTransportStream(buf) {
+  const { packets, streams } = demux(buf);
+  const videoStream = streams.find(s => VIDEO_TYPES[s.type]);
+  const audioStream = streams.find(s => AUDIO_TYPES[s.type]);
+  const video = videoStream ? analyzeVideo(videoStream) : null;
+  const audio = audioStream ? analyzeAudio(audioStream) : null;
+
+  const problems = [];
+  if (!video || video.state === 'no-frames') problems.push('no-video');
+  else if (video.state === 'black' || video.state === 'frozen') problems.push(video.state);
+  if (audio && audio.state === 'silent') problems.push('silent');
+  const tracks = [video, audio].filter(Boolean);
+  if (tracks.some(t => t.discontinuities > 0 || (t.frames > 1 && t.ptsSeconds === 0))) {
+    problems.push('timestamps');
+  }
+  return { packets, video, audio, problems };
+}
+
+/**
+ * Read about `seconds` of an encoder's stream.
+ * @param {string} encoderUrl
+ * @param {number} [seconds]
+ * @returns {Promise<Buffer>}
+ * @throws {Error} if the encoder can't be read
+ */
+async function captureSample(encoderUrl, seconds = SAMPLE_SECONDS) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), (seconds + 10) * 1000);
+  const chunks = [];
+  let bytes = 0;
+  try {
+    const response = await fetch(encoderUrl, { signal: controller.signal });
+    if (!response.ok) throw new Error(`Encoder returned HTTP ${response.status}`);
+    const started = Date.now();
+    for await (const chunk of response.body) {
+      chunks.push(chunk);
+      bytes += chunk.length;
+      if (bytes >= MAX_SAMPLE_BYTES || Date.now() - started >= seconds * 1000) break;
+    }
+  } catch (error) {
+    if (bytes === 0) throw error.name === 'AbortError' ? new Error('No data from encoder') : error;
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+  }
+  return Buffer.concat(chunks);
+}
+
+class EncoderStreamAnalyzer {
+  /**
+   * @param {object} options
+   * @param {Function} options.getEncoderUrls - () => encoder URLs to sample on each run
+   * @param {number} [options.interval] - ms between runs (default 5 minutes)
+   */
+  constructor({ getEncoderUrls, interval = 5 * 60 * 1000 }) {
+    this.getEncoderUrls = getEncoderUrls;
+    this.interval = interval;
+    this.results = new Map(); // encoderUrl -> latest result
+    this.intervalId = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.intervalId) return;
+    this.intervalId = setInterval(() => this.analyzeAll(), this.interval);
+    logTS(`Encoder stream analyzer active (every ${Math.round(this.interval / 60000)} min, ${SAMPLE_SECONDS}s samples)`);
+  }
+
+  async analyzeAll() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const encoderUrls = this.getEncoderUrls();
+      // An encoder that stopped streaming keeps no verdict from its last stream
+      for (const encoderUrl of this.results.keys()) {
+        if (!encoderUrls.includes(encoderUrl)) this.results.delete(encoderUrl);
+      }
+      for (const encoderUrl of encoderUrls) {
+        await this.analyze(encoderUrl);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Sample one encoder and store the result.
+   * @returns {Promise<object>} { analyzedAt, bytes, packets, video, audio, problems, error }
+   */
+  async analyze(encoderUrl) {
+    const previous = this.results.get(encoderUrl);
+    let result;
+    try {
+      const sample = await captureSample(encoderUrl);
+      result = { analyzedAt: new Date().toISOString(), bytes: sample.length, ...analyzeTransportStream(sample), error: null };
+    } catch (error) {
+      result = { analyzedAt: new Date().toISOString(), bytes: 0, packets: 0, video: null, audio: null, problems: [], error: error.message };
+    }
+
+    const summary = result.error ? `error: ${result.error}` : (result.problems.join(', ') || 'ok');
+    const previousSummary = previous ? (previous.error ? `error: ${previous.error}` : (previous.problems.join(', ') || 'ok')) : 'ok';
+    if (summary !== previousSummary) logTS(`Encoder stream analysis for ${encoderUrl}: ${summary}`);
+
+    this.results.set(encoderUrl, result);
+    return result;
+  }
+
+  /** @returns {object|null} the latest result for an encoder */
+  getResult(encoderUrl) {
+    return this.results.get(encoderUrl) || null;
+  }
+}
+
+module.exports = {
+  analyzeTransportStream,
+  captureSample,
+  EncoderStreamAnalyzer,
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * video-watchdog.js
+ * In-page playback health probe for every monitored stream — live viewing, tune, and the
+ * instant and scheduled recordings that StreamMonitor runs with skipHealthCheck (their
+ * encoder stream goes straight to Channels DVR, so CH4C never sees the data flow stop).
+ *
+ * Every sample reads the encoder page's main <video> element (the largest one, in any frame):
+ *   currentTime   must keep advancing while the video plays
+ *   readyState    below HAVE_FUTURE_DATA (3) means the player is waiting for data
+ *   checksum      of a tiny (16x9) copy of the current frame; null when the video can't be
+ *                 read back (cross-origin or DRM). A changing checksum counts as progress
+ *                 even if a player's currentTime doesn't move
+ * A stream that shows no progress for stallTimeout — frozen picture, "too many devices"
+ * error, endless ad-break spinner, no video at all — gets StreamMonitor.recover(), which
+ * runs the configured recovery actions through the site's own handlers.
+ *
+ * The latest sample is kept on the stream as `video` (shown on /health). Sites without a
+ * video (e.g. Google Photos slideshows) opt out with `videoWatchdog: false` in their handler.
+ */
+
+const sites = require('./sites');
+const { logTS } = require('./logger');
+
+const SAMPLE_INTERVAL_MS = 10000;
+const STARTUP_GRACE_MS = 60000; // page load, login and site navigation before the first judgement
+const PROBE_TIMEOUT_MS = 5000;
+const CURRENT_TIME_EPSILON = 0.1; // seconds
+
+// Runs in each frame of the page
+function probeFrame() {
+  const videos = Array.from(document.querySelectorAll('video'));
+  if (videos.length === 0) return null;
+  const area = (v) => {
+    const r = v.getBoundingClientRect();
+    return r.width * r.height;
+  };
+  const video = videos.sort((a, b) => area(b) - area(a))[0];
+
+  let checksum = null;
+  try {
+    if (video.videoWidth > 0) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 16;
+      canvas.height = 9;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(video, 0, 0, 16, 9);
+      const data = ctx.getImageData(0, 0, 16, 9).data;
+      let sum = 0;
+      for (let i = 0; i < data.length; i++) {
+        if ((i & 3) !== 3) sum = (sum * 31 + data[i]) >>> 0; // skip alpha
+      }
+      checksum = sum;
+    }
+  } catch {
+    checksum = null; // tainted canvas (cross-origin video)
+  }
+
+  return {
+    area: area(video),
+    currentTime: video.currentTime,
+    readyState: video.readyState,
+    paused: video.paused,
+    ended: video.ended,
+    error: video.error ? video.error.code : null,
+    checksum
+  };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Probe timed out')), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Sample the page's main video element.
+ * @param {object} page - puppeteer page
+ * @returns {Promise<object|null>} { currentTime, readyState, paused, ended, error, checksum },
+ *   or null if no frame has a video
+ */
+async function probeVideo(page) {
+  let best = null;
+  for (const frame of page.frames()) {
+    try {
+      const sample = await withTimeout(frame.evaluate(probeFrame), PROBE_TIMEOUT_MS);
+      if (sample && (!best || sample.area > best.area)) best = sample;
+    } catch {
+      // Detached or navigating frame — skip it
+    }
+  }
+  if (best) delete best.area;
+  return best;
+}
+
+/** What a sample without progress looks like, for /health and the recovery reason. */
+function stallState(sample) {
+  if (!sample) return 'no-video';
+  if (sample.error) return 'error';
+  if (sample.ended) return 'ended';
+  if (sample.paused) return 'paused';
+  if (sample.readyState < 3) return 'buffering';
+  return 'frozen';
+}
+
+class VideoWatchdog {
+  /**
+   * @param {object} options
+   * @param {StreamMonitor} options.streamMonitor - streams to watch; recover() is called on a stall
+   * @param {Function} options.getPage - async (encoderUrl) => puppeteer page, or null
+   * @param {number} [options.stallTimeout] - ms without progress before recovery (default 45000)
+   */
+  constructor({ streamMonitor, getPage, stallTimeout = 45000 }) {
+    this.streamMonitor = streamMonitor;
+    this.getPage = getPage;
+    this.stallTimeout = stallTimeout;
+    this.intervalId = null;
+    this.checking = false;
+  }
+
+  start() {
+    if (this.intervalId) return;
+    this.intervalId = setInterval(() => this.checkAll(), SAMPLE_INTERVAL_MS);
+    logTS(`Video watchdog active (${SAMPLE_INTERVAL_MS / 1000}s samples, recovery after ${Math.round(this.stallTimeout / 1000)}s without progress)`);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  async checkAll() {
+    if (this.checking) return; // a slow probe must not stack up samples
+    this.checking = true;
+    try {
+      for (const encoderUrl of Array.from(this.streamMonitor.activeStreams.keys())) {
+        await this.check(encoderUrl).catch(error => {
+          logTS(`Video watchdog error for ${encoderUrl}: ${error.message}`);
+        });
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Take one sample for a stream, update its `video` status and start recovery if it has
+   * shown no progress for stallTimeout.
+   */
+  async check(encoderUrl) {
+    const stream = this.streamMonitor.activeStreams.get(encoderUrl);
+    if (!stream || stream.recovery.inProgress) return;
+    const site = sites.findSite(stream.targetUrl);
+    if (site && site.videoWatchdog === false) return;
+
+    const page = await this.getPage(encoderUrl);
+    if (!page) return;
+    const sample = await probeVideo(page);
+    const now = Date.now();
+
+    // The stream may have stopped, restarted or started recovering while the page was probed
+    if (this.streamMonitor.activeStreams.get(encoderUrl) !== stream || stream.recovery.inProgress) return;
+
+    const previous = stream.video ? stream.video.sample : null;
+    const progressed = !!(sample && previous && (
+      Math.abs(sample.currentTime - previous.currentTime) > CURRENT_TIME_EPSILON ||
+      (sample.checksum !== null && previous.checksum !== null && sample.checksum !== previous.checksum)
+    ));
+    const inGrace = now - stream.startTime < STARTUP_GRACE_MS;
+
+    const video = stream.video || { lastProgressAt: now };
+    if (progressed || inGrace) video.lastProgressAt = now;
+    video.state = progressed ? 'playing' : (inGrace ? 'starting' : stallState(sample));
+    video.sample = sample;
+    video.sampledAt = now;
+    stream.video = video;
+
+    const stalledFor = now - video.lastProgressAt;
+    if (stalledFor < this.stallTimeout) return;
+
+    const what = video.state === 'no-video' ? 'No video' : `Video ${video.state}`;
+    const reason = `${what} for ${Math.round(stalledFor / 1000)}s`;
+    logTS(`Video watchdog: ${reason} on ${encoderUrl}`);
+    // Don't wait for it, so the other streams keep being sampled; recover() marks the stream's
+    // recovery as in progress straight away, and check() skips the stream until it's done
+    this.streamMonitor.recover(encoderUrl, reason).then(entry => {
+      // Whether or not an action ran, wait a full stallTimeout before judging the stream again
+      video.lastProgressAt = Date.now();
+      if (entry) video.sample = null; // the page was reloaded or re-tuned — start a fresh baseline
+    }).catch(error => {
+      logTS(`Video watchdog recovery error for ${encoderUrl}: ${error.message}`);
+    });
+  }
+}
+
+module.exports = {
+  VideoWatchdog,
+  probeVideo,
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * xmltv.js
+ * Minimal XMLTV writer for /m3u-manager/guide.xml.
+ *
+ * Channels are { id, name, number, icon }, where `id` matches the tvg-id written to the M3U
+ * playlist so clients can pair the two. Programmes are
+ *   { channel, start, end, title, subTitle, desc, categories, icon, season, episode }
+ * with start/end in ms; everything except channel/start/end/title is optional.
+ *
+ * placeholderProgrammes() fills a window with fixed-length blocks named after the channel,
+ * leaving gaps where real programmes (e.g. scheduled recordings) are.
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/** XMLTV timestamp, e.g. "20261019180000 +0000" */
+function formatTime(ms) {
+  return new Date(ms).toISOString().replace(/[-:T]/g, '').slice(0, 14) + ' +0000';
+}
+
+function channelXml(ch) {
+  let xml = `  <channel id="${escapeXml(ch.id)}">\n`;
+  xml += `    <display-name>${escapeXml(ch.name)}</display-name>\n`;
+  if (ch.number) xml += `    <display-name>${escapeXml(ch.number)}</display-name>\n`;
+  if (ch.number) xml += `    <lcn>${escapeXml(ch.number)}</lcn>\n`;
+  if (ch.icon) xml += `    <icon src="${escapeXml(ch.icon)}" />\n`;
+  return xml + '  </channel>\n';
+}
+
+function programmeXml(p) {
+  let xml = `  <programme start="${formatTime(p.start)}" stop="${formatTime(p.end)}" channel="${escapeXml(p.channel)}">\n`;
+  xml += `    <title>${escapeXml(p.title)}</title>\n`;
+  if (p.subTitle) xml += `    <sub-title>${escapeXml(p.subTitle)}</sub-title>\n`;
+  if (p.desc) xml += `    <desc>${escapeXml(p.desc)}</desc>\n`;
+  for (const category of p.categories || []) {
+    xml += `    <category>${escapeXml(category)}</category>\n`;
+  }
+  if (p.icon) xml += `    <icon src="${escapeXml(p.icon)}" />\n`;
+  const season = parseInt(p.season);
+  const episode = parseInt(p.episode);
+  if (season > 0 && episode > 0) {
+    // xmltv_ns is zero-based: season.episode.part
+    xml += `    <episode-num system="xmltv_ns">${season - 1}.${episode - 1}.</episode-num>\n`;
+    xml += `    <episode-num system="onscreen">S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}</episode-num>\n`;
+  }
+  return xml + '  </programme>\n';
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} channels
+ * @param {object[]} programmes
+ * @returns {string} XMLTV document
+ */
+function buildXmltv(channels, programmes) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<!DOCTYPE tv SYSTEM "xmltv.dtd">\n';
+  xml += '<tv generator-info-name="CH4C">\n';
+  for (const ch of channels) xml += channelXml(ch);
+  const sorted = [...programmes].sort((a, b) => String(a.channel).localeCompare(String(b.channel)) || a.start - b.start);
+  for (const p of sorted) xml += programmeXml(p);
+  return xml + '</tv>\n';
+}
+
+/**
+ * Blocks of blockMinutes (aligned to the block length) covering [fromMs, toMs), cut short
+ * or skipped where they overlap a busy interval ({ start, end }).
+ * @param {object} base - programme fields shared by every block (channel, title, ...)
+ */
+function placeholderProgrammes(base, fromMs, toMs, blockMinutes = 60, busy = []) {
+  const blockMs = Math.max(1, blockMinutes) * 60 * 1000;
+  const sortedBusy = busy.filter(b => b.end > fromMs && b.start < toMs).sort((a, b) => a.start - b.start);
+  const programmes = [];
+  let cursor = Math.floor(fromMs / blockMs) * blockMs;
+  while (cursor < toMs) {
+    const inside = sortedBusy.find(b => b.start <= cursor && b.end > cursor);
+    if (inside) {
+      cursor = inside.end;
+      continue;
+    }
+    const nextBusy = sortedBusy.find(b => b.start > cursor);
+    const blockEnd = (Math.floor(cursor / blockMs) + 1) * blockMs;
+    const end = Math.min(blockEnd, nextBusy ? nextBusy.start : Infinity);
+    programmes.push({ ...base, start: cursor, end });
+    cursor = end;
+  }
+  return programmes;
+}
+
+module.exports = {
+  escapeXml,
+  formatTime,
+  buildXmltv,
+  placeholderProgrammes,
+};